@@ -0,0 +1,223 @@
+/* eslint-env node */
+import { UUID_PATTERN, normalizeString } from './org-bff.js';
+import { sanitizeSearchTerm } from './student-list-query.js';
+import {
+  AUDIT_ACTION_LABELS,
+  AUDIT_CATEGORY_LABELS,
+  AUDIT_ROLE_LABELS,
+} from './audit-log.js';
+
+export const AUDIT_LOG_DEFAULT_LIMIT = 50;
+export const AUDIT_LOG_MAX_LIMIT = 200;
+// CSV exports ignore paging and read page by page up to this many rows; larger
+// exports are refused rather than cut short.
+export const AUDIT_LOG_EXPORT_LIMIT = 5000;
+
+export const AUDIT_LOG_SELECT = 'id, user_id, user_email, user_role, action_type, action_category, resource_type, resource_id, details, performed_at';
+
+const IDENTIFIER_PATTERN = /^[a-z0-9_.]{1,64}$/;
+
+// Details keys that name the affected record, in order of preference.
+const SUBJECT_DETAIL_KEYS = ['student_name', 'instructor_name', 'file_name', 'name', 'instructor_email', 'email'];
+
+function parseNonNegativeInteger(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { value: null, valid: true };
+  }
+  const numeric = Number(raw);
+  if (!Number.isInteger(numeric) || numeric < 0) {
+    return { value: null, valid: false };
+  }
+  return { value: numeric, valid: true };
+}
+
+function parseTimestamp(raw) {
+  const normalized = normalizeString(raw);
+  if (!normalized) {
+    return { value: null, valid: true };
+  }
+  const parsed = new Date(normalized);
+  if (Number.isNaN(parsed.getTime())) {
+    return { value: null, valid: false };
+  }
+  return { value: parsed.toISOString(), valid: true };
+}
+
+function parseIdentifier(raw) {
+  const normalized = normalizeString(raw).toLowerCase();
+  if (!normalized) {
+    return { value: null, valid: true };
+  }
+  return IDENTIFIER_PATTERN.test(normalized)
+    ? { value: normalized, valid: true }
+    : { value: null, valid: false };
+}
+
+/**
+ * Parses the filters on GET /api/audit-log.
+ * `from` is inclusive and `to` is exclusive; the client sends local day boundaries as ISO timestamps.
+ * `actor` is either a user id or part of the actor's email.
+ */
+export function parseAuditLogQuery(query = {}) {
+  const format = normalizeString(query?.format).toLowerCase() || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return { error: 'invalid_format' };
+  }
+
+  const limitResult = parseNonNegativeInteger(query?.limit);
+  if (!limitResult.valid || limitResult.value === 0) {
+    return { error: 'invalid_limit' };
+  }
+
+  const offsetResult = parseNonNegativeInteger(query?.offset);
+  if (!offsetResult.valid) {
+    return { error: 'invalid_offset' };
+  }
+
+  const category = parseIdentifier(query?.category);
+  if (!category.valid) {
+    return { error: 'invalid_category' };
+  }
+
+  const action = parseIdentifier(query?.action);
+  if (!action.valid) {
+    return { error: 'invalid_action' };
+  }
+
+  const resourceType = parseIdentifier(query?.resource_type);
+  if (!resourceType.valid) {
+    return { error: 'invalid_resource_type' };
+  }
+
+  const resourceId = normalizeString(query?.resource_id).slice(0, 200);
+
+  const from = parseTimestamp(query?.from);
+  const to = parseTimestamp(query?.to);
+  if (!from.valid || !to.valid) {
+    return { error: 'invalid_date' };
+  }
+  if (from.value && to.value && from.value >= to.value) {
+    return { error: 'invalid_date_range' };
+  }
+
+  const rawActor = normalizeString(query?.actor);
+  const actorId = UUID_PATTERN.test(rawActor) ? rawActor.toLowerCase() : null;
+  const actorSearch = actorId ? '' : sanitizeSearchTerm(rawActor);
+
+  return {
+    format,
+    pagination: format === 'csv'
+      ? { limit: AUDIT_LOG_EXPORT_LIMIT, offset: 0 }
+      : {
+        limit: Math.min(limitResult.value ?? AUDIT_LOG_DEFAULT_LIMIT, AUDIT_LOG_MAX_LIMIT),
+        offset: offsetResult.value ?? 0,
+      },
+    category: category.value,
+    action: action.value,
+    resourceType: resourceType.value,
+    resourceId: resourceId || null,
+    actorId,
+    actorSearch,
+    from: from.value,
+    to: to.value,
+  };
+}
+
+export function applyAuditLogFilters(builder, filters = {}) {
+  let next = builder;
+  if (filters.category) {
+    next = next.eq('action_category', filters.category);
+  }
+  if (filters.action) {
+    next = next.eq('action_type', filters.action);
+  }
+  if (filters.resourceType) {
+    next = next.eq('resource_type', filters.resourceType);
+  }
+  if (filters.resourceId) {
+    next = next.eq('resource_id', filters.resourceId);
+  }
+  if (filters.actorId) {
+    next = next.eq('user_id', filters.actorId);
+  } else if (filters.actorSearch) {
+    next = next.ilike('user_email', `%${filters.actorSearch}%`);
+  }
+  if (filters.from) {
+    next = next.gte('performed_at', filters.from);
+  }
+  if (filters.to) {
+    next = next.lt('performed_at', filters.to);
+  }
+  return next;
+}
+
+function resolveSubject(details) {
+  if (!details || typeof details !== 'object') {
+    return '';
+  }
+  for (const key of SUBJECT_DETAIL_KEYS) {
+    const value = normalizeString(details[key]);
+    if (value) {
+      return value;
+    }
+  }
+  return '';
+}
+
+/**
+ * Adds Hebrew labels and a one-line description to a stored audit row.
+ * Unknown action types fall back to the raw type so new actions still render.
+ */
+export function describeAuditEntry(entry) {
+  const actionLabel = AUDIT_ACTION_LABELS[entry?.action_type] || entry?.action_type || '';
+  const subject = resolveSubject(entry?.details);
+  const actor = entry?.user_role === 'system_admin' && entry?.user_email === 'system@tuttiud.com'
+    ? 'המערכת'
+    : entry?.user_email || '';
+
+  return {
+    ...entry,
+    action_label: actionLabel,
+    category_label: AUDIT_CATEGORY_LABELS[entry?.action_category] || entry?.action_category || '',
+    role_label: AUDIT_ROLE_LABELS[entry?.user_role] || entry?.user_role || '',
+    description: [actor, actionLabel, subject ? `– ${subject}` : ''].filter(Boolean).join(' '),
+  };
+}
+
+/**
+ * Filter options for the viewer, grouped by category in display order.
+ */
+export function buildAuditFilterOptions() {
+  return {
+    categories: Object.entries(AUDIT_CATEGORY_LABELS).map(([value, label]) => ({ value, label })),
+    actions: Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => ({ value, label })),
+  };
+}
+
+export const AUDIT_LOG_CSV_HEADERS = {
+  performed_at: 'תאריך ושעה',
+  user_email: 'משתמש',
+  role_label: 'תפקיד',
+  category_label: 'קטגוריה',
+  action_label: 'פעולה',
+  description: 'תיאור',
+  resource_type: 'סוג רשומה',
+  resource_id: 'מזהה רשומה',
+  details: 'פרטים',
+};
+
+/**
+ * Maps described entries to CSV rows keyed by the Hebrew headers.
+ */
+export function buildAuditCsvRows(entries) {
+  return (Array.isArray(entries) ? entries : []).map((entry) => {
+    const row = {};
+    for (const [key, header] of Object.entries(AUDIT_LOG_CSV_HEADERS)) {
+      const value = entry?.[key];
+      row[header] = key === 'details'
+        ? (value ? JSON.stringify(value) : '')
+        : value ?? '';
+    }
+    return row;
+  });
+}
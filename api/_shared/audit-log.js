@@ -93,6 +93,11 @@ export const AUDIT_ACTIONS = {
   // Backup
   BACKUP_CREATED: 'backup.created',
   BACKUP_RESTORED: 'backup.restored',
+  BACKUP_SCHEDULE_UPDATED: 'backup.schedule_updated',
+  BACKUP_DOWNLOADED: 'backup.downloaded',
+  BACKUP_DESTINATION_ADDED: 'backup.destination_added',
+  BACKUP_DESTINATION_UPDATED: 'backup.destination_updated',
+  BACKUP_DESTINATION_REMOVED: 'backup.destination_removed',
   
   // Files
   FILE_UPLOADED: 'file.uploaded',
@@ -102,18 +107,35 @@ export const AUDIT_ACTIONS = {
 
   // Sessions
   SESSION_CREATED: 'session.created',
+  SESSION_UPDATED: 'session.updated',
+  SESSION_DELETED: 'session.deleted',
   SESSION_RESOLVED: 'session.resolved',
+  SESSION_GROUP_CREATED: 'session.group_created',
+  SESSION_EXCEPTION_SAVED: 'session.exception_saved',
+  SESSION_EXCEPTION_REMOVED: 'session.exception_removed',
   
   // Students
   STUDENT_CREATED: 'student.created',
   STUDENT_UPDATED: 'student.updated',
   STUDENT_DELETED: 'student.deleted',
   STUDENTS_BULK_UPDATE: 'students.bulk_update',
+  STUDENT_GOAL_SAVED: 'student.goal_saved',
+  STUDENT_GOAL_REMOVED: 'student.goal_removed',
+  STUDENTS_PDF_BATCH_EXPORTED: 'students.pdf_batch_exported',
   
   // Instructors
   INSTRUCTOR_CREATED: 'instructor.created',
   INSTRUCTOR_UPDATED: 'instructor.updated',
   INSTRUCTOR_DELETED: 'instructor.deleted',
+
+  // Payroll
+  PAYROLL_APPROVED: 'payroll.approved',
+  PAYROLL_REOPENED: 'payroll.reopened',
+
+  // Billing
+  BILLING_RUN: 'billing.run',
+  BILLING_STATEMENT_STATUS_CHANGED: 'billing.statement_status_changed',
+  BILLING_STATEMENT_DELETED: 'billing.statement_deleted',
   
   // Settings
   SETTINGS_UPDATED: 'settings.updated',
@@ -133,6 +155,8 @@ export const AUDIT_CATEGORIES = {
   SESSIONS: 'sessions',
   STUDENTS: 'students',
   INSTRUCTORS: 'instructors',
+  PAYROLL: 'payroll',
+  BILLING: 'billing',
 };
 
 /**
@@ -144,3 +168,80 @@ export const AUDIT_ROLES = {
   ADMIN: 'admin',
   MEMBER: 'member',
 };
+
+/**
+ * Hebrew labels for the audit log viewer and CSV export.
+ * Actions logged with a literal type (not in AUDIT_ACTIONS) are listed here too.
+ */
+export const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.STORAGE_CONFIGURED]: 'הגדרת אחסון',
+  [AUDIT_ACTIONS.STORAGE_UPDATED]: 'עדכון הגדרות אחסון',
+  [AUDIT_ACTIONS.STORAGE_DISCONNECTED]: 'ניתוק אחסון',
+  [AUDIT_ACTIONS.STORAGE_RECONNECTED]: 'חיבור מחדש של אחסון',
+  [AUDIT_ACTIONS.STORAGE_GRACE_STARTED]: 'תחילת תקופת חסד לאחסון',
+  [AUDIT_ACTIONS.STORAGE_FILES_DELETED]: 'מחיקת קבצים מהאחסון',
+  [AUDIT_ACTIONS.STORAGE_MIGRATED_BYOS]: 'מעבר לאחסון עצמי (BYOS)',
+  [AUDIT_ACTIONS.STORAGE_BULK_DOWNLOAD]: 'הורדת כל הקבצים',
+  [AUDIT_ACTIONS.PERMISSION_ENABLED]: 'הפעלת הרשאה',
+  [AUDIT_ACTIONS.PERMISSION_DISABLED]: 'כיבוי הרשאה',
+  [AUDIT_ACTIONS.MEMBER_INVITED]: 'הזמנת חבר צוות',
+  [AUDIT_ACTIONS.MEMBER_REMOVED]: 'הסרת חבר צוות',
+  [AUDIT_ACTIONS.MEMBER_ROLE_CHANGED]: 'שינוי תפקיד חבר צוות',
+  'invitation.revoked': 'ביטול הזמנה',
+  [AUDIT_ACTIONS.BACKUP_CREATED]: 'יצירת גיבוי',
+  [AUDIT_ACTIONS.BACKUP_RESTORED]: 'שחזור מגיבוי',
+  [AUDIT_ACTIONS.BACKUP_SCHEDULE_UPDATED]: 'עדכון תזמון גיבוי',
+  [AUDIT_ACTIONS.BACKUP_DOWNLOADED]: 'הורדת גיבוי',
+  [AUDIT_ACTIONS.BACKUP_DESTINATION_ADDED]: 'הוספת יעד גיבוי',
+  [AUDIT_ACTIONS.BACKUP_DESTINATION_UPDATED]: 'עדכון יעד גיבוי',
+  [AUDIT_ACTIONS.BACKUP_DESTINATION_REMOVED]: 'הסרת יעד גיבוי',
+  [AUDIT_ACTIONS.FILE_UPLOADED]: 'העלאת קובץ',
+  [AUDIT_ACTIONS.FILE_DELETED]: 'מחיקת קובץ',
+  [AUDIT_ACTIONS.DOCUMENT_UPDATED]: 'עדכון מסמך',
+  [AUDIT_ACTIONS.FILES_BULK_DOWNLOADED]: 'הורדת קבצים מרובים',
+  [AUDIT_ACTIONS.SESSION_CREATED]: 'תיעוד מפגש',
+  [AUDIT_ACTIONS.SESSION_UPDATED]: 'עדכון מפגש',
+  [AUDIT_ACTIONS.SESSION_DELETED]: 'מחיקת מפגש',
+  [AUDIT_ACTIONS.SESSION_RESOLVED]: 'שיוך מפגש לא משויך',
+  [AUDIT_ACTIONS.SESSION_GROUP_CREATED]: 'תיעוד מפגש קבוצתי',
+  [AUDIT_ACTIONS.SESSION_EXCEPTION_SAVED]: 'סימון ביטול או היעדרות',
+  [AUDIT_ACTIONS.SESSION_EXCEPTION_REMOVED]: 'הסרת ביטול או היעדרות',
+  [AUDIT_ACTIONS.STUDENT_CREATED]: 'הוספת תלמיד',
+  [AUDIT_ACTIONS.STUDENT_UPDATED]: 'עדכון תלמיד',
+  [AUDIT_ACTIONS.STUDENT_DELETED]: 'מחיקת תלמיד',
+  [AUDIT_ACTIONS.STUDENTS_BULK_UPDATE]: 'עדכון תלמידים מקובץ',
+  [AUDIT_ACTIONS.STUDENT_GOAL_SAVED]: 'שמירת מטרה בתוכנית הטיפול',
+  [AUDIT_ACTIONS.STUDENT_GOAL_REMOVED]: 'מחיקת מטרה מתוכנית הטיפול',
+  [AUDIT_ACTIONS.STUDENTS_PDF_BATCH_EXPORTED]: 'ייצוא PDF מרוכז של תיקי תלמידים',
+  [AUDIT_ACTIONS.INSTRUCTOR_CREATED]: 'הוספת מדריך',
+  [AUDIT_ACTIONS.INSTRUCTOR_UPDATED]: 'עדכון מדריך',
+  [AUDIT_ACTIONS.INSTRUCTOR_DELETED]: 'מחיקת מדריך',
+  [AUDIT_ACTIONS.PAYROLL_APPROVED]: 'אישור ונעילת שעות חודשיות',
+  [AUDIT_ACTIONS.PAYROLL_REOPENED]: 'פתיחה מחדש של שעות חודשיות',
+  [AUDIT_ACTIONS.BILLING_RUN]: 'הרצת חיוב חודשי',
+  [AUDIT_ACTIONS.BILLING_STATEMENT_STATUS_CHANGED]: 'עדכון סטטוס דף חיוב',
+  [AUDIT_ACTIONS.BILLING_STATEMENT_DELETED]: 'מחיקת טיוטת דף חיוב',
+  [AUDIT_ACTIONS.SETTINGS_UPDATED]: 'עדכון הגדרות',
+  [AUDIT_ACTIONS.LOGO_UPDATED]: 'עדכון לוגו',
+};
+
+export const AUDIT_CATEGORY_LABELS = {
+  [AUDIT_CATEGORIES.STORAGE]: 'אחסון',
+  [AUDIT_CATEGORIES.PERMISSIONS]: 'הרשאות',
+  [AUDIT_CATEGORIES.MEMBERSHIP]: 'צוות',
+  [AUDIT_CATEGORIES.BACKUP]: 'גיבוי',
+  [AUDIT_CATEGORIES.SETTINGS]: 'הגדרות',
+  [AUDIT_CATEGORIES.FILES]: 'קבצים',
+  [AUDIT_CATEGORIES.SESSIONS]: 'מפגשים',
+  [AUDIT_CATEGORIES.STUDENTS]: 'תלמידים',
+  [AUDIT_CATEGORIES.INSTRUCTORS]: 'מדריכים',
+  [AUDIT_CATEGORIES.PAYROLL]: 'שעות ושכר',
+  [AUDIT_CATEGORIES.BILLING]: 'חיוב',
+};
+
+export const AUDIT_ROLE_LABELS = {
+  [AUDIT_ROLES.SYSTEM_ADMIN]: 'מערכת',
+  [AUDIT_ROLES.OWNER]: 'בעלים',
+  [AUDIT_ROLES.ADMIN]: 'מנהל',
+  [AUDIT_ROLES.MEMBER]: 'חבר צוות',
+};
@@ -0,0 +1,205 @@
+/* eslint-env node */
+/**
+ * Off-site Backup Destinations
+ *
+ * Validation, credential encryption and upload fan-out for the destinations
+ * stored in org_settings.backup_destinations. Secrets are encrypted with the
+ * app key in the same v1:gcm format as BYOS storage credentials and are never
+ * returned to the client.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { decryptSecretString, encryptSecretString } from './storage-encryption.js';
+import { getBackupDestination } from '../cross-platform/backup-destinations/index.js';
+
+export const BACKUP_DESTINATION_TYPES = Object.freeze({
+  WEBDAV: 'webdav',
+  S3: 's3',
+});
+
+export const MAX_BACKUP_DESTINATIONS = 3;
+
+const PUBLIC_FIELDS = Object.freeze({
+  webdav: ['url', 'username'],
+  s3: ['endpoint', 'region', 'bucket', 'prefix'],
+});
+
+// Where the stored secrets are sent. Changing any of these requires the secrets again,
+// so saved credentials can never be redirected to another server.
+const TARGET_FIELDS = Object.freeze({
+  webdav: ['url', 'username'],
+  s3: ['endpoint', 'bucket', 'region'],
+});
+
+const SECRET_FIELDS = Object.freeze({
+  webdav: ['password'],
+  s3: ['access_key_id', 'secret_access_key'],
+});
+
+function cleanString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Security: HTTPS only, so credentials and backup files never travel in cleartext
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function canReuseSecrets(existing, type, config) {
+  if (!existing?._credentials || existing.type !== type) {
+    return false;
+  }
+  return TARGET_FIELDS[type].every((field) => cleanString(existing.config?.[field]) === cleanString(config?.[field]));
+}
+
+/**
+ * Validate a destination from the request body.
+ *
+ * When updating, secret fields left blank keep the stored (encrypted) values so
+ * the client never needs to see them, as long as the target (URL and user, or
+ * endpoint, bucket and region) is unchanged.
+ *
+ * @param {object} raw - { id?, type, name, enabled, config }
+ * @param {object} [existing] - Stored destination being updated
+ * @returns {{ destination: object, secrets: object } | { errors: string[] }}
+ */
+export function validateBackupDestination(raw, existing = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { errors: ['Destination is required'] };
+  }
+
+  const type = cleanString(raw.type || existing?.type).toLowerCase();
+  if (!Object.values(BACKUP_DESTINATION_TYPES).includes(type)) {
+    return { errors: ['Unsupported destination type'] };
+  }
+
+  const rawConfig = raw.config && typeof raw.config === 'object' ? raw.config : {};
+  const errors = [];
+
+  const config = {};
+  for (const field of PUBLIC_FIELDS[type]) {
+    config[field] = cleanString(rawConfig[field]);
+  }
+
+  const secrets = {};
+  const keepExisting = canReuseSecrets(existing, type, config);
+  for (const field of SECRET_FIELDS[type]) {
+    const value = cleanString(rawConfig[field]);
+    if (value) {
+      secrets[field] = value;
+    } else if (!keepExisting) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  if (type === BACKUP_DESTINATION_TYPES.WEBDAV) {
+    if (!isHttpsUrl(config.url)) errors.push('A valid HTTPS WebDAV URL is required');
+    if (!config.username) errors.push('username is required');
+  } else {
+    if (!config.bucket) errors.push('bucket is required');
+    if (config.endpoint && !isHttpsUrl(config.endpoint)) errors.push('Endpoint must be a valid HTTPS URL');
+    if (config.prefix.includes('..')) errors.push('Prefix cannot contain ".."');
+  }
+
+  if (errors.length) {
+    return { errors };
+  }
+
+  const name = cleanString(raw.name) || existing?.name || (type === BACKUP_DESTINATION_TYPES.WEBDAV ? 'WebDAV' : 'S3');
+
+  return {
+    destination: {
+      id: existing?.id || randomUUID(),
+      type,
+      name: name.slice(0, 80),
+      enabled: raw.enabled === undefined ? existing?.enabled !== false : raw.enabled === true,
+      config,
+    },
+    secrets,
+  };
+}
+
+/**
+ * Encrypt secrets into a destination before saving it.
+ * Secrets missing from `secrets` are taken from the previously stored credentials
+ * when the destination still points at the same target.
+ */
+export function encryptBackupDestination(destination, secrets, env, existing = null) {
+  const previous = canReuseSecrets(existing, destination.type, destination.config)
+    ? JSON.parse(decryptSecretString(existing._credentials, env))
+    : {};
+  const merged = { ...previous, ...secrets };
+
+  return {
+    ...destination,
+    _encrypted: true,
+    _credentials: encryptSecretString(JSON.stringify(merged), env),
+  };
+}
+
+/**
+ * Decrypt a stored destination into the { type, config } shape the factory expects.
+ */
+export function decryptBackupDestination(destination, env) {
+  const secrets = destination?._credentials
+    ? JSON.parse(decryptSecretString(destination._credentials, env))
+    : {};
+  return {
+    id: destination.id,
+    type: destination.type,
+    name: destination.name,
+    enabled: destination.enabled !== false,
+    config: { ...(destination.config || {}), ...secrets },
+  };
+}
+
+/**
+ * Client-safe view of a destination (no credentials).
+ */
+export function toPublicDestination(destination) {
+  return {
+    id: destination.id,
+    type: destination.type,
+    name: destination.name,
+    enabled: destination.enabled !== false,
+    config: { ...(destination.config || {}) },
+    has_credentials: Boolean(destination._credentials),
+  };
+}
+
+/**
+ * Copy a finished backup file to every enabled destination.
+ *
+ * Failures are collected per destination and never thrown, so an unreachable
+ * off-site target does not fail the backup itself.
+ *
+ * @param {object[]} destinations - Stored (encrypted) destinations
+ * @param {object} options - { filename, buffer, env, createDestination? }
+ * @returns {Promise<object[]>} [{ id, name, type, status: 'uploaded'|'failed', location?, error? }]
+ */
+export async function uploadBackupToDestinations(destinations, {
+  filename,
+  buffer,
+  env = {},
+  createDestination = getBackupDestination,
+} = {}) {
+  const enabled = (Array.isArray(destinations) ? destinations : []).filter((destination) => destination?.enabled !== false);
+  const results = [];
+
+  for (const destination of enabled) {
+    const summary = { id: destination.id, name: destination.name, type: destination.type };
+    try {
+      const target = createDestination(decryptBackupDestination(destination, env));
+      const { location } = await target.upload(filename, buffer);
+      results.push({ ...summary, status: 'uploaded', location: location || null });
+    } catch (error) {
+      results.push({ ...summary, status: 'failed', error: error?.message || 'upload_failed' });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,306 @@
+/* eslint-env node */
+/**
+ * Scheduled Backup Utilities
+ *
+ * Schedule validation, due-time calculation and retention for the automatic
+ * backups written by the backup-scheduled timer function. Scheduled backups
+ * live in the org's own storage; each one gets a random password that is kept
+ * encrypted in its backup_history entry so admins can download it later.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { decryptSecretString, encryptSecretString } from './storage-encryption.js';
+import {
+  BACKUP_FILES_MODES,
+  encryptBackup,
+  exportTenantData,
+  generateProductKeyPassword,
+  resolveBackupManifestSecret,
+} from './backup-utils.js';
+import { uploadBackupToDestinations } from './backup-destinations.js';
+
+export const BACKUP_SCHEDULE_FREQUENCIES = Object.freeze({
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+});
+
+export const BACKUP_TRIGGERS = Object.freeze({
+  MANUAL: 'manual',
+  SCHEDULED: 'scheduled',
+});
+
+export const MAX_BACKUP_RETENTION = 30;
+
+// Schedule hours and weekdays are org-local (Israel) time
+export const BACKUP_SCHEDULE_TIMEZONE = 'Asia/Jerusalem';
+
+export const DEFAULT_BACKUP_SCHEDULE = Object.freeze({
+  enabled: false,
+  frequency: BACKUP_SCHEDULE_FREQUENCIES.WEEKLY,
+  weekday: 0,
+  hour: 2,
+  retention_count: 4,
+  files_mode: BACKUP_FILES_MODES.REFERENCE,
+});
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function parseInteger(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) return Number(value.trim());
+  return NaN;
+}
+
+/**
+ * Validate a schedule from the request body, filling omitted fields from the current schedule.
+ * @param {object} raw - { enabled, frequency, weekday, hour, retention_count, files_mode }
+ * @param {object} [current] - Stored schedule used for omitted fields
+ * @returns {{ schedule: object } | { error: string }}
+ */
+export function normalizeBackupSchedule(raw, current = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'invalid_schedule' };
+  }
+
+  const base = { ...DEFAULT_BACKUP_SCHEDULE, ...(current && typeof current === 'object' ? current : {}) };
+  const merged = { ...base, ...raw };
+
+  const frequency = typeof merged.frequency === 'string' ? merged.frequency.trim().toLowerCase() : '';
+  if (!Object.values(BACKUP_SCHEDULE_FREQUENCIES).includes(frequency)) {
+    return { error: 'invalid_frequency' };
+  }
+
+  const hour = parseInteger(merged.hour);
+  if (!(hour >= 0 && hour <= 23)) {
+    return { error: 'invalid_hour' };
+  }
+
+  const weekday = parseInteger(merged.weekday);
+  if (!(weekday >= 0 && weekday <= 6)) {
+    return { error: 'invalid_weekday' };
+  }
+
+  const retentionCount = parseInteger(merged.retention_count);
+  if (!(retentionCount >= 1 && retentionCount <= MAX_BACKUP_RETENTION)) {
+    return { error: 'invalid_retention_count' };
+  }
+
+  const filesMode = typeof merged.files_mode === 'string' ? merged.files_mode.trim().toLowerCase() : '';
+  if (!Object.values(BACKUP_FILES_MODES).includes(filesMode)) {
+    return { error: 'invalid_files_mode' };
+  }
+
+  return {
+    schedule: {
+      enabled: merged.enabled === true,
+      frequency,
+      weekday,
+      hour,
+      retention_count: retentionCount,
+      files_mode: filesMode,
+    },
+  };
+}
+
+/**
+ * Break a timestamp into org-local calendar parts.
+ * @returns {{ date: string, weekday: number, hour: number }}
+ */
+export function getScheduleLocalParts(value) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: BACKUP_SCHEDULE_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(value)).map((part) => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    hour: Number(parts.hour),
+  };
+}
+
+/**
+ * Decide whether the timer run at `now` should take a scheduled backup.
+ *
+ * A backup is due once the scheduled local hour has passed on a scheduled day and
+ * no scheduled attempt (successful or not) has been made on that local date yet,
+ * so a failing org is retried on the next slot instead of every timer tick.
+ */
+export function isScheduledBackupDue(schedule, history, now = new Date()) {
+  if (!schedule?.enabled) {
+    return false;
+  }
+
+  const local = getScheduleLocalParts(now);
+  if (schedule.frequency === BACKUP_SCHEDULE_FREQUENCIES.WEEKLY && local.weekday !== schedule.weekday) {
+    return false;
+  }
+  if (local.hour < schedule.hour) {
+    return false;
+  }
+
+  const entries = Array.isArray(history) ? history : [];
+  return !entries.some((entry) => (
+    entry?.type === 'backup'
+    && entry.trigger === BACKUP_TRIGGERS.SCHEDULED
+    && entry.timestamp
+    && getScheduleLocalParts(entry.timestamp).date === local.date
+  ));
+}
+
+/**
+ * Scheduled backups that still have a stored file, newest first.
+ */
+export function listStoredScheduledBackups(history) {
+  return (Array.isArray(history) ? history : [])
+    .filter((entry) => (
+      entry?.type === 'backup'
+      && entry.trigger === BACKUP_TRIGGERS.SCHEDULED
+      && entry.status === 'completed'
+      && entry.storage_path
+      && !entry.expired_at
+    ))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Split stored scheduled backups into those to keep and those past retention.
+ * @returns {{ keep: object[], expired: object[] }}
+ */
+export function selectExpiredBackups(history, retentionCount) {
+  const stored = listStoredScheduledBackups(history);
+  const limit = Math.max(1, retentionCount || DEFAULT_BACKUP_SCHEDULE.retention_count);
+  return { keep: stored.slice(0, limit), expired: stored.slice(limit) };
+}
+
+/**
+ * Storage path for a scheduled backup file, following the document path layout
+ * (managed storage is shared, so its paths start with managed/<org>).
+ */
+export function buildScheduledBackupPath(orgId, storageMode, backupId, now = new Date()) {
+  const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+  const filename = `tuttiud-backup-${orgId}-${stamp}-${backupId}.enc`;
+  return storageMode === 'managed'
+    ? `managed/${orgId}/backups/${filename}`
+    : `backups/${orgId}/${filename}`;
+}
+
+/**
+ * Encrypt a scheduled backup password for storage in backup_history.
+ */
+export function encryptBackupPassword(password, env) {
+  return encryptSecretString(password, env);
+}
+
+/**
+ * Decrypt a password produced by encryptBackupPassword.
+ */
+export function decryptBackupPassword(payload, env) {
+  return decryptSecretString(payload, env);
+}
+
+/**
+ * Export, encrypt and upload one scheduled backup.
+ *
+ * @param {Object} tenantClient - Tenant Supabase client
+ * @param {Object} storageDriver - Org storage driver the file is written to
+ * @param {Object} options - { orgId, storageMode, filesMode, destinations, env, now }
+ *   destinations are off-site targets the file is also copied to (failures are recorded, not thrown)
+ * @returns {Promise<Object>} Completed backup_history entry
+ */
+export async function performScheduledBackup(tenantClient, storageDriver, {
+  orgId,
+  storageMode,
+  filesMode = BACKUP_FILES_MODES.REFERENCE,
+  destinations = [],
+  env = {},
+  now = new Date(),
+} = {}) {
+  const manifest = await exportTenantData(tenantClient, orgId, {
+    filesMode,
+    storageDriver: filesMode === BACKUP_FILES_MODES.BUNDLE ? storageDriver : null,
+    signingSecret: resolveBackupManifestSecret(env),
+  });
+
+  const password = generateProductKeyPassword(10);
+  const encrypted = await encryptBackup(manifest, password);
+  const backupId = randomUUID();
+  const storagePath = buildScheduledBackupPath(orgId, storageMode, backupId, now);
+
+  await storageDriver.upload(storagePath, encrypted, 'application/octet-stream');
+
+  const destinationResults = await uploadBackupToDestinations(destinations, {
+    filename: storagePath.split('/').pop(),
+    buffer: encrypted,
+    env,
+  });
+
+  return {
+    type: 'backup',
+    status: 'completed',
+    trigger: BACKUP_TRIGGERS.SCHEDULED,
+    backup_id: backupId,
+    timestamp: new Date(now).toISOString(),
+    initiated_by: null,
+    size_bytes: encrypted.length,
+    files_mode: filesMode,
+    total_records: manifest.metadata.total_records,
+    total_files: manifest.metadata.total_files,
+    bundled_files: manifest.metadata.bundled_files,
+    storage_path: storagePath,
+    password_encrypted: encryptBackupPassword(password, env),
+    destinations: destinationResults.map(({ id, name, status, error }) => ({ id, name, status, error })),
+  };
+}
+
+/**
+ * Delete scheduled backup files beyond the retention count.
+ *
+ * Expired entries stay in the history for the record but lose their path and
+ * password. Files that fail to delete keep both so the next run retries them.
+ *
+ * @returns {Promise<{ history: object[], deleted: number, errors: object[] }>}
+ */
+export async function applyBackupRetention(storageDriver, history, retentionCount, now = new Date()) {
+  const { expired } = selectExpiredBackups(history, retentionCount);
+  const expiredIds = new Set();
+  const errors = [];
+
+  for (const entry of expired) {
+    try {
+      await storageDriver.delete(entry.storage_path);
+      expiredIds.add(entry.backup_id);
+    } catch (error) {
+      errors.push({ backup_id: entry.backup_id, message: error?.message });
+    }
+  }
+
+  const expiredAt = new Date(now).toISOString();
+  const updated = (Array.isArray(history) ? history : []).map((entry) => {
+    if (!expiredIds.has(entry?.backup_id)) return entry;
+    const expiredEntry = { ...entry, expired_at: expiredAt };
+    delete expiredEntry.storage_path;
+    delete expiredEntry.password_encrypted;
+    return expiredEntry;
+  });
+
+  return { history: updated, deleted: expiredIds.size, errors };
+}
+
+/**
+ * Public view of a stored scheduled backup (no path or password).
+ */
+export function describeScheduledBackup(entry) {
+  return {
+    backup_id: entry.backup_id,
+    timestamp: entry.timestamp,
+    size_bytes: entry.size_bytes ?? null,
+    files_mode: entry.files_mode || BACKUP_FILES_MODES.REFERENCE,
+    total_records: entry.total_records ?? null,
+  };
+}
@@ -1,8 +1,10 @@
 /* eslint-env node */
-import { createCipheriv, createDecipheriv, randomBytes, createHash } from 'node:crypto';
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes, createHash, timingSafeEqual } from 'node:crypto';
 import { Buffer } from 'node:buffer';
 import { promisify } from 'node:util';
 import { gzip, gunzip } from 'node:zlib';
+import { resolveEncryptionSecret } from './org-bff.js';
+import { loadAllRows } from './reports.js';
 
 const gzipAsync = promisify(gzip);
 const gunzipAsync = promisify(gunzip);
@@ -12,6 +14,41 @@ const IV_LENGTH = 16;
 const AUTH_TAG_LENGTH = 16;
 const SALT_LENGTH = 32;
 
+export const BACKUP_FILES_MODES = Object.freeze({
+  REFERENCE: 'reference',
+  BUNDLE: 'bundle',
+});
+
+// Raw bytes bundled into one archive; beyond this, files fall back to signed references.
+// Keeps the base64-encoded archive under the 100 MB restore body limit.
+export const BACKUP_BUNDLE_MAX_BYTES = 50 * 1024 * 1024;
+
+const MIN_REFERENCE_SECRET_LENGTH = 16;
+const FILE_MANIFEST_KEY_LABEL = 'backup-manifest';
+
+// Restore in dependency order: Settings first (no FK deps), then Instructors, then Students (FK to Instructors), then SessionRecords (FK to Students and Instructors), then SessionExceptions and StudentGoals (FK to Students), then PayrollApprovals (FK to Instructors), then BillingStatements (FK to Students) and BillingLineItems (FK to BillingStatements and SessionRecords).
+// Documents are handled separately after these because they also depend on stored files.
+const RESTORE_TABLE_ORDER = ['Settings', 'Instructors', 'Students', 'SessionRecords', 'SessionExceptions', 'StudentGoals', 'PayrollApprovals', 'BillingStatements', 'BillingLineItems'];
+
+const PREVIEW_CONFLICT_SAMPLE_SIZE = 5;
+
+export const RESTORE_SCOPES = Object.freeze({
+  FULL: 'full',
+  STUDENT: 'student',
+  TABLE: 'table',
+});
+
+export const RESTORABLE_TABLES = Object.freeze([...RESTORE_TABLE_ORDER, 'Documents']);
+
+/**
+ * Generate a human-friendly backup password that looks like a product key.
+ * bytes*2 hex characters grouped into blocks of 4 (e.g., ABCD-EF12-3456-7890-ABCD)
+ */
+export function generateProductKeyPassword(bytes = 10) {
+  const hex = randomBytes(bytes).toString('hex').toUpperCase();
+  return hex.match(/.{1,4}/g).join('-');
+}
+
 /**
  * Derive a 256-bit key from password using PBKDF2
  */
@@ -67,23 +104,169 @@ export async function decryptBackup(encryptedData, password) {
   return JSON.parse(decompressed.toString('utf8'));
 }
 
+/**
+ * Canonical string covered by the file-manifest signature.
+ * Only stable identifiers are signed so bundling (which adds `data`) does not change it.
+ */
+function buildFileManifestPayload(orgId, entries) {
+  const normalized = (Array.isArray(entries) ? entries : [])
+    .map((entry) => [entry.document_id, entry.path, entry.size ?? null])
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+  return JSON.stringify({ org_id: orgId, entries: normalized });
+}
+
+/**
+ * Key for signing backup file manifests, derived from the server encryption secret so a
+ * manifest signature never doubles as a credential-encryption key. Empty when no secret is set.
+ * @returns {string}
+ */
+export function resolveBackupManifestSecret(env) {
+  const secret = resolveEncryptionSecret(env);
+  if (!secret) {
+    return '';
+  }
+  return Buffer.from(hkdfSync('sha256', secret, '', FILE_MANIFEST_KEY_LABEL, 32)).toString('hex');
+}
+
+/**
+ * Sign the list of stored files referenced by a backup so restore can trust
+ * references that were not bundled. Returns null when no server secret is configured.
+ * @param {string} orgId - Organization the files belong to
+ * @param {Array} entries - File entries ({ document_id, path, size })
+ * @param {string} secret - Server-side signing secret
+ * @returns {string|null}
+ */
+export function signFileManifest(orgId, entries, secret) {
+  if (!secret || secret.length < MIN_REFERENCE_SECRET_LENGTH) {
+    return null;
+  }
+  return createHmac('sha256', secret).update(buildFileManifestPayload(orgId, entries)).digest('base64');
+}
+
+/**
+ * Verify a file-manifest signature created by signFileManifest
+ * @returns {boolean}
+ */
+export function verifyFileManifest(orgId, entries, signature, secret) {
+  if (typeof signature !== 'string' || !signature) {
+    return false;
+  }
+  const expected = signFileManifest(orgId, entries, secret);
+  if (!expected) {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(signature);
+  return expectedBuffer.length === receivedBuffer.length && timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Rewrite the org id segment of a storage path for cross-org restores.
+ * Document paths always embed the owning org id (e.g. managed/{org}/students/...).
+ * @returns {string|null} Remapped path, or null when it does not belong to the target org
+ */
+export function remapDocumentPath(path, sourceOrgId, targetOrgId) {
+  if (typeof path !== 'string' || !path) {
+    return null;
+  }
+  const segments = path.split('/');
+  if (segments.includes('..')) {
+    return null;
+  }
+  const remapped = sourceOrgId && sourceOrgId !== targetOrgId
+    ? segments.map((segment) => (segment === sourceOrgId ? targetOrgId : segment))
+    : segments;
+  return remapped.includes(targetOrgId) ? remapped.join('/') : null;
+}
+
+/**
+ * Collect stored files for the Documents rows in a manifest.
+ * Every file is listed with a signed reference; in bundle mode the bytes are
+ * embedded as base64 until BACKUP_BUNDLE_MAX_BYTES is reached.
+ */
+async function exportDocumentFiles(documents, orgId, { filesMode, storageDriver, signingSecret }) {
+  const entries = [];
+  const errors = [];
+  let bundledBytes = 0;
+
+  for (const document of documents) {
+    if (!document?.id || !document?.path) continue;
+
+    const entry = {
+      document_id: document.id,
+      path: document.path,
+      size: document.size ?? null,
+      type: document.type || null,
+      bundled: false,
+    };
+
+    if (filesMode === BACKUP_FILES_MODES.BUNDLE && storageDriver) {
+      const expectedSize = Number(document.size) || 0;
+      if (bundledBytes + expectedSize > BACKUP_BUNDLE_MAX_BYTES) {
+        entry.skipped_reason = 'size_limit';
+      } else {
+        try {
+          const buffer = await storageDriver.getFile(document.path);
+          if (bundledBytes + buffer.length > BACKUP_BUNDLE_MAX_BYTES) {
+            entry.skipped_reason = 'size_limit';
+          } else {
+            entry.data = buffer.toString('base64');
+            entry.bundled = true;
+            bundledBytes += buffer.length;
+          }
+        } catch (err) {
+          entry.skipped_reason = 'read_failed';
+          errors.push({ document_id: document.id, message: err.message });
+        }
+      }
+    }
+
+    entries.push(entry);
+  }
+
+  return {
+    mode: filesMode,
+    entries,
+    signature: signFileManifest(orgId, entries, signingSecret),
+    bundled_count: entries.filter((entry) => entry.bundled).length,
+    bundled_bytes: bundledBytes,
+    errors,
+  };
+}
+
 /**
  * Export all tenant tables to a structured manifest
  *
  * Backed up tables and columns (as of 2025-10):
  * - Instructors: id, name, email, phone, is_active, notes, metadata
  * - Students: id, name, contact_info, contact_name, contact_phone, assigned_instructor_id, default_day_of_week, default_session_time, default_service, tags, notes, metadata
- * - SessionRecords: id, date, student_id, instructor_id, service_context, content, created_at, updated_at, deleted, deleted_at, is_legacy, metadata
+ * - SessionRecords: id, date, student_id, instructor_id, service_context, content, created_at, updated_at, deleted, deleted_at, is_legacy, group_id, metadata
+ * - SessionExceptions: id, student_id, date, slot_id, status, reason, makeup_date, makeup_time, instructor_id, created_by, ...
+ * - StudentGoals: id, student_id, title, description, target_metric, target_rating, start_date, target_date, status, ...
+ * - PayrollApprovals: id, instructor_id, month, status, summary, approved_by, approved_at, reopened_at, reopen_reason, ...
+ * - BillingStatements: id, student_id, month, status, payer_type, payer_name, student_name, currency, total_amount, ...
+ * - BillingLineItems: id, statement_id, session_id, date, service, description, quantity, unit_price, amount, price_source, ...
  * - Settings: id, key, settings_value, metadata
+ * - Documents: id, entity_type, entity_id, name, original_name, path, storage_provider, size, type, hash, ... (file metadata)
+ *
+ * The stored files behind Documents are listed in `manifest.files`. With
+ * filesMode "bundle" their bytes are embedded too; otherwise (or past the size cap)
+ * they are kept as references signed with the server secret.
  *
  * @param {object} tenantClient - Supabase tenant client
+ * @param {string} orgId - Organization ID
+ * @param {object} options - { filesMode: 'reference'|'bundle', storageDriver, signingSecret }
  * @returns {Promise<object>} - Backup manifest
  */
-export async function exportTenantData(tenantClient, orgId) {
+export async function exportTenantData(tenantClient, orgId, {
+  filesMode = BACKUP_FILES_MODES.REFERENCE,
+  storageDriver = null,
+  signingSecret = '',
+} = {}) {
   // Only include tables that actually exist in the tuttiud schema
-  const tables = ['Students', 'Instructors', 'SessionRecords', 'Settings'];
+  const tables = ['Students', 'Instructors', 'SessionRecords', 'SessionExceptions', 'StudentGoals', 'PayrollApprovals', 'BillingStatements', 'BillingLineItems', 'Settings', 'Documents'];
   const manifest = {
-    version: '1.0',
+    version: '1.1',
     schema_version: 'tuttiud_v1',
     org_id: orgId,
     exported_at: new Date().toISOString(),
@@ -112,6 +295,14 @@ export async function exportTenantData(tenantClient, orgId) {
     }
   }
 
+  const files = await exportDocumentFiles(manifest.tables.Documents, orgId, { filesMode, storageDriver, signingSecret });
+  manifest.files = files;
+  manifest.metadata.total_files = files.entries.length;
+  manifest.metadata.bundled_files = files.bundled_count;
+  if (files.errors.length) {
+    manifest.metadata.files_error = `${files.errors.length} file(s) could not be read and were kept as references`;
+  }
+
   return manifest;
 }
 
@@ -136,28 +327,238 @@ export function validateBackupManifest(manifest) {
   return { valid: true };
 }
 
+/**
+ * Decide which Documents rows can be restored and which bundled files to write.
+ * Bundled files are always trusted (they come from inside the encrypted archive) and
+ * are remapped into the target org. Unbundled references must carry a valid
+ * signature from the same org, otherwise the row would point at files we cannot vouch for.
+ */
+function planDocumentRestore(manifest, { targetOrgId, signingSecret }) {
+  const documents = Array.isArray(manifest.tables?.Documents) ? manifest.tables.Documents : [];
+  const files = manifest.files && typeof manifest.files === 'object' ? manifest.files : null;
+  const entries = Array.isArray(files?.entries) ? files.entries : [];
+  const entriesById = new Map(entries.map((entry) => [entry.document_id, entry]));
+  const sourceOrgId = manifest.org_id;
+  const referencesTrusted = sourceOrgId === targetOrgId
+    && verifyFileManifest(sourceOrgId, entries, files?.signature, signingSecret);
+
+  const rows = [];
+  const uploads = [];
+  const rejected = [];
+
+  for (const document of documents) {
+    const entry = entriesById.get(document?.id);
+    const targetPath = remapDocumentPath(document?.path, sourceOrgId, targetOrgId);
+
+    if (!entry || !targetPath) {
+      rejected.push({ document_id: document?.id ?? null, reason: 'unverified_file_reference' });
+      continue;
+    }
+
+    if (entry.bundled && typeof entry.data === 'string') {
+      uploads.push({ document_id: document.id, path: targetPath, type: entry.type || document.type || null, data: entry.data });
+      rows.push({ ...document, path: targetPath });
+    } else if (referencesTrusted) {
+      rows.push(document);
+    } else {
+      rejected.push({ document_id: document.id, reason: 'unverified_file_reference' });
+    }
+  }
+
+  return { rows, uploads, rejected };
+}
+
+async function filterMissingRows(tenantClient, table, rows, errors) {
+  const ids = rows.map((row) => row.id).filter(Boolean);
+  const { data, error } = await tenantClient
+    .from(table)
+    .select('id')
+    .in('id', ids);
+
+  if (error) {
+    errors.push({ table, operation: 'read', message: error.message });
+    return [];
+  }
+
+  const existing = new Set((data || []).map((row) => row.id));
+  return rows.filter((row) => !existing.has(row.id));
+}
+
+/**
+ * Validate the optional restore scope from the request body.
+ * @param {object} raw - { type: 'full'|'student'|'table', student_id?, table? }
+ * @returns {{ scope: object } | { error: string }}
+ */
+export function parseRestoreScope(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { scope: { type: RESTORE_SCOPES.FULL } };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'invalid_restore_scope' };
+  }
+
+  const type = typeof raw.type === 'string' ? raw.type.trim().toLowerCase() : RESTORE_SCOPES.FULL;
+
+  if (type === RESTORE_SCOPES.FULL) {
+    return { scope: { type } };
+  }
+
+  if (type === RESTORE_SCOPES.STUDENT) {
+    const studentId = typeof raw.student_id === 'string' ? raw.student_id.trim() : '';
+    if (!studentId) {
+      return { error: 'missing_student_id' };
+    }
+    return { scope: { type, student_id: studentId } };
+  }
+
+  if (type === RESTORE_SCOPES.TABLE) {
+    const table = typeof raw.table === 'string' ? raw.table.trim() : '';
+    if (!RESTORABLE_TABLES.includes(table)) {
+      return { error: 'invalid_restore_table' };
+    }
+    return { scope: { type, table } };
+  }
+
+  return { error: 'invalid_restore_scope' };
+}
+
+/**
+ * Narrow a manifest to a restore scope.
+ *
+ * A student scope keeps that student, their SessionRecords, SessionExceptions, StudentGoals and student Documents,
+ * plus the Instructors they point at as insert-only dependencies (so the FK holds
+ * without overwriting current instructor data). The file list and its signature are
+ * kept whole so references can still be verified.
+ *
+ * @returns {{ manifest: object } | { error: string }}
+ */
+export function scopeManifest(manifest, scope) {
+  if (!scope || scope.type === RESTORE_SCOPES.FULL) {
+    return { manifest };
+  }
+
+  if (scope.type === RESTORE_SCOPES.TABLE) {
+    const rows = manifest.tables?.[scope.table];
+    if (!Array.isArray(rows)) {
+      return { error: 'table_not_in_backup' };
+    }
+    return {
+      manifest: {
+        ...manifest,
+        tables: { [scope.table]: rows },
+        restore_scope: { type: scope.type, table: scope.table },
+      },
+    };
+  }
+
+  const students = Array.isArray(manifest.tables?.Students) ? manifest.tables.Students : [];
+  const student = students.find((row) => row?.id === scope.student_id);
+  if (!student) {
+    return { error: 'student_not_in_backup' };
+  }
+
+  const sessions = (manifest.tables.SessionRecords || []).filter((row) => row?.student_id === student.id);
+  const instructorIds = new Set(
+    [student.assigned_instructor_id, ...sessions.map((row) => row?.instructor_id)].filter(Boolean),
+  );
+  const tables = {
+    Instructors: (manifest.tables.Instructors || []).filter((row) => instructorIds.has(row?.id)),
+    Students: [student],
+    SessionRecords: sessions,
+  };
+
+  if (Array.isArray(manifest.tables.SessionExceptions)) {
+    tables.SessionExceptions = manifest.tables.SessionExceptions.filter((row) => row?.student_id === student.id);
+  }
+
+  if (Array.isArray(manifest.tables.StudentGoals)) {
+    tables.StudentGoals = manifest.tables.StudentGoals.filter((row) => row?.student_id === student.id);
+  }
+
+  if (Array.isArray(manifest.tables.BillingStatements)) {
+    tables.BillingStatements = manifest.tables.BillingStatements.filter((row) => row?.student_id === student.id);
+    const statementIds = new Set(tables.BillingStatements.map((row) => row.id));
+    tables.BillingLineItems = (manifest.tables.BillingLineItems || []).filter((row) => statementIds.has(row?.statement_id));
+  }
+
+  if (Array.isArray(manifest.tables.Documents)) {
+    tables.Documents = manifest.tables.Documents.filter(
+      (row) => row?.entity_type === 'student' && row?.entity_id === student.id,
+    );
+  }
+
+  return {
+    manifest: {
+      ...manifest,
+      tables,
+      restore_scope: { type: scope.type, student_id: student.id, insert_only: ['Instructors'] },
+    },
+  };
+}
+
+/**
+ * List the students contained in a backup for the selective-restore picker.
+ * @returns {Array<{ id, name, national_id, is_active, sessions_count, documents_count }>}
+ */
+export function listBackupStudents(manifest) {
+  const students = Array.isArray(manifest?.tables?.Students) ? manifest.tables.Students : [];
+  const sessionCounts = new Map();
+  for (const row of manifest?.tables?.SessionRecords || []) {
+    if (row?.student_id && !row.deleted) {
+      sessionCounts.set(row.student_id, (sessionCounts.get(row.student_id) || 0) + 1);
+    }
+  }
+  const documentCounts = new Map();
+  for (const row of manifest?.tables?.Documents || []) {
+    if (row?.entity_type === 'student' && row?.entity_id) {
+      documentCounts.set(row.entity_id, (documentCounts.get(row.entity_id) || 0) + 1);
+    }
+  }
+
+  return students
+    .filter((row) => row?.id)
+    .map((row) => ({
+      id: row.id,
+      name: row.name || '',
+      national_id: row.national_id || null,
+      is_active: row.is_active !== false,
+      sessions_count: sessionCounts.get(row.id) || 0,
+      documents_count: documentCounts.get(row.id) || 0,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name, 'he'));
+}
+
 /**
  * Restore data from backup manifest into tenant DB
+ *
+ * Dependency order: Settings → Instructors → Students → SessionRecords → SessionExceptions → StudentGoals → PayrollApprovals → BillingStatements
+ * → BillingLineItems, then bundled
+ * files are written to storage and only afterwards the Documents rows that point at them.
+ *
  * @param {object} tenantClient - Supabase tenant client
  * @param {object} manifest - Validated backup manifest
- * @param {object} options - { clearExisting: boolean }
- * @returns {Promise<{ restored: number, errors: array }>}
+ * @param {object} options - { clearExisting, targetOrgId, storageDriver, signingSecret }
+ * @returns {Promise<{ restored: number, errors: array, files: object }>}
  */
-export async function restoreTenantData(tenantClient, manifest, { clearExisting = false } = {}) {
+export async function restoreTenantData(tenantClient, manifest, {
+  clearExisting = false,
+  targetOrgId = manifest?.org_id,
+  storageDriver = null,
+  signingSecret = '',
+} = {}) {
   const results = {
     restored: 0,
     errors: [],
+    files: {
+      uploaded: 0,
+      referenced: 0,
+      skipped: 0,
+    },
   };
 
-  // Restore in dependency order: Settings first (no FK deps), then Instructors, then Students (FK to Instructors), then SessionRecords (FK to Students and Instructors)
-  const tables = ['Settings', 'Instructors', 'Students', 'SessionRecords'];
-
-  for (const table of tables) {
-    const rows = manifest.tables[table] || [];
-    if (!rows.length) continue;
-
+  const restoreRows = async (table, rows, { clear = clearExisting } = {}) => {
     try {
-      if (clearExisting) {
+      if (clear) {
         const { error: deleteError } = await tenantClient
           .from(table)
           .delete()
@@ -165,23 +566,223 @@ export async function restoreTenantData(tenantClient, manifest, { clearExisting
 
         if (deleteError) {
           results.errors.push({ table, operation: 'clear', message: deleteError.message });
-          continue;
+          return false;
         }
       }
 
+      if (!rows.length) return true;
+
       const { error: insertError } = await tenantClient
         .from(table)
         .upsert(rows, { onConflict: 'id' });
 
       if (insertError) {
         results.errors.push({ table, operation: 'upsert', message: insertError.message });
-      } else {
-        results.restored += rows.length;
+        return false;
       }
+      results.restored += rows.length;
+      return true;
     } catch (err) {
       results.errors.push({ table, operation: 'restore', message: err.message });
+      return false;
+    }
+  };
+
+  const insertOnly = new Set(manifest.restore_scope?.insert_only || []);
+
+  for (const table of RESTORE_TABLE_ORDER) {
+    const rows = manifest.tables[table] || [];
+    if (!rows.length) continue;
+
+    if (insertOnly.has(table)) {
+      // Dependencies of a scoped restore are only added when missing; existing rows stay as they are
+      const missing = await filterMissingRows(tenantClient, table, rows, results.errors);
+      if (missing.length) await restoreRows(table, missing, { clear: false });
+      continue;
+    }
+
+    await restoreRows(table, rows);
+  }
+
+  // Documents reference Students/Instructors and stored files, so they go last.
+  // Backups from before Documents were included have no such table; leave existing rows alone.
+  if (!Array.isArray(manifest.tables.Documents) || !manifest.tables.Documents.length) {
+    return results;
+  }
+
+  const plan = planDocumentRestore(manifest, { targetOrgId, signingSecret });
+  const documentRows = [];
+  const rowsById = new Map(plan.rows.map((row) => [row.id, row]));
+  const uploadedIds = new Set();
+
+  if (plan.uploads.length && !storageDriver) {
+    results.errors.push({ table: 'Documents', operation: 'upload', message: 'storage_not_configured' });
+  }
+
+  for (const upload of storageDriver ? plan.uploads : []) {
+    try {
+      await storageDriver.upload(upload.path, Buffer.from(upload.data, 'base64'), upload.type || 'application/octet-stream');
+      uploadedIds.add(upload.document_id);
+      results.files.uploaded += 1;
+    } catch (err) {
+      results.errors.push({ table: 'Documents', operation: 'upload', document_id: upload.document_id, message: err.message });
     }
   }
 
+  const bundledIds = new Set(plan.uploads.map((upload) => upload.document_id));
+  for (const [id, row] of rowsById) {
+    if (bundledIds.has(id)) {
+      if (uploadedIds.has(id)) documentRows.push(row);
+      else results.files.skipped += 1;
+    } else {
+      documentRows.push(row);
+      results.files.referenced += 1;
+    }
+  }
+
+  if (plan.rejected.length) {
+    results.files.skipped += plan.rejected.length;
+    results.errors.push({
+      table: 'Documents',
+      operation: 'verify',
+      message: 'unverified_file_reference',
+      count: plan.rejected.length,
+    });
+  }
+
+  // Never clear existing Documents when nothing from the backup could be restored
+  if (documentRows.length) {
+    await restoreRows('Documents', documentRows);
+  }
+
   return results;
 }
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((entry) => stableStringify(entry)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function describeRow(row) {
+  return row?.name || row?.key || row?.original_name || row?.date || null;
+}
+
+function diffTableRows(incomingRows, existingRows, { clearExisting, insertOnly = false }) {
+  const existingById = new Map(existingRows.map((row) => [row.id, row]));
+  const incomingIds = new Set();
+  const summary = {
+    incoming: incomingRows.length,
+    existing: existingRows.length,
+    insert: 0,
+    update: 0,
+    unchanged: 0,
+    delete: 0,
+    conflicts: [],
+  };
+
+  for (const row of incomingRows) {
+    incomingIds.add(row.id);
+    const current = existingById.get(row.id);
+    if (!current) {
+      summary.insert += 1;
+      continue;
+    }
+
+    if (insertOnly) {
+      summary.unchanged += 1;
+      continue;
+    }
+
+    const changedFields = Object.keys(row).filter((key) => stableStringify(row[key]) !== stableStringify(current[key]));
+    if (!changedFields.length) {
+      summary.unchanged += 1;
+      continue;
+    }
+
+    summary.update += 1;
+    if (summary.conflicts.length < PREVIEW_CONFLICT_SAMPLE_SIZE) {
+      summary.conflicts.push({
+        id: row.id,
+        label: describeRow(current) || describeRow(row),
+        changed_fields: changedFields,
+      });
+    }
+  }
+
+  // Clearing wipes the whole table before the upsert, so every row missing from the backup is lost
+  if (clearExisting && !insertOnly) {
+    summary.delete = existingRows.filter((row) => !incomingIds.has(row.id)).length;
+  }
+
+  return summary;
+}
+
+/**
+ * Dry-run a restore: compare the manifest against the tenant DB without writing anything.
+ *
+ * Mirrors restoreTenantData's decisions (tables with no rows are skipped, Documents
+ * only include rows whose files can be restored) so the counts match what will happen.
+ *
+ * @param {object} tenantClient - Supabase tenant client
+ * @param {object} manifest - Validated backup manifest
+ * @param {object} options - { clearExisting, targetOrgId, signingSecret }
+ * @returns {Promise<{ tables: object, files: object, totals: object, errors: array }>}
+ */
+export async function previewTenantRestore(tenantClient, manifest, {
+  clearExisting = false,
+  targetOrgId = manifest?.org_id,
+  signingSecret = '',
+} = {}) {
+  const preview = {
+    clear_existing: clearExisting,
+    tables: {},
+    files: null,
+    scope: manifest.restore_scope || { type: RESTORE_SCOPES.FULL },
+    totals: { insert: 0, update: 0, unchanged: 0, delete: 0 },
+    errors: [],
+  };
+
+  const insertOnly = new Set(manifest.restore_scope?.insert_only || []);
+  const incomingByTable = {};
+  for (const table of RESTORE_TABLE_ORDER) {
+    incomingByTable[table] = manifest.tables[table] || [];
+  }
+
+  if (Array.isArray(manifest.tables.Documents) && manifest.tables.Documents.length) {
+    const plan = planDocumentRestore(manifest, { targetOrgId, signingSecret });
+    incomingByTable.Documents = plan.rows;
+    preview.files = {
+      bundled: plan.uploads.length,
+      referenced: plan.rows.length - plan.uploads.length,
+      rejected: plan.rejected.length,
+    };
+  }
+
+  for (const [table, incomingRows] of Object.entries(incomingByTable)) {
+    if (!incomingRows.length) continue;
+
+    const loaded = await loadAllRows(() => tenantClient.from(table).select('*').order('id'));
+    if (loaded.error) {
+      preview.errors.push({ table, operation: 'read', message: loaded.error.message });
+      continue;
+    }
+    if (loaded.truncated) {
+      preview.errors.push({ table, operation: 'read', message: 'too_many_rows' });
+      continue;
+    }
+
+    const summary = diffTableRows(incomingRows, loaded.data, { clearExisting, insertOnly: insertOnly.has(table) });
+    preview.tables[table] = summary;
+    preview.totals.insert += summary.insert;
+    preview.totals.update += summary.update;
+    preview.totals.unchanged += summary.unchanged;
+    preview.totals.delete += summary.delete;
+  }
+
+  return preview;
+}
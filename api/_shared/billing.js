@@ -0,0 +1,537 @@
+/* eslint-env node */
+/**
+ * Billing: monthly statements per student built from documented sessions.
+ *
+ * Prices live in the `billing_settings` setting: a price list per service with effective
+ * dates, and optional per-student overrides (payer and prices). A billing run turns the
+ * month's non-deleted, non-cancelled SessionRecords into draft statements with one line
+ * item per session. Drafts are rebuilt on every run; issued and paid statements are kept
+ * and their sessions are never billed again.
+ */
+
+import { UUID_PATTERN, normalizeString } from './org-bff.js';
+import { escapeHtml, renderLogoSection } from './pdf-export.js';
+import { monthBounds } from './payroll.js';
+import { NO_SERVICE_LABEL, toMonthKey } from './reports.js';
+import { listScheduledOccurrences } from './student-schedule.js';
+
+export const BILLING_SETTINGS_KEY = 'billing_settings';
+export const DEFAULT_CURRENCY = 'ILS';
+
+export const BILLING_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  ISSUED: 'issued',
+  PAID: 'paid',
+});
+
+// Statements only move forward: a draft is issued, an issued statement is paid
+const STATUS_TRANSITIONS = Object.freeze({
+  [BILLING_STATUS.DRAFT]: [BILLING_STATUS.ISSUED],
+  [BILLING_STATUS.ISSUED]: [BILLING_STATUS.PAID],
+  [BILLING_STATUS.PAID]: [],
+});
+
+export const PAYER_TYPES = Object.freeze({
+  PARENT: 'parent',
+  FUNDING_BODY: 'funding_body',
+});
+
+export const BILLED_SESSION_ERROR = 'session_billed';
+// Fields a statement was priced from; they stay fixed once the statement is issued
+export const BILLED_SESSION_FIELDS = Object.freeze(['date', 'service_context']);
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PRICE = 100000;
+const ALL_SERVICES = '*';
+
+const STATUS_LABELS = Object.freeze({ draft: 'טיוטה', issued: 'הופק', paid: 'שולם' });
+const PAYER_LABELS = Object.freeze({ parent: 'הורה', funding_body: 'גורם מממן' });
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Money is summed in agorot so totals do not drift
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * A price in the org currency with up to two decimals, or null when invalid.
+ */
+export function normalizePrice(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(numeric) || numeric < 0 || numeric > MAX_PRICE) {
+    return null;
+  }
+  return fromCents(toCents(numeric));
+}
+
+function normalizeEffectiveDate(value) {
+  const normalized = normalizeString(value).slice(0, 10);
+  if (!normalized) {
+    // Without a date the price applies to every session
+    return '0000-01-01';
+  }
+  if (!DATE_PATTERN.test(normalized) || Number.isNaN(new Date(`${normalized}T00:00:00Z`).getTime())) {
+    return null;
+  }
+  return normalized;
+}
+
+function normalizePriceEntries(entries, { allowAllServices = false } = {}) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+  const normalized = [];
+  for (const entry of entries) {
+    if (!isPlainObject(entry)) continue;
+    const service = normalizeString(entry.service) || (allowAllServices ? ALL_SERVICES : '');
+    const price = normalizePrice(entry.price);
+    const effectiveFrom = normalizeEffectiveDate(entry.effective_from);
+    if (!service || price === null || !effectiveFrom) continue;
+    normalized.push({ service, price, effective_from: effectiveFrom });
+  }
+  return normalized.sort((a, b) => a.service.localeCompare(b.service, 'he') || a.effective_from.localeCompare(b.effective_from));
+}
+
+/**
+ * Normalizes the `billing_settings` value. Invalid entries are dropped.
+ * @returns {{ currency: string, price_list: object[], student_overrides: object[] }}
+ */
+export function normalizeBillingSettings(value) {
+  const source = isPlainObject(value) ? value : {};
+  const overrides = [];
+  const seenStudents = new Set();
+  for (const entry of Array.isArray(source.student_overrides) ? source.student_overrides : []) {
+    if (!isPlainObject(entry)) continue;
+    const studentId = normalizeString(entry.student_id);
+    if (!UUID_PATTERN.test(studentId) || seenStudents.has(studentId)) continue;
+    seenStudents.add(studentId);
+    const payerType = Object.values(PAYER_TYPES).includes(entry.payer_type) ? entry.payer_type : null;
+    overrides.push({
+      student_id: studentId,
+      payer_type: payerType,
+      payer_name: normalizeString(entry.payer_name) || null,
+      prices: normalizePriceEntries(entry.prices, { allowAllServices: true }),
+    });
+  }
+
+  const currency = normalizeString(source.currency).toUpperCase();
+  return {
+    currency: /^[A-Z]{3}$/.test(currency) ? currency : DEFAULT_CURRENCY,
+    price_list: normalizePriceEntries(source.price_list),
+    student_overrides: overrides,
+  };
+}
+
+export function hasBillingPrices(settings) {
+  return settings.price_list.length > 0 || settings.student_overrides.some((entry) => entry.prices.length > 0);
+}
+
+// The entry in effect on a date: the latest effective_from that is not after it
+function findEffectiveEntry(entries, service, isoDate) {
+  let match = null;
+  for (const entry of entries) {
+    if (entry.service !== service || entry.effective_from > isoDate) continue;
+    if (!match || entry.effective_from > match.effective_from) {
+      match = entry;
+    }
+  }
+  return match;
+}
+
+/**
+ * Price of one session: the student's override for the service, then the student's
+ * all-services override, then the service price list.
+ * @returns {{ price: number, source: 'student'|'service' } | null} null when the session has no price
+ */
+export function resolveSessionPrice(record, { settings, override = null, service = null }) {
+  const isoDate = normalizeString(record?.date).slice(0, 10);
+  const serviceName = normalizeString(service ?? record?.service_context);
+  const studentPrices = override?.prices || [];
+
+  const studentEntry = (serviceName && findEffectiveEntry(studentPrices, serviceName, isoDate))
+    || findEffectiveEntry(studentPrices, ALL_SERVICES, isoDate);
+  if (studentEntry) {
+    return { price: studentEntry.price, source: 'student' };
+  }
+
+  const serviceEntry = serviceName ? findEffectiveEntry(settings.price_list, serviceName, isoDate) : null;
+  return serviceEntry ? { price: serviceEntry.price, source: 'service' } : null;
+}
+
+function parseMonth(raw, today) {
+  const normalized = normalizeString(raw);
+  if (!normalized) {
+    return { value: toMonthKey(today.toISOString()) };
+  }
+  return MONTH_PATTERN.test(normalized) ? { value: normalized } : { error: 'invalid_month' };
+}
+
+/**
+ * Parses GET /api/billing. Without a month the current one is used.
+ * @returns {{ value: { month, from, to } } | { error: string }}
+ */
+export function parseBillingQuery(query = {}, today = new Date()) {
+  const month = parseMonth(query?.month, today);
+  if (month.error) {
+    return { error: month.error };
+  }
+  return { value: { month: month.value, ...monthBounds(month.value) } };
+}
+
+/**
+ * Parses POST /api/billing `{ action: 'run', month }`. A month can be billed once it has started.
+ * @returns {{ value: { month, from, to } } | { error: string }}
+ */
+export function parseBillingRun(body = {}, today = new Date()) {
+  if (normalizeString(body?.action).toLowerCase() !== 'run') {
+    return { error: 'invalid_action' };
+  }
+  const month = normalizeString(body?.month);
+  if (!MONTH_PATTERN.test(month)) {
+    return { error: 'invalid_month' };
+  }
+  if (month > toMonthKey(today.toISOString())) {
+    return { error: 'month_in_future' };
+  }
+  return { value: { month, ...monthBounds(month) } };
+}
+
+/**
+ * Validates a PATCH status change against the current status.
+ * @returns {{ value: string } | { error: string }}
+ */
+export function parseStatusChange(body = {}, currentStatus) {
+  const status = normalizeString(body?.status).toLowerCase();
+  if (!Object.values(BILLING_STATUS).includes(status)) {
+    return { error: 'invalid_status' };
+  }
+  if (!(STATUS_TRANSITIONS[currentStatus] || []).includes(status)) {
+    return { error: 'invalid_status_transition' };
+  }
+  return { value: status };
+}
+
+/**
+ * Counts, per `student_id|date`, the cancelled slots and the slots still held that day.
+ * Records carry no slot id, so as in the attendance views a day's records document the
+ * held slots first; only records beyond those count as the cancelled slots' sessions.
+ * @returns {Map<string, { cancelled: number, open: number }>}
+ */
+export function countCancelledSlotsByDay(cancellations, studentsById) {
+  const slotIdsByDay = new Map();
+  for (const row of Array.isArray(cancellations) ? cancellations : []) {
+    const studentId = normalizeString(row?.student_id);
+    const isoDate = normalizeString(row?.date).slice(0, 10);
+    if (!studentId || !isoDate) continue;
+    const key = `${studentId}|${isoDate}`;
+    if (!slotIdsByDay.has(key)) slotIdsByDay.set(key, new Set());
+    slotIdsByDay.get(key).add(normalizeString(row?.slot_id));
+  }
+
+  const counts = new Map();
+  for (const [key, slotIds] of slotIdsByDay) {
+    const [studentId, isoDate] = key.split('|');
+    const student = studentsById.get(studentId);
+    const dayOfWeek = new Date(`${isoDate}T00:00:00Z`).getUTCDay() + 1;
+    const occurrences = student ? listScheduledOccurrences([student], isoDate, dayOfWeek) : [];
+    const open = occurrences.filter((occurrence) => !slotIds.has(occurrence.slot.id)).length;
+    counts.set(key, { cancelled: slotIds.size, open });
+  }
+  return counts;
+}
+
+/**
+ * Builds the draft statements of a billing run.
+ * @param {object[]} records - The month's non-deleted SessionRecords with a student (id, date, student_id, service_context)
+ * @param {{ students: object[], settings: object, cancellations: object[], billedSessionIds: Set<string> }} options
+ *   cancellations are the month's cancelled SessionExceptions (student_id, date, slot_id); billedSessionIds the sessions already on issued/paid statements.
+ * @returns {{ statements: object[], unpriced: object[], skipped: { cancelled: number, already_billed: number } }}
+ */
+export function buildBillingRun(records, { students = [], settings, cancellations = [], billedSessionIds = new Set() }) {
+  const studentsById = new Map(students.map((student) => [normalizeString(student.id), student]));
+  const cancelledByDay = countCancelledSlotsByDay(cancellations, studentsById);
+  const recordsSeenByDay = new Map();
+  const overridesById = new Map(settings.student_overrides.map((entry) => [entry.student_id, entry]));
+  const statementsByStudent = new Map();
+  const unpriced = [];
+  const skipped = { cancelled: 0, already_billed: 0 };
+
+  const ordered = [...records].sort((a, b) => String(a.date).localeCompare(String(b.date)) || String(a.id).localeCompare(String(b.id)));
+  for (const record of ordered) {
+    const studentId = normalizeString(record.student_id);
+    const student = studentsById.get(studentId);
+    if (!student) continue;
+
+    const isoDate = normalizeString(record.date).slice(0, 10);
+    if (billedSessionIds.has(normalizeString(record.id))) {
+      skipped.already_billed += 1;
+      continue;
+    }
+    const dayKey = `${studentId}|${isoDate}`;
+    const dayIndex = recordsSeenByDay.get(dayKey) || 0;
+    recordsSeenByDay.set(dayKey, dayIndex + 1);
+    const cancelledDay = cancelledByDay.get(dayKey);
+    if (cancelledDay && dayIndex >= cancelledDay.open && dayIndex < cancelledDay.open + cancelledDay.cancelled) {
+      skipped.cancelled += 1;
+      continue;
+    }
+
+    const override = overridesById.get(studentId) || null;
+    const service = normalizeString(record.service_context) || normalizeString(student.default_service) || null;
+    const priced = resolveSessionPrice(record, { settings, override, service });
+    if (!priced) {
+      unpriced.push({ session_id: record.id, student_id: studentId, student_name: student.name || '', date: isoDate, service });
+      continue;
+    }
+
+    if (!statementsByStudent.has(studentId)) {
+      statementsByStudent.set(studentId, {
+        student_id: studentId,
+        student_name: student.name || '',
+        payer_type: override?.payer_type || PAYER_TYPES.PARENT,
+        payer_name: override?.payer_name || normalizeString(student.contact_name) || null,
+        currency: settings.currency,
+        lines: [],
+      });
+    }
+    statementsByStudent.get(studentId).lines.push({
+      session_id: record.id,
+      date: isoDate,
+      service,
+      description: `מפגש ${service || NO_SERVICE_LABEL}`,
+      quantity: 1,
+      unit_price: priced.price,
+      amount: priced.price,
+      price_source: priced.source,
+    });
+  }
+
+  const statements = [...statementsByStudent.values()]
+    .map((statement) => ({
+      ...statement,
+      total_amount: fromCents(statement.lines.reduce((sum, line) => sum + toCents(line.amount), 0)),
+    }))
+    .sort((a, b) => a.student_name.localeCompare(b.student_name, 'he'));
+
+  return { statements, unpriced, skipped };
+}
+
+/**
+ * Amount with the currency symbol, e.g. ‏250.00 ₪.
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  try {
+    return new Intl.NumberFormat('he-IL', { style: 'currency', currency }).format(Number(amount) || 0);
+  } catch {
+    return `${(Number(amount) || 0).toFixed(2)} ${currency}`;
+  }
+}
+
+function formatIsoDate(isoDate) {
+  const [year, month, day] = String(isoDate || '').slice(0, 10).split('-');
+  return year && month && day ? `${day}/${month}/${year}` : '';
+}
+
+/**
+ * Safe PDF file name for a statement.
+ */
+export function buildStatementFilename(statement) {
+  const safeName = String(statement?.student_name || 'student')
+    .replace(/[^א-תa-zA-Z0-9\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '_');
+  return `${safeName || 'student'}_Billing_${statement?.month || ''}.pdf`;
+}
+
+/**
+ * HTML of the billing statement PDF: payer and student details, one row per session and the total.
+ */
+export function generateStatementHtml(statement, lines, logos, { generatedAt = new Date() } = {}) {
+  const currency = statement.currency || DEFAULT_CURRENCY;
+  const rowsHtml = lines.map((line) => `
+        <tr>
+          <td>${escapeHtml(formatIsoDate(line.date))}</td>
+          <td>${escapeHtml(line.description || line.service || NO_SERVICE_LABEL)}</td>
+          <td class="number">${escapeHtml(String(line.quantity))}</td>
+          <td class="number">${escapeHtml(formatMoney(line.unit_price, currency))}</td>
+          <td class="number">${escapeHtml(formatMoney(line.amount, currency))}</td>
+        </tr>
+  `).join('');
+
+  return `
+<!DOCTYPE html>
+<html dir="rtl" lang="he">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>דף חיוב - ${escapeHtml(statement.student_name)} - ${escapeHtml(statement.month)}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: 'Arial', 'Tahoma', 'Noto Sans Hebrew', sans-serif;
+      direction: rtl;
+      background: white;
+      color: #1a1a1a;
+      padding: 40px;
+      line-height: 1.6;
+    }
+    .header {
+      border-bottom: 3px solid #4f46e5;
+      padding-bottom: 20px;
+      margin-bottom: 30px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    .header-logos { display: flex; gap: 20px; align-items: center; }
+    .logo, .logo-single { height: 50px; width: auto; object-fit: contain; }
+    h1 { font-size: 24px; margin-bottom: 5px; }
+    .subtitle { font-size: 14px; color: #666; }
+    .status { display: inline-block; margin-top: 6px; font-size: 12px; font-weight: 600; color: #4f46e5; }
+    .details {
+      background: #f8f9fa;
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 30px;
+      display: grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap: 15px;
+    }
+    .info-label { font-size: 12px; color: #666; font-weight: 600; }
+    .info-value { font-size: 14px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th { text-align: right; background: #eef2ff; color: #3730a3; padding: 8px; border-bottom: 2px solid #c7d2fe; }
+    td { padding: 8px; border-bottom: 1px solid #e5e7eb; }
+    tr { page-break-inside: avoid; }
+    .number { text-align: left; direction: ltr; white-space: nowrap; }
+    .total-row td { font-weight: 700; font-size: 15px; border-top: 2px solid #4f46e5; border-bottom: none; }
+    .footer {
+      margin-top: 40px;
+      padding-top: 20px;
+      border-top: 1px solid #e5e7eb;
+      text-align: center;
+      font-size: 11px;
+      color: #999;
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div class="header-info">
+      <h1>דף חיוב</h1>
+      <p class="subtitle">חודש ${escapeHtml(statement.month)} · נוצר ב-${escapeHtml(formatIsoDate(generatedAt.toISOString()))}</p>
+      <span class="status">${escapeHtml(STATUS_LABELS[statement.status] || statement.status)}</span>
+    </div>
+    ${renderLogoSection(logos)}
+  </div>
+
+  <div class="details">
+    <div>
+      <div class="info-label">לכבוד</div>
+      <div class="info-value">${escapeHtml(statement.payer_name || PAYER_LABELS[statement.payer_type] || '')}</div>
+    </div>
+    <div>
+      <div class="info-label">סוג משלם</div>
+      <div class="info-value">${escapeHtml(PAYER_LABELS[statement.payer_type] || statement.payer_type)}</div>
+    </div>
+    <div>
+      <div class="info-label">שם התלמיד</div>
+      <div class="info-value">${escapeHtml(statement.student_name)}</div>
+    </div>
+    ${statement.issued_at ? `
+    <div>
+      <div class="info-label">תאריך הפקה</div>
+      <div class="info-value">${escapeHtml(formatIsoDate(statement.issued_at))}</div>
+    </div>
+    ` : ''}
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>תאריך</th>
+        <th>תיאור</th>
+        <th>כמות</th>
+        <th>מחיר ליחידה</th>
+        <th>סכום</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${rowsHtml}
+      <tr class="total-row">
+        <td colspan="4">סה״כ לתשלום (${lines.length} מפגשים)</td>
+        <td class="number">${escapeHtml(formatMoney(statement.total_amount, currency))}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  <div class="footer">
+    <p>מסמך זה נוצר באמצעות מערכת TutTiud לניהול רישומי מפגשים</p>
+  </div>
+</body>
+</html>
+  `;
+}
+
+// Session ids per `.in()` lookup, to keep request URLs short
+const BILLED_LOOKUP_CHUNK = 200;
+
+/**
+ * Whether any of the sessions sits on an issued or paid statement, which locks its date, service and deletion.
+ * A tenant without the billing tables (setup script not re-run) has nothing billed.
+ * @param {string[]} sessionIds
+ * @returns {Promise<{ billed: boolean }>}
+ */
+export async function findBilledSessions(context, tenantClient, sessionIds) {
+  const ids = [...new Set((sessionIds || []).filter(Boolean))];
+  for (let index = 0; index < ids.length; index += BILLED_LOOKUP_CHUNK) {
+    const chunk = ids.slice(index, index + BILLED_LOOKUP_CHUNK);
+    const { data: lines, error } = await tenantClient
+      .from('BillingLineItems')
+      .select('statement_id')
+      .in('session_id', chunk);
+
+    if (error) {
+      context?.log?.warn?.('billing failed to check billed sessions', { message: error.message });
+      return { billed: false };
+    }
+    const statementIds = [...new Set((lines || []).map((line) => line.statement_id))];
+    if (!statementIds.length) {
+      continue;
+    }
+
+    const { data: statements, error: statementsError } = await tenantClient
+      .from('BillingStatements')
+      .select('id')
+      .in('id', statementIds)
+      .neq('status', BILLING_STATUS.DRAFT);
+
+    if (statementsError) {
+      context?.log?.warn?.('billing failed to check billed sessions', { message: statementsError.message });
+      return { billed: false };
+    }
+    if (statements?.length) {
+      return { billed: true };
+    }
+  }
+  return { billed: false };
+}
+
+/**
+ * Single-session form of findBilledSessions.
+ * @returns {Promise<{ billed: boolean }>}
+ */
+export function findBilledSession(context, tenantClient, sessionId) {
+  return findBilledSessions(context, tenantClient, [sessionId]);
+}
@@ -0,0 +1,240 @@
+/* eslint-env node */
+/**
+ * Background export jobs, stored in tuttiud."ExportJobs".
+ *
+ * Azure Functions cut HTTP requests off long before a term's worth of PDFs is rendered, so a
+ * batch export is split into steps. Creating a job stores the selected students as pending
+ * items; each poll of the job that finds it unleased renders the next few PDFs into the org's
+ * storage, and the step after the last student packs them into one ZIP. The lease keeps two
+ * overlapping polls from rendering the same students.
+ */
+
+import archiver from 'archiver';
+import { UUID_PATTERN, normalizeString } from './org-bff.js';
+import { parseRecordsExportOptions, sanitizeStudentName } from './student-pdf.js';
+
+export const EXPORT_JOB_KINDS = Object.freeze({
+  STUDENT_PDF_BATCH: 'student_pdf_batch',
+});
+
+export const EXPORT_JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+});
+
+export const EXPORT_ITEM_STATUS = Object.freeze({
+  PENDING: 'pending',
+  DONE: 'done',
+  // No sessions in the selected range, so no PDF
+  EMPTY: 'empty',
+  FAILED: 'failed',
+});
+
+export const ACTIVE_JOB_STATUSES = Object.freeze([EXPORT_JOB_STATUS.QUEUED, EXPORT_JOB_STATUS.RUNNING]);
+
+export const MAX_BATCH_STUDENTS = 500;
+// A step must finish well inside the HTTP timeout of the functions host
+export const STEP_TIME_BUDGET_MS = 20000;
+export const MAX_STUDENTS_PER_STEP = 10;
+export const JOB_LEASE_SECONDS = 90;
+export const EXPORT_RETENTION_HOURS = 24;
+
+function parseIdList(value) {
+  const raw = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  return [...new Set(raw.map((entry) => normalizeString(entry)).filter(Boolean))];
+}
+
+/**
+ * Parses POST /api/students-export-batch.
+ * Students are the active ones (or all, with include_inactive) assigned to any of `instructor_ids`
+ * and tagged with any of `tag_ids`; empty lists do not filter. Each PDF takes the same options as
+ * /api/students-export (see parseRecordsExportOptions).
+ * @returns {{ value: { from, to, services, questionIds, includeSummary, instructorIds, tagIds, includeInactive } } | { error: string }}
+ */
+export function parseBatchExportRequest(body = {}) {
+  const options = parseRecordsExportOptions(body);
+  if (options.error) {
+    return { error: options.error };
+  }
+
+  const instructorIds = parseIdList(body?.instructor_ids);
+  if (instructorIds.some((id) => !UUID_PATTERN.test(id))) {
+    return { error: 'invalid_instructor_id' };
+  }
+
+  return {
+    value: {
+      ...options.value,
+      instructorIds,
+      tagIds: parseIdList(body?.tag_ids),
+      includeInactive: body?.include_inactive === true,
+    },
+  };
+}
+
+/**
+ * The students a batch covers, sorted by name.
+ */
+export function selectBatchStudents(students, { instructorIds = [], tagIds = [], includeInactive = false } = {}) {
+  return (Array.isArray(students) ? students : [])
+    .filter((student) => {
+      if (!includeInactive && student.is_active === false) {
+        return false;
+      }
+      if (instructorIds.length && !instructorIds.includes(normalizeString(student.assigned_instructor_id))) {
+        return false;
+      }
+      if (tagIds.length) {
+        const studentTags = Array.isArray(student.tags) ? student.tags : [];
+        if (!tagIds.some((tagId) => studentTags.includes(tagId))) {
+          return false;
+        }
+      }
+      return true;
+    })
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'he'));
+}
+
+/**
+ * Pending job items, one per student.
+ */
+export function buildBatchItems(students) {
+  return students.map((student) => ({
+    student_id: student.id,
+    name: student.name || '',
+    status: EXPORT_ITEM_STATUS.PENDING,
+    path: null,
+    sessions: null,
+    error: null,
+  }));
+}
+
+/**
+ * Storage folder of a job's files, next to the org's backups.
+ */
+export function buildExportJobPrefix(orgId, storageMode, jobId) {
+  return storageMode === 'managed'
+    ? `managed/${orgId}/exports/${jobId}`
+    : `exports/${orgId}/${jobId}`;
+}
+
+/**
+ * File names inside the ZIP; students with the same name get a numbered suffix.
+ */
+export function buildZipEntryNames(items) {
+  const used = new Map();
+  return items.map((item) => {
+    const base = sanitizeStudentName(item.name || '') || 'student';
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    return count === 1 ? `${base}_Records.pdf` : `${base}_${count}_Records.pdf`;
+  });
+}
+
+export function buildBatchZipName(job) {
+  const range = [job.params?.from, job.params?.to].filter(Boolean).join('_');
+  return `student-records${range ? `_${range}` : ''}.zip`;
+}
+
+/**
+ * Renders the next pending items until the step's item or time budget runs out.
+ * `exportItem(item)` returns `{ status, path, sessions }`; a thrown error fails only that item.
+ * @returns {Promise<{ items: object[], processed: number }>} a new items array
+ */
+export async function runBatchStep(items, exportItem, {
+  limit = MAX_STUDENTS_PER_STEP,
+  budgetMs = STEP_TIME_BUDGET_MS,
+  now = () => Date.now(),
+} = {}) {
+  const next = items.map((item) => ({ ...item }));
+  const deadline = now() + budgetMs;
+  let processed = 0;
+
+  for (const item of next) {
+    if (processed >= limit || now() >= deadline) {
+      break;
+    }
+    if (item.status !== EXPORT_ITEM_STATUS.PENDING) {
+      continue;
+    }
+    try {
+      const result = await exportItem(item);
+      item.status = result.status;
+      item.path = result.path ?? null;
+      item.sessions = result.sessions ?? null;
+    } catch (error) {
+      item.status = EXPORT_ITEM_STATUS.FAILED;
+      item.error = normalizeString(error?.message) || 'failed_to_generate_pdf';
+    }
+    processed += 1;
+  }
+
+  return { items: next, processed };
+}
+
+/**
+ * Packs the rendered PDFs into one ZIP. `readFile(path)` returns the stored PDF.
+ * @returns {Promise<Buffer>}
+ */
+export async function buildBatchZip(items, readFile) {
+  const done = items.filter((item) => item.status === EXPORT_ITEM_STATUS.DONE && item.path);
+  const names = buildZipEntryNames(done);
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const chunks = [];
+  archive.on('data', (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  for (let index = 0; index < done.length; index += 1) {
+    archive.append(await readFile(done[index].path), { name: names[index] });
+  }
+
+  await archive.finalize();
+  await finished;
+  return Buffer.concat(chunks);
+}
+
+export function countBatchItems(items) {
+  const counts = { total: items.length, processed: 0, exported: 0, empty: 0, failed: 0 };
+  for (const item of items) {
+    if (item.status === EXPORT_ITEM_STATUS.PENDING) continue;
+    counts.processed += 1;
+    if (item.status === EXPORT_ITEM_STATUS.DONE) counts.exported += 1;
+    if (item.status === EXPORT_ITEM_STATUS.EMPTY) counts.empty += 1;
+    if (item.status === EXPORT_ITEM_STATUS.FAILED) counts.failed += 1;
+  }
+  return counts;
+}
+
+export function isJobExpired(job, now = new Date()) {
+  return job.status === EXPORT_JOB_STATUS.COMPLETED && Boolean(job.expires_at) && new Date(job.expires_at) <= now;
+}
+
+/**
+ * The job as the client sees it: progress counts and the students left out, without storage paths.
+ */
+export function describeExportJob(job, now = new Date()) {
+  const items = Array.isArray(job.items) ? job.items : [];
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: isJobExpired(job, now) ? 'expired' : job.status,
+    params: job.params || {},
+    ...countBatchItems(items),
+    skipped: items
+      .filter((item) => item.status === EXPORT_ITEM_STATUS.EMPTY || item.status === EXPORT_ITEM_STATUS.FAILED)
+      .map((item) => ({ student_id: item.student_id, name: item.name, status: item.status })),
+    error: job.error || null,
+    result_size: job.result_size ?? null,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at || null,
+    expires_at: job.expires_at || null,
+  };
+}
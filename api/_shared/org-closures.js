@@ -0,0 +1,231 @@
+/* eslint-env node */
+/**
+ * Organization closure calendar: days on which no sessions are expected.
+ *
+ * Closures are stored in the tenant Settings table under `org_closures`:
+ * {
+ *   include_jewish_holidays: boolean,
+ *   include_chol_hamoed: boolean,
+ *   entries: [{ id, label, start_date, end_date, recurrence: 'none' | 'yearly' | 'weekly' }]
+ * }
+ *
+ * Jewish holidays are computed locally from the Hebrew calendar (Intl, `ca-hebrew`)
+ * and follow the Israeli calendar (one festival day, Yom HaAtzmaut shifts).
+ */
+
+import { normalizeString } from './org-bff.js';
+
+export const ORG_CLOSURES_SETTINGS_KEY = 'org_closures';
+
+export const CLOSURE_RECURRENCES = Object.freeze(['none', 'yearly', 'weekly']);
+
+export const MAX_CLOSURE_ENTRIES = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LABEL_LENGTH = 120;
+
+// [Hebrew month, day, label, isCholHamoed]
+const JEWISH_HOLIDAYS = Object.freeze([
+  ['Tishri', 1, 'ראש השנה'],
+  ['Tishri', 2, 'ראש השנה'],
+  ['Tishri', 10, 'יום כיפור'],
+  ['Tishri', 15, 'סוכות'],
+  ['Tishri', 16, 'חול המועד סוכות', true],
+  ['Tishri', 17, 'חול המועד סוכות', true],
+  ['Tishri', 18, 'חול המועד סוכות', true],
+  ['Tishri', 19, 'חול המועד סוכות', true],
+  ['Tishri', 20, 'חול המועד סוכות', true],
+  ['Tishri', 21, 'חול המועד סוכות', true],
+  ['Tishri', 22, 'שמחת תורה'],
+  ['Nisan', 15, 'פסח'],
+  ['Nisan', 16, 'חול המועד פסח', true],
+  ['Nisan', 17, 'חול המועד פסח', true],
+  ['Nisan', 18, 'חול המועד פסח', true],
+  ['Nisan', 19, 'חול המועד פסח', true],
+  ['Nisan', 20, 'חול המועד פסח', true],
+  ['Nisan', 21, 'שביעי של פסח'],
+  ['Sivan', 6, 'שבועות'],
+]);
+
+const YOM_HAATZMAUT_LABEL = 'יום העצמאות';
+
+let hebrewDateFormatter = null;
+
+function getHebrewDateFormatter() {
+  if (hebrewDateFormatter === null) {
+    try {
+      hebrewDateFormatter = new Intl.DateTimeFormat('en-u-ca-hebrew', {
+        timeZone: 'UTC',
+        month: 'long',
+        day: 'numeric',
+      });
+    } catch {
+      hebrewDateFormatter = false;
+    }
+  }
+  return hebrewDateFormatter;
+}
+
+function isValidIsoDate(value) {
+  return DATE_PATTERN.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+function utcDayOfWeek(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Hebrew month name (ICU English transliteration, e.g. "Tishri", "Adar II") and day.
+ * @returns {{ month: string, day: number } | null}
+ */
+export function toHebrewDate(isoDate) {
+  const formatter = getHebrewDateFormatter();
+  if (!formatter || !isValidIsoDate(isoDate)) {
+    return null;
+  }
+  const parts = formatter.formatToParts(new Date(`${isoDate}T00:00:00Z`));
+  const month = parts.find((part) => part.type === 'month')?.value;
+  const day = Number.parseInt(parts.find((part) => part.type === 'day')?.value, 10);
+  return month && Number.isFinite(day) ? { month, day } : null;
+}
+
+// Yom HaAtzmaut is 5 Iyar, moved to Thursday when it falls on Friday/Saturday and to Tuesday after a Monday.
+function isYomHaatzmaut(hebrewDate, dayOfWeek) {
+  if (hebrewDate.month !== 'Iyar') {
+    return false;
+  }
+  switch (hebrewDate.day) {
+    case 3:
+    case 4:
+      return dayOfWeek === 4;
+    case 5:
+      return dayOfWeek !== 1 && dayOfWeek !== 5 && dayOfWeek !== 6;
+    case 6:
+      return dayOfWeek === 2;
+    default:
+      return false;
+  }
+}
+
+/**
+ * The Israeli Jewish holiday on a date, if any.
+ * @returns {{ label: string } | null}
+ */
+export function getJewishHoliday(isoDate, { includeCholHamoed = false } = {}) {
+  const hebrewDate = toHebrewDate(isoDate);
+  if (!hebrewDate) {
+    return null;
+  }
+
+  const match = JEWISH_HOLIDAYS.find(([month, day]) => month === hebrewDate.month && day === hebrewDate.day);
+  if (match) {
+    const [, , label, isCholHamoed] = match;
+    return isCholHamoed && !includeCholHamoed ? null : { label };
+  }
+
+  return isYomHaatzmaut(hebrewDate, utcDayOfWeek(isoDate)) ? { label: YOM_HAATZMAUT_LABEL } : null;
+}
+
+function normalizeClosureEntry(raw, index) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const startDate = normalizeString(raw.start_date ?? raw.startDate).slice(0, 10);
+  if (!isValidIsoDate(startDate)) {
+    return null;
+  }
+  let endDate = normalizeString(raw.end_date ?? raw.endDate).slice(0, 10) || null;
+  if (endDate && (!isValidIsoDate(endDate) || endDate < startDate)) {
+    endDate = null;
+  }
+  const recurrence = CLOSURE_RECURRENCES.includes(raw.recurrence) ? raw.recurrence : 'none';
+
+  return {
+    id: normalizeString(raw.id) || `closure-${index + 1}`,
+    label: normalizeString(raw.label).slice(0, MAX_LABEL_LENGTH) || 'סגירה',
+    start_date: startDate,
+    end_date: endDate,
+    recurrence,
+  };
+}
+
+/**
+ * Sanitizes the stored `org_closures` value; invalid entries are dropped.
+ */
+export function normalizeClosureSettings(value) {
+  const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const entries = (Array.isArray(source.entries) ? source.entries : [])
+    .slice(0, MAX_CLOSURE_ENTRIES)
+    .map(normalizeClosureEntry)
+    .filter(Boolean);
+
+  return {
+    include_jewish_holidays: source.include_jewish_holidays === true,
+    include_chol_hamoed: source.include_chol_hamoed === true,
+    entries,
+  };
+}
+
+/**
+ * Whether a closure entry covers a date.
+ * - none: every date from start_date to end_date (or start_date alone)
+ * - yearly: the same month/day span every year (spans may cross the new year)
+ * - weekly: the weekday of start_date, from start_date until end_date (open-ended without one)
+ */
+export function closureEntryCovers(entry, isoDate) {
+  const start = entry.start_date;
+  const end = entry.end_date || null;
+
+  if (entry.recurrence === 'weekly') {
+    return isoDate >= start && (!end || isoDate <= end) && utcDayOfWeek(isoDate) === utcDayOfWeek(start);
+  }
+
+  if (entry.recurrence === 'yearly') {
+    const day = isoDate.slice(5);
+    const from = start.slice(5);
+    const to = (end || start).slice(5);
+    return from <= to ? day >= from && day <= to : day >= from || day <= to;
+  }
+
+  return isoDate >= start && isoDate <= (end || start);
+}
+
+/**
+ * The closure in effect on a date: org entries win over computed holidays.
+ * @returns {{ label: string, source: 'org' | 'holiday', id?: string } | null}
+ */
+export function resolveClosure(isoDate, settings) {
+  const normalized = settings?.entries ? settings : normalizeClosureSettings(settings);
+  const entry = normalized.entries.find((candidate) => closureEntryCovers(candidate, isoDate));
+  if (entry) {
+    return { id: entry.id, label: entry.label, source: 'org' };
+  }
+
+  if (normalized.include_jewish_holidays) {
+    const holiday = getJewishHoliday(isoDate, { includeCholHamoed: normalized.include_chol_hamoed });
+    if (holiday) {
+      return { label: holiday.label, source: 'holiday' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads `org_closures` from the tenant Settings table. A failed read is logged and
+ * treated as "no closures" so compliance views keep working.
+ */
+export async function loadClosureSettings(context, tenantClient, logPrefix = 'org-closures') {
+  const { data, error } = await tenantClient
+    .from('Settings')
+    .select('settings_value')
+    .eq('key', ORG_CLOSURES_SETTINGS_KEY)
+    .maybeSingle();
+
+  if (error) {
+    context?.log?.warn?.(`${logPrefix} failed to load closures`, { message: error.message });
+    return normalizeClosureSettings(null);
+  }
+
+  return normalizeClosureSettings(data?.settings_value);
+}
@@ -0,0 +1,29 @@
+/* eslint-env node */
+/**
+ * Org Storage Driver
+ *
+ * Resolves an organization's stored storage_profile (managed or BYOS, with
+ * encrypted credentials) into a storage driver. Backups, restores and export
+ * jobs all go through this so they read and write the same place.
+ */
+
+import { decryptStorageProfile } from './storage-encryption.js';
+import { getStorageDriver } from '../cross-platform/storage-drivers/index.js';
+
+/**
+ * Create the org's storage driver from its storage profile.
+ * @returns {Object|null} Driver, or null when the org has no connected storage
+ */
+export function createOrgStorageDriver(storageProfile, env) {
+  if (!storageProfile || storageProfile.disconnected) {
+    return null;
+  }
+  const profile = decryptStorageProfile(storageProfile, env);
+  if (profile.mode === 'managed') {
+    return getStorageDriver('managed', null, env);
+  }
+  if (profile.mode === 'byos' && profile.byos) {
+    return getStorageDriver('byos', profile.byos, env);
+  }
+  return null;
+}
@@ -0,0 +1,399 @@
+/* eslint-env node */
+/**
+ * Monthly hours of hourly-scope instructors, behind /api/payroll.
+ *
+ * Each session counts for the minutes reported with it (SessionRecords.metadata.duration_minutes),
+ * or else the payroll default for its service, or else the org-wide default. An admin approves
+ * an instructor's month into tuttiud."PayrollApprovals"; the approval keeps a snapshot of the
+ * totals and locks that instructor's sessions in the month until it is reopened.
+ */
+
+import { UUID_PATTERN, normalizeString, respond } from './org-bff.js';
+import { EMPLOYMENT_SCOPES, coerceSessionDuration } from './validation.js';
+import { DEFAULT_SLOT_DURATION_MINUTES } from './student-schedule.js';
+import { NO_SERVICE_LABEL, toMonthKey } from './reports.js';
+
+export { EMPLOYMENT_SCOPES };
+
+export const PAYROLL_SETTINGS_KEY = 'payroll_settings';
+export const EMPLOYMENT_SCOPE_POLICY_KEY = 'employment_scope_policy';
+
+export const DEFAULT_EMPLOYMENT_SCOPE = 'global';
+export const HOURLY_SCOPE = 'hourly';
+
+export const PAYROLL_STATUS = Object.freeze({
+  OPEN: 'open',
+  APPROVED: 'approved',
+  REOPENED: 'reopened',
+});
+
+export const PAYROLL_ACTIONS = Object.freeze(['approve', 'reopen']);
+export const PAYROLL_FORMATS = Object.freeze(['json', 'csv', 'xlsx']);
+export const PAYROLL_LOCKED_ERROR = 'payroll_month_locked';
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MAX_REOPEN_REASON_LENGTH = 500;
+
+const EMPLOYMENT_SCOPE_LABELS = Object.freeze({ global: 'גלובלי', hourly: 'שעתי', instructor: 'מדריך' });
+const STATUS_LABELS = Object.freeze({ open: 'פתוח', approved: 'מאושר', reopened: 'נפתח מחדש' });
+const DURATION_SOURCE_LABELS = Object.freeze({ session: 'דווח במפגש', service: 'ברירת מחדל לשירות', default: 'ברירת מחדל' });
+
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * First and last day of a YYYY-MM month.
+ */
+export function monthBounds(month) {
+  const year = Number(month.slice(0, 4));
+  const monthIndex = Number(month.slice(5, 7));
+  const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  return { from: `${month}-01`, to: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+function parseMonth(raw, today) {
+  const normalized = normalizeString(raw);
+  if (!normalized) {
+    return { value: toMonthKey(today.toISOString()) };
+  }
+  return MONTH_PATTERN.test(normalized) ? { value: normalized } : { error: 'invalid_month' };
+}
+
+/**
+ * `{ enabled_types }` from the employment_scope_policy setting; "global" is always enabled.
+ */
+export function normalizeEmploymentScopePolicy(value) {
+  const raw = isPlainObject(value) && Array.isArray(value.enabled_types) ? value.enabled_types : [];
+  const enabled = new Set([DEFAULT_EMPLOYMENT_SCOPE]);
+  for (const entry of raw) {
+    const scope = normalizeString(entry).toLowerCase();
+    if (EMPLOYMENT_SCOPES.includes(scope)) {
+      enabled.add(scope);
+    }
+  }
+  return { enabled_types: EMPLOYMENT_SCOPES.filter((scope) => enabled.has(scope)) };
+}
+
+/**
+ * An instructor's employment scope, stored on Instructors.metadata.employment_scope.
+ */
+export function readEmploymentScope(instructor) {
+  const scope = normalizeString(instructor?.metadata?.employment_scope).toLowerCase();
+  return EMPLOYMENT_SCOPES.includes(scope) ? scope : DEFAULT_EMPLOYMENT_SCOPE;
+}
+
+/**
+ * `{ default_duration_minutes, service_durations }` from the payroll_settings setting.
+ * Invalid or empty entries are dropped; service names are trimmed.
+ */
+export function normalizePayrollSettings(value) {
+  const source = isPlainObject(value) ? value : {};
+  const fallback = coerceSessionDuration(source.default_duration_minutes);
+  const serviceDurations = {};
+  if (isPlainObject(source.service_durations)) {
+    for (const [service, minutes] of Object.entries(source.service_durations)) {
+      const serviceName = normalizeString(service);
+      const duration = coerceSessionDuration(minutes);
+      if (serviceName && duration.valid && duration.value !== null) {
+        serviceDurations[serviceName] = duration.value;
+      }
+    }
+  }
+  return {
+    default_duration_minutes: fallback.valid && fallback.value !== null ? fallback.value : DEFAULT_SLOT_DURATION_MINUTES,
+    service_durations: serviceDurations,
+  };
+}
+
+/**
+ * Minutes a session counts for, and where the number came from.
+ * @returns {{ minutes: number, source: 'session'|'service'|'default' }}
+ */
+export function resolveSessionMinutes(record, settings) {
+  const reported = coerceSessionDuration(record?.metadata?.duration_minutes);
+  if (reported.valid && reported.value !== null) {
+    return { minutes: reported.value, source: 'session' };
+  }
+  const service = normalizeString(record?.service_context);
+  if (service && settings.service_durations[service]) {
+    return { minutes: settings.service_durations[service], source: 'service' };
+  }
+  return { minutes: settings.default_duration_minutes, source: 'default' };
+}
+
+/**
+ * Parses GET /api/payroll. Without a month the current one is used.
+ * @returns {{ value: { month, from, to, format, instructorId } } | { error: string }}
+ */
+export function parsePayrollQuery(query = {}, today = new Date()) {
+  const month = parseMonth(query?.month, today);
+  if (month.error) {
+    return { error: month.error };
+  }
+
+  const format = normalizeString(query?.format).toLowerCase() || 'json';
+  if (!PAYROLL_FORMATS.includes(format)) {
+    return { error: 'invalid_format' };
+  }
+
+  const instructorId = normalizeString(query?.instructor_id || query?.instructorId);
+  if (instructorId && !UUID_PATTERN.test(instructorId)) {
+    return { error: 'invalid_instructor_id' };
+  }
+
+  return { value: { month: month.value, ...monthBounds(month.value), format, instructorId: instructorId || null } };
+}
+
+/**
+ * Parses POST /api/payroll: approve or reopen one month for one or more instructors.
+ * A month can only be approved once it has ended; reopening needs a reason.
+ * @returns {{ value: { action, month, instructorIds, reason } } | { error: string }}
+ */
+export function parsePayrollAction(body = {}, today = new Date()) {
+  const action = normalizeString(body?.action).toLowerCase();
+  if (!PAYROLL_ACTIONS.includes(action)) {
+    return { error: 'invalid_action' };
+  }
+
+  const month = normalizeString(body?.month);
+  if (!MONTH_PATTERN.test(month)) {
+    return { error: 'invalid_month' };
+  }
+  if (action === 'approve' && month >= toMonthKey(today.toISOString())) {
+    return { error: 'month_not_ended' };
+  }
+
+  const rawIds = Array.isArray(body?.instructor_ids) ? body.instructor_ids : [body?.instructor_id];
+  const instructorIds = [...new Set(rawIds.map((id) => normalizeString(id)).filter(Boolean))];
+  if (!instructorIds.length) {
+    return { error: 'missing_instructor_ids' };
+  }
+  if (instructorIds.some((id) => !UUID_PATTERN.test(id))) {
+    return { error: 'invalid_instructor_id' };
+  }
+
+  const reason = normalizeString(body?.reason).slice(0, MAX_REOPEN_REASON_LENGTH);
+  if (action === 'reopen' && !reason) {
+    return { error: 'missing_reopen_reason' };
+  }
+
+  return { value: { action, month, instructorIds, reason: reason || null } };
+}
+
+function summarizeInstructorSessions(records, settings) {
+  const byService = new Map();
+  let minutes = 0;
+  let defaulted = 0;
+  for (const record of records) {
+    const resolved = resolveSessionMinutes(record, settings);
+    const service = normalizeString(record.service_context) || null;
+    const entry = byService.get(service) || { service, sessions: 0, minutes: 0 };
+    entry.sessions += 1;
+    entry.minutes += resolved.minutes;
+    byService.set(service, entry);
+    minutes += resolved.minutes;
+    if (resolved.source !== 'session') {
+      defaulted += 1;
+    }
+  }
+  return {
+    sessions: records.length,
+    minutes,
+    hours: toHours(minutes),
+    defaulted_sessions: defaulted,
+    by_service: [...byService.values()]
+      .map((entry) => ({ ...entry, hours: toHours(entry.minutes) }))
+      .sort((a, b) => b.sessions - a.sessions || String(a.service ?? '').localeCompare(String(b.service ?? ''), 'he')),
+  };
+}
+
+/**
+ * Per-instructor hours for one month. Approved months report the snapshot taken at approval.
+ * @param {object[]} records - Non-deleted SessionRecords of the month (instructor_id, service_context, metadata)
+ * @param {{ instructors: object[], approvals: object[], settings: object }} options
+ */
+export function buildPayrollSummary(records, { instructors = [], approvals = [], settings } = {}) {
+  const recordsByInstructor = new Map();
+  for (const record of records) {
+    const instructorId = normalizeString(record?.instructor_id);
+    if (!instructorId) continue;
+    if (!recordsByInstructor.has(instructorId)) {
+      recordsByInstructor.set(instructorId, []);
+    }
+    recordsByInstructor.get(instructorId).push(record);
+  }
+  const approvalsByInstructor = new Map(approvals.map((approval) => [normalizeString(approval.instructor_id), approval]));
+
+  const rows = instructors.map((instructor) => {
+    const approval = approvalsByInstructor.get(normalizeString(instructor.id)) || null;
+    const approved = approval?.status === PAYROLL_STATUS.APPROVED && isPlainObject(approval.summary);
+    const figures = approved
+      ? approval.summary
+      : summarizeInstructorSessions(recordsByInstructor.get(normalizeString(instructor.id)) || [], settings);
+    return {
+      instructor_id: instructor.id,
+      name: instructor.name || instructor.email || instructor.id,
+      email: instructor.email || null,
+      is_active: instructor.is_active !== false,
+      employment_scope: readEmploymentScope(instructor),
+      sessions: figures.sessions || 0,
+      minutes: figures.minutes || 0,
+      hours: figures.hours || 0,
+      defaulted_sessions: figures.defaulted_sessions || 0,
+      by_service: Array.isArray(figures.by_service) ? figures.by_service : [],
+      status: approval?.status || PAYROLL_STATUS.OPEN,
+      approval: approval
+        ? {
+            approved_at: approval.approved_at || null,
+            approved_by_email: approval.approved_by_email || null,
+            reopened_at: approval.reopened_at || null,
+            reopen_reason: approval.reopen_reason || null,
+          }
+        : null,
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name, 'he'));
+
+  const services = [...new Set(rows.flatMap((row) => row.by_service.map((entry) => entry.service)))]
+    .sort((a, b) => (a === null) - (b === null) || String(a ?? '').localeCompare(String(b ?? ''), 'he'));
+  const minutes = rows.reduce((sum, row) => sum + row.minutes, 0);
+
+  return {
+    instructors: rows,
+    services,
+    totals: {
+      instructors: rows.length,
+      approved: rows.filter((row) => row.status === PAYROLL_STATUS.APPROVED).length,
+      sessions: rows.reduce((sum, row) => sum + row.sessions, 0),
+      minutes,
+      hours: toHours(minutes),
+    },
+  };
+}
+
+/**
+ * The totals frozen into PayrollApprovals.summary when a month is approved.
+ */
+export function buildApprovalSnapshot(records, settings) {
+  return { ...summarizeInstructorSessions(records, settings), settings };
+}
+
+/**
+ * Payroll summary rows keyed by Hebrew headers: one row per instructor with hours, and a
+ * session count and hours column per service.
+ */
+export function buildPayrollCsvRows(month, summary) {
+  return summary.instructors.map((row) => {
+    const byService = new Map(row.by_service.map((entry) => [entry.service, entry]));
+    const csvRow = {
+      'חודש': month,
+      'מדריך': row.name,
+      'אימייל': row.email || '',
+      'היקף משרה': EMPLOYMENT_SCOPE_LABELS[row.employment_scope] || row.employment_scope,
+      'מפגשים': row.sessions,
+      'דקות': row.minutes,
+      'שעות': row.hours,
+    };
+    for (const service of summary.services) {
+      const label = service || NO_SERVICE_LABEL;
+      const entry = byService.get(service);
+      csvRow[`${label} - מפגשים`] = entry?.sessions || 0;
+      csvRow[`${label} - שעות`] = entry?.hours || 0;
+    }
+    csvRow['סטטוס'] = STATUS_LABELS[row.status] || row.status;
+    csvRow['אושר בתאריך'] = row.approval?.approved_at ? row.approval.approved_at.slice(0, 10) : '';
+    csvRow['אושר על ידי'] = row.approval?.approved_by_email || '';
+    return csvRow;
+  });
+}
+
+/**
+ * One row per session for the workbook's detail sheet, ordered by instructor, date and time.
+ */
+export function buildPayrollDetailRows(records, { instructorNames = new Map(), studentNames = new Map(), settings }) {
+  return records
+    .map((record) => {
+      const resolved = resolveSessionMinutes(record, settings);
+      return {
+        instructor: instructorNames.get(normalizeString(record.instructor_id)) || normalizeString(record.instructor_id),
+        date: record.date,
+        time: normalizeString(record.metadata?.session_time || record.metadata?.unassigned_details?.time),
+        student: record.student_id
+          ? studentNames.get(normalizeString(record.student_id)) || ''
+          : normalizeString(record.metadata?.unassigned_details?.name),
+        service: normalizeString(record.service_context) || NO_SERVICE_LABEL,
+        minutes: resolved.minutes,
+        source: DURATION_SOURCE_LABELS[resolved.source],
+      };
+    })
+    .sort((a, b) => a.instructor.localeCompare(b.instructor, 'he') || a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+}
+
+/**
+ * Workbook sheets for the XLSX export: the summary and the per-session detail.
+ */
+export function buildPayrollWorkbookSheets(month, summary, detailRows) {
+  const summaryRows = buildPayrollCsvRows(month, summary);
+  const summaryHeaders = summaryRows.length ? Object.keys(summaryRows[0]) : ['חודש', 'מדריך', 'מפגשים', 'דקות', 'שעות'];
+  return [
+    {
+      name: 'סיכום שעות',
+      rows: [summaryHeaders, ...summaryRows.map((row) => summaryHeaders.map((header) => row[header]))],
+    },
+    {
+      name: 'פירוט מפגשים',
+      rows: [
+        ['מדריך', 'תאריך', 'שעה', 'תלמיד', 'שירות', 'דקות', 'מקור המשך'],
+        ...detailRows.map((row) => [row.instructor, row.date, row.time, row.student, row.service, row.minutes, row.source]),
+      ],
+    },
+  ];
+}
+
+/**
+ * Finds an approved (locked) payroll month among the instructor/date pairs a session write touches.
+ * A tenant without the PayrollApprovals table (setup script not re-run) has nothing locked.
+ * @param {Array<{ instructorId: string, date: string }>} entries
+ * @returns {Promise<{ locked: { instructor_id: string, month: string } | null }>}
+ */
+export async function findPayrollLock(context, tenantClient, entries) {
+  const pairs = entries
+    .map((entry) => ({ instructorId: normalizeString(entry?.instructorId), month: toMonthKey(entry?.date) }))
+    .filter((entry) => entry.instructorId && MONTH_PATTERN.test(entry.month));
+  if (!pairs.length) {
+    return { locked: null };
+  }
+
+  const { data, error } = await tenantClient
+    .from('PayrollApprovals')
+    .select('instructor_id, month')
+    .eq('status', PAYROLL_STATUS.APPROVED)
+    .in('instructor_id', [...new Set(pairs.map((entry) => entry.instructorId))])
+    .in('month', [...new Set(pairs.map((entry) => entry.month))]);
+
+  if (error) {
+    context?.log?.warn?.('payroll failed to check approved months', { message: error.message });
+    return { locked: null };
+  }
+
+  const approved = new Set((data || []).map((row) => `${normalizeString(row.instructor_id)}:${row.month}`));
+  const match = pairs.find((entry) => approved.has(`${entry.instructorId}:${entry.month}`));
+  return { locked: match ? { instructor_id: match.instructorId, month: match.month } : null };
+}
+
+/**
+ * Sessions in an approved payroll month are read-only until an admin reopens the month.
+ * Answers 409 and returns the response when a write touches one; otherwise returns null.
+ * @param {Array<{ instructorId: string, date: string }>} entries
+ */
+export async function respondIfPayrollLocked(context, tenantClient, entries) {
+  const { locked } = await findPayrollLock(context, tenantClient, entries);
+  if (!locked) {
+    return null;
+  }
+  return respond(context, 409, { message: PAYROLL_LOCKED_ERROR, month: locked.month, instructor_id: locked.instructor_id });
+}
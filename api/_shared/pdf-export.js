@@ -0,0 +1,144 @@
+/* eslint-env node */
+/**
+ * Shared PDF pipeline for exports: an HTML document rendered to A4 by headless Chromium
+ * (puppeteer-core with @sparticuz/chromium, which runs inside Azure Functions).
+ */
+
+import puppeteer from 'puppeteer-core';
+import chromium from '@sparticuz/chromium';
+
+const DEFAULT_TUTTIUD_LOGO_URL = 'https://tuttiud.thepcrunners.com/icon.png';
+
+/**
+ * Escape HTML special characters
+ */
+export function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Logos for the export header: the TutTiud logo, plus the organization logo when the
+ * org has the `can_use_custom_logo_on_exports` permission and uploaded one.
+ * @returns {Promise<{ tuttiudLogoUrl: string, customLogoUrl: string|null }>}
+ */
+export async function loadExportLogos(context, { supabase, env, orgId, permissions, logPrefix }) {
+  let customLogoUrl = null;
+  if (permissions?.can_use_custom_logo_on_exports) {
+    try {
+      const { data, error } = await supabase
+        .from('org_settings')
+        .select('logo_url')
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+      if (!error && data?.logo_url) {
+        customLogoUrl = data.logo_url;
+      }
+    } catch (error) {
+      context.log?.warn?.(`${logPrefix} failed to fetch custom logo`, { message: error?.message });
+      // Continue without custom logo
+    }
+  }
+
+  // Use TutTiud logo URL from environment or default
+  const tuttiudLogoUrl = env?.VITE_TUTTIUD_LOGO_URL || env?.TUTTIUD_LOGO_URL || DEFAULT_TUTTIUD_LOGO_URL;
+
+  return { tuttiudLogoUrl, customLogoUrl };
+}
+
+/**
+ * Header logo markup used by every export: both logos side by side, or the TutTiud logo alone.
+ * Expects the `.header-logos`, `.logo` and `.logo-single` classes in the document styles.
+ */
+export function renderLogoSection({ tuttiudLogoUrl, customLogoUrl }) {
+  return customLogoUrl
+    ? `
+      <div class="header-logos">
+        <img src="${escapeHtml(tuttiudLogoUrl)}" alt="TutTiud" class="logo" />
+        <img src="${escapeHtml(customLogoUrl)}" alt="Organization Logo" class="logo" />
+      </div>
+    `
+    : `<img src="${escapeHtml(tuttiudLogoUrl)}" alt="TutTiud" class="logo-single" />`;
+}
+
+const PDF_OPTIONS = Object.freeze({
+  format: 'A4',
+  printBackground: true,
+  margin: {
+    top: '20px',
+    right: '20px',
+    bottom: '20px',
+    left: '20px',
+  },
+});
+
+/**
+ * Runs `work(render)` with one headless browser, where `render(html)` returns an A4 PDF buffer.
+ * Batch exports render many documents per launch; the browser is always closed.
+ */
+export async function withPdfRenderer(context, { logPrefix }, work) {
+  let browser;
+  try {
+    context.log?.info?.(`${logPrefix} launching browser`);
+
+    browser = await puppeteer.launch({
+      args: chromium.args,
+      defaultViewport: chromium.defaultViewport,
+      executablePath: await chromium.executablePath(),
+      headless: chromium.headless,
+    });
+
+    const render = async (html) => {
+      const page = await browser.newPage();
+      try {
+        await page.setContent(html, { waitUntil: 'networkidle0' });
+        return await page.pdf(PDF_OPTIONS);
+      } finally {
+        await page.close().catch(() => {});
+      }
+    };
+
+    return await work(render);
+  } finally {
+    if (browser) {
+      try {
+        await browser.close();
+        context.log?.info?.(`${logPrefix} browser closed successfully`);
+      } catch (closeError) {
+        context.log?.error?.(`${logPrefix} failed to close browser`, { message: closeError?.message });
+      }
+    }
+  }
+}
+
+/**
+ * Renders an HTML document to an A4 PDF. The browser is always closed; rendering errors are thrown.
+ * @returns {Promise<Buffer>}
+ */
+export async function renderHtmlToPdf(context, html, { logPrefix }) {
+  return withPdfRenderer(context, { logPrefix }, (render) => render(html));
+}
+
+/**
+ * Sends a rendered PDF as a download.
+ */
+export function respondPdf(context, pdfBuffer, filename) {
+  context.res = {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(filename)}"`,
+      'Cache-Control': 'no-store',
+    },
+    body: pdfBuffer,
+    isRaw: true,
+  };
+
+  return context.res;
+}
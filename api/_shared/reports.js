@@ -0,0 +1,481 @@
+/* eslint-env node */
+/**
+ * Aggregations behind GET /api/reports/{report}.
+ *
+ * Each report is computed on the server from the narrowest columns that answer it,
+ * so the client never pulls SessionRecords in bulk. Dates are YYYY-MM-DD and both
+ * range ends are inclusive.
+ */
+
+import { UUID_PATTERN, normalizeString } from './org-bff.js';
+import { resolveClosure } from './org-closures.js';
+import { resolveDayOccurrences } from './session-exceptions.js';
+
+export const REPORT_TYPES = Object.freeze(['sessions', 'documentation', 'students', 'intake']);
+
+// Reports that only admins/owners may read; the others are narrowed to the caller's own
+// students and sessions for instructors.
+export const ADMIN_ONLY_REPORTS = Object.freeze(['intake']);
+
+export const REPORT_MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_MONTHS = 6;
+
+// Paging bounds for the row loads: PostgREST caps a single response, and a report
+// stops reading once it reaches REPORT_MAX_ROWS rows (flagged as `truncated`).
+export const REPORT_PAGE_SIZE = 1000;
+export const REPORT_MAX_ROWS = 50000;
+
+export const UNASSIGNED_INSTRUCTOR_LABEL = 'לא משויך';
+export const NO_SERVICE_LABEL = 'ללא שירות';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toUtcDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+function formatUtcDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(isoDate, days) {
+  return formatUtcDate(new Date(toUtcDate(isoDate).getTime() + days * DAY_MS));
+}
+
+function parseDate(raw) {
+  const normalized = normalizeString(raw);
+  if (!normalized) {
+    return { value: null, valid: true };
+  }
+  if (!DATE_PATTERN.test(normalized) || Number.isNaN(toUtcDate(normalized).getTime())) {
+    return { value: null, valid: false };
+  }
+  return { value: normalized, valid: true };
+}
+
+export function toMonthKey(isoDate) {
+  return normalizeString(isoDate).slice(0, 7);
+}
+
+function startOfMonthsBefore(isoDate, months) {
+  const date = toUtcDate(isoDate);
+  return formatUtcDate(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - months, 1)));
+}
+
+export function toWeekStart(isoDate) {
+  const date = toUtcDate(isoDate);
+  return addDays(isoDate, -date.getUTCDay());
+}
+
+/**
+ * Every YYYY-MM between two dates, so months without data still appear in charts.
+ */
+export function listMonthKeys(from, to) {
+  const keys = [];
+  let year = Number(from.slice(0, 4));
+  let month = Number(from.slice(5, 7));
+  const last = toMonthKey(to);
+  for (;;) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    if (key > last) {
+      break;
+    }
+    keys.push(key);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return keys;
+}
+
+function roundRate(numerator, denominator) {
+  if (!denominator) {
+    return null;
+  }
+  return Math.round((numerator / denominator) * 1000) / 10;
+}
+
+function median(values) {
+  if (!values.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return Math.round(value * 10) / 10;
+}
+
+function describeInstructor(instructorId, instructorNames) {
+  const id = normalizeString(instructorId) || null;
+  return {
+    instructor_id: id,
+    name: id ? (instructorNames.get(id) || id) : UNASSIGNED_INSTRUCTOR_LABEL,
+  };
+}
+
+function sortByCount(entries) {
+  return entries.sort((a, b) => b.count - a.count || String(a.name ?? a.service ?? '').localeCompare(String(b.name ?? b.service ?? ''), 'he'));
+}
+
+/**
+ * Parses the report type and filters of GET /api/reports/{report}.
+ * Without dates the range is the current month and the five before it.
+ * @returns {{ value: { report, from, to, instructorId, format } } | { error: string }}
+ */
+export function parseReportQuery(report, query = {}, today = new Date()) {
+  const reportType = normalizeString(report).toLowerCase();
+  if (!REPORT_TYPES.includes(reportType)) {
+    return { error: 'invalid_report' };
+  }
+
+  const format = normalizeString(query?.format).toLowerCase() || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return { error: 'invalid_format' };
+  }
+
+  const from = parseDate(query?.from);
+  const to = parseDate(query?.to);
+  if (!from.valid || !to.valid) {
+    return { error: 'invalid_date' };
+  }
+
+  const todayIso = formatUtcDate(today);
+  const rangeEnd = to.value || todayIso;
+  const rangeStart = from.value || startOfMonthsBefore(rangeEnd, DEFAULT_RANGE_MONTHS - 1);
+  if (rangeStart > rangeEnd) {
+    return { error: 'invalid_date_range' };
+  }
+  if ((toUtcDate(rangeEnd) - toUtcDate(rangeStart)) / DAY_MS >= REPORT_MAX_RANGE_DAYS) {
+    return { error: 'date_range_too_long' };
+  }
+
+  const instructorId = normalizeString(query?.instructor_id);
+  if (instructorId && !UUID_PATTERN.test(instructorId)) {
+    return { error: 'invalid_instructor_id' };
+  }
+
+  return {
+    value: {
+      report: reportType,
+      from: rangeStart,
+      to: rangeEnd,
+      instructorId: instructorId || null,
+      format,
+    },
+  };
+}
+
+/**
+ * Reads every row of a query page by page. `buildQuery` must return a fresh, ordered
+ * builder on each call.
+ * @param {object} [options] - { pageSize, maxRows }; pageSize must not exceed the server's max-rows
+ * @returns {Promise<{ data: object[], truncated: boolean } | { error: object }>}
+ */
+export async function loadAllRows(buildQuery, { pageSize = REPORT_PAGE_SIZE, maxRows = REPORT_MAX_ROWS } = {}) {
+  const rows = [];
+  for (let offset = 0; offset < maxRows; offset += pageSize) {
+    const { data, error } = await buildQuery().range(offset, offset + pageSize - 1);
+    if (error) {
+      return { error };
+    }
+    const page = Array.isArray(data) ? data : [];
+    rows.push(...page);
+    if (page.length < pageSize) {
+      return { data: rows, truncated: false };
+    }
+  }
+  return { data: rows, truncated: true };
+}
+
+/**
+ * Session counts per month, instructor and service. Loose reports (no student) count too.
+ * @param {object[]} records - Rows with date, instructor_id, service_context
+ */
+export function aggregateSessions(records, { from, to, instructorNames = new Map() } = {}) {
+  const byMonth = new Map(listMonthKeys(from, to).map((month) => [month, 0]));
+  const byInstructor = new Map();
+  const byService = new Map();
+  const rows = new Map();
+
+  for (const record of Array.isArray(records) ? records : []) {
+    const month = toMonthKey(record?.date);
+    if (!byMonth.has(month)) {
+      continue;
+    }
+    const instructor = describeInstructor(record?.instructor_id, instructorNames);
+    const service = normalizeString(record?.service_context) || null;
+
+    byMonth.set(month, byMonth.get(month) + 1);
+
+    const instructorKey = instructor.instructor_id || '';
+    const instructorEntry = byInstructor.get(instructorKey) || { ...instructor, count: 0 };
+    instructorEntry.count += 1;
+    byInstructor.set(instructorKey, instructorEntry);
+
+    const serviceEntry = byService.get(service || '') || { service, count: 0 };
+    serviceEntry.count += 1;
+    byService.set(service || '', serviceEntry);
+
+    const rowKey = `${month}|${instructorKey}|${service || ''}`;
+    const row = rows.get(rowKey) || { month, ...instructor, service, count: 0 };
+    row.count += 1;
+    rows.set(rowKey, row);
+  }
+
+  const total = Array.from(byMonth.values()).reduce((sum, count) => sum + count, 0);
+
+  return {
+    total,
+    by_month: Array.from(byMonth, ([month, count]) => ({ month, count })),
+    by_instructor: sortByCount(Array.from(byInstructor.values())),
+    by_service: sortByCount(Array.from(byService.values())),
+    rows: Array.from(rows.values()).sort((a, b) => (
+      a.month.localeCompare(b.month)
+      || a.name.localeCompare(b.name, 'he')
+      || String(a.service || '').localeCompare(String(b.service || ''), 'he')
+    )),
+  };
+}
+
+/**
+ * Weekly documentation rate: scheduled sessions (including make-ups) that have a report,
+ * out of those expected. Cancelled or absent sessions are counted as excused and closure
+ * days expect nothing. Days after `today` are not counted.
+ *
+ * @param {object[]} students - Active students with their schedule fields
+ * @param {object[]} records - Rows with id, student_id, date
+ * @param {object} options - { from, to, today, instructorId, exceptions, closureSettings }
+ */
+export function aggregateDocumentation(students, records, {
+  from,
+  to,
+  today,
+  instructorId = null,
+  exceptions = [],
+  closureSettings = null,
+} = {}) {
+  const recordIdsByKey = new Map();
+  for (const record of Array.isArray(records) ? records : []) {
+    const studentId = normalizeString(record?.student_id);
+    const date = normalizeString(record?.date).slice(0, 10);
+    if (!studentId || !date) {
+      continue;
+    }
+    const key = `${studentId}|${date}`;
+    if (!recordIdsByKey.has(key)) {
+      recordIdsByKey.set(key, []);
+    }
+    recordIdsByKey.get(key).push(record?.id || true);
+  }
+
+  const weeks = new Map();
+  const lastDay = to < today ? to : today;
+  for (let isoDate = from; isoDate <= lastDay; isoDate = addDays(isoDate, 1)) {
+    const weekStart = toWeekStart(isoDate);
+    const week = weeks.get(weekStart) || { week_start: weekStart, expected: 0, documented: 0, excused: 0 };
+    weeks.set(weekStart, week);
+
+    if (resolveClosure(isoDate, closureSettings)) {
+      continue;
+    }
+    const entries = resolveDayOccurrences(students, isoDate, toUtcDate(isoDate).getUTCDay() + 1, {
+      instructorId,
+      exceptions,
+      recordIdsByKey,
+    });
+    for (const { exception, recordId } of entries) {
+      if (exception) {
+        week.excused += 1;
+        continue;
+      }
+      week.expected += 1;
+      if (recordId) {
+        week.documented += 1;
+      }
+    }
+  }
+
+  const weekList = Array.from(weeks.values()).map((week) => ({
+    ...week,
+    rate: roundRate(week.documented, week.expected),
+  }));
+  const totals = weekList.reduce((sum, week) => ({
+    expected: sum.expected + week.expected,
+    documented: sum.documented + week.documented,
+    excused: sum.excused + week.excused,
+  }), { expected: 0, documented: 0, excused: 0 });
+
+  return {
+    weeks: weekList,
+    totals: { ...totals, rate: roundRate(totals.documented, totals.expected) },
+  };
+}
+
+/**
+ * Active vs inactive students, and how many active students had a session in the range.
+ * Broken down by the student's assigned instructor.
+ *
+ * @param {object[]} students - Rows with id, is_active, assigned_instructor_id
+ * @param {Set<string>} studentIdsWithSessions - Students with at least one session in the range
+ */
+export function summarizeStudents(students, studentIdsWithSessions = new Set(), { instructorNames = new Map() } = {}) {
+  const totals = { active: 0, inactive: 0, active_with_sessions: 0, active_without_sessions: 0 };
+  const byInstructor = new Map();
+
+  for (const student of Array.isArray(students) ? students : []) {
+    const instructor = describeInstructor(student?.assigned_instructor_id, instructorNames);
+    const key = instructor.instructor_id || '';
+    const entry = byInstructor.get(key) || { ...instructor, active: 0, inactive: 0, active_with_sessions: 0 };
+    byInstructor.set(key, entry);
+
+    if (student?.is_active === false) {
+      totals.inactive += 1;
+      entry.inactive += 1;
+      continue;
+    }
+    totals.active += 1;
+    entry.active += 1;
+    if (studentIdsWithSessions.has(normalizeString(student?.id))) {
+      totals.active_with_sessions += 1;
+      entry.active_with_sessions += 1;
+    } else {
+      totals.active_without_sessions += 1;
+    }
+  }
+
+  return {
+    totals,
+    by_instructor: Array.from(byInstructor.values())
+      .sort((a, b) => (b.active + b.inactive) - (a.active + a.inactive) || a.name.localeCompare(b.name, 'he')),
+  };
+}
+
+function readTimestampDate(value) {
+  const normalized = normalizeString(value);
+  if (!normalized) {
+    return null;
+  }
+  const parsed = new Date(normalized);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Intake funnel for the range: forms received (latest submission per student), approved
+ * and dismissed, by month, plus the intakes waiting for approval right now.
+ * Submissions received before the intake endpoint stamped `intake_date` are not counted as received.
+ *
+ * @param {object[]} students - Rows with needs_intake_approval, intake_date, last_approval, intake_dismissal
+ */
+export function aggregateIntakeFunnel(students, { from, to } = {}) {
+  const byMonth = new Map(listMonthKeys(from, to).map((month) => [month, { month, received: 0, approved: 0, dismissed: 0 }]));
+  const inRange = (date) => {
+    if (!date) {
+      return null;
+    }
+    const isoDate = formatUtcDate(date);
+    return isoDate >= from && isoDate <= to ? byMonth.get(toMonthKey(isoDate)) : null;
+  };
+
+  let pending = 0;
+  const daysToApproval = [];
+
+  for (const student of Array.isArray(students) ? students : []) {
+    if (student?.needs_intake_approval) {
+      pending += 1;
+    }
+
+    const receivedAt = readTimestampDate(student?.intake_date);
+    const receivedMonth = inRange(receivedAt);
+    if (receivedMonth) {
+      receivedMonth.received += 1;
+    }
+
+    const approvedAt = readTimestampDate(student?.last_approval?.at);
+    const approvedMonth = inRange(approvedAt);
+    if (approvedMonth) {
+      approvedMonth.approved += 1;
+      if (receivedAt && approvedAt >= receivedAt) {
+        daysToApproval.push((approvedAt - receivedAt) / DAY_MS);
+      }
+    }
+
+    const dismissal = student?.intake_dismissal;
+    const dismissedMonth = dismissal?.active ? inRange(readTimestampDate(dismissal.at)) : null;
+    if (dismissedMonth) {
+      dismissedMonth.dismissed += 1;
+    }
+  }
+
+  const months = Array.from(byMonth.values());
+  const sum = (key) => months.reduce((total, month) => total + month[key], 0);
+  const received = sum('received');
+  const approved = sum('approved');
+
+  return {
+    stages: { received, approved, dismissed: sum('dismissed') },
+    pending,
+    approval_rate: roundRate(approved, received),
+    median_days_to_approval: median(daysToApproval),
+    by_month: months,
+  };
+}
+
+const CSV_COLUMNS = {
+  sessions: [
+    ['month', 'חודש'],
+    ['name', 'מדריך'],
+    ['service', 'שירות'],
+    ['count', 'מפגשים'],
+  ],
+  documentation: [
+    ['week_start', 'שבוע שמתחיל ב-'],
+    ['expected', 'מפגשים צפויים'],
+    ['documented', 'מפגשים שתועדו'],
+    ['excused', 'בוטלו / היעדרות'],
+    ['rate', 'שיעור תיעוד (%)'],
+  ],
+  students: [
+    ['name', 'מדריך'],
+    ['active', 'תלמידים פעילים'],
+    ['active_with_sessions', 'פעילים עם מפגשים בטווח'],
+    ['inactive', 'תלמידים לא פעילים'],
+  ],
+  intake: [
+    ['month', 'חודש'],
+    ['received', 'טפסים שהתקבלו'],
+    ['approved', 'קליטות שאושרו'],
+    ['dismissed', 'קליטות שהוסרו'],
+  ],
+};
+
+function listCsvSourceRows(report, data) {
+  switch (report) {
+    case 'sessions':
+      return (data?.rows || []).map((row) => ({ ...row, service: row.service || NO_SERVICE_LABEL }));
+    case 'documentation':
+      return (data?.weeks || []).map((week) => ({ ...week, rate: week.rate ?? '' }));
+    case 'students':
+      return data?.by_instructor || [];
+    case 'intake':
+      return data?.by_month || [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Maps a report's table rows to CSV rows keyed by the Hebrew headers.
+ */
+export function buildReportCsvRows(report, data) {
+  const columns = CSV_COLUMNS[report] || [];
+  return listCsvSourceRows(report, data).map((source) => {
+    const row = {};
+    for (const [key, header] of columns) {
+      row[header] = source?.[key] ?? '';
+    }
+    return row;
+  });
+}
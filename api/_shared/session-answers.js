@@ -0,0 +1,80 @@
+/* eslint-env node */
+/**
+ * Display helpers for session answers that are not plain text.
+ *
+ * - `checkbox` answers are arrays of option values.
+ * - `file` answers are arrays of `{ document_id, name, type }`; the files themselves are
+ *   Documents rows of the student (entity_type 'student') stored through the org's storage driver.
+ * - `signature` answers are PNG data URLs drawn on the form.
+ *
+ * Answers are recognized by their shape, so records keep rendering after the question is removed
+ * from the questionnaire. The client mirrors this in src/features/sessions/utils/answer-format.js.
+ */
+
+export const SIGNATURE_DATA_URL_PATTERN = /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/;
+export const MAX_SIGNATURE_LENGTH = 200 * 1024;
+
+export function isSignatureAnswer(value) {
+  return typeof value === 'string'
+    && value.length <= MAX_SIGNATURE_LENGTH
+    && SIGNATURE_DATA_URL_PATTERN.test(value);
+}
+
+export function readAttachmentAnswers(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter((entry) => entry && typeof entry === 'object' && typeof entry.document_id === 'string' && entry.document_id.trim())
+    .map((entry) => ({
+      document_id: entry.document_id.trim(),
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : 'קובץ',
+      type: typeof entry.type === 'string' ? entry.type : '',
+    }));
+}
+
+function buildOptionLabels(question) {
+  const labels = new Map();
+  const options = Array.isArray(question?.options) ? question.options : [];
+  for (const option of options) {
+    if (typeof option === 'string' && option.trim()) {
+      labels.set(option.trim(), option.trim());
+      continue;
+    }
+    const value = typeof option?.value === 'string' ? option.value.trim() : '';
+    const label = typeof option?.label === 'string' ? option.label.trim() : '';
+    if (value) {
+      labels.set(value, label || value);
+    }
+  }
+  return labels;
+}
+
+/**
+ * Plain-text form of an answer, with checkbox values replaced by their option labels.
+ * @param {object|null} question questionnaire entry the answer belongs to, when known
+ */
+export function formatAnswerText(question, value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (isSignatureAnswer(value)) {
+    return 'נחתם';
+  }
+  const attachments = readAttachmentAnswers(value);
+  if (attachments.length) {
+    return attachments.map((attachment) => attachment.name).join(', ');
+  }
+  if (Array.isArray(value)) {
+    const labels = buildOptionLabels(question);
+    return value
+      .map((item) => String(item ?? '').trim())
+      .filter(Boolean)
+      .map((item) => labels.get(item) || item)
+      .join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
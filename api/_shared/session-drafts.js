@@ -0,0 +1,111 @@
+/* eslint-env node */
+/**
+ * Server-side drafts of session reports.
+ *
+ * The new-session form autosaves what the user typed to SessionDrafts, one row per
+ * user + student + date, so a report started on one device can be finished on another.
+ * Drafts expire after the org's retention period and live in their own table, so they
+ * never reach SessionRecords and never count as documentation in compliance.
+ */
+
+import { isUUID } from './validation.js';
+import { normalizeString } from './org-bff.js';
+
+export const SESSION_DRAFT_RETENTION_SETTING_KEY = 'session_draft_retention_days';
+export const DEFAULT_SESSION_DRAFT_RETENTION_DAYS = 14;
+export const MAX_SESSION_DRAFT_RETENTION_DAYS = 90;
+
+export const SESSION_DRAFT_SELECT = 'id, user_id, student_id, date, draft_key, content, created_at, updated_at, expires_at';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DRAFT_BYTES = 256 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function normalizeDraftRetentionDays(value) {
+  const raw = value && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, 'days')
+    ? value.days
+    : value;
+  const days = typeof raw === 'number' ? raw : Number.parseInt(normalizeString(raw), 10);
+  if (!Number.isInteger(days) || days < 1) {
+    return DEFAULT_SESSION_DRAFT_RETENTION_DAYS;
+  }
+  return Math.min(days, MAX_SESSION_DRAFT_RETENTION_DAYS);
+}
+
+export async function loadDraftRetentionDays(context, tenantClient) {
+  const { data, error } = await tenantClient
+    .from('Settings')
+    .select('settings_value')
+    .eq('key', SESSION_DRAFT_RETENTION_SETTING_KEY)
+    .maybeSingle();
+
+  if (error) {
+    context?.log?.warn?.('session-drafts failed to load retention setting', { message: error.message });
+    return DEFAULT_SESSION_DRAFT_RETENTION_DAYS;
+  }
+
+  return normalizeDraftRetentionDays(data?.settings_value);
+}
+
+export function computeDraftExpiry(retentionDays, now = new Date()) {
+  return new Date(now.getTime() + normalizeDraftRetentionDays(retentionDays) * DAY_MS).toISOString();
+}
+
+// Drafts without a student (group or unassigned reports) share one slot per date
+export function buildSessionDraftKey(studentId, date) {
+  return `${normalizeString(studentId) || 'none'}|${normalizeString(date) || 'none'}`;
+}
+
+/**
+ * Validates a PUT body: `{ student_id?, date?, content }`.
+ * @returns {{ value: { studentId: string|null, date: string|null, draftKey: string, content: object } } | { error: string }}
+ */
+export function parseSessionDraftPayload(body) {
+  const studentId = normalizeString(body?.student_id);
+  if (studentId && !isUUID(studentId)) {
+    return { error: 'invalid_student_id' };
+  }
+
+  const date = normalizeString(body?.date).slice(0, 10);
+  if (date && (!DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime()))) {
+    return { error: 'invalid_date' };
+  }
+
+  const content = body?.content;
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return { error: 'invalid_draft_content' };
+  }
+  if (JSON.stringify(content).length > MAX_DRAFT_BYTES) {
+    return { error: 'draft_too_large' };
+  }
+
+  return {
+    value: {
+      studentId: studentId || null,
+      date: date || null,
+      draftKey: buildSessionDraftKey(studentId, date),
+      content,
+    },
+  };
+}
+
+/**
+ * Deletes the draft a report was written from once the report is saved.
+ * The id comes from the client (`draft_id` on POST /api/sessions), so only the caller's own draft is touched.
+ */
+export async function removeSubmittedDraft(context, tenantClient, { draftId, userId }) {
+  const normalizedId = normalizeString(draftId);
+  if (!isUUID(normalizedId) || !userId) {
+    return;
+  }
+
+  const { error } = await tenantClient
+    .from('SessionDrafts')
+    .delete()
+    .eq('id', normalizedId)
+    .eq('user_id', userId);
+
+  if (error) {
+    context?.log?.warn?.('sessions failed to remove submitted draft', { message: error.message, draftId: normalizedId });
+  }
+}
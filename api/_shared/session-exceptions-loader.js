@@ -0,0 +1,37 @@
+/* eslint-env node */
+/**
+ * Reads SessionExceptions for the views that lay them over the schedule
+ * (daily/weekly compliance and the documentation report).
+ *
+ * Kept apart from session-exceptions.js, which reports.js imports, so the paged
+ * loader can come from reports.js without an import cycle.
+ */
+
+import { loadAllRows } from './reports.js';
+import { SESSION_EXCEPTION_SELECT, buildExceptionRangeFilter } from './session-exceptions.js';
+
+/**
+ * Exceptions whose original or make-up date falls in [from, to], optionally only for some students.
+ * Tenants that have not re-run the setup script yet lack the table; any read failure is logged
+ * and yields no exceptions, so the caller shows the plain schedule instead of failing.
+ * @param {object} options - { from, to, studentIds, source } where source prefixes the log line
+ * @returns {Promise<{ data: object[], truncated: boolean }>}
+ */
+export async function loadSessionExceptionsInRange(context, tenantClient, { from, to, studentIds = null, source }) {
+  const result = await loadAllRows(() => {
+    let query = tenantClient
+      .from('SessionExceptions')
+      .select(SESSION_EXCEPTION_SELECT)
+      .or(buildExceptionRangeFilter(from, to));
+    if (studentIds) {
+      query = query.in('student_id', studentIds);
+    }
+    return query.order('id');
+  });
+
+  if (result.error) {
+    context.log?.warn?.(`${source} failed to load session exceptions`, { message: result.error.message });
+    return { data: [], truncated: false };
+  }
+  return result;
+}
@@ -0,0 +1,275 @@
+/* eslint-env node */
+/**
+ * Session exceptions: scheduled slots that did not take place.
+ *
+ * A row in SessionExceptions marks one occurrence (student + date + slot) as
+ * cancelled or absent with a reason. Excused occurrences are shown on the
+ * compliance views but never count as missing documentation. An exception may
+ * schedule a make-up session on another date, which then appears on that date
+ * like any other scheduled session.
+ */
+
+import { isUUID } from './validation.js';
+import { normalizeString } from './org-bff.js';
+import { coerceOptionalText, coerceSessionTime } from './student-validation.js';
+import {
+  DEFAULT_SLOT_DURATION_MINUTES,
+  listScheduledOccurrences,
+  matchRecordsToOccurrences,
+  parseSlotTimeToMinutes,
+  resolveSlotInstructorId,
+  resolveStudentScheduleSlots,
+} from './student-schedule.js';
+
+export const SESSION_EXCEPTION_STATUSES = Object.freeze({
+  CANCELLED: 'cancelled',
+  ABSENT: 'absent',
+});
+
+export const SESSION_EXCEPTION_SELECT = 'id, student_id, date, slot_id, status, reason, makeup_date, makeup_time, instructor_id, created_by, created_at, updated_at';
+
+export const MAKEUP_SLOT_PREFIX = 'makeup:';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLOT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_REASON_LENGTH = 500;
+
+function coerceDate(value) {
+  const normalized = normalizeString(value).slice(0, 10);
+  if (!normalized) {
+    return { value: null, valid: true };
+  }
+  if (!DATE_PATTERN.test(normalized) || Number.isNaN(new Date(`${normalized}T00:00:00Z`).getTime())) {
+    return { value: null, valid: false };
+  }
+  return { value: normalized, valid: true };
+}
+
+export function isExcusedStatus(status) {
+  return Object.values(SESSION_EXCEPTION_STATUSES).includes(status);
+}
+
+export function buildExceptionKey(studentId, isoDate, slotId) {
+  return `${normalizeString(studentId)}|${isoDate}|${normalizeString(slotId)}`;
+}
+
+/**
+ * Validates a create/update body.
+ * `partial` allows omitting the occurrence fields (student, date, slot) on updates.
+ * @returns {{ value: object } | { error: string }}
+ */
+export function parseSessionExceptionPayload(body, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial) {
+    const studentId = normalizeString(body?.student_id ?? body?.studentId);
+    if (!isUUID(studentId)) {
+      return { error: 'invalid_student_id' };
+    }
+    value.student_id = studentId;
+
+    const date = coerceDate(body?.date);
+    if (!date.valid || !date.value) {
+      return { error: 'invalid_date' };
+    }
+    value.date = date.value;
+
+    const slotId = normalizeString(body?.slot_id ?? body?.slotId);
+    if (!SLOT_ID_PATTERN.test(slotId)) {
+      return { error: 'invalid_slot_id' };
+    }
+    value.slot_id = slotId;
+  }
+
+  const status = normalizeString(body?.status).toLowerCase();
+  if (status || !partial) {
+    if (!isExcusedStatus(status)) {
+      return { error: 'invalid_status' };
+    }
+    value.status = status;
+  }
+
+  if (body && Object.prototype.hasOwnProperty.call(body, 'reason')) {
+    const reason = coerceOptionalText(body.reason);
+    if (!reason.valid || (reason.value && reason.value.length > MAX_REASON_LENGTH)) {
+      return { error: 'invalid_reason' };
+    }
+    value.reason = reason.value ?? null;
+  }
+
+  const hasMakeupDate = body && (Object.prototype.hasOwnProperty.call(body, 'makeup_date') || Object.prototype.hasOwnProperty.call(body, 'makeupDate'));
+  if (hasMakeupDate) {
+    const makeupDate = coerceDate(body.makeup_date ?? body.makeupDate);
+    if (!makeupDate.valid) {
+      return { error: 'invalid_makeup_date' };
+    }
+    if (makeupDate.value && value.date && makeupDate.value === value.date) {
+      return { error: 'invalid_makeup_date' };
+    }
+    value.makeup_date = makeupDate.value;
+
+    const makeupTime = coerceSessionTime(body.makeup_time ?? body.makeupTime ?? null);
+    if (!makeupTime.valid) {
+      return { error: 'invalid_makeup_time' };
+    }
+    value.makeup_time = makeupDate.value ? makeupTime.value ?? null : null;
+  }
+
+  return { value };
+}
+
+/**
+ * The instructor who may change an exception: the current instructor of its slot,
+ * or the one stored on the row once the slot is gone from the schedule.
+ */
+export function resolveExceptionInstructorId(exception, student) {
+  const slot = resolveStudentScheduleSlots(student).find((entry) => entry.id === exception?.slot_id);
+  return slot ? resolveSlotInstructorId(slot, student) : normalizeString(exception?.instructor_id) || null;
+}
+
+/**
+ * Indexes exception rows by occurrence key.
+ */
+export function indexSessionExceptions(rows) {
+  const map = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const date = normalizeString(row?.date).slice(0, 10);
+    if (row?.student_id && date && row?.slot_id) {
+      map.set(buildExceptionKey(row.student_id, date, row.slot_id), row);
+    }
+  }
+  return map;
+}
+
+/**
+ * Make-up sessions scheduled on isoDate, shaped like listScheduledOccurrences entries.
+ * The make-up keeps the original slot's duration and service; its time is the chosen
+ * make-up time or, when none was given, the original slot time.
+ *
+ * @param {object[]} exceptions - SessionExceptions rows
+ * @param {Map<string, object>} studentsById - Student rows (with schedule fields)
+ * @param {string} isoDate
+ * @param {object} [options] - { instructorId } keeps only make-ups taught by that instructor
+ */
+export function listMakeupOccurrences(exceptions, studentsById, isoDate, { instructorId = null } = {}) {
+  const occurrences = [];
+  const instructorFilter = normalizeString(instructorId);
+
+  for (const exception of Array.isArray(exceptions) ? exceptions : []) {
+    if (normalizeString(exception?.makeup_date).slice(0, 10) !== isoDate) {
+      continue;
+    }
+    const student = studentsById.get(normalizeString(exception.student_id));
+    if (!student) {
+      continue;
+    }
+    const original = resolveStudentScheduleSlots(student).find((slot) => slot.id === exception.slot_id) || null;
+    const timeMinutes = parseSlotTimeToMinutes(exception.makeup_time || original?.time);
+    if (timeMinutes === null) {
+      continue;
+    }
+    const slotInstructorId = normalizeString(exception.instructor_id) || resolveSlotInstructorId(original, student);
+    if (instructorFilter && slotInstructorId !== instructorFilter) {
+      continue;
+    }
+    occurrences.push({
+      student,
+      slot: {
+        ...(original || {}),
+        id: `${MAKEUP_SLOT_PREFIX}${exception.id}`,
+        time: exception.makeup_time || original?.time,
+      },
+      instructorId: slotInstructorId,
+      timeMinutes,
+      durationMinutes: original?.duration_minutes || DEFAULT_SLOT_DURATION_MINUTES,
+      service: original?.service || null,
+      makeupFor: exception,
+    });
+  }
+
+  return occurrences;
+}
+
+/**
+ * Everything scheduled on one date: regular slots plus make-ups moved onto it, in time order.
+ * Excused occurrences carry their exception and are left out of record matching, so a
+ * record written that day documents the next non-excused occurrence instead.
+ *
+ * @param {object[]} students - Student rows (with schedule fields)
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} dayOfWeek - 1 (Sunday) – 7 (Saturday)
+ * @param {object} [options] - { instructorId, exceptions, recordIdsByKey }
+ * @returns {Array<{ occurrence: object, exception: object|null, recordId: string|null }>}
+ */
+export function resolveDayOccurrences(students, isoDate, dayOfWeek, {
+  instructorId = null,
+  exceptions = [],
+  recordIdsByKey = new Map(),
+} = {}) {
+  const studentsById = new Map();
+  for (const student of Array.isArray(students) ? students : []) {
+    studentsById.set(normalizeString(student?.id), student);
+  }
+
+  const occurrences = [
+    ...listScheduledOccurrences(students, isoDate, dayOfWeek, { instructorId }),
+    ...listMakeupOccurrences(exceptions, studentsById, isoDate, { instructorId }),
+  ].sort((a, b) => a.timeMinutes - b.timeMinutes);
+
+  const exceptionIndex = indexSessionExceptions(exceptions);
+  const exceptionFor = new Map();
+  for (const occurrence of occurrences) {
+    if (!occurrence.makeupFor) {
+      const key = buildExceptionKey(occurrence.student?.id, isoDate, occurrence.slot?.id);
+      const exception = exceptionIndex.get(key);
+      if (exception && isExcusedStatus(exception.status)) {
+        exceptionFor.set(occurrence, exception);
+      }
+    }
+  }
+
+  const matches = matchRecordsToOccurrences(
+    occurrences.filter((occurrence) => !exceptionFor.has(occurrence)),
+    recordIdsByKey,
+    isoDate,
+  );
+
+  return occurrences.map((occurrence) => ({
+    occurrence,
+    exception: exceptionFor.get(occurrence) || null,
+    recordId: matches.get(occurrence) ?? null,
+  }));
+}
+
+/**
+ * PostgREST or() filter for exceptions whose date or make-up date falls in [from, to].
+ */
+export function buildExceptionRangeFilter(from, to) {
+  return `and(date.gte.${from},date.lte.${to}),and(makeup_date.gte.${from},makeup_date.lte.${to})`;
+}
+
+/**
+ * Session fields describing an exception or make-up link, for the compliance payloads.
+ */
+export function describeOccurrenceException(exception, makeupFor = null) {
+  const fields = {};
+  if (exception) {
+    fields.exception = {
+      id: exception.id,
+      status: exception.status,
+      reason: exception.reason || null,
+      makeupDate: exception.makeup_date || null,
+      makeupTime: exception.makeup_time ? String(exception.makeup_time).slice(0, 5) : null,
+    };
+  }
+  if (makeupFor) {
+    fields.isMakeup = true;
+    fields.makeupFor = {
+      exceptionId: makeupFor.id,
+      date: makeupFor.date,
+      slotId: makeupFor.slot_id,
+      status: makeupFor.status,
+    };
+  }
+  return fields;
+}
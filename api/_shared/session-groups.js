@@ -0,0 +1,72 @@
+/* eslint-env node */
+/**
+ * Group sessions: one meeting documented for several students at once.
+ *
+ * Each student still gets their own SessionRecords row. The rows share a
+ * `group_id` and carry a `metadata.group` snapshot ({ id, size, students: [{ id, name }] })
+ * so history and compliance views can name the other participants without another query.
+ */
+
+import { normalizeString } from './org-bff.js';
+
+// Compliance views read the group through the metadata snapshot so tenants without the
+// group_id column keep working.
+export const SESSION_RECORD_GROUP_SELECT = 'id, student_id, date, group:metadata->group';
+
+/**
+ * Shared answers with the student's override answers on top.
+ */
+export function buildGroupContent(sharedContent, override) {
+  return { ...(sharedContent || {}), ...(override || {}) };
+}
+
+export function buildGroupMetadata(groupId, students) {
+  const list = (Array.isArray(students) ? students : []).map((student) => ({
+    id: normalizeString(student?.id),
+    name: normalizeString(student?.name),
+  }));
+  return { id: groupId, size: list.length, students: list };
+}
+
+/**
+ * Fields added to a compliance session for a record that belongs to a group.
+ * @returns {{ groupId: string, groupSize: number, groupPeers: string[] } | {}}
+ */
+export function describeRecordGroup(group, studentId) {
+  const groupId = normalizeString(group?.id);
+  if (!groupId) {
+    return {};
+  }
+  const students = Array.isArray(group.students) ? group.students : [];
+  const ownId = normalizeString(studentId);
+  return {
+    groupId,
+    groupSize: Number.isFinite(group.size) ? group.size : students.length,
+    groupPeers: students
+      .filter((student) => normalizeString(student?.id) !== ownId)
+      .map((student) => normalizeString(student?.name))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Indexes record groups by record id from rows selected with SESSION_RECORD_GROUP_SELECT.
+ */
+export function indexRecordGroups(rows) {
+  const groups = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (row?.id && row.group && typeof row.group === 'object') {
+      groups.set(row.id, row.group);
+    }
+  }
+  return groups;
+}
+
+/**
+ * True when an insert failed only because the tenant has not added the group_id column yet.
+ * PostgREST reports PGRST204 for a column missing from its schema cache, Postgres 42703.
+ */
+export function isMissingGroupIdColumn(error) {
+  const code = normalizeString(error?.code);
+  return (code === 'PGRST204' || code === '42703') && String(error?.message || '').includes('group_id');
+}
@@ -1,4 +1,6 @@
 import { normalizeString } from './org-bff.js';
+import { isUUID } from './validation.js';
+import { resolveServiceFormConfig } from './version-lookup.js';
 
 export function extractSessionFormVersion(settingsValue) {
   if (settingsValue === null || settingsValue === undefined) {
@@ -51,7 +53,8 @@ export function extractSessionFormVersion(settingsValue) {
   return null;
 }
 
-export async function resolveSessionFormVersion(tenantClient) {
+// Versions are numbered per questionnaire, so the version is read from the service's own questionnaire when it has one
+export async function resolveSessionFormVersion(tenantClient, service = null) {
   const result = await tenantClient
     .from('Settings')
     .select('settings_value')
@@ -59,19 +62,22 @@ export async function resolveSessionFormVersion(tenantClient) {
     .maybeSingle();
 
   if (result.error) {
-    return { version: null, error: result.error };
+    return { version: null, service: null, error: result.error };
   }
 
-  return { version: extractSessionFormVersion(result.data?.settings_value) ?? null, error: null };
+  const resolved = resolveServiceFormConfig(result.data?.settings_value, service);
+  return { version: extractSessionFormVersion(resolved.config) ?? null, service: resolved.service, error: null };
 }
 
-export async function buildSessionMetadata({ tenantClient, userId, role, source, logger }) {
+export async function buildSessionMetadata({ tenantClient, userId, role, source, service = null, logger }) {
   let formVersion = null;
+  let formService = null;
   let versionError = null;
 
   if (tenantClient) {
-    const versionResult = await resolveSessionFormVersion(tenantClient);
+    const versionResult = await resolveSessionFormVersion(tenantClient, service);
     formVersion = versionResult.version ?? null;
+    formService = versionResult.service ?? null;
     versionError = versionResult.error;
   }
 
@@ -79,6 +85,9 @@ export async function buildSessionMetadata({ tenantClient, userId, role, source,
   if (formVersion !== null && formVersion !== undefined) {
     metadataPayload.form_version = formVersion;
   }
+  if (formService) {
+    metadataPayload.form_service = formService;
+  }
 
   const normalizedUserId = normalizeString(userId);
   if (normalizedUserId) {
@@ -100,3 +109,104 @@ export async function buildSessionMetadata({ tenantClient, userId, role, source,
 
   return { metadata: Object.keys(metadataPayload).length ? metadataPayload : null, error: versionError };
 }
+
+/**
+ * Reports queued offline on the device carry `client_submission_id`, so a retry after a
+ * lost response returns the saved record instead of creating a second one, and
+ * `expected_form_version`, the questionnaire version they were filled against.
+ */
+export function readOfflineSubmission(body) {
+  const clientSubmissionId = normalizeString(body?.client_submission_id ?? body?.clientSubmissionId);
+  const hasExpectedFormVersion = Object.prototype.hasOwnProperty.call(body ?? {}, 'expected_form_version');
+  const rawVersion = body?.expected_form_version;
+  const expectedFormVersion = rawVersion === null || rawVersion === undefined || rawVersion === ''
+    ? null
+    : Number.parseInt(String(rawVersion), 10);
+  const queuedAt = normalizeString(body?.queued_at);
+
+  return {
+    clientSubmissionId: isUUID(clientSubmissionId) ? clientSubmissionId : '',
+    hasExpectedFormVersion,
+    expectedFormVersion: Number.isInteger(expectedFormVersion) ? expectedFormVersion : null,
+    queuedAt: queuedAt && !Number.isNaN(Date.parse(queuedAt)) ? queuedAt : null,
+  };
+}
+
+// True when a queued report was filled against a different questionnaire version than the current one.
+export function hasFormVersionConflict(submission, metadata) {
+  if (!submission?.hasExpectedFormVersion) {
+    return false;
+  }
+  return (metadata?.form_version ?? null) !== submission.expectedFormVersion;
+}
+
+export function buildOfflineSubmissionMetadata(submission) {
+  const additions = {};
+  if (submission?.clientSubmissionId) {
+    additions.client_submission_id = submission.clientSubmissionId;
+  }
+  if (submission?.queuedAt) {
+    additions.queued_at = submission.queuedAt;
+  }
+  return additions;
+}
+
+export async function findSubmittedSessionRecords(tenantClient, clientSubmissionId, select = '*') {
+  if (!clientSubmissionId) {
+    return { data: [], error: null };
+  }
+  const { data, error } = await tenantClient
+    .from('SessionRecords')
+    .select(select)
+    .eq('metadata->>client_submission_id', clientSubmissionId)
+    .eq('deleted', false);
+  return { data: Array.isArray(data) ? data : [], error };
+}
+
+const REVISABLE_SESSION_FIELDS = ['date', 'service_context', 'content'];
+
+export function listChangedSessionFields(existingRecord, updates) {
+  const changed = [];
+  for (const field of REVISABLE_SESSION_FIELDS) {
+    if (!Object.prototype.hasOwnProperty.call(updates ?? {}, field)) {
+      continue;
+    }
+    const previous = existingRecord?.[field] ?? null;
+    const next = updates[field] ?? null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changed.push(field);
+    }
+  }
+  return changed;
+}
+
+// Snapshot the pre-edit values into metadata.revisions so the history UI can show who changed what.
+export function appendSessionRevision(metadata, existingRecord, { changedFields = [], userId, userEmail, role, editedAt } = {}) {
+  const base = metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+  const revisions = Array.isArray(base.revisions) ? base.revisions : [];
+  const timestamp = editedAt || new Date().toISOString();
+  const normalizedUserId = normalizeString(userId) || null;
+  const normalizedRole = normalizeString(role).toLowerCase() || null;
+
+  const revision = {
+    revision: revisions.length + 1,
+    edited_at: timestamp,
+    edited_by: normalizedUserId,
+    edited_by_email: normalizeString(userEmail) || null,
+    edited_role: normalizedRole,
+    changed_fields: changedFields,
+    previous: {
+      date: existingRecord?.date ?? null,
+      service_context: existingRecord?.service_context ?? null,
+      content: existingRecord?.content ?? null,
+    },
+  };
+
+  return {
+    ...base,
+    revisions: [...revisions, revision],
+    updated_by: normalizedUserId,
+    updated_at: timestamp,
+    updated_role: normalizedRole,
+  };
+}
@@ -1,3 +1,5 @@
+import { sanitizeQuestionRules } from './session-form-rules.js';
+
 function extractFirstString(candidates) {
   for (const candidate of candidates) {
     if (typeof candidate === 'string') {
@@ -170,6 +172,11 @@ function normalizeSessionFormQuestion(entry, index) {
     normalized.helpText = entry.helpText.trim();
   }
 
+  const rules = sanitizeQuestionRules(entry.rules);
+  if (rules.length) {
+    normalized.rules = rules;
+  }
+
   return normalized;
 }
 
@@ -198,8 +205,18 @@ function normalizeSessionFormConfigValue(raw) {
   }
 
   if (payload && typeof payload === 'object') {
+    // `service` targets that service's questionnaire instead of the default one;
+    // `remove` retires it so the service falls back to the default (its history is kept)
+    const service = typeof payload.service === 'string' ? payload.service.trim() : '';
+    if (payload.service !== undefined && payload.service !== null && !service) {
+      return { error: 'invalid_session_form_config' };
+    }
+    if (service && payload.remove === true) {
+      return { service, remove: true, questions: [] };
+    }
     const questionsSource = Array.isArray(payload.questions) ? payload.questions : [];
     return {
+      service: service || null,
       questions: questionsSource.map((entry, index) => normalizeSessionFormQuestion(entry, index)),
     };
   }
@@ -207,4 +224,97 @@ function normalizeSessionFormConfigValue(raw) {
   return { error: 'invalid_session_form_config' };
 }
 
-export { normalizeSessionFormConfigValue, normalizeSessionFormQuestion };
+function toVersionNumber(candidate) {
+  const numeric = typeof candidate === 'number'
+    ? candidate
+    : Number.parseInt(String(candidate ?? '').trim(), 10);
+  return Number.isInteger(numeric) && numeric >= 0 ? numeric : 0;
+}
+
+// Highest version a questionnaire (`{ current, history }`) ever had, so a retired
+// service questionnaire that is set up again never reuses a version number
+function readLatestQuestionnaireVersion(questionnaire) {
+  if (!questionnaire || typeof questionnaire !== 'object' || Array.isArray(questionnaire)) {
+    return 0;
+  }
+  const candidates = [
+    questionnaire.current && typeof questionnaire.current === 'object' ? questionnaire.current.version : questionnaire.version,
+    ...(Array.isArray(questionnaire.history) ? questionnaire.history.map((entry) => entry?.version) : []),
+  ];
+  return Math.max(0, ...candidates.map(toVersionNumber));
+}
+
+function buildQuestionnaireHistory(questionnaire, savedAt) {
+  const history = [];
+  if (!questionnaire || typeof questionnaire !== 'object' || Array.isArray(questionnaire)) {
+    return history;
+  }
+  if (questionnaire.current && questionnaire.current.version && questionnaire.current.questions) {
+    history.push({
+      version: questionnaire.current.version,
+      questions: questionnaire.current.questions,
+      saved_at: savedAt,
+    });
+  } else if (questionnaire.version && questionnaire.questions) {
+    history.push({
+      version: questionnaire.version,
+      questions: questionnaire.questions,
+      saved_at: savedAt,
+    });
+  }
+  if (Array.isArray(questionnaire.history)) {
+    history.push(...questionnaire.history);
+  }
+  return history;
+}
+
+/**
+ * Applies a normalized save (see normalizeSessionFormConfigValue) to the stored `session_form_config`.
+ *
+ * The default questionnaire lives at the top level and each service's at `services[<service>]`, all
+ * shaped `{ current, history }` with their own version numbers. Saving one never touches the others,
+ * and the replaced version moves into history so older reports keep rendering with their questions.
+ *
+ * @returns {{ value: object, version: number|null }}
+ */
+function mergeSessionFormConfig(existingData, normalized, savedAt = new Date().toISOString()) {
+  const existing = existingData && typeof existingData === 'object' && !Array.isArray(existingData)
+    ? existingData
+    : null;
+  const services = existing?.services && typeof existing.services === 'object' && !Array.isArray(existing.services)
+    ? { ...existing.services }
+    : {};
+
+  if (!normalized.service) {
+    const version = readLatestQuestionnaireVersion(existing) + 1;
+    const value = {
+      current: { version, questions: normalized.questions, saved_at: savedAt },
+      history: buildQuestionnaireHistory(existing, savedAt),
+    };
+    if (Object.keys(services).length) {
+      value.services = services;
+    }
+    return { value, version };
+  }
+
+  const previous = services[normalized.service];
+  const history = buildQuestionnaireHistory(previous, savedAt);
+  let version = null;
+  if (normalized.remove) {
+    services[normalized.service] = { current: null, history };
+  } else {
+    version = readLatestQuestionnaireVersion(previous) + 1;
+    services[normalized.service] = {
+      current: { version, questions: normalized.questions, saved_at: savedAt },
+      history,
+    };
+  }
+
+  // A legacy default (a bare question list) is wrapped so the services map has somewhere to live
+  const base = existing
+    ? existing
+    : { current: { version: 0, questions: Array.isArray(existingData) ? existingData : [], saved_at: savedAt }, history: [] };
+  return { value: { ...base, services }, version };
+}
+
+export { mergeSessionFormConfig, normalizeSessionFormConfigValue, normalizeSessionFormQuestion };
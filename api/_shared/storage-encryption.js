@@ -198,3 +198,67 @@ export function decryptStorageProfile(storageProfile, env) {
     byos: decryptedByos,
   };
 }
+
+function resolveEncryptionKey(env) {
+  const encryptionSecret = resolveEncryptionSecret(env);
+  if (!encryptionSecret) {
+    throw new Error('Encryption secret not configured');
+  }
+
+  const encryptionKey = deriveEncryptionKey(encryptionSecret);
+  if (!encryptionKey) {
+    throw new Error('Failed to derive encryption key');
+  }
+
+  return encryptionKey;
+}
+
+/**
+ * Encrypt an arbitrary secret string (passwords, credential JSON) with the app key
+ *
+ * Produces the same version:mode:iv:authTag:cipherText format as the BYOS credentials.
+ *
+ * @param {string} plainText - Secret to encrypt
+ * @param {Object} env - Environment variables
+ * @returns {string} Encrypted payload
+ */
+export function encryptSecretString(plainText, env) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', resolveEncryptionKey(env), iv);
+  const cipherText = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+
+  return [
+    'v1',
+    'gcm',
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    cipherText.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * Decrypt a payload produced by encryptSecretString
+ *
+ * @param {string} payload - Encrypted payload
+ * @param {Object} env - Environment variables
+ * @returns {string} Decrypted secret
+ */
+export function decryptSecretString(payload, env) {
+  const segments = typeof payload === 'string' ? payload.split(':') : [];
+  if (segments.length !== 5) {
+    throw new Error('Invalid encrypted payload format');
+  }
+
+  const [version, mode, ivBase64, authTagBase64, cipherTextBase64] = segments;
+  if (version !== 'v1' || mode !== 'gcm') {
+    throw new Error('Unsupported encryption format');
+  }
+
+  const decipher = createDecipheriv('aes-256-gcm', resolveEncryptionKey(env), Buffer.from(ivBase64, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTagBase64, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(cipherTextBase64, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
@@ -0,0 +1,208 @@
+/* eslint-env node */
+/**
+ * Student goals: the treatment plan of a student.
+ *
+ * Each row in StudentGoals is one goal (title, description, how it is measured,
+ * start/target dates and a status). Sessions do not get a table of their own for
+ * progress: a report stores its ratings in `metadata.goal_progress` as
+ * `[{ goal_id, rating, note }]`, so the rating travels with the report through
+ * edits, backups and the offline queue.
+ */
+
+import { isUUID } from './validation.js';
+import { normalizeString } from './org-bff.js';
+import { coerceOptionalText } from './student-validation.js';
+
+export const STUDENT_GOAL_STATUSES = Object.freeze({
+  ACTIVE: 'active',
+  ACHIEVED: 'achieved',
+  PAUSED: 'paused',
+  DISCONTINUED: 'discontinued',
+});
+
+export const STUDENT_GOAL_SELECT = 'id, student_id, title, description, target_metric, target_rating, start_date, target_date, status, created_by, created_at, updated_at';
+
+export const GOAL_RATING_MIN = 1;
+export const GOAL_RATING_MAX = 5;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_METRIC_LENGTH = 200;
+const MAX_NOTE_LENGTH = 500;
+
+function coerceDate(value) {
+  const normalized = normalizeString(value).slice(0, 10);
+  if (!normalized) {
+    return { value: null, valid: true };
+  }
+  if (!DATE_PATTERN.test(normalized) || Number.isNaN(new Date(`${normalized}T00:00:00Z`).getTime())) {
+    return { value: null, valid: false };
+  }
+  return { value: normalized, valid: true };
+}
+
+function coerceRating(value) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, valid: true };
+  }
+  const numeric = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(numeric) || numeric < GOAL_RATING_MIN || numeric > GOAL_RATING_MAX) {
+    return { value: null, valid: false };
+  }
+  return { value: numeric, valid: true };
+}
+
+function hasField(body, key) {
+  return Boolean(body) && Object.prototype.hasOwnProperty.call(body, key);
+}
+
+function readLimitedText(body, key, maxLength) {
+  const text = coerceOptionalText(body[key]);
+  if (!text.valid || (text.value && text.value.length > maxLength)) {
+    return { valid: false };
+  }
+  return { valid: true, value: text.value ?? null };
+}
+
+export function isGoalStatus(status) {
+  return Object.values(STUDENT_GOAL_STATUSES).includes(status);
+}
+
+/**
+ * Validates a create/update body.
+ * `partial` allows omitting the student and title on updates.
+ * @returns {{ value: object } | { error: string }}
+ */
+export function parseStudentGoalPayload(body, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial) {
+    const studentId = normalizeString(body?.student_id ?? body?.studentId);
+    if (!isUUID(studentId)) {
+      return { error: 'invalid_student_id' };
+    }
+    value.student_id = studentId;
+  }
+
+  if (!partial || hasField(body, 'title')) {
+    const title = normalizeString(body?.title);
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      return { error: 'invalid_title' };
+    }
+    value.title = title;
+  }
+
+  if (hasField(body, 'description')) {
+    const description = readLimitedText(body, 'description', MAX_DESCRIPTION_LENGTH);
+    if (!description.valid) {
+      return { error: 'invalid_description' };
+    }
+    value.description = description.value;
+  }
+
+  if (hasField(body, 'target_metric')) {
+    const metric = readLimitedText(body, 'target_metric', MAX_METRIC_LENGTH);
+    if (!metric.valid) {
+      return { error: 'invalid_target_metric' };
+    }
+    value.target_metric = metric.value;
+  }
+
+  if (hasField(body, 'target_rating')) {
+    const rating = coerceRating(body.target_rating);
+    if (!rating.valid) {
+      return { error: 'invalid_target_rating' };
+    }
+    value.target_rating = rating.value;
+  }
+
+  for (const key of ['start_date', 'target_date']) {
+    if (hasField(body, key)) {
+      const date = coerceDate(body[key]);
+      if (!date.valid) {
+        return { error: `invalid_${key}` };
+      }
+      value[key] = date.value;
+    }
+  }
+  if (value.start_date && value.target_date && value.start_date > value.target_date) {
+    return { error: 'invalid_date_range' };
+  }
+
+  const status = normalizeString(body?.status).toLowerCase();
+  if (status) {
+    if (!isGoalStatus(status)) {
+      return { error: 'invalid_status' };
+    }
+    value.status = status;
+  } else if (!partial) {
+    value.status = STUDENT_GOAL_STATUSES.ACTIVE;
+  }
+
+  return { value };
+}
+
+/**
+ * Validates the `goal_progress` of a session report: `[{ goal_id, rating, note? }]`,
+ * one entry per goal. Entries without a rating are dropped (the goal was not worked on).
+ * @returns {{ value: Array<{ goal_id: string, rating: number, note?: string }> } | { error: string }}
+ */
+export function parseGoalProgressInput(raw) {
+  if (raw === null || raw === undefined) {
+    return { value: [] };
+  }
+  if (!Array.isArray(raw)) {
+    return { error: 'invalid_goal_progress' };
+  }
+
+  const byGoal = new Map();
+  for (const entry of raw) {
+    const goalId = normalizeString(entry?.goal_id ?? entry?.goalId);
+    if (!isUUID(goalId)) {
+      return { error: 'invalid_goal_progress' };
+    }
+    const rating = coerceRating(entry?.rating);
+    const note = coerceOptionalText(entry?.note);
+    if (!rating.valid || !note.valid || (note.value && note.value.length > MAX_NOTE_LENGTH)) {
+      return { error: 'invalid_goal_progress' };
+    }
+    if (rating.value === null) {
+      continue;
+    }
+    byGoal.set(goalId, note.value ? { goal_id: goalId, rating: rating.value, note: note.value } : { goal_id: goalId, rating: rating.value });
+  }
+
+  return { value: Array.from(byGoal.values()) };
+}
+
+/**
+ * Checks that every rated goal belongs to the student of the report. Goals that were
+ * completed or paused since the form was opened are still accepted.
+ * @returns {Promise<{ value: Array } | { error: { status: number, message: string } }>}
+ */
+export async function verifyGoalProgress(context, tenantClient, studentId, entries) {
+  if (!entries.length) {
+    return { value: entries };
+  }
+  if (!studentId) {
+    return { error: { status: 400, message: 'invalid_goal_progress' } };
+  }
+
+  const { data, error } = await tenantClient
+    .from('StudentGoals')
+    .select('id')
+    .eq('student_id', studentId)
+    .in('id', entries.map((entry) => entry.goal_id));
+
+  if (error) {
+    context.log?.error?.('student goals failed to verify goal progress', { message: error.message, studentId });
+    return { error: { status: 500, message: 'failed_to_load_goals' } };
+  }
+
+  const knownIds = new Set((Array.isArray(data) ? data : []).map((row) => row.id));
+  if (entries.some((entry) => !knownIds.has(entry.goal_id))) {
+    return { error: { status: 400, message: 'invalid_goal_progress' } };
+  }
+  return { value: entries };
+}
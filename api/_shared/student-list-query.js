@@ -0,0 +1,111 @@
+/* eslint-env node */
+import { UUID_PATTERN, normalizeString } from './org-bff.js';
+import { coerceDayOfWeek } from './student-validation.js';
+
+export const STUDENT_LIST_DEFAULT_LIMIT = 50;
+export const STUDENT_LIST_MAX_LIMIT = 200;
+
+export const STUDENT_LIST_SORTS = Object.freeze({
+  NAME: 'name',
+  SCHEDULE: 'schedule',
+});
+
+// PostgREST treats these as syntax inside or()/ilike filters, so they are stripped from free text.
+const SEARCH_RESERVED_PATTERN = /[,()*%\\:"]/g;
+
+export function sanitizeSearchTerm(raw) {
+  const normalized = normalizeString(raw).replace(SEARCH_RESERVED_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+  return normalized.slice(0, 100);
+}
+
+function parseNonNegativeInteger(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { value: null, valid: true };
+  }
+  const numeric = Number(raw);
+  if (!Number.isInteger(numeric) || numeric < 0) {
+    return { value: null, valid: false };
+  }
+  return { value: numeric, valid: true };
+}
+
+/**
+ * Parses the optional list filters on GET /api/students-list.
+ * Pagination is opt-in: when neither `limit` nor `offset` is provided the caller
+ * receives the legacy full-array response.
+ */
+export function parseStudentListQuery(query = {}) {
+  const limitResult = parseNonNegativeInteger(query?.limit ?? query?.page_size);
+  if (!limitResult.valid || limitResult.value === 0) {
+    return { error: 'invalid_limit' };
+  }
+
+  const offsetResult = parseNonNegativeInteger(query?.offset);
+  if (!offsetResult.valid) {
+    return { error: 'invalid_offset' };
+  }
+
+  const paginate = limitResult.value !== null || offsetResult.value !== null;
+  const limit = Math.min(limitResult.value ?? STUDENT_LIST_DEFAULT_LIMIT, STUDENT_LIST_MAX_LIMIT);
+  const offset = offsetResult.value ?? 0;
+
+  const rawDay = normalizeString(query?.day ?? query?.day_of_week);
+  let day = null;
+  if (rawDay) {
+    const dayResult = coerceDayOfWeek(rawDay);
+    if (!dayResult.valid || dayResult.value === null) {
+      return { error: 'invalid_day' };
+    }
+    day = dayResult.value;
+  }
+
+  const tagId = normalizeString(query?.tag ?? query?.tag_id);
+  if (tagId && !UUID_PATTERN.test(tagId)) {
+    return { error: 'invalid_tag_id' };
+  }
+
+  const rawSort = normalizeString(query?.sort).toLowerCase();
+  let sort = STUDENT_LIST_SORTS.NAME;
+  if (rawSort) {
+    if (!Object.values(STUDENT_LIST_SORTS).includes(rawSort)) {
+      return { error: 'invalid_sort' };
+    }
+    sort = rawSort;
+  }
+
+  return {
+    pagination: paginate ? { limit, offset } : null,
+    search: sanitizeSearchTerm(query?.q ?? query?.search),
+    day,
+    tagId: tagId || null,
+    sort,
+  };
+}
+
+export function applyStudentListFilters(builder, { search, day, tagId } = {}) {
+  let next = builder;
+  if (search) {
+    const pattern = `%${search}%`;
+    next = next.or(`name.ilike.${pattern},contact_phone.ilike.${pattern},national_id.ilike.${pattern}`);
+  }
+  if (day !== null && day !== undefined) {
+    // default_day_of_week only mirrors the first slot, so students seen on other days match through schedule_slots
+    next = next.or(`default_day_of_week.eq.${day},schedule_slots.cs.[{"day_of_week":${day}}]`);
+  }
+  if (tagId) {
+    next = next.contains('tags', [tagId]);
+  }
+  return next;
+}
+
+// Mirrors the client-side schedule comparator: day → hour → name, empty schedules last.
+export function applyStudentListSort(builder, sort) {
+  if (sort === STUDENT_LIST_SORTS.SCHEDULE) {
+    return builder
+      .order('default_day_of_week', { ascending: true, nullsFirst: false })
+      .order('default_session_time', { ascending: true, nullsFirst: false })
+      .order('name', { ascending: true })
+      .order('id', { ascending: true });
+  }
+  return builder.order('name', { ascending: true }).order('id', { ascending: true });
+}
@@ -0,0 +1,759 @@
+/* eslint-env node */
+/**
+ * The student session-records PDF: data loading and the HTML rendered by api/_shared/pdf-export.js.
+ * Used by /api/students-export (one student) and the /api/students-export-batch background job.
+ */
+
+import { extractQuestionsForVersion } from './version-lookup.js';
+import { formatAnswerText, isSignatureAnswer, readAttachmentAnswers } from './session-answers.js';
+import { escapeHtml, renderLogoSection } from './pdf-export.js';
+import { format, parseISO } from 'date-fns';
+import { he } from 'date-fns/locale';
+
+/**
+ * Parse session content from JSON or text
+ */
+function parseSessionContent(raw) {
+  if (raw === null || raw === undefined) {
+    return {};
+  }
+  if (typeof raw === 'string') {
+    const trimmed = raw.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    } catch {
+      return { notes: trimmed };
+    }
+    return { notes: trimmed };
+  }
+  if (typeof raw === 'object') {
+    return raw;
+  }
+  return {};
+}
+
+/**
+ * Create a stable key from a label/id similar to frontend normalization
+ * - lowercases
+ * - replaces non [a-z0-9א-ת] with underscores
+ * - collapses multiple underscores and trims edges
+ */
+function toKey(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const str = String(value);
+  return str
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9א-ת]+/gi, '_')
+    .replace(/_{2,}/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * Build answer list with human-readable labels
+ */
+function extractQuestionLabelRaw(entry) {
+  if (!entry || typeof entry !== 'object') return '';
+  if (typeof entry.label === 'string' && entry.label.trim()) return entry.label.trim();
+  if (typeof entry.title === 'string' && entry.title.trim()) return entry.title.trim();
+  if (typeof entry.question === 'string' && entry.question.trim()) return entry.question.trim();
+  return '';
+}
+
+function buildAnswerList(content, questions, { isLegacy = false } = {}) {
+  const answers = parseSessionContent(content);
+  const entries = [];
+  const seenKeys = new Set();
+
+  if (answers && typeof answers === 'object' && !Array.isArray(answers)) {
+    if (isLegacy) {
+      for (const [answerKey, answerValue] of Object.entries(answers)) {
+        if (answerValue === undefined || answerValue === null || answerValue === '') {
+          continue;
+        }
+        entries.push({ key: String(answerKey), label: String(answerKey), value: String(answerValue) });
+      }
+      return entries;
+    }
+
+    // Create a lookup map for questions by ID, key, and label (including slugged variants)
+    const questionMap = new Map();
+    for (const question of questions) {
+      const qLabel = extractQuestionLabelRaw(question);
+      const qId = typeof question.id === 'string' ? question.id : '';
+      const qKey = typeof question.key === 'string' ? question.key : '';
+
+      if (qLabel) {
+        questionMap.set(qLabel, { label: qLabel, question });
+        questionMap.set(toKey(qLabel), { label: qLabel, question });
+      }
+      if (qId) {
+        questionMap.set(qId, { label: qLabel || qId, question });
+        questionMap.set(toKey(qId), { label: qLabel || qId, question });
+      }
+      if (qKey) {
+        questionMap.set(qKey, { label: qLabel || qKey, question });
+        questionMap.set(toKey(qKey), { label: qLabel || qKey, question });
+      }
+    }
+
+    // Process all answers and look up their labels from the question map
+    for (const [answerKey, answerValue] of Object.entries(answers)) {
+      if (answerValue === undefined || answerValue === null || answerValue === '' || (Array.isArray(answerValue) && !answerValue.length)) {
+        continue;
+      }
+      const rawKey = String(answerKey);
+      // Try to find the human-readable label for this answer
+      const match = questionMap.get(rawKey) || questionMap.get(toKey(rawKey)) || null;
+
+      if (!seenKeys.has(rawKey)) {
+        entries.push({ key: rawKey, label: match?.label || rawKey, question: match?.question || null, value: answerValue });
+        seenKeys.add(rawKey);
+      }
+    }
+  } else if (typeof answers === 'string' && answers.trim()) {
+    entries.push({ label: 'תוכן המפגש', value: answers.trim() });
+  }
+
+  return entries;
+}
+
+/** Format date to dd/MM/yyyy (Hebrew locale) */
+function formatSessionDate(value) {
+  if (!value) {
+    return '';
+  }
+  try {
+    const parsed = parseISO(value);
+    if (!Number.isNaN(parsed.getTime())) {
+      return format(parsed, 'dd/MM/yyyy', { locale: he });
+    }
+  } catch {
+    // ignore parsing failures
+  }
+  return value;
+}
+
+/**
+ * Whether an answer belongs to one of the selected questions (by the question's id or key, or the
+ * answer key when the question is not in the version). No selection keeps every answer.
+ */
+function isSelectedAnswer(entry, selectedQuestions) {
+  if (!selectedQuestions.size) {
+    return true;
+  }
+  const candidates = entry.question ? [entry.question.id, entry.question.key] : [entry.key];
+  return candidates.some((candidate) => typeof candidate === 'string' && selectedQuestions.has(candidate));
+}
+
+function readSessionAnswers(session, formConfig) {
+  // Versions are numbered per questionnaire, so the service the report was filled against matters too
+  const questions = extractQuestionsForVersion(formConfig, session.metadata?.form_version ?? null, session.metadata?.form_service ?? null);
+  return buildAnswerList(session.content, questions, { isLegacy: Boolean(session?.is_legacy) });
+}
+
+/**
+ * Counts for the summary page: sessions per service, the documented period and the average of
+ * every (selected) scale question. `sessions` are newest first, as loadStudentPdfData returns them.
+ */
+export function buildRecordsSummary(sessions, formConfig, { questionIds = [] } = {}) {
+  const selectedQuestions = new Set(questionIds);
+  const services = new Map();
+  const scales = new Map();
+
+  for (const session of sessions) {
+    const service = session.service_context || '';
+    services.set(service, (services.get(service) || 0) + 1);
+
+    for (const entry of readSessionAnswers(session, formConfig)) {
+      if (entry.question?.type !== 'scale' || !isSelectedAnswer(entry, selectedQuestions)) {
+        continue;
+      }
+      const value = Number(entry.value);
+      if (!Number.isFinite(value)) {
+        continue;
+      }
+      const id = entry.question.id || entry.question.key || entry.label;
+      const bucket = scales.get(id) || { id, label: entry.label, count: 0, total: 0, range: entry.question.range || null };
+      bucket.count += 1;
+      bucket.total += value;
+      scales.set(id, bucket);
+    }
+  }
+
+  return {
+    total: sessions.length,
+    first_date: sessions.length ? sessions[sessions.length - 1].date : null,
+    last_date: sessions.length ? sessions[0].date : null,
+    services: [...services.entries()]
+      .map(([service, count]) => ({ service, count }))
+      .sort((a, b) => b.count - a.count || a.service.localeCompare(b.service, 'he')),
+    scales: [...scales.values()].map(({ total, ...bucket }) => ({
+      ...bucket,
+      average: Math.round((total / bucket.count) * 10) / 10,
+    })),
+  };
+}
+
+function renderSummaryHtml(summary) {
+  const period = summary.total
+    ? `${formatSessionDate(summary.first_date)} – ${formatSessionDate(summary.last_date)}`
+    : '—';
+  const serviceRows = summary.services.map((entry) => `
+        <tr><td>${entry.service ? escapeHtml(entry.service) : 'ללא שירות מוגדר'}</td><td>${entry.count}</td></tr>`).join('');
+  const scaleRows = summary.scales.map((entry) => {
+    const range = entry.range && Number.isFinite(entry.range.min) && Number.isFinite(entry.range.max)
+      ? ` (${entry.range.min}–${entry.range.max})`
+      : '';
+    return `
+        <tr><td>${escapeHtml(entry.label)}${range}</td><td>${entry.average}</td><td>${entry.count}</td></tr>`;
+  }).join('');
+
+  return `
+  <div class="summary-page">
+    <h2>סיכום</h2>
+    <div class="info-grid">
+      <div class="info-item">
+        <div class="info-label">מספר מפגשים</div>
+        <div class="info-value">${summary.total}</div>
+      </div>
+      <div class="info-item">
+        <div class="info-label">תקופה</div>
+        <div class="info-value">${period}</div>
+      </div>
+    </div>
+    ${serviceRows ? `
+    <table class="summary-table">
+      <thead><tr><th>שירות</th><th>מפגשים</th></tr></thead>
+      <tbody>${serviceRows}</tbody>
+    </table>` : ''}
+    ${scaleRows ? `
+    <table class="summary-table">
+      <thead><tr><th>שאלת סולם</th><th>ממוצע</th><th>תשובות</th></tr></thead>
+      <tbody>${scaleRows}</tbody>
+    </table>` : ''}
+  </div>`;
+}
+
+/**
+ * Signatures are embedded as images (the data URL is validated first), attachments are listed by
+ * file name since the files stay in the student's documents, everything else is escaped text.
+ */
+function renderAnswerValueHtml(entry) {
+  if (isSignatureAnswer(entry.value)) {
+    return `<div class="answer-value"><img class="answer-signature" src="${entry.value}" alt="חתימה" /></div>`;
+  }
+  const attachments = readAttachmentAnswers(entry.value);
+  if (attachments.length) {
+    const items = attachments.map((attachment) => `<li>${escapeHtml(attachment.name)}</li>`).join('');
+    return `<div class="answer-value"><ul class="answer-attachments">${items}</ul></div>`;
+  }
+  return `<div class="answer-value">${escapeHtml(formatAnswerText(entry.question, entry.value))}</div>`;
+}
+
+function describeFilters({ from, to, services }) {
+  const parts = [];
+  if (from || to) {
+    parts.push(`טווח תאריכים: ${from ? formatSessionDate(from) : 'מההתחלה'} – ${to ? formatSessionDate(to) : 'היום'}`);
+  }
+  if (services?.length) {
+    parts.push(`שירותים: ${services.join(', ')}`);
+  }
+  return parts;
+}
+
+/**
+ * Generate HTML content for PDF.
+ * `options` are the parsed export options (see parseRecordsExportOptions); sessions are expected to be
+ * loaded with the same date range and services, while the question selection is applied here.
+ */
+export function generatePdfHtml(student, sessions, formConfig, logos, options = {}) {
+  const selectedQuestions = new Set(options.questionIds || []);
+  const emptyAnswersText = selectedQuestions.size
+    ? 'לא תועדו תשובות לשאלות שנבחרו במפגש זה.'
+    : 'לא תועדו תשובות עבור מפגש זה.';
+
+  const sessionsHtml = sessions.map(session => {
+    const answers = readSessionAnswers(session, formConfig)
+      .filter((entry) => isSelectedAnswer(entry, selectedQuestions));
+    const answersHtml = answers.length ? answers.map(entry => `
+      <div class="answer-item">
+        <div class="answer-label">${escapeHtml(entry.label)}</div>
+        ${renderAnswerValueHtml(entry)}
+      </div>
+    `).join('') : `<p class="no-data">${emptyAnswersText}</p>`;
+
+    // NOTE: Instructor name is displayed in the web UI but intentionally NOT exported to PDF
+    return `
+      <div class="session-card">
+        <div class="session-header">
+          <h3>${formatSessionDate(session.date)}</h3>
+          <p class="session-service">${session.service_context ? escapeHtml(session.service_context) : 'ללא שירות מוגדר'}</p>
+        </div>
+        <div class="session-content">
+          ${answersHtml}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const logoSection = renderLogoSection(logos);
+  const filterLines = describeFilters(options);
+  const summaryHtml = options.includeSummary
+    ? renderSummaryHtml(buildRecordsSummary(sessions, formConfig, { questionIds: options.questionIds }))
+    : '';
+
+  return `
+<!DOCTYPE html>
+<html dir="rtl" lang="he">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>רישומי מפגשים - ${escapeHtml(student.name)}</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    
+    body {
+      font-family: 'Arial', 'Tahoma', 'Noto Sans Hebrew', sans-serif;
+      direction: rtl;
+      background: white;
+      color: #1a1a1a;
+      padding: 40px;
+      line-height: 1.6;
+    }
+    
+    .header {
+      border-bottom: 3px solid #4f46e5;
+      padding-bottom: 20px;
+      margin-bottom: 30px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    
+    .header-logos {
+      display: flex;
+      gap: 20px;
+      align-items: center;
+    }
+    
+    .logo {
+      height: 50px;
+      width: auto;
+      object-fit: contain;
+    }
+    
+    .logo-single {
+      height: 50px;
+      width: auto;
+      object-fit: contain;
+    }
+    
+    .header-info {
+      text-align: right;
+    }
+    
+    h1 {
+      font-size: 24px;
+      color: #1a1a1a;
+      margin-bottom: 5px;
+    }
+    
+    .subtitle {
+      font-size: 14px;
+      color: #666;
+    }
+    
+    .student-info {
+      background: #f8f9fa;
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 30px;
+    }
+    
+    .student-info h2 {
+      font-size: 18px;
+      margin-bottom: 15px;
+      color: #4f46e5;
+    }
+    
+    .info-grid {
+      display: grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap: 15px;
+    }
+    
+    .info-item {
+      display: flex;
+      flex-direction: column;
+    }
+    
+    .info-label {
+      font-size: 12px;
+      color: #666;
+      margin-bottom: 4px;
+      font-weight: 600;
+    }
+    
+    .info-value {
+      font-size: 14px;
+      color: #1a1a1a;
+    }
+    
+    .sessions-section h2 {
+      font-size: 20px;
+      margin-bottom: 20px;
+      color: #1a1a1a;
+    }
+    
+    .session-card {
+      border: 1px solid #e5e7eb;
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 20px;
+      page-break-inside: avoid;
+    }
+    
+    .session-header {
+      border-bottom: 1px solid #e5e7eb;
+      padding-bottom: 10px;
+      margin-bottom: 15px;
+    }
+    
+    .session-header h3 {
+      font-size: 16px;
+      color: #1a1a1a;
+      margin-bottom: 4px;
+    }
+    
+    .session-service {
+      font-size: 13px;
+      color: #666;
+    }
+    
+    .session-content {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+    
+    .answer-item {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+    }
+    
+    .answer-label {
+      font-size: 12px;
+      font-weight: 600;
+      color: #4f46e5;
+    }
+    
+    .answer-value {
+      font-size: 13px;
+      color: #1a1a1a;
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    }
+    
+    .answer-signature {
+      max-height: 80px;
+      max-width: 240px;
+      border-bottom: 1px solid #d1d5db;
+    }
+    
+    .answer-attachments {
+      margin: 0;
+      padding-inline-start: 18px;
+    }
+    
+    .filters {
+      font-size: 12px;
+      color: #666;
+    }
+    
+    .summary-page {
+      page-break-after: always;
+    }
+    
+    .summary-page h2 {
+      font-size: 20px;
+      margin-bottom: 20px;
+    }
+    
+    .summary-table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-top: 20px;
+      font-size: 13px;
+    }
+    
+    .summary-table th,
+    .summary-table td {
+      border: 1px solid #e5e7eb;
+      padding: 8px 10px;
+      text-align: right;
+    }
+    
+    .summary-table th {
+      background: #f8f9fa;
+      color: #4f46e5;
+    }
+    
+    .no-data {
+      font-size: 13px;
+      color: #999;
+      font-style: italic;
+    }
+    
+    .footer {
+      margin-top: 40px;
+      padding-top: 20px;
+      border-top: 1px solid #e5e7eb;
+      text-align: center;
+      font-size: 11px;
+      color: #999;
+    }
+    
+    @media print {
+      body {
+        padding: 20px;
+      }
+      
+      .session-card {
+        page-break-inside: avoid;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div class="header-info">
+      <h1>רישומי מפגשים</h1>
+      <p class="subtitle">נוצר ב-${format(new Date(), 'dd/MM/yyyy', { locale: he })}</p>
+      ${filterLines.map((line) => `<p class="filters">${escapeHtml(line)}</p>`).join('')}
+    </div>
+    ${logoSection}
+  </div>
+  
+  <div class="student-info">
+    <h2>פרטי תלמיד</h2>
+    <div class="info-grid">
+      <div class="info-item">
+        <div class="info-label">שם התלמיד</div>
+        <div class="info-value">${escapeHtml(student.name)}</div>
+      </div>
+      ${student.national_id ? `
+        <div class="info-item">
+          <div class="info-label">מספר זהות</div>
+          <div class="info-value">${escapeHtml(student.national_id)}</div>
+        </div>
+      ` : ''}
+      ${student.default_service ? `
+        <div class="info-item">
+          <div class="info-label">שירות ברירת מחדל</div>
+          <div class="info-value">${escapeHtml(student.default_service)}</div>
+        </div>
+      ` : ''}
+      ${student.contact_name ? `
+        <div class="info-item">
+          <div class="info-label">שם איש קשר</div>
+          <div class="info-value">${escapeHtml(student.contact_name)}</div>
+        </div>
+      ` : ''}
+      ${student.contact_phone ? `
+        <div class="info-item">
+          <div class="info-label">טלפון</div>
+          <div class="info-value">${escapeHtml(student.contact_phone)}</div>
+        </div>
+      ` : ''}
+    </div>
+  </div>
+  
+  ${summaryHtml}
+  
+  <div class="sessions-section">
+    <h2>היסטוריית מפגשים (${sessions.length})</h2>
+    ${sessionsHtml}
+  </div>
+  
+  <div class="footer">
+    <p>מסמך זה נוצר באמצעות מערכת TutTiud לניהול רישומי מפגשים</p>
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Sanitize student name for use in filename
+ */
+export function sanitizeStudentName(studentName) {
+  return studentName
+    .replace(/[^א-תa-zA-Z0-9\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '_');
+}
+
+/**
+ * Generate safe filename from student name
+ */
+export function generateFilename(studentName) {
+  const safeName = sanitizeStudentName(studentName);
+  const dateStr = format(new Date(), 'yyyy-MM-dd');
+  return `${safeName}_Records_${dateStr}.pdf`;
+}
+
+/**
+ * The student row and their non-deleted sessions, newest first, optionally limited to a date range
+ * and to some services.
+ * @returns {Promise<{ student: object, sessions: object[] } | { error: { status: number, message: string } }>}
+ */
+export async function loadStudentPdfData(context, tenantClient, studentId, {
+  from = null,
+  to = null,
+  services = [],
+  logPrefix = 'student-pdf',
+} = {}) {
+  try {
+    const { data, error } = await tenantClient
+      .from('Students')
+      .select('*')
+      .eq('id', studentId)
+      .maybeSingle();
+
+    if (error) {
+      context.log?.error?.(`${logPrefix} failed to fetch student`, { message: error.message, studentId });
+      return { error: { status: 500, message: 'failed_to_load_student' } };
+    }
+
+    if (!data) {
+      return { error: { status: 404, message: 'student_not_found' } };
+    }
+
+    let query = tenantClient
+      .from('SessionRecords')
+      .select('*')
+      .eq('student_id', studentId)
+      .eq('deleted', false);
+    if (from) {
+      query = query.gte('date', from);
+    }
+    if (to) {
+      query = query.lte('date', to);
+    }
+    if (services.length) {
+      query = query.in('service_context', services);
+    }
+    const sessionsResult = await query.order('date', { ascending: false });
+
+    if (sessionsResult.error) {
+      context.log?.error?.(`${logPrefix} failed to fetch sessions`, { message: sessionsResult.error.message, studentId });
+      return { error: { status: 500, message: 'failed_to_load_sessions' } };
+    }
+
+    return { student: data, sessions: Array.isArray(sessionsResult.data) ? sessionsResult.data : [] };
+  } catch (error) {
+    context.log?.error?.(`${logPrefix} failed to load student records`, { message: error?.message, studentId });
+    return { error: { status: 500, message: 'failed_to_load_student' } };
+  }
+}
+
+/**
+ * The session_form_config setting (complete with version history), or null when it cannot be read.
+ */
+export async function loadSessionFormConfig(context, tenantClient, { logPrefix = 'student-pdf' } = {}) {
+  try {
+    const { data, error } = await tenantClient
+      .from('Settings')
+      .select('settings_value')
+      .eq('key', 'session_form_config')
+      .maybeSingle();
+
+    if (!error && data?.settings_value) {
+      return data.settings_value;
+    }
+  } catch (error) {
+    context.log?.warn?.(`${logPrefix} failed to fetch form config`, { message: error?.message });
+    // Continue without form config
+  }
+  return null;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseOptionalDate(raw) {
+  const normalized = typeof raw === 'string' ? raw.trim() : '';
+  if (!normalized) {
+    return { value: null, valid: true };
+  }
+  if (!DATE_PATTERN.test(normalized) || Number.isNaN(new Date(`${normalized}T00:00:00Z`).getTime())) {
+    return { value: null, valid: false };
+  }
+  return { value: normalized, valid: true };
+}
+
+/**
+ * Optional from/to (YYYY-MM-DD) limiting the exported sessions; either side may be open.
+ * @returns {{ value: { from: string|null, to: string|null } } | { error: string }}
+ */
+export function parseRecordsDateRange(rawFrom, rawTo) {
+  const from = parseOptionalDate(rawFrom);
+  const to = parseOptionalDate(rawTo);
+  if (!from.valid || !to.valid) {
+    return { error: 'invalid_date' };
+  }
+  if (from.value && to.value && from.value > to.value) {
+    return { error: 'invalid_date_range' };
+  }
+  return { value: { from: from.value, to: to.value } };
+}
+
+const MAX_FILTER_VALUES = 200;
+
+function parseStringList(value) {
+  const raw = Array.isArray(value) ? value : [];
+  return [...new Set(raw
+    .filter((entry) => typeof entry === 'string')
+    .map((entry) => entry.trim())
+    .filter(Boolean))];
+}
+
+/**
+ * Options of a session-records PDF: the date range, the services to include and the questions to
+ * show (empty lists mean all), and whether to start with a summary page.
+ * @returns {{ value: { from, to, services: string[], questionIds: string[], includeSummary: boolean } } | { error: string }}
+ */
+export function parseRecordsExportOptions(body = {}) {
+  const range = parseRecordsDateRange(body?.from, body?.to);
+  if (range.error) {
+    return { error: range.error };
+  }
+
+  const services = parseStringList(body?.services);
+  const questionIds = parseStringList(body?.question_ids);
+  if (services.length > MAX_FILTER_VALUES || questionIds.length > MAX_FILTER_VALUES) {
+    return { error: 'too_many_filters' };
+  }
+
+  return {
+    value: {
+      ...range.value,
+      services,
+      questionIds,
+      includeSummary: body?.include_summary === true,
+    },
+  };
+}
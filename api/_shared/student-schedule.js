@@ -0,0 +1,383 @@
+/* eslint-env node */
+/**
+ * Recurring schedule slots for students.
+ *
+ * Students.schedule_slots holds every weekly slot (day, time, duration, service,
+ * instructor, effective date range). When it is empty the legacy
+ * default_day_of_week / default_session_time pair is treated as a single slot, so
+ * older rows keep working. default_* always mirror the first slot for screens that
+ * only show one schedule.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { UUID_PATTERN, normalizeString } from './org-bff.js';
+import {
+  coerceDayOfWeek,
+  coerceOptionalText,
+  coerceSessionTime,
+  validateAssignedInstructor,
+} from './student-validation.js';
+
+export const DEFAULT_SLOT_DURATION_MINUTES = 30;
+export const MAX_SLOT_DURATION_MINUTES = 480;
+export const MAX_SCHEDULE_SLOTS = 10;
+export const LEGACY_SLOT_ID = 'default';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const HEBREW_DAY_NAMES = Object.freeze(['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת']);
+
+function coerceSlotDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, valid: true };
+  }
+  const trimmed = typeof value === 'string' ? value.trim().slice(0, 10) : '';
+  if (!DATE_PATTERN.test(trimmed) || Number.isNaN(new Date(`${trimmed}T00:00:00Z`).getTime())) {
+    return { value: null, valid: false };
+  }
+  return { value: trimmed, valid: true };
+}
+
+function coerceDuration(value) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, valid: true };
+  }
+  const numeric = typeof value === 'number' ? value : Number.parseInt(String(value).trim(), 10);
+  if (!Number.isInteger(numeric) || numeric < 5 || numeric > MAX_SLOT_DURATION_MINUTES) {
+    return { value: null, valid: false };
+  }
+  return { value: numeric, valid: true };
+}
+
+/**
+ * Validates one slot from a request body or CSV row.
+ * @returns {{ value: object|null, valid: boolean, error?: string }}
+ */
+export function coerceScheduleSlot(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, valid: false, error: 'invalid_schedule_slots' };
+  }
+
+  const day = coerceDayOfWeek(raw.day_of_week ?? raw.dayOfWeek);
+  if (!day.valid || day.value === null) {
+    return { value: null, valid: false, error: 'invalid_slot_day' };
+  }
+
+  const time = coerceSessionTime(raw.time ?? raw.session_time ?? raw.sessionTime);
+  if (!time.valid || time.value === null) {
+    return { value: null, valid: false, error: 'invalid_slot_time' };
+  }
+
+  const duration = coerceDuration(raw.duration_minutes ?? raw.durationMinutes);
+  if (!duration.valid) {
+    return { value: null, valid: false, error: 'invalid_slot_duration' };
+  }
+
+  const service = coerceOptionalText(raw.service);
+  if (!service.valid) {
+    return { value: null, valid: false, error: 'invalid_slot_service' };
+  }
+
+  const instructor = validateAssignedInstructor(raw.instructor_id ?? raw.instructorId ?? null);
+  if (!instructor.valid) {
+    return { value: null, valid: false, error: 'invalid_slot_instructor' };
+  }
+
+  const from = coerceSlotDate(raw.effective_from ?? raw.effectiveFrom);
+  const to = coerceSlotDate(raw.effective_to ?? raw.effectiveTo);
+  if (!from.valid || !to.valid || (from.value && to.value && from.value > to.value)) {
+    return { value: null, valid: false, error: 'invalid_slot_dates' };
+  }
+
+  const id = normalizeString(raw.id);
+
+  return {
+    valid: true,
+    value: {
+      id: UUID_PATTERN.test(id) ? id : randomUUID(),
+      day_of_week: day.value,
+      time: time.value,
+      duration_minutes: duration.value,
+      service: service.value,
+      instructor_id: instructor.value,
+      effective_from: from.value,
+      effective_to: to.value,
+    },
+  };
+}
+
+/**
+ * Validates a full schedule_slots array. null/undefined clears the slots (legacy mode).
+ * @returns {{ value: object[], valid: boolean, error?: string }}
+ */
+export function coerceScheduleSlots(raw) {
+  if (raw === null || raw === undefined) {
+    return { value: [], valid: true };
+  }
+  if (!Array.isArray(raw) || raw.length > MAX_SCHEDULE_SLOTS) {
+    return { value: [], valid: false, error: 'invalid_schedule_slots' };
+  }
+
+  const slots = [];
+  for (const entry of raw) {
+    const result = coerceScheduleSlot(entry);
+    if (!result.valid) {
+      return { value: [], valid: false, error: result.error };
+    }
+    slots.push(result.value);
+  }
+  return { value: slots, valid: true };
+}
+
+/**
+ * The default_* columns that mirror the first slot.
+ */
+export function buildLegacyScheduleFields(slots) {
+  const primary = Array.isArray(slots) ? slots[0] : null;
+  if (!primary) {
+    return {};
+  }
+  return {
+    default_day_of_week: primary.day_of_week,
+    default_session_time: primary.time,
+  };
+}
+
+/**
+ * Applies a legacy default_day_of_week / default_session_time write to stored slots,
+ * so callers that only know the single-schedule fields edit the first slot.
+ */
+export function applyLegacyScheduleUpdate(slots, updates = {}) {
+  if (!Array.isArray(slots) || !slots.length) {
+    return slots;
+  }
+  const hasDay = Object.prototype.hasOwnProperty.call(updates, 'default_day_of_week');
+  const hasTime = Object.prototype.hasOwnProperty.call(updates, 'default_session_time');
+  if (!hasDay && !hasTime) {
+    return slots;
+  }
+  const [primary, ...rest] = slots;
+  return [
+    {
+      ...primary,
+      day_of_week: hasDay && updates.default_day_of_week !== null ? updates.default_day_of_week : primary.day_of_week,
+      time: hasTime && updates.default_session_time !== null ? updates.default_session_time : primary.time,
+    },
+    ...rest,
+  ];
+}
+
+function slotSignature(slot) {
+  return JSON.stringify([
+    Number(slot?.day_of_week) || null,
+    parseSlotTimeToMinutes(slot?.time),
+    slot?.duration_minutes || null,
+    slot?.service || null,
+    slot?.instructor_id || null,
+    slot?.effective_from || null,
+    slot?.effective_to || null,
+  ]);
+}
+
+/**
+ * Compares two slot lists by content, ignoring slot ids (CSV rows carry no ids).
+ */
+export function areScheduleSlotsEqual(left, right) {
+  const a = Array.isArray(left) ? left : [];
+  const b = Array.isArray(right) ? right : [];
+  return a.length === b.length && a.every((slot, index) => slotSignature(slot) === slotSignature(b[index]));
+}
+
+/**
+ * Effective slots for a student row, falling back to the legacy single schedule.
+ */
+export function resolveStudentScheduleSlots(student) {
+  const stored = Array.isArray(student?.schedule_slots) ? student.schedule_slots : [];
+  if (stored.length) {
+    return stored;
+  }
+
+  const day = coerceDayOfWeek(student?.default_day_of_week);
+  const time = coerceSessionTime(student?.default_session_time ?? null);
+  if (!day.valid || day.value === null || !time.valid || time.value === null) {
+    return [];
+  }
+
+  return [{
+    id: LEGACY_SLOT_ID,
+    day_of_week: day.value,
+    time: time.value,
+    duration_minutes: null,
+    service: student?.default_service || null,
+    instructor_id: null,
+    effective_from: null,
+    effective_to: null,
+  }];
+}
+
+export function resolveSlotInstructorId(slot, student) {
+  return normalizeString(slot?.instructor_id) || normalizeString(student?.assigned_instructor_id) || null;
+}
+
+export function isSlotEffectiveOn(slot, isoDate) {
+  if (slot?.effective_from && isoDate < slot.effective_from) {
+    return false;
+  }
+  if (slot?.effective_to && isoDate > slot.effective_to) {
+    return false;
+  }
+  return true;
+}
+
+export function parseSlotTimeToMinutes(value) {
+  const match = String(value || '').trim().match(/^(\d{2}):(\d{2})/);
+  if (!match) {
+    return null;
+  }
+  return Number.parseInt(match[1], 10) * 60 + Number.parseInt(match[2], 10);
+}
+
+/**
+ * Whether an instructor teaches the student, either as the assigned instructor or
+ * through one of the schedule slots.
+ */
+export function isStudentTaughtBy(student, instructorId) {
+  const normalized = normalizeString(instructorId);
+  if (!normalized) {
+    return false;
+  }
+  if (normalizeString(student?.assigned_instructor_id) === normalized) {
+    return true;
+  }
+  const slots = Array.isArray(student?.schedule_slots) ? student.schedule_slots : [];
+  return slots.some((slot) => normalizeString(slot?.instructor_id) === normalized);
+}
+
+/**
+ * PostgREST or() filter matching students the instructor is assigned to or has a slot with.
+ */
+export function buildInstructorStudentFilter(instructorId) {
+  const normalized = normalizeString(instructorId);
+  return `assigned_instructor_id.eq.${normalized},schedule_slots.cs.[{"instructor_id":"${normalized}"}]`;
+}
+
+/**
+ * Expands students into the sessions scheduled on one date.
+ *
+ * @param {object[]} students - Rows with schedule_slots, default_* and assigned_instructor_id
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} dayOfWeek - 1 (Sunday) – 7 (Saturday)
+ * @param {object} [options] - { instructorId } keeps only slots taught by that instructor
+ * @returns {object[]} [{ student, slot, instructorId, timeMinutes, durationMinutes, service }] sorted by time
+ */
+export function listScheduledOccurrences(students, isoDate, dayOfWeek, { instructorId = null } = {}) {
+  const occurrences = [];
+  const instructorFilter = normalizeString(instructorId);
+
+  for (const student of Array.isArray(students) ? students : []) {
+    for (const slot of resolveStudentScheduleSlots(student)) {
+      if (Number(slot.day_of_week) !== dayOfWeek || !isSlotEffectiveOn(slot, isoDate)) {
+        continue;
+      }
+      const timeMinutes = parseSlotTimeToMinutes(slot.time);
+      if (timeMinutes === null) {
+        continue;
+      }
+      const slotInstructorId = resolveSlotInstructorId(slot, student);
+      if (instructorFilter && slotInstructorId !== instructorFilter) {
+        continue;
+      }
+      occurrences.push({
+        student,
+        slot,
+        instructorId: slotInstructorId,
+        timeMinutes,
+        durationMinutes: slot.duration_minutes || DEFAULT_SLOT_DURATION_MINUTES,
+        service: slot.service || null,
+      });
+    }
+  }
+
+  return occurrences.sort((a, b) => a.timeMinutes - b.timeMinutes);
+}
+
+/**
+ * Pairs session records with a student's occurrences on the same date, in time order:
+ * with two slots and one record, the earlier slot counts as documented.
+ *
+ * @param {object[]} occurrences - Output of listScheduledOccurrences (sorted by time)
+ * @param {Map<string, string[]>} recordIdsByKey - `${studentId}|${isoDate}` -> record ids
+ * @returns {Map<object, string|null>} occurrence -> matched record id (or null)
+ */
+export function matchRecordsToOccurrences(occurrences, recordIdsByKey, isoDate) {
+  const used = new Map();
+  const matches = new Map();
+  for (const occurrence of occurrences) {
+    const key = `${normalizeString(occurrence.student?.id)}|${isoDate}`;
+    const records = recordIdsByKey.get(key) || [];
+    const index = used.get(key) || 0;
+    matches.set(occurrence, index < records.length ? records[index] : null);
+    used.set(key, index + 1);
+  }
+  return matches;
+}
+
+/**
+ * CSV cell format used by the maintenance export/import: slots separated by ";",
+ * fields by "|": day|HH:MM|duration|service|instructor|from|to (trailing fields optional).
+ */
+export function formatScheduleSlotsCell(slots, instructorNameById = new Map()) {
+  return (Array.isArray(slots) ? slots : [])
+    .map((slot) => {
+      const fields = [
+        HEBREW_DAY_NAMES[slot.day_of_week - 1] || String(slot.day_of_week),
+        String(slot.time || '').slice(0, 5),
+        slot.duration_minutes ? String(slot.duration_minutes) : '',
+        slot.service || '',
+        slot.instructor_id ? instructorNameById.get(slot.instructor_id) || slot.instructor_id : '',
+        slot.effective_from || '',
+        slot.effective_to || '',
+      ];
+      while (fields.length > 2 && !fields[fields.length - 1]) {
+        fields.pop();
+      }
+      return fields.join('|');
+    })
+    .join('; ');
+}
+
+/**
+ * Parses a maintenance CSV schedule cell.
+ * @param {string} text
+ * @param {(value: string) => string|null} resolveInstructorId - name/email/id -> instructor id
+ * @returns {{ value: object[], valid: boolean, error?: string }}
+ */
+export function parseScheduleSlotsCell(text, resolveInstructorId = () => null) {
+  const normalized = normalizeString(text);
+  if (!normalized) {
+    return { value: [], valid: true };
+  }
+
+  const rawSlots = [];
+  for (const part of normalized.split(';').map((entry) => entry.trim()).filter(Boolean)) {
+    const [day, time, duration, service, instructor, from, to] = part.split('|').map((field) => field.trim());
+    let instructorId = null;
+    if (instructor) {
+      instructorId = resolveInstructorId(instructor);
+      if (!instructorId) {
+        return { value: [], valid: false, error: 'unknown_slot_instructor' };
+      }
+    }
+    rawSlots.push({
+      day_of_week: day,
+      time,
+      duration_minutes: duration || null,
+      service: service || null,
+      instructor_id: instructorId,
+      effective_from: from || null,
+      effective_to: to || null,
+    });
+  }
+
+  return coerceScheduleSlots(rawSlots);
+}
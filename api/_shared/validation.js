@@ -148,6 +148,21 @@ function coerceSessionTime(value) {
   return { value: null, valid: false };
 }
 
+export const MIN_SESSION_DURATION_MINUTES = 5;
+export const MAX_SESSION_DURATION_MINUTES = 480;
+
+// Optional session length in whole minutes, as reported with the session or set as a payroll default.
+export function coerceSessionDuration(value) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, valid: true };
+  }
+  const numeric = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(numeric) || numeric < MIN_SESSION_DURATION_MINUTES || numeric > MAX_SESSION_DURATION_MINUTES) {
+    return { value: null, valid: false };
+  }
+  return { value: numeric, valid: true };
+}
+
 export function validateSessionWrite(body) {
   const studentIdRaw = normalizeString(body?.student_id || body?.studentId);
   const hasStudentId = Boolean(studentIdRaw);
@@ -186,6 +201,9 @@ export function validateSessionWrite(body) {
   if (!timeResult.valid) return { error: 'invalid_time' };
   if (isLoose && !timeResult.value) return { error: 'missing_time' };
 
+  const durationResult = coerceSessionDuration(body?.duration_minutes ?? body?.durationMinutes);
+  if (!durationResult.valid) return { error: 'invalid_duration' };
+
   let unassignedDetails = null;
   if (isLoose) {
     const details = body?.unassigned_details || body?.unassignedDetails || {};
@@ -215,11 +233,108 @@ export function validateSessionWrite(body) {
     serviceContext: serviceResult.value,
     hasExplicitService: hasServiceField,
     time: timeResult.value,
+    durationMinutes: durationResult.value,
     unassignedDetails,
     instructorId: instructorIdRaw || null,
   };
 }
 
+export const MAX_GROUP_SESSION_SIZE = 12;
+
+// Group session: shared answers for several students plus optional per-student overrides.
+// `overrides` is keyed by student id; null/empty override answers fall back to the shared ones.
+export function validateGroupSessionWrite(body) {
+  const rawIds = body?.student_ids ?? body?.studentIds;
+  if (!Array.isArray(rawIds)) {
+    return { error: 'invalid_student_ids' };
+  }
+
+  const studentIds = [];
+  for (const raw of rawIds) {
+    const id = normalizeString(raw);
+    if (!isUUID(id)) {
+      return { error: 'invalid_student_id' };
+    }
+    if (!studentIds.includes(id)) {
+      studentIds.push(id);
+    }
+  }
+
+  if (studentIds.length < 2) {
+    return { error: 'group_too_small' };
+  }
+  if (studentIds.length > MAX_GROUP_SESSION_SIZE) {
+    return { error: 'group_too_large' };
+  }
+
+  const base = validateSessionWrite({ ...body, student_id: studentIds[0] });
+  if (base.error) {
+    return { error: base.error };
+  }
+
+  const rawOverrides = body?.overrides;
+  if (rawOverrides !== undefined && rawOverrides !== null && (typeof rawOverrides !== 'object' || Array.isArray(rawOverrides))) {
+    return { error: 'invalid_overrides' };
+  }
+
+  const overrides = {};
+  for (const [studentId, answers] of Object.entries(rawOverrides || {})) {
+    if (!studentIds.includes(studentId)) continue;
+    const result = coerceSessionContent(answers);
+    if (result.error) return { error: 'invalid_overrides' };
+    const filled = Object.entries(result.value).filter(([, value]) => value !== null);
+    if (filled.length) {
+      overrides[studentId] = Object.fromEntries(filled);
+    }
+  }
+
+  return {
+    studentIds,
+    date: base.date,
+    content: base.content,
+    serviceContext: base.serviceContext,
+    hasExplicitService: base.hasExplicitService,
+    durationMinutes: base.durationMinutes,
+    overrides,
+    instructorId: base.instructorId,
+  };
+}
+
+// Partial update for an existing session record. Only the fields present on the body are returned.
+export function validateSessionUpdate(body) {
+  const updates = {};
+
+  if (Object.prototype.hasOwnProperty.call(body ?? {}, 'date')) {
+    const date = normalizeString(body.date);
+    if (!isYMDDate(date)) {
+      return { error: 'invalid_date' };
+    }
+    updates.date = date;
+  }
+
+  const contentSource = resolveContentCandidate(body);
+  if (contentSource !== undefined) {
+    const contentResult = coerceSessionContent(contentSource);
+    if (contentResult.error) return { error: contentResult.error };
+    updates.content = contentResult.value;
+  }
+
+  const hasServiceField =
+    Object.prototype.hasOwnProperty.call(body ?? {}, 'service_context') ||
+    Object.prototype.hasOwnProperty.call(body ?? {}, 'serviceContext');
+  if (hasServiceField) {
+    const serviceResult = coerceOptionalText(body?.service_context ?? body?.serviceContext);
+    if (!serviceResult.valid) return { error: 'invalid_service_context' };
+    updates.service_context = serviceResult.value;
+  }
+
+  if (!Object.keys(updates).length) {
+    return { error: 'missing_updates' };
+  }
+
+  return { updates };
+}
+
 // ----- Instructors write validation (SOT) -----
 const PHONE_PATTERN = /^[0-9+\-()\s]{6,20}$/;
 
@@ -249,6 +364,9 @@ export function validateInstructorCreate(body) {
   };
 }
 
+// Employment scopes an org can enable in employment_scope_policy; stored per instructor in metadata.employment_scope.
+export const EMPLOYMENT_SCOPES = Object.freeze(['global', 'hourly', 'instructor']);
+
 export function validateInstructorUpdate(body, orgPermissions = {}) {
   const instructorId = normalizeString(body?.id || body?.instructor_id || body?.instructorId);
   if (!isUUID(instructorId)) {
@@ -340,5 +458,13 @@ export function validateInstructorUpdate(body, orgPermissions = {}) {
     updates.__metadata_custom_preanswers = metadataUpdates.custom_preanswers || {};
   }
 
+  if (Object.prototype.hasOwnProperty.call(body, 'employment_scope')) {
+    const scope = normalizeString(body.employment_scope).toLowerCase();
+    if (!EMPLOYMENT_SCOPES.includes(scope)) {
+      return { error: 'invalid_employment_scope' };
+    }
+    updates.__metadata_employment_scope = scope;
+  }
+
   return { instructorId, updates };
 }
@@ -0,0 +1,132 @@
+/* eslint-env node */
+/**
+ * Minimal XLSX (Office Open XML) writer for tabular exports.
+ *
+ * A workbook is a ZIP of a few fixed XML parts plus one part per sheet; cells are
+ * written as numbers or inline strings, so no shared-string table or style sheet is
+ * needed. Sheets are right-to-left for the Hebrew headers.
+ */
+
+import archiver from 'archiver';
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[[\]:*?/\\]/g;
+
+export function escapeXml(value) {
+  return String(value)
+    // Control characters other than tab/newline are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index: 0 → A, 25 → Z, 26 → AA.
+ */
+export function columnName(index) {
+  let name = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + offset) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+}
+
+function buildCell(value, reference) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * One worksheet part from an array of rows (each an array of cell values).
+ */
+export function buildSheetXml(rows) {
+  const rowsXml = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => buildCell(value, `${columnName(columnIndex)}${rowIndex + 1}`)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView rightToLeft="1" workbookViewId="0"/></sheetViews>'
+    + `<sheetData>${rowsXml}</sheetData>`
+    + '</worksheet>';
+}
+
+function normalizeSheetName(name, index) {
+  const cleaned = String(name || '').replace(INVALID_SHEET_NAME_CHARS, ' ').trim().slice(0, MAX_SHEET_NAME_LENGTH);
+  return cleaned || `Sheet${index + 1}`;
+}
+
+function buildWorkbookParts(sheets) {
+  const sheetEntries = sheets.map((sheet, index) => ({
+    id: index + 1,
+    name: normalizeSheetName(sheet.name, index),
+    rows: Array.isArray(sheet.rows) ? sheet.rows : [],
+  }));
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + sheetEntries.map((sheet) => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+    + '</Types>';
+
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>';
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets>'
+    + sheetEntries.map((sheet) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('')
+    + '</sheets></workbook>';
+
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + sheetEntries.map((sheet) => `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`).join('')
+    + '</Relationships>';
+
+  return [
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    ...sheetEntries.map((sheet) => ({ name: `xl/worksheets/sheet${sheet.id}.xml`, content: buildSheetXml(sheet.rows) })),
+  ];
+}
+
+/**
+ * Builds an .xlsx file in memory.
+ * @param {Array<{ name: string, rows: Array<Array<string|number|null>> }>} sheets
+ * @returns {Promise<Buffer>}
+ */
+export async function buildXlsxBuffer(sheets) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  for (const part of buildWorkbookParts(sheets)) {
+    archive.append(Buffer.from(part.content, 'utf8'), { name: part.name });
+  }
+
+  await archive.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
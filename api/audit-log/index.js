@@ -0,0 +1,157 @@
+/* eslint-env node */
+import Papa from 'papaparse';
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  readEnv,
+  respond,
+  resolveOrgId,
+} from '../_shared/org-bff.js';
+import { loadAllRows } from '../_shared/reports.js';
+import {
+  AUDIT_LOG_EXPORT_LIMIT,
+  AUDIT_LOG_SELECT,
+  applyAuditLogFilters,
+  buildAuditCsvRows,
+  buildAuditFilterOptions,
+  describeAuditEntry,
+  parseAuditLogQuery,
+} from '../_shared/audit-log-query.js';
+
+async function respondAuditCsv(context, supabase, orgId, filters) {
+  // Read one row past the limit so an export of exactly the limit is not refused
+  const loaded = await loadAllRows(() => applyAuditLogFilters(
+    supabase.from('audit_log').select(AUDIT_LOG_SELECT).eq('org_id', orgId),
+    filters,
+  )
+    .order('performed_at', { ascending: false })
+    .order('id', { ascending: false }), { maxRows: AUDIT_LOG_EXPORT_LIMIT + 1 });
+
+  if (loaded.error) {
+    context.log?.error?.('audit-log failed to load entries', { message: loaded.error.message, orgId });
+    return respond(context, 500, { message: 'failed_to_load_audit_log' });
+  }
+  if (loaded.truncated || loaded.data.length > AUDIT_LOG_EXPORT_LIMIT) {
+    return respond(context, 413, { message: 'too_many_entries', limit: AUDIT_LOG_EXPORT_LIMIT });
+  }
+
+  const entries = loaded.data.map(describeAuditEntry);
+  const csvContent = Papa.unparse(buildAuditCsvRows(entries), {
+    header: true,
+    newline: '\r\n',
+    quotes: true,
+  });
+  // UTF-8 BOM so Excel reads the Hebrew headers correctly
+  const buffer = Buffer.from(`\uFEFF${csvContent}`, 'utf8');
+
+  const response = {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="audit-log.csv"',
+      'X-Total-Count': String(entries.length),
+      'Cache-Control': 'no-store',
+    },
+    body: buffer,
+    isRaw: true,
+  };
+  context.res = response;
+  return response;
+}
+
+export default async function (context, req) {
+  const method = String(req?.method || 'GET').toUpperCase();
+  if (method !== 'GET') {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'GET' });
+  }
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('audit-log missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('audit-log failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = authResult.data.user.id;
+  const query = req?.query ?? {};
+  const orgId = resolveOrgId({ query }, {});
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('audit-log failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  if (!role || !isAdminRole(role)) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const filters = parseAuditLogQuery(query);
+  if (filters.error) {
+    return respond(context, 400, { message: filters.error });
+  }
+
+  if (filters.format === 'csv') {
+    return respondAuditCsv(context, supabase, orgId, filters);
+  }
+
+  const { limit, offset } = filters.pagination;
+  let builder = supabase
+    .from('audit_log')
+    .select(AUDIT_LOG_SELECT, { count: 'exact' })
+    .eq('org_id', orgId);
+  builder = applyAuditLogFilters(builder, filters)
+    .order('performed_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  const { data, error, count } = await builder;
+  if (error) {
+    context.log?.error?.('audit-log failed to load entries', { message: error.message, orgId });
+    return respond(context, 500, { message: 'failed_to_load_audit_log' });
+  }
+
+  const entries = (Array.isArray(data) ? data : []).map(describeAuditEntry);
+  const total = typeof count === 'number' ? count : offset + entries.length;
+
+  const nextOffset = offset + entries.length < total && entries.length > 0 ? offset + entries.length : null;
+
+  return respond(context, 200, {
+    entries,
+    total,
+    limit,
+    offset,
+    next_offset: nextOffset,
+    filter_options: buildAuditFilterOptions(),
+  }, { 'Cache-Control': 'no-store' });
+}
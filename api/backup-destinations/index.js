@@ -0,0 +1,204 @@
+/* eslint-env node */
+/**
+ * Off-site Backup Destinations API
+ *
+ * GET    /api/backup-destinations?org_id=...   List destinations (no credentials)
+ * POST   /api/backup-destinations              Add a destination ({ destination })
+ * PUT    /api/backup-destinations              Update a destination ({ destination: { id, ... } })
+ * DELETE /api/backup-destinations              Remove a destination ({ destination_id })
+ *
+ * POST/PUT with test_only: true uploads and removes a small test file without saving.
+ * Requires an admin/owner and the backup_oauth_enabled permission.
+ */
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+} from '../_shared/org-bff.js';
+import {
+  MAX_BACKUP_DESTINATIONS,
+  decryptBackupDestination,
+  encryptBackupDestination,
+  toPublicDestination,
+  validateBackupDestination,
+} from '../_shared/backup-destinations.js';
+import { getBackupDestination } from '../cross-platform/backup-destinations/index.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+
+async function testDestination(destination, env) {
+  const target = getBackupDestination(decryptBackupDestination(destination, env));
+  const filename = `tuttiud-connection-test-${Date.now()}.txt`;
+  await target.upload(filename, Buffer.from('TutTiud backup destination test', 'utf8'));
+  await target.delete(filename);
+}
+
+export default async function (context, req) {
+  const method = String(req.method || 'GET').toUpperCase();
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('backup-destinations missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    context.log?.warn?.('backup-destinations missing bearer token');
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('backup-destinations failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = authResult.data.user.id;
+  const body = method === 'GET' ? {} : parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('backup-destinations failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  if (!role || !isAdminRole(role)) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { data: orgSettings, error: settingsError } = await supabase
+    .from('org_settings')
+    .select('permissions, backup_destinations')
+    .eq('org_id', orgId)
+    .maybeSingle();
+
+  if (settingsError) {
+    context.log?.error?.('backup-destinations failed to load org settings', { message: settingsError.message });
+    return respond(context, 500, { message: 'failed_to_load_settings' });
+  }
+
+  const permissions = typeof orgSettings?.permissions === 'string'
+    ? JSON.parse(orgSettings.permissions)
+    : orgSettings?.permissions || {};
+
+  if (!permissions.backup_oauth_enabled) {
+    return respond(context, 403, { message: 'backup_destinations_not_enabled' });
+  }
+
+  const destinations = Array.isArray(orgSettings?.backup_destinations) ? orgSettings.backup_destinations : [];
+
+  if (method === 'GET') {
+    return respond(context, 200, { destinations: destinations.map(toPublicDestination) }, { 'Cache-Control': 'no-store' });
+  }
+
+  let updated;
+  let auditAction;
+  let auditDetails;
+
+  if (method === 'DELETE') {
+    const destinationId = typeof body?.destination_id === 'string' ? body.destination_id.trim() : '';
+    const removed = destinations.find((destination) => destination.id === destinationId);
+    if (!removed) {
+      return respond(context, 404, { message: 'destination_not_found' });
+    }
+    updated = destinations.filter((destination) => destination.id !== destinationId);
+    auditAction = AUDIT_ACTIONS.BACKUP_DESTINATION_REMOVED;
+    auditDetails = { destination_id: removed.id, type: removed.type, name: removed.name };
+  } else if (method === 'POST' || method === 'PUT') {
+    const requestedId = typeof body?.destination?.id === 'string' ? body.destination.id.trim() : '';
+    // POST always adds; an id in its body is ignored so it can never overwrite a destination
+    const existing = method === 'PUT' && requestedId
+      ? destinations.find((destination) => destination.id === requestedId)
+      : null;
+
+    if (method === 'PUT' && !existing) {
+      return respond(context, 404, { message: 'destination_not_found' });
+    }
+    if (method === 'POST' && !body?.test_only && destinations.length >= MAX_BACKUP_DESTINATIONS) {
+      return respond(context, 400, { message: 'too_many_destinations', max: MAX_BACKUP_DESTINATIONS });
+    }
+
+    const validation = validateBackupDestination(body?.destination, existing);
+    if (validation.errors) {
+      return respond(context, 400, { message: 'invalid_destination', errors: validation.errors });
+    }
+
+    let encrypted;
+    try {
+      encrypted = encryptBackupDestination(validation.destination, validation.secrets, env, existing);
+    } catch (encryptionError) {
+      context.log?.error?.('backup-destinations failed to encrypt credentials', { message: encryptionError?.message });
+      return respond(context, 500, { message: 'encryption_failed' });
+    }
+
+    if (body?.test_only) {
+      try {
+        await testDestination(encrypted, env);
+        return respond(context, 200, { message: 'destination_test_succeeded' });
+      } catch (testError) {
+        return respond(context, 400, { message: 'destination_test_failed', error: testError?.message });
+      }
+    }
+
+    updated = existing
+      ? destinations.map((destination) => (destination.id === existing.id ? encrypted : destination))
+      : [...destinations, encrypted];
+    auditAction = existing ? AUDIT_ACTIONS.BACKUP_DESTINATION_UPDATED : AUDIT_ACTIONS.BACKUP_DESTINATION_ADDED;
+    auditDetails = {
+      destination_id: encrypted.id,
+      type: encrypted.type,
+      name: encrypted.name,
+      enabled: encrypted.enabled,
+      credentials_changed: Object.keys(validation.secrets).length > 0,
+    };
+  } else {
+    return respond(context, 405, { message: 'method_not_allowed' });
+  }
+
+  const { error: updateError } = await supabase
+    .from('org_settings')
+    .update({ backup_destinations: updated, updated_at: new Date().toISOString() })
+    .eq('org_id', orgId);
+
+  if (updateError) {
+    context.log?.error?.('backup-destinations failed to save', { message: updateError.message });
+    return respond(context, 500, { message: 'failed_to_save_destinations' });
+  }
+
+  await logAuditEvent(supabase, {
+    orgId,
+    userId,
+    userEmail: authResult.data.user.email || '',
+    userRole: role,
+    actionType: auditAction,
+    actionCategory: AUDIT_CATEGORIES.BACKUP,
+    resourceType: 'backup_destination',
+    resourceId: auditDetails.destination_id,
+    details: auditDetails,
+  });
+
+  return respond(context, 200, { destinations: updated.map(toPublicDestination) });
+}
@@ -0,0 +1,142 @@
+/* eslint-env node */
+/**
+ * Scheduled Backup Download
+ *
+ * POST /api/backup-download { org_id, backup_id }
+ *
+ * Returns a short-lived download URL for a stored scheduled backup together
+ * with its password, which is only ever revealed to admins through this route.
+ */
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+} from '../_shared/org-bff.js';
+import { decryptBackupPassword, listStoredScheduledBackups } from '../_shared/backup-schedule.js';
+import { createOrgStorageDriver } from '../_shared/org-storage.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+
+const DOWNLOAD_URL_TTL_SECONDS = 10 * 60;
+
+export default async function (context, req) {
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('backup-download missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    context.log?.warn?.('backup-download missing bearer token');
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('backup-download failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = authResult.data.user.id;
+  const body = parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  const backupId = typeof body?.backup_id === 'string' ? body.backup_id.trim() : '';
+  if (!backupId) {
+    return respond(context, 400, { message: 'missing_backup_id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('backup-download failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  if (!role || !isAdminRole(role)) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { data: orgSettings, error: settingsError } = await supabase
+    .from('org_settings')
+    .select('permissions, backup_history, storage_profile')
+    .eq('org_id', orgId)
+    .maybeSingle();
+
+  if (settingsError) {
+    context.log?.error?.('backup-download failed to load org settings', { message: settingsError.message });
+    return respond(context, 500, { message: 'failed_to_load_settings' });
+  }
+
+  const permissions = typeof orgSettings?.permissions === 'string'
+    ? JSON.parse(orgSettings.permissions)
+    : orgSettings?.permissions || {};
+
+  if (!permissions.backup_local_enabled) {
+    return respond(context, 403, { message: 'backup_not_enabled' });
+  }
+
+  const entry = listStoredScheduledBackups(orgSettings?.backup_history)
+    .find((candidate) => candidate.backup_id === backupId);
+  if (!entry) {
+    return respond(context, 404, { message: 'backup_not_found' });
+  }
+
+  let downloadUrl;
+  let password;
+  try {
+    const driver = createOrgStorageDriver(orgSettings?.storage_profile, env);
+    if (!driver) {
+      return respond(context, 424, { message: 'storage_not_configured' });
+    }
+    const filename = entry.storage_path.split('/').pop();
+    downloadUrl = await driver.getDownloadUrl(entry.storage_path, DOWNLOAD_URL_TTL_SECONDS, filename, 'attachment');
+    password = decryptBackupPassword(entry.password_encrypted, env);
+  } catch (error) {
+    context.log?.error?.('backup-download failed to prepare download', { orgId, backupId, message: error?.message });
+    return respond(context, 500, { message: 'failed_to_prepare_download' });
+  }
+
+  await logAuditEvent(supabase, {
+    orgId,
+    userId,
+    userEmail: authResult.data.user.email || '',
+    userRole: role,
+    actionType: AUDIT_ACTIONS.BACKUP_DOWNLOADED,
+    actionCategory: AUDIT_CATEGORIES.BACKUP,
+    resourceType: 'backup',
+    resourceId: backupId,
+    details: { timestamp: entry.timestamp, size_bytes: entry.size_bytes },
+  });
+
+  return respond(context, 200, {
+    message: 'backup_download_ready',
+    backup_id: backupId,
+    filename: entry.storage_path.split('/').pop(),
+    download_url: downloadUrl,
+    expires_in: DOWNLOAD_URL_TTL_SECONDS,
+    password,
+  }, { 'Cache-Control': 'no-store' });
+}
@@ -0,0 +1,119 @@
+/* eslint-env node */
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+} from '../_shared/org-bff.js';
+import { normalizeBackupSchedule } from '../_shared/backup-schedule.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+
+export default async function (context, req) {
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('backup-schedule missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    context.log?.warn?.('backup-schedule missing bearer token');
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('backup-schedule failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = authResult.data.user.id;
+  const body = parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('backup-schedule failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  if (!role || !isAdminRole(role)) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { data: orgSettings, error: settingsError } = await supabase
+    .from('org_settings')
+    .select('permissions, backup_schedule, storage_profile')
+    .eq('org_id', orgId)
+    .maybeSingle();
+
+  if (settingsError) {
+    context.log?.error?.('backup-schedule failed to load org settings', { message: settingsError.message });
+    return respond(context, 500, { message: 'failed_to_load_settings' });
+  }
+
+  const permissions = typeof orgSettings?.permissions === 'string'
+    ? JSON.parse(orgSettings.permissions)
+    : orgSettings?.permissions || {};
+
+  if (!permissions.backup_local_enabled) {
+    return respond(context, 403, { message: 'backup_not_enabled' });
+  }
+
+  const { schedule, error: scheduleError } = normalizeBackupSchedule(body?.schedule, orgSettings?.backup_schedule);
+  if (scheduleError) {
+    return respond(context, 400, { message: scheduleError });
+  }
+
+  // Scheduled backups are written to the org's storage, so enabling them needs a connected profile
+  const storageProfile = orgSettings?.storage_profile;
+  if (schedule.enabled && (!storageProfile?.mode || storageProfile.disconnected)) {
+    return respond(context, 424, { message: 'storage_not_configured' });
+  }
+
+  const { error: updateError } = await supabase
+    .from('org_settings')
+    .update({ backup_schedule: schedule, updated_at: new Date().toISOString() })
+    .eq('org_id', orgId);
+
+  if (updateError) {
+    context.log?.error?.('backup-schedule failed to save schedule', { message: updateError.message });
+    return respond(context, 500, { message: 'failed_to_save_schedule' });
+  }
+
+  await logAuditEvent(supabase, {
+    orgId,
+    userId,
+    userEmail: authResult.data.user.email || '',
+    userRole: role,
+    actionType: AUDIT_ACTIONS.BACKUP_SCHEDULE_UPDATED,
+    actionCategory: AUDIT_CATEGORIES.BACKUP,
+    resourceType: 'backup_schedule',
+    resourceId: orgId,
+    details: schedule,
+  });
+
+  return respond(context, 200, { message: 'schedule_saved', schedule });
+}
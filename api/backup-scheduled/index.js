@@ -0,0 +1,175 @@
+/* eslint-env node */
+/**
+ * Scheduled Backup Job
+ *
+ * Runs hourly and takes an encrypted backup for every org whose backup_schedule
+ * is enabled and due (see isScheduledBackupDue). The file is written to the
+ * org's storage under its backups prefix, older scheduled backups beyond the
+ * retention count are deleted, and the run is recorded in backup_history.
+ *
+ * Timer: every hour at minute 5 (schedule times are Israel local time)
+ */
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import { readEnv, resolveTenantClient } from '../_shared/org-bff.js';
+import {
+  BACKUP_TRIGGERS,
+  DEFAULT_BACKUP_SCHEDULE,
+  applyBackupRetention,
+  isScheduledBackupDue,
+  performScheduledBackup,
+} from '../_shared/backup-schedule.js';
+import { createOrgStorageDriver } from '../_shared/org-storage.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES, AUDIT_ROLES } from '../_shared/audit-log.js';
+
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+const SYSTEM_USER_EMAIL = 'system@tuttiud.com';
+const MAX_HISTORY_ENTRIES = 100;
+
+function parsePermissions(value) {
+  if (!value) return {};
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function runOrgBackup(context, supabase, env, orgSettings, now) {
+  const orgId = orgSettings.org_id;
+  const schedule = { ...DEFAULT_BACKUP_SCHEDULE, ...(orgSettings.backup_schedule || {}) };
+  const history = Array.isArray(orgSettings.backup_history) ? orgSettings.backup_history : [];
+
+  const storageDriver = createOrgStorageDriver(orgSettings.storage_profile, env);
+  if (!storageDriver) {
+    throw new Error('storage_not_configured');
+  }
+
+  const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+  if (tenantError) {
+    throw new Error(tenantError.body?.message || 'tenant_unavailable');
+  }
+
+  const entry = await performScheduledBackup(tenantClient, storageDriver, {
+    orgId,
+    storageMode: orgSettings.storage_profile?.mode,
+    filesMode: schedule.files_mode,
+    destinations: parsePermissions(orgSettings.permissions).backup_oauth_enabled ? orgSettings.backup_destinations : [],
+    env,
+    now,
+  });
+
+  const retention = await applyBackupRetention(storageDriver, [...history, entry], schedule.retention_count, now);
+  if (retention.errors.length) {
+    context.log?.warn?.('backup-scheduled: failed to delete expired backups', { orgId, errors: retention.errors });
+  }
+
+  const { error: updateError } = await supabase
+    .from('org_settings')
+    .update({ backup_history: retention.history.slice(-MAX_HISTORY_ENTRIES) })
+    .eq('org_id', orgId);
+
+  if (updateError) {
+    // The file exists but nothing points at it; remove it so retention stays accurate
+    await storageDriver.delete(entry.storage_path).catch(() => {});
+    throw new Error(`history_update_failed: ${updateError.message}`);
+  }
+
+  await logAuditEvent(supabase, {
+    orgId,
+    userId: SYSTEM_USER_ID,
+    userEmail: SYSTEM_USER_EMAIL,
+    userRole: AUDIT_ROLES.SYSTEM_ADMIN,
+    actionType: AUDIT_ACTIONS.BACKUP_CREATED,
+    actionCategory: AUDIT_CATEGORIES.BACKUP,
+    resourceType: 'backup',
+    resourceId: entry.backup_id,
+    details: {
+      trigger: BACKUP_TRIGGERS.SCHEDULED,
+      size_bytes: entry.size_bytes,
+      total_records: entry.total_records,
+      files_mode: entry.files_mode,
+      expired_backups_deleted: retention.deleted,
+      destinations: entry.destinations,
+    },
+  });
+
+  return { size_bytes: entry.size_bytes, expired_deleted: retention.deleted };
+}
+
+async function recordFailure(supabase, orgSettings, message, now) {
+  const history = Array.isArray(orgSettings.backup_history) ? orgSettings.backup_history : [];
+  const entry = {
+    type: 'backup',
+    status: 'failed',
+    trigger: BACKUP_TRIGGERS.SCHEDULED,
+    timestamp: now.toISOString(),
+    initiated_by: null,
+    error_message: message || 'unknown_error',
+  };
+  await supabase
+    .from('org_settings')
+    .update({ backup_history: [...history, entry].slice(-MAX_HISTORY_ENTRIES) })
+    .eq('org_id', orgSettings.org_id);
+}
+
+export default async function (context) {
+  context.log?.info?.('backup-scheduled: job started');
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('backup-scheduled missing Supabase admin credentials');
+    return;
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+  const now = new Date();
+
+  const { data: orgs, error: fetchError } = await supabase
+    .from('org_settings')
+    .select('org_id, permissions, backup_history, backup_schedule, storage_profile, backup_destinations')
+    .eq('backup_schedule->>enabled', 'true');
+
+  if (fetchError) {
+    context.log?.error?.('backup-scheduled failed to load schedules', { message: fetchError.message });
+    return;
+  }
+
+  const results = [];
+
+  for (const orgSettings of orgs || []) {
+    const orgId = orgSettings.org_id;
+    const schedule = { ...DEFAULT_BACKUP_SCHEDULE, ...(orgSettings.backup_schedule || {}) };
+
+    if (!isScheduledBackupDue(schedule, orgSettings.backup_history, now)) {
+      continue;
+    }
+
+    let permissions;
+    try {
+      permissions = parsePermissions(orgSettings.permissions);
+    } catch {
+      permissions = {};
+    }
+    if (!permissions.backup_local_enabled) {
+      results.push({ org_id: orgId, status: 'backup_not_enabled' });
+      continue;
+    }
+
+    try {
+      context.log?.info?.('backup-scheduled: backing up org', { orgId });
+      const outcome = await runOrgBackup(context, supabase, env, orgSettings, now);
+      results.push({ org_id: orgId, status: 'completed', ...outcome });
+    } catch (error) {
+      context.log?.error?.('backup-scheduled: org backup failed', { orgId, message: error?.message });
+      results.push({ org_id: orgId, status: 'failed', error: error?.message });
+      try {
+        await recordFailure(supabase, orgSettings, error?.message, now);
+      } catch (historyError) {
+        context.log?.error?.('backup-scheduled: failed to record failure', { orgId, message: historyError?.message });
+      }
+    }
+  }
+
+  context.log?.info?.('backup-scheduled: job completed', {
+    scheduled: orgs?.length || 0,
+    completed: results.filter((result) => result.status === 'completed').length,
+    failed: results.filter((result) => result.status === 'failed').length,
+  });
+}
@@ -8,6 +8,12 @@ import {
   respond,
   resolveOrgId,
 } from '../_shared/org-bff.js';
+import {
+  BACKUP_TRIGGERS,
+  DEFAULT_BACKUP_SCHEDULE,
+  describeScheduledBackup,
+  listStoredScheduledBackups,
+} from '../_shared/backup-schedule.js';
 
 const COOLDOWN_DAYS = 7;
 const DAY_MS = 24 * 60 * 60 * 1000;
@@ -18,7 +24,7 @@ function computeCooldown(history) {
   }
 
   const last = history
-    .filter((e) => e && e.type === 'backup' && e.status === 'completed' && e.timestamp)
+    .filter((e) => e && e.type === 'backup' && e.status === 'completed' && e.timestamp && e.trigger !== BACKUP_TRIGGERS.SCHEDULED)
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
 
   if (!last) {
@@ -100,7 +106,7 @@ export default async function (context, req) {
   // Load history and permissions from control DB
   const { data: orgSettings, error } = await supabase
     .from('org_settings')
-    .select('permissions, backup_history')
+    .select('permissions, backup_history, backup_schedule')
     .eq('org_id', orgId)
     .maybeSingle();
 
@@ -115,10 +121,19 @@ export default async function (context, req) {
 
   const history = Array.isArray(orgSettings?.backup_history) ? orgSettings.backup_history : [];
   const cooldown = computeCooldown(history);
+  const lastScheduled = history
+    .filter((e) => e && e.type === 'backup' && e.trigger === BACKUP_TRIGGERS.SCHEDULED && e.timestamp)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
 
   return respond(context, 200, {
     enabled: permissions.backup_local_enabled === true,
     override_enabled: permissions.backup_cooldown_override === true,
+    destinations_enabled: permissions.backup_oauth_enabled === true,
     cooldown,
+    schedule: { ...DEFAULT_BACKUP_SCHEDULE, ...(orgSettings?.backup_schedule || {}) },
+    scheduled_backups: listStoredScheduledBackups(history).map(describeScheduledBackup),
+    last_scheduled_run: lastScheduled
+      ? { timestamp: lastScheduled.timestamp, status: lastScheduled.status, error_message: lastScheduled.error_message || null }
+      : null,
   }, { 'Cache-Control': 'no-store' });
 }
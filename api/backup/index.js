@@ -1,5 +1,4 @@
 /* eslint-env node */
-import { randomBytes } from 'node:crypto';
 import { resolveBearerAuthorization } from '../_shared/http.js';
 import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
 import {
@@ -11,17 +10,20 @@ import {
   resolveOrgId,
   resolveTenantClient,
 } from '../_shared/org-bff.js';
-import { encryptBackup, exportTenantData } from '../_shared/backup-utils.js';
+import {
+  BACKUP_FILES_MODES,
+  encryptBackup,
+  exportTenantData,
+  generateProductKeyPassword,
+  resolveBackupManifestSecret,
+} from '../_shared/backup-utils.js';
 import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import { BACKUP_TRIGGERS } from '../_shared/backup-schedule.js';
+import { createOrgStorageDriver } from '../_shared/org-storage.js';
+import { uploadBackupToDestinations } from '../_shared/backup-destinations.js';
 
 const BACKUP_COOLDOWN_DAYS = 7;
 
-function generateProductKeyPassword(bytes = 10) {
-  // bytes*2 hex characters; group into 5 blocks of 4 (e.g., ABCD-EF12-3456-7890-ABCD)
-  const hex = randomBytes(bytes).toString('hex').toUpperCase();
-  return hex.match(/.{1,4}/g).join('-');
-}
-
 function checkBackupPermission(orgSettings) {
   if (!orgSettings || !orgSettings.permissions) {
     return { allowed: false, reason: 'backup_not_configured' };
@@ -43,9 +45,9 @@ function checkBackupCooldown(backupHistory, permissions) {
     return { allowed: true };
   }
 
-  // Find last successful backup
+  // Find last successful manual backup (scheduled backups do not count toward the cooldown)
   const lastBackup = backupHistory
-    .filter(entry => entry.type === 'backup' && entry.status === 'completed')
+    .filter(entry => entry.type === 'backup' && entry.status === 'completed' && entry.trigger !== BACKUP_TRIGGERS.SCHEDULED)
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
 
   if (!lastBackup) return { allowed: true };
@@ -72,6 +74,17 @@ function checkBackupCooldown(backupHistory, permissions) {
   return { allowed: true };
 }
 
+function resolveFilesMode(body) {
+  const raw = typeof body?.files_mode === 'string' ? body.files_mode.trim().toLowerCase() : '';
+  if (!raw) {
+    return { mode: BACKUP_FILES_MODES.REFERENCE };
+  }
+  if (!Object.values(BACKUP_FILES_MODES).includes(raw)) {
+    return { error: 'invalid_files_mode' };
+  }
+  return { mode: raw };
+}
+
 async function appendBackupHistory(supabase, orgId, entry) {
   const { data: current } = await supabase
     .from('org_settings')
@@ -144,10 +157,16 @@ export default async function backup(context, req) {
     return respond(context, 403, { message: 'forbidden' });
   }
 
+  const filesModeResult = resolveFilesMode(body);
+  if (filesModeResult.error) {
+    return respond(context, 400, { message: filesModeResult.error });
+  }
+  const filesMode = filesModeResult.mode;
+
   // Check backup permissions
   const { data: orgSettings, error: settingsError } = await supabase
     .from('org_settings')
-    .select('permissions, backup_history')
+    .select('permissions, backup_history, storage_profile, backup_destinations')
     .eq('org_id', orgId)
     .maybeSingle();
 
@@ -188,14 +207,38 @@ export default async function backup(context, req) {
     return respond(context, tenantError.status, tenantError.body);
   }
 
+  // Bundling needs read access to the org's storage; references only need the signing secret
+  let storageDriver = null;
+  if (filesMode === BACKUP_FILES_MODES.BUNDLE) {
+    try {
+      storageDriver = createOrgStorageDriver(orgSettings?.storage_profile, env);
+    } catch (driverError) {
+      context.log?.error?.('backup failed to initialize storage driver', { message: driverError?.message });
+    }
+    if (!storageDriver) {
+      return respond(context, 424, { message: 'storage_not_configured' });
+    }
+  }
+
   try {
     // Export tenant data
-    context.log?.info?.('backup: exporting tenant data', { orgId });
-    const manifest = await exportTenantData(tenantClient, orgId);
+    context.log?.info?.('backup: exporting tenant data', { orgId, filesMode });
+    const manifest = await exportTenantData(tenantClient, orgId, {
+      filesMode,
+      storageDriver,
+      signingSecret: resolveBackupManifestSecret(env),
+    });
 
     // Encrypt
     context.log?.info?.('backup: encrypting data', { orgId, records: manifest.metadata.total_records });
     const encrypted = await encryptBackup(manifest, password);
+    const filename = `tuttiud-backup-${orgId}-${new Date().toISOString().split('T')[0]}.enc`;
+
+    // Copy to off-site destinations; a failing destination is reported, not fatal
+    const destinationResults = permissions?.backup_oauth_enabled
+      ? await uploadBackupToDestinations(orgSettings?.backup_destinations, { filename, buffer: encrypted, env })
+      : [];
+    const destinationSummary = destinationResults.map(({ id, name, status, error }) => ({ id, name, status, error }));
 
     // Record success
     await appendBackupHistory(supabase, orgId, {
@@ -203,7 +246,12 @@ export default async function backup(context, req) {
       status: 'completed',
       timestamp: new Date().toISOString(),
       initiated_by: userId,
+      trigger: BACKUP_TRIGGERS.MANUAL,
       size_bytes: encrypted.length,
+      files_mode: filesMode,
+      total_files: manifest.metadata.total_files,
+      bundled_files: manifest.metadata.bundled_files,
+      destinations: destinationSummary,
     });
 
     // Audit log: backup created
@@ -219,7 +267,11 @@ export default async function backup(context, req) {
       details: {
         size_bytes: encrypted.length,
         total_records: manifest.metadata.total_records,
+        files_mode: filesMode,
+        total_files: manifest.metadata.total_files,
+        bundled_files: manifest.metadata.bundled_files,
         cooldown_override_used: wasOverridden,
+        destinations: destinationSummary,
       },
     });
 
@@ -236,12 +288,15 @@ export default async function backup(context, req) {
     context.log?.info?.('backup: completed', { orgId, sizeBytes: encrypted.length });
 
     // Return encrypted file with password
-    const filename = `tuttiud-backup-${orgId}-${new Date().toISOString().split('T')[0]}.enc`;
     return respond(context, 200, {
       message: 'backup_completed',
       password, // Auto-generated password the user MUST save
       filename,
       size_bytes: encrypted.length,
+      files_mode: filesMode,
+      total_files: manifest.metadata.total_files,
+      bundled_files: manifest.metadata.bundled_files,
+      destinations: destinationSummary,
       encrypted_file: encrypted.toString('base64'),
     });
   } catch (error) {
@@ -252,6 +307,7 @@ export default async function backup(context, req) {
       status: 'failed',
       timestamp: new Date().toISOString(),
       initiated_by: userId,
+      trigger: BACKUP_TRIGGERS.MANUAL,
       error_message: error?.message || 'unknown_error',
     });
 
@@ -0,0 +1,555 @@
+/* eslint-env node */
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  normalizeString,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+  resolveTenantClient,
+} from '../_shared/org-bff.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import { ensureOrgPermissions } from '../_shared/permissions-utils.js';
+import { isUUID } from '../_shared/validation.js';
+import { loadAllRows } from '../_shared/reports.js';
+import { loadExportLogos, renderHtmlToPdf, respondPdf } from '../_shared/pdf-export.js';
+import {
+  BILLING_SETTINGS_KEY,
+  BILLING_STATUS,
+  buildBillingRun,
+  buildStatementFilename,
+  generateStatementHtml,
+  hasBillingPrices,
+  normalizeBillingSettings,
+  parseBillingQuery,
+  parseBillingRun,
+  parseStatusChange,
+} from '../_shared/billing.js';
+
+const STATEMENT_SELECT = 'id, student_id, month, status, payer_type, payer_name, student_name, currency, total_amount, issued_at, paid_at, created_at, updated_at, metadata';
+const LINE_ITEM_SELECT = 'id, statement_id, session_id, date, service, description, quantity, unit_price, amount, price_source';
+const BILLING_SESSION_SELECT = 'id, date, student_id, service_context';
+const LINE_ITEM_CHUNK_SIZE = 500;
+
+function extractStatementId(context, req) {
+  const candidate =
+    normalizeString(context?.bindingData?.statementId) ||
+    normalizeString(req?.query?.statement_id);
+
+  return isUUID(candidate) ? candidate : '';
+}
+
+async function loadBillingSettings(context, tenantClient) {
+  const { data, error } = await tenantClient
+    .from('Settings')
+    .select('settings_value')
+    .eq('key', BILLING_SETTINGS_KEY)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('billing failed to load settings', { message: error.message });
+    return { error: { status: 500, message: 'failed_to_load_settings' } };
+  }
+  return { settings: normalizeBillingSettings(data?.settings_value) };
+}
+
+async function loadStatement(context, tenantClient, statementId) {
+  const { data, error } = await tenantClient
+    .from('BillingStatements')
+    .select(STATEMENT_SELECT)
+    .eq('id', statementId)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('billing failed to load statement', { message: error.message, statementId });
+    return { error: { status: 500, message: 'failed_to_load_statement' } };
+  }
+  if (!data) {
+    return { error: { status: 404, message: 'statement_not_found' } };
+  }
+  return { statement: data };
+}
+
+async function loadLineItems(context, tenantClient, statementId) {
+  const { data, error } = await tenantClient
+    .from('BillingLineItems')
+    .select(LINE_ITEM_SELECT)
+    .eq('statement_id', statementId)
+    .order('date', { ascending: true });
+
+  if (error) {
+    context.log?.error?.('billing failed to load line items', { message: error.message, statementId });
+    return { error: { status: 500, message: 'failed_to_load_statement' } };
+  }
+  return { lines: data || [] };
+}
+
+// Everything a run needs for the month. Sessions already on an issued or paid statement are
+// collected so they are not billed twice.
+async function loadBillingMonth(context, tenantClient, { month, from, to }) {
+  const [studentsResult, recordsResult, exceptionsResult, lockedResult] = await Promise.all([
+    loadAllRows(() => tenantClient.from('Students').select('id, name, contact_name, default_service, default_day_of_week, default_session_time, schedule_slots, assigned_instructor_id').order('id')),
+    loadAllRows(() => tenantClient
+      .from('SessionRecords')
+      .select(BILLING_SESSION_SELECT)
+      .eq('deleted', false)
+      .not('student_id', 'is', null)
+      .gte('date', from)
+      .lte('date', to)
+      .order('id')),
+    loadAllRows(() => tenantClient
+      .from('SessionExceptions')
+      .select('id, student_id, date, slot_id')
+      .eq('status', 'cancelled')
+      .gte('date', from)
+      .lte('date', to)
+      .order('id')),
+    tenantClient
+      .from('BillingStatements')
+      .select('id')
+      .eq('month', month)
+      .neq('status', BILLING_STATUS.DRAFT),
+  ]);
+
+  if (studentsResult.error) {
+    context.log?.error?.('billing failed to load students', { message: studentsResult.error.message });
+    return { error: { status: 500, message: 'failed_to_load_students' } };
+  }
+  if (recordsResult.error) {
+    context.log?.error?.('billing failed to load session records', { message: recordsResult.error.message, month });
+    return { error: { status: 500, message: 'failed_to_load_sessions' } };
+  }
+  if (exceptionsResult.error) {
+    context.log?.error?.('billing failed to load cancellations', { message: exceptionsResult.error.message, month });
+    return { error: { status: 500, message: 'failed_to_load_sessions' } };
+  }
+  if (lockedResult.error) {
+    context.log?.error?.('billing failed to load statements', { message: lockedResult.error.message, month });
+    return { error: { status: 500, message: 'failed_to_load_statements' } };
+  }
+
+  const billedSessionIds = new Set();
+  const lockedIds = (lockedResult.data || []).map((row) => row.id);
+  if (lockedIds.length) {
+    const linesResult = await loadAllRows(() => tenantClient
+      .from('BillingLineItems')
+      .select('id, session_id')
+      .in('statement_id', lockedIds)
+      .order('id'));
+    if (linesResult.error) {
+      context.log?.error?.('billing failed to load billed sessions', { message: linesResult.error.message, month });
+      return { error: { status: 500, message: 'failed_to_load_statements' } };
+    }
+    linesResult.data.forEach((line) => {
+      if (line.session_id) {
+        billedSessionIds.add(normalizeString(line.session_id));
+      }
+    });
+  }
+
+  return {
+    students: studentsResult.data,
+    records: recordsResult.data,
+    cancellations: exceptionsResult.data,
+    billedSessionIds,
+    truncated: recordsResult.truncated || studentsResult.truncated,
+  };
+}
+
+async function writeAudit(context, { supabase, orgId, userId, userEmail, role }, { actionType, resourceType, resourceId, details }) {
+  try {
+    await logAuditEvent(supabase, {
+      orgId,
+      userId,
+      userEmail: normalizeString(userEmail),
+      userRole: role,
+      actionType,
+      actionCategory: AUDIT_CATEGORIES.BILLING,
+      resourceType,
+      resourceId,
+      details,
+    });
+  } catch (auditError) {
+    context.log?.error?.('billing failed to log audit event', { message: auditError?.message });
+  }
+}
+
+async function handleList(context, req, { tenantClient }) {
+  const parsed = parseBillingQuery(req?.query ?? {}, new Date());
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+  const { month } = parsed.value;
+
+  const [loadedSettings, statementsResult] = await Promise.all([
+    loadBillingSettings(context, tenantClient),
+    tenantClient
+      .from('BillingStatements')
+      .select(STATEMENT_SELECT)
+      .eq('month', month)
+      .order('student_name', { ascending: true }),
+  ]);
+  if (loadedSettings.error) {
+    return respond(context, loadedSettings.error.status, { message: loadedSettings.error.message });
+  }
+  if (statementsResult.error) {
+    context.log?.error?.('billing failed to list statements', { message: statementsResult.error.message, month });
+    return respond(context, 500, { message: 'failed_to_load_statements' });
+  }
+
+  const statements = statementsResult.data || [];
+  const totals = Object.fromEntries(Object.values(BILLING_STATUS).map((status) => [status, { statements: 0, amount: 0 }]));
+  for (const statement of statements) {
+    const bucket = totals[statement.status];
+    if (bucket) {
+      bucket.statements += 1;
+      bucket.amount = Math.round((bucket.amount + Number(statement.total_amount || 0)) * 100) / 100;
+    }
+  }
+
+  return respond(context, 200, {
+    month,
+    currency: loadedSettings.settings.currency,
+    configured: hasBillingPrices(loadedSettings.settings),
+    statements,
+    totals,
+  }, { 'Cache-Control': 'no-store' });
+}
+
+async function handleGetStatement(context, statementId, { tenantClient }) {
+  const loaded = await loadStatement(context, tenantClient, statementId);
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+  const loadedLines = await loadLineItems(context, tenantClient, statementId);
+  if (loadedLines.error) {
+    return respond(context, loadedLines.error.status, { message: loadedLines.error.message });
+  }
+  return respond(context, 200, { statement: loaded.statement, lines: loadedLines.lines }, { 'Cache-Control': 'no-store' });
+}
+
+async function handleStatementPdf(context, statementId, { supabase, tenantClient, env, orgId }) {
+  let permissions;
+  try {
+    permissions = await ensureOrgPermissions(supabase, orgId);
+  } catch (permError) {
+    context.log?.error?.('billing failed to load permissions', { message: permError?.message, orgId });
+    return respond(context, 500, { message: 'failed_to_load_permissions' });
+  }
+
+  if (!permissions?.can_export_pdf_reports) {
+    return respond(context, 403, {
+      message: 'pdf_export_not_enabled',
+      description: 'PDF export is a premium feature. Contact support to enable this feature.',
+    });
+  }
+
+  const loaded = await loadStatement(context, tenantClient, statementId);
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+  const loadedLines = await loadLineItems(context, tenantClient, statementId);
+  if (loadedLines.error) {
+    return respond(context, loadedLines.error.status, { message: loadedLines.error.message });
+  }
+
+  const logos = await loadExportLogos(context, { supabase, env, orgId, permissions, logPrefix: 'billing' });
+
+  try {
+    const html = generateStatementHtml(loaded.statement, loadedLines.lines, logos);
+    const pdfBuffer = await renderHtmlToPdf(context, html, { logPrefix: 'billing' });
+    return respondPdf(context, pdfBuffer, buildStatementFilename(loaded.statement));
+  } catch (error) {
+    context.log?.error?.('billing PDF generation failed', { message: error?.message, stack: error?.stack, statementId });
+    return respond(context, 500, { message: 'failed_to_generate_pdf' });
+  }
+}
+
+async function handleRun(context, requestContext) {
+  const { tenantClient, userId, body } = requestContext;
+  const parsed = parseBillingRun(body, new Date());
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+  const { month } = parsed.value;
+
+  const loadedSettings = await loadBillingSettings(context, tenantClient);
+  if (loadedSettings.error) {
+    return respond(context, loadedSettings.error.status, { message: loadedSettings.error.message });
+  }
+  const { settings } = loadedSettings;
+  if (!hasBillingPrices(settings)) {
+    return respond(context, 409, { message: 'billing_not_configured' });
+  }
+
+  const loaded = await loadBillingMonth(context, tenantClient, parsed.value);
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+  if (loaded.truncated) {
+    return respond(context, 413, { message: 'too_many_sessions' });
+  }
+
+  // Drafts are rebuilt from scratch; their line items go with them
+  const { error: clearError } = await tenantClient
+    .from('BillingStatements')
+    .delete()
+    .eq('month', month)
+    .eq('status', BILLING_STATUS.DRAFT);
+  if (clearError) {
+    context.log?.error?.('billing failed to clear drafts', { message: clearError.message, month });
+    return respond(context, 500, { message: 'failed_to_run_billing' });
+  }
+
+  const run = buildBillingRun(loaded.records, { ...loaded, settings });
+  let created = [];
+  if (run.statements.length) {
+    const { data: inserted, error: insertError } = await tenantClient
+      .from('BillingStatements')
+      .insert(run.statements.map((statement) => ({
+        student_id: statement.student_id,
+        month,
+        status: BILLING_STATUS.DRAFT,
+        payer_type: statement.payer_type,
+        payer_name: statement.payer_name,
+        student_name: statement.student_name,
+        currency: statement.currency,
+        total_amount: statement.total_amount,
+        created_by: userId,
+        metadata: { session_count: statement.lines.length },
+      })))
+      .select('id, student_id');
+    if (insertError) {
+      context.log?.error?.('billing failed to create statements', { message: insertError.message, month });
+      return respond(context, 500, { message: 'failed_to_run_billing' });
+    }
+    created = inserted || [];
+
+    const statementIds = new Map(created.map((row) => [normalizeString(row.student_id), row.id]));
+    const lineRows = run.statements.flatMap((statement) => statement.lines.map((line) => ({
+      ...line,
+      statement_id: statementIds.get(statement.student_id),
+    })));
+
+    for (let index = 0; index < lineRows.length; index += LINE_ITEM_CHUNK_SIZE) {
+      const { error: linesError } = await tenantClient
+        .from('BillingLineItems')
+        .insert(lineRows.slice(index, index + LINE_ITEM_CHUNK_SIZE));
+      if (linesError) {
+        context.log?.error?.('billing failed to create line items', { message: linesError.message, month });
+        // Do not leave half-filled drafts behind
+        await tenantClient.from('BillingStatements').delete().in('id', created.map((row) => row.id));
+        return respond(context, 500, { message: 'failed_to_run_billing' });
+      }
+    }
+  }
+
+  const totalAmount = run.statements.reduce((sum, statement) => sum + Math.round(statement.total_amount * 100), 0) / 100;
+
+  await writeAudit(context, requestContext, {
+    actionType: AUDIT_ACTIONS.BILLING_RUN,
+    resourceType: 'billing_month',
+    resourceId: month,
+    details: {
+      month,
+      statements: created.length,
+      total_amount: totalAmount,
+      unpriced_sessions: run.unpriced.length,
+      ...run.skipped,
+    },
+  });
+
+  return respond(context, 200, {
+    month,
+    created: created.length,
+    total_amount: totalAmount,
+    unpriced: run.unpriced,
+    skipped: run.skipped,
+  });
+}
+
+async function handleStatusChange(context, statementId, requestContext) {
+  const { tenantClient, userId, body } = requestContext;
+  const loaded = await loadStatement(context, tenantClient, statementId);
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+  const { statement } = loaded;
+
+  const parsed = parseStatusChange(body, statement.status);
+  if (parsed.error) {
+    return respond(context, parsed.error === 'invalid_status' ? 400 : 409, { message: parsed.error });
+  }
+  const status = parsed.value;
+  const now = new Date().toISOString();
+  const updates = status === BILLING_STATUS.ISSUED
+    ? { status, issued_by: userId, issued_at: now, updated_at: now }
+    : { status, paid_by: userId, paid_at: now, updated_at: now };
+
+  // Conditional on the status we read, so two admins cannot move the same statement twice
+  const { data, error } = await tenantClient
+    .from('BillingStatements')
+    .update(updates)
+    .eq('id', statementId)
+    .eq('status', statement.status)
+    .select(STATEMENT_SELECT)
+    .maybeSingle();
+  if (error) {
+    context.log?.error?.('billing failed to update statement', { message: error.message, statementId });
+    return respond(context, 500, { message: 'failed_to_update_statement' });
+  }
+  if (!data) {
+    return respond(context, 409, { message: 'invalid_status_transition' });
+  }
+
+  await writeAudit(context, requestContext, {
+    actionType: AUDIT_ACTIONS.BILLING_STATEMENT_STATUS_CHANGED,
+    resourceType: 'billing_statement',
+    resourceId: statementId,
+    details: {
+      month: statement.month,
+      student_id: statement.student_id,
+      student_name: statement.student_name,
+      from: statement.status,
+      to: status,
+      total_amount: Number(statement.total_amount),
+    },
+  });
+
+  return respond(context, 200, { statement: data });
+}
+
+async function handleDelete(context, statementId, requestContext) {
+  const { tenantClient } = requestContext;
+  const loaded = await loadStatement(context, tenantClient, statementId);
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+  const { statement } = loaded;
+  if (statement.status !== BILLING_STATUS.DRAFT) {
+    return respond(context, 409, { message: 'statement_not_draft' });
+  }
+
+  const { data, error } = await tenantClient
+    .from('BillingStatements')
+    .delete()
+    .eq('id', statementId)
+    .eq('status', BILLING_STATUS.DRAFT)
+    .select('id');
+  if (error) {
+    context.log?.error?.('billing failed to delete statement', { message: error.message, statementId });
+    return respond(context, 500, { message: 'failed_to_delete_statement' });
+  }
+  if (!data?.length) {
+    return respond(context, 409, { message: 'statement_not_draft' });
+  }
+
+  await writeAudit(context, requestContext, {
+    actionType: AUDIT_ACTIONS.BILLING_STATEMENT_DELETED,
+    resourceType: 'billing_statement',
+    resourceId: statementId,
+    details: {
+      month: statement.month,
+      student_id: statement.student_id,
+      student_name: statement.student_name,
+      total_amount: Number(statement.total_amount),
+    },
+  });
+
+  return respond(context, 200, { deleted: true, id: statementId });
+}
+
+export default async function (context, req) {
+  const method = String(req.method || 'GET').toUpperCase();
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(method)) {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'GET, POST, PATCH, DELETE' });
+  }
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('billing missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('billing failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = normalizeString(authResult.data.user.id);
+  const userEmail = authResult.data.user.email;
+  const body = method === 'GET' ? {} : parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('billing failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  // Prices and statements are financial records; only admins see them
+  if (!role || !isAdminRole(role)) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+  if (tenantError) {
+    return respond(context, tenantError.status, tenantError.body);
+  }
+
+  const requestContext = { supabase, tenantClient, env, orgId, userId, userEmail, role, body };
+  const statementId = extractStatementId(context, req);
+  const action = normalizeString(context?.bindingData?.action).toLowerCase();
+
+  if (method === 'POST') {
+    return handleRun(context, requestContext);
+  }
+  if (!statementId) {
+    if (method === 'GET') {
+      return handleList(context, req, requestContext);
+    }
+    return respond(context, 400, { message: 'invalid_statement_id' });
+  }
+
+  if (method === 'GET') {
+    if (action === 'pdf') {
+      return handleStatementPdf(context, statementId, requestContext);
+    }
+    return action
+      ? respond(context, 404, { message: 'not_found' })
+      : handleGetStatement(context, statementId, requestContext);
+  }
+
+  return method === 'PATCH'
+    ? handleStatusChange(context, statementId, requestContext)
+    : handleDelete(context, statementId, requestContext);
+}
@@ -0,0 +1,41 @@
+/* eslint-env node */
+/**
+ * Backup Destination Factory
+ *
+ * Off-site targets that encrypted backup files are copied to after a manual
+ * or scheduled backup. Destinations only receive finished .enc files; they
+ * are never read back by the app. Add new targets here (Google Drive,
+ * OneDrive and Dropbox would plug in the same way once OAuth is wired up).
+ */
+
+import { createWebdavDestination } from './webdav-adapter.js';
+import { createS3Destination } from './s3-adapter.js';
+
+/**
+ * Get backup destination for a decrypted destination config
+ *
+ * @param {Object} destination - { type, config } with credentials already decrypted
+ * @returns {Object} Destination instance
+ */
+export function getBackupDestination(destination) {
+  if (!destination || !destination.type) {
+    throw new Error('Backup destination requires a type');
+  }
+
+  const config = destination.config || {};
+
+  switch (destination.type.toLowerCase()) {
+    case 'webdav':
+      return createWebdavDestination({
+        url: config.url,
+        username: config.username,
+        password: config.password,
+      });
+
+    case 's3':
+      return createS3Destination(config);
+
+    default:
+      throw new Error(`Unsupported backup destination: ${destination.type}`);
+  }
+}
@@ -0,0 +1,70 @@
+/* eslint-env node */
+/**
+ * S3 Backup Destination
+ *
+ * Uploads backup files to any S3-compatible bucket (AWS S3, Cloudflare R2,
+ * Backblaze B2, Wasabi, MinIO) under an optional key prefix. Reuses the
+ * storage S3 driver for the actual requests.
+ */
+
+import { createS3Driver } from '../storage-drivers/s3-adapter.js';
+
+/**
+ * Create S3 backup destination
+ *
+ * @param {Object} config - S3 configuration
+ * @param {string} config.endpoint - Endpoint URL (optional for AWS)
+ * @param {string} config.region - Region (default: us-east-1)
+ * @param {string} config.bucket - Bucket name
+ * @param {string} config.prefix - Optional key prefix (e.g., "tuttiud-backups")
+ * @param {string} config.access_key_id - Access key ID
+ * @param {string} config.secret_access_key - Secret access key
+ * @param {Object} [config.driver] - Pre-built storage driver (injectable for tests)
+ * @returns {Object} Destination with upload, delete and getType methods
+ */
+export function createS3Destination(config) {
+  if (config.endpoint && !String(config.endpoint).startsWith('https://')) {
+    throw new Error('S3 destination requires an HTTPS endpoint');
+  }
+  const prefix = String(config.prefix || '').replace(/^\/+|\/+$/g, '');
+  const driver = config.driver || createS3Driver({
+    endpoint: config.endpoint,
+    region: config.region || 'us-east-1',
+    bucket: config.bucket,
+    accessKeyId: config.access_key_id,
+    secretAccessKey: config.secret_access_key,
+  });
+
+  const keyFor = (filename) => (prefix ? `${prefix}/${filename}` : filename);
+
+  return {
+    /**
+     * Upload a backup file under the configured prefix
+     *
+     * @param {string} filename - File name
+     * @param {Buffer} buffer - File data
+     * @returns {Promise<Object>} Upload result with the object key
+     */
+    async upload(filename, buffer) {
+      await driver.upload(keyFor(filename), buffer, 'application/octet-stream');
+      return { location: keyFor(filename) };
+    },
+
+    /**
+     * Delete a backup file
+     *
+     * @param {string} filename - File name
+     * @returns {Promise<void>}
+     */
+    async delete(filename) {
+      await driver.delete(keyFor(filename));
+    },
+
+    /**
+     * Get destination type
+     */
+    getType() {
+      return 's3';
+    },
+  };
+}
@@ -0,0 +1,90 @@
+/* eslint-env node */
+/**
+ * WebDAV Backup Destination
+ *
+ * Uploads backup files to a WebDAV folder (Nextcloud, ownCloud, Synology, etc.)
+ * with HTTP basic authentication.
+ */
+
+/**
+ * Create WebDAV backup destination
+ *
+ * @param {Object} config - WebDAV configuration
+ * @param {string} config.url - Folder URL (e.g., https://cloud.example.com/remote.php/dav/files/user/backups)
+ * @param {string} config.username - WebDAV username
+ * @param {string} config.password - WebDAV password or app password
+ * @param {Function} [config.fetchImpl] - fetch implementation (injectable for tests)
+ * @returns {Object} Destination with upload, delete and getType methods
+ */
+export function createWebdavDestination(config) {
+  const { url, username, password, fetchImpl = globalThis.fetch } = config;
+
+  if (!url || !username || !password) {
+    throw new Error('WebDAV destination requires url, username and password');
+  }
+  if (!url.startsWith('https://')) {
+    throw new Error('WebDAV destination requires an HTTPS url');
+  }
+
+  const baseUrl = url.replace(/\/+$/, '');
+  const authorization = `Basic ${Buffer.from(`${username}:${password}`, 'utf8').toString('base64')}`;
+
+  const request = async (method, target, options = {}) => {
+    return fetchImpl(target, {
+      method,
+      headers: { Authorization: authorization, ...(options.headers || {}) },
+      body: options.body,
+    });
+  };
+
+  const fileUrl = (filename) => `${baseUrl}/${encodeURIComponent(filename)}`;
+
+  return {
+    /**
+     * Upload a backup file into the configured folder
+     *
+     * @param {string} filename - File name (no folders)
+     * @param {Buffer} buffer - File data
+     * @returns {Promise<Object>} Upload result with the remote location
+     */
+    async upload(filename, buffer) {
+      // Create the folder on first use (201, or 405 when it already exists);
+      // other answers are left for the PUT below to report
+      const folder = await request('MKCOL', `${baseUrl}/`);
+      if (folder.status === 401 || folder.status === 403) {
+        throw new Error('WebDAV authentication failed');
+      }
+
+      const response = await request('PUT', fileUrl(filename), {
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: buffer,
+      });
+
+      if (!response.ok) {
+        throw new Error('WebDAV upload failed');
+      }
+
+      return { location: fileUrl(filename) };
+    },
+
+    /**
+     * Delete a backup file from the configured folder
+     *
+     * @param {string} filename - File name
+     * @returns {Promise<void>}
+     */
+    async delete(filename) {
+      const response = await request('DELETE', fileUrl(filename));
+      if (!response.ok && response.status !== 404) {
+        throw new Error('WebDAV delete failed');
+      }
+    },
+
+    /**
+     * Get destination type
+     */
+    getType() {
+      return 'webdav';
+    },
+  };
+}
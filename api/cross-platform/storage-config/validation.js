@@ -6,6 +6,8 @@
  * System-agnostic - no TutTiud-specific logic.
  */
 
+import { isWithinAllowedRoot } from '../storage-drivers/local-adapter.js';
+
 /**
  * Supported BYOS providers
  */
@@ -15,14 +17,52 @@ export const BYOS_PROVIDERS = {
   GCS: 'gcs',
   R2: 'r2',
   GENERIC: 'generic',
+  LOCAL: 'local',
 };
 
+// POSIX (/srv/files) or Windows (C:\files) absolute paths
+const ABSOLUTE_PATH_PATTERN = /^(\/|[a-zA-Z]:[\\/])/;
+
+/**
+ * Validates local filesystem storage configuration
+ * Local storage has no endpoint or keys; files live under base_path on the API host,
+ * which must sit inside the server's LOCAL_STORAGE_ROOT.
+ * @param {object} byosConfig - BYOS configuration object with provider "local"
+ * @param {string} [localStorageRoot] - The server's LOCAL_STORAGE_ROOT, if any
+ * @returns {string[]} Validation errors
+ */
+function validateLocalStorageFields(byosConfig, localStorageRoot) {
+  if (!localStorageRoot) {
+    return ['Local storage is not enabled on this server'];
+  }
+
+  const errors = [];
+
+  if (!byosConfig.base_path || typeof byosConfig.base_path !== 'string') {
+    errors.push('Base path is required for local storage');
+  } else {
+    const trimmedPath = byosConfig.base_path.trim();
+    if (!trimmedPath) {
+      errors.push('Base path cannot be empty');
+    } else if (!ABSOLUTE_PATH_PATTERN.test(trimmedPath)) {
+      errors.push('Base path must be an absolute directory path');
+    } else if (trimmedPath.split(/[\\/]/).includes('..')) {
+      errors.push('Base path cannot contain ".." segments');
+    } else if (!isWithinAllowedRoot(trimmedPath, localStorageRoot)) {
+      errors.push('Base path must be inside the server\'s local storage directory');
+    }
+  }
+
+  return errors;
+}
+
 /**
  * Validates BYOS (Bring Your Own Storage) configuration
  * @param {object} byosConfig - BYOS configuration object
+ * @param {object} [options] - { localStorageRoot } from the server environment
  * @returns {{ valid: boolean, errors: string[] }}
  */
-export function validateByosCredentials(byosConfig) {
+export function validateByosCredentials(byosConfig, { localStorageRoot = '' } = {}) {
   const errors = [];
 
   if (!byosConfig || typeof byosConfig !== 'object') {
@@ -38,6 +78,14 @@ export function validateByosCredentials(byosConfig) {
     errors.push(`Provider must be one of: ${validProviders.join(', ')}`);
   }
 
+  if (byosConfig.provider === BYOS_PROVIDERS.LOCAL) {
+    errors.push(...validateLocalStorageFields(byosConfig, localStorageRoot));
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
   // Endpoint validation
   if (!byosConfig.endpoint || typeof byosConfig.endpoint !== 'string') {
     errors.push('Endpoint URL is required');
@@ -144,9 +192,10 @@ export function validateManagedConfig(managedConfig) {
 /**
  * Validates storage profile structure and mode-specific configuration
  * @param {object} profile - Storage profile object
+ * @param {object} [options] - { localStorageRoot } from the server environment
  * @returns {{ valid: boolean, errors: string[] }}
  */
-export function validateStorageProfile(profile) {
+export function validateStorageProfile(profile, options = {}) {
   const errors = [];
 
   if (!profile || typeof profile !== 'object') {
@@ -167,7 +216,7 @@ export function validateStorageProfile(profile) {
     if (!profile.byos) {
       errors.push('BYOS configuration is required when mode is "byos"');
     } else {
-      const byosValidation = validateByosCredentials(profile.byos);
+      const byosValidation = validateByosCredentials(profile.byos, options);
       errors.push(...byosValidation.errors);
     }
   } else if (profile.mode === 'managed') {
@@ -224,6 +273,11 @@ export function normalizeStorageProfile(rawProfile) {
       byos.region = rawProfile.byos.region.trim();
     }
 
+    // Only include base_path if it's a non-empty string (local filesystem provider)
+    if (typeof rawProfile.byos.base_path === 'string' && rawProfile.byos.base_path.trim()) {
+      byos.base_path = rawProfile.byos.base_path.trim();
+    }
+
     // Only include public_url if it's a non-empty string
     if (typeof rawProfile.byos.public_url === 'string' && rawProfile.byos.public_url.trim()) {
       byos.public_url = rawProfile.byos.public_url.trim();
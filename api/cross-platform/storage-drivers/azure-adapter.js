@@ -5,7 +5,10 @@
  * Supports Azure Blob Storage for BYOS configurations.
  */
 
-import { BlobServiceClient, StorageSharedKeyCredential } from '@azure/storage-blob';
+import { BlobSASPermissions, BlobServiceClient, StorageSharedKeyCredential } from '@azure/storage-blob';
+
+// Blob deletes are individual requests; cap parallelism so large prefixes don't flood the account.
+const DELETE_CONCURRENCY = 10;
 
 /**
  * Create Azure Blob Storage driver
@@ -14,10 +17,11 @@ import { BlobServiceClient, StorageSharedKeyCredential } from '@azure/storage-bl
  * @param {string} config.accountName - Azure storage account name
  * @param {string} config.accountKey - Azure storage account key
  * @param {string} config.container - Container name
+ * @param {string} config.endpoint - Optional blob service URL (e.g. Azurite: http://127.0.0.1:10000/devstoreaccount1)
  * @returns {Object} Storage driver with upload and delete methods
  */
 export function createAzureDriver(config) {
-  const { accountName, accountKey, container } = config;
+  const { accountName, accountKey, container, endpoint } = config;
 
   if (!accountName || !accountKey || !container) {
     throw new Error('Azure driver requires accountName, accountKey, and container');
@@ -25,10 +29,10 @@ export function createAzureDriver(config) {
 
   // Create credentials and service client
   const sharedKeyCredential = new StorageSharedKeyCredential(accountName, accountKey);
-  const blobServiceClient = new BlobServiceClient(
-    `https://${accountName}.blob.core.windows.net`,
-    sharedKeyCredential
-  );
+  const serviceUrl = endpoint
+    ? endpoint.replace(/\/$/, '')
+    : `https://${accountName}.blob.core.windows.net`;
+  const blobServiceClient = new BlobServiceClient(serviceUrl, sharedKeyCredential);
 
   const containerClient = blobServiceClient.getContainerClient(container);
 
@@ -67,6 +71,107 @@ export function createAzureDriver(config) {
       await blockBlobClient.deleteIfExists();
     },
 
+    /**
+     * Get SAS download URL
+     * 
+     * Azure applies the `rscd` SAS parameter as the response Content-Disposition,
+     * so the same URL shape works for both downloads and inline previews.
+     * 
+     * @param {string} path - Blob path within container
+     * @param {number} expiresIn - URL expiration time in seconds (default: 3600 = 1 hour)
+     * @param {string} filename - Optional filename for Content-Disposition header
+     * @param {string} dispositionType - 'attachment' (download) or 'inline' (preview) (default: 'attachment')
+     * @returns {Promise<string>} SAS-signed blob URL
+     */
+    async getDownloadUrl(path, expiresIn = 3600, filename = null, dispositionType = 'attachment') {
+      const blobClient = containerClient.getBlobClient(path);
+
+      // Use RFC 5987 encoding for non-ASCII filenames (Hebrew, etc.), matching the S3 adapter
+      let disposition = dispositionType === 'inline' ? 'inline' : 'attachment';
+      if (filename) {
+        const asciiFallback = 'document';
+        const encodedFilename = encodeURIComponent(filename);
+        disposition = `${disposition}; filename="${asciiFallback}"; filename*=UTF-8''${encodedFilename}`;
+      }
+
+      // Start slightly in the past to tolerate clock skew between us and the storage account
+      const startsOn = new Date(Date.now() - 5 * 60 * 1000);
+      const expiresOn = new Date(Date.now() + expiresIn * 1000);
+
+      return blobClient.generateSasUrl({
+        permissions: BlobSASPermissions.parse('r'),
+        startsOn,
+        expiresOn,
+        contentDisposition: disposition,
+      });
+    },
+
+    /**
+     * Get a readable stream for a blob without buffering it in memory
+     * 
+     * @param {string} path - Blob path within container
+     * @returns {Promise<NodeJS.ReadableStream>} Blob data stream
+     */
+    async getFileStream(path) {
+      const blobClient = containerClient.getBlobClient(path);
+      const response = await blobClient.download();
+
+      if (!response.readableStreamBody) {
+        throw new Error(`Azure download returned no body for ${path}`);
+      }
+
+      return response.readableStreamBody;
+    },
+
+    /**
+     * Get file data as Buffer
+     * 
+     * @param {string} path - Blob path within container
+     * @returns {Promise<Buffer>} File data
+     */
+    async getFile(path) {
+      const stream = await this.getFileStream(path);
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }
+
+      return Buffer.concat(chunks);
+    },
+
+    /**
+     * Delete all blobs with a given prefix (for bulk cleanup)
+     * 
+     * @param {string} prefix - Path prefix to delete (e.g., "managed/org-id/")
+     * @returns {Promise<number>} Number of blobs deleted
+     */
+    async deletePrefix(prefix) {
+      let deletedCount = 0;
+      let batch = [];
+
+      const flush = async () => {
+        const results = await Promise.all(
+          batch.map((name) => containerClient.getBlobClient(name).deleteIfExists())
+        );
+        deletedCount += results.filter((result) => result.succeeded).length;
+        batch = [];
+      };
+
+      for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+        batch.push(blob.name);
+        if (batch.length >= DELETE_CONCURRENCY) {
+          await flush();
+        }
+      }
+
+      if (batch.length) {
+        await flush();
+      }
+
+      return deletedCount;
+    },
+
     /**
      * Get driver type
      */
@@ -3,19 +3,28 @@
  * Storage Driver Factory
  * 
  * Creates appropriate storage driver based on mode and configuration.
- * Supports Managed (Cloudflare R2) and BYOS (S3, Azure, Supabase) storage.
+ * Supports Managed (Cloudflare R2) and BYOS (S3, Azure, Supabase, local filesystem) storage.
  */
 
 import { createS3Driver } from './s3-adapter.js';
 import { createAzureDriver } from './azure-adapter.js';
 import { createSupabaseDriver } from './supabase-adapter.js';
+import { createLocalDriver, isWithinAllowedRoot, resolveLocalStorageSettings } from './local-adapter.js';
+
+// Helpers the signed download route needs to verify local storage tokens
+export {
+  isWithinAllowedRoot,
+  resolveLocalPath,
+  resolveLocalStorageSettings,
+  verifyLocalDownloadToken,
+} from './local-adapter.js';
 
 /**
  * Get storage driver based on mode and configuration
  * 
  * @param {string} mode - Storage mode ('managed' or 'byos')
  * @param {Object} config - Storage configuration
- * @param {Object} env - Environment variables (for managed mode)
+ * @param {Object} env - Environment variables (for managed mode and local storage signing)
  * @returns {Object} Storage driver instance
  */
 export function getStorageDriver(mode, config, env = {}) {
@@ -76,11 +85,13 @@ export function getStorageDriver(mode, config, env = {}) {
 
       case 'azure':
         // Azure Blob Storage
-        // Config should have: accountName, accountKey, container
+        // Config should have: accountName, accountKey, container (endpoint is optional, e.g. Azurite)
+        // The generic BYOS form stores the account name/key in access_key_id/secret_access_key
         return createAzureDriver({
-          accountName: config.account_name || config.accountName,
-          accountKey: config.account_key || config.accountKey,
+          accountName: config.account_name || config.accountName || config.access_key_id,
+          accountKey: config.account_key || config.accountKey || config.secret_access_key,
           container: config.container || config.bucket,
+          endpoint: config.endpoint,
         });
 
       case 'supabase':
@@ -92,6 +103,20 @@ export function getStorageDriver(mode, config, env = {}) {
           bucket: config.bucket,
         });
 
+      case 'local': {
+        // Local filesystem (self-hosted / test deployments)
+        // Config should have: base_path; signing secret and allowed root come from env
+        const basePath = config.base_path || config.basePath;
+        const { signingSecret, allowedRoot, publicUrl } = resolveLocalStorageSettings(env);
+        if (!allowedRoot) {
+          throw new Error('Local storage is disabled: LOCAL_STORAGE_ROOT is not set');
+        }
+        if (!isWithinAllowedRoot(basePath || '', allowedRoot)) {
+          throw new Error('Local storage base_path must be inside LOCAL_STORAGE_ROOT');
+        }
+        return createLocalDriver({ basePath, signingSecret, publicUrl });
+      }
+
       case 'gcs':
       case 'google':
         // Future: Google Cloud Storage
@@ -0,0 +1,325 @@
+/* eslint-env node */
+/**
+ * Local Filesystem Storage Adapter
+ *
+ * Stores files in a directory on the server's disk. Intended for self-hosted
+ * installs and test deployments where no object storage is available.
+ *
+ * The filesystem has no presigned URLs of its own, so downloads go through
+ * /api/storage-local-download with an HMAC-signed, expiring token.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { mkdir, readdir, readFile, rm, stat, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export const LOCAL_DOWNLOAD_ROUTE = '/api/storage-local-download';
+
+/**
+ * Resolve local storage settings from environment variables
+ *
+ * LOCAL_STORAGE_SIGNING_SECRET signs download tokens. It is deliberately not
+ * shared with the org credentials encryption key.
+ * LOCAL_STORAGE_ROOT is the directory org storage must live under; without it
+ * local storage is disabled.
+ * LOCAL_STORAGE_PUBLIC_URL optionally makes download links absolute.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {{ signingSecret: string, allowedRoot: string, publicUrl: string }}
+ */
+export function resolveLocalStorageSettings(env = {}) {
+  const pick = (...values) => {
+    for (const value of values) {
+      if (typeof value === 'string' && value.trim()) {
+        return value.trim();
+      }
+    }
+    return '';
+  };
+
+  return {
+    signingSecret: pick(env.LOCAL_STORAGE_SIGNING_SECRET),
+    allowedRoot: pick(env.LOCAL_STORAGE_ROOT),
+    publicUrl: pick(env.LOCAL_STORAGE_PUBLIC_URL),
+  };
+}
+
+/**
+ * Check that a directory sits inside the allowed root
+ *
+ * Fails closed: with no root configured, no directory is allowed.
+ *
+ * @param {string} basePath - Absolute storage directory
+ * @param {string} allowedRoot - Absolute root directory
+ * @returns {boolean}
+ */
+export function isWithinAllowedRoot(basePath, allowedRoot) {
+  if (!allowedRoot || !basePath) {
+    return false;
+  }
+  const relative = path.relative(path.resolve(allowedRoot), path.resolve(basePath));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function signPayload(encodedPayload, signingSecret) {
+  return createHmac('sha256', signingSecret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a signed download token
+ *
+ * @param {Object} payload - { basePath, path, expiresAt, disposition }
+ * @param {string} signingSecret - HMAC secret
+ * @returns {string} Token in the form <base64url payload>.<base64url signature>
+ */
+export function createLocalDownloadToken(payload, signingSecret) {
+  const encodedPayload = Buffer.from(JSON.stringify({
+    b: payload.basePath,
+    p: payload.path,
+    e: payload.expiresAt,
+    d: payload.disposition,
+  }), 'utf8').toString('base64url');
+
+  return `${encodedPayload}.${signPayload(encodedPayload, signingSecret)}`;
+}
+
+/**
+ * Verify a signed download token
+ *
+ * @param {string} token - Token from the download URL
+ * @param {string} signingSecret - HMAC secret
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @returns {{ valid: true, payload: Object } | { valid: false, error: string }}
+ */
+export function verifyLocalDownloadToken(token, signingSecret, now = Date.now()) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return { valid: false, error: 'invalid_token' };
+  }
+
+  const [encodedPayload, signature] = token.split('.', 2);
+  const expected = Buffer.from(signPayload(encodedPayload, signingSecret));
+  const received = Buffer.from(signature || '');
+
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return { valid: false, error: 'invalid_signature' };
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, error: 'invalid_token' };
+  }
+
+  if (!decoded || typeof decoded.b !== 'string' || typeof decoded.p !== 'string' || !Number.isFinite(decoded.e)) {
+    return { valid: false, error: 'invalid_token' };
+  }
+
+  if (decoded.e < now) {
+    return { valid: false, error: 'link_expired' };
+  }
+
+  return {
+    valid: true,
+    payload: {
+      basePath: decoded.b,
+      path: decoded.p,
+      expiresAt: decoded.e,
+      disposition: typeof decoded.d === 'string' ? decoded.d : 'attachment',
+    },
+  };
+}
+
+/**
+ * Resolve a storage path to an absolute file path inside the base directory
+ *
+ * @param {string} basePath - Absolute storage directory
+ * @param {string} filePath - Relative storage path (e.g. "org-id/students/file.pdf")
+ * @returns {string} Absolute file path
+ * @throws {Error} When the path escapes the base directory
+ */
+export function resolveLocalPath(basePath, filePath) {
+  const root = path.resolve(basePath);
+  const relativePath = String(filePath || '').replace(/^[/\\]+/, '');
+  const resolved = path.resolve(root, relativePath);
+
+  if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Path escapes local storage directory: ${filePath}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Create local filesystem storage driver
+ *
+ * @param {Object} config - Local storage configuration
+ * @param {string} config.basePath - Absolute directory files are stored under
+ * @param {string} config.signingSecret - Secret used to sign download tokens
+ * @param {string} config.publicUrl - Optional origin for download links (default: relative URL)
+ * @returns {Object} Storage driver with upload and delete methods
+ */
+export function createLocalDriver(config) {
+  const { basePath, signingSecret, publicUrl } = config;
+
+  if (!basePath || !path.isAbsolute(basePath)) {
+    throw new Error('Local driver requires an absolute basePath');
+  }
+
+  if (!signingSecret) {
+    throw new Error('Local driver requires a signing secret (LOCAL_STORAGE_SIGNING_SECRET)');
+  }
+
+  const root = path.resolve(basePath);
+
+  return {
+    /**
+     * Write file to the local storage directory
+     *
+     * @param {string} filePath - Path within the storage directory
+     * @param {Buffer} buffer - File data
+     * @param {string} contentType - MIME type (unused; the filesystem keeps no metadata)
+     * @returns {Promise<Object>} Upload result with url
+     */
+    async upload(filePath, buffer) {
+      const target = resolveLocalPath(root, filePath);
+      await mkdir(path.dirname(target), { recursive: true });
+      await writeFile(target, buffer);
+
+      return { url: `file://${target}` };
+    },
+
+    /**
+     * Delete file from the local storage directory
+     *
+     * @param {string} filePath - Path within the storage directory
+     * @returns {Promise<void>}
+     */
+    async delete(filePath) {
+      try {
+        await unlink(resolveLocalPath(root, filePath));
+      } catch (error) {
+        if (error?.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+
+    /**
+     * Get signed download URL served by /api/storage-local-download
+     *
+     * @param {string} filePath - Path within the storage directory
+     * @param {number} expiresIn - URL expiration time in seconds (default: 3600 = 1 hour)
+     * @param {string} filename - Optional filename for Content-Disposition header
+     * @param {string} dispositionType - 'attachment' (download) or 'inline' (preview) (default: 'attachment')
+     * @returns {Promise<string>} Signed download URL
+     */
+    async getDownloadUrl(filePath, expiresIn = 3600, filename = null, dispositionType = 'attachment') {
+      // Validate eagerly so a bad path fails here instead of at download time
+      resolveLocalPath(root, filePath);
+
+      // Use RFC 5987 encoding for non-ASCII filenames (Hebrew, etc.), matching the S3 adapter
+      let disposition = dispositionType === 'inline' ? 'inline' : 'attachment';
+      if (filename) {
+        const asciiFallback = 'document';
+        const encodedFilename = encodeURIComponent(filename);
+        disposition = `${disposition}; filename="${asciiFallback}"; filename*=UTF-8''${encodedFilename}`;
+      }
+
+      const token = createLocalDownloadToken({
+        basePath: root,
+        path: filePath,
+        expiresAt: Date.now() + expiresIn * 1000,
+        disposition,
+      }, signingSecret);
+
+      const origin = publicUrl ? publicUrl.replace(/\/$/, '') : '';
+      return `${origin}${LOCAL_DOWNLOAD_ROUTE}?token=${encodeURIComponent(token)}`;
+    },
+
+    /**
+     * Get a readable stream for a file without buffering it in memory
+     *
+     * @param {string} filePath - Path within the storage directory
+     * @returns {Promise<NodeJS.ReadableStream>} File data stream
+     */
+    async getFileStream(filePath) {
+      const target = resolveLocalPath(root, filePath);
+      // stat first so a missing file rejects here rather than as a stream error
+      await stat(target);
+      return createReadStream(target);
+    },
+
+    /**
+     * Get file data as Buffer
+     *
+     * @param {string} filePath - Path within the storage directory
+     * @returns {Promise<Buffer>} File data
+     */
+    async getFile(filePath) {
+      return readFile(resolveLocalPath(root, filePath));
+    },
+
+    /**
+     * Delete all files with a given prefix (for bulk cleanup)
+     *
+     * Prefixes are matched like object-store keys, so "org-1/" removes the
+     * directory while "org-1/report" also matches "org-1/report-2024.pdf".
+     *
+     * @param {string} prefix - Path prefix to delete (e.g., "managed/org-id/")
+     * @returns {Promise<number>} Number of files deleted
+     */
+    async deletePrefix(prefix) {
+      const normalizedPrefix = String(prefix || '').replace(/^[/\\]+/, '');
+      // Walk from the parent of the last segment so a fully matched directory is removed too
+      const trimmedPrefix = normalizedPrefix.replace(/\/+$/, '');
+      const slashIndex = trimmedPrefix.lastIndexOf('/');
+      const directoryPart = slashIndex === -1 ? '' : trimmedPrefix.slice(0, slashIndex);
+      const startDirectory = resolveLocalPath(root, directoryPart);
+
+      let deletedCount = 0;
+
+      const walk = async (directory) => {
+        let entries;
+        try {
+          entries = await readdir(directory, { withFileTypes: true });
+        } catch (error) {
+          if (error?.code === 'ENOENT') {
+            return;
+          }
+          throw error;
+        }
+
+        for (const entry of entries) {
+          const absolute = path.join(directory, entry.name);
+          const key = path.relative(root, absolute).split(path.sep).join('/');
+
+          if (entry.isDirectory()) {
+            // Only descend into directories that can contain matching keys
+            if (`${key}/`.startsWith(normalizedPrefix) || normalizedPrefix.startsWith(`${key}/`)) {
+              await walk(absolute);
+              if (`${key}/`.startsWith(normalizedPrefix)) {
+                await rm(absolute, { recursive: true, force: true });
+              }
+            }
+          } else if (key.startsWith(normalizedPrefix)) {
+            await unlink(absolute);
+            deletedCount += 1;
+          }
+        }
+      };
+
+      await walk(startDirectory);
+
+      return deletedCount;
+    },
+
+    /**
+     * Get driver type
+     */
+    getType() {
+      return 'local';
+    },
+  };
+}
@@ -11,6 +11,14 @@ import {
   resolveTenantClient,
 } from '../_shared/org-bff.js'
 import { ensureInstructorColors, resolveInstructorColor } from '../_shared/instructor-colors.js'
+import {
+  buildInstructorStudentFilter,
+  listScheduledOccurrences,
+} from '../_shared/student-schedule.js'
+import { describeOccurrenceException, resolveDayOccurrences } from '../_shared/session-exceptions.js'
+import { loadSessionExceptionsInRange } from '../_shared/session-exceptions-loader.js'
+import { loadClosureSettings, resolveClosure } from '../_shared/org-closures.js'
+import { SESSION_RECORD_GROUP_SELECT, describeRecordGroup, indexRecordGroups } from '../_shared/session-groups.js'
 
 const DAY_LABELS = Object.freeze([
   'Sunday',
@@ -68,27 +76,6 @@ function parseDateParam(value) {
   }
 }
 
-function parseTimeToMinutes(value) {
-  if (!value) {
-    return null
-  }
-  const raw = String(value).trim()
-  if (!raw) {
-    return null
-  }
-  const match = raw.match(/^(\d{2}):(\d{2})(?::(\d{2}))?/)
-  if (!match) {
-    return null
-  }
-  const hours = Number.parseInt(match[1], 10)
-  const minutes = Number.parseInt(match[2], 10)
-  const seconds = match[3] ? Number.parseInt(match[3], 10) : 0
-  if (Number.isNaN(hours) || Number.isNaN(minutes) || Number.isNaN(seconds)) {
-    return null
-  }
-  return hours * 60 + minutes + Math.floor(seconds / 60)
-}
-
 function minutesToTimeString(totalMinutes) {
   const minutes = Math.max(0, Number(totalMinutes) || 0)
   const hoursPart = Math.floor(minutes / 60)
@@ -212,11 +199,13 @@ export default async function (context, req) {
 
   let studentQuery = tenantClient
     .from('Students')
-    .select('id, name, assigned_instructor_id, default_day_of_week, default_session_time, is_active')
+    .select('id, name, assigned_instructor_id, default_day_of_week, default_session_time, default_service, schedule_slots, is_active')
     .eq('is_active', true)
 
-  if (!isAdminRole(role)) {
-    studentQuery = studentQuery.eq('assigned_instructor_id', userId)
+  // Members only see their own slots; a student may also have slots with other instructors
+  const instructorIdFilter = isAdminRole(role) ? null : normalizeString(userId)
+  if (instructorIdFilter) {
+    studentQuery = studentQuery.or(buildInstructorStudentFilter(instructorIdFilter))
   }
 
   const { data: studentRows, error: studentError } = await studentQuery
@@ -226,26 +215,40 @@ export default async function (context, req) {
     return respond(context, 500, { message: 'failed_to_load_students' })
   }
 
-  const students = Array.isArray(studentRows) ? studentRows : []
-  const relevantStudents = students.filter(student => {
-    const studentDay = Number.parseInt(student?.default_day_of_week, 10)
-    const timeMinutes = parseTimeToMinutes(student?.default_session_time)
-    return studentDay === dayOfWeek && timeMinutes !== null
+  // No sessions are expected on closure days (org closures and, when enabled, Jewish holidays)
+  const closureSettings = await loadClosureSettings(context, tenantClient, 'daily-compliance')
+  const closure = resolveClosure(isoDate, closureSettings)
+
+  const students = closure ? [] : Array.isArray(studentRows) ? studentRows : []
+  const occurrences = listScheduledOccurrences(students, isoDate, dayOfWeek, { instructorId: instructorIdFilter })
+
+  // Exceptions for students outside the loaded list are ignored when occurrences are resolved
+  const { data: exceptions } = await loadSessionExceptionsInRange(context, tenantClient, {
+    from: isoDate,
+    to: isoDate,
+    source: 'daily-compliance',
   })
 
   const studentIdSet = new Set()
-  for (const student of relevantStudents) {
-    const id = normalizeString(student?.id)
+  for (const occurrence of occurrences) {
+    const id = normalizeString(occurrence.student?.id)
     if (id) {
       studentIdSet.add(id)
     }
   }
+  for (const exception of exceptions) {
+    const id = normalizeString(exception?.student_id)
+    if (id && exception.makeup_date === isoDate) {
+      studentIdSet.add(id)
+    }
+  }
 
-  const recordsByStudent = new Map()
+  const recordsByKey = new Map()
+  let recordGroups = new Map()
   if (studentIdSet.size > 0) {
     let recordsQuery = tenantClient
       .from('SessionRecords')
-      .select('id, student_id, date')
+      .select(SESSION_RECORD_GROUP_SELECT)
       .eq('deleted', false)
       .eq('date', isoDate)
 
@@ -257,11 +260,16 @@ export default async function (context, req) {
       return respond(context, 500, { message: 'failed_to_load_sessions' })
     }
 
+    recordGroups = indexRecordGroups(recordRows)
     if (Array.isArray(recordRows)) {
       for (const record of recordRows) {
         const id = normalizeString(record?.student_id)
-        if (id && !recordsByStudent.has(id)) {
-          recordsByStudent.set(id, record?.id || true)
+        if (id) {
+          const key = `${id}|${isoDate}`
+          if (!recordsByKey.has(key)) {
+            recordsByKey.set(key, [])
+          }
+          recordsByKey.get(key).push(record?.id || true)
         }
       }
     }
@@ -270,22 +278,23 @@ export default async function (context, req) {
   const sessions = []
   const usedInstructorIds = new Set()
   const slots = new Map()
+  const entries = resolveDayOccurrences(students, isoDate, dayOfWeek, {
+    instructorId: instructorIdFilter,
+    exceptions,
+    recordIdsByKey: recordsByKey,
+  })
 
-  for (const student of relevantStudents) {
+  for (const { occurrence, exception, recordId } of entries) {
+    const { student, slot: scheduleSlot, timeMinutes } = occurrence
     const studentId = normalizeString(student?.id)
     if (!studentId) {
       continue
     }
-    const timeMinutes = parseTimeToMinutes(student?.default_session_time)
-    if (timeMinutes === null) {
-      continue
-    }
 
-    const hasRecord = recordsByStudent.has(studentId)
-    const status = determineStatus(hasRecord, isoDate, todayIso)
+    const hasRecord = Boolean(recordId)
+    const status = exception ? exception.status : determineStatus(hasRecord, isoDate, todayIso)
 
-    const instructorId = normalizeString(student?.assigned_instructor_id)
-    const instructor = instructorId ? instructorMap.get(instructorId) : null
+    const instructor = occurrence.instructorId ? instructorMap.get(occurrence.instructorId) : null
     if (instructor) {
       usedInstructorIds.add(instructor.id)
     }
@@ -294,8 +303,12 @@ export default async function (context, req) {
     const instructorName = instructor?.name || 'לא משויך'
 
     const session = {
+      id: `${studentId}|${scheduleSlot.id}`,
       studentId,
       studentName: student?.name || '',
+      slotId: scheduleSlot.id,
+      service: occurrence.service,
+      durationMinutes: occurrence.durationMinutes,
       instructorId: instructor?.id || null,
       instructorName,
       instructorColor: color,
@@ -304,7 +317,9 @@ export default async function (context, req) {
       timeMinutes,
       status,
       hasRecord,
-      recordId: hasRecord ? recordsByStudent.get(studentId) || null : null,
+      recordId: hasRecord && recordId !== true ? recordId : null,
+      ...describeOccurrenceException(exception, occurrence.makeupFor),
+      ...describeRecordGroup(recordGroups.get(recordId), studentId),
     }
 
     sessions.push(session)
@@ -355,6 +370,7 @@ export default async function (context, req) {
   const documentedSessions = sessions.filter(session => session.hasRecord).length
   const missingSessions = sessions.filter(session => session.status === 'missing').length
   const upcomingSessions = sessions.filter(session => session.status === 'upcoming').length
+  const excusedSessions = sessions.filter(session => session.exception).length
 
   const timeSlots = Array.from(slots.entries())
     .sort((a, b) => a[0] - b[0])
@@ -368,12 +384,14 @@ export default async function (context, req) {
     date: isoDate,
     dayOfWeek,
     dayLabel,
+    closure,
     today: todayIso,
     summary: {
       totalSessions,
       documentedSessions,
       missingSessions,
       upcomingSessions,
+      excusedSessions,
     },
     sessions,
     timeSlots,
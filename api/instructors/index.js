@@ -265,12 +265,18 @@ export default async function (context, req) {
     }
 
     const metadataPatch = updates.__metadata_custom_preanswers;
-    if (metadataPatch) {
-      delete updates.__metadata_custom_preanswers;
+    const employmentScope = updates.__metadata_employment_scope;
+    delete updates.__metadata_custom_preanswers;
+    delete updates.__metadata_employment_scope;
+    if (metadataPatch || employmentScope) {
       const existingMeta = existingInstructor.metadata && typeof existingInstructor.metadata === 'object'
         ? existingInstructor.metadata
         : {};
-      const nextMeta = { ...existingMeta, custom_preanswers: metadataPatch };
+      const nextMeta = {
+        ...existingMeta,
+        ...(metadataPatch ? { custom_preanswers: metadataPatch } : {}),
+        ...(employmentScope ? { employment_scope: employmentScope } : {}),
+      };
       updates.metadata = nextMeta;
     }
 
@@ -274,6 +274,8 @@ export default async function handler(context, req) {
   const incomingPayload = {
     ...responses,
     intake_html_source: htmlContent,
+    // Receipt time for the reports' intake funnel; hidden from the intake views
+    intake_date: new Date().toISOString(),
   };
 
   if (!existingStudent) {
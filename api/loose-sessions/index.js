@@ -12,6 +12,7 @@ import {
 } from '../_shared/org-bff.js';
 import { isUUID, parseJsonBodyWithLimit } from '../_shared/validation.js';
 import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import { respondIfPayrollLocked } from '../_shared/payroll.js';
 
 const MAX_BODY_BYTES = 64 * 1024; // observe-only
 
@@ -206,6 +207,15 @@ export default async function (context, req) {
     return respond(context, 400, { message: 'session_deleted' });
   }
 
+  // Loose reports count toward the instructor's payroll hours, so every action here
+  // (reject, assign, create and assign) stays closed in an approved month
+  const lockedResponse = await respondIfPayrollLocked(context, tenantClient, [
+    { instructorId: sessionRow.instructor_id, date: sessionRow.date },
+  ]);
+  if (lockedResponse) {
+    return lockedResponse;
+  }
+
   // For assignment: preserve all metadata including unassigned_details for tracking
   // For rejection: start fresh from the original metadata
 
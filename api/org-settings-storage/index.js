@@ -112,6 +112,7 @@ export default async function (context, req) {
           endpoint: profileToReturn.byos.endpoint,
           bucket: profileToReturn.byos.bucket,
           region: profileToReturn.byos.region,
+          base_path: profileToReturn.byos.base_path,
           validated_at: profileToReturn.byos.validated_at,
           // Credentials intentionally omitted for non-admin users
         };
@@ -161,7 +162,7 @@ export default async function (context, req) {
     }
 
     // Validate the normalized profile
-    const validation = validateStorageProfile(normalizedProfile);
+    const validation = validateStorageProfile(normalizedProfile, { localStorageRoot: env.LOCAL_STORAGE_ROOT });
     if (!validation.valid) {
       context.log?.warn?.('org-settings/storage validation failed', {
         orgId,
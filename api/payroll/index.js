@@ -0,0 +1,386 @@
+/* eslint-env node */
+import Papa from 'papaparse';
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  normalizeString,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+  resolveTenantClient,
+} from '../_shared/org-bff.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import { loadAllRows } from '../_shared/reports.js';
+import {
+  EMPLOYMENT_SCOPE_POLICY_KEY,
+  HOURLY_SCOPE,
+  PAYROLL_SETTINGS_KEY,
+  PAYROLL_STATUS,
+  buildApprovalSnapshot,
+  buildPayrollCsvRows,
+  buildPayrollDetailRows,
+  buildPayrollSummary,
+  buildPayrollWorkbookSheets,
+  monthBounds,
+  normalizeEmploymentScopePolicy,
+  normalizePayrollSettings,
+  parsePayrollAction,
+  parsePayrollQuery,
+  readEmploymentScope,
+} from '../_shared/payroll.js';
+import { buildXlsxBuffer } from '../_shared/xlsx.js';
+
+const INSTRUCTOR_SELECT = 'id, name, email, is_active, metadata';
+const PAYROLL_SESSION_SELECT = 'id, date, student_id, instructor_id, service_context, metadata';
+const APPROVAL_SELECT = 'instructor_id, month, status, summary, approved_by, approved_by_email, approved_at, reopened_at, reopen_reason';
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+async function loadPayrollSettings(context, tenantClient) {
+  const { data, error } = await tenantClient
+    .from('Settings')
+    .select('key, settings_value')
+    .in('key', [EMPLOYMENT_SCOPE_POLICY_KEY, PAYROLL_SETTINGS_KEY]);
+
+  if (error) {
+    context.log?.error?.('payroll failed to load settings', { message: error.message });
+    return { error: { status: 500, message: 'failed_to_load_settings' } };
+  }
+
+  const values = new Map((data || []).map((row) => [row.key, row.settings_value]));
+  const policy = normalizeEmploymentScopePolicy(values.get(EMPLOYMENT_SCOPE_POLICY_KEY));
+  return {
+    hourlyEnabled: policy.enabled_types.includes(HOURLY_SCOPE),
+    settings: normalizePayrollSettings(values.get(PAYROLL_SETTINGS_KEY)),
+  };
+}
+
+// Instructors on the report: hourly-scope ones, plus anyone whose month was already approved
+// (so a later scope change does not hide an approved payroll).
+async function loadPayrollMonth(context, tenantClient, { month, from, to, instructorIds = null }) {
+  const [instructorsResult, approvalsResult] = await Promise.all([
+    tenantClient.from('Instructors').select(INSTRUCTOR_SELECT),
+    tenantClient.from('PayrollApprovals').select(APPROVAL_SELECT).eq('month', month),
+  ]);
+
+  if (instructorsResult.error) {
+    context.log?.error?.('payroll failed to load instructors', { message: instructorsResult.error.message });
+    return { error: { status: 500, message: 'failed_to_load_instructors' } };
+  }
+  if (approvalsResult.error) {
+    context.log?.error?.('payroll failed to load approvals', { message: approvalsResult.error.message, month });
+    return { error: { status: 500, message: 'failed_to_load_approvals' } };
+  }
+
+  const approvals = Array.isArray(approvalsResult.data) ? approvalsResult.data : [];
+  const approvedIds = new Set(approvals.map((approval) => normalizeString(approval.instructor_id)));
+  const allInstructors = Array.isArray(instructorsResult.data) ? instructorsResult.data : [];
+  const instructors = allInstructors.filter((instructor) => {
+    const id = normalizeString(instructor.id);
+    if (instructorIds && !instructorIds.includes(id)) {
+      return false;
+    }
+    return readEmploymentScope(instructor) === HOURLY_SCOPE || approvedIds.has(id);
+  });
+
+  if (!instructors.length) {
+    return { instructors, allInstructors, approvals, records: [], truncated: false };
+  }
+
+  const recordsResult = await loadAllRows(() => tenantClient
+    .from('SessionRecords')
+    .select(PAYROLL_SESSION_SELECT)
+    .eq('deleted', false)
+    .gte('date', from)
+    .lte('date', to)
+    .in('instructor_id', instructors.map((instructor) => instructor.id))
+    .order('id'));
+
+  if (recordsResult.error) {
+    context.log?.error?.('payroll failed to load session records', { message: recordsResult.error.message, month });
+    return { error: { status: 500, message: 'failed_to_load_sessions' } };
+  }
+
+  return {
+    instructors,
+    allInstructors,
+    approvals,
+    records: recordsResult.data,
+    truncated: recordsResult.truncated,
+  };
+}
+
+async function loadStudentNames(context, tenantClient) {
+  const result = await loadAllRows(() => tenantClient.from('Students').select('id, name').order('id'));
+  if (result.error) {
+    context.log?.warn?.('payroll failed to load student names', { message: result.error.message });
+    return new Map();
+  }
+  return new Map(result.data.map((student) => [normalizeString(student.id), student.name || '']));
+}
+
+function respondFile(context, { body, contentType, filename }) {
+  const response = {
+    status: 200,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    },
+    body,
+    isRaw: true,
+  };
+  context.res = response;
+  return response;
+}
+
+async function handleReport(context, req, { tenantClient }) {
+  const parsed = parsePayrollQuery(req?.query ?? {}, new Date());
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+  const filters = parsed.value;
+
+  const loadedSettings = await loadPayrollSettings(context, tenantClient);
+  if (loadedSettings.error) {
+    return respond(context, loadedSettings.error.status, { message: loadedSettings.error.message });
+  }
+  const { hourlyEnabled, settings } = loadedSettings;
+
+  const loaded = hourlyEnabled
+    ? await loadPayrollMonth(context, tenantClient, {
+      ...filters,
+      instructorIds: filters.instructorId ? [filters.instructorId] : null,
+    })
+    : { instructors: [], allInstructors: [], approvals: [], records: [], truncated: false };
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const summary = buildPayrollSummary(loaded.records, { ...loaded, settings });
+
+  if (filters.format === 'csv') {
+    const csvContent = Papa.unparse(buildPayrollCsvRows(filters.month, summary), {
+      header: true,
+      newline: '\r\n',
+      quotes: true,
+    });
+    // UTF-8 BOM so Excel reads the Hebrew headers correctly
+    return respondFile(context, {
+      body: Buffer.from(`\uFEFF${csvContent}`, 'utf8'),
+      contentType: 'text/csv; charset=utf-8',
+      filename: `payroll-${filters.month}.csv`,
+    });
+  }
+
+  if (filters.format === 'xlsx') {
+    const instructorNames = new Map(
+      loaded.allInstructors.map((instructor) => [normalizeString(instructor.id), instructor.name || instructor.email || '']),
+    );
+    const detailRows = buildPayrollDetailRows(loaded.records, {
+      instructorNames,
+      studentNames: await loadStudentNames(context, tenantClient),
+      settings,
+    });
+    return respondFile(context, {
+      body: await buildXlsxBuffer(buildPayrollWorkbookSheets(filters.month, summary, detailRows)),
+      contentType: XLSX_CONTENT_TYPE,
+      filename: `payroll-${filters.month}.xlsx`,
+    });
+  }
+
+  return respond(context, 200, {
+    month: filters.month,
+    from: filters.from,
+    to: filters.to,
+    hourly_enabled: hourlyEnabled,
+    settings,
+    truncated: Boolean(loaded.truncated),
+    data: summary,
+  }, { 'Cache-Control': 'no-store' });
+}
+
+async function handleAction(context, { supabase, tenantClient, orgId, userId, userEmail, role, body }) {
+  const parsed = parsePayrollAction(body, new Date());
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+  const { action, month, instructorIds, reason } = parsed.value;
+  const now = new Date().toISOString();
+
+  let affected;
+  let totals = null;
+  if (action === 'approve') {
+    const loadedSettings = await loadPayrollSettings(context, tenantClient);
+    if (loadedSettings.error) {
+      return respond(context, loadedSettings.error.status, { message: loadedSettings.error.message });
+    }
+    if (!loadedSettings.hourlyEnabled) {
+      return respond(context, 409, { message: 'hourly_scope_disabled' });
+    }
+
+    const loaded = await loadPayrollMonth(context, tenantClient, { month, ...monthBounds(month), instructorIds });
+    if (loaded.error) {
+      return respond(context, loaded.error.status, { message: loaded.error.message });
+    }
+    if (loaded.truncated) {
+      return respond(context, 413, { message: 'too_many_sessions' });
+    }
+    if (loaded.instructors.length !== instructorIds.length) {
+      return respond(context, 400, { message: 'instructor_not_hourly' });
+    }
+
+    const alreadyApproved = new Set(loaded.approvals
+      .filter((approval) => approval.status === PAYROLL_STATUS.APPROVED)
+      .map((approval) => normalizeString(approval.instructor_id)));
+    const rows = loaded.instructors
+      .filter((instructor) => !alreadyApproved.has(normalizeString(instructor.id)))
+      .map((instructor) => ({
+        instructor_id: instructor.id,
+        month,
+        status: PAYROLL_STATUS.APPROVED,
+        summary: buildApprovalSnapshot(
+          loaded.records.filter((record) => normalizeString(record.instructor_id) === normalizeString(instructor.id)),
+          loadedSettings.settings,
+        ),
+        approved_by: userId,
+        approved_by_email: normalizeString(userEmail) || null,
+        approved_at: now,
+        updated_at: now,
+      }));
+
+    if (!rows.length) {
+      return respond(context, 409, { message: 'already_approved' });
+    }
+
+    const { error } = await tenantClient
+      .from('PayrollApprovals')
+      .upsert(rows, { onConflict: 'instructor_id,month' });
+    if (error) {
+      context.log?.error?.('payroll failed to save approvals', { message: error.message, month });
+      return respond(context, 500, { message: 'failed_to_approve_payroll' });
+    }
+
+    affected = rows.map((row) => row.instructor_id);
+    totals = Object.fromEntries(rows.map((row) => [row.instructor_id, { sessions: row.summary.sessions, hours: row.summary.hours }]));
+  } else {
+    const { data, error } = await tenantClient
+      .from('PayrollApprovals')
+      .update({
+        status: PAYROLL_STATUS.REOPENED,
+        reopened_by: userId,
+        reopened_at: now,
+        reopen_reason: reason,
+        updated_at: now,
+      })
+      .eq('month', month)
+      .eq('status', PAYROLL_STATUS.APPROVED)
+      .in('instructor_id', instructorIds)
+      .select('instructor_id');
+    if (error) {
+      context.log?.error?.('payroll failed to reopen approvals', { message: error.message, month });
+      return respond(context, 500, { message: 'failed_to_reopen_payroll' });
+    }
+
+    affected = (data || []).map((row) => row.instructor_id);
+    if (!affected.length) {
+      return respond(context, 409, { message: 'not_approved' });
+    }
+  }
+
+  try {
+    await logAuditEvent(supabase, {
+      orgId,
+      userId,
+      userEmail: normalizeString(userEmail),
+      userRole: role,
+      actionType: action === 'approve' ? AUDIT_ACTIONS.PAYROLL_APPROVED : AUDIT_ACTIONS.PAYROLL_REOPENED,
+      actionCategory: AUDIT_CATEGORIES.PAYROLL,
+      resourceType: 'payroll_month',
+      resourceId: month,
+      details: {
+        month,
+        instructor_ids: affected,
+        ...(totals ? { totals } : {}),
+        ...(reason ? { reason } : {}),
+      },
+    });
+  } catch (auditError) {
+    context.log?.error?.('payroll failed to log audit event', { message: auditError?.message });
+  }
+
+  return respond(context, 200, { month, action, instructor_ids: affected });
+}
+
+export default async function (context, req) {
+  const method = String(req.method || 'GET').toUpperCase();
+  if (method !== 'GET' && method !== 'POST') {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'GET, POST' });
+  }
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('payroll missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('payroll failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = normalizeString(authResult.data.user.id);
+  const userEmail = authResult.data.user.email;
+  const body = method === 'GET' ? {} : parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('payroll failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  // Hours and payroll are an admin-only view of every hourly instructor
+  if (!role || !isAdminRole(role)) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+  if (tenantError) {
+    return respond(context, tenantError.status, tenantError.body);
+  }
+
+  const requestContext = { supabase, tenantClient, orgId, userId, userEmail, role, body };
+
+  return method === 'GET'
+    ? handleReport(context, req, requestContext)
+    : handleAction(context, requestContext);
+}
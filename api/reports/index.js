@@ -0,0 +1,303 @@
+/* eslint-env node */
+import Papa from 'papaparse';
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  normalizeString,
+  readEnv,
+  respond,
+  resolveOrgId,
+  resolveTenantClient,
+} from '../_shared/org-bff.js';
+import { buildInstructorStudentFilter, resolveStudentScheduleSlots } from '../_shared/student-schedule.js';
+import { loadSessionExceptionsInRange } from '../_shared/session-exceptions-loader.js';
+import { loadClosureSettings } from '../_shared/org-closures.js';
+import {
+  ADMIN_ONLY_REPORTS,
+  aggregateDocumentation,
+  aggregateIntakeFunnel,
+  aggregateSessions,
+  buildReportCsvRows,
+  loadAllRows,
+  parseReportQuery,
+  summarizeStudents,
+} from '../_shared/reports.js';
+
+const SCHEDULE_STUDENT_SELECT = 'id, name, assigned_instructor_id, default_day_of_week, default_session_time, default_service, schedule_slots, is_active';
+const INTAKE_STUDENT_SELECT = 'id, needs_intake_approval, intake_date:intake_responses->current->>intake_date, last_approval:metadata->last_approval, intake_dismissal:metadata->intake_dismissal';
+
+function failure(message) {
+  return { error: { status: 500, message } };
+}
+
+function buildStudentQuery(tenantClient, columns, instructorId) {
+  let query = tenantClient.from('Students').select(columns);
+  if (instructorId) {
+    query = query.or(buildInstructorStudentFilter(instructorId));
+  }
+  return query;
+}
+
+async function buildSessionsReport(context, tenantClient, filters, instructorNames) {
+  const result = await loadAllRows(() => {
+    let query = tenantClient
+      .from('SessionRecords')
+      .select('id, date, instructor_id, service_context')
+      .eq('deleted', false)
+      .gte('date', filters.from)
+      .lte('date', filters.to);
+    if (filters.instructorId) {
+      query = query.eq('instructor_id', filters.instructorId);
+    }
+    return query.order('id');
+  });
+  if (result.error) {
+    context.log?.error?.('reports failed to load session records', { message: result.error.message });
+    return failure('failed_to_load_sessions');
+  }
+  return {
+    data: aggregateSessions(result.data, { ...filters, instructorNames }),
+    truncated: result.truncated,
+  };
+}
+
+async function buildDocumentationReport(context, tenantClient, filters, today) {
+  const studentsResult = await loadAllRows(() => buildStudentQuery(tenantClient, SCHEDULE_STUDENT_SELECT, filters.instructorId)
+    .eq('is_active', true)
+    .order('id'));
+  if (studentsResult.error) {
+    context.log?.error?.('reports failed to load students', { message: studentsResult.error.message });
+    return failure('failed_to_load_students');
+  }
+  const students = studentsResult.data.filter((student) => resolveStudentScheduleSlots(student).length > 0);
+  const studentIds = students.map((student) => normalizeString(student.id)).filter(Boolean);
+  if (!studentIds.length) {
+    return {
+      data: aggregateDocumentation([], [], { ...filters, today }),
+      truncated: studentsResult.truncated,
+    };
+  }
+
+  const recordsResult = await loadAllRows(() => {
+    let query = tenantClient
+      .from('SessionRecords')
+      .select('id, student_id, date')
+      .eq('deleted', false)
+      .not('student_id', 'is', null)
+      .gte('date', filters.from)
+      .lte('date', filters.to);
+    // Without an instructor every record in the range may match, so skip the (long) id list
+    if (filters.instructorId) {
+      query = query.in('student_id', studentIds);
+    }
+    return query.order('id');
+  });
+  if (recordsResult.error) {
+    context.log?.error?.('reports failed to load session records', { message: recordsResult.error.message });
+    return failure('failed_to_load_sessions');
+  }
+
+  const exceptionsResult = await loadSessionExceptionsInRange(context, tenantClient, {
+    from: filters.from,
+    to: filters.to,
+    studentIds,
+    source: 'reports',
+  });
+
+  const closureSettings = await loadClosureSettings(context, tenantClient, 'reports');
+
+  return {
+    data: aggregateDocumentation(students, recordsResult.data, {
+      ...filters,
+      today,
+      exceptions: exceptionsResult.data,
+      closureSettings,
+    }),
+    truncated: studentsResult.truncated || recordsResult.truncated || exceptionsResult.truncated,
+  };
+}
+
+async function buildStudentsReport(context, tenantClient, filters, instructorNames) {
+  const studentsResult = await loadAllRows(() => buildStudentQuery(
+    tenantClient,
+    'id, is_active, assigned_instructor_id, schedule_slots',
+    filters.instructorId,
+  ).order('id'));
+  if (studentsResult.error) {
+    context.log?.error?.('reports failed to load students', { message: studentsResult.error.message });
+    return failure('failed_to_load_students');
+  }
+
+  const recordsResult = await loadAllRows(() => tenantClient
+    .from('SessionRecords')
+    .select('id, student_id')
+    .eq('deleted', false)
+    .not('student_id', 'is', null)
+    .gte('date', filters.from)
+    .lte('date', filters.to)
+    .order('id'));
+  if (recordsResult.error) {
+    context.log?.error?.('reports failed to load session records', { message: recordsResult.error.message });
+    return failure('failed_to_load_sessions');
+  }
+
+  const studentIdsWithSessions = new Set(recordsResult.data.map((record) => normalizeString(record.student_id)));
+  return {
+    data: summarizeStudents(studentsResult.data, studentIdsWithSessions, { instructorNames }),
+    truncated: studentsResult.truncated || recordsResult.truncated,
+  };
+}
+
+async function buildIntakeReport(context, tenantClient, filters) {
+  const result = await loadAllRows(() => buildStudentQuery(tenantClient, INTAKE_STUDENT_SELECT, filters.instructorId)
+    .not('intake_responses', 'is', null)
+    .order('id'));
+  if (result.error) {
+    context.log?.error?.('reports failed to load intake students', { message: result.error.message });
+    return failure('failed_to_load_students');
+  }
+  return {
+    data: aggregateIntakeFunnel(result.data, filters),
+    truncated: result.truncated,
+  };
+}
+
+export default async function (context, req) {
+  const method = String(req?.method || 'GET').toUpperCase();
+  if (method !== 'GET') {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'GET' });
+  }
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('reports missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('reports failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = authResult.data.user.id;
+  const query = req?.query ?? {};
+  const orgId = resolveOrgId({ query }, {});
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('reports failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  if (!role) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const today = new Date();
+  const parsed = parseReportQuery(context?.bindingData?.report || query.report, query, today);
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+
+  const isAdmin = isAdminRole(role);
+  if (!isAdmin && ADMIN_ONLY_REPORTS.includes(parsed.value.report)) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  // Non-admins only see their own sessions and students, whatever instructor they ask for.
+  const filters = { ...parsed.value, instructorId: isAdmin ? parsed.value.instructorId : normalizeString(userId) };
+
+  const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+  if (tenantError) {
+    return respond(context, tenantError.status, tenantError.body);
+  }
+
+  const { data: instructorRows, error: instructorError } = await tenantClient
+    .from('Instructors')
+    .select('id, name');
+  if (instructorError) {
+    context.log?.error?.('reports failed to load instructors', { message: instructorError.message });
+    return respond(context, 500, { message: 'failed_to_load_instructors' });
+  }
+  const instructorNames = new Map(
+    (Array.isArray(instructorRows) ? instructorRows : []).map((instructor) => [instructor.id, instructor.name || '']),
+  );
+
+  let result;
+  switch (filters.report) {
+    case 'sessions':
+      result = await buildSessionsReport(context, tenantClient, filters, instructorNames);
+      break;
+    case 'documentation':
+      result = await buildDocumentationReport(context, tenantClient, filters, today.toISOString().slice(0, 10));
+      break;
+    case 'students':
+      result = await buildStudentsReport(context, tenantClient, filters, instructorNames);
+      break;
+    default:
+      result = await buildIntakeReport(context, tenantClient, filters);
+  }
+
+  if (result.error) {
+    return respond(context, result.error.status, { message: result.error.message });
+  }
+
+  if (filters.format === 'csv') {
+    const csvContent = Papa.unparse(buildReportCsvRows(filters.report, result.data), {
+      header: true,
+      newline: '\r\n',
+      quotes: true,
+    });
+    // UTF-8 BOM so Excel reads the Hebrew headers correctly
+    const buffer = Buffer.from(`\uFEFF${csvContent}`, 'utf8');
+
+    const response = {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="report-${filters.report}-${filters.from}-${filters.to}.csv"`,
+        'Cache-Control': 'no-store',
+      },
+      body: buffer,
+      isRaw: true,
+    };
+    context.res = response;
+    return response;
+  }
+
+  return respond(context, 200, {
+    report: filters.report,
+    from: filters.from,
+    to: filters.to,
+    instructor_id: filters.instructorId,
+    scope: isAdmin ? 'organization' : 'instructor',
+    truncated: Boolean(result.truncated),
+    data: result.data,
+  }, { 'Cache-Control': 'no-store' });
+}
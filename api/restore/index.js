@@ -12,8 +12,19 @@ import {
   resolveTenantClient,
 } from '../_shared/org-bff.js';
 import { parseJsonBodyWithLimit } from '../_shared/validation.js';
-import { decryptBackup, validateBackupManifest, restoreTenantData } from '../_shared/backup-utils.js';
+import {
+  RESTORE_SCOPES,
+  decryptBackup,
+  listBackupStudents,
+  parseRestoreScope,
+  previewTenantRestore,
+  resolveBackupManifestSecret,
+  restoreTenantData,
+  scopeManifest,
+  validateBackupManifest,
+} from '../_shared/backup-utils.js';
 import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import { createOrgStorageDriver } from '../_shared/org-storage.js';
 
 const MAX_BACKUP_SIZE = 100 * 1024 * 1024; // 100 MB
 
@@ -33,6 +44,11 @@ function checkRestorePermission(orgSettings) {
   return { allowed: true };
 }
 
+function hasBundledFiles(manifest) {
+  const entries = Array.isArray(manifest?.files?.entries) ? manifest.files.entries : [];
+  return entries.some((entry) => entry?.bundled === true);
+}
+
 async function appendRestoreHistory(supabase, orgId, entry) {
   const { data: current } = await supabase
     .from('org_settings')
@@ -116,7 +132,7 @@ export default async function restore(context, req) {
   context.log?.info?.('restore: fetching org settings (permissions)');
   const { data: orgSettings, error: settingsError } = await supabase
     .from('org_settings')
-    .select('permissions')
+    .select('permissions, storage_profile')
     .eq('org_id', orgId)
     .maybeSingle();
 
@@ -137,12 +153,25 @@ export default async function restore(context, req) {
   const encryptedFile = body?.file; // Base64 or Buffer
   const password = normalizeString(body?.password);
   const clearExisting = Boolean(body?.clear_existing);
+  const dryRun = body?.dry_run === true || body?.dry_run === 'true';
+  const listStudents = body?.list_students === true || body?.list_students === 'true';
 
   if (!encryptedFile || !password) {
     return respond(context, 400, { message: 'missing_file_or_password' });
   }
+
+  const scopeResult = parseRestoreScope(body?.scope);
+  if (scopeResult.error) {
+    return respond(context, 400, { message: scopeResult.error });
+  }
+  const { scope } = scopeResult;
+
+  // Clearing would wipe every other student's rows, which defeats a single-student restore
+  if (scope.type === RESTORE_SCOPES.STUDENT && clearExisting) {
+    return respond(context, 400, { message: 'clear_existing_not_supported_for_student' });
+  }
   const fileIsBase64 = typeof encryptedFile === 'string';
-  context.log?.info?.('restore: received payload', { clearExisting, fileEncoding: fileIsBase64 ? 'base64' : 'buffer' });
+  context.log?.info?.('restore: received payload', { clearExisting, dryRun, listStudents, scope: scope.type, fileEncoding: fileIsBase64 ? 'base64' : 'buffer' });
 
   // Convert base64 to Buffer if needed
   let encryptedBuffer;
@@ -194,10 +223,62 @@ export default async function restore(context, req) {
       context.log?.warn?.('restore: cross-org restore', { targetOrg: orgId, sourceOrg: manifest.org_id });
     }
 
+    // Student picker: list who is in the backup without restoring anything
+    if (listStudents) {
+      return respond(context, 200, {
+        message: 'backup_students',
+        source_org_id: manifest.org_id,
+        exported_at: manifest.exported_at || null,
+        students: listBackupStudents(manifest),
+      });
+    }
+
+    const scoped = scopeManifest(manifest, scope);
+    if (scoped.error) {
+      return respond(context, 404, { message: scoped.error });
+    }
+    const scopedManifest = scoped.manifest;
+
+    // Dry run: report what would change and stop before touching the tenant DB or storage
+    if (dryRun) {
+      const preview = await previewTenantRestore(tenantClient, scopedManifest, {
+        clearExisting,
+        targetOrgId: orgId,
+        signingSecret: resolveBackupManifestSecret(env),
+      });
+      context.log?.info?.('restore: preview completed', { orgId, totals: preview.totals, duration_ms: Date.now() - startedAt });
+
+      return respond(context, 200, {
+        message: 'restore_preview',
+        source_org_id: manifest.org_id,
+        exported_at: manifest.exported_at || null,
+        cross_org: manifest.org_id !== orgId,
+        preview,
+      });
+    }
+
+    // Bundled files are written back into the target org's storage
+    let storageDriver = null;
+    if (hasBundledFiles(scopedManifest)) {
+      try {
+        storageDriver = createOrgStorageDriver(orgSettings?.storage_profile, env);
+      } catch (driverError) {
+        context.log?.error?.('restore failed to initialize storage driver', { message: driverError?.message });
+      }
+      if (!storageDriver) {
+        context.log?.warn?.('restore: bundled files present but storage is not configured', { orgId });
+      }
+    }
+
     // Restore
     const tRestoreStart = Date.now();
-    context.log?.info?.('restore: restoring data', { orgId, clearExisting, records: manifest.metadata.total_records });
-    const result = await restoreTenantData(tenantClient, manifest, { clearExisting });
+    context.log?.info?.('restore: restoring data', { orgId, clearExisting, scope, records: manifest.metadata.total_records });
+    const result = await restoreTenantData(tenantClient, scopedManifest, {
+      clearExisting,
+      targetOrgId: orgId,
+      storageDriver,
+      signingSecret: resolveBackupManifestSecret(env),
+    });
     const tRestoreMs = Date.now() - tRestoreStart;
 
     // Record success
@@ -207,7 +288,11 @@ export default async function restore(context, req) {
       timestamp: new Date().toISOString(),
       initiated_by: userId,
       source_org_id: manifest.org_id,
+      scope,
       records_restored: result.restored,
+      files_uploaded: result.files.uploaded,
+      files_referenced: result.files.referenced,
+      files_skipped: result.files.skipped,
     });
 
     // Audit log: backup restored
@@ -223,7 +308,11 @@ export default async function restore(context, req) {
       details: {
         source_org_id: manifest.org_id,
         records_restored: result.restored,
+        scope,
         clear_existing: clearExisting,
+        files_uploaded: result.files.uploaded,
+        files_referenced: result.files.referenced,
+        files_skipped: result.files.skipped,
         errors_count: result.errors.length,
       },
     });
@@ -234,18 +323,22 @@ export default async function restore(context, req) {
     return respond(context, 200, {
       message: 'restore_completed',
       restored: result.restored,
+      files: result.files,
       errors: result.errors,
     });
   } catch (error) {
-    context.log?.error?.('restore: failed', { orgId, message: error?.message });
-
-    await appendRestoreHistory(supabase, orgId, {
-      type: 'restore',
-      status: 'failed',
-      timestamp: new Date().toISOString(),
-      initiated_by: userId,
-      error_message: error?.message || 'unknown_error',
-    });
+    context.log?.error?.('restore: failed', { orgId, dryRun, message: error?.message });
+
+    // A failed preview or student listing changed nothing, so it is not recorded as a restore attempt
+    if (!dryRun && !listStudents) {
+      await appendRestoreHistory(supabase, orgId, {
+        type: 'restore',
+        status: 'failed',
+        timestamp: new Date().toISOString(),
+        initiated_by: userId,
+        error_message: error?.message || 'unknown_error',
+      });
+    }
 
     const message = error.message === 'Unsupported state or unable to authenticate data'
       ? 'incorrect_password'
@@ -0,0 +1,245 @@
+/* eslint-env node */
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  normalizeString,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+  resolveTenantClient,
+} from '../_shared/org-bff.js';
+import { isUUID } from '../_shared/validation.js';
+import { isStudentTaughtBy } from '../_shared/student-schedule.js';
+import {
+  SESSION_DRAFT_SELECT,
+  computeDraftExpiry,
+  loadDraftRetentionDays,
+  parseSessionDraftPayload,
+} from '../_shared/session-drafts.js';
+
+function extractDraftId(context, req, body) {
+  const candidate =
+    normalizeString(context?.bindingData?.draftId) ||
+    normalizeString(body?.draft_id) ||
+    normalizeString(req?.query?.draft_id);
+
+  return isUUID(candidate) ? candidate : '';
+}
+
+async function attachStudentNames(context, tenantClient, drafts) {
+  const studentIds = Array.from(new Set(drafts.map((draft) => draft.student_id).filter(Boolean)));
+  if (!studentIds.length) {
+    return drafts.map((draft) => ({ ...draft, student_name: null }));
+  }
+
+  const { data, error } = await tenantClient
+    .from('Students')
+    .select('id, name')
+    .in('id', studentIds);
+
+  if (error) {
+    context.log?.warn?.('session-drafts failed to load student names', { message: error.message });
+  }
+
+  const names = new Map((Array.isArray(data) ? data : []).map((student) => [student.id, student.name]));
+  return drafts.map((draft) => ({ ...draft, student_name: names.get(draft.student_id) || null }));
+}
+
+async function handleList(context, req, { tenantClient, userId }) {
+  const studentId = normalizeString(req?.query?.student_id);
+  const date = normalizeString(req?.query?.date);
+  if (studentId && !isUUID(studentId)) {
+    return respond(context, 400, { message: 'invalid_student_id' });
+  }
+
+  const now = new Date().toISOString();
+
+  // Expired drafts are removed lazily whenever their owner lists drafts
+  const cleanup = await tenantClient
+    .from('SessionDrafts')
+    .delete()
+    .eq('user_id', userId)
+    .lte('expires_at', now);
+  if (cleanup.error) {
+    context.log?.warn?.('session-drafts failed to remove expired drafts', { message: cleanup.error.message });
+  }
+
+  let query = tenantClient
+    .from('SessionDrafts')
+    .select(SESSION_DRAFT_SELECT)
+    .eq('user_id', userId)
+    .gt('expires_at', now)
+    .order('updated_at', { ascending: false });
+
+  if (studentId) {
+    query = query.eq('student_id', studentId);
+  }
+  if (date) {
+    query = query.eq('date', date);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    context.log?.error?.('session-drafts failed to list drafts', { message: error.message });
+    return respond(context, 500, { message: 'failed_to_load_drafts' });
+  }
+
+  const drafts = await attachStudentNames(context, tenantClient, Array.isArray(data) ? data : []);
+  return respond(context, 200, drafts);
+}
+
+async function handleSave(context, { tenantClient, userId, role, body }) {
+  const parsed = parseSessionDraftPayload(body);
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+
+  const payload = parsed.value;
+
+  if (payload.studentId && !isAdminRole(role)) {
+    const studentResult = await tenantClient
+      .from('Students')
+      .select('id, assigned_instructor_id, schedule_slots')
+      .eq('id', payload.studentId)
+      .maybeSingle();
+
+    if (studentResult.error) {
+      context.log?.error?.('session-drafts failed to load student', { message: studentResult.error.message });
+      return respond(context, 500, { message: 'failed_to_load_student' });
+    }
+    if (!studentResult.data) {
+      return respond(context, 404, { message: 'student_not_found' });
+    }
+    if (!isStudentTaughtBy(studentResult.data, userId)) {
+      return respond(context, 403, { message: 'student_not_assigned_to_user' });
+    }
+  }
+
+  const retentionDays = await loadDraftRetentionDays(context, tenantClient);
+  const now = new Date();
+  const row = {
+    user_id: userId,
+    student_id: payload.studentId,
+    date: payload.date,
+    draft_key: payload.draftKey,
+    content: payload.content,
+    updated_at: now.toISOString(),
+    expires_at: computeDraftExpiry(retentionDays, now),
+  };
+
+  const { data, error } = await tenantClient
+    .from('SessionDrafts')
+    .upsert(row, { onConflict: 'user_id,draft_key' })
+    .select(SESSION_DRAFT_SELECT)
+    .single();
+
+  if (error) {
+    context.log?.error?.('session-drafts failed to save draft', { message: error.message });
+    return respond(context, 500, { message: 'failed_to_save_draft' });
+  }
+
+  return respond(context, 200, data);
+}
+
+async function handleDelete(context, { tenantClient, userId, draftId }) {
+  const { data, error } = await tenantClient
+    .from('SessionDrafts')
+    .delete()
+    .eq('id', draftId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    context.log?.error?.('session-drafts failed to delete draft', { message: error.message, draftId });
+    return respond(context, 500, { message: 'failed_to_delete_draft' });
+  }
+  if (!Array.isArray(data) || !data.length) {
+    return respond(context, 404, { message: 'draft_not_found' });
+  }
+
+  return respond(context, 200, { id: draftId, deleted: true });
+}
+
+export default async function (context, req) {
+  const method = String(req.method || 'GET').toUpperCase();
+  if (!['GET', 'PUT', 'DELETE'].includes(method)) {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'GET, PUT, DELETE' });
+  }
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('session-drafts missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    context.log?.warn?.('session-drafts missing bearer token');
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('session-drafts failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = normalizeString(authResult.data.user.id);
+  const body = method === 'GET' ? {} : parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('session-drafts failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  if (!role) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+  if (tenantError) {
+    return respond(context, tenantError.status, tenantError.body);
+  }
+
+  const requestContext = { tenantClient, orgId, userId, role, body };
+
+  if (method === 'GET') {
+    return handleList(context, req, requestContext);
+  }
+
+  if (method === 'PUT') {
+    return handleSave(context, requestContext);
+  }
+
+  const draftId = extractDraftId(context, req, body);
+  if (!draftId) {
+    return respond(context, 400, { message: 'invalid_draft_id' });
+  }
+
+  return handleDelete(context, { ...requestContext, draftId });
+}
@@ -0,0 +1,388 @@
+/* eslint-env node */
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  normalizeString,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+  resolveTenantClient,
+} from '../_shared/org-bff.js';
+import { isUUID } from '../_shared/validation.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import {
+  isSlotEffectiveOn,
+  isStudentTaughtBy,
+  resolveSlotInstructorId,
+  resolveStudentScheduleSlots,
+} from '../_shared/student-schedule.js';
+import {
+  SESSION_EXCEPTION_SELECT,
+  parseSessionExceptionPayload,
+  resolveExceptionInstructorId,
+} from '../_shared/session-exceptions.js';
+
+const STUDENT_SCHEDULE_SELECT = 'id, name, assigned_instructor_id, default_day_of_week, default_session_time, default_service, schedule_slots';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function extractExceptionId(context, req, body) {
+  const candidate =
+    normalizeString(context?.bindingData?.exceptionId) ||
+    normalizeString(body?.exception_id) ||
+    normalizeString(req?.query?.exception_id);
+
+  return isUUID(candidate) ? candidate : '';
+}
+
+// 1 = Sunday … 7 = Saturday, matching Students.default_day_of_week
+function dayOfWeekFor(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay() + 1;
+}
+
+async function loadStudent(context, tenantClient, studentId) {
+  const { data, error } = await tenantClient
+    .from('Students')
+    .select(STUDENT_SCHEDULE_SELECT)
+    .eq('id', studentId)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('session-exceptions failed to load student', { message: error.message, studentId });
+    return { error: { status: 500, message: 'failed_to_load_student' } };
+  }
+  if (!data) {
+    return { error: { status: 404, message: 'student_not_found' } };
+  }
+  return { student: data };
+}
+
+// Loads an exception with its student. Members may only change exceptions of slots they teach, as on create.
+async function loadWritableException(context, tenantClient, { exceptionId, role, userId }) {
+  const { data: exception, error } = await tenantClient
+    .from('SessionExceptions')
+    .select(SESSION_EXCEPTION_SELECT)
+    .eq('id', exceptionId)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('session-exceptions failed to load exception', { message: error.message, exceptionId });
+    return { error: { status: 500, message: 'failed_to_load_exception' } };
+  }
+  if (!exception) {
+    return { error: { status: 404, message: 'exception_not_found' } };
+  }
+
+  const loaded = await loadStudent(context, tenantClient, exception.student_id);
+  if (loaded.error) {
+    return loaded;
+  }
+
+  if (!isAdminRole(role) && resolveExceptionInstructorId(exception, loaded.student) !== userId) {
+    return { error: { status: 403, message: 'student_not_assigned_to_user' } };
+  }
+
+  return { exception, student: loaded.student };
+}
+
+async function recordAudit(context, supabase, { orgId, userId, userEmail, role, actionType, exception, student }) {
+  try {
+    await logAuditEvent(supabase, {
+      orgId,
+      userId,
+      userEmail: normalizeString(userEmail),
+      userRole: role,
+      actionType,
+      actionCategory: AUDIT_CATEGORIES.SESSIONS,
+      resourceType: 'session_exception',
+      resourceId: exception.id,
+      details: {
+        student_id: exception.student_id,
+        student_name: student?.name || null,
+        date: exception.date,
+        slot_id: exception.slot_id,
+        status: exception.status,
+        reason: exception.reason || null,
+        makeup_date: exception.makeup_date || null,
+      },
+    });
+  } catch (auditError) {
+    context.log?.error?.('session-exceptions failed to log audit event', { message: auditError?.message });
+  }
+}
+
+async function handleList(context, req, { tenantClient, role, userId }) {
+  const studentId = normalizeString(req?.query?.student_id);
+  const from = normalizeString(req?.query?.from);
+  const to = normalizeString(req?.query?.to);
+
+  if (studentId && !isUUID(studentId)) {
+    return respond(context, 400, { message: 'invalid_student_id' });
+  }
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to)) || (from && to && from > to)) {
+    return respond(context, 400, { message: 'invalid_date_range' });
+  }
+
+  let query = tenantClient
+    .from('SessionExceptions')
+    .select(SESSION_EXCEPTION_SELECT)
+    .order('date', { ascending: false });
+
+  if (studentId) {
+    if (!isAdminRole(role)) {
+      const loaded = await loadStudent(context, tenantClient, studentId);
+      if (loaded.error) {
+        return respond(context, loaded.error.status, { message: loaded.error.message });
+      }
+      if (!isStudentTaughtBy(loaded.student, userId)) {
+        return respond(context, 403, { message: 'student_not_assigned_to_user' });
+      }
+    }
+    query = query.eq('student_id', studentId);
+  } else if (!isAdminRole(role)) {
+    query = query.eq('instructor_id', userId);
+  }
+
+  if (from) {
+    query = query.gte('date', from);
+  }
+  if (to) {
+    query = query.lte('date', to);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    context.log?.error?.('session-exceptions failed to list exceptions', { message: error.message });
+    return respond(context, 500, { message: 'failed_to_load_exceptions' });
+  }
+
+  return respond(context, 200, Array.isArray(data) ? data : []);
+}
+
+async function handleCreate(context, { supabase, tenantClient, orgId, userId, userEmail, role, body }) {
+  const parsed = parseSessionExceptionPayload(body);
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+
+  const payload = parsed.value;
+  const loaded = await loadStudent(context, tenantClient, payload.student_id);
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const student = loaded.student;
+  const slot = resolveStudentScheduleSlots(student).find((entry) => entry.id === payload.slot_id);
+  if (!slot) {
+    return respond(context, 400, { message: 'slot_not_found' });
+  }
+  if (Number(slot.day_of_week) !== dayOfWeekFor(payload.date) || !isSlotEffectiveOn(slot, payload.date)) {
+    return respond(context, 400, { message: 'slot_not_scheduled_on_date' });
+  }
+
+  const slotInstructorId = resolveSlotInstructorId(slot, student);
+  if (!isAdminRole(role) && slotInstructorId !== userId) {
+    return respond(context, 403, { message: 'student_not_assigned_to_user' });
+  }
+
+  const row = {
+    ...payload,
+    makeup_time: payload.makeup_date ? payload.makeup_time || slot.time || null : null,
+    instructor_id: slotInstructorId,
+    created_by: userId,
+    updated_at: new Date().toISOString(),
+  };
+
+  const { data, error } = await tenantClient
+    .from('SessionExceptions')
+    .upsert(row, { onConflict: 'student_id,date,slot_id' })
+    .select(SESSION_EXCEPTION_SELECT)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('session-exceptions failed to save exception', { message: error.message });
+    return respond(context, 500, { message: 'failed_to_save_exception' });
+  }
+
+  await recordAudit(context, supabase, {
+    orgId,
+    userId,
+    userEmail,
+    role,
+    actionType: AUDIT_ACTIONS.SESSION_EXCEPTION_SAVED,
+    exception: data,
+    student,
+  });
+
+  return respond(context, 201, data);
+}
+
+async function handleUpdate(context, { supabase, tenantClient, orgId, userId, userEmail, role, exceptionId, body }) {
+  const parsed = parseSessionExceptionPayload(body, { partial: true });
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+  if (!Object.keys(parsed.value).length) {
+    return respond(context, 400, { message: 'missing_updates' });
+  }
+
+  const loaded = await loadWritableException(context, tenantClient, { exceptionId, role, userId });
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const { exception, student } = loaded;
+  const patch = { ...parsed.value, updated_at: new Date().toISOString() };
+
+  if (Object.prototype.hasOwnProperty.call(patch, 'makeup_date')) {
+    if (patch.makeup_date && patch.makeup_date === exception.date) {
+      return respond(context, 400, { message: 'invalid_makeup_date' });
+    }
+    if (patch.makeup_date && !patch.makeup_time) {
+      const slot = resolveStudentScheduleSlots(student).find((entry) => entry.id === exception.slot_id);
+      patch.makeup_time = slot?.time || null;
+    }
+  }
+
+  const { data, error } = await tenantClient
+    .from('SessionExceptions')
+    .update(patch)
+    .eq('id', exceptionId)
+    .select(SESSION_EXCEPTION_SELECT)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('session-exceptions failed to update exception', { message: error.message, exceptionId });
+    return respond(context, 500, { message: 'failed_to_save_exception' });
+  }
+  if (!data) {
+    return respond(context, 404, { message: 'exception_not_found' });
+  }
+
+  await recordAudit(context, supabase, {
+    orgId,
+    userId,
+    userEmail,
+    role,
+    actionType: AUDIT_ACTIONS.SESSION_EXCEPTION_SAVED,
+    exception: data,
+    student,
+  });
+
+  return respond(context, 200, data);
+}
+
+async function handleDelete(context, { supabase, tenantClient, orgId, userId, userEmail, role, exceptionId }) {
+  const loaded = await loadWritableException(context, tenantClient, { exceptionId, role, userId });
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const { error } = await tenantClient
+    .from('SessionExceptions')
+    .delete()
+    .eq('id', exceptionId);
+
+  if (error) {
+    context.log?.error?.('session-exceptions failed to delete exception', { message: error.message, exceptionId });
+    return respond(context, 500, { message: 'failed_to_delete_exception' });
+  }
+
+  await recordAudit(context, supabase, {
+    orgId,
+    userId,
+    userEmail,
+    role,
+    actionType: AUDIT_ACTIONS.SESSION_EXCEPTION_REMOVED,
+    exception: loaded.exception,
+    student: loaded.student,
+  });
+
+  return respond(context, 200, { message: 'exception_deleted', id: exceptionId });
+}
+
+export default async function (context, req) {
+  const method = String(req.method || 'GET').toUpperCase();
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(method)) {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'GET, POST, PUT, DELETE' });
+  }
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('session-exceptions missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    context.log?.warn?.('session-exceptions missing bearer token');
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('session-exceptions failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = normalizeString(authResult.data.user.id);
+  const userEmail = authResult.data.user.email;
+  const body = method === 'GET' ? {} : parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('session-exceptions failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  if (!role) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+  if (tenantError) {
+    return respond(context, tenantError.status, tenantError.body);
+  }
+
+  const requestContext = { supabase, tenantClient, orgId, userId, userEmail, role, body };
+
+  if (method === 'GET') {
+    return handleList(context, req, requestContext);
+  }
+
+  if (method === 'POST') {
+    return handleCreate(context, requestContext);
+  }
+
+  const exceptionId = extractExceptionId(context, req, body);
+  if (!exceptionId) {
+    return respond(context, 400, { message: 'invalid_exception_id' });
+  }
+
+  return method === 'PUT'
+    ? handleUpdate(context, { ...requestContext, exceptionId })
+    : handleDelete(context, { ...requestContext, exceptionId });
+}
@@ -11,6 +11,7 @@ import {
   resolveOrgId,
   resolveTenantClient,
 } from '../_shared/org-bff.js';
+import { isStudentTaughtBy } from '../_shared/student-schedule.js';
 
 function isMemberRole(role) {
   const normalized = normalizeString(role).toLowerCase();
@@ -89,7 +90,7 @@ export default async function (context, req) {
   if (isMemberRole(role)) {
     const assignCheck = await tenantClient
       .from('Students')
-      .select('assigned_instructor_id')
+      .select('assigned_instructor_id, schedule_slots')
       .eq('id', studentId)
       .maybeSingle();
 
@@ -98,8 +99,7 @@ export default async function (context, req) {
       return respond(context, 500, { message: 'failed_to_load_student' });
     }
 
-    const assigned = normalizeString(assignCheck.data?.assigned_instructor_id) || '';
-    if (!assigned || assigned !== normalizeString(userId)) {
+    if (!isStudentTaughtBy(assignCheck.data, userId)) {
       return respond(context, 403, { message: 'student_not_assigned_to_user' });
     }
   }
@@ -108,6 +108,7 @@ export default async function (context, req) {
     .from('SessionRecords')
     .select('*, Instructors:instructor_id(id, name, email)')
     .eq('student_id', studentId)
+    .eq('deleted', false)
     .order('date', { ascending: false });
 
   if (error) {
@@ -1,4 +1,5 @@
 /* eslint-env node */
+import { randomUUID } from 'node:crypto';
 import { resolveBearerAuthorization } from '../_shared/http.js';
 import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
 import {
@@ -10,21 +11,510 @@ import {
   resolveOrgId,
   resolveTenantClient,
 } from '../_shared/org-bff.js';
-import { isUUID, parseJsonBodyWithLimit, validateSessionWrite } from '../_shared/validation.js';
-import { buildSessionMetadata } from '../_shared/session-metadata.js';
+import {
+  isUUID,
+  parseJsonBodyWithLimit,
+  validateGroupSessionWrite,
+  validateSessionUpdate,
+  validateSessionWrite,
+} from '../_shared/validation.js';
+import {
+  appendSessionRevision,
+  buildOfflineSubmissionMetadata,
+  buildSessionMetadata,
+  findSubmittedSessionRecords,
+  hasFormVersionConflict,
+  listChangedSessionFields,
+  readOfflineSubmission,
+} from '../_shared/session-metadata.js';
 import { mergeMetadata } from '../_shared/metadata-utils.js';
 import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import { isStudentTaughtBy } from '../_shared/student-schedule.js';
+import { removeSubmittedDraft } from '../_shared/session-drafts.js';
+import { buildGroupContent, buildGroupMetadata, isMissingGroupIdColumn } from '../_shared/session-groups.js';
+import { applyQuestionRules, loadSessionFormRules } from '../_shared/session-form-rules.js';
+import { parseGoalProgressInput, verifyGoalProgress } from '../_shared/student-goals.js';
+import { respondIfPayrollLocked } from '../_shared/payroll.js';
+import { BILLED_SESSION_ERROR, BILLED_SESSION_FIELDS, findBilledSession } from '../_shared/billing.js';
 
 const MAX_BODY_BYTES = 128 * 1024; // observe-only for now
 
 // validation moved to _shared/validation.js (SOT)
 
+const SESSION_WITH_INSTRUCTOR = '*, Instructors:instructor_id(id, name, email)';
+
 function isMemberRole(role) {
   const normalized = normalizeString(role).toLowerCase();
   return normalized === 'member';
 }
 
+function extractSessionId(context, req, body) {
+  const candidate =
+    normalizeString(context?.bindingData?.sessionId) ||
+    normalizeString(body?.session_id) ||
+    normalizeString(body?.sessionId) ||
+    normalizeString(req?.query?.session_id);
+
+  return isUUID(candidate) ? candidate : '';
+}
+
+async function respondIfBilled(context, tenantClient, sessionId) {
+  const { billed } = await findBilledSession(context, tenantClient, sessionId);
+  return billed ? respond(context, 409, { message: BILLED_SESSION_ERROR }) : null;
+}
+
+// Loads an existing record and applies the same member-vs-admin assignment rules used on create.
+async function loadWritableSession(context, tenantClient, { sessionId, role, userId }) {
+  const { data: record, error } = await tenantClient
+    .from('SessionRecords')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('sessions failed to load session record', { message: error.message, sessionId });
+    return { error: { status: 500, message: 'failed_to_load_session' } };
+  }
+
+  if (!record) {
+    return { error: { status: 404, message: 'session_not_found' } };
+  }
+
+  if (record.deleted) {
+    return { error: { status: 400, message: 'session_deleted' } };
+  }
+
+  // Unassigned (loose) reports are resolved or resubmitted through /api/loose-sessions.
+  if (!record.student_id) {
+    return { error: { status: 400, message: 'loose_session_not_editable' } };
+  }
+
+  if (isMemberRole(role)) {
+    const studentResult = await tenantClient
+      .from('Students')
+      .select('id, assigned_instructor_id, schedule_slots')
+      .eq('id', record.student_id)
+      .maybeSingle();
+
+    if (studentResult.error) {
+      context.log?.error?.('sessions failed to load student', { message: studentResult.error.message });
+      return { error: { status: 500, message: 'failed_to_load_student' } };
+    }
+
+    if (!isStudentTaughtBy(studentResult.data, userId)) {
+      return { error: { status: 403, message: 'student_not_assigned_to_user' } };
+    }
+  }
+
+  return { record };
+}
+
+async function handleSessionUpdate(context, { supabase, tenantClient, orgId, userId, userEmail, role, sessionId, body }) {
+  const validation = validateSessionUpdate(body);
+  if (validation.error) {
+    const message =
+      validation.error === 'invalid_date'
+        ? 'invalid date'
+        : validation.error === 'missing_content'
+          ? 'missing session content'
+          : validation.error === 'invalid_service_context'
+            ? 'invalid service context'
+            : validation.error === 'missing_updates'
+              ? 'no updatable fields provided'
+              : 'invalid content';
+    return respond(context, 400, { message });
+  }
+
+  const loaded = await loadWritableSession(context, tenantClient, { sessionId, role, userId });
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  if (validation.updates.content) {
+    // Edited answers are checked against the questionnaire the report was filled against
+    const ruleQuestions = await loadSessionFormRules(context, tenantClient, {
+      service: loaded.record.metadata?.form_service ?? null,
+      version: loaded.record.metadata?.form_version ?? null,
+    });
+    const ruled = applyQuestionRules(ruleQuestions, validation.updates.content);
+    if (ruled.missing.length) {
+      return respond(context, 400, { message: 'missing_required_answers', questions: ruled.missing });
+    }
+    validation.updates.content = ruled.content;
+  }
+
+  const existing = loaded.record;
+  const lockedResponse = await respondIfPayrollLocked(context, tenantClient, [
+    { instructorId: existing.instructor_id, date: existing.date },
+    { instructorId: existing.instructor_id, date: validation.updates.date },
+  ]);
+  if (lockedResponse) {
+    return lockedResponse;
+  }
+
+  const changedFields = listChangedSessionFields(existing, validation.updates);
+
+  if (changedFields.some((field) => BILLED_SESSION_FIELDS.includes(field))) {
+    const billedResponse = await respondIfBilled(context, tenantClient, sessionId);
+    if (billedResponse) {
+      return billedResponse;
+    }
+  }
+
+  if (!changedFields.length) {
+    const { data: unchanged } = await tenantClient
+      .from('SessionRecords')
+      .select(SESSION_WITH_INSTRUCTOR)
+      .eq('id', sessionId)
+      .maybeSingle();
+    return respond(context, 200, unchanged || existing);
+  }
+
+  const now = new Date().toISOString();
+  const nextMetadata = appendSessionRevision(existing.metadata, existing, {
+    changedFields,
+    userId,
+    userEmail,
+    role,
+    editedAt: now,
+  });
+
+  const patch = { metadata: nextMetadata, updated_at: now };
+  for (const field of changedFields) {
+    patch[field] = validation.updates[field];
+  }
+
+  const { data, error } = await tenantClient
+    .from('SessionRecords')
+    .update(patch)
+    .eq('id', sessionId)
+    .select(SESSION_WITH_INSTRUCTOR)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('sessions failed to update session record', { message: error.message, sessionId });
+    return respond(context, 500, { message: 'failed_to_update_session' });
+  }
+
+  if (!data) {
+    return respond(context, 404, { message: 'session_not_found' });
+  }
+
+  try {
+    await logAuditEvent(supabase, {
+      orgId,
+      userId,
+      userEmail: normalizeString(userEmail),
+      userRole: role,
+      actionType: AUDIT_ACTIONS.SESSION_UPDATED,
+      actionCategory: AUDIT_CATEGORIES.SESSIONS,
+      resourceType: 'session_record',
+      resourceId: sessionId,
+      details: {
+        student_id: existing.student_id,
+        changed_fields: changedFields,
+        revision: nextMetadata.revisions.length,
+      },
+    });
+  } catch (auditError) {
+    context.log?.error?.('sessions failed to log update audit event', { message: auditError?.message });
+  }
+
+  return respond(context, 200, data);
+}
+
+async function handleSessionDelete(context, { supabase, tenantClient, orgId, userId, userEmail, role, sessionId, body, req }) {
+  const loaded = await loadWritableSession(context, tenantClient, { sessionId, role, userId });
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const existing = loaded.record;
+  const lockedResponse = await respondIfPayrollLocked(context, tenantClient, [
+    { instructorId: existing.instructor_id, date: existing.date },
+  ]);
+  if (lockedResponse) {
+    return lockedResponse;
+  }
+
+  const billedResponse = await respondIfBilled(context, tenantClient, sessionId);
+  if (billedResponse) {
+    return billedResponse;
+  }
+
+  const now = new Date().toISOString();
+  const reason = normalizeString(body?.reason || req?.query?.reason) || null;
+
+  const nextMetadata = mergeMetadata(existing.metadata || {}, {
+    deletion: {
+      deleted_by: userId,
+      deleted_by_email: normalizeString(userEmail) || null,
+      deleted_role: normalizeString(role).toLowerCase() || null,
+      deleted_at: now,
+      reason,
+    },
+  });
+
+  const { error } = await tenantClient
+    .from('SessionRecords')
+    .update({ deleted: true, deleted_at: now, metadata: nextMetadata })
+    .eq('id', sessionId);
+
+  if (error) {
+    context.log?.error?.('sessions failed to delete session record', { message: error.message, sessionId });
+    return respond(context, 500, { message: 'failed_to_delete_session' });
+  }
+
+  try {
+    await logAuditEvent(supabase, {
+      orgId,
+      userId,
+      userEmail: normalizeString(userEmail),
+      userRole: role,
+      actionType: AUDIT_ACTIONS.SESSION_DELETED,
+      actionCategory: AUDIT_CATEGORIES.SESSIONS,
+      resourceType: 'session_record',
+      resourceId: sessionId,
+      details: {
+        mode: 'soft_delete',
+        student_id: existing.student_id,
+        date: existing.date,
+        reason,
+      },
+    });
+  } catch (auditError) {
+    context.log?.error?.('sessions failed to log delete audit event', { message: auditError?.message });
+  }
+
+  return respond(context, 200, { message: 'session_deleted', id: sessionId });
+}
+
+// Checks a queued offline report before inserting: a retry of an already saved report returns
+// the saved rows, and a report filled against an older questionnaire is sent back as a conflict.
+async function checkOfflineSubmission(context, tenantClient, submission, metadata) {
+  const existing = await findSubmittedSessionRecords(tenantClient, submission.clientSubmissionId, SESSION_WITH_INSTRUCTOR);
+  if (existing.error) {
+    context.log?.warn?.('sessions failed to look up client submission', { message: existing.error.message });
+  } else if (existing.data.length) {
+    return { duplicate: existing.data };
+  }
+
+  if (hasFormVersionConflict(submission, metadata)) {
+    return {
+      conflict: {
+        message: 'form_version_changed',
+        current_form_version: metadata?.form_version ?? null,
+        expected_form_version: submission.expectedFormVersion,
+      },
+    };
+  }
+
+  return {};
+}
+
+const GROUP_ERROR_MESSAGES = {
+  invalid_student_ids: 'invalid student ids',
+  invalid_student_id: 'invalid student id',
+  group_too_small: 'group_too_small',
+  group_too_large: 'group_too_large',
+  invalid_overrides: 'invalid overrides',
+  invalid_date: 'invalid date',
+  missing_content: 'missing session content',
+  invalid_service_context: 'invalid service context',
+  invalid_instructor_id: 'invalid instructor id',
+  invalid_duration: 'invalid_duration',
+};
+
+// Group session: one SessionRecords row per student, linked by a shared group_id.
+// All rows are written in a single insert so a group is never saved partially.
+async function handleGroupSessionCreate(context, { supabase, tenantClient, orgId, userId, userEmail, role, body }) {
+  const validation = validateGroupSessionWrite(body);
+  if (validation.error) {
+    return respond(context, 400, { message: GROUP_ERROR_MESSAGES[validation.error] || 'invalid content' });
+  }
+
+  const { data: studentRows, error: studentsError } = await tenantClient
+    .from('Students')
+    .select('id, name, assigned_instructor_id, default_service, schedule_slots')
+    .in('id', validation.studentIds);
+
+  if (studentsError) {
+    context.log?.error?.('sessions failed to load group students', { message: studentsError.message });
+    return respond(context, 500, { message: 'failed_to_load_student' });
+  }
+
+  const studentsById = new Map((studentRows || []).map((student) => [normalizeString(student.id), student]));
+  const students = validation.studentIds.map((id) => studentsById.get(id)).filter(Boolean);
+  if (students.length !== validation.studentIds.length) {
+    return respond(context, 404, { message: 'student_not_found' });
+  }
+
+  const member = isMemberRole(role);
+  if (member && students.some((student) => !isStudentTaughtBy(student, userId))) {
+    return respond(context, 403, { message: 'student_not_assigned_to_user' });
+  }
+
+  if (validation.instructorId && !isAdminRole(role)) {
+    return respond(context, 403, { message: 'members_cannot_specify_instructor' });
+  }
+
+  // Same attribution as single sessions: members write as themselves, admins fall back to
+  // the student's assigned instructor and then to themselves when they are an instructor.
+  let fallbackInstructorId = member ? userId : validation.instructorId || '';
+  if (!fallbackInstructorId && students.some((student) => !normalizeString(student.assigned_instructor_id))) {
+    const { data: actingInstructor, error: instructorError } = await tenantClient
+      .from('Instructors')
+      .select('id')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (instructorError) {
+      context.log?.error?.('sessions failed to verify acting user is instructor', { message: instructorError.message });
+      return respond(context, 500, { message: 'failed_to_verify_instructor' });
+    }
+    fallbackInstructorId = actingInstructor?.id || '';
+  }
+
+  if (validation.instructorId) {
+    const { data: chosenInstructor, error: chosenError } = await tenantClient
+      .from('Instructors')
+      .select('id')
+      .eq('id', validation.instructorId)
+      .maybeSingle();
+
+    if (chosenError) {
+      context.log?.error?.('sessions failed to verify instructor existence', { message: chosenError.message });
+      return respond(context, 500, { message: 'failed_to_verify_instructor' });
+    }
+    if (!chosenInstructor) {
+      return respond(context, 400, { message: 'instructor_not_found' });
+    }
+  }
+
+  const instructorFor = (student) => (
+    member || validation.instructorId
+      ? fallbackInstructorId
+      : normalizeString(student.assigned_instructor_id) || fallbackInstructorId
+  );
+
+  if (students.some((student) => !instructorFor(student))) {
+    return respond(context, 400, { message: 'student_missing_instructor' });
+  }
+
+  const lockedResponse = await respondIfPayrollLocked(
+    context,
+    tenantClient,
+    students.map((student) => ({ instructorId: instructorFor(student), date: validation.date })),
+  );
+  if (lockedResponse) {
+    return lockedResponse;
+  }
+
+  // The shared service picks the questionnaire for the whole group
+  const { metadata } = await buildSessionMetadata({
+    tenantClient,
+    userId,
+    role,
+    service: validation.serviceContext,
+    logger: context.log,
+  });
+
+  const offlineSubmission = readOfflineSubmission(body);
+  const offlineCheck = await checkOfflineSubmission(context, tenantClient, offlineSubmission, metadata);
+  if (offlineCheck.duplicate) {
+    const duplicateGroupId = offlineCheck.duplicate[0]?.group_id ?? offlineCheck.duplicate[0]?.metadata?.group?.id ?? null;
+    return respond(context, 200, { group_id: duplicateGroupId, records: offlineCheck.duplicate });
+  }
+  if (offlineCheck.conflict) {
+    return respond(context, 409, offlineCheck.conflict);
+  }
+
+  // Each student's answers (shared plus override) are checked on their own, since an override
+  // can show or require follow-up questions for that student only
+  const ruleQuestions = await loadSessionFormRules(context, tenantClient, { service: metadata?.form_service ?? null });
+  const contentByStudent = new Map();
+  for (const student of students) {
+    const override = validation.overrides[normalizeString(student.id)] || null;
+    const ruled = applyQuestionRules(ruleQuestions, buildGroupContent(validation.content, override));
+    if (ruled.missing.length) {
+      return respond(context, 400, { message: 'missing_required_answers', student_id: student.id, questions: ruled.missing });
+    }
+    contentByStudent.set(student.id, ruled.content);
+  }
+
+  const groupId = randomUUID();
+  const groupMetadata = buildGroupMetadata(groupId, students);
+
+  const rows = students.map((student) => {
+    const override = validation.overrides[normalizeString(student.id)] || null;
+    return {
+      student_id: student.id,
+      date: validation.date,
+      content: contentByStudent.get(student.id),
+      instructor_id: instructorFor(student),
+      service_context: validation.hasExplicitService
+        ? validation.serviceContext
+        : validation.serviceContext ?? student.default_service ?? null,
+      metadata: mergeMetadata(metadata, {
+        ...buildOfflineSubmissionMetadata(offlineSubmission),
+        group: groupMetadata,
+        ...(validation.durationMinutes ? { duration_minutes: validation.durationMinutes } : {}),
+        ...(override ? { group_overrides: Object.keys(override) } : {}),
+      }),
+    };
+  });
+
+  let { data, error } = await tenantClient
+    .from('SessionRecords')
+    .insert(rows.map((row) => ({ ...row, group_id: groupId })))
+    .select();
+
+  if (isMissingGroupIdColumn(error)) {
+    // The metadata snapshot still links the records, which is all the readers rely on
+    ({ data, error } = await tenantClient
+      .from('SessionRecords')
+      .insert(rows)
+      .select());
+  }
+
+  if (error) {
+    context.log?.error?.('sessions failed to create group session records', { message: error.message, groupId });
+    return respond(context, 500, { message: 'failed_to_create_session' });
+  }
+
+  await removeSubmittedDraft(context, tenantClient, { draftId: body?.draft_id, userId });
+
+  try {
+    await logAuditEvent(supabase, {
+      orgId,
+      userId,
+      userEmail: normalizeString(userEmail),
+      userRole: role,
+      actionType: AUDIT_ACTIONS.SESSION_GROUP_CREATED,
+      actionCategory: AUDIT_CATEGORIES.SESSIONS,
+      resourceType: 'session_group',
+      resourceId: groupId,
+      details: {
+        student_ids: validation.studentIds,
+        student_name: students.map((student) => student.name).filter(Boolean).join(', '),
+        date: validation.date,
+        record_ids: (data || []).map((record) => record.id),
+        overridden_students: Object.keys(validation.overrides),
+      },
+    });
+  } catch (auditError) {
+    context.log?.error?.('sessions failed to log group audit event', { message: auditError?.message });
+  }
+
+  return respond(context, 201, { group_id: groupId, records: data || [] });
+}
+
 export default async function (context, req) {
+  const method = String(req.method || 'POST').toUpperCase();
+  if (!['POST', 'PUT', 'DELETE'].includes(method)) {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'POST, PUT, DELETE' });
+  }
+
   const env = readEnv(context);
   const adminConfig = readSupabaseAdminConfig(env);
 
@@ -78,6 +568,51 @@ export default async function (context, req) {
     return respond(context, 403, { message: 'forbidden' });
   }
 
+  if (method === 'PUT' || method === 'DELETE') {
+    const sessionId = extractSessionId(context, req, body);
+    if (!sessionId) {
+      return respond(context, 400, { message: 'invalid_session_id' });
+    }
+
+    const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+    if (tenantError) {
+      return respond(context, tenantError.status, tenantError.body);
+    }
+
+    const writeContext = {
+      supabase,
+      tenantClient,
+      orgId,
+      userId: normalizeString(userId),
+      userEmail,
+      role,
+      sessionId,
+      body,
+      req,
+    };
+
+    return method === 'PUT'
+      ? handleSessionUpdate(context, writeContext)
+      : handleSessionDelete(context, writeContext);
+  }
+
+  if (Array.isArray(body?.student_ids ?? body?.studentIds)) {
+    const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+    if (tenantError) {
+      return respond(context, tenantError.status, tenantError.body);
+    }
+
+    return handleGroupSessionCreate(context, {
+      supabase,
+      tenantClient,
+      orgId,
+      userId: normalizeString(userId),
+      userEmail,
+      role,
+      body,
+    });
+  }
+
   const validation = validateSessionWrite(body);
   if (validation.error) {
     const message =
@@ -95,13 +630,15 @@ export default async function (context, req) {
                   ? 'missing time'
                   : validation.error === 'invalid_time'
                     ? 'invalid time'
-                    : validation.error === 'missing_unassigned_name'
-                      ? 'missing unassigned name'
-                      : validation.error === 'missing_unassigned_reason'
-                        ? 'missing unassigned reason'
-                        : validation.error === 'missing_unassigned_reason_detail'
-                          ? 'missing unassigned reason detail'
-                          : 'invalid content';
+                    : validation.error === 'invalid_duration'
+                      ? 'invalid_duration'
+                      : validation.error === 'missing_unassigned_name'
+                        ? 'missing unassigned name'
+                        : validation.error === 'missing_unassigned_reason'
+                          ? 'missing unassigned reason'
+                          : validation.error === 'missing_unassigned_reason_detail'
+                            ? 'missing unassigned reason detail'
+                            : 'invalid content';
     return respond(context, 400, { message });
   }
 
@@ -119,7 +656,7 @@ export default async function (context, req) {
   if (!isLoose) {
     const studentResult = await tenantClient
       .from('Students')
-      .select('id, assigned_instructor_id, default_service')
+      .select('id, assigned_instructor_id, default_service, schedule_slots')
       .eq('id', validation.studentId)
       .maybeSingle();
 
@@ -135,12 +672,13 @@ export default async function (context, req) {
     assignedInstructor = normalizeString(studentResult.data.assigned_instructor_id) || '';
     studentRecord = studentResult.data;
 
-    if (isMemberRole(role) && assignedInstructor && assignedInstructor !== normalizedUserId) {
+    if (isMemberRole(role) && !isStudentTaughtBy(studentResult.data, normalizedUserId)) {
       return respond(context, 403, { message: 'student_not_assigned_to_user' });
     }
 
-    if (isMemberRole(role) && !assignedInstructor) {
-      return respond(context, 403, { message: 'student_not_assigned_to_user' });
+    // Members teaching one of the student's schedule slots write the session as themselves
+    if (isMemberRole(role)) {
+      assignedInstructor = normalizedUserId;
     }
   }
 
@@ -228,16 +766,62 @@ export default async function (context, req) {
     return respond(context, 400, { message: 'student_missing_instructor' });
   }
 
+  const lockedResponse = await respondIfPayrollLocked(context, tenantClient, [
+    { instructorId: sessionInstructorId, date: validation.date },
+  ]);
+  if (lockedResponse) {
+    return lockedResponse;
+  }
+
+  const serviceContext = validation.hasExplicitService
+    ? validation.serviceContext
+    : validation.serviceContext ?? studentRecord?.default_service ?? null;
+
+  // The report's service picks the questionnaire its answers are checked against
   const { metadata } = await buildSessionMetadata({
     tenantClient,
     userId: normalizedUserId,
     role,
+    service: serviceContext,
     logger: context.log,
   });
 
-  const metadataAdditions = validation.unassignedDetails
-    ? { unassigned_details: validation.unassignedDetails }
-    : {};
+  const offlineSubmission = readOfflineSubmission(body);
+  const offlineCheck = await checkOfflineSubmission(context, tenantClient, offlineSubmission, metadata);
+  if (offlineCheck.duplicate) {
+    return respond(context, 200, offlineCheck.duplicate[0]);
+  }
+  if (offlineCheck.conflict) {
+    return respond(context, 409, offlineCheck.conflict);
+  }
+
+  // Required answers follow the questionnaire's conditional rules; answers to hidden questions are not stored
+  const ruled = applyQuestionRules(
+    await loadSessionFormRules(context, tenantClient, { service: metadata?.form_service ?? null }),
+    validation.content,
+  );
+  if (ruled.missing.length) {
+    return respond(context, 400, { message: 'missing_required_answers', questions: ruled.missing });
+  }
+
+  // Progress ratings on the student's goals are stored with the report itself
+  const goalProgressInput = parseGoalProgressInput(body?.goal_progress);
+  if (goalProgressInput.error) {
+    return respond(context, 400, { message: goalProgressInput.error });
+  }
+  const goalProgress = await verifyGoalProgress(context, tenantClient, validation.studentId, goalProgressInput.value);
+  if (goalProgress.error) {
+    return respond(context, goalProgress.error.status, { message: goalProgress.error.message });
+  }
+
+  // Time and length feed the payroll hours report (/api/payroll)
+  const metadataAdditions = {
+    ...(validation.time ? { session_time: validation.time } : {}),
+    ...(validation.durationMinutes ? { duration_minutes: validation.durationMinutes } : {}),
+    ...(validation.unassignedDetails ? { unassigned_details: validation.unassignedDetails } : {}),
+    ...(goalProgress.value.length ? { goal_progress: goalProgress.value } : {}),
+    ...buildOfflineSubmissionMetadata(offlineSubmission),
+  };
 
   const mergedMetadata = mergeMetadata(metadata, metadataAdditions);
 
@@ -271,11 +855,9 @@ export default async function (context, req) {
       {
         student_id: validation.studentId,
         date: validation.date,
-        content: validation.content,
+        content: ruled.content,
         instructor_id: sessionInstructorId || null,
-        service_context: validation.hasExplicitService
-          ? validation.serviceContext
-          : validation.serviceContext ?? studentRecord?.default_service ?? null,
+        service_context: serviceContext,
         metadata: finalMetadata,
       },
     ])
@@ -287,6 +869,8 @@ export default async function (context, req) {
     return respond(context, 500, { message: 'failed_to_create_session' });
   }
 
+  await removeSubmittedDraft(context, tenantClient, { draftId: body?.draft_id, userId: normalizedUserId });
+
   // If this is a resubmission of a previously rejected loose report, mark the original as resubmitted.
   // This allows instructor UIs to remove it from the "Rejected" list after a new submission is sent.
   if (isLoose && clientMetadataAdditions.resubmitted_from) {
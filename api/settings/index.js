@@ -10,7 +10,7 @@ import {
   resolveOrgId,
   resolveTenantClient,
 } from '../_shared/org-bff.js';
-import { normalizeSessionFormConfigValue } from '../_shared/settings-utils.js';
+import { mergeSessionFormConfig, normalizeSessionFormConfigValue } from '../_shared/settings-utils.js';
 import { ensureOrgPermissions } from '../_shared/permissions-utils.js';
 import { parseJsonBodyWithLimit } from '../_shared/validation.js';
 import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
@@ -201,50 +201,6 @@ function collectKeysFromQuery(query) {
 }
 
 
-function extractSessionFormVersion(value) {
-  if (value === null || value === undefined) {
-    return 0;
-  }
-
-  let payload = value;
-  if (typeof payload === 'string') {
-    const trimmed = payload.trim();
-    if (!trimmed) {
-      return 0;
-    }
-    try {
-      payload = JSON.parse(trimmed);
-    } catch {
-      return 0;
-    }
-  }
-
-  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
-    return 0;
-  }
-
-  let candidate = null;
-  if (payload.current && typeof payload.current === 'object') {
-    candidate = payload.current.version;
-  } else if (Object.prototype.hasOwnProperty.call(payload, 'version')) {
-    candidate = payload.version;
-  }
-
-  if (candidate === null || candidate === undefined) {
-    return 0;
-  }
-
-  const numeric = typeof candidate === 'number'
-    ? candidate
-    : Number.parseInt(String(candidate).trim(), 10);
-
-  if (Number.isInteger(numeric) && numeric >= 0) {
-    return numeric;
-  }
-
-  return 0;
-}
-
 async function applySessionFormVersioning(tenantClient, entries, existingSettings = null) {
   const targetIndex = entries.findIndex((entry) => entry.key === 'session_form_config');
   if (targetIndex === -1) {
@@ -273,40 +229,10 @@ async function applySessionFormVersioning(tenantClient, entries, existingSetting
     existingData = data?.settings_value || null;
   }
 
-  const currentVersion = extractSessionFormVersion(existingData);
-  const nextVersion = currentVersion + 1;
-
-  const history = [];
-  if (existingData && typeof existingData === 'object') {
-    if (existingData.current && existingData.current.version && existingData.current.questions) {
-      history.push({
-        version: existingData.current.version,
-        questions: existingData.current.questions,
-        saved_at: new Date().toISOString(),
-      });
-    } else if (existingData.version && existingData.questions) {
-      history.push({
-        version: existingData.version,
-        questions: existingData.questions,
-        saved_at: new Date().toISOString(),
-      });
-    }
-    
-    if (Array.isArray(existingData.history)) {
-      history.push(...existingData.history);
-    }
-  }
-
-  entries[targetIndex].settings_value = {
-    current: {
-      version: nextVersion,
-      questions: normalized.questions,
-      saved_at: new Date().toISOString(),
-    },
-    history: history,
-  };
+  const merged = mergeSessionFormConfig(existingData, normalized);
+  entries[targetIndex].settings_value = merged.value;
 
-  return { entries, version: nextVersion };
+  return { entries, version: merged.version, service: normalized.service ?? null };
 }
 
 export default async function (context, req) {
@@ -0,0 +1,103 @@
+/* eslint-env node */
+/**
+ * Local Storage Download API - Serve files stored by the local filesystem driver
+ *
+ * GET /api/storage-local-download?token={signed-token}
+ *
+ * The token is issued by the local driver's getDownloadUrl() (via /api/documents-download)
+ * and carries the storage directory, file path, expiry and Content-Disposition, all
+ * covered by an HMAC signature. No bearer token is required: like an S3 presigned URL,
+ * possession of an unexpired link is the authorization.
+ */
+
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+import { readEnv, respond } from '../_shared/org-bff.js';
+import {
+  isWithinAllowedRoot,
+  resolveLocalPath,
+  resolveLocalStorageSettings,
+  verifyLocalDownloadToken,
+} from '../cross-platform/storage-drivers/index.js';
+
+// The filesystem keeps no content type, so infer the common document types from the extension
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.zip': 'application/zip',
+};
+
+export default async function handler(context, req) {
+  if (req.method !== 'GET') {
+    return respond(context, 405, { error: 'method_not_allowed' });
+  }
+
+  const env = readEnv(context);
+  const { signingSecret, allowedRoot } = resolveLocalStorageSettings(env);
+
+  if (!signingSecret || !allowedRoot) {
+    context.log?.error?.('storage-local-download missing LOCAL_STORAGE_SIGNING_SECRET or LOCAL_STORAGE_ROOT');
+    return respond(context, 500, { error: 'server_misconfigured' });
+  }
+
+  const token = typeof req.query?.token === 'string' ? req.query.token : '';
+  if (!token) {
+    return respond(context, 400, { error: 'missing_token' });
+  }
+
+  const verification = verifyLocalDownloadToken(token, signingSecret);
+  if (!verification.valid) {
+    const status = verification.error === 'link_expired' ? 410 : 403;
+    return respond(context, status, { error: verification.error });
+  }
+
+  const { basePath, path: filePath, disposition } = verification.payload;
+
+  // Re-check the root in case LOCAL_STORAGE_ROOT was tightened after the link was issued
+  if (!isWithinAllowedRoot(basePath, allowedRoot)) {
+    return respond(context, 403, { error: 'path_not_allowed' });
+  }
+
+  let absolutePath;
+  try {
+    absolutePath = resolveLocalPath(basePath, filePath);
+  } catch {
+    return respond(context, 403, { error: 'path_not_allowed' });
+  }
+
+  let fileBuffer;
+  try {
+    fileBuffer = await readFile(absolutePath);
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return respond(context, 404, { error: 'file_not_found' });
+    }
+    context.log?.error?.('storage-local-download failed to read file', { message: error?.message });
+    return respond(context, 500, { error: 'failed_to_read_file' });
+  }
+
+  context.res = {
+    status: 200,
+    body: fileBuffer,
+    isRaw: true,
+    headers: {
+      'Content-Type': CONTENT_TYPES[path.extname(absolutePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Disposition': disposition,
+      'Content-Length': fileBuffer.length.toString(),
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+    },
+  };
+  return context.res;
+}
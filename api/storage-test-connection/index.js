@@ -37,7 +37,7 @@ export default async function handler(context, req) {
   const { orgId } = adminCheck;
 
   // Validate storage profile structure
-  const validation = validateStorageProfile(storageProfile);
+  const validation = validateStorageProfile(storageProfile, { localStorageRoot: process.env.LOCAL_STORAGE_ROOT });
   if (!validation.valid) {
     return respond(context, 400, {
       error: 'invalid_storage_profile',
@@ -48,12 +48,14 @@ export default async function handler(context, req) {
   const { mode } = storageProfile;
 
   try {
-    // Get environment variables for managed mode
+    // Get environment variables for managed mode and local storage signing
     const env = {
       SYSTEM_R2_ENDPOINT: process.env.SYSTEM_R2_ENDPOINT,
       SYSTEM_R2_ACCESS_KEY: process.env.SYSTEM_R2_ACCESS_KEY,
       SYSTEM_R2_SECRET_KEY: process.env.SYSTEM_R2_SECRET_KEY,
       SYSTEM_R2_BUCKET_NAME: process.env.SYSTEM_R2_BUCKET_NAME,
+      LOCAL_STORAGE_SIGNING_SECRET: process.env.LOCAL_STORAGE_SIGNING_SECRET,
+      LOCAL_STORAGE_ROOT: process.env.LOCAL_STORAGE_ROOT,
     };
 
     // Get configuration based on mode
@@ -81,18 +83,18 @@ export default async function handler(context, req) {
 
     // Test 1: Upload file
     context.log(`Testing upload to path: ${testPath}`);
-    await driver.uploadFile(testPath, testBuffer, 'text/plain');
+    await driver.upload(testPath, testBuffer, 'text/plain');
     context.log('Upload successful');
 
     // Test 2: Verify file exists (optional, but confirms upload worked)
-    const fileUrl = await driver.getPresignedUrl(testPath, 60); // 1 minute expiry
+    const fileUrl = await driver.getDownloadUrl(testPath, 60); // 1 minute expiry
     if (!fileUrl) {
       throw new Error('Failed to generate presigned URL after upload');
     }
     context.log('Presigned URL generation successful');
 
     // Test 3: Delete test file (cleanup)
-    await driver.deleteFile(testPath);
+    await driver.delete(testPath);
     context.log('Cleanup successful');
 
     return respond(context, 200, {
@@ -0,0 +1,316 @@
+/* eslint-env node */
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  normalizeString,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+  resolveTenantClient,
+} from '../_shared/org-bff.js';
+import { isUUID } from '../_shared/validation.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import { isStudentTaughtBy } from '../_shared/student-schedule.js';
+import { STUDENT_GOAL_SELECT, parseStudentGoalPayload } from '../_shared/student-goals.js';
+
+const STUDENT_ACCESS_SELECT = 'id, name, assigned_instructor_id, schedule_slots';
+
+function extractGoalId(context, req, body) {
+  const candidate =
+    normalizeString(context?.bindingData?.goalId) ||
+    normalizeString(body?.goal_id) ||
+    normalizeString(req?.query?.goal_id);
+
+  return isUUID(candidate) ? candidate : '';
+}
+
+// Admins manage every student's goals; other members only those of students they teach
+async function loadAccessibleStudent(context, tenantClient, { studentId, role, userId }) {
+  const { data, error } = await tenantClient
+    .from('Students')
+    .select(STUDENT_ACCESS_SELECT)
+    .eq('id', studentId)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('student-goals failed to load student', { message: error.message, studentId });
+    return { error: { status: 500, message: 'failed_to_load_student' } };
+  }
+  if (!data) {
+    return { error: { status: 404, message: 'student_not_found' } };
+  }
+  if (!isAdminRole(role) && !isStudentTaughtBy(data, userId)) {
+    return { error: { status: 403, message: 'student_not_assigned_to_user' } };
+  }
+  return { student: data };
+}
+
+async function loadWritableGoal(context, tenantClient, { goalId, role, userId }) {
+  const { data: goal, error } = await tenantClient
+    .from('StudentGoals')
+    .select(STUDENT_GOAL_SELECT)
+    .eq('id', goalId)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('student-goals failed to load goal', { message: error.message, goalId });
+    return { error: { status: 500, message: 'failed_to_load_goal' } };
+  }
+  if (!goal) {
+    return { error: { status: 404, message: 'goal_not_found' } };
+  }
+
+  const loaded = await loadAccessibleStudent(context, tenantClient, { studentId: goal.student_id, role, userId });
+  if (loaded.error) {
+    return loaded;
+  }
+  return { goal, student: loaded.student };
+}
+
+async function recordAudit(context, supabase, { orgId, userId, userEmail, role, actionType, goal, student }) {
+  try {
+    await logAuditEvent(supabase, {
+      orgId,
+      userId,
+      userEmail: normalizeString(userEmail),
+      userRole: role,
+      actionType,
+      actionCategory: AUDIT_CATEGORIES.STUDENTS,
+      resourceType: 'student_goal',
+      resourceId: goal.id,
+      details: {
+        student_id: goal.student_id,
+        student_name: student?.name || null,
+        title: goal.title,
+        status: goal.status,
+      },
+    });
+  } catch (auditError) {
+    context.log?.error?.('student-goals failed to log audit event', { message: auditError?.message });
+  }
+}
+
+async function handleList(context, req, { tenantClient, role, userId }) {
+  const studentId = normalizeString(req?.query?.student_id);
+  if (!isUUID(studentId)) {
+    return respond(context, 400, { message: 'invalid_student_id' });
+  }
+
+  const loaded = await loadAccessibleStudent(context, tenantClient, { studentId, role, userId });
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const { data, error } = await tenantClient
+    .from('StudentGoals')
+    .select(STUDENT_GOAL_SELECT)
+    .eq('student_id', studentId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    context.log?.error?.('student-goals failed to list goals', { message: error.message, studentId });
+    return respond(context, 500, { message: 'failed_to_load_goals' });
+  }
+
+  return respond(context, 200, Array.isArray(data) ? data : []);
+}
+
+async function handleCreate(context, { supabase, tenantClient, orgId, userId, userEmail, role, body }) {
+  const parsed = parseStudentGoalPayload(body);
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+
+  const loaded = await loadAccessibleStudent(context, tenantClient, { studentId: parsed.value.student_id, role, userId });
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const { data, error } = await tenantClient
+    .from('StudentGoals')
+    .insert({ ...parsed.value, created_by: userId, updated_at: new Date().toISOString() })
+    .select(STUDENT_GOAL_SELECT)
+    .single();
+
+  if (error) {
+    context.log?.error?.('student-goals failed to create goal', { message: error.message });
+    return respond(context, 500, { message: 'failed_to_save_goal' });
+  }
+
+  await recordAudit(context, supabase, {
+    orgId,
+    userId,
+    userEmail,
+    role,
+    actionType: AUDIT_ACTIONS.STUDENT_GOAL_SAVED,
+    goal: data,
+    student: loaded.student,
+  });
+
+  return respond(context, 201, data);
+}
+
+async function handleUpdate(context, { supabase, tenantClient, orgId, userId, userEmail, role, goalId, body }) {
+  const parsed = parseStudentGoalPayload(body, { partial: true });
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+  if (!Object.keys(parsed.value).length) {
+    return respond(context, 400, { message: 'missing_updates' });
+  }
+
+  const loaded = await loadWritableGoal(context, tenantClient, { goalId, role, userId });
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  // Only one date may be sent, so the range is checked against the stored other end
+  const startDate = parsed.value.start_date !== undefined ? parsed.value.start_date : loaded.goal.start_date;
+  const targetDate = parsed.value.target_date !== undefined ? parsed.value.target_date : loaded.goal.target_date;
+  if (startDate && targetDate && startDate > targetDate) {
+    return respond(context, 400, { message: 'invalid_date_range' });
+  }
+
+  const { data, error } = await tenantClient
+    .from('StudentGoals')
+    .update({ ...parsed.value, updated_at: new Date().toISOString() })
+    .eq('id', goalId)
+    .select(STUDENT_GOAL_SELECT)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('student-goals failed to update goal', { message: error.message, goalId });
+    return respond(context, 500, { message: 'failed_to_save_goal' });
+  }
+  if (!data) {
+    return respond(context, 404, { message: 'goal_not_found' });
+  }
+
+  await recordAudit(context, supabase, {
+    orgId,
+    userId,
+    userEmail,
+    role,
+    actionType: AUDIT_ACTIONS.STUDENT_GOAL_SAVED,
+    goal: data,
+    student: loaded.student,
+  });
+
+  return respond(context, 200, data);
+}
+
+async function handleDelete(context, { supabase, tenantClient, orgId, userId, userEmail, role, goalId }) {
+  const loaded = await loadWritableGoal(context, tenantClient, { goalId, role, userId });
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const { error } = await tenantClient
+    .from('StudentGoals')
+    .delete()
+    .eq('id', goalId);
+
+  if (error) {
+    context.log?.error?.('student-goals failed to delete goal', { message: error.message, goalId });
+    return respond(context, 500, { message: 'failed_to_delete_goal' });
+  }
+
+  await recordAudit(context, supabase, {
+    orgId,
+    userId,
+    userEmail,
+    role,
+    actionType: AUDIT_ACTIONS.STUDENT_GOAL_REMOVED,
+    goal: loaded.goal,
+    student: loaded.student,
+  });
+
+  return respond(context, 200, { message: 'goal_deleted', id: goalId });
+}
+
+export default async function (context, req) {
+  const method = String(req.method || 'GET').toUpperCase();
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(method)) {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'GET, POST, PUT, DELETE' });
+  }
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('student-goals missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    context.log?.warn?.('student-goals missing bearer token');
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('student-goals failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = normalizeString(authResult.data.user.id);
+  const userEmail = authResult.data.user.email;
+  const body = method === 'GET' ? {} : parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('student-goals failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  if (!role) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+  if (tenantError) {
+    return respond(context, tenantError.status, tenantError.body);
+  }
+
+  const requestContext = { supabase, tenantClient, orgId, userId, userEmail, role, body };
+
+  if (method === 'GET') {
+    return handleList(context, req, requestContext);
+  }
+
+  if (method === 'POST') {
+    return handleCreate(context, requestContext);
+  }
+
+  const goalId = extractGoalId(context, req, body);
+  if (!goalId) {
+    return respond(context, 400, { message: 'invalid_goal_id' });
+  }
+
+  return method === 'PUT'
+    ? handleUpdate(context, { ...requestContext, goalId })
+    : handleDelete(context, { ...requestContext, goalId });
+}
@@ -0,0 +1,559 @@
+/* eslint-env node */
+import { resolveBearerAuthorization } from '../_shared/http.js';
+import { createSupabaseAdminClient, readSupabaseAdminConfig } from '../_shared/supabase-admin.js';
+import {
+  ensureMembership,
+  isAdminRole,
+  normalizeString,
+  parseRequestBody,
+  readEnv,
+  respond,
+  resolveOrgId,
+  resolveTenantClient,
+} from '../_shared/org-bff.js';
+import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
+import { ensureOrgPermissions } from '../_shared/permissions-utils.js';
+import { isUUID } from '../_shared/validation.js';
+import { loadAllRows } from '../_shared/reports.js';
+import { createOrgStorageDriver } from '../_shared/org-storage.js';
+import { loadExportLogos, withPdfRenderer } from '../_shared/pdf-export.js';
+import { generatePdfHtml, loadSessionFormConfig, loadStudentPdfData } from '../_shared/student-pdf.js';
+import {
+  ACTIVE_JOB_STATUSES,
+  EXPORT_ITEM_STATUS,
+  EXPORT_JOB_KINDS,
+  EXPORT_JOB_STATUS,
+  EXPORT_RETENTION_HOURS,
+  JOB_LEASE_SECONDS,
+  MAX_BATCH_STUDENTS,
+  buildBatchItems,
+  buildBatchZip,
+  buildBatchZipName,
+  buildExportJobPrefix,
+  countBatchItems,
+  describeExportJob,
+  isJobExpired,
+  parseBatchExportRequest,
+  runBatchStep,
+  selectBatchStudents,
+} from '../_shared/export-jobs.js';
+
+const JOB_SELECT = 'id, kind, status, params, items, result_path, result_size, error, lease_until, created_by, created_at, updated_at, completed_at, expires_at';
+const DOWNLOAD_URL_TTL_SECONDS = 60 * 60;
+const RECENT_JOBS_LIMIT = 10;
+const PDF_NOT_ENABLED = Object.freeze({
+  message: 'pdf_export_not_enabled',
+  description: 'PDF export is a premium feature. Contact support to enable this feature.',
+});
+
+function extractJobId(context, req) {
+  const candidate =
+    normalizeString(context?.bindingData?.jobId) ||
+    normalizeString(req?.query?.job_id);
+
+  return isUUID(candidate) ? candidate : '';
+}
+
+async function loadPermissions(context, supabase, orgId) {
+  try {
+    return { permissions: await ensureOrgPermissions(supabase, orgId) };
+  } catch (permError) {
+    context.log?.error?.('students-export-batch failed to load permissions', { message: permError?.message, orgId });
+    return { error: { status: 500, message: 'failed_to_load_permissions' } };
+  }
+}
+
+// Job files are kept in the org's own storage, like scheduled backups
+async function loadStorage(context, supabase, env, orgId) {
+  const { data, error } = await supabase
+    .from('org_settings')
+    .select('storage_profile')
+    .eq('org_id', orgId)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('students-export-batch failed to load org settings', { message: error.message, orgId });
+    return { error: { status: 500, message: 'failed_to_load_settings' } };
+  }
+
+  try {
+    const driver = createOrgStorageDriver(data?.storage_profile, env);
+    if (!driver) {
+      return { error: { status: 424, message: 'storage_not_configured' } };
+    }
+    return { driver, mode: data.storage_profile.mode };
+  } catch (storageError) {
+    context.log?.error?.('students-export-batch failed to open storage', { message: storageError?.message, orgId });
+    return { error: { status: 424, message: 'storage_not_configured' } };
+  }
+}
+
+async function loadJob(context, tenantClient, jobId) {
+  const { data, error } = await tenantClient
+    .from('ExportJobs')
+    .select(JOB_SELECT)
+    .eq('id', jobId)
+    .eq('kind', EXPORT_JOB_KINDS.STUDENT_PDF_BATCH)
+    .maybeSingle();
+
+  if (error) {
+    context.log?.error?.('students-export-batch failed to load job', { message: error.message, jobId });
+    return { error: { status: 500, message: 'failed_to_load_export_job' } };
+  }
+  if (!data) {
+    return { error: { status: 404, message: 'export_job_not_found' } };
+  }
+  return { job: data };
+}
+
+function listJobFiles(job) {
+  const items = Array.isArray(job.items) ? job.items : [];
+  return [...items.map((item) => item.path), job.result_path].filter(Boolean);
+}
+
+// Best effort: a file left behind is only storage, never data exposure
+async function removeFiles(context, driver, paths) {
+  const results = await Promise.allSettled(paths.map((path) => driver.delete(path)));
+  const failed = results.filter((result) => result.status === 'rejected').length;
+  if (failed) {
+    context.log?.warn?.('students-export-batch failed to delete export files', { failed, total: paths.length });
+  }
+}
+
+async function sweepExpiredJobs(context, tenantClient, driver) {
+  const { data, error } = await tenantClient
+    .from('ExportJobs')
+    .select('id, items, result_path')
+    .eq('status', EXPORT_JOB_STATUS.COMPLETED)
+    .lt('expires_at', new Date().toISOString());
+
+  if (error || !data?.length) {
+    return;
+  }
+  for (const job of data) {
+    await removeFiles(context, driver, listJobFiles(job));
+  }
+  await tenantClient.from('ExportJobs').delete().in('id', data.map((job) => job.id));
+}
+
+async function failJob(context, tenantClient, job, driver, message) {
+  if (driver) {
+    await removeFiles(context, driver, listJobFiles(job));
+  }
+  const now = new Date().toISOString();
+  const { data } = await tenantClient
+    .from('ExportJobs')
+    .update({ status: EXPORT_JOB_STATUS.FAILED, error: message, lease_until: null, updated_at: now, completed_at: now })
+    .eq('id', job.id)
+    .select(JOB_SELECT)
+    .maybeSingle();
+  return data || { ...job, status: EXPORT_JOB_STATUS.FAILED, error: message };
+}
+
+async function respondWithJob(context, job, driver) {
+  const body = { job: describeExportJob(job) };
+  if (job.status === EXPORT_JOB_STATUS.COMPLETED && job.result_path && !isJobExpired(job) && driver) {
+    try {
+      body.download_url = await driver.getDownloadUrl(job.result_path, DOWNLOAD_URL_TTL_SECONDS, buildBatchZipName(job), 'attachment');
+    } catch (error) {
+      context.log?.error?.('students-export-batch failed to sign download', { message: error?.message, jobId: job.id });
+      return respond(context, 500, { message: 'failed_to_prepare_download' });
+    }
+  }
+  return respond(context, 200, body, { 'Cache-Control': 'no-store' });
+}
+
+async function handleCreate(context, requestContext) {
+  const { supabase, tenantClient, env, orgId, userId, userEmail, role, body } = requestContext;
+  const parsed = parseBatchExportRequest(body);
+  if (parsed.error) {
+    return respond(context, 400, { message: parsed.error });
+  }
+
+  const loadedPermissions = await loadPermissions(context, supabase, orgId);
+  if (loadedPermissions.error) {
+    return respond(context, loadedPermissions.error.status, { message: loadedPermissions.error.message });
+  }
+  if (!loadedPermissions.permissions?.can_export_pdf_reports) {
+    return respond(context, 403, PDF_NOT_ENABLED);
+  }
+
+  const storage = await loadStorage(context, supabase, env, orgId);
+  if (storage.error) {
+    return respond(context, storage.error.status, { message: storage.error.message });
+  }
+
+  // One batch at a time per org; the client resumes the running one
+  const { data: activeJobs, error: activeError } = await tenantClient
+    .from('ExportJobs')
+    .select('id')
+    .eq('kind', EXPORT_JOB_KINDS.STUDENT_PDF_BATCH)
+    .in('status', ACTIVE_JOB_STATUSES)
+    .limit(1);
+  if (activeError) {
+    context.log?.error?.('students-export-batch failed to check running jobs', { message: activeError.message });
+    return respond(context, 500, { message: 'failed_to_load_export_job' });
+  }
+  if (activeJobs?.length) {
+    return respond(context, 409, { message: 'export_job_in_progress', job_id: activeJobs[0].id });
+  }
+
+  await sweepExpiredJobs(context, tenantClient, storage.driver);
+
+  const studentsResult = await loadAllRows(() => tenantClient
+    .from('Students')
+    .select('id, name, is_active, assigned_instructor_id, tags')
+    .order('id'));
+  if (studentsResult.error) {
+    context.log?.error?.('students-export-batch failed to load students', { message: studentsResult.error.message });
+    return respond(context, 500, { message: 'failed_to_load_students' });
+  }
+
+  const { from, to, services, questionIds, includeSummary, instructorIds, tagIds, includeInactive } = parsed.value;
+  const students = selectBatchStudents(studentsResult.data, parsed.value);
+  if (!students.length) {
+    return respond(context, 400, { message: 'no_students_selected' });
+  }
+  if (students.length > MAX_BATCH_STUDENTS || studentsResult.truncated) {
+    return respond(context, 413, { message: 'too_many_students', limit: MAX_BATCH_STUDENTS });
+  }
+
+  const params = {
+    from,
+    to,
+    services,
+    question_ids: questionIds,
+    include_summary: includeSummary,
+    instructor_ids: instructorIds,
+    tag_ids: tagIds,
+    include_inactive: includeInactive,
+  };
+  const { data: job, error: insertError } = await tenantClient
+    .from('ExportJobs')
+    .insert({
+      kind: EXPORT_JOB_KINDS.STUDENT_PDF_BATCH,
+      status: EXPORT_JOB_STATUS.QUEUED,
+      params,
+      items: buildBatchItems(students),
+      created_by: userId,
+    })
+    .select(JOB_SELECT)
+    .single();
+  if (insertError) {
+    context.log?.error?.('students-export-batch failed to create job', { message: insertError.message });
+    return respond(context, 500, { message: 'failed_to_create_export_job' });
+  }
+
+  try {
+    await logAuditEvent(supabase, {
+      orgId,
+      userId,
+      userEmail: normalizeString(userEmail),
+      userRole: role,
+      actionType: AUDIT_ACTIONS.STUDENTS_PDF_BATCH_EXPORTED,
+      actionCategory: AUDIT_CATEGORIES.STUDENTS,
+      resourceType: 'export_job',
+      resourceId: job.id,
+      details: { ...params, students: students.length },
+    });
+  } catch (auditError) {
+    context.log?.error?.('students-export-batch failed to log audit event', { message: auditError?.message });
+  }
+
+  return respond(context, 202, { job: describeExportJob(job) });
+}
+
+async function renderPendingStudents(context, job, { supabase, tenantClient, env, orgId, permissions, driver, mode }) {
+  const prefix = buildExportJobPrefix(orgId, mode, job.id);
+  const params = job.params || {};
+  const options = {
+    from: params.from || null,
+    to: params.to || null,
+    services: params.services || [],
+    questionIds: params.question_ids || [],
+    includeSummary: params.include_summary === true,
+  };
+  const logPrefix = 'students-export-batch';
+  const [logos, formConfig] = await Promise.all([
+    loadExportLogos(context, { supabase, env, orgId, permissions, logPrefix }),
+    loadSessionFormConfig(context, tenantClient, { logPrefix }),
+  ]);
+
+  return withPdfRenderer(context, { logPrefix }, (render) => runBatchStep(job.items, async (item) => {
+    const loaded = await loadStudentPdfData(context, tenantClient, item.student_id, { ...options, logPrefix });
+    if (loaded.error) {
+      throw new Error(loaded.error.message);
+    }
+    if (!loaded.sessions.length) {
+      return { status: EXPORT_ITEM_STATUS.EMPTY, sessions: 0 };
+    }
+    const pdfBuffer = await render(generatePdfHtml(loaded.student, loaded.sessions, formConfig, logos, options));
+    const path = `${prefix}/students/${item.student_id}.pdf`;
+    await driver.upload(path, pdfBuffer, 'application/pdf');
+    return { status: EXPORT_ITEM_STATUS.DONE, path, sessions: loaded.sessions.length };
+  }));
+}
+
+async function finishJob(context, job, { tenantClient, orgId, driver, mode }) {
+  const now = new Date();
+  const zipBuffer = await buildBatchZip(job.items, (path) => driver.getFile(path));
+  const resultPath = `${buildExportJobPrefix(orgId, mode, job.id)}/${buildBatchZipName(job)}`;
+  await driver.upload(resultPath, zipBuffer, 'application/zip');
+
+  const { data, error } = await tenantClient
+    .from('ExportJobs')
+    .update({
+      status: EXPORT_JOB_STATUS.COMPLETED,
+      result_path: resultPath,
+      result_size: zipBuffer.length,
+      lease_until: null,
+      updated_at: now.toISOString(),
+      completed_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000).toISOString(),
+    })
+    .eq('id', job.id)
+    .eq('status', EXPORT_JOB_STATUS.RUNNING)
+    .select(JOB_SELECT)
+    .maybeSingle();
+  if (error) {
+    throw new Error(error.message);
+  }
+  if (!data) {
+    // Cancelled while the ZIP was being built
+    await removeFiles(context, driver, [resultPath]);
+    return null;
+  }
+
+  // The ZIP holds everything now
+  await removeFiles(context, driver, job.items.map((item) => item.path).filter(Boolean));
+  return data;
+}
+
+// Every poll of a running job advances it by one step, unless another poll holds the lease
+async function handleStep(context, jobId, requestContext) {
+  const { supabase, tenantClient, env, orgId } = requestContext;
+  const loaded = await loadJob(context, tenantClient, jobId);
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  if (!ACTIVE_JOB_STATUSES.includes(loaded.job.status)) {
+    if (loaded.job.status !== EXPORT_JOB_STATUS.COMPLETED || isJobExpired(loaded.job)) {
+      return respondWithJob(context, loaded.job, null);
+    }
+    const storage = await loadStorage(context, supabase, env, orgId);
+    if (storage.error) {
+      return respond(context, storage.error.status, { message: storage.error.message });
+    }
+    return respondWithJob(context, loaded.job, storage.driver);
+  }
+
+  const now = new Date();
+  const { data: claimed, error: claimError } = await tenantClient
+    .from('ExportJobs')
+    .update({
+      status: EXPORT_JOB_STATUS.RUNNING,
+      lease_until: new Date(now.getTime() + JOB_LEASE_SECONDS * 1000).toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .eq('id', jobId)
+    .in('status', ACTIVE_JOB_STATUSES)
+    .or(`lease_until.is.null,lease_until.lt."${now.toISOString()}"`)
+    .select(JOB_SELECT)
+    .maybeSingle();
+  if (claimError) {
+    context.log?.error?.('students-export-batch failed to claim job', { message: claimError.message, jobId });
+    return respond(context, 500, { message: 'failed_to_update_export_job' });
+  }
+  if (!claimed) {
+    return respondWithJob(context, loaded.job, null);
+  }
+
+  const storage = await loadStorage(context, supabase, env, orgId);
+  if (storage.error) {
+    return respondWithJob(context, await failJob(context, tenantClient, claimed, null, storage.error.message), null);
+  }
+  const { driver } = storage;
+
+  // Permissions are checked on every step, so revoking PDF export stops a running batch
+  const loadedPermissions = await loadPermissions(context, supabase, orgId);
+  if (loadedPermissions.error) {
+    await tenantClient.from('ExportJobs').update({ lease_until: null }).eq('id', jobId);
+    return respond(context, loadedPermissions.error.status, { message: loadedPermissions.error.message });
+  }
+  const { permissions } = loadedPermissions;
+  if (!permissions?.can_export_pdf_reports) {
+    return respondWithJob(context, await failJob(context, tenantClient, claimed, driver, PDF_NOT_ENABLED.message), null);
+  }
+
+  const stepContext = { ...requestContext, permissions, driver, mode: storage.mode };
+  const counts = countBatchItems(claimed.items);
+
+  if (counts.processed < counts.total) {
+    let step;
+    try {
+      step = await renderPendingStudents(context, claimed, stepContext);
+    } catch (error) {
+      // Usually the browser failing to start; the next poll retries
+      context.log?.error?.('students-export-batch step failed', { message: error?.message, stack: error?.stack, jobId });
+      await tenantClient.from('ExportJobs').update({ lease_until: null }).eq('id', jobId);
+      return respond(context, 500, { message: 'failed_to_generate_pdf' });
+    }
+
+    const { data: saved, error: saveError } = await tenantClient
+      .from('ExportJobs')
+      .update({ items: step.items, lease_until: null, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('status', EXPORT_JOB_STATUS.RUNNING)
+      .select(JOB_SELECT)
+      .maybeSingle();
+    if (saveError) {
+      context.log?.error?.('students-export-batch failed to save progress', { message: saveError.message, jobId });
+      return respond(context, 500, { message: 'failed_to_update_export_job' });
+    }
+    if (!saved) {
+      // Cancelled during the step; drop what it rendered
+      const rendered = step.items.filter((item, index) => item.path && !claimed.items[index]?.path);
+      await removeFiles(context, driver, rendered.map((item) => item.path));
+      return respond(context, 200, { job: { ...describeExportJob(claimed), status: EXPORT_JOB_STATUS.CANCELLED } });
+    }
+    return respondWithJob(context, saved, null);
+  }
+
+  if (!counts.exported) {
+    return respondWithJob(context, await failJob(context, tenantClient, claimed, driver, 'no_sessions_in_range'), null);
+  }
+
+  let completed;
+  try {
+    completed = await finishJob(context, claimed, stepContext);
+  } catch (error) {
+    context.log?.error?.('students-export-batch failed to build archive', { message: error?.message, jobId });
+    return respondWithJob(context, await failJob(context, tenantClient, claimed, driver, 'failed_to_build_archive'), null);
+  }
+  if (!completed) {
+    return respond(context, 200, { job: { ...describeExportJob(claimed), status: EXPORT_JOB_STATUS.CANCELLED } });
+  }
+  return respondWithJob(context, completed, driver);
+}
+
+async function handleList(context, { tenantClient }) {
+  const { data, error } = await tenantClient
+    .from('ExportJobs')
+    .select(JOB_SELECT)
+    .eq('kind', EXPORT_JOB_KINDS.STUDENT_PDF_BATCH)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_JOBS_LIMIT);
+
+  if (error) {
+    context.log?.error?.('students-export-batch failed to list jobs', { message: error.message });
+    return respond(context, 500, { message: 'failed_to_load_export_job' });
+  }
+  const now = new Date();
+  return respond(context, 200, { jobs: (data || []).map((job) => describeExportJob(job, now)) }, { 'Cache-Control': 'no-store' });
+}
+
+// Cancels a running job or discards a finished one, with its files
+async function handleDelete(context, jobId, { supabase, tenantClient, env, orgId }) {
+  const loaded = await loadJob(context, tenantClient, jobId);
+  if (loaded.error) {
+    return respond(context, loaded.error.status, { message: loaded.error.message });
+  }
+
+  const { error } = await tenantClient.from('ExportJobs').delete().eq('id', jobId);
+  if (error) {
+    context.log?.error?.('students-export-batch failed to delete job', { message: error.message, jobId });
+    return respond(context, 500, { message: 'failed_to_delete_export_job' });
+  }
+
+  const files = listJobFiles(loaded.job);
+  if (files.length) {
+    const storage = await loadStorage(context, supabase, env, orgId);
+    if (storage.driver) {
+      await removeFiles(context, storage.driver, files);
+    }
+  }
+
+  return respond(context, 200, { deleted: true, id: jobId });
+}
+
+export default async function (context, req) {
+  const method = String(req.method || 'GET').toUpperCase();
+  if (!['GET', 'POST', 'DELETE'].includes(method)) {
+    return respond(context, 405, { message: 'method_not_allowed' }, { Allow: 'GET, POST, DELETE' });
+  }
+
+  const env = readEnv(context);
+  const adminConfig = readSupabaseAdminConfig(env);
+
+  if (!adminConfig.supabaseUrl || !adminConfig.serviceRoleKey) {
+    context.log?.error?.('students-export-batch missing Supabase admin credentials');
+    return respond(context, 500, { message: 'server_misconfigured' });
+  }
+
+  const authorization = resolveBearerAuthorization(req);
+  if (!authorization?.token) {
+    return respond(context, 401, { message: 'missing bearer' });
+  }
+
+  const supabase = createSupabaseAdminClient(adminConfig);
+
+  let authResult;
+  try {
+    authResult = await supabase.auth.getUser(authorization.token);
+  } catch (error) {
+    context.log?.error?.('students-export-batch failed to validate token', { message: error?.message });
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  if (authResult.error || !authResult.data?.user?.id) {
+    return respond(context, 401, { message: 'invalid or expired token' });
+  }
+
+  const userId = normalizeString(authResult.data.user.id);
+  const userEmail = authResult.data.user.email;
+  const body = method === 'GET' ? {} : parseRequestBody(req);
+  const orgId = resolveOrgId(req, body);
+
+  if (!orgId) {
+    return respond(context, 400, { message: 'invalid org id' });
+  }
+
+  let role;
+  try {
+    role = await ensureMembership(supabase, orgId, userId);
+  } catch (membershipError) {
+    context.log?.error?.('students-export-batch failed to verify membership', {
+      message: membershipError?.message,
+      orgId,
+      userId,
+    });
+    return respond(context, 500, { message: 'failed_to_verify_membership' });
+  }
+
+  // Same audience as the single-student PDF export
+  if (!role || !isAdminRole(role)) {
+    return respond(context, 403, { message: 'forbidden' });
+  }
+
+  const { client: tenantClient, error: tenantError } = await resolveTenantClient(context, supabase, env, orgId);
+  if (tenantError) {
+    return respond(context, tenantError.status, tenantError.body);
+  }
+
+  const requestContext = { supabase, tenantClient, env, orgId, userId, userEmail, role, body };
+  const jobId = extractJobId(context, req);
+
+  if (method === 'POST') {
+    return handleCreate(context, requestContext);
+  }
+  if (!jobId) {
+    return method === 'GET'
+      ? handleList(context, requestContext)
+      : respond(context, 400, { message: 'invalid_job_id' });
+  }
+
+  return method === 'GET'
+    ? handleStep(context, jobId, requestContext)
+    : handleDelete(context, jobId, requestContext);
+}
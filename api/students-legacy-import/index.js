@@ -15,6 +15,9 @@ import {
 import { parseCsv } from '../_shared/csv.js';
 import { coerceOptionalText, parseJsonBodyWithLimit } from '../_shared/validation.js';
 import { buildSessionMetadata } from '../_shared/session-metadata.js';
+import { loadAllRows } from '../_shared/reports.js';
+import { respondIfPayrollLocked } from '../_shared/payroll.js';
+import { BILLED_SESSION_ERROR, findBilledSessions } from '../_shared/billing.js';
 
 const MAX_BODY_BYTES = 2 * 1024 * 1024;
 
@@ -288,18 +291,22 @@ export default async function legacyImport(context, req) {
     return respond(context, 400, { message: 'student_missing_instructor' });
   }
 
-  const { count: legacyCount, error: legacyCheckError } = await tenantClient
+  const legacyResult = await loadAllRows(() => tenantClient
     .from('SessionRecords')
-    .select('id', { count: 'exact', head: true })
+    .select('id, instructor_id, date')
     .eq('student_id', studentId)
-    .eq('is_legacy', true);
+    .eq('is_legacy', true)
+    .order('id', { ascending: true }));
 
-  if (legacyCheckError) {
-    context.log?.error?.('legacy-import failed to check existing legacy records', { message: legacyCheckError.message });
+  if (legacyResult.error) {
+    context.log?.error?.('legacy-import failed to check existing legacy records', { message: legacyResult.error.message });
     return respond(context, 500, { message: 'failed_to_check_legacy_records' });
   }
 
-  if (!canReupload && legacyCount && legacyCount > 0) {
+  const existingLegacy = legacyResult.data;
+  const legacyCount = existingLegacy.length;
+
+  if (!canReupload && legacyCount > 0) {
     return respond(context, 409, { message: 'legacy_import_already_exists' });
   }
 
@@ -458,7 +465,23 @@ export default async function legacyImport(context, req) {
     return respond(context, 400, { message: 'no_rows_to_import' });
   }
 
-  const replaced = legacyCount || 0;
+  const replaced = legacyCount;
+
+  // Legacy records count toward payroll hours: neither the rows being replaced nor
+  // the new ones may touch a month that has already been approved
+  const lockedResponse = await respondIfPayrollLocked(context, tenantClient, [
+    ...existingLegacy.map((record) => ({ instructorId: record.instructor_id, date: record.date })),
+    ...records.map((record) => ({ instructorId: record.instructor_id, date: record.date })),
+  ]);
+  if (lockedResponse) {
+    return lockedResponse;
+  }
+
+  // Re-imported rows get new ids, so replacing billed ones would bill them again next run
+  const { billed } = await findBilledSessions(context, tenantClient, existingLegacy.map((record) => record.id));
+  if (billed) {
+    return respond(context, 409, { message: BILLED_SESSION_ERROR });
+  }
 
   const { error: deleteError } = await tenantClient
     .from('SessionRecords')
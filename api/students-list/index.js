@@ -23,6 +23,17 @@ import {
   validateAssignedInstructor,
   validateIsraeliPhone,
 } from '../_shared/student-validation.js';
+import {
+  applyStudentListFilters,
+  applyStudentListSort,
+  parseStudentListQuery,
+} from '../_shared/student-list-query.js';
+import {
+  applyLegacyScheduleUpdate,
+  buildInstructorStudentFilter,
+  buildLegacyScheduleFields,
+  coerceScheduleSlots,
+} from '../_shared/student-schedule.js';
 
 function extractStudentId(context, req, body) {
   const candidate =
@@ -110,6 +121,11 @@ function buildStudentPayload(body) {
   if (!nationalIdResult.valid) {
     return { error: 'invalid_national_id' };
   }
+
+  const slotsResult = coerceScheduleSlots(body?.schedule_slots ?? body?.scheduleSlots ?? null);
+  if (!slotsResult.valid) {
+    return { error: slotsResult.error };
+  }
   
   // National ID is required
   if (!nationalIdResult.value) {
@@ -129,6 +145,8 @@ function buildStudentPayload(body) {
       notes: notesResult.value,
       tags: tagsResult.value,
       is_active: isActiveValue,
+      schedule_slots: slotsResult.value,
+      ...buildLegacyScheduleFields(slotsResult.value),
     },
   };
 }
@@ -288,6 +306,21 @@ function buildStudentUpdates(body) {
     hasAny = true;
   }
 
+  if (
+    Object.prototype.hasOwnProperty.call(body, 'schedule_slots') ||
+    Object.prototype.hasOwnProperty.call(body, 'scheduleSlots')
+  ) {
+    const { value, valid, error } = coerceScheduleSlots(
+      Object.prototype.hasOwnProperty.call(body, 'schedule_slots') ? body.schedule_slots : body.scheduleSlots,
+    );
+    if (!valid) {
+      return { error };
+    }
+    updates.schedule_slots = value;
+    Object.assign(updates, buildLegacyScheduleFields(value));
+    hasAny = true;
+  }
+
   if (!hasAny) {
     return { error: 'missing_updates' };
   }
@@ -405,14 +438,18 @@ export default async function handler(context, req) {
       }
     }
 
+    const listQuery = parseStudentListQuery(req?.query);
+    if (listQuery.error) {
+      return respond(context, 400, { message: listQuery.error });
+    }
+
     let builder = tenantClient
       .from('Students')
-      .select('*')
-      .order('name', { ascending: true });
+      .select('*', listQuery.pagination ? { count: 'exact' } : undefined);
 
     // Non-admin users (instructors) can only see their assigned students
     if (!isAdmin) {
-      builder = builder.eq('assigned_instructor_id', userId);
+      builder = builder.or(buildInstructorStudentFilter(userId));
     } else {
       // Admins can optionally filter by instructor
       const assignedInstructorId = normalizeString(req?.query?.assigned_instructor_id);
@@ -434,15 +471,38 @@ export default async function handler(context, req) {
     }
 
     builder = builder.or('metadata->intake_dismissal->>active.is.null,metadata->intake_dismissal->>active.neq.true');
+    builder = applyStudentListFilters(builder, listQuery);
+    builder = applyStudentListSort(builder, listQuery.sort);
+
+    if (listQuery.pagination) {
+      const { limit, offset } = listQuery.pagination;
+      builder = builder.range(offset, offset + limit - 1);
+    }
 
-    const { data, error } = await builder;
+    const { data, error, count } = await builder;
 
     if (error) {
       context.log?.error?.('students-list failed to fetch roster', { message: error.message });
       return respond(context, 500, { message: 'failed_to_load_students' });
     }
 
-    return respond(context, 200, Array.isArray(data) ? data : []);
+    const rows = Array.isArray(data) ? data : [];
+
+    if (!listQuery.pagination) {
+      return respond(context, 200, rows);
+    }
+
+    const { limit, offset } = listQuery.pagination;
+    const total = typeof count === 'number' ? count : offset + rows.length;
+    const nextOffset = offset + rows.length < total && rows.length > 0 ? offset + rows.length : null;
+
+    return respond(context, 200, {
+      students: rows,
+      total,
+      limit,
+      offset,
+      next_offset: nextOffset,
+    });
   }
 
   // POST and PUT require admin role
@@ -479,7 +539,9 @@ export default async function handler(context, req) {
                 ? 'invalid tags'
                 : normalized.error === 'invalid_is_active'
                   ? 'invalid is_active flag'
-                  : 'invalid payload';
+                  : normalized.error === 'invalid_schedule_slots' || normalized.error.startsWith('invalid_slot_')
+                    ? normalized.error
+                    : 'invalid payload';
       return respond(context, 400, { message });
     }
 
@@ -574,7 +636,9 @@ export default async function handler(context, req) {
                 ? 'invalid tags'
                 : normalizedUpdates.error === 'invalid_is_active'
                   ? 'invalid is_active flag'
-                  : 'invalid payload';
+                  : normalizedUpdates.error === 'invalid_schedule_slots' || normalizedUpdates.error.startsWith('invalid_slot_')
+                    ? normalizedUpdates.error
+                    : 'invalid payload';
     return respond(context, 400, { message: updateMessage });
   }
 
@@ -594,6 +658,15 @@ export default async function handler(context, req) {
     return respond(context, 404, { message: 'student_not_found' });
   }
 
+  // Single-schedule callers (older clients, CSV tools) edit the first stored slot
+  if (!Object.prototype.hasOwnProperty.call(normalizedUpdates.updates, 'schedule_slots')
+    && Array.isArray(existingStudent.schedule_slots) && existingStudent.schedule_slots.length) {
+    const syncedSlots = applyLegacyScheduleUpdate(existingStudent.schedule_slots, normalizedUpdates.updates);
+    if (syncedSlots !== existingStudent.schedule_slots) {
+      normalizedUpdates.updates.schedule_slots = syncedSlots;
+    }
+  }
+
   if (Object.prototype.hasOwnProperty.call(normalizedUpdates.updates, 'national_id')) {
     const desiredNationalId = normalizedUpdates.updates.national_id;
 
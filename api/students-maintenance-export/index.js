@@ -12,6 +12,7 @@ import {
   resolveOrgId,
   resolveTenantClient,
 } from '../_shared/org-bff.js';
+import { formatScheduleSlotsCell } from '../_shared/student-schedule.js';
 
 const EXPORT_COLUMNS = [
   'extraction_reason',
@@ -23,6 +24,7 @@ const EXPORT_COLUMNS = [
   'default_service',
   'default_day_of_week',
   'default_session_time',
+  'schedule_slots',
   'notes',
   'tags',
   'is_active',
@@ -40,6 +42,7 @@ const HEBREW_HEADERS = {
   'default_service': 'שירות ברירת מחדל',
   'default_day_of_week': 'יום ברירת מחדל',
   'default_session_time': 'שעת מפגש ברירת מחדל',
+  'schedule_slots': 'מפגשים קבועים',
   'notes': 'הערות',
   'tags': 'תגיות',
   'is_active': 'פעיל',
@@ -116,7 +119,7 @@ export default async function handler(context, req) {
   const { data: students, error: studentsError } = await tenantClient
     .from('Students')
     .select(
-      'id, name, national_id, contact_name, contact_phone, assigned_instructor_id, default_service, default_day_of_week, default_session_time, notes, tags, is_active',
+      'id, name, national_id, contact_name, contact_phone, assigned_instructor_id, default_service, default_day_of_week, default_session_time, schedule_slots, notes, tags, is_active',
     )
     .order('name', { ascending: true });
 
@@ -351,6 +354,7 @@ export default async function handler(context, req) {
           default_service: student.default_service || '',
           default_day_of_week: dayOfWeek,
           default_session_time: sessionTime,
+          schedule_slots: formatScheduleSlotsCell(student.schedule_slots, instructorLookup),
           notes: student.notes || '',
           tags: tags.join('; '),
           is_active: student.is_active === false ? 'לא' : 'כן',
@@ -22,6 +22,12 @@ import {
   validateIsraeliPhone,
 } from '../_shared/student-validation.js';
 import { parseCsv } from '../_shared/csv.js';
+import {
+  applyLegacyScheduleUpdate,
+  areScheduleSlotsEqual,
+  buildLegacyScheduleFields,
+  parseScheduleSlotsCell,
+} from '../_shared/student-schedule.js';
 import { logAuditEvent, AUDIT_ACTIONS, AUDIT_CATEGORIES } from '../_shared/audit-log.js';
 
 const ID_COLUMN_CANDIDATES = ['system_uuid', 'student_id', 'id', 'מזהה מערכת (uuid)', 'מזהה מערכת'];
@@ -217,6 +223,9 @@ export default async function handler(context, req) {
     'session_time': 'שעת מפגש ברירת מחדל',
     'sessiontime': 'שעת מפגש ברירת מחדל',
     'שעת מפגש ברירת מחדל': 'שעת מפגש ברירת מחדל',
+    // Recurring slots
+    'schedule_slots': 'מפגשים קבועים',
+    'מפגשים קבועים': 'מפגשים קבועים',
     // Notes
     'notes': 'הערות',
     'הערות': 'הערות',
@@ -298,6 +307,18 @@ export default async function handler(context, req) {
     }
   }
 
+  // Slot instructors in the schedule column may be given by id, name or email
+  const resolveSlotInstructorId = (value) => {
+    const normalized = normalizeString(value);
+    if (instructorById.has(normalized)) {
+      return normalized;
+    }
+    const lowered = normalized.toLowerCase();
+    const instructor = instructorByName.get(lowered)
+      || (instructors || []).find((entry) => normalizeString(entry?.email).toLowerCase() === lowered);
+    return instructor?.id || null;
+  };
+
   // Fetch student tags for name-to-ID lookup
   const { data: tagsSettings } = await tenantClient
     .from('Settings')
@@ -562,6 +583,40 @@ export default async function handler(context, req) {
       addIfChanged(updates, 'default_session_time', defaultTime.value, existing.default_session_time);
     }
 
+    // The slots column wins over the day/time columns, which only mirror the first slot
+    const slotsRaw = raw?.schedule_slots ?? raw?.['מפגשים קבועים'];
+    if (!isEmptyCell(slotsRaw)) {
+      const slots = shouldClearField(slotsRaw)
+        ? { value: [], valid: true }
+        : parseScheduleSlotsCell(slotsRaw, resolveSlotInstructorId);
+      if (!slots.valid) {
+        failures.push(formatFailure({
+          lineNumber,
+          studentId,
+          name: displayName,
+          code: slots.error || 'invalid_schedule_slots',
+          message: slots.error === 'unknown_slot_instructor'
+            ? `מדריך במפגשים הקבועים לא נמצא: "${slotsRaw}".`
+            : `ערך "${slotsRaw}" אינו חוקי עבור מפגשים קבועים. דוגמה: שני|16:00|45|ריפוי בעיסוק; חמישי|10:30`,
+        }));
+        continue;
+      }
+      if (!areScheduleSlotsEqual(slots.value, existing.schedule_slots)) {
+        updates.schedule_slots = slots.value;
+        delete updates.default_day_of_week;
+        delete updates.default_session_time;
+        const legacy = buildLegacyScheduleFields(slots.value);
+        for (const [key, value] of Object.entries(legacy)) {
+          addIfChanged(updates, key, value, existing[key]);
+        }
+      }
+    } else if (Array.isArray(existing.schedule_slots) && existing.schedule_slots.length) {
+      const synced = applyLegacyScheduleUpdate(existing.schedule_slots, updates);
+      if (synced !== existing.schedule_slots) {
+        updates.schedule_slots = synced;
+      }
+    }
+
     const notesRaw = raw?.notes ?? raw?.Notes ?? raw?.['הערות'];
     if (!isEmptyCell(notesRaw)) {
       if (shouldClearField(notesRaw)) {
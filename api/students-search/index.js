@@ -11,6 +11,7 @@ import {
   resolveOrgId,
   resolveTenantClient,
 } from '../_shared/org-bff.js';
+import { buildInstructorStudentFilter } from '../_shared/student-schedule.js';
 
 export default async function (context, req) {
   const method = String(req.method || 'GET').toUpperCase();
@@ -92,9 +93,9 @@ export default async function (context, req) {
     .from('Students')
     .select('id, name, national_id, is_active, assigned_instructor_id');
 
-  // Member instructors can only see their assigned students
+  // Member instructors can only see students they are assigned to or have a schedule slot with
   if (!isAdminRole(role)) {
-    builder = builder.eq('assigned_instructor_id', userId);
+    builder = builder.or(buildInstructorStudentFilter(userId));
   }
   // Admins see all students (no filter needed)
 
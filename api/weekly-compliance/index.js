@@ -11,6 +11,15 @@ import {
   resolveTenantClient,
 } from '../_shared/org-bff.js';
 import { ensureInstructorColors, resolveInstructorColor } from '../_shared/instructor-colors.js';
+import {
+  DEFAULT_SLOT_DURATION_MINUTES,
+  buildInstructorStudentFilter,
+  resolveStudentScheduleSlots,
+} from '../_shared/student-schedule.js';
+import { describeOccurrenceException, resolveDayOccurrences } from '../_shared/session-exceptions.js';
+import { loadSessionExceptionsInRange } from '../_shared/session-exceptions-loader.js';
+import { loadClosureSettings, resolveClosure } from '../_shared/org-closures.js';
+import { SESSION_RECORD_GROUP_SELECT, describeRecordGroup, indexRecordGroups } from '../_shared/session-groups.js';
 
 const DAY_LABELS = Object.freeze([
   'Sunday',
@@ -23,7 +32,6 @@ const DAY_LABELS = Object.freeze([
 ]);
 
 const GRID_INTERVAL_MINUTES = 30;
-const DEFAULT_SESSION_DURATION_MINUTES = 30;
 const UNASSIGNED_COLOR = '#6B7280';
 const UNASSIGNED_LABEL = 'לא משויך';
 
@@ -88,27 +96,6 @@ function parseWeekStart(value) {
   }
 }
 
-function parseTimeToMinutes(value) {
-  if (!value) {
-    return null;
-  }
-  const raw = String(value).trim();
-  if (!raw) {
-    return null;
-  }
-  const match = raw.match(/^(\d{2}):(\d{2})(?::(\d{2}))?/);
-  if (!match) {
-    return null;
-  }
-  const hours = Number.parseInt(match[1], 10);
-  const minutes = Number.parseInt(match[2], 10);
-  const seconds = match[3] ? Number.parseInt(match[3], 10) : 0;
-  if (Number.isNaN(hours) || Number.isNaN(minutes) || Number.isNaN(seconds)) {
-    return null;
-  }
-  return hours * 60 + minutes + Math.floor(seconds / 60);
-}
-
 function minutesToTimeString(totalMinutes) {
   const minutes = Math.max(0, Number(totalMinutes) || 0);
   const hoursPart = Math.floor(minutes / 60);
@@ -263,16 +250,15 @@ export default async function (context, req) {
 
   let studentQuery = tenantClient
     .from('Students')
-    .select('id, name, assigned_instructor_id, default_day_of_week, default_session_time, is_active');
+    .select('id, name, assigned_instructor_id, default_day_of_week, default_session_time, default_service, schedule_slots, is_active');
 
   studentQuery = studentQuery.eq('is_active', true);
 
-  // Filter by instructor: non-admins see only their students, admins can filter by specific instructor
-  const instructorIdFilter = normalizeString(req.query?.instructor_id);
-  if (!isAdminRole(role)) {
-    studentQuery = studentQuery.eq('assigned_instructor_id', userId);
-  } else if (instructorIdFilter) {
-    studentQuery = studentQuery.eq('assigned_instructor_id', instructorIdFilter);
+  // Filter by instructor: non-admins see only their slots, admins can filter by specific instructor.
+  // A student can have slots with several instructors, so the slot-level filter is applied below.
+  const instructorIdFilter = isAdminRole(role) ? normalizeString(req.query?.instructor_id) : normalizeString(userId);
+  if (instructorIdFilter) {
+    studentQuery = studentQuery.or(buildInstructorStudentFilter(instructorIdFilter));
   }
 
   const { data: studentRows, error: studentError } = await studentQuery;
@@ -283,11 +269,7 @@ export default async function (context, req) {
   }
 
   const students = Array.isArray(studentRows) ? studentRows : [];
-  const relevantStudents = students.filter(student => {
-    const dayOfWeek = Number.parseInt(student?.default_day_of_week, 10);
-    const timeMinutes = parseTimeToMinutes(student?.default_session_time);
-    return Number.isInteger(dayOfWeek) && dayOfWeek >= 1 && dayOfWeek <= 7 && timeMinutes !== null;
-  });
+  const relevantStudents = students.filter(student => resolveStudentScheduleSlots(student).length > 0);
 
   const studentIdSet = new Set();
   for (const student of relevantStudents) {
@@ -299,10 +281,12 @@ export default async function (context, req) {
   const studentIds = Array.from(studentIdSet);
 
   const recordsByKey = new Map();
+  let recordGroups = new Map();
+  let exceptions = [];
   if (studentIds.length) {
     let recordQuery = tenantClient
       .from('SessionRecords')
-      .select('id, student_id, date')
+      .select(SESSION_RECORD_GROUP_SELECT)
       .gte('date', formatUtcDate(weekStart))
       .lte('date', formatUtcDate(weekEnd))
       .eq('deleted', false);
@@ -315,18 +299,32 @@ export default async function (context, req) {
       return respond(context, 500, { message: 'failed_to_load_sessions' });
     }
 
+    recordGroups = indexRecordGroups(recordRows);
     if (Array.isArray(recordRows)) {
       for (const record of recordRows) {
         const recordStudentId = normalizeString(record?.student_id);
         const recordDate = normalizeDateString(record?.date);
         const key = recordStudentId && recordDate ? `${recordStudentId}|${recordDate}` : null;
-        if (key && !recordsByKey.has(key)) {
-          recordsByKey.set(key, record?.id || true);
+        if (key) {
+          if (!recordsByKey.has(key)) {
+            recordsByKey.set(key, []);
+          }
+          recordsByKey.get(key).push(record?.id || true);
         }
       }
     }
+
+    const exceptionsResult = await loadSessionExceptionsInRange(context, tenantClient, {
+      from: formatUtcDate(weekStart),
+      to: formatUtcDate(weekEnd),
+      studentIds,
+      source: 'weekly-compliance',
+    });
+    exceptions = exceptionsResult.data;
   }
 
+  const closureSettings = await loadClosureSettings(context, tenantClient, 'weekly-compliance');
+
   const usedInstructorIds = new Set();
   let earliestMinutes = Number.POSITIVE_INFINITY;
   let latestMinutes = Number.NEGATIVE_INFINITY;
@@ -335,24 +333,20 @@ export default async function (context, req) {
     const date = addDaysUtc(weekStart, index);
     const isoDate = formatUtcDate(date);
     const sessions = [];
+    // No sessions are expected on closure days (org closures and, when enabled, Jewish holidays).
+    const closure = resolveClosure(isoDate, closureSettings);
+    const entries = closure ? [] : resolveDayOccurrences(relevantStudents, isoDate, index + 1, {
+      instructorId: instructorIdFilter || null,
+      exceptions,
+      recordIdsByKey: recordsByKey,
+    });
 
-    for (const student of relevantStudents) {
-      const studentDay = Number.parseInt(student.default_day_of_week, 10);
-      if (studentDay !== index + 1) {
-        continue;
-      }
-
-      const timeMinutes = parseTimeToMinutes(student.default_session_time);
-      if (timeMinutes === null) {
-        continue;
-      }
-
-      const key = `${normalizeString(student.id)}|${isoDate}`;
-      const hasRecord = recordsByKey.has(key);
-      const status = determineStatus(hasRecord, isoDate, todayIso);
+    for (const { occurrence, exception, recordId } of entries) {
+      const { student, slot, timeMinutes } = occurrence;
+      const hasRecord = Boolean(recordId);
+      const status = exception ? exception.status : determineStatus(hasRecord, isoDate, todayIso);
 
-      const instructorId = normalizeString(student.assigned_instructor_id);
-      const instructor = instructorId ? instructorMap.get(instructorId) : null;
+      const instructor = occurrence.instructorId ? instructorMap.get(occurrence.instructorId) : null;
       if (instructor) {
         usedInstructorIds.add(instructor.id);
       }
@@ -363,6 +357,8 @@ export default async function (context, req) {
       sessions.push({
         studentId: normalizeString(student.id),
         studentName: student?.name || '',
+        slotId: slot.id,
+        service: occurrence.service,
         instructorId: instructor?.id || null,
         instructorName,
         instructorColor: color,
@@ -371,15 +367,19 @@ export default async function (context, req) {
         timeMinutes,
         status,
         hasRecord,
-        recordId: hasRecord ? recordsByKey.get(key) || null : null,
-        durationMinutes: DEFAULT_SESSION_DURATION_MINUTES,
+        recordId: hasRecord && recordId !== true ? recordId : null,
+        durationMinutes: occurrence.durationMinutes,
+        ...describeOccurrenceException(exception, occurrence.makeupFor),
+        ...describeRecordGroup(recordGroups.get(recordId), student.id),
       });
 
       if (timeMinutes < earliestMinutes) {
         earliestMinutes = timeMinutes;
       }
-      if (timeMinutes > latestMinutes) {
-        latestMinutes = timeMinutes;
+      // The window is built from the last grid row in use, so long slots extend it.
+      const lastRowMinutes = Math.max(timeMinutes, timeMinutes + occurrence.durationMinutes - GRID_INTERVAL_MINUTES);
+      if (lastRowMinutes > latestMinutes) {
+        latestMinutes = lastRowMinutes;
       }
     }
 
@@ -394,6 +394,7 @@ export default async function (context, req) {
       date: isoDate,
       label,
       dayOfWeek: index + 1,
+      closure,
       sessions,
     };
   });
@@ -433,7 +434,7 @@ export default async function (context, req) {
     today: todayIso,
     scope: isAdminRole(role) ? 'organization' : 'instructor',
     intervalMinutes: GRID_INTERVAL_MINUTES,
-    sessionDurationMinutes: DEFAULT_SESSION_DURATION_MINUTES,
+    sessionDurationMinutes: DEFAULT_SLOT_DURATION_MINUTES,
     timeWindow,
     legend,
     days,
@@ -0,0 +1,93 @@
+/* eslint-env serviceworker */
+/**
+ * App-shell service worker.
+ *
+ * - Navigations: network first, falling back to the cached index.html so the app opens offline.
+ * - Built assets (/assets/*, icons, runtime-config.js): cache first / refreshed in the background.
+ * - /api/config (public bootstrap keys): network first with a cached fallback.
+ * - Every other /api/* request goes straight to the network. Unsent session reports are
+ *   queued by the app itself in IndexedDB, never by this worker.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `tuttiud-shell-${CACHE_VERSION}`;
+const SHELL_URLS = ['/', '/index.html', '/runtime-config.js', '/manifest.webmanifest', '/icon.png', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith('tuttiud-shell-') && key !== SHELL_CACHE)
+          .map((key) => caches.delete(key)),
+      ))
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(fallbackUrl || request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+  return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (url.pathname === '/api/config') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/index.html'));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(request));
+});
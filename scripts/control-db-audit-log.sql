@@ -28,6 +28,9 @@ CREATE INDEX IF NOT EXISTS idx_audit_log_expires_at ON public.audit_log(expires_
 -- Composite index for common queries (org + time range)
 CREATE INDEX IF NOT EXISTS idx_audit_log_org_time ON public.audit_log(org_id, performed_at DESC);
 
+-- Entity lookups from the audit log viewer (/api/audit-log?resource_type=&resource_id=)
+CREATE INDEX IF NOT EXISTS idx_audit_log_org_resource ON public.audit_log(org_id, resource_type, resource_id);
+
 -- Enable Row Level Security
 ALTER TABLE public.audit_log ENABLE ROW LEVEL SECURITY;
 
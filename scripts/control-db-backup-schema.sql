@@ -58,8 +58,76 @@ BEGIN
   END IF;
 END $$;
 
+-- ============================================================================
+-- 3. Add backup_schedule column to org_settings
+-- ============================================================================
+-- Automatic backup configuration read by the hourly backup-scheduled job:
+-- {
+--   "enabled": true,
+--   "frequency": "daily|weekly",
+--   "weekday": 0,            -- 0 = Sunday (weekly only), Israel time
+--   "hour": 2,               -- 0-23, Israel time
+--   "retention_count": 4,    -- most recent scheduled backups kept in storage
+--   "files_mode": "reference|bundle"
+-- }
+-- Scheduled runs are added to backup_history with "trigger": "scheduled",
+-- "backup_id", "storage_path" and "password_encrypted" (AES-GCM, app key).
+-- Entries past retention lose their path/password and get "expired_at".
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public'
+      AND table_name = 'org_settings'
+      AND column_name = 'backup_schedule'
+  ) THEN
+    ALTER TABLE public.org_settings
+      ADD COLUMN backup_schedule jsonb DEFAULT '{}'::jsonb;
+    
+    RAISE NOTICE 'Added backup_schedule column to org_settings';
+  ELSE
+    RAISE NOTICE 'Column backup_schedule already exists on org_settings';
+  END IF;
+END $$;
+
+-- ============================================================================
+-- 4. Add backup_destinations column to org_settings
+-- ============================================================================
+-- Off-site copies of manual and scheduled backups (requires backup_oauth_enabled):
+-- [
+--   {
+--     "id": "uuid",
+--     "type": "webdav|s3",
+--     "name": "Office NAS",
+--     "enabled": true,
+--     "config": { "url": "...", "username": "..." },   -- or endpoint/region/bucket/prefix
+--     "_encrypted": true,
+--     "_credentials": "v1:gcm:..."                     -- password or access keys (app key)
+--   }
+-- ]
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public'
+      AND table_name = 'org_settings'
+      AND column_name = 'backup_destinations'
+  ) THEN
+    ALTER TABLE public.org_settings
+      ADD COLUMN backup_destinations jsonb DEFAULT '[]'::jsonb;
+    
+    RAISE NOTICE 'Added backup_destinations column to org_settings';
+  ELSE
+    RAISE NOTICE 'Column backup_destinations already exists on org_settings';
+  END IF;
+END $$;
+
 -- ============================================================================
 -- Comments for documentation
 -- ============================================================================
 COMMENT ON COLUMN public.org_settings.permissions IS 'Feature permission flags (backup_local_enabled, logo_enabled, etc.)';
 COMMENT ON COLUMN public.org_settings.backup_history IS 'Array of backup/restore operations with timestamps and status';
+COMMENT ON COLUMN public.org_settings.backup_schedule IS 'Automatic backup schedule (frequency, hour, retention) for the backup-scheduled job';
+COMMENT ON COLUMN public.org_settings.backup_destinations IS 'Off-site backup destinations (WebDAV/S3) with encrypted credentials';
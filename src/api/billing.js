@@ -0,0 +1,62 @@
+import { authenticatedFetch, authenticatedFetchBlob } from '@/lib/api-client.js'
+
+export async function fetchBillingStatements({ orgId, month, signal } = {}) {
+  if (!orgId) {
+    throw new Error('orgId is required to load billing statements')
+  }
+  return authenticatedFetch('billing', {
+    method: 'GET',
+    params: { org_id: orgId, month: month || undefined },
+    signal,
+  })
+}
+
+export async function fetchBillingStatement(statementId, { orgId, signal } = {}) {
+  if (!orgId || !statementId) {
+    throw new Error('orgId and statementId are required to load a billing statement')
+  }
+  return authenticatedFetch(`billing/${statementId}`, {
+    method: 'GET',
+    params: { org_id: orgId },
+    signal,
+  })
+}
+
+export async function runBilling({ orgId, month } = {}) {
+  if (!orgId || !month) {
+    throw new Error('orgId and month are required to run billing')
+  }
+  return authenticatedFetch('billing', {
+    method: 'POST',
+    body: { org_id: orgId, action: 'run', month },
+  })
+}
+
+export async function updateBillingStatementStatus(statementId, { orgId, status } = {}) {
+  if (!orgId || !statementId || !status) {
+    throw new Error('orgId, statementId and status are required to update a billing statement')
+  }
+  return authenticatedFetch(`billing/${statementId}`, {
+    method: 'PATCH',
+    body: { org_id: orgId, status },
+  })
+}
+
+export async function deleteBillingStatement(statementId, { orgId } = {}) {
+  if (!orgId || !statementId) {
+    throw new Error('orgId and statementId are required to delete a billing statement')
+  }
+  return authenticatedFetch(`billing/${statementId}`, {
+    method: 'DELETE',
+    body: { org_id: orgId },
+  })
+}
+
+export async function downloadBillingStatementPdf(statementId, { orgId } = {}) {
+  if (!orgId || !statementId) {
+    throw new Error('orgId and statementId are required to download a billing statement')
+  }
+  return authenticatedFetchBlob(`billing/${statementId}/pdf`, {
+    params: { org_id: orgId },
+  })
+}
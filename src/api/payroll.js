@@ -0,0 +1,37 @@
+import { authenticatedFetch, authenticatedFetchBlob } from '@/lib/api-client.js'
+
+export async function fetchPayroll({ orgId, month, signal } = {}) {
+  if (!orgId) {
+    throw new Error('orgId is required to load payroll hours')
+  }
+  return authenticatedFetch('payroll', {
+    method: 'GET',
+    params: { org_id: orgId, month: month || undefined },
+    signal,
+  })
+}
+
+export async function downloadPayrollExport(format, { orgId, month } = {}) {
+  if (!orgId || !month) {
+    throw new Error('orgId and month are required to export payroll hours')
+  }
+  return authenticatedFetchBlob('payroll', {
+    params: { org_id: orgId, month, format },
+  })
+}
+
+export async function updatePayrollApproval({ orgId, month, action, instructorIds, reason } = {}) {
+  if (!orgId || !month || !action) {
+    throw new Error('orgId, month and action are required to update a payroll approval')
+  }
+  return authenticatedFetch('payroll', {
+    method: 'POST',
+    body: {
+      org_id: orgId,
+      month,
+      action,
+      instructor_ids: instructorIds,
+      ...(reason ? { reason } : {}),
+    },
+  })
+}
@@ -0,0 +1,30 @@
+import { authenticatedFetch, authenticatedFetchBlob } from '@/lib/api-client.js'
+
+function buildReportParams({ orgId, from, to, instructorId } = {}) {
+  return {
+    org_id: orgId,
+    from: from || undefined,
+    to: to || undefined,
+    instructor_id: instructorId || undefined,
+  }
+}
+
+export async function fetchReport(report, { orgId, from, to, instructorId, signal } = {}) {
+  if (!orgId || !report) {
+    throw new Error('orgId and report are required to load a report')
+  }
+  return authenticatedFetch(`reports/${encodeURIComponent(report)}`, {
+    method: 'GET',
+    params: buildReportParams({ orgId, from, to, instructorId }),
+    signal,
+  })
+}
+
+export async function downloadReportCsv(report, { orgId, from, to, instructorId } = {}) {
+  if (!orgId || !report) {
+    throw new Error('orgId and report are required to export a report')
+  }
+  return authenticatedFetchBlob(`reports/${encodeURIComponent(report)}`, {
+    params: { ...buildReportParams({ orgId, from, to, instructorId }), format: 'csv' },
+  })
+}
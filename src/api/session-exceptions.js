@@ -0,0 +1,57 @@
+import { authenticatedFetch } from '@/lib/api-client.js'
+
+function buildExceptionBody({ orgId, reason, status, makeupDate, makeupTime }) {
+  return {
+    org_id: orgId,
+    status,
+    reason: reason || null,
+    makeup_date: makeupDate || null,
+    makeup_time: makeupDate ? makeupTime || null : null,
+  }
+}
+
+export async function listSessionExceptions({ orgId, studentId, from, to, signal } = {}) {
+  if (!orgId) {
+    throw new Error('orgId is required to load session exceptions')
+  }
+  return authenticatedFetch('session-exceptions', {
+    params: { org_id: orgId, student_id: studentId, from, to },
+    signal,
+  })
+}
+
+// Marks one scheduled occurrence (student + date + slot) as cancelled or absent; saving again replaces it
+export async function saveSessionException({ orgId, studentId, date, slotId, ...fields } = {}) {
+  if (!orgId || !studentId || !date || !slotId) {
+    throw new Error('orgId, studentId, date and slotId are required to mark a session')
+  }
+  return authenticatedFetch('session-exceptions', {
+    method: 'POST',
+    body: {
+      ...buildExceptionBody({ orgId, ...fields }),
+      student_id: studentId,
+      date,
+      slot_id: slotId,
+    },
+  })
+}
+
+export async function updateSessionException(exceptionId, { orgId, ...fields } = {}) {
+  if (!orgId || !exceptionId) {
+    throw new Error('orgId and exceptionId are required to update a session exception')
+  }
+  return authenticatedFetch(`session-exceptions/${exceptionId}`, {
+    method: 'PUT',
+    body: buildExceptionBody({ orgId, ...fields }),
+  })
+}
+
+export async function deleteSessionException(exceptionId, { orgId } = {}) {
+  if (!orgId || !exceptionId) {
+    throw new Error('orgId and exceptionId are required to remove a session exception')
+  }
+  return authenticatedFetch(`session-exceptions/${exceptionId}`, {
+    method: 'DELETE',
+    body: { org_id: orgId },
+  })
+}
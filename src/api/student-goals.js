@@ -0,0 +1,53 @@
+import { authenticatedFetch } from '@/lib/api-client.js'
+
+const GOAL_FIELDS = ['title', 'description', 'target_metric', 'target_rating', 'start_date', 'target_date', 'status']
+
+function buildGoalBody(orgId, fields) {
+  const body = { org_id: orgId }
+  for (const key of GOAL_FIELDS) {
+    if (Object.prototype.hasOwnProperty.call(fields, key)) {
+      body[key] = fields[key] === '' ? null : fields[key]
+    }
+  }
+  return body
+}
+
+export async function listStudentGoals({ orgId, studentId, signal } = {}) {
+  if (!orgId || !studentId) {
+    throw new Error('orgId and studentId are required to load student goals')
+  }
+  return authenticatedFetch('student-goals', {
+    params: { org_id: orgId, student_id: studentId },
+    signal,
+  })
+}
+
+export async function createStudentGoal({ orgId, studentId, ...fields } = {}) {
+  if (!orgId || !studentId) {
+    throw new Error('orgId and studentId are required to add a goal')
+  }
+  return authenticatedFetch('student-goals', {
+    method: 'POST',
+    body: { ...buildGoalBody(orgId, fields), student_id: studentId },
+  })
+}
+
+export async function updateStudentGoal(goalId, { orgId, ...fields } = {}) {
+  if (!orgId || !goalId) {
+    throw new Error('orgId and goalId are required to update a goal')
+  }
+  return authenticatedFetch(`student-goals/${goalId}`, {
+    method: 'PUT',
+    body: buildGoalBody(orgId, fields),
+  })
+}
+
+export async function deleteStudentGoal(goalId, { orgId } = {}) {
+  if (!orgId || !goalId) {
+    throw new Error('orgId and goalId are required to remove a goal')
+  }
+  return authenticatedFetch(`student-goals/${goalId}`, {
+    method: 'DELETE',
+    body: { org_id: orgId },
+  })
+}
@@ -1,12 +1,27 @@
 import { getAuthClient } from '@/lib/supabase-manager.js';
+import { authenticatedFetch } from '@/lib/api-client.js';
+
+/**
+ * Request body fields of the records export options (empty lists mean all services/questions)
+ */
+function buildRecordsOptions({ from, to, services = [], questionIds = [], includeSummary = false } = {}) {
+  return {
+    from: from || null,
+    to: to || null,
+    services,
+    question_ids: questionIds,
+    include_summary: includeSummary,
+  };
+}
 
 /**
  * Export student session records to PDF
  * @param {string} studentId - Student UUID
  * @param {string} orgId - Organization UUID
+ * @param {Object} [options] - { from, to, services, questionIds, includeSummary }
  * @returns {Promise<Blob>} PDF blob
  */
-export async function exportStudentPdf(studentId, orgId) {
+export async function exportStudentPdf(studentId, orgId, options = {}) {
   if (!studentId) {
     throw new Error('Student ID is required');
   }
@@ -37,6 +52,7 @@ export async function exportStudentPdf(studentId, orgId) {
     body: JSON.stringify({
       student_id: studentId,
       org_id: orgId,
+      ...buildRecordsOptions(options),
     }),
   });
 
@@ -69,3 +85,67 @@ export function downloadPdfBlob(blob, filename) {
   document.body.removeChild(link);
   window.URL.revokeObjectURL(url);
 }
+
+/**
+ * Start a background PDF export of many students' records, delivered as a ZIP
+ * @param {Object} options - { orgId, instructorIds, tagIds, includeInactive } and the exportStudentPdf options
+ * @returns {Promise<Object>} { job }
+ */
+export async function createStudentPdfBatch({ orgId, instructorIds = [], tagIds = [], includeInactive = false, ...options } = {}) {
+  if (!orgId) {
+    throw new Error('Organization ID is required');
+  }
+  return authenticatedFetch('students-export-batch', {
+    method: 'POST',
+    body: {
+      org_id: orgId,
+      ...buildRecordsOptions(options),
+      instructor_ids: instructorIds,
+      tag_ids: tagIds,
+      include_inactive: includeInactive,
+    },
+  });
+}
+
+/**
+ * Poll a batch export. Each poll of a running job also renders its next students.
+ * @returns {Promise<Object>} { job, download_url? } - download_url once the ZIP is ready
+ */
+export async function fetchStudentPdfBatch(jobId, { orgId, signal } = {}) {
+  if (!orgId || !jobId) {
+    throw new Error('Organization ID and job ID are required');
+  }
+  return authenticatedFetch(`students-export-batch/${jobId}`, {
+    method: 'GET',
+    params: { org_id: orgId },
+    signal,
+  });
+}
+
+/**
+ * Recent batch exports, newest first
+ * @returns {Promise<Object>} { jobs }
+ */
+export async function listStudentPdfBatches({ orgId, signal } = {}) {
+  if (!orgId) {
+    throw new Error('Organization ID is required');
+  }
+  return authenticatedFetch('students-export-batch', {
+    method: 'GET',
+    params: { org_id: orgId },
+    signal,
+  });
+}
+
+/**
+ * Cancel a running batch export, or discard a finished one and its ZIP
+ */
+export async function cancelStudentPdfBatch(jobId, { orgId } = {}) {
+  if (!orgId || !jobId) {
+    throw new Error('Organization ID and job ID are required');
+  }
+  return authenticatedFetch(`students-export-batch/${jobId}`, {
+    method: 'DELETE',
+    body: { org_id: orgId },
+  });
+}
@@ -1,5 +1,6 @@
 import { activateConfig, loadRuntimeConfig } from './runtime/config.js';
 import { renderConfigError } from './runtime/ConfigErrorScreen.jsx';
+import { registerServiceWorker } from './lib/pwa.js';
 
 async function bootstrap() {
   try {
@@ -12,4 +13,5 @@ async function bootstrap() {
   }
 }
 
+registerServiceWorker();
 bootstrap();
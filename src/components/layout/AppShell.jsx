@@ -11,6 +11,7 @@ import { useAuth } from "@/auth/AuthContext.jsx"
 import { useOrg } from "@/org/OrgContext.jsx"
 import { cn } from "@/lib/utils"
 import NewSessionModal from "@/features/sessions/components/NewSessionModal.jsx"
+import OfflineQueueBanner from "@/features/sessions/components/OfflineQueueBanner.jsx"
 import { SessionModalContext } from "@/features/sessions/context/SessionModalContext.jsx"
 import useKeyboardAwareBottomOffset from "@/hooks/useKeyboardAwareBottomOffset.js"
 import OrgLogo from "@/components/layout/OrgLogo.jsx"
@@ -21,7 +22,7 @@ import { AccessibilityProvider } from "@/features/accessibility/AccessibilityPro
 import AccessibilityButton from "@/features/accessibility/AccessibilityButton.jsx"
 import SkipLink from "@/features/accessibility/SkipLink.jsx"
 
-const REPORTS_COMING_SOON_MESSAGE = "יכולות דוחות וסטטיסטיקה יגיעו בקרוב!"
+const COMING_SOON_MESSAGE = "יכולת זו תגיע בקרוב!"
 
 function buildNavItems(role) {
   // role is already normalized (lowercase) from useUserRole
@@ -43,9 +44,9 @@ function buildNavItems(role) {
     },
     {
       label: "דוחות",
+      to: "/reports",
       icon: BarChart3,
-      disabled: true,
-      tooltip: REPORTS_COMING_SOON_MESSAGE,
+      tourKey: "reports",
     },
     {
       label: "הגדרות",
@@ -88,7 +89,7 @@ function MobileNavigation({ navItems = [], onOpenSessionModal }) {
                 aria-label={item.label}
                 aria-disabled="true"
                 title={item.tooltip}
-                onClick={() => toast.info(item.tooltip ?? REPORTS_COMING_SOON_MESSAGE)}
+                onClick={() => toast.info(item.tooltip ?? COMING_SOON_MESSAGE)}
                 className="relative mobile-nav-item flex cursor-not-allowed flex-col items-center gap-1 h-12 text-sm font-medium text-neutral-400 opacity-70"
               >
                   <Icon className="h-6 w-6" aria-hidden="true" />
@@ -143,7 +144,7 @@ function MobileNavigation({ navItems = [], onOpenSessionModal }) {
                 aria-label={item.label}
                 aria-disabled="true"
                 title={item.tooltip}
-                onClick={() => toast.info(item.tooltip ?? REPORTS_COMING_SOON_MESSAGE)}
+                onClick={() => toast.info(item.tooltip ?? COMING_SOON_MESSAGE)}
                 className="relative mobile-nav-item flex cursor-not-allowed flex-col items-center gap-1 h-12 text-sm font-medium text-neutral-400 opacity-70"
               >
                   <Icon className="h-6 w-6" aria-hidden="true" />
@@ -222,7 +223,7 @@ function DesktopNavigation({ navItems = [], onSignOut, onOpenSessionModal }) {
                 <button
                   key={item.label}
                   type="button"
-                  onClick={() => toast.info(item.tooltip ?? REPORTS_COMING_SOON_MESSAGE)}
+                  onClick={() => toast.info(item.tooltip ?? COMING_SOON_MESSAGE)}
                   className="flex w-full cursor-not-allowed items-center justify-between gap-sm rounded-xl px-md py-sm text-right text-sm font-medium text-neutral-400 opacity-70"
                   aria-disabled="true"
                   title={item.tooltip}
@@ -284,19 +285,26 @@ export default function AppShell({ children }) {
     studentId: '',
     studentStatus: 'active',
     onCreated: null,
+    draft: null,
+    draftId: null,
+    outboxItemId: null,
   })
 
   // Use the same role source used by the onboarding system to keep targets stable
   const navItems = useMemo(() => buildNavItems(role), [role])
 
   const openSessionModal = useCallback((options = {}) => {
-    const { studentId = '', studentStatus = 'active', onCreated = null } = options
+    const { studentId = '', studentStatus = 'active', onCreated = null, draft = null, draftId = null, outboxItemId = null } = options
     const normalizedStatus = studentStatus === 'inactive' ? 'inactive' : 'active'
     setSessionModalState({
       isOpen: true,
       studentId,
       studentStatus: normalizedStatus,
       onCreated: typeof onCreated === 'function' ? onCreated : null,
+      // A saved draft (draftId) or a report queued on this device (outboxItemId), reopened for editing
+      draft,
+      draftId,
+      outboxItemId,
     })
   }, [])
 
@@ -306,6 +314,9 @@ export default function AppShell({ children }) {
       studentId: '',
       studentStatus: 'active',
       onCreated: null,
+      draft: null,
+      draftId: null,
+      outboxItemId: null,
     })
   }, [])
 
@@ -446,6 +457,7 @@ export default function AppShell({ children }) {
 
           <OrgSelectionBanner />
           <OrgConfigBanner />
+          <OfflineQueueBanner />
 
           <main id="main-content" role="main" className="flex-1 overflow-y-auto">
             {useCustomLayout ? (
@@ -474,6 +486,9 @@ export default function AppShell({ children }) {
           initialStudentId={sessionModalState.studentId}
           initialStudentStatus={sessionModalState.studentStatus}
           onCreated={sessionModalState.onCreated}
+          initialDraft={sessionModalState.draft}
+          initialDraftId={sessionModalState.draftId}
+          outboxItemId={sessionModalState.outboxItemId}
         />
       </div>
       </AccessibilityProvider>
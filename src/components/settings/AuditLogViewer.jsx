@@ -0,0 +1,289 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { ChevronLeft, ChevronRight, Download, Loader2, RotateCcw, Search } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { authenticatedFetch, authenticatedFetchBlob } from '@/lib/api-client.js';
+
+const PAGE_SIZE = 50;
+const ALL = 'all';
+
+const EMPTY_FILTERS = {
+  category: ALL,
+  action: ALL,
+  actor: '',
+  resourceType: '',
+  resourceId: '',
+  from: '',
+  to: '',
+};
+
+function formatDateTime(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleString('he-IL', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+// Date inputs are local days; the API expects an inclusive start and exclusive end timestamp.
+function toRangeParams({ from, to }) {
+  const params = {};
+  if (from) params.from = new Date(`${from}T00:00:00`).toISOString();
+  if (to) {
+    const end = new Date(`${to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    params.to = end.toISOString();
+  }
+  return params;
+}
+
+function buildParams(orgId, filters) {
+  return {
+    org_id: orgId,
+    category: filters.category === ALL ? undefined : filters.category,
+    action: filters.action === ALL ? undefined : filters.action,
+    actor: filters.actor.trim() || undefined,
+    resource_type: filters.resourceType.trim() || undefined,
+    resource_id: filters.resourceId.trim() || undefined,
+    ...toRangeParams(filters),
+  };
+}
+
+/**
+ * Admin-only "יומן פעולות": filterable, paginated view of the org's audit log
+ * (GET /api/audit-log) with CSV export of the current filters.
+ */
+export default function AuditLogViewer({ orgId }) {
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [result, setResult] = useState({ entries: [], total: 0, next_offset: null });
+  const [options, setOptions] = useState({ categories: [], actions: [] });
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!orgId) return;
+    setLoading(true);
+    try {
+      const payload = await authenticatedFetch('audit-log', {
+        method: 'GET',
+        params: { ...buildParams(orgId, filters), limit: PAGE_SIZE, offset },
+      });
+      setResult({
+        entries: Array.isArray(payload?.entries) ? payload.entries : [],
+        total: payload?.total ?? 0,
+        next_offset: payload?.next_offset ?? null,
+      });
+      if (payload?.filter_options) {
+        setOptions(payload.filter_options);
+      }
+    } catch (error) {
+      console.error('Loading audit log failed', error);
+      toast.error(error?.message === 'invalid_date_range' ? 'טווח התאריכים אינו תקין' : 'טעינת יומן הפעולות נכשלה');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgId, filters, offset]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const update = (field) => (value) => setDraft((previous) => ({ ...previous, [field]: value }));
+
+  const applyFilters = (event) => {
+    event?.preventDefault();
+    setOffset(0);
+    setFilters(draft);
+  };
+
+  const resetFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setOffset(0);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await authenticatedFetchBlob('audit-log', {
+        params: { ...buildParams(orgId, filters), format: 'csv' },
+      });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'audit-log.csv';
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Audit log export failed', error);
+      toast.error(error?.status === 413
+        ? 'יש יותר מ-5,000 רשומות לייצוא. צמצמו את טווח התאריכים או הסינון ונסו שוב.'
+        : 'ייצוא יומן הפעולות נכשל');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const pageStart = result.total ? offset + 1 : 0;
+  const pageEnd = offset + result.entries.length;
+
+  return (
+    <div className="space-y-md" dir="rtl">
+      <form onSubmit={applyFilters} className="space-y-sm rounded-md border border-slate-200 bg-white p-3">
+        <div className="grid gap-sm sm:grid-cols-2 lg:grid-cols-4">
+          <div className="space-y-2">
+            <Label className="text-xs text-slate-700">קטגוריה</Label>
+            <Select value={draft.category} onValueChange={update('category')}>
+              <SelectTrigger dir="rtl">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>הכול</SelectItem>
+                {options.categories.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label className="text-xs text-slate-700">פעולה</Label>
+            <Select value={draft.action} onValueChange={update('action')}>
+              <SelectTrigger dir="rtl">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>הכול</SelectItem>
+                {options.actions.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label className="text-xs text-slate-700">מתאריך</Label>
+            <Input type="date" value={draft.from} onChange={(event) => update('from')(event.target.value)} />
+          </div>
+          <div className="space-y-2">
+            <Label className="text-xs text-slate-700">עד תאריך</Label>
+            <Input type="date" value={draft.to} onChange={(event) => update('to')(event.target.value)} />
+          </div>
+          <div className="space-y-2">
+            <Label className="text-xs text-slate-700">משתמש (אימייל)</Label>
+            <Input value={draft.actor} onChange={(event) => update('actor')(event.target.value)} dir="ltr" placeholder="name@example.com" />
+          </div>
+          <div className="space-y-2">
+            <Label className="text-xs text-slate-700">סוג רשומה</Label>
+            <Input value={draft.resourceType} onChange={(event) => update('resourceType')(event.target.value)} dir="ltr" placeholder="student" />
+          </div>
+          <div className="space-y-2">
+            <Label className="text-xs text-slate-700">מזהה רשומה</Label>
+            <Input value={draft.resourceId} onChange={(event) => update('resourceId')(event.target.value)} dir="ltr" />
+          </div>
+          <div className="flex items-end gap-2">
+            <Button type="submit" className="flex-1 gap-1" disabled={loading}>
+              <Search className="h-4 w-4" /> סינון
+            </Button>
+            <Button type="button" variant="outline" size="icon" onClick={resetFilters} disabled={loading} aria-label="איפוס סינון">
+              <RotateCcw className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      </form>
+
+      <div className="flex flex-wrap items-center justify-between gap-sm">
+        <p className="text-sm text-slate-600">
+          {result.total ? `מציג ${pageStart}–${pageEnd} מתוך ${result.total} פעולות` : 'לא נמצאו פעולות'}
+        </p>
+        <Button variant="outline" size="sm" className="gap-1" onClick={handleExport} disabled={exporting || !result.total}>
+          {exporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+          ייצוא ל-CSV
+        </Button>
+      </div>
+
+      <div className="rounded-md border border-slate-200 bg-white">
+        {loading ? (
+          <div className="flex items-center justify-center gap-2 p-6 text-sm text-slate-600">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            טוען פעולות...
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="text-right">תאריך</TableHead>
+                <TableHead className="text-right">תיאור</TableHead>
+                <TableHead className="text-right">קטגוריה</TableHead>
+                <TableHead className="text-right">תפקיד</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {result.entries.map((entry) => (
+                <React.Fragment key={entry.id}>
+                  <TableRow
+                    className="cursor-pointer"
+                    onClick={() => setExpandedId((current) => (current === entry.id ? null : entry.id))}
+                  >
+                    <TableCell className="whitespace-nowrap text-xs text-slate-600">{formatDateTime(entry.performed_at)}</TableCell>
+                    <TableCell className="text-sm text-slate-800">{entry.description}</TableCell>
+                    <TableCell><Badge variant="outline">{entry.category_label}</Badge></TableCell>
+                    <TableCell className="text-xs text-slate-600">{entry.role_label}</TableCell>
+                  </TableRow>
+                  {expandedId === entry.id ? (
+                    <TableRow className="bg-slate-50 hover:bg-slate-50">
+                      <TableCell colSpan={4}>
+                        <div className="space-y-1 text-xs text-slate-600">
+                          <div dir="ltr" className="text-left">
+                            {entry.action_type}
+                            {entry.resource_type ? ` · ${entry.resource_type}` : ''}
+                            {entry.resource_id ? ` · ${entry.resource_id}` : ''}
+                          </div>
+                          {entry.details ? (
+                            <pre dir="ltr" className="max-h-48 overflow-auto whitespace-pre-wrap break-all rounded bg-white p-2 text-left">
+                              {JSON.stringify(entry.details, null, 2)}
+                            </pre>
+                          ) : null}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ) : null}
+                </React.Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <Button
+          variant="outline"
+          size="sm"
+          className="gap-1"
+          onClick={() => setOffset((current) => Math.max(0, current - PAGE_SIZE))}
+          disabled={loading || offset === 0}
+        >
+          <ChevronRight className="h-4 w-4" /> הקודם
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          className="gap-1"
+          onClick={() => setOffset(result.next_offset)}
+          disabled={loading || result.next_offset === null}
+        >
+          הבא <ChevronLeft className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { CloudUpload, Loader2, Pencil, Plus, Trash2, Wifi } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { authenticatedFetch } from '@/lib/api-client.js';
+
+const MAX_DESTINATIONS = 3;
+
+const TYPE_LABELS = {
+  webdav: 'WebDAV',
+  s3: 'S3',
+};
+
+const FIELDS = {
+  webdav: [
+    { key: 'url', label: 'כתובת תיקייה', placeholder: 'https://cloud.example.com/remote.php/dav/files/user/backups', dir: 'ltr' },
+    { key: 'username', label: 'שם משתמש', dir: 'ltr' },
+    { key: 'password', label: 'סיסמה', type: 'password', secret: true, dir: 'ltr' },
+  ],
+  s3: [
+    { key: 'endpoint', label: 'Endpoint (לא נדרש ב-AWS)', placeholder: 'https://s3.eu-central-1.wasabisys.com', dir: 'ltr' },
+    { key: 'region', label: 'אזור', placeholder: 'us-east-1', dir: 'ltr' },
+    { key: 'bucket', label: 'Bucket', dir: 'ltr' },
+    { key: 'prefix', label: 'תיקייה בתוך ה-Bucket', placeholder: 'tuttiud-backups', dir: 'ltr' },
+    { key: 'access_key_id', label: 'Access Key ID', secret: true, dir: 'ltr' },
+    { key: 'secret_access_key', label: 'Secret Access Key', type: 'password', secret: true, dir: 'ltr' },
+  ],
+};
+
+const EMPTY_FORM = { id: null, type: 'webdav', name: '', enabled: true, config: {} };
+
+function describeTarget(destination) {
+  return destination.type === 'webdav'
+    ? destination.config?.url
+    : [destination.config?.bucket, destination.config?.prefix].filter(Boolean).join('/');
+}
+
+/**
+ * Off-site backup destinations (WebDAV / S3) for orgs with backup_oauth_enabled.
+ * Every manual and scheduled backup is copied to the enabled destinations.
+ */
+export default function BackupDestinationsPanel({ orgId, disabled = false }) {
+  const [destinations, setDestinations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const payload = await authenticatedFetch(`backup-destinations?org_id=${encodeURIComponent(orgId)}`, { method: 'GET' });
+      setDestinations(Array.isArray(payload?.destinations) ? payload.destinations : []);
+    } catch (error) {
+      console.error('Loading backup destinations failed', error);
+      toast.error('טעינת יעדי הגיבוי נכשלה');
+    } finally {
+      setLoading(false);
+    }
+  }, [orgId]);
+
+  useEffect(() => {
+    if (orgId) load();
+  }, [orgId, load]);
+
+  const editing = Boolean(form?.id);
+  const updateConfig = (key, value) => setForm((previous) => ({ ...previous, config: { ...previous.config, [key]: value } }));
+
+  const submit = async ({ testOnly = false } = {}) => {
+    const setBusy = testOnly ? setTesting : setSaving;
+    setBusy(true);
+    try {
+      const payload = await authenticatedFetch('backup-destinations', {
+        method: editing ? 'PUT' : 'POST',
+        body: { org_id: orgId, destination: form, test_only: testOnly },
+      });
+      if (testOnly) {
+        toast.success('החיבור ליעד הגיבוי תקין.');
+      } else {
+        setDestinations(payload?.destinations || []);
+        setForm(null);
+        toast.success('יעד הגיבוי נשמר.');
+      }
+    } catch (error) {
+      console.error('Saving backup destination failed', error);
+      const details = error?.data?.errors?.join(', ') || error?.data?.error;
+      toast.error(testOnly
+        ? `בדיקת החיבור נכשלה${details ? `: ${details}` : ''}`
+        : `שמירת היעד נכשלה${details ? `: ${details}` : ''}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleToggle = async (destination, enabled) => {
+    try {
+      const payload = await authenticatedFetch('backup-destinations', {
+        method: 'PUT',
+        body: { org_id: orgId, destination: { ...destination, enabled } },
+      });
+      setDestinations(payload?.destinations || []);
+    } catch (error) {
+      console.error('Toggling backup destination failed', error);
+      toast.error('עדכון היעד נכשל');
+    }
+  };
+
+  const handleRemove = async (destination) => {
+    if (!window.confirm(`להסיר את היעד "${destination.name}"? קבצים שכבר הועלו אליו לא יימחקו.`)) return;
+    try {
+      const payload = await authenticatedFetch('backup-destinations', {
+        method: 'DELETE',
+        body: { org_id: orgId, destination_id: destination.id },
+      });
+      setDestinations(payload?.destinations || []);
+      toast.success('היעד הוסר.');
+    } catch (error) {
+      console.error('Removing backup destination failed', error);
+      toast.error('הסרת היעד נכשלה');
+    }
+  };
+
+  return (
+    <div className="space-y-sm">
+      <div className="flex items-start justify-between gap-sm">
+        <div>
+          <Label className="flex items-center gap-xs text-slate-700">
+            <CloudUpload className="h-4 w-4" />
+            יעדי גיבוי חיצוניים
+          </Label>
+          <p className="text-xs text-slate-500">כל גיבוי (ידני או אוטומטי) יועתק גם ליעדים הפעילים. הקובץ מוצפן לפני ההעלאה.</p>
+        </div>
+        {!form && destinations.length < MAX_DESTINATIONS ? (
+          <Button variant="outline" size="sm" className="gap-1" onClick={() => setForm(EMPTY_FORM)} disabled={disabled || loading}>
+            <Plus className="h-3.5 w-3.5" />
+            הוספת יעד
+          </Button>
+        ) : null}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center gap-2 text-sm text-slate-600">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          טוען יעדים...
+        </div>
+      ) : destinations.length ? (
+        <ul className="divide-y divide-slate-100 rounded-md border border-slate-200 bg-white">
+          {destinations.map((destination) => (
+            <li key={destination.id} className="flex items-center justify-between gap-2 px-3 py-2 text-sm">
+              <span className="flex min-w-0 items-center gap-2">
+                <Badge variant="outline">{TYPE_LABELS[destination.type] || destination.type}</Badge>
+                <span className="font-medium text-slate-800">{destination.name}</span>
+                <span className="truncate text-xs text-slate-500" dir="ltr">{describeTarget(destination)}</span>
+              </span>
+              <span className="flex items-center gap-1">
+                <Switch
+                  checked={destination.enabled}
+                  onCheckedChange={(checked) => handleToggle(destination, checked)}
+                  disabled={disabled}
+                  aria-label="הפעלת יעד"
+                />
+                <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => setForm({ ...destination, config: { ...destination.config } })} disabled={disabled}>
+                  <Pencil className="h-3.5 w-3.5" />
+                </Button>
+                <Button variant="ghost" size="icon" className="h-8 w-8 text-red-600" onClick={() => handleRemove(destination)} disabled={disabled}>
+                  <Trash2 className="h-3.5 w-3.5" />
+                </Button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : !form ? (
+        <p className="text-xs text-slate-500">לא הוגדרו יעדי גיבוי חיצוניים.</p>
+      ) : null}
+
+      {form ? (
+        <div className="space-y-sm rounded-md border border-slate-200 bg-slate-50 p-3">
+          <div className="grid gap-sm sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label className="text-xs text-slate-700">סוג יעד</Label>
+              <Select
+                value={form.type}
+                onValueChange={(type) => setForm((previous) => ({ ...previous, type, config: {} }))}
+                disabled={editing}
+              >
+                <SelectTrigger dir="rtl">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="webdav">WebDAV (Nextcloud, Synology ועוד)</SelectItem>
+                  <SelectItem value="s3">S3 (AWS, R2, Wasabi, MinIO ועוד)</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label className="text-xs text-slate-700">שם תצוגה</Label>
+              <Input value={form.name} onChange={(event) => setForm((previous) => ({ ...previous, name: event.target.value }))} placeholder={TYPE_LABELS[form.type]} />
+            </div>
+            {FIELDS[form.type].map((field) => (
+              <div key={field.key} className="space-y-2">
+                <Label className="text-xs text-slate-700">{field.label}</Label>
+                <Input
+                  type={field.type || 'text'}
+                  dir={field.dir}
+                  value={form.config[field.key] || ''}
+                  onChange={(event) => updateConfig(field.key, event.target.value)}
+                  placeholder={field.secret && editing && form.has_credentials ? 'השאירו ריק כדי לשמור את הערך הקיים (אם הכתובת לא השתנתה)' : field.placeholder}
+                  autoComplete="off"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap justify-end gap-2">
+            <Button variant="outline" onClick={() => setForm(null)} disabled={saving || testing}>
+              ביטול
+            </Button>
+            <Button variant="outline" className="gap-1" onClick={() => submit({ testOnly: true })} disabled={saving || testing}>
+              {testing ? <Loader2 className="h-4 w-4 animate-spin" /> : <Wifi className="h-4 w-4" />}
+              בדיקת חיבור
+            </Button>
+            <Button onClick={() => submit()} disabled={saving || testing}>
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : null}
+              שמירה
+            </Button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
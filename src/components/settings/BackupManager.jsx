@@ -5,9 +5,14 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Switch } from '@/components/ui/switch';
 import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { toast } from 'sonner';
-import { Download, Upload, Loader2, Copy, ShieldCheck, Clock, AlertCircle } from 'lucide-react';
+import { Download, Upload, Loader2, Copy, ShieldCheck, Clock, AlertCircle, Users } from 'lucide-react';
 import { authenticatedFetch } from '@/lib/api-client.js';
+import RestorePreviewDialog from './RestorePreviewDialog.jsx';
+import BackupStudentPicker from './BackupStudentPicker.jsx';
+import ScheduledBackupsPanel from './ScheduledBackupsPanel.jsx';
+import BackupDestinationsPanel from './BackupDestinationsPanel.jsx';
 
 const REQUEST = {
   idle: 'idle',
@@ -15,6 +20,25 @@ const REQUEST = {
   error: 'error',
 };
 
+const RESTORE_SCOPE_OPTIONS = [
+  { value: 'full', label: 'כל הגיבוי' },
+  { value: 'student', label: 'תלמיד יחיד (כולל מפגשים ומסמכים)' },
+  { value: 'table', label: 'טבלה אחת' },
+];
+
+const RESTORE_TABLE_OPTIONS = [
+  { value: 'Settings', label: 'הגדרות' },
+  { value: 'Instructors', label: 'מדריכים' },
+  { value: 'Students', label: 'תלמידים' },
+  { value: 'SessionRecords', label: 'רשומות מפגשים' },
+  { value: 'SessionExceptions', label: 'ביטולים והיעדרויות' },
+  { value: 'StudentGoals', label: 'מטרות תלמידים' },
+  { value: 'PayrollApprovals', label: 'אישורי שעות חודשיים' },
+  { value: 'BillingStatements', label: 'דפי חיוב' },
+  { value: 'BillingLineItems', label: 'שורות חיוב' },
+  { value: 'Documents', label: 'מסמכים' },
+];
+
 function base64ToBlob(base64, contentType = 'application/octet-stream') {
   const binStr = atob(base64);
   const len = binStr.length;
@@ -32,14 +56,37 @@ export default function BackupManager({ session, orgId }) {
   const [fileNameShown, setFileNameShown] = useState('');
   const [restorePassword, setRestorePassword] = useState('');
   const [clearExisting, setClearExisting] = useState(false);
+  const [bundleFiles, setBundleFiles] = useState(false);
   const [cooldownInfo, setCooldownInfo] = useState(null);
   const [checkingCooldown, setCheckingCooldown] = useState(false);
   const [overrideEnabled, setOverrideEnabled] = useState(false);
   const [backupEnabled, setBackupEnabled] = useState(true);
+  const [restorePreview, setRestorePreview] = useState(null);
+  const [restoreScope, setRestoreScope] = useState('full');
+  const [restoreTable, setRestoreTable] = useState('Students');
+  const [backupStudents, setBackupStudents] = useState(null);
+  const [selectedStudentId, setSelectedStudentId] = useState('');
+  const [loadingStudents, setLoadingStudents] = useState(false);
+  const [scheduleInfo, setScheduleInfo] = useState(null);
+  const [destinationsEnabled, setDestinationsEnabled] = useState(false);
   const fileInputRef = useRef(null);
+  const pendingRestoreRef = useRef(null);
 
   const canAct = useMemo(() => Boolean(session && orgId), [session, orgId]);
 
+  const previewScopeLabel = useMemo(() => {
+    const scope = restorePreview?.preview?.scope;
+    if (scope?.type === 'student') {
+      const student = backupStudents?.find((entry) => entry.id === scope.student_id);
+      return `התלמיד ${student?.name || scope.student_id}`;
+    }
+    if (scope?.type === 'table') {
+      const option = RESTORE_TABLE_OPTIONS.find((entry) => entry.value === scope.table);
+      return `טבלת ${option?.label || scope.table}`;
+    }
+    return '';
+  }, [restorePreview, backupStudents]);
+
   // Check cooldown status from backup history
   useEffect(() => {
     if (!canAct) return;
@@ -54,6 +101,12 @@ export default function BackupManager({ session, orgId }) {
         setBackupEnabled(Boolean(data?.enabled));
         const cooldown = data?.cooldown || { active: false };
         setOverrideEnabled(Boolean(data?.override_enabled));
+        setDestinationsEnabled(Boolean(data?.destinations_enabled));
+        setScheduleInfo(data?.schedule ? {
+          schedule: data.schedule,
+          backups: Array.isArray(data.scheduled_backups) ? data.scheduled_backups : [],
+          lastRun: data.last_scheduled_run || null,
+        } : null);
         if (cooldown && cooldown.active) {
           setCooldownInfo({
             active: true,
@@ -84,7 +137,7 @@ export default function BackupManager({ session, orgId }) {
     try {
       const payload = await authenticatedFetch('backup', {
         method: 'POST',
-        body: { org_id: orgId },
+        body: { org_id: orgId, files_mode: bundleFiles ? 'bundle' : 'reference' },
       });
 
       const { encrypted_file: encryptedBase64, filename, password, size_bytes } = payload || {};
@@ -109,6 +162,13 @@ export default function BackupManager({ session, orgId }) {
 
       const sizeKB = Math.round((size_bytes || blob.size) / 1024);
       toast.success(`הגיבוי נוצר בהצלחה (${sizeKB}KB). שמור/י את הסיסמה!`);
+      if (bundleFiles && payload.total_files > payload.bundled_files) {
+        toast.warning(`${payload.total_files - payload.bundled_files} קבצים לא צורפו לגיבוי (מגבלת גודל או שגיאת קריאה) ונשמרו כהפניה בלבד.`);
+      }
+      const failedDestinations = (payload.destinations || []).filter((destination) => destination.status === 'failed');
+      if (failedDestinations.length) {
+        toast.warning(`ההעלאה ליעד הגיבוי נכשלה: ${failedDestinations.map((destination) => destination.name).join(', ')}`);
+      }
       setCreateState(REQUEST.idle);
       setOverrideEnabled(false); // consumed on success by backend
       
@@ -133,13 +193,15 @@ export default function BackupManager({ session, orgId }) {
           nextAllowedAt: error?.data?.next_allowed_at,
           daysRemaining: error?.data?.days_remaining,
         });
+      } else if (error?.data?.message === 'storage_not_configured') {
+        toast.error('לא ניתן לצרף קבצים לגיבוי ללא אחסון מחובר.');
       } else {
         toast.error(error?.message || 'יצירת הגיבוי נכשלה');
       }
       
       setCreateState(REQUEST.error);
     }
-  }, [canAct, orgId]);
+  }, [canAct, orgId, bundleFiles]);
 
   const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -158,16 +220,58 @@ export default function BackupManager({ session, orgId }) {
     reader.readAsDataURL(file);
   });
 
-  const handleRestore = useCallback(async () => {
-    if (!canAct) return;
-    const input = fileInputRef.current;
-    const file = input?.files?.[0] || null;
+  const getRestoreFile = useCallback(() => {
+    const file = fileInputRef.current?.files?.[0] || null;
     if (!file) {
       toast.error('יש לבחור קובץ גיבוי לשחזור.');
-      return;
+      return null;
     }
     if (!restorePassword.trim()) {
       toast.error('יש להזין סיסמת גיבוי.');
+      return null;
+    }
+    return file;
+  }, [restorePassword]);
+
+  const handleRestoreFileChange = () => {
+    // A different file may hold different students
+    setBackupStudents(null);
+    setSelectedStudentId('');
+  };
+
+  const handleLoadStudents = async () => {
+    if (!canAct) return;
+    const file = getRestoreFile();
+    if (!file) return;
+
+    setLoadingStudents(true);
+    try {
+      const base64 = await readFileAsBase64(file);
+      const payload = await authenticatedFetch('restore', {
+        method: 'POST',
+        body: { org_id: orgId, file: base64, password: restorePassword.trim(), list_students: true },
+      });
+      const students = Array.isArray(payload?.students) ? payload.students : [];
+      setBackupStudents(students);
+      setSelectedStudentId('');
+      if (!students.length) {
+        toast.info('הגיבוי אינו מכיל תלמידים.');
+      }
+    } catch (error) {
+      console.error('Loading backup students failed', error);
+      const incorrect = error?.data?.message === 'incorrect_password';
+      toast.error(incorrect ? 'סיסמת הגיבוי שגויה.' : (error?.message || 'טעינת התלמידים מהגיבוי נכשלה'));
+    } finally {
+      setLoadingStudents(false);
+    }
+  };
+
+  const handlePreviewRestore = useCallback(async () => {
+    if (!canAct) return;
+    const file = getRestoreFile();
+    if (!file) return;
+    if (restoreScope === 'student' && !selectedStudentId) {
+      toast.error('יש לבחור תלמיד לשחזור.');
       return;
     }
 
@@ -175,18 +279,61 @@ export default function BackupManager({ session, orgId }) {
 
     try {
       const base64 = await readFileAsBase64(file);
+      const request = {
+        org_id: orgId,
+        file: base64,
+        password: restorePassword.trim(),
+        // Student restores merge into existing data; clearing would wipe everyone else
+        clear_existing: restoreScope === 'student' ? false : Boolean(clearExisting),
+      };
+      if (restoreScope === 'student') {
+        request.scope = { type: 'student', student_id: selectedStudentId };
+      } else if (restoreScope === 'table') {
+        request.scope = { type: 'table', table: restoreTable };
+      }
       const payload = await authenticatedFetch('restore', {
         method: 'POST',
-        body: {
-          org_id: orgId,
-          file: base64,
-          password: restorePassword.trim(),
-          clear_existing: Boolean(clearExisting),
-        },
+        body: { ...request, dry_run: true },
+      });
+
+      // Keep the exact request that was previewed so the confirmed restore matches it
+      pendingRestoreRef.current = request;
+      setRestorePreview(payload);
+      setRestoreState(REQUEST.idle);
+    } catch (error) {
+      console.error('Restore preview failed', error);
+      const incorrect = error?.data?.message === 'incorrect_password';
+      const notInBackup = ['student_not_in_backup', 'table_not_in_backup'].includes(error?.data?.message);
+      toast.error(incorrect
+        ? 'סיסמת הגיבוי שגויה.'
+        : notInBackup ? 'הפריט שנבחר אינו קיים בגיבוי.' : (error?.message || 'בדיקת הגיבוי נכשלה'));
+      setRestoreState(REQUEST.error);
+    }
+  }, [canAct, orgId, restorePassword, clearExisting, restoreScope, restoreTable, selectedStudentId, getRestoreFile]);
+
+  const handleConfirmRestore = useCallback(async () => {
+    const request = pendingRestoreRef.current;
+    if (!canAct || !request) return;
+
+    setRestoreState(REQUEST.loading);
+
+    try {
+      const payload = await authenticatedFetch('restore', {
+        method: 'POST',
+        body: request,
       });
 
       const restored = payload?.restored || 0;
-      toast.success(`השחזור הושלם. ${restored} רשומות שוחזרו.`);
+      const uploadedFiles = payload?.files?.uploaded || 0;
+      const skippedFiles = payload?.files?.skipped || 0;
+      toast.success(uploadedFiles
+        ? `השחזור הושלם. ${restored} רשומות ו-${uploadedFiles} קבצים שוחזרו.`
+        : `השחזור הושלם. ${restored} רשומות שוחזרו.`);
+      if (skippedFiles) {
+        toast.warning(`${skippedFiles} מסמכים לא שוחזרו כי לא ניתן היה לאמת את הקבצים שלהם.`);
+      }
+      pendingRestoreRef.current = null;
+      setRestorePreview(null);
       setRestoreState(REQUEST.idle);
     } catch (error) {
       console.error('Restore failed', error);
@@ -194,7 +341,14 @@ export default function BackupManager({ session, orgId }) {
       toast.error(incorrect ? 'סיסמת הגיבוי שגויה.' : (error?.message || 'השחזור נכשל'));
       setRestoreState(REQUEST.error);
     }
-  }, [canAct, orgId, restorePassword, clearExisting]);
+  }, [canAct]);
+
+  const handlePreviewOpenChange = useCallback((open) => {
+    if (!open) {
+      pendingRestoreRef.current = null;
+      setRestorePreview(null);
+    }
+  }, []);
 
   const handleCopyPassword = () => {
     if (!passwordShown) return;
@@ -272,6 +426,10 @@ export default function BackupManager({ session, orgId }) {
           <div className="flex-1">
             <Label className="text-slate-700">יצירת גיבוי</Label>
             <p className="text-xs text-slate-500 mb-2">בלחיצה יווצר קובץ גיבוי מוצפן וסיסמה חד-פעמית. חובה לשמור את הסיסמה.</p>
+            <div className="mb-2 flex items-center gap-2">
+              <Switch id="bundle-files" checked={bundleFiles} onCheckedChange={setBundleFiles} disabled={!backupEnabled} />
+              <Label htmlFor="bundle-files" className="text-xs text-slate-700">צרף את תוכן הקבצים והמסמכים לגיבוי (עד 50MB)</Label>
+            </div>
             <Button 
               onClick={handleCreateBackup} 
               disabled={!backupEnabled || createState === REQUEST.loading || (cooldownInfo?.active && !overrideEnabled)} 
@@ -308,24 +466,105 @@ export default function BackupManager({ session, orgId }) {
         <div className="grid gap-sm sm:grid-cols-2">
           <div className="space-y-2">
             <Label className="text-slate-700">קובץ לשחזור</Label>
-            <Input type="file" ref={fileInputRef} accept=".enc,application/octet-stream" />
+            <Input type="file" ref={fileInputRef} accept=".enc,application/octet-stream" onChange={handleRestoreFileChange} />
           </div>
           <div className="space-y-2">
             <Label className="text-slate-700">סיסמת גיבוי</Label>
             <Input type="text" value={restorePassword} onChange={(e) => setRestorePassword(e.target.value)} placeholder="ABCD-EF12-3456-7890-ABCD" />
           </div>
+          <div className="space-y-2">
+            <Label className="text-slate-700">היקף השחזור</Label>
+            <Select value={restoreScope} onValueChange={setRestoreScope}>
+              <SelectTrigger dir="rtl">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {RESTORE_SCOPE_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {restoreScope === 'table' ? (
+            <div className="space-y-2">
+              <Label className="text-slate-700">טבלה לשחזור</Label>
+              <Select value={restoreTable} onValueChange={setRestoreTable}>
+                <SelectTrigger dir="rtl">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {RESTORE_TABLE_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          ) : restoreScope === 'student' ? (
+            <div className="flex items-end">
+              <Button variant="outline" onClick={handleLoadStudents} disabled={!backupEnabled || loadingStudents} className="gap-xs">
+                {loadingStudents ? <Loader2 className="h-4 w-4 animate-spin" /> : <Users className="h-4 w-4" />}
+                טען תלמידים מהגיבוי
+              </Button>
+            </div>
+          ) : null}
+          {restoreScope === 'student' && backupStudents ? (
+            <div className="sm:col-span-2">
+              <BackupStudentPicker
+                students={backupStudents}
+                selectedId={selectedStudentId}
+                onSelect={setSelectedStudentId}
+                disabled={restoreState === REQUEST.loading}
+              />
+            </div>
+          ) : null}
           <div className="flex items-center gap-2">
-            <Switch id="clear-existing" checked={clearExisting} onCheckedChange={setClearExisting} />
-            <Label htmlFor="clear-existing" className="text-slate-700">נקה נתונים קיימים לפני השחזור</Label>
+            <Switch
+              id="clear-existing"
+              checked={restoreScope !== 'student' && clearExisting}
+              onCheckedChange={setClearExisting}
+              disabled={restoreScope === 'student'}
+            />
+            <Label htmlFor="clear-existing" className="text-slate-700">
+              {restoreScope === 'table' ? 'נקה את הטבלה לפני השחזור' : 'נקה נתונים קיימים לפני השחזור'}
+            </Label>
           </div>
           <div className="flex items-end">
-            <Button onClick={handleRestore} disabled={!backupEnabled || restoreState === REQUEST.loading} className="gap-xs">
-              {restoreState === REQUEST.loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+            <Button onClick={handlePreviewRestore} disabled={!backupEnabled || restoreState === REQUEST.loading} className="gap-xs">
+              {restoreState === REQUEST.loading && !restorePreview ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
               שחזר/י מגיבוי
             </Button>
           </div>
         </div>
+
+        {scheduleInfo ? (
+          <>
+            <div className="h-px w-full bg-slate-200" />
+            <ScheduledBackupsPanel
+              orgId={orgId}
+              schedule={scheduleInfo.schedule}
+              backups={scheduleInfo.backups}
+              lastRun={scheduleInfo.lastRun}
+              disabled={!backupEnabled}
+            />
+          </>
+        ) : null}
+
+        {destinationsEnabled ? (
+          <>
+            <div className="h-px w-full bg-slate-200" />
+            <BackupDestinationsPanel orgId={orgId} disabled={!backupEnabled} />
+          </>
+        ) : null}
       </CardContent>
+
+      <RestorePreviewDialog
+        open={Boolean(restorePreview)}
+        onOpenChange={handlePreviewOpenChange}
+        previewResult={restorePreview}
+        onConfirm={handleConfirmRestore}
+        isRestoring={restoreState === REQUEST.loading}
+        scopeLabel={previewScopeLabel}
+      />
     </Card>
   );
 }
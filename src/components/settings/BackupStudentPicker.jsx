@@ -0,0 +1,65 @@
+import React, { useMemo, useState } from 'react';
+import { Search } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+
+/**
+ * Searchable single-select list of the students found inside a backup file,
+ * used for selective (one student) restores.
+ */
+export default function BackupStudentPicker({ students = [], selectedId = '', onSelect, disabled = false }) {
+  const [query, setQuery] = useState('');
+
+  const filtered = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    if (!term) return students;
+    return students.filter((student) => (
+      student.name.toLowerCase().includes(term) || (student.national_id || '').includes(term)
+    ));
+  }, [students, query]);
+
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <Search className="pointer-events-none absolute right-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
+        <Input
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder="חיפוש לפי שם או תעודת זהות"
+          className="pr-9"
+          disabled={disabled}
+        />
+      </div>
+      <div className="max-h-56 overflow-y-auto rounded-md border border-slate-200 bg-white" role="listbox" aria-label="תלמידים בגיבוי">
+        {filtered.length ? filtered.map((student) => {
+          const isSelected = student.id === selectedId;
+          return (
+            <button
+              key={student.id}
+              type="button"
+              role="option"
+              aria-selected={isSelected}
+              disabled={disabled}
+              onClick={() => onSelect(student.id)}
+              className={cn(
+                'flex w-full items-center justify-between gap-2 border-b border-slate-100 px-3 py-2 text-right text-sm last:border-b-0 hover:bg-slate-50',
+                isSelected && 'bg-primary/10 hover:bg-primary/10',
+              )}
+            >
+              <span className="flex items-center gap-2">
+                <span className="font-medium text-slate-800">{student.name || 'ללא שם'}</span>
+                {!student.is_active ? <Badge variant="outline" className="text-xs">לא פעיל</Badge> : null}
+              </span>
+              <span className="text-xs text-slate-500">
+                {student.sessions_count} מפגשים · {student.documents_count} מסמכים
+              </span>
+            </button>
+          );
+        }) : (
+          <p className="p-3 text-center text-sm text-slate-500">לא נמצאו תלמידים תואמים.</p>
+        )}
+      </div>
+    </div>
+  );
+}
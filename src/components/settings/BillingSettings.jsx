@@ -0,0 +1,432 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import { fetchSettingsValue, upsertSetting } from '@/features/settings/api/settings.js';
+import { useServices, useStudents } from '@/hooks/useOrgData.js';
+
+// Mirrors normalizeBillingSettings in api/_shared/billing.js
+const SETTING_KEY = 'billing_settings';
+const DEFAULT_CURRENCY = 'ILS';
+const MAX_PRICE = 100000;
+const ALL_SERVICES = '__all__';
+
+const PAYER_OPTIONS = [
+  { value: 'parent', label: 'הורה' },
+  { value: 'funding_body', label: 'גורם מממן' },
+];
+
+let rowKeySeed = 0;
+function nextRowKey() {
+  rowKeySeed += 1;
+  return `billing-row-${rowKeySeed}`;
+}
+
+function parsePrice(value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return Number.NaN;
+  }
+  const price = Number(text);
+  return Number.isFinite(price) && price >= 0 && price <= MAX_PRICE ? Math.round(price * 100) / 100 : Number.NaN;
+}
+
+function toPriceRows(entries, { allowAllServices = false } = {}) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+  return entries
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => ({
+      key: nextRowKey(),
+      service: typeof entry.service === 'string' && entry.service.trim() ? entry.service.trim() : (allowAllServices ? ALL_SERVICES : ''),
+      price: entry.price === null || entry.price === undefined ? '' : String(entry.price),
+      effectiveFrom: typeof entry.effective_from === 'string' && entry.effective_from > '0000-01-01' ? entry.effective_from.slice(0, 10) : '',
+    }));
+}
+
+function toForm(value) {
+  const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  return {
+    currency: typeof source.currency === 'string' && source.currency ? source.currency : DEFAULT_CURRENCY,
+    priceList: toPriceRows(source.price_list),
+    overrides: (Array.isArray(source.student_overrides) ? source.student_overrides : [])
+      .filter((entry) => entry && typeof entry.student_id === 'string')
+      .map((entry) => ({
+        key: nextRowKey(),
+        studentId: entry.student_id,
+        payerType: entry.payer_type || 'parent',
+        payerName: entry.payer_name || '',
+        prices: toPriceRows(entry.prices, { allowAllServices: true }),
+      })),
+  };
+}
+
+function serializePrices(rows, { allowAllServices = false } = {}) {
+  return rows.map((row) => ({
+    service: allowAllServices && row.service === ALL_SERVICES ? null : row.service,
+    price: parsePrice(row.price),
+    effective_from: row.effectiveFrom || null,
+  }));
+}
+
+function serializeForm(form) {
+  return {
+    currency: form.currency,
+    price_list: serializePrices(form.priceList),
+    student_overrides: form.overrides.map((override) => ({
+      student_id: override.studentId,
+      payer_type: override.payerType,
+      payer_name: override.payerName.trim() || null,
+      prices: serializePrices(override.prices, { allowAllServices: true }),
+    })),
+  };
+}
+
+function isRowValid(row) {
+  return Boolean(row.service) && !Number.isNaN(parsePrice(row.price));
+}
+
+function PriceRows({ idPrefix, rows, serviceNames, allowAllServices, disabled, onChange }) {
+  const updateRow = (key, field, value) => {
+    onChange(rows.map((row) => (row.key === key ? { ...row, [field]: value } : row)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {rows.map((row, index) => {
+        const serviceOptions = row.service && row.service !== ALL_SERVICES && !serviceNames.includes(row.service)
+          ? [...serviceNames, row.service]
+          : serviceNames;
+        return (
+          <div key={row.key} className="flex flex-wrap items-end gap-2">
+            <div className="min-w-[10rem] flex-1 space-y-1">
+              {index === 0 ? <Label className="block text-xs text-slate-600">שירות</Label> : null}
+              <Select value={row.service} onValueChange={(value) => updateRow(row.key, 'service', value)} disabled={disabled}>
+                <SelectTrigger aria-label="שירות">
+                  <SelectValue placeholder="בחרו שירות" />
+                </SelectTrigger>
+                <SelectContent>
+                  {allowAllServices ? <SelectItem value={ALL_SERVICES}>כל השירותים</SelectItem> : null}
+                  {serviceOptions.map((service) => (
+                    <SelectItem key={service} value={service}>{service}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              {index === 0 ? <Label htmlFor={`${idPrefix}-price-${row.key}`} className="block text-xs text-slate-600">מחיר למפגש (₪)</Label> : null}
+              <Input
+                id={`${idPrefix}-price-${row.key}`}
+                type="number"
+                min={0}
+                max={MAX_PRICE}
+                step="0.01"
+                value={row.price}
+                onChange={(event) => updateRow(row.key, 'price', event.target.value)}
+                disabled={disabled}
+                className="w-28"
+              />
+            </div>
+            <div className="space-y-1">
+              {index === 0 ? <Label htmlFor={`${idPrefix}-from-${row.key}`} className="block text-xs text-slate-600">בתוקף מתאריך</Label> : null}
+              <Input
+                id={`${idPrefix}-from-${row.key}`}
+                type="date"
+                value={row.effectiveFrom}
+                onChange={(event) => updateRow(row.key, 'effectiveFrom', event.target.value)}
+                disabled={disabled}
+                className="w-40"
+              />
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => onChange(rows.filter((entry) => entry.key !== row.key))}
+              disabled={disabled}
+              aria-label="הסרת מחיר"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        );
+      })}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        className="gap-1"
+        onClick={() => onChange([...rows, { key: nextRowKey(), service: allowAllServices ? ALL_SERVICES : '', price: '', effectiveFrom: '' }])}
+        disabled={disabled}
+      >
+        <Plus className="h-4 w-4" /> הוספת מחיר
+      </Button>
+    </div>
+  );
+}
+
+export default function BillingSettings({ session, orgId, activeOrgHasConnection, tenantClientReady }) {
+  const canLoad = Boolean(session && orgId && activeOrgHasConnection);
+  const { services, loadingServices } = useServices({
+    orgId,
+    session,
+    enabled: Boolean(canLoad && tenantClientReady),
+  });
+  const { students = [] } = useStudents({
+    status: 'all',
+    orgId,
+    session,
+    enabled: Boolean(canLoad && tenantClientReady),
+  });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState(() => toForm(null));
+  const [initialValue, setInitialValue] = useState(() => JSON.stringify(serializeForm(toForm(null))));
+  const [newStudentId, setNewStudentId] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSetting = async () => {
+      if (!canLoad) {
+        setIsLoading(false);
+        return;
+      }
+
+      setIsLoading(true);
+      setError('');
+
+      try {
+        const response = await fetchSettingsValue({ session, orgId, key: SETTING_KEY });
+        if (cancelled) {
+          return;
+        }
+        const loaded = toForm(response?.value);
+        setForm(loaded);
+        setInitialValue(JSON.stringify(serializeForm(loaded)));
+      } catch (loadError) {
+        console.error('Failed to load billing settings', loadError);
+        if (!cancelled) {
+          setError('שגיאה בטעינת ההגדרה. נסו שוב לאחר בדיקת החיבור.');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadSetting();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, session, orgId]);
+
+  const serviceNames = useMemo(
+    () => (Array.isArray(services) ? services.filter((name) => typeof name === 'string' && name.trim()) : []),
+    [services],
+  );
+  const studentNames = useMemo(
+    () => new Map((Array.isArray(students) ? students : []).map((student) => [student.id, student.name])),
+    [students],
+  );
+  const availableStudents = useMemo(() => {
+    const taken = new Set(form.overrides.map((override) => override.studentId));
+    return (Array.isArray(students) ? students : [])
+      .filter((student) => !taken.has(student.id))
+      .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'he'));
+  }, [students, form.overrides]);
+
+  const allPriceRows = [...form.priceList, ...form.overrides.flatMap((override) => override.prices)];
+  const isValid = allPriceRows.every(isRowValid);
+  const hasChanges = JSON.stringify(serializeForm(form)) !== initialValue;
+
+  const updateOverride = (key, changes) => {
+    setForm((previous) => ({
+      ...previous,
+      overrides: previous.overrides.map((override) => (override.key === key ? { ...override, ...changes } : override)),
+    }));
+  };
+
+  const addOverride = () => {
+    if (!newStudentId) {
+      return;
+    }
+    setForm((previous) => ({
+      ...previous,
+      overrides: [...previous.overrides, { key: nextRowKey(), studentId: newStudentId, payerType: 'parent', payerName: '', prices: [] }],
+    }));
+    setNewStudentId('');
+  };
+
+  const handleSave = async () => {
+    if (!session || !orgId) {
+      toast.error('נדרשת התחברות פעילה כדי לשמור את ההגדרה.');
+      return;
+    }
+    if (!activeOrgHasConnection) {
+      toast.error('השלימו את חיבור ה-Supabase לפני שמירה.');
+      return;
+    }
+
+    const value = serializeForm(form);
+
+    setIsSaving(true);
+    setError('');
+
+    try {
+      await upsertSetting({ session, orgId, key: SETTING_KEY, value });
+      setInitialValue(JSON.stringify(value));
+      toast.success('ההגדרה נשמרה בהצלחה.');
+    } catch (saveError) {
+      console.error('Failed to save billing settings', saveError);
+      setError('שמירת ההגדרה נכשלה. נסו שוב בעוד מספר רגעים.');
+      toast.error('שמירת ההגדרה נכשלה.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isBusy = isLoading || isSaving;
+
+  return (
+    <div className="space-y-md">
+      <Card className="border-0 bg-white/80 shadow-lg">
+        <CardHeader className="border-b border-slate-200">
+          <CardTitle className="text-lg font-semibold text-slate-900">מחירון שירותים</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4" dir="rtl">
+          <p className="text-sm text-slate-600">
+            החיוב החודשי מתמחר כל מפגש מתועד לפי השירות שלו. כשמחיר משתנה, מוסיפים שורה חדשה עם תאריך התחלה, והמפגשים שלפניו ממשיכים להיות מתומחרים לפי המחיר הקודם.
+          </p>
+          {loadingServices ? (
+            <p className="text-xs text-slate-500 sm:text-sm">טוען שירותים...</p>
+          ) : (
+            <PriceRows
+              idPrefix="billing-service"
+              rows={form.priceList}
+              serviceNames={serviceNames}
+              allowAllServices={false}
+              disabled={isBusy}
+              onChange={(priceList) => setForm((previous) => ({ ...previous, priceList }))}
+            />
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="border-0 bg-white/80 shadow-lg">
+        <CardHeader className="border-b border-slate-200">
+          <CardTitle className="text-lg font-semibold text-slate-900">מחירים ומשלמים לתלמידים</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4" dir="rtl">
+          <p className="text-sm text-slate-600">
+            לתלמיד שמחירו שונה מהמחירון או שהחיוב שלו עובר לגורם מממן. מחיר לתלמיד גובר על המחירון; מחיר ל״כל השירותים״ חל על שירותים שאין להם מחיר ייעודי לתלמיד.
+          </p>
+
+          {form.overrides.map((override) => (
+            <div key={override.key} className="space-y-3 rounded-xl border border-slate-200 bg-slate-50/60 p-4">
+              <div className="flex items-center justify-between gap-2">
+                <p className="font-medium text-slate-900">{studentNames.get(override.studentId) || 'תלמיד שנמחק'}</p>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="gap-1 text-red-600"
+                  onClick={() => setForm((previous) => ({
+                    ...previous,
+                    overrides: previous.overrides.filter((entry) => entry.key !== override.key),
+                  }))}
+                  disabled={isBusy}
+                >
+                  <Trash2 className="h-4 w-4" /> הסרה
+                </Button>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <div className="space-y-1">
+                  <Label className="block text-xs text-slate-600">משלם</Label>
+                  <Select value={override.payerType} onValueChange={(value) => updateOverride(override.key, { payerType: value })} disabled={isBusy}>
+                    <SelectTrigger className="w-40" aria-label="משלם">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {PAYER_OPTIONS.map((option) => (
+                        <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="min-w-[12rem] flex-1 space-y-1">
+                  <Label htmlFor={`billing-payer-${override.key}`} className="block text-xs text-slate-600">שם המשלם</Label>
+                  <Input
+                    id={`billing-payer-${override.key}`}
+                    value={override.payerName}
+                    onChange={(event) => updateOverride(override.key, { payerName: event.target.value })}
+                    placeholder="ברירת מחדל: איש הקשר של התלמיד"
+                    disabled={isBusy}
+                  />
+                </div>
+              </div>
+              <PriceRows
+                idPrefix={`billing-student-${override.key}`}
+                rows={override.prices}
+                serviceNames={serviceNames}
+                allowAllServices
+                disabled={isBusy}
+                onChange={(prices) => updateOverride(override.key, { prices })}
+              />
+            </div>
+          ))}
+
+          <div className="flex flex-wrap items-end gap-2">
+            <div className="min-w-[12rem] flex-1 space-y-1">
+              <Label className="block text-xs text-slate-600">הוספת תלמיד</Label>
+              <Select value={newStudentId} onValueChange={setNewStudentId} disabled={isBusy || !availableStudents.length}>
+                <SelectTrigger aria-label="הוספת תלמיד">
+                  <SelectValue placeholder="בחרו תלמיד" />
+                </SelectTrigger>
+                <SelectContent>
+                  {availableStudents.map((student) => (
+                    <SelectItem key={student.id} value={student.id}>{student.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button type="button" variant="outline" className="gap-1" onClick={addOverride} disabled={isBusy || !newStudentId}>
+              <Plus className="h-4 w-4" /> הוספה
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {!isValid ? (
+        <p className="text-sm text-amber-700" role="status">
+          לכל שורה יש לבחור שירות ולהזין מחיר בין 0 ל-{MAX_PRICE.toLocaleString('he-IL')}.
+        </p>
+      ) : null}
+
+      {error ? (
+        <div className="rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700" role="alert">
+          {error}
+        </div>
+      ) : null}
+
+      <div className="flex justify-end">
+        <Button
+          type="button"
+          onClick={handleSave}
+          disabled={isBusy || !hasChanges || !isValid}
+          className="min-w-[120px]"
+        >
+          {isSaving ? 'שומר...' : 'שמור הגדרה'}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,333 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Switch } from '@/components/ui/switch';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { fetchSettingsValue, upsertSetting } from '@/features/settings/api/settings.js';
+
+const SETTING_KEY = 'org_closures';
+
+const RECURRENCE_OPTIONS = [
+  { value: 'none', label: 'חד-פעמי' },
+  { value: 'yearly', label: 'כל שנה' },
+  { value: 'weekly', label: 'כל שבוע' },
+];
+
+const EMPTY_CLOSURES = { include_jewish_holidays: false, include_chol_hamoed: false, entries: [] };
+
+function createEntryId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `closure-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function normalizeClosures(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return EMPTY_CLOSURES;
+  }
+  const entries = Array.isArray(value.entries)
+    ? value.entries
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => ({
+        id: entry.id || createEntryId(),
+        label: typeof entry.label === 'string' ? entry.label : '',
+        start_date: typeof entry.start_date === 'string' ? entry.start_date : '',
+        end_date: typeof entry.end_date === 'string' ? entry.end_date : '',
+        recurrence: RECURRENCE_OPTIONS.some(option => option.value === entry.recurrence) ? entry.recurrence : 'none',
+      }))
+    : [];
+  return {
+    include_jewish_holidays: value.include_jewish_holidays === true,
+    include_chol_hamoed: value.include_chol_hamoed === true,
+    entries,
+  };
+}
+
+function validateEntries(entries) {
+  for (const entry of entries) {
+    if (!entry.label.trim()) {
+      return 'יש לתת שם לכל סגירה.';
+    }
+    if (!entry.start_date) {
+      return `יש לבחור תאריך התחלה עבור "${entry.label.trim()}".`;
+    }
+    if (entry.end_date && entry.end_date < entry.start_date) {
+      return `תאריך הסיום של "${entry.label.trim()}" מוקדם מתאריך ההתחלה.`;
+    }
+  }
+  return '';
+}
+
+function toPayload(closures) {
+  return {
+    include_jewish_holidays: closures.include_jewish_holidays,
+    include_chol_hamoed: closures.include_jewish_holidays && closures.include_chol_hamoed,
+    entries: closures.entries.map(entry => ({
+      id: entry.id,
+      label: entry.label.trim(),
+      start_date: entry.start_date,
+      end_date: entry.end_date || null,
+      recurrence: entry.recurrence,
+    })),
+  };
+}
+
+/**
+ * "ימי חופש וסגירה": org closures (single dates, ranges, yearly or weekly recurrences)
+ * and the optional built-in Jewish holiday calendar. Compliance views expect no sessions on these days.
+ */
+export default function ClosureCalendarSettings({ session, orgId, activeOrgHasConnection }) {
+  const [closures, setClosures] = useState(EMPTY_CLOSURES);
+  const [initialSnapshot, setInitialSnapshot] = useState(JSON.stringify(toPayload(EMPTY_CLOSURES)));
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadClosures = async () => {
+      if (!session || !orgId || !activeOrgHasConnection) {
+        setClosures(EMPTY_CLOSURES);
+        setIsLoading(false);
+        setError('');
+        return;
+      }
+
+      setIsLoading(true);
+      setError('');
+
+      try {
+        const response = await fetchSettingsValue({ session, orgId, key: SETTING_KEY });
+        if (cancelled) {
+          return;
+        }
+        const normalized = normalizeClosures(response?.value);
+        setClosures(normalized);
+        setInitialSnapshot(JSON.stringify(toPayload(normalized)));
+      } catch (loadError) {
+        console.error('Failed to load closure calendar', loadError);
+        if (!cancelled) {
+          setClosures(EMPTY_CLOSURES);
+          setError('שגיאה בטעינת לוח החופשות. נסו שוב לאחר בדיקת החיבור.');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadClosures();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [session, orgId, activeOrgHasConnection]);
+
+  const hasChanges = useMemo(
+    () => JSON.stringify(toPayload(closures)) !== initialSnapshot,
+    [closures, initialSnapshot],
+  );
+
+  const setFlag = (field) => (value) => {
+    setClosures(previous => ({ ...previous, [field]: Boolean(value) }));
+  };
+
+  const updateEntry = (id, field, value) => {
+    setClosures(previous => ({
+      ...previous,
+      entries: previous.entries.map(entry => (entry.id === id ? { ...entry, [field]: value } : entry)),
+    }));
+  };
+
+  const addEntry = () => {
+    setClosures(previous => ({
+      ...previous,
+      entries: [...previous.entries, { id: createEntryId(), label: '', start_date: '', end_date: '', recurrence: 'none' }],
+    }));
+  };
+
+  const removeEntry = (id) => {
+    setClosures(previous => ({ ...previous, entries: previous.entries.filter(entry => entry.id !== id) }));
+  };
+
+  const handleSave = async () => {
+    if (!session || !orgId) {
+      toast.error('נדרשת התחברות פעילה כדי לשמור את ההגדרות.');
+      return;
+    }
+    if (!activeOrgHasConnection) {
+      toast.error('השלימו את חיבור ה-Supabase לפני שמירה.');
+      return;
+    }
+
+    const validationError = validateEntries(closures.entries);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+
+    try {
+      const payload = toPayload(closures);
+      await upsertSetting({ session, orgId, key: SETTING_KEY, value: payload });
+      setInitialSnapshot(JSON.stringify(payload));
+      toast.success('לוח החופשות נשמר בהצלחה.');
+    } catch (saveError) {
+      console.error('Failed to save closure calendar', saveError);
+      setError('שמירת לוח החופשות נכשלה. נסו שוב בעוד מספר רגעים.');
+      toast.error('שמירת לוח החופשות נכשלה.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const disabled = isLoading || isSaving;
+
+  return (
+    <Card className="border-0 bg-white/80 shadow-lg">
+      <CardHeader className="border-b border-slate-200">
+        <CardTitle className="text-lg font-semibold text-slate-900">ימי חופש וסגירה</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4" dir="rtl">
+        <p className="text-sm text-slate-600">
+          בימים אלה לא נדרש תיעוד מפגשים: הם מוצגים מוצללים בלוח התיעודים ואינם נספרים כחסרים.
+        </p>
+
+        <div className="space-y-3 rounded-xl border border-slate-200 bg-slate-50/60 p-4">
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <p className="text-sm font-medium text-slate-900">חגי ישראל</p>
+              <p className="text-xs text-slate-600 sm:text-sm">
+                ראש השנה, יום כיפור, סוכות, שמחת תורה, פסח, יום העצמאות ושבועות — מחושבים אוטומטית לפי הלוח העברי.
+              </p>
+            </div>
+            <Switch
+              id="toggle-jewish-holidays"
+              checked={closures.include_jewish_holidays}
+              onCheckedChange={setFlag('include_jewish_holidays')}
+              disabled={disabled}
+              aria-label="החלפת חגי ישראל"
+            />
+          </div>
+          {closures.include_jewish_holidays ? (
+            <div className="flex items-center justify-between gap-3 border-t border-slate-200 pt-3">
+              <p className="text-sm text-slate-700">כולל ימי חול המועד</p>
+              <Switch
+                id="toggle-chol-hamoed"
+                checked={closures.include_chol_hamoed}
+                onCheckedChange={setFlag('include_chol_hamoed')}
+                disabled={disabled}
+                aria-label="החלפת ימי חול המועד"
+              />
+            </div>
+          ) : null}
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-slate-900">סגירות הארגון</p>
+            <Button type="button" variant="outline" size="sm" className="gap-1" onClick={addEntry} disabled={disabled}>
+              <Plus className="h-3.5 w-3.5" />
+              הוספת סגירה
+            </Button>
+          </div>
+
+          {!closures.entries.length ? (
+            <p className="text-sm text-slate-500">לא הוגדרו סגירות.</p>
+          ) : null}
+
+          {closures.entries.map(entry => (
+            <div key={entry.id} className="grid gap-3 rounded-xl border border-slate-200 bg-white p-3 sm:grid-cols-[1fr_auto]">
+              <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+                <div className="space-y-1">
+                  <Label htmlFor={`closure-${entry.id}-label`} className="text-xs text-slate-700">שם</Label>
+                  <Input
+                    id={`closure-${entry.id}-label`}
+                    value={entry.label}
+                    onChange={event => updateEntry(entry.id, 'label', event.target.value)}
+                    placeholder="לדוגמה: חופשת קיץ"
+                    disabled={disabled}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs text-slate-700">חזרה</Label>
+                  <Select value={entry.recurrence} onValueChange={value => updateEntry(entry.id, 'recurrence', value)} disabled={disabled}>
+                    <SelectTrigger dir="rtl">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {RECURRENCE_OPTIONS.map(option => (
+                        <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`closure-${entry.id}-start`} className="text-xs text-slate-700">
+                    {entry.recurrence === 'weekly' ? 'החל מ (קובע את היום בשבוע)' : 'מתאריך'}
+                  </Label>
+                  <Input
+                    id={`closure-${entry.id}-start`}
+                    type="date"
+                    value={entry.start_date}
+                    onChange={event => updateEntry(entry.id, 'start_date', event.target.value)}
+                    disabled={disabled}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`closure-${entry.id}-end`} className="text-xs text-slate-700">
+                    {entry.recurrence === 'weekly' ? 'עד (רשות)' : 'עד תאריך (רשות)'}
+                  </Label>
+                  <Input
+                    id={`closure-${entry.id}-end`}
+                    type="date"
+                    value={entry.end_date}
+                    onChange={event => updateEntry(entry.id, 'end_date', event.target.value)}
+                    disabled={disabled}
+                  />
+                </div>
+              </div>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8 self-end text-red-600"
+                onClick={() => removeEntry(entry.id)}
+                disabled={disabled}
+                aria-label="הסרת סגירה"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        {error ? (
+          <div className="rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700" role="alert">
+            {error}
+          </div>
+        ) : null}
+
+        <div className="flex justify-end">
+          <Button
+            type="button"
+            onClick={handleSave}
+            disabled={isLoading || isSaving || !hasChanges}
+            className="min-w-[120px]"
+          >
+            {isSaving ? 'שומר...' : 'שמור הגדרה'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
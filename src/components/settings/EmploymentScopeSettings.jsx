@@ -176,6 +176,9 @@ function EmploymentScopeSettings({ session, orgId, activeOrgHasConnection }) {
             <p className="text-sm text-slate-600">
               בחרו עבור אילו סוגי עובדים יוגדר היקף המשרה לצרכי מידע ודוחות בלבד.
             </p>
+            <p className="text-sm text-slate-600">
+              מדריכים בהיקף שעתי נכללים בדוח השעות החודשי (דוחות ← שעות ושכר). את היקף המשרה של כל מדריך מגדירים בפרופיל המדריך.
+            </p>
             <div className="grid gap-3 sm:grid-cols-2">
               {EMPLOYMENT_SCOPE_OPTIONS.map(option => {
                 const checkboxId = `employment-scope-${option.value}`;
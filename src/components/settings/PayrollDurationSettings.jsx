@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from 'sonner';
+import { fetchSettingsValue, upsertSetting } from '@/features/settings/api/settings.js';
+import { useServices } from '@/hooks/useOrgData.js';
+
+// Mirrors api/_shared/payroll.js and the session duration limits in api/_shared/validation.js
+const SETTING_KEY = 'payroll_settings';
+const DEFAULT_DURATION_MINUTES = 30;
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 480;
+
+function parseMinutes(value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return null;
+  }
+  const minutes = Number(text);
+  if (!Number.isInteger(minutes) || minutes < MIN_DURATION_MINUTES || minutes > MAX_DURATION_MINUTES) {
+    return Number.NaN;
+  }
+  return minutes;
+}
+
+function normalizeSettings(value) {
+  const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const fallback = parseMinutes(source.default_duration_minutes);
+  const serviceDurations = {};
+  if (source.service_durations && typeof source.service_durations === 'object') {
+    for (const [service, minutes] of Object.entries(source.service_durations)) {
+      const parsed = parseMinutes(minutes);
+      if (service.trim() && Number.isInteger(parsed)) {
+        serviceDurations[service.trim()] = String(parsed);
+      }
+    }
+  }
+  return {
+    defaultMinutes: String(Number.isInteger(fallback) ? fallback : DEFAULT_DURATION_MINUTES),
+    serviceDurations,
+  };
+}
+
+export default function PayrollDurationSettings({ session, orgId, activeOrgHasConnection, tenantClientReady }) {
+  const canLoad = Boolean(session && orgId && activeOrgHasConnection);
+  const { services, loadingServices } = useServices({
+    orgId,
+    session,
+    enabled: Boolean(canLoad && tenantClientReady),
+  });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState(() => normalizeSettings(null));
+  const [initialForm, setInitialForm] = useState(() => normalizeSettings(null));
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSetting = async () => {
+      if (!canLoad) {
+        setIsLoading(false);
+        return;
+      }
+
+      setIsLoading(true);
+      setError('');
+
+      try {
+        const response = await fetchSettingsValue({ session, orgId, key: SETTING_KEY });
+        if (cancelled) {
+          return;
+        }
+        const normalized = normalizeSettings(response?.value);
+        setForm(normalized);
+        setInitialForm(normalized);
+      } catch (loadError) {
+        console.error('Failed to load payroll settings', loadError);
+        if (!cancelled) {
+          setError('שגיאה בטעינת ההגדרה. נסו שוב לאחר בדיקת החיבור.');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadSetting();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, session, orgId]);
+
+  const serviceNames = useMemo(() => {
+    const names = new Set(Array.isArray(services) ? services.filter((name) => typeof name === 'string' && name.trim()) : []);
+    // Keep durations for services that were since removed from the list, so saving does not drop them silently
+    Object.keys(form.serviceDurations).forEach((name) => names.add(name));
+    return [...names];
+  }, [services, form.serviceDurations]);
+
+  const parsedDefault = parseMinutes(form.defaultMinutes);
+  const invalidFields = [
+    !Number.isInteger(parsedDefault),
+    ...Object.values(form.serviceDurations).map((value) => Number.isNaN(parseMinutes(value))),
+  ];
+  const isValid = !invalidFields.some(Boolean);
+  const hasChanges = JSON.stringify(form) !== JSON.stringify(initialForm);
+
+  const updateServiceMinutes = (service) => (event) => {
+    const { value } = event.target;
+    setForm((previous) => {
+      const serviceDurations = { ...previous.serviceDurations };
+      if (value.trim()) {
+        serviceDurations[service] = value;
+      } else {
+        delete serviceDurations[service];
+      }
+      return { ...previous, serviceDurations };
+    });
+  };
+
+  const handleSave = async () => {
+    if (!session || !orgId) {
+      toast.error('נדרשת התחברות פעילה כדי לשמור את ההגדרה.');
+      return;
+    }
+    if (!activeOrgHasConnection) {
+      toast.error('השלימו את חיבור ה-Supabase לפני שמירה.');
+      return;
+    }
+
+    const value = {
+      default_duration_minutes: parsedDefault,
+      service_durations: Object.fromEntries(
+        Object.entries(form.serviceDurations).map(([service, minutes]) => [service, parseMinutes(minutes)]),
+      ),
+    };
+
+    setIsSaving(true);
+    setError('');
+
+    try {
+      await upsertSetting({ session, orgId, key: SETTING_KEY, value });
+      const normalized = normalizeSettings(value);
+      setForm(normalized);
+      setInitialForm(normalized);
+      toast.success('ההגדרה נשמרה בהצלחה.');
+    } catch (saveError) {
+      console.error('Failed to save payroll settings', saveError);
+      setError('שמירת ההגדרה נכשלה. נסו שוב בעוד מספר רגעים.');
+      toast.error('שמירת ההגדרה נכשלה.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isBusy = isLoading || isSaving;
+
+  return (
+    <Card className="border-0 bg-white/80 shadow-lg">
+      <CardHeader className="border-b border-slate-200">
+        <CardTitle className="text-lg font-semibold text-slate-900">משך מפגש לחישוב שעות</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4" dir="rtl">
+        <p className="text-sm text-slate-600">
+          דוח השעות סופר לכל מפגש את המשך שדווח בטופס המפגש. כשלא דווח משך, נעשה שימוש בברירת המחדל של השירות, ואם אין כזו, בברירת המחדל הכללית.
+        </p>
+
+        <div className="flex flex-col gap-2 rounded-xl border border-slate-200 bg-slate-50/60 p-4">
+          <Label htmlFor="payroll-default-duration" className="text-sm font-medium text-slate-900">
+            משך ברירת מחדל (דקות)
+          </Label>
+          <Input
+            id="payroll-default-duration"
+            type="number"
+            min={MIN_DURATION_MINUTES}
+            max={MAX_DURATION_MINUTES}
+            value={form.defaultMinutes}
+            onChange={(event) => setForm((previous) => ({ ...previous, defaultMinutes: event.target.value }))}
+            disabled={isBusy}
+            className="w-32"
+          />
+        </div>
+
+        <div className="space-y-2 rounded-xl border border-slate-200 bg-slate-50/60 p-4">
+          <p className="text-sm font-medium text-slate-900">משך לפי שירות (דקות)</p>
+          {loadingServices ? (
+            <p className="text-xs text-slate-500 sm:text-sm">טוען שירותים...</p>
+          ) : serviceNames.length === 0 ? (
+            <p className="text-xs text-slate-500 sm:text-sm">לא הוגדרו שירותים בארגון.</p>
+          ) : (
+            <div className="grid gap-2 sm:grid-cols-2">
+              {serviceNames.map((service, index) => {
+                const inputId = `payroll-service-duration-${index}`;
+                return (
+                  <div key={service} className="flex items-center justify-between gap-2">
+                    <Label htmlFor={inputId} className="text-sm text-slate-700">{service}</Label>
+                    <Input
+                      id={inputId}
+                      type="number"
+                      min={MIN_DURATION_MINUTES}
+                      max={MAX_DURATION_MINUTES}
+                      placeholder={form.defaultMinutes}
+                      value={form.serviceDurations[service] ?? ''}
+                      onChange={updateServiceMinutes(service)}
+                      disabled={isBusy}
+                      className="w-24"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          <p className="text-xs text-slate-600 sm:text-sm">
+            ערכים בין {MIN_DURATION_MINUTES} ל-{MAX_DURATION_MINUTES} דקות. שדה ריק משתמש בברירת המחדל הכללית.
+          </p>
+        </div>
+
+        {!isValid ? (
+          <p className="text-sm text-amber-700" role="status">
+            יש להזין מספר דקות שלם בין {MIN_DURATION_MINUTES} ל-{MAX_DURATION_MINUTES}.
+          </p>
+        ) : null}
+
+        {error ? (
+          <div className="rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700" role="alert">
+            {error}
+          </div>
+        ) : null}
+
+        <div className="flex justify-end">
+          <Button
+            type="button"
+            onClick={handleSave}
+            disabled={isBusy || !hasChanges || !isValid}
+            className="min-w-[120px]"
+          >
+            {isSaving ? 'שומר...' : 'שמור הגדרה'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,191 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { GitBranch, Trash2 } from 'lucide-react';
+import { formRuleNeedsValue } from '@/features/sessions/utils/form-rules.js';
+
+const ACTION_OPTIONS = [
+  { value: 'show', label: 'הצג רק אם' },
+  { value: 'require', label: 'חובה כאשר' },
+];
+
+const OPERATOR_LABELS = {
+  equals: 'שווה ל',
+  not_equals: 'שונה מ',
+  lt: 'קטן מ',
+  lte: 'קטן או שווה ל',
+  gt: 'גדול מ',
+  gte: 'גדול או שווה ל',
+  empty: 'לא נענתה',
+  not_empty: 'נענתה',
+};
+
+// Multi-select answers match when the chosen value is one of the selected options
+const CHECKBOX_OPERATOR_LABELS = {
+  equals: 'כולל את',
+  not_equals: 'אינו כולל את',
+};
+
+const NUMERIC_QUESTION_TYPES = new Set(['number', 'scale']);
+const PRESENCE_ONLY_QUESTION_TYPES = new Set(['file', 'signature']);
+
+function operatorsFor(type) {
+  if (PRESENCE_ONLY_QUESTION_TYPES.has(type)) {
+    return ['empty', 'not_empty'];
+  }
+  return NUMERIC_QUESTION_TYPES.has(type)
+    ? ['equals', 'not_equals', 'lt', 'lte', 'gt', 'gte', 'empty', 'not_empty']
+    : ['equals', 'not_equals', 'empty', 'not_empty'];
+}
+
+function operatorLabel(type, operator) {
+  return (type === 'checkbox' && CHECKBOX_OPERATOR_LABELS[operator]) || OPERATOR_LABELS[operator];
+}
+
+function describeQuestion(question, index) {
+  const label = typeof question.label === 'string' && question.label.trim()
+    ? question.label.trim()
+    : `שאלה ${index + 1}`;
+  return `${index + 1}. ${label}`;
+}
+
+/**
+ * Conditions that show a question or make it required based on answers to earlier questions.
+ * Only earlier questions can be referenced, so rules never form a cycle.
+ */
+export default function QuestionRulesEditor({ question, index, questions, onChange }) {
+  const rules = Array.isArray(question.rules) ? question.rules : [];
+  const earlierQuestions = questions.slice(0, index);
+
+  const updateRule = (ruleIndex, updates) => {
+    onChange(rules.map((rule, currentIndex) => {
+      if (currentIndex !== ruleIndex) {
+        return rule;
+      }
+      const nextRule = { ...rule, ...updates };
+      const source = earlierQuestions.find((entry) => entry.id === nextRule.question);
+      if (source && !operatorsFor(source.type).includes(nextRule.operator)) {
+        nextRule.operator = operatorsFor(source.type)[0];
+      }
+      if (!formRuleNeedsValue(nextRule.operator)) {
+        nextRule.value = '';
+      }
+      return nextRule;
+    }));
+  };
+
+  const handleAddRule = () => {
+    const source = earlierQuestions[earlierQuestions.length - 1];
+    onChange([...rules, { action: 'show', question: source?.id || '', operator: operatorsFor(source?.type)[0], value: '' }]);
+  };
+
+  const handleRemoveRule = (ruleIndex) => {
+    onChange(rules.filter((_, currentIndex) => currentIndex !== ruleIndex));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-semibold text-slate-800">תנאים</h4>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={handleAddRule}
+          disabled={!earlierQuestions.length}
+          className="gap-2"
+        >
+          <GitBranch className="h-4 w-4" aria-hidden="true" />
+          הוסף תנאי
+        </Button>
+      </div>
+      {!earlierQuestions.length ? (
+        <p className="text-xs text-slate-500">תנאים יכולים להתייחס רק לשאלות שמופיעות לפני שאלה זו.</p>
+      ) : !rules.length ? (
+        <p className="text-xs text-slate-500">השאלה מוצגת תמיד. הוסיפו תנאי כדי להציג אותה או לחייב אותה רק לפי תשובה קודמת.</p>
+      ) : (
+        <p className="text-xs text-slate-500">כשיש כמה תנאים מאותו סוג, כולם צריכים להתקיים. תשובה לשאלה מוסתרת אינה נשמרת.</p>
+      )}
+      {rules.map((rule, ruleIndex) => {
+        const source = earlierQuestions.find((entry) => entry.id === rule.question) || null;
+        const sourceOptions = Array.isArray(source?.options)
+          ? source.options.filter((option) => typeof option?.value === 'string' && option.value.trim())
+          : [];
+        const needsValue = formRuleNeedsValue(rule.operator);
+        return (
+          <div
+            key={`${question.id}-rule-${ruleIndex}`}
+            className="grid w-full gap-2 rounded-xl border border-slate-200 bg-slate-50/60 p-2 sm:grid-cols-[auto,2fr,1fr,1fr,auto] sm:items-center"
+          >
+            <Select value={rule.action} onValueChange={(value) => updateRule(ruleIndex, { action: value })}>
+              <SelectTrigger className="w-full text-xs sm:w-32 sm:text-sm" aria-label="סוג התנאי">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {ACTION_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={source ? rule.question : ''} onValueChange={(value) => updateRule(ruleIndex, { question: value, value: '' })}>
+              <SelectTrigger className="w-full text-xs sm:text-sm" aria-label="שאלה קודמת">
+                <SelectValue placeholder="בחרו שאלה" />
+              </SelectTrigger>
+              <SelectContent className="max-h-[300px]">
+                {earlierQuestions.map((entry, entryIndex) => (
+                  <SelectItem key={entry.id} value={entry.id}>{describeQuestion(entry, entryIndex)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={rule.operator} onValueChange={(value) => updateRule(ruleIndex, { operator: value })}>
+              <SelectTrigger className="w-full text-xs sm:text-sm" aria-label="השוואה">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {operatorsFor(source?.type).map((operator) => (
+                  <SelectItem key={operator} value={operator}>{operatorLabel(source?.type, operator)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {!needsValue ? (
+              <div />
+            ) : sourceOptions.length ? (
+              <Select value={rule.value || ''} onValueChange={(value) => updateRule(ruleIndex, { value })}>
+                <SelectTrigger className="w-full text-xs sm:text-sm" aria-label="ערך">
+                  <SelectValue placeholder="בחרו ערך" />
+                </SelectTrigger>
+                <SelectContent>
+                  {sourceOptions.map((option) => (
+                    <SelectItem key={option.id || option.value} value={option.value.trim()}>
+                      {option.label || option.value}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            ) : (
+              <Input
+                type={NUMERIC_QUESTION_TYPES.has(source?.type) ? 'number' : 'text'}
+                value={rule.value ?? ''}
+                onChange={(event) => updateRule(ruleIndex, { value: event.target.value })}
+                placeholder="ערך"
+                className="text-sm"
+                aria-label="ערך"
+              />
+            )}
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => handleRemoveRule(ruleIndex)}
+              className="text-red-600 hover:bg-red-50"
+              aria-label="מחק תנאי"
+            >
+              <Trash2 className="h-4 w-4" aria-hidden="true" />
+            </Button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
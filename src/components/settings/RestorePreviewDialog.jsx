@@ -0,0 +1,130 @@
+import React from 'react';
+import { AlertTriangle, Loader2, Upload } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+const TABLE_LABELS = Object.freeze({
+  Settings: 'הגדרות',
+  Instructors: 'מדריכים',
+  Students: 'תלמידים',
+  SessionRecords: 'רשומות מפגשים',
+  Documents: 'מסמכים',
+});
+
+function formatDate(value) {
+  if (!value) return '';
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return '';
+  return parsed.toLocaleDateString('he-IL', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Shows the dry-run result from POST /api/restore (dry_run) and asks the admin
+ * to confirm before the backup is actually applied.
+ */
+export default function RestorePreviewDialog({ open, onOpenChange, previewResult, onConfirm, isRestoring = false, scopeLabel = '' }) {
+  const preview = previewResult?.preview || null;
+  const tableEntries = preview ? Object.entries(preview.tables || {}) : [];
+  const totals = preview?.totals || { insert: 0, update: 0, unchanged: 0, delete: 0 };
+  const conflicts = tableEntries.flatMap(([table, summary]) => (summary.conflicts || []).map((conflict) => ({ ...conflict, table })));
+  const destructive = totals.update > 0 || totals.delete > 0;
+  const exportedAt = formatDate(previewResult?.exported_at);
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => { if (!isRestoring) onOpenChange(next); }}>
+      <DialogContent dir="rtl" className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-right">תצוגה מקדימה של השחזור</DialogTitle>
+          <DialogDescription className="text-right">
+            {exportedAt ? `גיבוי מתאריך ${exportedAt}. ` : ''}
+            לא בוצעו שינויים עדיין. בדקו את הסיכום ואשרו כדי להחיל את הגיבוי.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-sm" dir="rtl">
+          {scopeLabel ? (
+            <p className="text-sm font-medium text-slate-700">שחזור חלקי: {scopeLabel}</p>
+          ) : null}
+
+          {previewResult?.cross_org ? (
+            <div className="flex items-start gap-2 rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900">
+              <AlertTriangle className="mt-0.5 h-4 w-4 flex-shrink-0" />
+              הגיבוי נוצר בארגון אחר. מסמכים שלא צורפו לגיבוי לא ישוחזרו.
+            </div>
+          ) : null}
+
+          {tableEntries.length ? (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="text-right">טבלה</TableHead>
+                  <TableHead className="text-right">חדשות</TableHead>
+                  <TableHead className="text-right">יעודכנו</TableHead>
+                  <TableHead className="text-right">ללא שינוי</TableHead>
+                  {preview.clear_existing ? <TableHead className="text-right">יימחקו</TableHead> : null}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {tableEntries.map(([table, summary]) => (
+                  <TableRow key={table}>
+                    <TableCell className="font-medium">{TABLE_LABELS[table] || table}</TableCell>
+                    <TableCell className="text-emerald-700">{summary.insert}</TableCell>
+                    <TableCell className={summary.update ? 'text-amber-700' : ''}>{summary.update}</TableCell>
+                    <TableCell className="text-slate-500">{summary.unchanged}</TableCell>
+                    {preview.clear_existing ? (
+                      <TableCell className={summary.delete ? 'text-red-700' : ''}>{summary.delete}</TableCell>
+                    ) : null}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          ) : (
+            <p className="text-sm text-slate-600">הגיבוי אינו מכיל רשומות לשחזור.</p>
+          )}
+
+          {preview?.files ? (
+            <p className="text-xs text-slate-600">
+              קבצים: {preview.files.bundled} ישוחזרו מתוך הגיבוי, {preview.files.referenced} יקושרו לקבצים קיימים
+              {preview.files.rejected ? `, ${preview.files.rejected} לא ישוחזרו (לא ניתן לאמת את הקובץ)` : ''}.
+            </p>
+          ) : null}
+
+          {conflicts.length ? (
+            <div className="space-y-1 rounded-lg border border-slate-200 bg-slate-50 p-3">
+              <p className="text-xs font-semibold text-slate-700">דוגמאות לרשומות שיידרסו</p>
+              <ul className="space-y-1 text-xs text-slate-600">
+                {conflicts.map((conflict) => (
+                  <li key={`${conflict.table}-${conflict.id}`}>
+                    <span className="font-medium">{TABLE_LABELS[conflict.table] || conflict.table}:</span>{' '}
+                    {conflict.label || conflict.id}{' '}
+                    <span className="text-slate-400" dir="ltr">({conflict.changed_fields.join(', ')})</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+
+          {preview?.errors?.length ? (
+            <p className="text-xs text-red-700">לא ניתן היה לבדוק {preview.errors.length} טבלאות. השחזור עשוי לכלול שינויים נוספים.</p>
+          ) : null}
+        </div>
+
+        <DialogFooter className="gap-2" dir="rtl">
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={isRestoring}>
+            ביטול
+          </Button>
+          <Button
+            variant={destructive ? 'destructive' : 'default'}
+            onClick={onConfirm}
+            disabled={isRestoring || !tableEntries.length}
+            className="gap-2"
+          >
+            {isRestoring ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+            אישור ושחזור
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { CalendarClock, Copy, Download, Loader2, Save } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { authenticatedFetch } from '@/lib/api-client.js';
+
+const WEEKDAY_OPTIONS = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'];
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => hour);
+const MAX_RETENTION = 30;
+
+function formatDateTime(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleString('he-IL', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+function formatSize(bytes) {
+  if (!Number.isFinite(bytes)) return '';
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
+
+/**
+ * Automatic backup schedule and the list of stored scheduled backups.
+ * Data comes from /api/backup-status; saving goes to /api/backup-schedule and
+ * downloads to /api/backup-download (which also reveals the backup's password).
+ */
+export default function ScheduledBackupsPanel({ orgId, schedule, backups = [], lastRun = null, disabled = false }) {
+  const [draft, setDraft] = useState(schedule);
+  const [saving, setSaving] = useState(false);
+  const [downloadingId, setDownloadingId] = useState('');
+  const [revealed, setRevealed] = useState(null);
+
+  useEffect(() => {
+    setDraft(schedule);
+  }, [schedule]);
+
+  if (!draft) return null;
+
+  const update = (field) => (value) => setDraft((previous) => ({ ...previous, [field]: value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const payload = await authenticatedFetch('backup-schedule', {
+        method: 'PUT',
+        body: { org_id: orgId, schedule: draft },
+      });
+      setDraft(payload?.schedule || draft);
+      toast.success(draft.enabled ? 'הגיבוי האוטומטי נשמר.' : 'הגיבוי האוטומטי כובה.');
+    } catch (error) {
+      console.error('Saving backup schedule failed', error);
+      toast.error(error?.data?.message === 'storage_not_configured'
+        ? 'גיבוי אוטומטי דורש אחסון מחובר.'
+        : (error?.message || 'שמירת התזמון נכשלה'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (backupId) => {
+    setDownloadingId(backupId);
+    try {
+      const payload = await authenticatedFetch('backup-download', {
+        method: 'POST',
+        body: { org_id: orgId, backup_id: backupId },
+      });
+      const a = document.createElement('a');
+      a.href = payload.download_url;
+      a.download = payload.filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setRevealed({ backupId, password: payload.password });
+    } catch (error) {
+      console.error('Scheduled backup download failed', error);
+      toast.error(error?.message || 'הורדת הגיבוי נכשלה');
+    } finally {
+      setDownloadingId('');
+    }
+  };
+
+  const handleCopyPassword = () => {
+    navigator.clipboard.writeText(revealed.password).then(
+      () => toast.success('הסיסמה הועתקה'),
+      () => toast.error('ההעתקה נכשלה'),
+    );
+  };
+
+  return (
+    <div className="space-y-sm">
+      <div>
+        <Label className="flex items-center gap-xs text-slate-700">
+          <CalendarClock className="h-4 w-4" />
+          גיבוי אוטומטי
+        </Label>
+        <p className="text-xs text-slate-500">גיבויים מוצפנים נשמרים באחסון הארגון לפי התזמון. הגיבויים הישנים נמחקים אוטומטית.</p>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <Switch id="schedule-enabled" checked={draft.enabled} onCheckedChange={update('enabled')} disabled={disabled} />
+        <Label htmlFor="schedule-enabled" className="text-slate-700">הפעל גיבוי אוטומטי</Label>
+      </div>
+
+      <div className="grid gap-sm sm:grid-cols-4">
+        <div className="space-y-2">
+          <Label className="text-xs text-slate-700">תדירות</Label>
+          <Select value={draft.frequency} onValueChange={update('frequency')} disabled={disabled}>
+            <SelectTrigger dir="rtl">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="daily">יומי</SelectItem>
+              <SelectItem value="weekly">שבועי</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        {draft.frequency === 'weekly' ? (
+          <div className="space-y-2">
+            <Label className="text-xs text-slate-700">יום</Label>
+            <Select value={String(draft.weekday)} onValueChange={(value) => update('weekday')(Number(value))} disabled={disabled}>
+              <SelectTrigger dir="rtl">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {WEEKDAY_OPTIONS.map((label, index) => (
+                  <SelectItem key={label} value={String(index)}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ) : null}
+        <div className="space-y-2">
+          <Label className="text-xs text-slate-700">שעה (שעון ישראל)</Label>
+          <Select value={String(draft.hour)} onValueChange={(value) => update('hour')(Number(value))} disabled={disabled}>
+            <SelectTrigger dir="rtl">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {HOUR_OPTIONS.map((hour) => (
+                <SelectItem key={hour} value={String(hour)}>{`${String(hour).padStart(2, '0')}:00`}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label className="text-xs text-slate-700">מספר גיבויים לשמירה</Label>
+          <Input
+            type="number"
+            min={1}
+            max={MAX_RETENTION}
+            value={draft.retention_count}
+            onChange={(event) => update('retention_count')(Math.min(MAX_RETENTION, Math.max(1, Number(event.target.value) || 1)))}
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-sm">
+        <div className="flex items-center gap-2">
+          <Switch
+            id="schedule-bundle-files"
+            checked={draft.files_mode === 'bundle'}
+            onCheckedChange={(checked) => update('files_mode')(checked ? 'bundle' : 'reference')}
+            disabled={disabled}
+          />
+          <Label htmlFor="schedule-bundle-files" className="text-xs text-slate-700">צרף את תוכן הקבצים לגיבויים האוטומטיים</Label>
+        </div>
+        <Button onClick={handleSave} disabled={disabled || saving} className="gap-xs">
+          {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+          שמירת תזמון
+        </Button>
+      </div>
+
+      {lastRun?.status === 'failed' ? (
+        <p className="text-xs text-red-700">
+          הגיבוי האוטומטי האחרון ({formatDateTime(lastRun.timestamp)}) נכשל{lastRun.error_message === 'storage_not_configured' ? ': אין אחסון מחובר.' : '.'}
+        </p>
+      ) : null}
+
+      {backups.length ? (
+        <ul className="divide-y divide-slate-100 rounded-md border border-slate-200 bg-white">
+          {backups.map((backup) => (
+            <li key={backup.backup_id} className="flex items-center justify-between gap-2 px-3 py-2 text-sm">
+              <span className="text-slate-800">
+                {formatDateTime(backup.timestamp)}
+                <span className="mr-2 text-xs text-slate-500">{formatSize(backup.size_bytes)}</span>
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                className="gap-1"
+                onClick={() => handleDownload(backup.backup_id)}
+                disabled={disabled || downloadingId === backup.backup_id}
+              >
+                {downloadingId === backup.backup_id ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Download className="h-3.5 w-3.5" />}
+                הורדה
+              </Button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-slate-500">עדיין לא נוצרו גיבויים אוטומטיים.</p>
+      )}
+
+      {revealed ? (
+        <div className="rounded-md border border-amber-300 bg-amber-50 p-3 text-amber-900">
+          <div className="mb-1 flex items-center justify-between gap-2">
+            <strong className="text-sm">סיסמת הגיבוי שהורד</strong>
+            <Button variant="outline" size="xs" className="h-7 gap-1" onClick={handleCopyPassword}>
+              <Copy className="h-3.5 w-3.5" /> העתק
+            </Button>
+          </div>
+          <div className="font-mono text-sm break-all">{revealed.password}</div>
+          <div className="mt-2 text-xs text-amber-700">הסיסמה נדרשת לשחזור מקובץ זה.</div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
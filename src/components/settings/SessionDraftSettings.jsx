@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from 'sonner';
+import { fetchSettingsValue, upsertSetting } from '@/features/settings/api/settings.js';
+
+// Mirrors api/_shared/session-drafts.js
+const SETTING_KEY = 'session_draft_retention_days';
+const DEFAULT_RETENTION_DAYS = 14;
+const MAX_RETENTION_DAYS = 90;
+
+function normalizeDays(value) {
+  const days = typeof value === 'number' ? value : Number.parseInt(String(value ?? '').trim(), 10);
+  if (!Number.isInteger(days) || days < 1) {
+    return DEFAULT_RETENTION_DAYS;
+  }
+  return Math.min(days, MAX_RETENTION_DAYS);
+}
+
+export default function SessionDraftSettings({ session, orgId, activeOrgHasConnection }) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [days, setDays] = useState(String(DEFAULT_RETENTION_DAYS));
+  const [initialDays, setInitialDays] = useState(DEFAULT_RETENTION_DAYS);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSetting = async () => {
+      if (!session || !orgId || !activeOrgHasConnection) {
+        setIsLoading(false);
+        return;
+      }
+
+      setIsLoading(true);
+      setError('');
+
+      try {
+        const response = await fetchSettingsValue({ session, orgId, key: SETTING_KEY });
+        if (cancelled) {
+          return;
+        }
+        const normalized = normalizeDays(response?.value);
+        setDays(String(normalized));
+        setInitialDays(normalized);
+      } catch (loadError) {
+        console.error('Failed to load session draft retention setting', loadError);
+        if (!cancelled) {
+          setError('שגיאה בטעינת ההגדרה. נסו שוב לאחר בדיקת החיבור.');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadSetting();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [session, orgId, activeOrgHasConnection]);
+
+  const parsedDays = Number.parseInt(days, 10);
+  const isValid = Number.isInteger(parsedDays) && parsedDays >= 1 && parsedDays <= MAX_RETENTION_DAYS;
+  const hasChanges = isValid && parsedDays !== initialDays;
+
+  const handleSave = async () => {
+    if (!session || !orgId) {
+      toast.error('נדרשת התחברות פעילה כדי לשמור את ההגדרה.');
+      return;
+    }
+    if (!activeOrgHasConnection) {
+      toast.error('השלימו את חיבור ה-Supabase לפני שמירה.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+
+    try {
+      await upsertSetting({ session, orgId, key: SETTING_KEY, value: parsedDays });
+      setInitialDays(parsedDays);
+      toast.success('ההגדרה נשמרה בהצלחה.');
+    } catch (saveError) {
+      console.error('Failed to save session draft retention setting', saveError);
+      setError('שמירת ההגדרה נכשלה. נסו שוב בעוד מספר רגעים.');
+      toast.error('שמירת ההגדרה נכשלה.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card className="border-0 bg-white/80 shadow-lg">
+      <CardHeader className="border-b border-slate-200">
+        <CardTitle className="text-lg font-semibold text-slate-900">טיוטות דיווח</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4" dir="rtl">
+        <p className="text-sm text-slate-600">
+          טופס המפגש שומר טיוטה בזמן ההקלדה, כך שאפשר להתחיל דיווח בטלפון ולסיים אותו במחשב. טיוטות אינן נחשבות כתיעוד ואינן משפיעות על מעקב הציות.
+        </p>
+
+        <div className="flex flex-col gap-2 rounded-xl border border-slate-200 bg-slate-50/60 p-4">
+          <Label htmlFor="session-draft-retention" className="text-sm font-medium text-slate-900">
+            מספר הימים לשמירת טיוטה שלא נשלחה
+          </Label>
+          <Input
+            id="session-draft-retention"
+            type="number"
+            min={1}
+            max={MAX_RETENTION_DAYS}
+            value={days}
+            onChange={(event) => setDays(event.target.value)}
+            disabled={isLoading || isSaving}
+            className="w-32"
+          />
+          <p className="text-xs text-slate-600 sm:text-sm">
+            כל שמירה של הטיוטה מאריכה את התקופה. טיוטה שלא עודכנה במשך התקופה נמחקת אוטומטית (עד {MAX_RETENTION_DAYS} ימים).
+          </p>
+        </div>
+
+        {error ? (
+          <div className="rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700" role="alert">
+            {error}
+          </div>
+        ) : null}
+
+        <div className="flex justify-end">
+          <Button
+            type="button"
+            onClick={handleSave}
+            disabled={isLoading || isSaving || !hasChanges}
+            className="min-w-[120px]"
+          >
+            {isSaving ? 'שומר...' : 'שמור הגדרה'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
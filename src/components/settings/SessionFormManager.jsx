@@ -7,13 +7,17 @@ import { Switch } from '@/components/ui/switch';
 import { Skeleton } from '@/components/ui/skeleton';
 import { Badge } from '@/components/ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { ArrowDown, ArrowUp, ChevronDown, ChevronUp, ListPlus, Loader2, Plus, Save, Trash2 } from 'lucide-react';
+import { ArrowDown, ArrowUp, ChevronDown, ChevronUp, Copy, ListPlus, Loader2, Plus, Save, Trash2, Undo2 } from 'lucide-react';
 import { toast } from 'sonner';
 import QuestionTypePreview from './QuestionTypePreview.jsx';
+import QuestionRulesEditor from './QuestionRulesEditor.jsx';
 import { fetchSessionFormConfig } from '@/features/settings/api/index.js';
 import { upsertSetting } from '@/features/settings/api/settings.js';
 import { useSupabase } from '@/context/SupabaseContext.jsx';
 import { useOrg } from '@/org/OrgContext.jsx';
+import { useServices } from '@/hooks/useOrgData.js';
+import { resolveServiceFormConfig } from '@/features/sessions/utils/version-lookup.js';
+import { FORM_RULE_ACTIONS, FORM_RULE_OPERATORS, formRuleNeedsValue, isNumericFormRuleOperator } from '@/features/sessions/utils/form-rules.js';
 
 const REQUEST_STATE = Object.freeze({
   idle: 'idle',
@@ -35,10 +39,14 @@ const QUESTION_TYPE_OPTIONS = [
   { value: 'select', label: 'בחירה מרשימה' },
   { value: 'radio', label: 'כפתורי בחירה' },
   { value: 'buttons', label: 'בחירה באמצעות כפתורים' },
+  { value: 'checkbox', label: 'תיבות סימון (בחירה מרובה)' },
   { value: 'scale', label: 'סולם הערכה (טווח מספרי)' },
+  { value: 'time', label: 'שעה' },
+  { value: 'file', label: 'צירוף קובץ (תמונה או מסמך)' },
+  { value: 'signature', label: 'חתימה' },
 ];
 
-const OPTION_TYPES = new Set(['select', 'radio', 'buttons']);
+const OPTION_TYPES = new Set(['select', 'radio', 'buttons', 'checkbox']);
 const RANGE_TYPES = new Set(['scale']);
 
 const DEFAULT_RANGE = Object.freeze({ min: 1, max: 5, step: 1 });
@@ -70,6 +78,7 @@ function createEmptyQuestion(index = 0) {
     required: false,
     options: [],
     range: { ...DEFAULT_RANGE },
+    rules: [],
   };
 }
 
@@ -115,6 +124,70 @@ function extractRawQuestions(settingsValue) {
   return [];
 }
 
+const DEFAULT_QUESTIONNAIRE = '';
+
+function parseConfigValue(settingsValue) {
+  if (typeof settingsValue !== 'string') {
+    return settingsValue && typeof settingsValue === 'object' ? settingsValue : null;
+  }
+  try {
+    return JSON.parse(settingsValue);
+  } catch {
+    return null;
+  }
+}
+
+function readServiceQuestionnaires(settingsValue) {
+  const payload = parseConfigValue(settingsValue);
+  const services = payload && !Array.isArray(payload) ? payload.services : null;
+  return services && typeof services === 'object' && !Array.isArray(services) ? services : {};
+}
+
+// The questions of the chosen questionnaire, or null while a service still uses the default one
+function extractQuestionnaireQuestions(settingsValue, service) {
+  if (!service) {
+    return extractRawQuestions(settingsValue);
+  }
+  const resolved = resolveServiceFormConfig(settingsValue, service);
+  return resolved.service ? resolved.config.current.questions : null;
+}
+
+// Question ids used by every questionnaire except `service`, whose preanswers must survive saving it
+function collectOtherQuestionIds(settingsValue, service) {
+  const ids = new Set();
+  const collect = (list) => {
+    for (const question of Array.isArray(list) ? list : []) {
+      if (typeof question?.id === 'string' && question.id.trim()) {
+        ids.add(question.id.trim());
+      }
+    }
+  };
+  if (service) {
+    collect(extractRawQuestions(settingsValue));
+  }
+  for (const name of Object.keys(readServiceQuestionnaires(settingsValue))) {
+    if (name !== service) {
+      collect(extractQuestionnaireQuestions(settingsValue, name));
+    }
+  }
+  return ids;
+}
+
+// Local copy of what the server stored, so switching questionnaires after a save shows the saved questions
+function withSavedQuestionnaire(settingsValue, service, questions) {
+  const payload = parseConfigValue(settingsValue);
+  const base = payload && !Array.isArray(payload) ? payload : { current: { questions: Array.isArray(payload) ? payload : [] } };
+  if (!service) {
+    return { ...base, current: { ...(base.current || {}), questions } };
+  }
+  const services = readServiceQuestionnaires(base);
+  const entry = services[service] || {};
+  return {
+    ...base,
+    services: { ...services, [service]: { ...entry, current: questions ? { ...(entry.current || {}), questions } : null } },
+  };
+}
+
 function normalizeOptionForEditing(option, index) {
   if (!option) {
     return null;
@@ -187,6 +260,20 @@ function normalizeRangeConfig(range) {
   };
 }
 
+function normalizeRulesForEditing(rawRules) {
+  if (!Array.isArray(rawRules)) {
+    return [];
+  }
+  return rawRules
+    .filter((rule) => rule && typeof rule === 'object')
+    .map((rule) => ({
+      action: FORM_RULE_ACTIONS.includes(rule.action) ? rule.action : 'show',
+      question: typeof rule.question === 'string' ? rule.question.trim() : '',
+      operator: FORM_RULE_OPERATORS.includes(rule.operator) ? rule.operator : 'equals',
+      value: rule.value === null || rule.value === undefined ? '' : String(rule.value),
+    }));
+}
+
 function deserializeQuestions(rawQuestions) {
   if (!Array.isArray(rawQuestions) || !rawQuestions.length) {
     return [];
@@ -225,6 +312,7 @@ function deserializeQuestions(rawQuestions) {
     const required = Boolean(entry.required);
     const options = ensureOptionsForType(type, entry.options);
     const range = normalizeRangeConfig(entry.range ?? entry.scale);
+    const rules = normalizeRulesForEditing(entry.rules);
     return {
       id,
       label,
@@ -233,6 +321,7 @@ function deserializeQuestions(rawQuestions) {
       required,
       options,
       range,
+      rules,
     };
   });
 }
@@ -335,6 +424,15 @@ function buildPayloadFromQuestions(questions) {
     if (questionSupportsRange(type)) {
       base.range = normalizeRangeForSave(question.range);
     }
+    const rules = Array.isArray(question.rules) ? question.rules : [];
+    if (rules.length) {
+      base.rules = rules.map((rule) => ({
+        action: rule.action,
+        question: typeof rule.question === 'string' ? rule.question.trim() : '',
+        operator: rule.operator,
+        ...(formRuleNeedsValue(rule.operator) ? { value: String(rule.value ?? '').trim() } : {}),
+      }));
+    }
     return base;
   });
 }
@@ -378,6 +476,19 @@ function validateQuestions(questions) {
         }
       });
     }
+    const rules = Array.isArray(question.rules) ? question.rules : [];
+    rules.forEach((rule, ruleIndex) => {
+      const reference = typeof rule.question === 'string' ? rule.question.trim() : '';
+      const sourceIndex = questions.findIndex((entry) => entry.id === reference);
+      const value = String(rule.value ?? '').trim();
+      if (sourceIndex === -1 || sourceIndex >= index) {
+        errors.push(`תנאי ${ruleIndex + 1} בשאלה ${index + 1} חייב להתייחס לשאלה שמופיעה לפניה.`);
+      } else if (formRuleNeedsValue(rule.operator) && !value) {
+        errors.push(`תנאי ${ruleIndex + 1} בשאלה ${index + 1} חייב לכלול ערך להשוואה.`);
+      } else if (isNumericFormRuleOperator(rule.operator) && !Number.isFinite(Number(value))) {
+        errors.push(`תנאי ${ruleIndex + 1} בשאלה ${index + 1} משווה לערך שאינו מספר.`);
+      }
+    });
     if (questionSupportsRange(question.type)) {
       const range = normalizeRangeForSave(question.range);
       if (range.min >= range.max) {
@@ -418,8 +529,28 @@ export default function SessionFormManager({
   const { authClient } = useSupabase();
   const { activeOrgId } = useOrg();
   const [cap, setCap] = useState(50);
+  const [formConfig, setFormConfig] = useState(null);
+  const [selectedService, setSelectedService] = useState(DEFAULT_QUESTIONNAIRE);
 
   const canLoad = Boolean(session && orgId && activeOrgHasConnection && tenantClientReady);
+  const { services: availableServices } = useServices({ orgId, session, enabled: canLoad });
+
+  // Services listed in ServiceManager plus any service that still has its own questionnaire
+  const serviceOptions = useMemo(() => {
+    const ownQuestionnaires = new Set(
+      Object.keys(readServiceQuestionnaires(formConfig))
+        .filter((name) => extractQuestionnaireQuestions(formConfig, name)),
+    );
+    const names = [
+      ...(Array.isArray(availableServices) ? availableServices : []),
+      ...ownQuestionnaires,
+    ]
+      .filter((name) => typeof name === 'string' && name.trim())
+      .map((name) => name.trim());
+    return Array.from(new Set(names)).map((name) => ({ name, hasOwnQuestionnaire: ownQuestionnaires.has(name) }));
+  }, [availableServices, formConfig]);
+  const selectedServiceOption = serviceOptions.find((option) => option.name === selectedService) || null;
+  const serviceUsesDefault = Boolean(selectedService) && !selectedServiceOption?.hasOwnQuestionnaire;
 
   const currentSignature = useMemo(() => {
     const payload = buildPayloadFromQuestions(questions);
@@ -436,8 +567,7 @@ export default function SessionFormManager({
   const isSaving = saveState === SAVE_STATE.saving;
   const isLoading = loadState === REQUEST_STATE.loading;
 
-  const applyLoadedQuestions = useCallback((rawValue, metadata = null) => {
-    const rawQuestions = extractRawQuestions(rawValue);
+  const showQuestionnaire = useCallback((rawQuestions) => {
     const normalized = deserializeQuestions(rawQuestions);
     setQuestions(normalized);
     // Collapse all by default on load for compact view
@@ -447,13 +577,19 @@ export default function SessionFormManager({
     const payload = buildPayloadFromQuestions(normalized);
     lastSavedPayloadRef.current = payload;
     lastSavedSignatureRef.current = JSON.stringify(payload);
+  }, []);
+
+  const applyLoadedQuestions = useCallback((rawValue, metadata = null) => {
+    setFormConfig(rawValue);
+    setSelectedService(DEFAULT_QUESTIONNAIRE);
+    showQuestionnaire(extractRawQuestions(rawValue));
     // load preconfigured answers from metadata
     const incomingMap = metadata && typeof metadata === 'object' && metadata.preconfigured_answers && typeof metadata.preconfigured_answers === 'object'
       ? metadata.preconfigured_answers
       : {};
     setPreanswersMap(incomingMap);
     lastSavedPreanswersRef.current = incomingMap;
-  }, []);
+  }, [showQuestionnaire]);
 
   const loadQuestions = useCallback(async () => {
     if (!canLoad) {
@@ -523,12 +659,25 @@ export default function SessionFormManager({
   };
 
   const handleRemoveQuestion = (id) => {
-    setQuestions((prev) => prev.filter((question) => question.id !== id));
+    // Conditions on the removed question go with it
+    setQuestions((prev) => prev
+      .filter((question) => question.id !== id)
+      .map((question) => (Array.isArray(question.rules) && question.rules.some((rule) => rule.question === id)
+        ? { ...question, rules: question.rules.filter((rule) => rule.question !== id) }
+        : question)));
   };
 
   const handleQuestionChange = (id, updates) => {
+    const renamedTo = typeof updates.id === 'string' && updates.id !== id ? updates.id : null;
     setQuestions((prev) => prev.map((question) => {
       if (question.id !== id) {
+        // Keep conditions pointing at a question whose id is being edited
+        if (renamedTo && Array.isArray(question.rules) && question.rules.some((rule) => rule.question === id)) {
+          return {
+            ...question,
+            rules: question.rules.map((rule) => (rule.question === id ? { ...rule, question: renamedTo } : rule)),
+          };
+        }
         return question;
       }
       const nextQuestion = { ...question, ...updates };
@@ -662,6 +811,48 @@ export default function SessionFormManager({
     }));
   };
 
+  const handleServiceChange = (value) => {
+    const nextService = value === '__default__' ? DEFAULT_QUESTIONNAIRE : value;
+    setSelectedService(nextService);
+    setValidationErrors([]);
+    setSaveError('');
+    showQuestionnaire(extractQuestionnaireQuestions(formConfig, nextService) || []);
+  };
+
+  // Starts a service questionnaire from the default questions; nothing is stored until it is saved
+  const handleCopyDefaultQuestions = () => {
+    const normalized = deserializeQuestions(extractRawQuestions(formConfig));
+    setQuestions(normalized);
+    setExpanded({});
+  };
+
+  const handleUseDefaultQuestionnaire = async () => {
+    if (!selectedService || serviceUsesDefault) {
+      return;
+    }
+    const confirmed = window.confirm(`מפגשים חדשים של "${selectedService}" ימולאו בשאלון ברירת המחדל. דיווחים קיימים ימשיכו להיות מוצגים עם השאלות שבהן מולאו. להמשיך?`);
+    if (!confirmed) {
+      return;
+    }
+    setSaveState(SAVE_STATE.saving);
+    try {
+      await upsertSetting({
+        session,
+        orgId,
+        key: 'session_form_config',
+        value: { value: { service: selectedService, remove: true } },
+      });
+      setFormConfig((prev) => withSavedQuestionnaire(prev, selectedService, null));
+      showQuestionnaire([]);
+      setSaveState(SAVE_STATE.idle);
+      toast.success(`"${selectedService}" משתמש כעת בשאלון ברירת המחדל.`);
+    } catch (error) {
+      console.error('Failed to remove service session form', error);
+      setSaveState(SAVE_STATE.error);
+      toast.error('ההחזרה לשאלון ברירת המחדל נכשלה.');
+    }
+  };
+
   const handleReset = () => {
     setValidationErrors([]);
     setSaveError('');
@@ -678,6 +869,9 @@ export default function SessionFormManager({
     }
     setSaveError('');
     const errors = validateQuestions(questions);
+    if (selectedService && !questions.length) {
+      errors.push('שאלון של שירות חייב לכלול לפחות שאלה אחת. כדי להשתמש בשאלון ברירת המחדל אין צורך לשמור.');
+    }
     // Validate preanswers cap
     for (const q of questions) {
       if (q.type === 'text' || q.type === 'textarea') {
@@ -695,8 +889,15 @@ export default function SessionFormManager({
     setSaveState(SAVE_STATE.saving);
     try {
       const payload = buildPayloadFromQuestions(questions);
-      // Build metadata: only include text/textarea preanswers, trim/unique up to cap
+      // Build metadata: only include text/textarea preanswers, trim/unique up to cap.
+      // Preanswers are shared by all questionnaires, so those of the other questionnaires are sent back as they are.
+      const otherQuestionIds = collectOtherQuestionIds(formConfig, selectedService);
       const preconfigured = {};
+      for (const [questionId, list] of Object.entries(preanswersMap)) {
+        if (otherQuestionIds.has(questionId) && Array.isArray(list) && list.length) {
+          preconfigured[questionId] = list;
+        }
+      }
       for (const q of questions) {
         if (q.type !== 'text' && q.type !== 'textarea') continue;
         const list = Array.isArray(preanswersMap[q.id]) ? preanswersMap[q.id] : [];
@@ -719,8 +920,12 @@ export default function SessionFormManager({
         session,
         orgId,
         key: 'session_form_config',
-        value: { value: payload, metadata: { preconfigured_answers: preconfigured } },
+        value: {
+          value: selectedService ? { service: selectedService, questions: payload } : payload,
+          metadata: { preconfigured_answers: preconfigured },
+        },
       });
+      setFormConfig((prev) => withSavedQuestionnaire(prev, selectedService, payload));
       lastSavedPayloadRef.current = payload;
       lastSavedSignatureRef.current = JSON.stringify(payload);
       lastSavedPreanswersRef.current = preanswersMap;
@@ -754,7 +959,7 @@ export default function SessionFormManager({
       <CardHeader className="border-b border-slate-200 space-y-xs sm:space-y-sm">
         <CardTitle className="text-base font-semibold text-slate-900 sm:text-lg md:text-xl">ניהול טופס שאלות למפגש</CardTitle>
         <p className="text-xs text-slate-600 sm:text-sm">
-          הגדירו את השאלות שיופיעו בטופס רישום המפגש. ניתן להוסיף, להסיר, לסדר ולדרוש שדות חובה.
+          הגדירו את השאלות שיופיעו בטופס רישום המפגש. ניתן להוסיף, להסיר, לסדר, לדרוש שדות חובה ולהציג שאלות לפי תשובות קודמות.
         </p>
         <Badge variant="outline" className="w-fit text-xs text-slate-600">
           שמירה יוצרת גרסה חדשה שנשלטת בצד השרת
@@ -779,7 +984,57 @@ export default function SessionFormManager({
           </div>
         ) : (
           <>
-            {questions.length === 0 ? (
+            <div className="space-y-2 rounded-xl border border-slate-200 bg-slate-50/60 p-3">
+              <div className="grid gap-2 sm:grid-cols-[auto,1fr,auto] sm:items-center">
+                <Label htmlFor="session-form-service" className="text-xs sm:text-sm">שאלון עבור</Label>
+                <Select
+                  value={selectedService || '__default__'}
+                  onValueChange={handleServiceChange}
+                  disabled={isDirty || isSaving}
+                >
+                  <SelectTrigger id="session-form-service" className="w-full text-xs sm:text-sm">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="max-h-[300px]">
+                    <SelectItem value="__default__">ברירת מחדל (כל השירותים)</SelectItem>
+                    {serviceOptions.map((option) => (
+                      <SelectItem key={option.name} value={option.name}>
+                        {option.name}
+                        {option.hasOwnQuestionnaire ? ' · שאלון ייעודי' : ''}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {selectedService && !serviceUsesDefault ? (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={handleUseDefaultQuestionnaire}
+                    disabled={isDirty || isSaving}
+                    className="gap-2"
+                  >
+                    <Undo2 className="h-4 w-4" aria-hidden="true" />
+                    חזרה לשאלון ברירת המחדל
+                  </Button>
+                ) : null}
+              </div>
+              <p className="text-xs text-slate-500">
+                {isDirty
+                  ? 'שמרו או שחזרו את השינויים לפני מעבר לשאלון אחר.'
+                  : 'שירות ללא שאלון ייעודי משתמש בשאלון ברירת המחדל. לכל שאלון גרסאות משלו, ודיווחים קיימים מוצגים תמיד עם השאלות שבהן מולאו.'}
+              </p>
+            </div>
+
+            {questions.length === 0 && serviceUsesDefault ? (
+              <div className="space-y-3 rounded-xl border border-slate-200 bg-slate-50 p-4 text-sm text-slate-600">
+                <p>השירות "{selectedService}" משתמש כרגע בשאלון ברירת המחדל. כדי להגדיר לו שאלות משלו, התחילו מהעתק של שאלון ברירת המחדל או הוסיפו שאלה חדשה.</p>
+                <Button type="button" variant="outline" size="sm" onClick={handleCopyDefaultQuestions} className="gap-2">
+                  <Copy className="h-4 w-4" aria-hidden="true" />
+                  העתקת שאלון ברירת המחדל
+                </Button>
+              </div>
+            ) : questions.length === 0 ? (
               <div className="rounded-xl border border-slate-200 bg-slate-50 p-4 text-sm text-slate-600">
                 לא הוגדרו שאלות. הוסיפו שאלה חדשה כדי להתחיל.
               </div>
@@ -802,6 +1057,9 @@ export default function SessionFormManager({
                           aria-controls={`q-editor-${question.id}`}
                         >
                           <span className="text-sm font-semibold text-slate-900">{label}</span>
+                          {Array.isArray(question.rules) && question.rules.length ? (
+                            <Badge variant="outline" className="text-[10px] text-slate-600 sm:text-xs">מותנית</Badge>
+                          ) : null}
                           {expanded[question.id] ? (
                             <ChevronUp className="h-4 w-4" aria-hidden="true" />
                           ) : (
@@ -1064,6 +1322,13 @@ export default function SessionFormManager({
                             </div>
                           </div>
                         ) : null}
+
+                        <QuestionRulesEditor
+                          question={question}
+                          index={index}
+                          questions={questions}
+                          onChange={(rules) => handleQuestionChange(question.id, { rules })}
+                        />
                       </div>
                     </div>
                   );
@@ -2,15 +2,25 @@ import React, { useEffect, useState } from 'react';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Avatar, AvatarFallback } from '@/components/ui/avatar.jsx';
 import { Loader2, Search, ChevronLeft, Save } from 'lucide-react';
 import { toast } from 'sonner';
 import { authenticatedFetch } from '@/lib/api-client';
 import { useInstructorTypes } from '@/features/instructors/hooks/useInstructorTypes.js';
 import { useInstructors } from '@/hooks/useOrgData.js';
+import { fetchEmploymentScopePolicySettings } from '@/features/settings/api/index.js';
 
 const SAVE = { idle: 'idle', saving: 'saving', error: 'error' };
 
+const EMPLOYMENT_SCOPE_LABELS = { global: 'גלובלי', hourly: 'שעתי', instructor: 'מדריך' };
+const DEFAULT_EMPLOYMENT_SCOPE = 'global';
+
+function readEmploymentScope(instructor) {
+  const scope = instructor?.metadata?.employment_scope;
+  return EMPLOYMENT_SCOPE_LABELS[scope] ? scope : DEFAULT_EMPLOYMENT_SCOPE;
+}
+
 export default function ProfileEditorView({ session, orgId, canLoad }) {
   const { instructors, loadingInstructors, instructorsError, refetchInstructors } = useInstructors({
     includeInactive: true,
@@ -21,7 +31,8 @@ export default function ProfileEditorView({ session, orgId, canLoad }) {
   const [saveState, setSaveState] = useState(SAVE.idle);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedInstructor, setSelectedInstructor] = useState(null);
-  const [formData, setFormData] = useState({ name: '', phone: '', notes: '' });
+  const [formData, setFormData] = useState({ name: '', phone: '', notes: '', employmentScope: DEFAULT_EMPLOYMENT_SCOPE });
+  const [enabledScopes, setEnabledScopes] = useState([DEFAULT_EMPLOYMENT_SCOPE]);
   const { types, loadTypes } = useInstructorTypes();
 
   useEffect(() => {
@@ -30,18 +41,38 @@ export default function ProfileEditorView({ session, orgId, canLoad }) {
     }
   }, [canLoad, loadTypes]);
 
+  useEffect(() => {
+    if (!canLoad || !session || !orgId) {
+      return undefined;
+    }
+    let cancelled = false;
+    fetchEmploymentScopePolicySettings({ session, orgId })
+      .then((result) => {
+        if (cancelled) return;
+        const enabledTypes = Array.isArray(result?.value?.enabled_types) ? result.value.enabled_types : [];
+        setEnabledScopes([DEFAULT_EMPLOYMENT_SCOPE, ...enabledTypes.filter((type) => type !== DEFAULT_EMPLOYMENT_SCOPE && EMPLOYMENT_SCOPE_LABELS[type])]);
+      })
+      .catch((error) => {
+        console.error('Failed to load employment scope policy', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, session, orgId]);
+
   const handleSelectInstructor = (instructor) => {
     setSelectedInstructor(instructor);
     setFormData({
       name: instructor.name || '',
       phone: instructor.phone || '',
       notes: instructor.notes || '',
+      employmentScope: readEmploymentScope(instructor),
     });
   };
 
   const handleBack = () => {
     setSelectedInstructor(null);
-    setFormData({ name: '', phone: '', notes: '' });
+    setFormData({ name: '', phone: '', notes: '', employmentScope: DEFAULT_EMPLOYMENT_SCOPE });
   };
 
   const handleSave = async () => {
@@ -56,6 +87,7 @@ export default function ProfileEditorView({ session, orgId, canLoad }) {
         ...(trimmedName !== (selectedInstructor.name || null) && { name: trimmedName }),
         ...(trimmedPhone !== (selectedInstructor.phone || null) && { phone: trimmedPhone }),
         ...(trimmedNotes !== (selectedInstructor.notes || null) && { notes: trimmedNotes }),
+        ...(formData.employmentScope !== readEmploymentScope(selectedInstructor) && { employment_scope: formData.employmentScope }),
       };
 
       if (Object.keys(updates).length === 0) {
@@ -82,6 +114,11 @@ export default function ProfileEditorView({ session, orgId, canLoad }) {
 
   const isLoading = loadingInstructors;
   const isSaving = saveState === SAVE.saving;
+  // The picker only appears once the org enables a scope besides "global", but an instructor
+  // already set to a scope that was since disabled keeps it as an option.
+  const scopeOptions = selectedInstructor
+    ? [...new Set([...enabledScopes, readEmploymentScope(selectedInstructor)])]
+    : enabledScopes;
 
   // Create a Map of type IDs to type objects for quick lookup
   const instructorTypeMap = new Map(types.map(t => [t.id, t]));
@@ -207,6 +244,32 @@ export default function ProfileEditorView({ session, orgId, canLoad }) {
             />
           </div>
 
+          {scopeOptions.length > 1 ? (
+            <div>
+              <Label htmlFor="edit-employment-scope" className="block text-right mb-2">
+                היקף משרה
+              </Label>
+              <Select
+                value={formData.employmentScope}
+                onValueChange={(value) => setFormData({ ...formData, employmentScope: value })}
+                disabled={isSaving}
+                dir="rtl"
+              >
+                <SelectTrigger id="edit-employment-scope">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {scopeOptions.map((scope) => (
+                    <SelectItem key={scope} value={scope}>{EMPLOYMENT_SCOPE_LABELS[scope]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="mt-1 text-xs text-muted-foreground">
+                מדריכים בהיקף שעתי נכללים בדוח השעות החודשי.
+              </p>
+            </div>
+          ) : null}
+
           <div className="flex justify-end pt-4">
             <Button
               onClick={handleSave}
@@ -13,8 +13,9 @@ import {
 } from '@/components/ui/forms-ui';
 import { validateIsraeliPhone } from '@/components/ui/helpers/phone';
 import StudentTagsField from './StudentTagsField.jsx';
+import ScheduleSlotsField from './ScheduleSlotsField.jsx';
 import { normalizeTagIdsForWrite } from '@/features/students/utils/tags.js';
-import { createStudentFormState } from '@/features/students/utils/form-state.js';
+import { buildScheduleSlotsPayload, createStudentFormState, isScheduleSlotComplete } from '@/features/students/utils/form-state.js';
 import { useStudentNameSuggestions, useNationalIdGuard } from '@/features/admin/hooks/useStudentDeduplication.js';
 import { useInstructors, useServices } from '@/hooks/useOrgData.js';
 
@@ -152,6 +153,7 @@ export default function AddStudentForm({
       assignedInstructorId: true,
       defaultDayOfWeek: true,
       defaultSessionTime: true,
+      scheduleSlots: true,
     };
     setTouched(newTouched);
 
@@ -169,6 +171,10 @@ export default function AddStudentForm({
       return;
     }
 
+    if (!values.scheduleSlots.every(isScheduleSlotComplete)) {
+      return;
+    }
+
     if (!NATIONAL_ID_PATTERN.test(trimmedNationalIdInner)) {
       return;
     }
@@ -186,6 +192,7 @@ export default function AddStudentForm({
       defaultService: values.defaultService || null,
       defaultDayOfWeek: values.defaultDayOfWeek,
       defaultSessionTime: values.defaultSessionTime,
+      scheduleSlots: buildScheduleSlotsPayload(values),
       notes: values.notes.trim() || null,
       tags: normalizeTagIdsForWrite(values.tagId),
       isActive: values.isActive !== false,
@@ -388,6 +395,16 @@ export default function AddStudentForm({
             />
           </div>
 
+          <ScheduleSlotsField
+            value={values.scheduleSlots}
+            onChange={(slots) => handleSelectChange('scheduleSlots', slots)}
+            instructorOptions={instructorOptions}
+            services={services}
+            disabled={isSubmitting}
+            showErrors={Boolean(touched.scheduleSlots)}
+            onSelectOpenChange={onSelectOpenChange}
+          />
+
           <StudentTagsField
             value={values.tagId}
             onChange={handleTagChange}
@@ -124,7 +124,7 @@ export function DataMaintenanceMenu({ onImportClick, instructors = [], tags = []
           <Filter className="h-4 w-4 text-blue-500" />
           <div className="flex flex-col items-start">
             <span className="font-medium">ייצוא מסונן</span>
-            <span className="text-xs text-muted-foreground">לפי יום/מדריך/תגית</span>
+            <span className="text-xs text-muted-foreground">לפי יום/מדריך/תגית, כולל תיקי PDF</span>
           </div>
         </DropdownMenuItem>
 
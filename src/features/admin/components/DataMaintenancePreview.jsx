@@ -14,6 +14,7 @@ const FIELD_LABELS = {
   default_service: 'שירות ברירת מחדל',
   default_day_of_week: 'יום קבוע',
   default_session_time: 'שעה קבועה',
+  schedule_slots: 'מפגשים קבועים',
   notes: 'הערות',
   tags: 'תוויות',
   is_active: 'סטטוס',
@@ -50,6 +51,15 @@ function formatFieldValue(field, value, instructors = []) {
     return value;
   }
 
+  if (field === 'schedule_slots' && Array.isArray(value)) {
+    if (!value.length) {
+      return <span className="text-neutral-400 italic">ריק</span>;
+    }
+    return value
+      .map((slot) => `${DAY_LABELS[slot.day_of_week - 1] || slot.day_of_week} ${String(slot.time || '').slice(0, 5)}`)
+      .join(', ');
+  }
+
   if (field === 'is_active') {
     return value === true || value === 'true' ? 'פעיל' : 'לא פעיל';
   }
@@ -15,8 +15,9 @@ import { Switch } from '@/components/ui/switch';
 import { Label } from '@/components/ui/label';
 import { validateIsraeliPhone } from '@/components/ui/helpers/phone';
 import StudentTagsField from './StudentTagsField.jsx';
+import ScheduleSlotsField from './ScheduleSlotsField.jsx';
 import { normalizeTagIdsForWrite } from '@/features/students/utils/tags.js';
-import { createStudentFormState } from '@/features/students/utils/form-state.js';
+import { buildScheduleSlotsPayload, createStudentFormState, isScheduleSlotComplete } from '@/features/students/utils/form-state.js';
 import { useStudentNameSuggestions, useNationalIdGuard } from '@/features/admin/hooks/useStudentDeduplication.js';
 import { useInstructors, useServices } from '@/hooks/useOrgData.js';
 
@@ -112,6 +113,7 @@ export default function EditStudentForm({
       assignedInstructorId: true,
       defaultDayOfWeek: true,
       defaultSessionTime: true,
+      scheduleSlots: true,
     };
     setTouched(newTouched);
 
@@ -129,6 +131,10 @@ export default function EditStudentForm({
       return;
     }
 
+    if (!values.scheduleSlots.every(isScheduleSlotComplete)) {
+      return;
+    }
+
     if (!validateIsraeliPhone(trimmedContactPhone)) {
       return;
     }
@@ -143,6 +149,7 @@ export default function EditStudentForm({
       defaultService: values.defaultService || null,
       defaultDayOfWeek: values.defaultDayOfWeek,
       defaultSessionTime: values.defaultSessionTime,
+      scheduleSlots: buildScheduleSlotsPayload(values),
       notes: values.notes.trim() || null,
       tags: normalizeTagIdsForWrite(values.tagId),
       isActive: values.isActive !== false,
@@ -335,6 +342,16 @@ export default function EditStudentForm({
             />
           </div>
 
+          <ScheduleSlotsField
+            value={values.scheduleSlots}
+            onChange={(slots) => handleSelectChange('scheduleSlots', slots)}
+            instructorOptions={instructorOptions}
+            services={services}
+            disabled={isSubmitting}
+            showErrors={Boolean(touched.scheduleSlots)}
+            onSelectOpenChange={onSelectOpenChange}
+          />
+
           <div className="space-y-3 rounded-xl border border-neutral-200 bg-neutral-50 p-4">
             <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
               <div className="space-y-1">
@@ -1,21 +1,80 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { format } from 'date-fns';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import DayOfWeekSelect from '@/components/ui/DayOfWeekSelect';
 import { Checkbox } from '@/components/ui/checkbox';
 import { Loader2 } from 'lucide-react';
 import { useOrg } from '@/org/OrgContext.jsx';
-import { authenticatedFetchBlob } from '@/lib/api-client.js';
+import { useServices } from '@/hooks/useOrgData.js';
+import { authenticatedFetch, authenticatedFetchBlob } from '@/lib/api-client.js';
+import { listFormQuestions } from '@/features/sessions/utils/form-config.js';
+import {
+  cancelStudentPdfBatch,
+  createStudentPdfBatch,
+  downloadPdfBlob,
+  exportStudentPdf,
+  fetchStudentPdfBatch,
+  listStudentPdfBatches,
+} from '@/api/students-export.js';
 import { toast } from 'sonner';
 
-export function FilteredExportDialog({ open, onClose, instructors = [], tags = [] }) {
-  const { activeOrgId } = useOrg();
+const POLL_INTERVAL_MS = 1500;
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const PDF_ERROR_MESSAGES = {
+  pdf_export_not_enabled: 'ייצוא PDF אינו זמין לארגון זה.',
+  storage_not_configured: 'לייצוא מרוכז נדרש אחסון קבצים מחובר לארגון.',
+  too_many_students: 'נבחרו יותר מדי תלמידים. צמצמו את הבחירה לפי מדריך או תגית.',
+  no_students_selected: 'אין תלמידים שתואמים לסינון.',
+  invalid_date_range: 'תאריך ההתחלה מאוחר מתאריך הסיום.',
+  no_sessions_in_range: 'לא נמצאו מפגשים בטווח התאריכים שנבחר.',
+  failed_to_build_archive: 'יצירת קובץ ה-ZIP נכשלה.',
+  invalid_date: 'תאריך לא תקין.',
+};
+
+function describePdfError(message) {
+  return PDF_ERROR_MESSAGES[message] || 'ייצוא ה-PDF נכשל.';
+}
+
+function triggerDownload(url, filename) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+function toggleValue(values, value) {
+  return values.includes(value) ? values.filter((entry) => entry !== value) : [...values, value];
+}
+
+/**
+ * Filtered student exports: the students CSV, or session-records PDFs for many students as a ZIP.
+ * With `student`, only that student's PDF is exported (date range, services, questions, summary page).
+ */
+export function FilteredExportDialog({ open, onClose, instructors = [], tags = [], student = null }) {
+  const { activeOrgId, activeOrgConnection } = useOrg();
+  const canExportPdf = activeOrgConnection?.permissions?.can_export_pdf_reports === true;
+  const isSingleStudent = Boolean(student?.id);
+  const [exportType, setExportType] = useState(isSingleStudent ? 'pdf' : 'csv');
   const [isExporting, setIsExporting] = useState(false);
   const [selectedInstructors, setSelectedInstructors] = useState([]);
   const [selectedTags, setSelectedTags] = useState([]);
   const [selectedDay, setSelectedDay] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [includeInactive, setIncludeInactive] = useState(false);
+  const [selectedServices, setSelectedServices] = useState([]);
+  const [selectedQuestions, setSelectedQuestions] = useState([]);
+  const [includeSummary, setIncludeSummary] = useState(false);
+  const [formQuestions, setFormQuestions] = useState([]);
+  const [batchJob, setBatchJob] = useState(null);
+  const [downloadUrl, setDownloadUrl] = useState('');
+  const downloadedJobRef = useRef(null);
 
   useEffect(() => {
     if (!open) {
@@ -23,8 +82,117 @@ export function FilteredExportDialog({ open, onClose, instructors = [], tags = [
       setSelectedInstructors([]);
       setSelectedTags([]);
       setSelectedDay('');
+      setFromDate('');
+      setToDate('');
+      setIncludeInactive(false);
+      setSelectedServices([]);
+      setSelectedQuestions([]);
+      setIncludeSummary(false);
+      setExportType(isSingleStudent ? 'pdf' : 'csv');
+      setBatchJob(null);
+      setDownloadUrl('');
     }
-  }, [open]);
+  }, [open, isSingleStudent]);
+
+  const isPdf = exportType === 'pdf';
+  const { services } = useServices({ enabled: open && isPdf && canExportPdf });
+  const serviceOptions = useMemo(() => {
+    const unique = new Set();
+    (Array.isArray(services) ? services : []).forEach((service) => {
+      if (typeof service === 'string' && service.trim()) {
+        unique.add(service.trim());
+      }
+    });
+    return [...unique];
+  }, [services]);
+
+  // Questions of every questionnaire version, so older reports can be filtered too
+  useEffect(() => {
+    if (!open || !isPdf || !canExportPdf || !activeOrgId) return undefined;
+    let cancelled = false;
+    const searchParams = new URLSearchParams({ keys: 'session_form_config', org_id: activeOrgId });
+    authenticatedFetch(`settings?${searchParams.toString()}`)
+      .then((payload) => {
+        if (!cancelled) {
+          setFormQuestions(listFormQuestions(payload?.settings?.session_form_config ?? null));
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load session form configuration', error);
+        if (!cancelled) {
+          setFormQuestions([]);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, isPdf, canExportPdf, activeOrgId]);
+
+  // Resume a batch that was left running when the dialog was closed
+  useEffect(() => {
+    if (!open || !canExportPdf || !activeOrgId || isSingleStudent) return undefined;
+    const controller = new AbortController();
+    listStudentPdfBatches({ orgId: activeOrgId, signal: controller.signal })
+      .then((payload) => {
+        const running = (payload?.jobs || []).find((job) => ACTIVE_JOB_STATUSES.includes(job.status));
+        if (running) {
+          setExportType('pdf');
+          setBatchJob(running);
+        }
+      })
+      .catch((error) => {
+        if (error?.name !== 'AbortError') {
+          console.error('Failed to load PDF batch exports', error);
+        }
+      });
+    return () => controller.abort();
+  }, [open, canExportPdf, activeOrgId, isSingleStudent]);
+
+  // Each poll also advances the job on the server, so polls run one after another
+  const batchJobId = batchJob?.id;
+  const isBatchActive = ACTIVE_JOB_STATUSES.includes(batchJob?.status);
+  useEffect(() => {
+    if (!open || !batchJobId || !isBatchActive || !activeOrgId) return undefined;
+    let cancelled = false;
+    let timer = null;
+    const controller = new AbortController();
+
+    const poll = async () => {
+      try {
+        const payload = await fetchStudentPdfBatch(batchJobId, { orgId: activeOrgId, signal: controller.signal });
+        if (cancelled) return;
+        setBatchJob(payload.job);
+        if (payload.download_url) {
+          setDownloadUrl(payload.download_url);
+        }
+        if (ACTIVE_JOB_STATUSES.includes(payload.job.status)) {
+          timer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+      } catch (error) {
+        if (cancelled || error?.name === 'AbortError') return;
+        console.error('Failed to poll PDF batch export', error);
+        // A failed step (e.g. a slow PDF) is retried by the next poll
+        timer = setTimeout(poll, POLL_INTERVAL_MS * 2);
+      }
+    };
+    poll();
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [open, batchJobId, isBatchActive, activeOrgId]);
+
+  useEffect(() => {
+    if (batchJob?.status === 'completed' && downloadUrl && downloadedJobRef.current !== batchJob.id) {
+      downloadedJobRef.current = batchJob.id;
+      triggerDownload(downloadUrl, 'student-records.zip');
+      toast.success('קובץ ה-ZIP ירד בהצלחה.');
+    } else if (batchJob?.status === 'failed') {
+      toast.error(describePdfError(batchJob.error));
+    }
+  }, [batchJob?.status, batchJob?.id, batchJob?.error, downloadUrl]);
 
   const handleInstructorToggle = (instructorId) => {
     setSelectedInstructors(prev =>
@@ -46,15 +214,15 @@ export function FilteredExportDialog({ open, onClose, instructors = [], tags = [
     if (!activeOrgId) return;
 
     const params = new URLSearchParams({ org_id: activeOrgId, filter: 'custom' });
-    
+
     if (selectedInstructors.length > 0) {
       params.append('instructors', selectedInstructors.join(','));
     }
-    
+
     if (selectedTags.length > 0) {
       params.append('tags', selectedTags.join(','));
     }
-    
+
     if (selectedDay) {
       params.append('day', selectedDay);
     }
@@ -78,107 +246,375 @@ export function FilteredExportDialog({ open, onClose, instructors = [], tags = [
     }
   };
 
+  const recordsOptions = {
+    from: fromDate,
+    to: toDate,
+    services: selectedServices,
+    questionIds: selectedQuestions,
+    includeSummary,
+  };
+
+  const handleExportStudentPdf = async () => {
+    if (!activeOrgId || !student?.id) return;
+    setIsExporting(true);
+    try {
+      const blob = await exportStudentPdf(student.id, activeOrgId, recordsOptions);
+      // Generate filename with date (sanitization happens in backend)
+      const safeName = String(student.name || '')
+        .replace(/[^א-תa-zA-Z0-9\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '_');
+      downloadPdfBlob(blob, `${safeName}_Records_${format(new Date(), 'yyyy-MM-dd')}.pdf`);
+      toast.success('הקובץ הורד בהצלחה');
+      onClose();
+    } catch (error) {
+      console.error('Failed to export PDF', error);
+      toast.error(PDF_ERROR_MESSAGES[error?.message] || error?.message || 'ייצוא PDF נכשל. נסה שוב.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleStartPdfBatch = async () => {
+    if (!activeOrgId) return;
+    setIsExporting(true);
+    setDownloadUrl('');
+    try {
+      const payload = await createStudentPdfBatch({
+        orgId: activeOrgId,
+        ...recordsOptions,
+        instructorIds: selectedInstructors,
+        tagIds: selectedTags,
+        includeInactive,
+      });
+      setBatchJob(payload.job);
+    } catch (error) {
+      if (error?.data?.message === 'export_job_in_progress' && error.data.job_id) {
+        toast.info('ייצוא קודם עדיין פעיל; ממשיכים אותו.');
+        setBatchJob({ id: error.data.job_id, status: 'running', total: 0, processed: 0, skipped: [] });
+      } else {
+        console.error('Failed to start PDF batch export', error);
+        toast.error(describePdfError(error?.message));
+      }
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleCancelPdfBatch = async () => {
+    if (!activeOrgId || !batchJob?.id) return;
+    setIsExporting(true);
+    try {
+      await cancelStudentPdfBatch(batchJob.id, { orgId: activeOrgId });
+      setBatchJob(null);
+      setDownloadUrl('');
+      toast.success('הייצוא בוטל.');
+    } catch (error) {
+      console.error('Failed to cancel PDF batch export', error);
+      toast.error('ביטול הייצוא נכשל.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const hasFilters = selectedInstructors.length > 0 || selectedTags.length > 0 || selectedDay;
+  const progressPercent = batchJob?.total ? Math.round((batchJob.processed / batchJob.total) * 100) : 0;
 
   return (
     <Dialog open={open} onOpenChange={(open) => !open && onClose()}>
       <DialogContent className="sm:max-w-xl" dir="rtl">
         <DialogHeader>
-          <DialogTitle>ייצוא תלמידים מסונן</DialogTitle>
+          <DialogTitle>{isSingleStudent ? `ייצוא PDF – ${student.name}` : 'ייצוא תלמידים מסונן'}</DialogTitle>
         </DialogHeader>
 
         <div className="space-y-4 py-4">
-          {/* Day Filter */}
-          <div className="space-y-2">
-            <Label className="block text-right">סינון לפי יום</Label>
-            <DayOfWeekSelect
-              value={selectedDay}
-              onChange={setSelectedDay}
-              allowEmpty
-              emptyLabel="כל הימים"
-            />
-          </div>
-
-          {/* Instructor Filter */}
-          {instructors.length > 0 && (
-            <div className="space-y-2">
-              <Label className="block text-right">סינון לפי מדריך</Label>
-              <div className="max-h-40 overflow-y-auto rounded-md border p-2 space-y-2">
-                {instructors.map(instructor => (
-                  <div key={instructor.id} className="flex items-center gap-2 justify-end">
-                    <Label htmlFor={`instructor-${instructor.id}`} className="text-sm cursor-pointer">
-                      {instructor.name}
-                    </Label>
-                    <Checkbox
-                      id={`instructor-${instructor.id}`}
-                      checked={selectedInstructors.includes(instructor.id)}
-                      onCheckedChange={() => handleInstructorToggle(instructor.id)}
-                    />
-                  </div>
-                ))}
+          {canExportPdf && !isSingleStudent && (
+            <div className="flex gap-2 justify-end">
+              <Button
+                type="button"
+                size="sm"
+                variant={isPdf ? 'outline' : 'default'}
+                onClick={() => setExportType('csv')}
+                disabled={isBatchActive}
+              >
+                רשימת תלמידים (CSV)
+              </Button>
+              <Button
+                type="button"
+                size="sm"
+                variant={isPdf ? 'default' : 'outline'}
+                onClick={() => setExportType('pdf')}
+              >
+                תיקי מפגשים (PDF ב-ZIP)
+              </Button>
+            </div>
+          )}
+
+          {batchJob && isPdf ? (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between text-sm">
+                <span>
+                  {isBatchActive && 'מייצא תיקי PDF...'}
+                  {batchJob.status === 'completed' && 'הייצוא הושלם'}
+                  {batchJob.status === 'failed' && describePdfError(batchJob.error)}
+                  {batchJob.status === 'expired' && 'תוקף הקובץ פג. הפעילו ייצוא חדש.'}
+                </span>
+                {batchJob.total > 0 && (
+                  <span className="text-muted-foreground" dir="ltr">
+                    {batchJob.processed}/{batchJob.total}
+                  </span>
+                )}
               </div>
-              {selectedInstructors.length > 0 && (
+              <div className="h-2 w-full overflow-hidden rounded-full bg-muted">
+                <div
+                  className="h-full bg-primary transition-all"
+                  style={{ width: `${batchJob.status === 'completed' ? 100 : progressPercent}%` }}
+                />
+              </div>
+              {isBatchActive && (
                 <p className="text-xs text-muted-foreground text-right">
-                  נבחרו {selectedInstructors.length} מדריכים
+                  השאירו חלון זה פתוח עד לסיום. אם תסגרו אותו, הייצוא ימשיך מאותה נקודה בפתיחה הבאה.
                 </p>
               )}
+              {batchJob.status === 'completed' && downloadUrl && (
+                <Button type="button" variant="outline" size="sm" onClick={() => triggerDownload(downloadUrl, 'student-records.zip')}>
+                  הורדה חוזרת של קובץ ה-ZIP
+                </Button>
+              )}
+              {batchJob.skipped?.length > 0 && (
+                <div className="space-y-1">
+                  <p className="text-sm font-medium text-right">תלמידים שלא נכללו ({batchJob.skipped.length})</p>
+                  <ul className="max-h-32 overflow-y-auto rounded-md border p-2 text-xs text-muted-foreground space-y-1">
+                    {batchJob.skipped.map((entry) => (
+                      <li key={entry.student_id}>
+                        {entry.name} – {entry.status === 'empty' ? 'אין מפגשים בטווח' : 'יצירת המסמך נכשלה'}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
-          )}
-
-          {/* Tag Filter */}
-          {tags.length > 0 && (
-            <div className="space-y-2">
-              <Label className="block text-right">סינון לפי תגיות</Label>
-              <div className="max-h-40 overflow-y-auto rounded-md border p-2 space-y-2">
-                {tags.map(tag => (
-                  <div key={tag.id} className="flex items-center gap-2 justify-end">
-                    <Label htmlFor={`tag-${tag.id}`} className="text-sm cursor-pointer">
-                      {tag.name}
+          ) : (
+            <>
+              {isPdf ? (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="batch-from" className="block text-right">מתאריך</Label>
+                    <Input
+                      id="batch-from"
+                      type="date"
+                      dir="ltr"
+                      value={fromDate}
+                      onChange={(e) => setFromDate(e.target.value)}
+                      className="text-right"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="batch-to" className="block text-right">עד תאריך</Label>
+                    <Input
+                      id="batch-to"
+                      type="date"
+                      dir="ltr"
+                      value={toDate}
+                      onChange={(e) => setToDate(e.target.value)}
+                      className="text-right"
+                    />
+                  </div>
+                  <div className="flex items-center gap-2 justify-end sm:col-span-2">
+                    <Label htmlFor="batch-include-summary" className="text-sm cursor-pointer">
+                      עמוד סיכום (מספר מפגשים וממוצעי שאלות סולם)
                     </Label>
                     <Checkbox
-                      id={`tag-${tag.id}`}
-                      checked={selectedTags.includes(tag.id)}
-                      onCheckedChange={() => handleTagToggle(tag.id)}
+                      id="batch-include-summary"
+                      checked={includeSummary}
+                      onCheckedChange={(checked) => setIncludeSummary(checked === true)}
                     />
                   </div>
-                ))}
-              </div>
-              {selectedTags.length > 0 && (
-                <p className="text-xs text-muted-foreground text-right">
-                  נבחרו {selectedTags.length} תגיות
-                </p>
+                  {!isSingleStudent && (
+                    <div className="flex items-center gap-2 justify-end sm:col-span-2">
+                      <Label htmlFor="batch-include-inactive" className="text-sm cursor-pointer">
+                        כולל תלמידים לא פעילים
+                      </Label>
+                      <Checkbox
+                        id="batch-include-inactive"
+                        checked={includeInactive}
+                        onCheckedChange={(checked) => setIncludeInactive(checked === true)}
+                      />
+                    </div>
+                  )}
+
+                  {/* Service Filter */}
+                  {serviceOptions.length > 0 && (
+                    <div className="space-y-2 sm:col-span-2">
+                      <Label className="block text-right">שירותים</Label>
+                      <div className="max-h-32 overflow-y-auto rounded-md border p-2 space-y-2">
+                        {serviceOptions.map((service) => (
+                          <div key={service} className="flex items-center gap-2 justify-end">
+                            <Label htmlFor={`service-${service}`} className="text-sm cursor-pointer">
+                              {service}
+                            </Label>
+                            <Checkbox
+                              id={`service-${service}`}
+                              checked={selectedServices.includes(service)}
+                              onCheckedChange={() => setSelectedServices((prev) => toggleValue(prev, service))}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      <p className="text-xs text-muted-foreground text-right">
+                        {selectedServices.length ? `נבחרו ${selectedServices.length} שירותים` : 'כל השירותים'}
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Question Filter */}
+                  {formQuestions.length > 0 && (
+                    <div className="space-y-2 sm:col-span-2">
+                      <Label className="block text-right">שאלות בדוח</Label>
+                      <div className="max-h-40 overflow-y-auto rounded-md border p-2 space-y-2">
+                        {formQuestions.map((question) => (
+                          <div key={question.id} className="flex items-center gap-2 justify-end">
+                            <Label htmlFor={`question-${question.id}`} className="text-sm cursor-pointer">
+                              {question.label}
+                            </Label>
+                            <Checkbox
+                              id={`question-${question.id}`}
+                              checked={selectedQuestions.includes(question.id)}
+                              onCheckedChange={() => setSelectedQuestions((prev) => toggleValue(prev, question.id))}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      <p className="text-xs text-muted-foreground text-right">
+                        {selectedQuestions.length ? `נבחרו ${selectedQuestions.length} שאלות` : 'כל השאלות'}
+                      </p>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                /* Day Filter */
+                <div className="space-y-2">
+                  <Label className="block text-right">סינון לפי יום</Label>
+                  <DayOfWeekSelect
+                    value={selectedDay}
+                    onChange={setSelectedDay}
+                    allowEmpty
+                    emptyLabel="כל הימים"
+                  />
+                </div>
               )}
-            </div>
-          )}
 
-          {!hasFilters && (
-            <p className="text-sm text-muted-foreground text-right bg-muted/50 p-3 rounded-md">
-              בחר לפחות מסנן אחד כדי לייצא תלמידים מסוימים
-            </p>
+              {/* Instructor Filter */}
+              {!isSingleStudent && instructors.length > 0 && (
+                <div className="space-y-2">
+                  <Label className="block text-right">סינון לפי מדריך</Label>
+                  <div className="max-h-40 overflow-y-auto rounded-md border p-2 space-y-2">
+                    {instructors.map(instructor => (
+                      <div key={instructor.id} className="flex items-center gap-2 justify-end">
+                        <Label htmlFor={`instructor-${instructor.id}`} className="text-sm cursor-pointer">
+                          {instructor.name}
+                        </Label>
+                        <Checkbox
+                          id={`instructor-${instructor.id}`}
+                          checked={selectedInstructors.includes(instructor.id)}
+                          onCheckedChange={() => handleInstructorToggle(instructor.id)}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  {selectedInstructors.length > 0 && (
+                    <p className="text-xs text-muted-foreground text-right">
+                      נבחרו {selectedInstructors.length} מדריכים
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Tag Filter */}
+              {!isSingleStudent && tags.length > 0 && (
+                <div className="space-y-2">
+                  <Label className="block text-right">סינון לפי תגיות</Label>
+                  <div className="max-h-40 overflow-y-auto rounded-md border p-2 space-y-2">
+                    {tags.map(tag => (
+                      <div key={tag.id} className="flex items-center gap-2 justify-end">
+                        <Label htmlFor={`tag-${tag.id}`} className="text-sm cursor-pointer">
+                          {tag.name}
+                        </Label>
+                        <Checkbox
+                          id={`tag-${tag.id}`}
+                          checked={selectedTags.includes(tag.id)}
+                          onCheckedChange={() => handleTagToggle(tag.id)}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  {selectedTags.length > 0 && (
+                    <p className="text-xs text-muted-foreground text-right">
+                      נבחרו {selectedTags.length} תגיות
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {isPdf && !isSingleStudent ? (
+                <p className="text-sm text-muted-foreground text-right bg-muted/50 p-3 rounded-md">
+                  {hasFilters
+                    ? 'יופק קובץ PDF לכל תלמיד שתואם לסינון, ויישלח כקובץ ZIP אחד.'
+                    : 'ללא סינון יופק קובץ PDF לכל התלמידים הפעילים, ויישלח כקובץ ZIP אחד.'}
+                </p>
+              ) : !isPdf && !hasFilters && (
+                <p className="text-sm text-muted-foreground text-right bg-muted/50 p-3 rounded-md">
+                  בחר לפחות מסנן אחד כדי לייצא תלמידים מסוימים
+                </p>
+              )}
+            </>
           )}
         </div>
 
         <DialogFooter className="gap-2">
-          <Button
-            variant="outline"
-            onClick={onClose}
-            disabled={isExporting}
-          >
-            ביטול
-          </Button>
-          <Button
-            onClick={handleExport}
-            disabled={isExporting || !hasFilters}
-          >
-            {isExporting ? (
-              <>
-                <Loader2 className="h-4 w-4 animate-spin ml-2" />
-                מייצא...
-              </>
-            ) : (
-              'ייצא CSV'
-            )}
-          </Button>
+          {batchJob && isPdf ? (
+            <>
+              <Button
+                variant="outline"
+                onClick={handleCancelPdfBatch}
+                disabled={isExporting}
+              >
+                {isBatchActive ? 'ביטול הייצוא' : 'מחיקת הקובץ'}
+              </Button>
+              <Button
+                onClick={() => {
+                  setBatchJob(null);
+                  setDownloadUrl('');
+                }}
+                disabled={isExporting || isBatchActive}
+              >
+                ייצוא חדש
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button
+                variant="outline"
+                onClick={onClose}
+                disabled={isExporting}
+              >
+                ביטול
+              </Button>
+              <Button
+                onClick={isSingleStudent ? handleExportStudentPdf : isPdf ? handleStartPdfBatch : handleExport}
+                disabled={isExporting || (!isPdf && !hasFilters)}
+              >
+                {isExporting ? (
+                  <>
+                    <Loader2 className="h-4 w-4 animate-spin ml-2" />
+                    מייצא...
+                  </>
+                ) : (
+                  isSingleStudent ? 'ייצוא PDF' : isPdf ? 'התחל ייצוא PDF' : 'ייצא CSV'
+                )}
+              </Button>
+            </>
+          )}
         </DialogFooter>
       </DialogContent>
     </Dialog>
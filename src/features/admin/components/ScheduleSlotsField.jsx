@@ -0,0 +1,155 @@
+import React, { useMemo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ComboBoxField, DayOfWeekField, SelectField, TimeField } from '@/components/ui/forms-ui';
+import { Plus, Trash2 } from 'lucide-react';
+import { createEmptyScheduleSlot } from '@/features/students/utils/form-state.js';
+
+const MAX_ADDITIONAL_SLOTS = 9;
+const DEFAULT_INSTRUCTOR_VALUE = '__default__';
+
+/**
+ * Additional weekly slots beyond the student's main day/time (e.g. a second
+ * session on another day, or a different service with another instructor).
+ */
+export default function ScheduleSlotsField({
+  value = [],
+  onChange,
+  instructorOptions = [],
+  services = [],
+  disabled = false,
+  showErrors = false,
+  onSelectOpenChange,
+}) {
+  const slots = Array.isArray(value) ? value : [];
+
+  const slotInstructorOptions = useMemo(() => [
+    { value: DEFAULT_INSTRUCTOR_VALUE, label: 'המדריך המשויך' },
+    ...instructorOptions,
+  ], [instructorOptions]);
+
+  const updateSlot = (index, field, fieldValue) => {
+    onChange(slots.map((slot, slotIndex) => (slotIndex === index ? { ...slot, [field]: fieldValue } : slot)));
+  };
+
+  const addSlot = () => {
+    onChange([...slots, createEmptyScheduleSlot()]);
+  };
+
+  const removeSlot = (index) => {
+    onChange(slots.filter((_, slotIndex) => slotIndex !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="space-y-1">
+          <Label className="text-sm font-medium text-neutral-800">מפגשים קבועים נוספים</Label>
+          <p className="text-xs text-neutral-600">לתלמידים שנפגשים יותר מפעם בשבוע, או בשירות אחר עם מדריך אחר.</p>
+        </div>
+        {slots.length < MAX_ADDITIONAL_SLOTS ? (
+          <Button type="button" variant="outline" size="sm" className="gap-1" onClick={addSlot} disabled={disabled}>
+            <Plus className="h-3.5 w-3.5" />
+            הוספת מפגש
+          </Button>
+        ) : null}
+      </div>
+
+      {slots.map((slot, index) => (
+        <div key={slot.id || `new-${index}`} className="space-y-3 rounded-xl border border-neutral-200 bg-neutral-50 p-4">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-neutral-700">מפגש {index + 2}</span>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              className="h-8 w-8 text-red-600"
+              onClick={() => removeSlot(index)}
+              disabled={disabled}
+              aria-label="הסרת מפגש"
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </Button>
+          </div>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <DayOfWeekField
+              id={`slot-${index}-day`}
+              label="יום"
+              value={slot.day_of_week}
+              onChange={(day) => updateSlot(index, 'day_of_week', day)}
+              required
+              disabled={disabled}
+              error={showErrors && !slot.day_of_week ? 'יש לבחור יום.' : ''}
+            />
+            <TimeField
+              id={`slot-${index}-time`}
+              label="שעה"
+              value={slot.time}
+              onChange={(time) => updateSlot(index, 'time', time || null)}
+              required
+              disabled={disabled}
+              error={showErrors && !slot.time ? 'יש לבחור שעה.' : ''}
+            />
+            <div className="space-y-2">
+              <Label htmlFor={`slot-${index}-duration`} className="text-sm text-neutral-700">משך (דקות)</Label>
+              <Input
+                id={`slot-${index}-duration`}
+                type="number"
+                min={5}
+                max={480}
+                step={5}
+                value={slot.duration_minutes ?? ''}
+                onChange={(event) => updateSlot(index, 'duration_minutes', event.target.value ? Number(event.target.value) : null)}
+                placeholder="30"
+                disabled={disabled}
+              />
+            </div>
+            <ComboBoxField
+              id={`slot-${index}-service`}
+              label="שירות"
+              value={slot.service || ''}
+              onChange={(service) => updateSlot(index, 'service', service || null)}
+              options={services}
+              placeholder="שירות ברירת המחדל"
+              disabled={disabled}
+              dir="rtl"
+              emptyMessage="לא נמצאו שירותים תואמים"
+            />
+            <SelectField
+              id={`slot-${index}-instructor`}
+              label="מדריך"
+              value={slot.instructor_id || DEFAULT_INSTRUCTOR_VALUE}
+              onChange={(instructorId) => updateSlot(index, 'instructor_id', instructorId === DEFAULT_INSTRUCTOR_VALUE ? null : instructorId)}
+              onOpenChange={onSelectOpenChange}
+              options={slotInstructorOptions}
+              disabled={disabled}
+            />
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-2">
+                <Label htmlFor={`slot-${index}-from`} className="text-sm text-neutral-700">מתאריך</Label>
+                <Input
+                  id={`slot-${index}-from`}
+                  type="date"
+                  value={slot.effective_from || ''}
+                  onChange={(event) => updateSlot(index, 'effective_from', event.target.value || null)}
+                  disabled={disabled}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor={`slot-${index}-to`} className="text-sm text-neutral-700">עד תאריך</Label>
+                <Input
+                  id={`slot-${index}-to`}
+                  type="date"
+                  value={slot.effective_to || ''}
+                  onChange={(event) => updateSlot(index, 'effective_to', event.target.value || null)}
+                  disabled={disabled}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -13,9 +13,14 @@ import { useOrg } from '@/org/OrgContext.jsx'
 import { useInstructors } from '@/hooks/useOrgData.js'
 import { isAdminRole, normalizeMembershipRole } from '@/features/students/utils/endpoints.js'
 import SessionCardList from './SessionCardList.jsx'
+import SessionExceptionDialog from './SessionExceptionDialog.jsx'
+import { summarizeSessions } from './compliance-utils.js'
 import { SessionListDrawer } from './SessionListDrawer'
 import NewSessionModal from '@/features/sessions/components/NewSessionModal'
 
+// Org closures and holidays: no sessions are expected, so the whole column is shaded.
+const CLOSED_DAY_CLASS = 'bg-slate-100 dark:bg-slate-900/60'
+
 function formatFullHebrewDate(isoDate) {
   if (!isoDate) {
     return ''
@@ -38,7 +43,8 @@ function buildDetailSummary(summary) {
     return ''
   }
   const documented = summary.documentedSessions || 0
-  return `${documented} תלמידים מתוך ${summary.totalSessions} מפגשים מתועדים`
+  const excused = summary.excusedSessions ? ` (${summary.excusedSessions} בוטלו)` : ''
+  return `${documented} תלמידים מתוך ${summary.totalSessions} מפגשים מתועדים${excused}`
 }
 
 export function ComplianceHeatmap() {
@@ -61,6 +67,7 @@ export function ComplianceHeatmap() {
     format(new Date(), 'yyyy-MM-dd')
   )
   const [detailQuickDoc, setDetailQuickDoc] = useState(null)
+  const [detailExceptionSession, setDetailExceptionSession] = useState(null)
   const [selectedInstructorId, setSelectedInstructorId] = useState('all')
 
   // Check if user is admin/owner
@@ -108,20 +115,12 @@ export function ComplianceHeatmap() {
     const day = days.find(d => d?.date === targetDate)
     if (!day) return null
     const sessionsInSlot = day.sessions?.filter(s => getHourSlot(s) === targetTimeSlot) || []
-    const total = sessionsInSlot.length
-    const documented = sessionsInSlot.filter(s => s.status === 'complete').length
-    const upcoming = sessionsInSlot.filter(s => s.status === 'upcoming').length
-    const missing = sessionsInSlot.filter(s => s.status === 'missing').length
 
     return {
       date: targetDate,
       timeSlot: targetTimeSlot,
-      total,
-      documented,
-      upcoming,
-      missing,
+      ...summarizeSessions(sessionsInSlot),
       sessions: sessionsInSlot,
-      complianceRate: total - upcoming > 0 ? (documented / (total - upcoming)) * 100 : null,
     }
   }, [getHourSlot])
 
@@ -237,19 +236,10 @@ export function ComplianceHeatmap() {
           return hourSlot === timeSlot
         })
 
-        const total = sessionsInSlot.length
-        const documented = sessionsInSlot.filter(s => s.status === 'complete').length
-        const upcoming = sessionsInSlot.filter(s => s.status === 'upcoming').length
-        const missing = sessionsInSlot.filter(s => s.status === 'missing').length
-
         row.days.push({
           date: day.date,
-          total,
-          documented,
-          upcoming,
-          missing,
+          ...summarizeSessions(sessionsInSlot),
           sessions: sessionsInSlot,
-          complianceRate: total - upcoming > 0 ? (documented / (total - upcoming)) * 100 : null
         })
       })
 
@@ -478,10 +468,16 @@ export function ComplianceHeatmap() {
                         const dayName = format(dateObj, 'EEEE', { locale: he })
                         const shortDate = format(dateObj, 'dd.MM', { locale: he })
                         return (
-                          <th key={day.date} className="px-3 py-3 text-center border-r border-border min-w-[150px]">
+                          <th
+                            key={day.date}
+                            className={`px-3 py-3 text-center border-r border-border min-w-[150px] ${day.closure ? CLOSED_DAY_CLASS : ''}`}
+                          >
                             <div className="flex flex-col gap-2">
                               <div className="font-semibold text-base">{dayName}</div>
                               <div className="text-xs text-muted-foreground">{shortDate}</div>
+                              {day.closure && (
+                                <div className="text-xs font-medium text-slate-600 dark:text-slate-300">{day.closure.label}</div>
+                              )}
                               <Button
                                 variant="outline"
                                 size="sm"
@@ -506,7 +502,10 @@ export function ComplianceHeatmap() {
                           const dayCell = row.days.find(cell => cell.date === day.date)
                           if (!dayCell || dayCell.total === 0) {
                             return (
-                              <td key={`${row.timeSlot}-${day.date}`} className="px-3 py-3 text-center border-r border-b border-border">
+                              <td
+                                key={`${row.timeSlot}-${day.date}`}
+                                className={`px-3 py-3 text-center border-r border-b border-border ${day.closure ? CLOSED_DAY_CLASS : ''}`}
+                              >
                                 <div className="text-muted-foreground text-sm py-4">-</div>
                               </td>
                             )
@@ -542,6 +541,11 @@ export function ComplianceHeatmap() {
                                         ⚠×{dayCell.upcoming}
                                       </span>
                                     )}
+                                    {dayCell.excused > 0 && (
+                                      <span>
+                                        ⊘×{dayCell.excused}
+                                      </span>
+                                    )}
                                   </div>
                                   <div className="font-bold text-base leading-tight">
                                     {dayCell.documented}/{dayCell.total}
@@ -565,12 +569,8 @@ export function ComplianceHeatmap() {
                         סה"כ יומי
                       </td>
                       {displayedDays.map(day => {
-                        const totalSessions = day.sessions.length
-                        const documented = day.sessions.filter(s => s.status === 'complete').length
-                        const upcoming = day.sessions.filter(s => s.status === 'upcoming').length
-                        const rate = totalSessions - upcoming > 0
-                          ? Math.round((documented / (totalSessions - upcoming)) * 100)
-                          : null
+                        const { total: totalSessions, documented, complianceRate } = summarizeSessions(day.sessions)
+                        const rate = complianceRate !== null ? Math.round(complianceRate) : null
 
                         return (
                           <td key={day.date} className="px-4 py-3 text-center border-r border-border font-semibold text-sm">
@@ -634,7 +634,10 @@ export function ComplianceHeatmap() {
                 timeSlots={detailedDayData.timeSlots}
                 onOpenStudent={handleDetailViewStudent}
                 onDocumentNow={handleDetailDocumentNow}
-                emptyMessage="אין שיעורים מתוכננים ליום זה."
+                onMarkException={setDetailExceptionSession}
+                emptyMessage={detailedDayData.closure
+                  ? `${detailedDayData.closure.label} — לא מתוכננים שיעורים ביום זה.`
+                  : 'אין שיעורים מתוכננים ליום זה.'}
               />
             ) : (
               <p className="text-sm text-muted-foreground">בחרו יום להצגה מפורטת.</p>
@@ -653,6 +656,15 @@ export function ComplianceHeatmap() {
         />
       )}
 
+      <SessionExceptionDialog
+        open={Boolean(detailExceptionSession)}
+        onOpenChange={open => !open && setDetailExceptionSession(null)}
+        session={detailExceptionSession}
+        date={detailedDayData?.date || detailRequestDate}
+        orgId={activeOrg?.id}
+        onSaved={handleDetailDocCreated}
+      />
+
       {detailQuickDoc && (
         <NewSessionModal
           open={!!detailQuickDoc}
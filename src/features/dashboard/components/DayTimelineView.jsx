@@ -5,6 +5,7 @@ import { useNavigate } from 'react-router-dom'
 import { Card } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { fetchWeeklyComplianceView } from '@/api/weekly-compliance'
+import { isExcusedSession } from './compliance-utils.js'
 
 export function DayTimelineView({ orgId, date, onBack }) {
   const [data, setData] = useState(null)
@@ -32,6 +33,8 @@ export function DayTimelineView({ orgId, date, onBack }) {
     })()
   }, [orgId, date])
 
+  const closure = useMemo(() => data?.days?.find(d => d.date === date)?.closure || null, [data, date])
+
   const timelineData = useMemo(() => {
     if (!data?.days) return null
 
@@ -124,12 +127,14 @@ export function DayTimelineView({ orgId, date, onBack }) {
   function getStatusColor(session) {
     if (session.status === 'upcoming') return 'bg-muted border-muted-foreground/30'
     if (session.status === 'missing') return 'bg-red-100 dark:bg-red-950 border-red-400 dark:border-red-700'
+    if (isExcusedSession(session)) return 'bg-slate-100 dark:bg-slate-900 border-slate-300 dark:border-slate-600 opacity-70'
     return 'bg-green-100 dark:bg-green-950 border-green-400 dark:border-green-700'
   }
 
   function getStatusIcon(session) {
     if (session.status === 'upcoming') return '⚠'
     if (session.status === 'missing') return '✗'
+    if (isExcusedSession(session)) return '⊘'
     return '✓'
   }
 
@@ -164,6 +169,10 @@ export function DayTimelineView({ orgId, date, onBack }) {
             <p className="text-base font-semibold">אירעה שגיאה בטעינת הנתונים.</p>
             <p className="mt-xs text-sm">{error}</p>
           </div>
+        ) : closure ? (
+          <p className="rounded-lg bg-slate-100 p-md text-sm text-slate-600 dark:bg-slate-900/60 dark:text-slate-300">
+            {closure.label} — לא מתוכננים שיעורים ביום זה.
+          </p>
         ) : !timelineData ? (
           <p className="text-sm text-muted-foreground">אין נתונים להצגה ליום זה</p>
         ) : (
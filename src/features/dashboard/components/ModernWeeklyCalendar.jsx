@@ -30,6 +30,8 @@ const STATUS_ICONS = {
   complete: '✓',
   missing: '✕',
   upcoming: '○',
+  cancelled: '⊘',
+  absent: '⊘',
 }
 
 // Build chip style based on instructor color
@@ -71,6 +73,7 @@ function ModernEvent({ event }) {
     <div
       className="modern-event-content"
       style={chipStyle}
+      title={event.service ? `${event.studentName || '—'} · ${event.service}` : undefined}
     >
       <span className="event-student-name">{event.studentName || '—'}</span>
       {statusIcon && (
@@ -203,6 +206,17 @@ export default function ModernWeeklyCalendar({ orgId }) {
     }
   }, [orgId, date])
 
+  // Org closures and holidays, shaded in the calendar grid
+  const closuresByDate = useMemo(() => {
+    const map = new Map()
+    for (const day of data?.days || []) {
+      if (day?.closure) {
+        map.set(day.date, day.closure)
+      }
+    }
+    return map
+  }, [data])
+
   // Transform data to React Big Calendar event format
   const events = useMemo(() => {
     if (!data?.days) return []
@@ -223,10 +237,10 @@ export default function ModernWeeklyCalendar({ orgId }) {
         startDate.setHours(hours, minutes, 0, 0)
         
         const endDate = new Date(startDate)
-        endDate.setMinutes(endDate.getMinutes() + 30) // 30-minute sessions
+        endDate.setMinutes(endDate.getMinutes() + (session.durationMinutes || data.sessionDurationMinutes || 30))
 
         calendarEvents.push({
-          id: `${session.studentId}-${day.date}-${session.time}`,
+          id: `${session.studentId}-${day.date}-${session.slotId || session.time}`,
           title: session.studentName || '—',
           start: startDate,
           end: endDate,
@@ -237,6 +251,7 @@ export default function ModernWeeklyCalendar({ orgId }) {
           instructorIsActive: session.instructorIsActive,
           status: session.status,
           time: session.time,
+          service: session.service,
         })
       }
     }
@@ -346,8 +361,10 @@ export default function ModernWeeklyCalendar({ orgId }) {
               eventPropGetter={() => ({
                 className: 'modern-calendar-event',
               })}
-              dayPropGetter={() => ({
-                className: 'modern-calendar-day',
+              dayPropGetter={day => ({
+                className: closuresByDate.has(format(day, 'yyyy-MM-dd'))
+                  ? 'modern-calendar-day modern-calendar-day--closed'
+                  : 'modern-calendar-day',
               })}
               slotPropGetter={() => ({
                 className: 'modern-calendar-slot',
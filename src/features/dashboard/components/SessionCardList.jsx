@@ -22,8 +22,34 @@ const STATUS_META = Object.freeze({
     text: 'קרוב',
     className: 'text-muted-foreground',
   },
+  cancelled: {
+    icon: '⊘',
+    label: 'בוטל',
+    text: 'בוטל',
+    className: 'text-slate-500 dark:text-slate-400',
+  },
+  absent: {
+    icon: '⊘',
+    label: 'לא הגיע',
+    text: 'לא הגיע',
+    className: 'text-amber-600 dark:text-amber-400',
+  },
 })
 
+function describeException(exception) {
+  if (!exception) {
+    return ''
+  }
+  const parts = []
+  if (exception.reason) {
+    parts.push(exception.reason)
+  }
+  if (exception.makeupDate) {
+    parts.push(`השלמה ב-${exception.makeupDate}${exception.makeupTime ? ` ${exception.makeupTime}` : ''}`)
+  }
+  return parts.join(' · ')
+}
+
 function toMinutes(value) {
   if (typeof value === 'number' && Number.isFinite(value)) {
     return value
@@ -102,6 +128,7 @@ export default function SessionCardList({
   timeSlots,
   onOpenStudent,
   onDocumentNow,
+  onMarkException,
   emptyMessage = 'אין שיעורים מתוכננים ליום זה.',
   className = '',
 }) {
@@ -124,6 +151,8 @@ export default function SessionCardList({
               const barStyle = buildBarStyle(session?.instructorColor)
               const canOpenStudent = typeof onOpenStudent === 'function'
               const canDocument = typeof onDocumentNow === 'function' && session?.status === 'missing'
+              const canMarkException = typeof onMarkException === 'function' && !session?.isMakeup && !session?.hasRecord
+              const exceptionText = describeException(session?.exception)
 
               return (
                 <article
@@ -158,7 +187,23 @@ export default function SessionCardList({
                         {status.icon}
                       </div>
                     </div>
-                    <p className={cn('mt-1 text-xs font-medium', status.className)}>{status.text}</p>
+                    <p className={cn('mt-1 text-xs font-medium', status.className)}>
+                      {status.text}
+                      {session?.isMakeup && (
+                        <span className="mr-2 rounded-full bg-sky-100 px-2 py-0.5 text-sky-700 dark:bg-sky-950 dark:text-sky-300">
+                          מפגש השלמה{session?.makeupFor?.date ? ` ל-${session.makeupFor.date}` : ''}
+                        </span>
+                      )}
+                    </p>
+                    {exceptionText && <p className="mt-1 text-xs text-muted-foreground">{exceptionText}</p>}
+                    {session?.groupId && (
+                      <p className="mt-1 text-xs text-muted-foreground">
+                        <span className="ml-1 rounded-full bg-violet-100 px-2 py-0.5 text-violet-700 dark:bg-violet-950 dark:text-violet-300">
+                          מפגש קבוצתי
+                        </span>
+                        {session.groupPeers?.length ? `עם ${session.groupPeers.join(', ')}` : ''}
+                      </p>
+                    )}
                   </div>
                   <div
                     className={cn(
@@ -185,6 +230,11 @@ export default function SessionCardList({
                         תעד עכשיו
                       </Button>
                     )}
+                    {canMarkException && (
+                      <Button type="button" size="sm" variant="ghost" onClick={() => onMarkException(session)}>
+                        {session?.exception ? 'עריכת ביטול' : 'ביטול / היעדרות'}
+                      </Button>
+                    )}
                   </div>
                 </article>
               )
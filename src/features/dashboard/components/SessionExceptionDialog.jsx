@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { SelectField, TextAreaField, TimeField } from '@/components/ui/forms-ui'
+import { deleteSessionException, saveSessionException, updateSessionException } from '@/api/session-exceptions.js'
+
+const STATUS_OPTIONS = [
+  { value: 'cancelled', label: 'המפגש בוטל' },
+  { value: 'absent', label: 'התלמיד לא הגיע' },
+]
+
+const ERROR_MESSAGES = {
+  slot_not_scheduled_on_date: 'המפגש אינו מתוכנן בתאריך זה.',
+  invalid_makeup_date: 'תאריך ההשלמה חייב להיות שונה מתאריך המפגש.',
+  student_not_assigned_to_user: 'אין הרשאה לעדכן מפגש זה.',
+}
+
+function buildInitialForm(session) {
+  const exception = session?.exception
+  return {
+    status: exception?.status || 'cancelled',
+    reason: exception?.reason || '',
+    makeupDate: exception?.makeupDate || '',
+    makeupTime: exception?.makeupTime || '',
+  }
+}
+
+/**
+ * Marks a scheduled session as cancelled or absent, with an optional make-up date.
+ * Excused sessions stay on the calendar but no longer count as missing documentation.
+ */
+export default function SessionExceptionDialog({ open, onOpenChange, session, date, orgId, onSaved }) {
+  const [form, setForm] = useState(() => buildInitialForm(session))
+  const [isSaving, setIsSaving] = useState(false)
+  const existing = session?.exception || null
+
+  useEffect(() => {
+    if (open) {
+      setForm(buildInitialForm(session))
+    }
+  }, [open, session])
+
+  const update = field => value => setForm(previous => ({ ...previous, [field]: value }))
+
+  async function handleSave(event) {
+    event?.preventDefault()
+    setIsSaving(true)
+    try {
+      const fields = {
+        orgId,
+        status: form.status,
+        reason: form.reason.trim(),
+        makeupDate: form.makeupDate,
+        makeupTime: form.makeupTime,
+      }
+      if (existing?.id) {
+        await updateSessionException(existing.id, fields)
+      } else {
+        await saveSessionException({ ...fields, studentId: session.studentId, date, slotId: session.slotId })
+      }
+      toast.success('המפגש סומן בהצלחה')
+      onSaved?.()
+      onOpenChange(false)
+    } catch (error) {
+      console.error('Saving session exception failed', error)
+      toast.error(ERROR_MESSAGES[error?.message] || 'שמירת הסימון נכשלה')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  async function handleRemove() {
+    if (!existing?.id) {
+      return
+    }
+    setIsSaving(true)
+    try {
+      await deleteSessionException(existing.id, { orgId })
+      toast.success('הסימון הוסר')
+      onSaved?.()
+      onOpenChange(false)
+    } catch (error) {
+      console.error('Removing session exception failed', error)
+      toast.error('הסרת הסימון נכשלה')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md" dir="rtl">
+        <DialogHeader>
+          <DialogTitle>סימון ביטול או היעדרות</DialogTitle>
+          <DialogDescription>
+            {session?.studentName || ''}{session?.time ? ` · ${session.time}` : ''}{date ? ` · ${date}` : ''}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSave} className="space-y-4">
+          <SelectField
+            id="session-exception-status"
+            label="סטטוס"
+            value={form.status}
+            onChange={update('status')}
+            options={STATUS_OPTIONS}
+            disabled={isSaving}
+          />
+          <TextAreaField
+            id="session-exception-reason"
+            label="סיבה"
+            value={form.reason}
+            onChange={event => update('reason')(event.target.value)}
+            placeholder="לדוגמה: מחלה, חופשה משפחתית"
+            disabled={isSaving}
+            rows={2}
+          />
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label htmlFor="session-exception-makeup-date" className="text-sm text-neutral-700">מפגש השלמה</Label>
+              <Input
+                id="session-exception-makeup-date"
+                type="date"
+                value={form.makeupDate}
+                onChange={event => update('makeupDate')(event.target.value)}
+                disabled={isSaving}
+              />
+            </div>
+            <TimeField
+              id="session-exception-makeup-time"
+              label="שעת השלמה"
+              value={form.makeupTime}
+              onChange={time => update('makeupTime')(time || '')}
+              placeholder="כמו המפגש המקורי"
+              disabled={isSaving || !form.makeupDate}
+            />
+          </div>
+          <DialogFooter className="gap-2 sm:justify-between">
+            {existing?.id ? (
+              <Button type="button" variant="outline" className="text-red-600" onClick={handleRemove} disabled={isSaving}>
+                הסרת סימון
+              </Button>
+            ) : <span />}
+            <Button type="submit" disabled={isSaving}>
+              {isSaving ? 'שומר...' : 'שמירה'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -11,12 +11,12 @@ import {
 } from '@/components/ui/sheet'
 import NewSessionModal from '@/features/sessions/components/NewSessionModal'
 import SessionCardList from './SessionCardList.jsx'
+import SessionExceptionDialog from './SessionExceptionDialog.jsx'
 
 export function SessionListDrawer({ isOpen, onClose, cellData, orgId, onSessionCreated }) {
   const navigate = useNavigate()
   const [quickDocModal, setQuickDocModal] = useState(null) // { studentId, date }
-  // Intentionally unused for now; keep in signature for future enhancements
-  void orgId
+  const [exceptionSession, setExceptionSession] = useState(null)
 
   if (!cellData) return null
 
@@ -52,6 +52,7 @@ export function SessionListDrawer({ isOpen, onClose, cellData, orgId, onSessionC
           <SheetDescription className="text-right">
             {cellData.documented} מתועדים מתוך {cellData.total} שיעורים
             {cellData.upcoming > 0 && ` (${cellData.upcoming} קרובים)`}
+            {cellData.excused > 0 && ` · ${cellData.excused} בוטלו`}
           </SheetDescription>
         </SheetHeader>
 
@@ -60,10 +61,20 @@ export function SessionListDrawer({ isOpen, onClose, cellData, orgId, onSessionC
             sessions={cellData.sessions}
             onOpenStudent={session => handleViewStudent(session.studentId)}
             onDocumentNow={session => handleDocumentNow(session.studentId, cellData.date)}
+            onMarkException={setExceptionSession}
           />
         </div>
       </SheetContent>
 
+      <SessionExceptionDialog
+        open={Boolean(exceptionSession)}
+        onOpenChange={open => !open && setExceptionSession(null)}
+        session={exceptionSession}
+        date={cellData.date}
+        orgId={orgId}
+        onSaved={onSessionCreated}
+      />
+
       {/* Quick Documentation Modal */}
       {quickDocModal && (
         <NewSessionModal
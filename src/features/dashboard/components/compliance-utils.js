@@ -0,0 +1,25 @@
+// Cancelled and absent sessions are excused: they are counted but never lower the compliance rate.
+export const EXCUSED_STATUSES = Object.freeze(['cancelled', 'absent'])
+
+export function isExcusedSession(session) {
+  return EXCUSED_STATUSES.includes(session?.status)
+}
+
+export function summarizeSessions(sessions) {
+  const list = Array.isArray(sessions) ? sessions : []
+  const total = list.length
+  const documented = list.filter(s => s.status === 'complete').length
+  const upcoming = list.filter(s => s.status === 'upcoming').length
+  const missing = list.filter(s => s.status === 'missing').length
+  const excused = list.filter(isExcusedSession).length
+  const due = total - upcoming - excused
+
+  return {
+    total,
+    documented,
+    upcoming,
+    missing,
+    excused,
+    complianceRate: due > 0 ? (documented / due) * 100 : null,
+  }
+}
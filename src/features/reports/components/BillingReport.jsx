@@ -0,0 +1,415 @@
+import React, { useEffect, useState } from 'react';
+import { Banknote, CheckCircle2, FileText, ListOrdered, Loader2, Play, Send, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useOrg } from '@/org/OrgContext.jsx';
+import {
+  deleteBillingStatement,
+  downloadBillingStatementPdf,
+  fetchBillingStatement,
+  fetchBillingStatements,
+  runBilling,
+  updateBillingStatementStatus,
+} from '@/api/billing.js';
+import {
+  describeService,
+  formatMoney,
+  formatMonthLabel,
+  formatShortDate,
+  previousMonthKey,
+} from '@/features/reports/utils/report-format.js';
+import { ReportStat } from './ReportCards.jsx';
+
+const STATUS_BADGES = {
+  draft: { label: 'טיוטה', variant: 'outline' },
+  issued: { label: 'הופק', variant: 'secondary' },
+  paid: { label: 'שולם', variant: 'default' },
+};
+
+const PAYER_LABELS = {
+  parent: 'הורה',
+  funding_body: 'גורם מממן',
+};
+
+const ERROR_MESSAGES = {
+  invalid_month: 'החודש שנבחר אינו תקין.',
+  month_in_future: 'לא ניתן להפיק חיוב לחודש שעוד לא התחיל.',
+  billing_not_configured: 'לא הוגדר מחירון. יש להגדיר מחירים בהגדרות ← חיוב.',
+  too_many_sessions: 'יש בחודש יותר מפגשים ממה שניתן לחייב בבקשה אחת.',
+  invalid_status_transition: 'סטטוס דף החיוב השתנה בינתיים. רעננו את הדף ונסו שוב.',
+  statement_not_draft: 'ניתן למחוק רק דף חיוב בטיוטה.',
+  statement_not_found: 'דף החיוב לא נמצא.',
+  failed_to_load_statements: 'טבלאות החיוב חסרות. יש להריץ מחדש את סקריפט ההגדרה של מסד הנתונים.',
+  pdf_export_not_enabled: 'ייצוא PDF אינו מופעל עבור הארגון.',
+  forbidden: 'רק מנהלי הארגון יכולים לצפות בחיובים.',
+};
+
+const ACTION_COPY = {
+  issued: {
+    title: 'הפקת דף חיוב',
+    describe: (statement) => `לאחר ההפקה המפגשים של ${statement.student_name} בדף לא יחויבו שוב, ולא ניתן יהיה לשנות את התאריך או השירות שלהם או למחוק אותם.`,
+    confirm: 'הפקה',
+    success: 'דף החיוב הופק.',
+  },
+  paid: {
+    title: 'סימון כשולם',
+    describe: (statement) => `דף החיוב של ${statement.student_name} יסומן כשולם.`,
+    confirm: 'סימון כשולם',
+    success: 'דף החיוב סומן כשולם.',
+  },
+  delete: {
+    title: 'מחיקת טיוטה',
+    describe: (statement) => `טיוטת החיוב של ${statement.student_name} תימחק. המפגשים שלה יחזרו לחיוב בהרצה הבאה.`,
+    confirm: 'מחיקה',
+    success: 'הטיוטה נמחקה.',
+  },
+};
+
+function describeError(error, fallback) {
+  return ERROR_MESSAGES[error?.message] || fallback;
+}
+
+function downloadBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * "חיוב": monthly billing statements per student, built from documented sessions and the
+ * price list in Settings. A run rebuilds the month's drafts; issued and paid statements stay as they are.
+ */
+export default function BillingReport({ orgId }) {
+  const { activeOrgConnection } = useOrg();
+  const canExportPdf = activeOrgConnection?.permissions?.can_export_pdf_reports === true;
+  const [month, setMonth] = useState(() => previousMonthKey());
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [running, setRunning] = useState(false);
+  const [runSummary, setRunSummary] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [downloadingId, setDownloadingId] = useState('');
+  const [details, setDetails] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const monthIsValid = /^\d{4}-\d{2}$/.test(month);
+
+  useEffect(() => {
+    if (!orgId || !monthIsValid) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+    fetchBillingStatements({ orgId, month, signal: controller.signal })
+      .then((payload) => {
+        setResult(payload);
+        setLoading(false);
+      })
+      .catch((loadError) => {
+        if (loadError?.name === 'AbortError') {
+          return;
+        }
+        console.error('Failed to load billing statements', loadError);
+        setResult(null);
+        setError(describeError(loadError, 'טעינת דפי החיוב נכשלה. נסו שוב מאוחר יותר.'));
+        setLoading(false);
+      });
+    return () => controller.abort();
+  }, [orgId, month, monthIsValid, reloadKey]);
+
+  useEffect(() => {
+    setRunSummary(null);
+  }, [month]);
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      const summary = await runBilling({ orgId, month });
+      setRunSummary(summary);
+      toast.success(summary.created ? `נוצרו ${summary.created} טיוטות חיוב.` : 'אין מפגשים חדשים לחיוב בחודש זה.');
+      setReloadKey((previous) => previous + 1);
+    } catch (runError) {
+      console.error('Billing run failed', runError);
+      toast.error(describeError(runError, 'הפקת החיוב נכשלה.'));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!pendingAction) {
+      return;
+    }
+    const { action, statement } = pendingAction;
+    setSaving(true);
+    try {
+      if (action === 'delete') {
+        await deleteBillingStatement(statement.id, { orgId });
+      } else {
+        await updateBillingStatementStatus(statement.id, { orgId, status: action });
+      }
+      toast.success(ACTION_COPY[action].success);
+      setPendingAction(null);
+      setReloadKey((previous) => previous + 1);
+    } catch (saveError) {
+      console.error('Billing statement update failed', saveError);
+      toast.error(describeError(saveError, 'עדכון דף החיוב נכשל.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (statement) => {
+    setDownloadingId(statement.id);
+    try {
+      const blob = await downloadBillingStatementPdf(statement.id, { orgId });
+      downloadBlob(blob, `${statement.student_name || 'student'}_Billing_${statement.month}.pdf`);
+    } catch (downloadError) {
+      console.error('Billing statement PDF failed', downloadError);
+      toast.error(describeError(downloadError, 'הפקת קובץ ה-PDF נכשלה.'));
+    } finally {
+      setDownloadingId('');
+    }
+  };
+
+  const openDetails = async (statement) => {
+    setDetails({ statement, lines: null });
+    try {
+      const payload = await fetchBillingStatement(statement.id, { orgId });
+      setDetails({ statement: payload.statement, lines: payload.lines });
+    } catch (detailsError) {
+      console.error('Failed to load billing statement', detailsError);
+      toast.error(describeError(detailsError, 'טעינת פירוט דף החיוב נכשלה.'));
+      setDetails(null);
+    }
+  };
+
+  const data = result?.month === month ? result : null;
+  const statements = data?.statements || [];
+  const currency = data?.currency || 'ILS';
+  const copy = pendingAction ? ACTION_COPY[pendingAction.action] : null;
+
+  return (
+    <div className="space-y-md">
+      <div className="flex flex-wrap items-end gap-sm rounded-xl border border-neutral-200 bg-white p-sm sm:p-md">
+        <div className="space-y-xs">
+          <Label htmlFor="billing-month" className="block text-right text-xs">חודש</Label>
+          <Input id="billing-month" type="month" value={month} onChange={(event) => setMonth(event.target.value)} />
+        </div>
+        <div className="flex flex-wrap gap-xs sm:ms-auto">
+          <Button type="button" onClick={handleRun} disabled={running || !monthIsValid || !data?.configured} className="gap-xs">
+            {running ? <Loader2 className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+            הפקת טיוטות חיוב
+          </Button>
+        </div>
+      </div>
+
+      {!monthIsValid ? (
+        <div className="rounded-lg bg-amber-50 p-sm text-sm text-amber-800" role="alert">{ERROR_MESSAGES.invalid_month}</div>
+      ) : error ? (
+        <div className="rounded-lg bg-red-50 p-sm text-sm text-red-700" role="alert">{error}</div>
+      ) : loading || !data ? (
+        <div className="flex items-center justify-center gap-sm rounded-xl bg-neutral-50 p-lg text-neutral-600" role="status">
+          <Loader2 className="h-5 w-5 animate-spin" aria-hidden="true" />
+          <span>טוען דפי חיוב...</span>
+        </div>
+      ) : (
+        <>
+          {!data.configured ? (
+            <div className="rounded-xl bg-neutral-50 p-md text-center text-sm text-neutral-600" role="status">
+              עדיין לא הוגדר מחירון. ניתן להגדיר מחיר לכל שירות ומחירים מיוחדים לתלמידים בהגדרות ← חיוב.
+            </div>
+          ) : null}
+
+          <div className="grid grid-cols-2 gap-sm sm:grid-cols-4">
+            <ReportStat label="דפי חיוב" value={statements.length} hint={formatMonthLabel(month)} />
+            <ReportStat label="בטיוטה" value={formatMoney(data.totals.draft.amount, currency)} hint={`${data.totals.draft.statements} דפים`} />
+            <ReportStat label="הופקו" value={formatMoney(data.totals.issued.amount, currency)} hint={`${data.totals.issued.statements} דפים`} />
+            <ReportStat label="שולמו" value={formatMoney(data.totals.paid.amount, currency)} hint={`${data.totals.paid.statements} דפים`} />
+          </div>
+
+          {runSummary ? (
+            <div className="space-y-xs rounded-lg bg-sky-50 p-sm text-xs text-sky-900 sm:text-sm" role="status">
+              <p>
+                נוצרו {runSummary.created} טיוטות בסך {formatMoney(runSummary.total_amount, currency)}.
+                {runSummary.skipped.cancelled ? ` ${runSummary.skipped.cancelled} מפגשים בתאריכים שבוטלו לא חויבו.` : ''}
+                {runSummary.skipped.already_billed ? ` ${runSummary.skipped.already_billed} מפגשים כבר חויבו בדפים שהופקו.` : ''}
+              </p>
+              {runSummary.unpriced.length ? (
+                <p className="text-amber-800">
+                  {runSummary.unpriced.length} מפגשים ללא מחיר ולכן לא חויבו:{' '}
+                  {runSummary.unpriced
+                    .slice(0, 10)
+                    .map((entry) => `${entry.student_name} (${formatShortDate(entry.date)}, ${describeService(entry.service)})`)
+                    .join(' · ')}
+                  {runSummary.unpriced.length > 10 ? ' ...' : ''}
+                </p>
+              ) : null}
+            </div>
+          ) : null}
+
+          {statements.length ? (
+            <div className="overflow-x-auto rounded-xl border border-neutral-200 bg-white">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-right">תלמיד</TableHead>
+                    <TableHead className="text-right">משלם</TableHead>
+                    <TableHead className="text-right">מפגשים</TableHead>
+                    <TableHead className="text-right">סכום</TableHead>
+                    <TableHead className="text-right">סטטוס</TableHead>
+                    <TableHead className="text-right"><span className="sr-only">פעולות</span></TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {statements.map((statement) => {
+                    const badge = STATUS_BADGES[statement.status] || STATUS_BADGES.draft;
+                    return (
+                      <TableRow key={statement.id}>
+                        <TableCell className="font-medium">{statement.student_name}</TableCell>
+                        <TableCell>
+                          {statement.payer_name || '—'}
+                          <div className="text-xs text-neutral-500">{PAYER_LABELS[statement.payer_type] || statement.payer_type}</div>
+                        </TableCell>
+                        <TableCell>{statement.metadata?.session_count ?? '—'}</TableCell>
+                        <TableCell>{formatMoney(statement.total_amount, statement.currency || currency)}</TableCell>
+                        <TableCell>
+                          <Badge variant={badge.variant}>{badge.label}</Badge>
+                        </TableCell>
+                        <TableCell className="text-left">
+                          <div className="flex flex-wrap justify-end gap-xs">
+                            <Button type="button" size="sm" variant="ghost" className="gap-xs" onClick={() => openDetails(statement)}>
+                              <ListOrdered className="h-4 w-4" />
+                              פירוט
+                            </Button>
+                            {canExportPdf ? (
+                              <Button
+                                type="button"
+                                size="sm"
+                                variant="ghost"
+                                className="gap-xs"
+                                disabled={downloadingId === statement.id}
+                                onClick={() => handleDownload(statement)}
+                              >
+                                {downloadingId === statement.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <FileText className="h-4 w-4" />}
+                                PDF
+                              </Button>
+                            ) : null}
+                            {statement.status === 'draft' ? (
+                              <>
+                                <Button type="button" size="sm" variant="ghost" className="gap-xs" onClick={() => setPendingAction({ action: 'issued', statement })}>
+                                  <Send className="h-4 w-4" />
+                                  הפקה
+                                </Button>
+                                <Button
+                                  type="button"
+                                  size="sm"
+                                  variant="ghost"
+                                  className="gap-xs text-red-600"
+                                  onClick={() => setPendingAction({ action: 'delete', statement })}
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                  מחיקה
+                                </Button>
+                              </>
+                            ) : null}
+                            {statement.status === 'issued' ? (
+                              <Button type="button" size="sm" variant="ghost" className="gap-xs" onClick={() => setPendingAction({ action: 'paid', statement })}>
+                                <Banknote className="h-4 w-4" />
+                                שולם
+                              </Button>
+                            ) : null}
+                            {statement.status === 'paid' ? (
+                              <CheckCircle2 className="h-4 w-4 self-center text-emerald-600" aria-label="שולם" />
+                            ) : null}
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <p className="rounded-lg border border-dashed border-neutral-300 p-md text-center text-xs text-neutral-500 sm:text-sm">
+              אין דפי חיוב לחודש זה. הפקת טיוטות יוצרת דף לכל תלמיד שיש לו מפגשים מתועדים שטרם חויבו.
+            </p>
+          )}
+        </>
+      )}
+
+      <Dialog open={Boolean(pendingAction)} onOpenChange={(open) => (!open && !saving ? setPendingAction(null) : null)}>
+        <DialogContent dir="rtl">
+          <DialogHeader>
+            <DialogTitle>{copy?.title}</DialogTitle>
+            <DialogDescription>{pendingAction ? copy.describe(pendingAction.statement) : null}</DialogDescription>
+          </DialogHeader>
+          <DialogFooter className="gap-2">
+            <Button variant="outline" onClick={() => setPendingAction(null)} disabled={saving}>
+              ביטול
+            </Button>
+            <Button
+              onClick={handleConfirm}
+              disabled={saving}
+              variant={pendingAction?.action === 'delete' ? 'destructive' : 'default'}
+              className="gap-xs"
+            >
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : null}
+              {copy?.confirm}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(details)} onOpenChange={(open) => (!open ? setDetails(null) : null)}>
+        <DialogContent dir="rtl" className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>פירוט חיוב - {details?.statement.student_name}</DialogTitle>
+            <DialogDescription>{formatMonthLabel(month)}</DialogDescription>
+          </DialogHeader>
+          {!details?.lines ? (
+            <div className="flex items-center justify-center gap-sm p-md text-neutral-600" role="status">
+              <Loader2 className="h-5 w-5 animate-spin" aria-hidden="true" />
+              <span>טוען פירוט...</span>
+            </div>
+          ) : (
+            <div className="max-h-[60vh] overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-right">תאריך</TableHead>
+                    <TableHead className="text-right">שירות</TableHead>
+                    <TableHead className="text-right">מחיר</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {details.lines.map((line) => (
+                    <TableRow key={line.id}>
+                      <TableCell>{formatShortDate(line.date)}</TableCell>
+                      <TableCell>
+                        {describeService(line.service)}
+                        {line.price_source === 'student' ? <span className="text-xs text-neutral-500"> (מחיר לתלמיד)</span> : null}
+                      </TableCell>
+                      <TableCell>{formatMoney(line.amount, details.statement.currency || currency)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useMemo } from 'react';
+import { CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { REPORT_CHART_COLORS, formatRate, formatShortDate } from '@/features/reports/utils/report-format.js';
+import { ReportChartCard, ReportStat } from './ReportCards.jsx';
+
+function WeekTooltip({ active, payload }) {
+  const week = active && Array.isArray(payload) ? payload[0]?.payload : null;
+  if (!week) {
+    return null;
+  }
+  return (
+    <div className="rounded-md border border-neutral-200 bg-white px-sm py-xs text-xs shadow-sm" dir="rtl">
+      <div className="font-medium text-foreground">שבוע מ-{formatShortDate(week.week_start)}</div>
+      <div className="text-neutral-600">שיעור תיעוד: {formatRate(week.rate)}</div>
+      <div className="text-neutral-600">תועדו {week.documented} מתוך {week.expected}</div>
+      {week.excused ? <div className="text-neutral-500">בוטלו / היעדרות: {week.excused}</div> : null}
+    </div>
+  );
+}
+
+/**
+ * Share of scheduled sessions that were documented, week by week.
+ */
+export default function DocumentationReport({ data }) {
+  const weeks = useMemo(
+    () => (data?.weeks || []).map((week) => ({ ...week, label: formatShortDate(week.week_start) })),
+    [data],
+  );
+  const totals = data?.totals || { expected: 0, documented: 0, excused: 0, rate: null };
+
+  return (
+    <div className="space-y-md">
+      <div className="grid grid-cols-2 gap-sm sm:grid-cols-4">
+        <ReportStat label="שיעור תיעוד" value={formatRate(totals.rate)} />
+        <ReportStat label="מפגשים צפויים" value={totals.expected} hint="לפי מערכת השעות, עד היום" />
+        <ReportStat label="מפגשים שתועדו" value={totals.documented} />
+        <ReportStat label="בוטלו / היעדרות" value={totals.excused} hint="אינם נספרים כצפויים" />
+      </div>
+
+      <ReportChartCard
+        title="שיעור תיעוד לפי שבוע"
+        description="ימי סגירה וחגים אינם נספרים."
+        empty={!totals.expected}
+      >
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={weeks} margin={{ top: 8, right: 16, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+            <YAxis domain={[0, 100]} unit="%" tick={{ fontSize: 11 }} />
+            <Tooltip content={<WeekTooltip />} />
+            <Line
+              type="monotone"
+              dataKey="rate"
+              stroke={REPORT_CHART_COLORS[0]}
+              strokeWidth={2}
+              dot={{ r: 3 }}
+              connectNulls
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </ReportChartCard>
+    </div>
+  );
+}
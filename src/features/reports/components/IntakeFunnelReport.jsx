@@ -0,0 +1,49 @@
+import React, { useMemo } from 'react';
+import { Bar, BarChart, CartesianGrid, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { REPORT_CHART_COLORS, formatMonthLabel, formatRate } from '@/features/reports/utils/report-format.js';
+import { ReportChartCard, ReportStat } from './ReportCards.jsx';
+
+/**
+ * Intake forms received, approved and dismissed in the range, and what is still waiting.
+ */
+export default function IntakeFunnelReport({ data }) {
+  const stages = data?.stages || { received: 0, approved: 0, dismissed: 0 };
+  const months = useMemo(
+    () => (data?.by_month || []).map((entry) => ({ ...entry, label: formatMonthLabel(entry.month, { short: true }) })),
+    [data],
+  );
+  const hasActivity = stages.received + stages.approved + stages.dismissed > 0;
+  const medianDays = data?.median_days_to_approval;
+
+  return (
+    <div className="space-y-md">
+      <div className="grid grid-cols-2 gap-sm sm:grid-cols-3 lg:grid-cols-6">
+        <ReportStat label="טפסים שהתקבלו" value={stages.received} />
+        <ReportStat label="קליטות שאושרו" value={stages.approved} />
+        <ReportStat label="קליטות שהוסרו" value={stages.dismissed} />
+        <ReportStat label="ממתינות כעת" value={data?.pending ?? 0} hint="ללא תלות בטווח" />
+        <ReportStat label="שיעור אישור" value={formatRate(data?.approval_rate)} />
+        <ReportStat label="זמן חציוני לאישור" value={medianDays === null || medianDays === undefined ? '—' : `${medianDays} ימים`} />
+      </div>
+
+      <ReportChartCard
+        title="קליטות לפי חודש"
+        description="טפסים שהתקבלו לפני הפעלת הדוחות אינם כוללים תאריך קבלה ולכן אינם נספרים כ״התקבלו״."
+        empty={!hasActivity}
+      >
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={months} margin={{ top: 8, right: 16, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+            <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+            <Tooltip />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            <Bar dataKey="received" name="התקבלו" fill={REPORT_CHART_COLORS[1]} isAnimationActive={false} />
+            <Bar dataKey="approved" name="אושרו" fill={REPORT_CHART_COLORS[3]} isAnimationActive={false} />
+            <Bar dataKey="dismissed" name="הוסרו" fill={REPORT_CHART_COLORS[6]} isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+      </ReportChartCard>
+    </div>
+  );
+}
@@ -0,0 +1,307 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CheckCircle2, Download, FileSpreadsheet, Loader2, Lock, LockOpen } from 'lucide-react';
+import { toast } from 'sonner';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { downloadPayrollExport, fetchPayroll, updatePayrollApproval } from '@/api/payroll.js';
+import {
+  describeService,
+  formatHours,
+  formatMonthLabel,
+  isMonthEnded,
+  previousMonthKey,
+} from '@/features/reports/utils/report-format.js';
+import { ReportStat } from './ReportCards.jsx';
+
+const STATUS_BADGES = {
+  open: { label: 'פתוח', variant: 'outline' },
+  approved: { label: 'מאושר ונעול', variant: 'default' },
+  reopened: { label: 'נפתח מחדש', variant: 'secondary' },
+};
+
+const ERROR_MESSAGES = {
+  invalid_month: 'החודש שנבחר אינו תקין.',
+  month_not_ended: 'ניתן לאשר חודש רק לאחר שהסתיים.',
+  already_approved: 'החודש כבר אושר עבור המדריכים שנבחרו.',
+  not_approved: 'החודש אינו מאושר ולכן אין מה לפתוח מחדש.',
+  instructor_not_hourly: 'אחד המדריכים אינו מוגדר בהיקף משרה שעתי.',
+  hourly_scope_disabled: 'היקף משרה שעתי אינו מופעל בארגון.',
+  missing_reopen_reason: 'יש לציין סיבה לפתיחה מחדש.',
+  too_many_sessions: 'יש בחודש יותר מפגשים ממה שניתן לאשר בבקשה אחת.',
+  failed_to_load_approvals: 'טבלת אישורי השעות חסרה. יש להריץ מחדש את סקריפט ההגדרה של מסד הנתונים.',
+  forbidden: 'רק מנהלי הארגון יכולים לצפות בשעות ובשכר.',
+};
+
+function describeError(error, fallback) {
+  return ERROR_MESSAGES[error?.message] || fallback;
+}
+
+function downloadBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * "שעות ושכר": monthly hours of hourly-scope instructors, exported for payroll and
+ * approved per instructor. An approved month is locked until an admin reopens it with a reason.
+ */
+export default function PayrollReport({ orgId }) {
+  const [month, setMonth] = useState(() => previousMonthKey());
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+  const [reopenReason, setReopenReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const monthIsValid = /^\d{4}-\d{2}$/.test(month);
+
+  useEffect(() => {
+    if (!orgId || !monthIsValid) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+    fetchPayroll({ orgId, month, signal: controller.signal })
+      .then((payload) => {
+        setResult(payload);
+        setLoading(false);
+      })
+      .catch((loadError) => {
+        if (loadError?.name === 'AbortError') {
+          return;
+        }
+        console.error('Failed to load payroll hours', loadError);
+        setResult(null);
+        setError(describeError(loadError, 'טעינת השעות נכשלה. נסו שוב מאוחר יותר.'));
+        setLoading(false);
+      });
+    return () => controller.abort();
+  }, [orgId, month, monthIsValid, reloadKey]);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const blob = await downloadPayrollExport(format, { orgId, month });
+      downloadBlob(blob, `payroll-${month}.${format}`);
+    } catch (exportError) {
+      console.error('Payroll export failed', exportError);
+      toast.error(describeError(exportError, 'ייצוא השעות נכשל.'));
+    } finally {
+      setExporting('');
+    }
+  };
+
+  const openAction = useCallback((action, rows) => {
+    setReopenReason('');
+    setPendingAction({
+      action,
+      instructorIds: rows.map((row) => row.instructor_id),
+      names: rows.map((row) => row.name),
+    });
+  }, []);
+
+  const handleConfirm = async () => {
+    if (!pendingAction) {
+      return;
+    }
+    setSaving(true);
+    try {
+      await updatePayrollApproval({
+        orgId,
+        month,
+        action: pendingAction.action,
+        instructorIds: pendingAction.instructorIds,
+        reason: pendingAction.action === 'reopen' ? reopenReason.trim() : undefined,
+      });
+      toast.success(pendingAction.action === 'approve' ? 'השעות אושרו והחודש ננעל.' : 'החודש נפתח מחדש לעריכה.');
+      setPendingAction(null);
+      setReloadKey((previous) => previous + 1);
+    } catch (saveError) {
+      console.error('Payroll approval update failed', saveError);
+      toast.error(describeError(saveError, 'עדכון האישור נכשל.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const data = result?.month === month ? result.data : null;
+  const rows = data?.instructors || [];
+  const openRows = rows.filter((row) => row.status !== 'approved');
+  const canApprove = isMonthEnded(month) && result?.hourly_enabled;
+  const isReopen = pendingAction?.action === 'reopen';
+
+  return (
+    <div className="space-y-md">
+      <div className="flex flex-wrap items-end gap-sm rounded-xl border border-neutral-200 bg-white p-sm sm:p-md">
+        <div className="space-y-xs">
+          <Label htmlFor="payroll-month" className="block text-right text-xs">חודש</Label>
+          <Input id="payroll-month" type="month" value={month} onChange={(event) => setMonth(event.target.value)} />
+        </div>
+        <div className="flex flex-wrap gap-xs sm:ms-auto">
+          <Button type="button" variant="outline" onClick={() => handleExport('csv')} disabled={Boolean(exporting) || !monthIsValid} className="gap-xs">
+            {exporting === 'csv' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+            CSV
+          </Button>
+          <Button type="button" variant="outline" onClick={() => handleExport('xlsx')} disabled={Boolean(exporting) || !monthIsValid} className="gap-xs">
+            {exporting === 'xlsx' ? <Loader2 className="h-4 w-4 animate-spin" /> : <FileSpreadsheet className="h-4 w-4" />}
+            Excel
+          </Button>
+          <Button type="button" onClick={() => openAction('approve', openRows)} disabled={!canApprove || !openRows.length} className="gap-xs">
+            <Lock className="h-4 w-4" />
+            אישור ונעילת החודש
+          </Button>
+        </div>
+      </div>
+
+      {!monthIsValid ? (
+        <div className="rounded-lg bg-amber-50 p-sm text-sm text-amber-800" role="alert">{ERROR_MESSAGES.invalid_month}</div>
+      ) : error ? (
+        <div className="rounded-lg bg-red-50 p-sm text-sm text-red-700" role="alert">{error}</div>
+      ) : loading || !data ? (
+        <div className="flex items-center justify-center gap-sm rounded-xl bg-neutral-50 p-lg text-neutral-600" role="status">
+          <Loader2 className="h-5 w-5 animate-spin" aria-hidden="true" />
+          <span>טוען שעות...</span>
+        </div>
+      ) : !result.hourly_enabled ? (
+        <div className="rounded-xl bg-neutral-50 p-lg text-center text-sm text-neutral-600" role="status">
+          היקף משרה שעתי אינו מופעל בארגון. ניתן להפעיל אותו בהגדרות ← שעות ושכר, ולשייך מדריכים בעריכת פרטי המדריך.
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-sm sm:grid-cols-4">
+            <ReportStat label="מדריכים שעתיים" value={data.totals.instructors} />
+            <ReportStat label="מפגשים" value={data.totals.sessions} />
+            <ReportStat label="סה״כ שעות" value={formatHours(data.totals.hours)} />
+            <ReportStat label="אושרו" value={`${data.totals.approved} / ${data.totals.instructors}`} hint={formatMonthLabel(month)} />
+          </div>
+
+          {result.truncated ? (
+            <div className="rounded-lg bg-amber-50 p-sm text-xs text-amber-800 sm:text-sm" role="status">
+              בחודש זה יותר מפגשים ממה שניתן לעבד בבקשה אחת, והסיכום חלקי.
+            </div>
+          ) : null}
+
+          {!isMonthEnded(month) ? (
+            <p className="text-xs text-neutral-600">ניתן לאשר ולנעול את השעות לאחר סיום החודש.</p>
+          ) : null}
+
+          {rows.length ? (
+            <div className="overflow-x-auto rounded-xl border border-neutral-200 bg-white">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-right">מדריך</TableHead>
+                    <TableHead className="text-right">מפגשים</TableHead>
+                    <TableHead className="text-right">שעות</TableHead>
+                    <TableHead className="text-right">לפי שירות</TableHead>
+                    <TableHead className="text-right">סטטוס</TableHead>
+                    <TableHead className="text-right"><span className="sr-only">פעולות</span></TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rows.map((row) => {
+                    const badge = STATUS_BADGES[row.status] || STATUS_BADGES.open;
+                    return (
+                      <TableRow key={row.instructor_id}>
+                        <TableCell className="font-medium">
+                          {row.name}
+                          {row.is_active ? null : <span className="text-xs text-neutral-500"> (לא פעיל)</span>}
+                        </TableCell>
+                        <TableCell>{row.sessions}</TableCell>
+                        <TableCell>
+                          {formatHours(row.hours)}
+                          {row.defaulted_sessions ? (
+                            <div className="text-xs text-neutral-500">{row.defaulted_sessions} לפי משך ברירת מחדל</div>
+                          ) : null}
+                        </TableCell>
+                        <TableCell className="text-xs text-neutral-700">
+                          {row.by_service.length
+                            ? row.by_service.map((entry) => `${describeService(entry.service)}: ${entry.sessions}`).join(' · ')
+                            : '—'}
+                        </TableCell>
+                        <TableCell>
+                          <Badge variant={badge.variant}>{badge.label}</Badge>
+                          {row.status === 'approved' && row.approval?.approved_by_email ? (
+                            <div className="mt-1 text-xs text-neutral-500">{row.approval.approved_by_email}</div>
+                          ) : null}
+                          {row.status === 'reopened' && row.approval?.reopen_reason ? (
+                            <div className="mt-1 text-xs text-neutral-500">{row.approval.reopen_reason}</div>
+                          ) : null}
+                        </TableCell>
+                        <TableCell className="text-left">
+                          {row.status === 'approved' ? (
+                            <Button type="button" size="sm" variant="ghost" className="gap-xs" onClick={() => openAction('reopen', [row])}>
+                              <LockOpen className="h-4 w-4" />
+                              פתיחה מחדש
+                            </Button>
+                          ) : (
+                            <Button type="button" size="sm" variant="ghost" className="gap-xs" disabled={!canApprove} onClick={() => openAction('approve', [row])}>
+                              <CheckCircle2 className="h-4 w-4" />
+                              אישור
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            <p className="rounded-lg border border-dashed border-neutral-300 p-md text-center text-xs text-neutral-500 sm:text-sm">
+              אין מדריכים בהיקף משרה שעתי. ניתן לשייך מדריך בהגדרות ← ניהול מדריכים ← עריכת פרטים אישיים.
+            </p>
+          )}
+        </>
+      )}
+
+      <Dialog open={Boolean(pendingAction)} onOpenChange={(open) => (!open && !saving ? setPendingAction(null) : null)}>
+        <DialogContent dir="rtl">
+          <DialogHeader>
+            <DialogTitle>{isReopen ? 'פתיחה מחדש של החודש' : 'אישור ונעילת שעות'}</DialogTitle>
+            <DialogDescription>
+              {isReopen
+                ? `פתיחה מחדש של ${formatMonthLabel(month)} עבור ${pendingAction?.names.join(', ')} תאפשר שוב לערוך ולמחוק מפגשים. הפעולה נרשמת ביומן הפעולות.`
+                : `לאחר האישור לא ניתן יהיה להוסיף, לערוך או למחוק מפגשים של ${pendingAction?.names.join(', ')} ב${formatMonthLabel(month)} עד לפתיחה מחדש.`}
+            </DialogDescription>
+          </DialogHeader>
+          {isReopen ? (
+            <div className="space-y-xs">
+              <Label htmlFor="payroll-reopen-reason" className="block text-right">סיבה *</Label>
+              <Textarea
+                id="payroll-reopen-reason"
+                value={reopenReason}
+                onChange={(event) => setReopenReason(event.target.value)}
+                rows={3}
+                maxLength={500}
+                disabled={saving}
+              />
+            </div>
+          ) : null}
+          <DialogFooter className="gap-2">
+            <Button variant="outline" onClick={() => setPendingAction(null)} disabled={saving}>
+              ביטול
+            </Button>
+            <Button onClick={handleConfirm} disabled={saving || (isReopen && !reopenReason.trim())} className="gap-xs">
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : null}
+              {isReopen ? 'פתיחה מחדש' : 'אישור ונעילה'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
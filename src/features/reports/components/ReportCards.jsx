@@ -0,0 +1,40 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+
+/**
+ * One headline number of a report.
+ */
+export function ReportStat({ label, value, hint = '' }) {
+  return (
+    <div className="rounded-xl border border-neutral-200 bg-white p-sm sm:p-md">
+      <div className="text-xs text-neutral-600 sm:text-sm">{label}</div>
+      <div className="text-xl font-semibold text-foreground sm:text-2xl">{value}</div>
+      {hint ? <div className="text-xs text-neutral-500">{hint}</div> : null}
+    </div>
+  );
+}
+
+/**
+ * Card with a fixed-height chart area; recharts needs a sized parent for ResponsiveContainer.
+ */
+export function ReportChartCard({ title, description = '', empty = false, children }) {
+  return (
+    <Card>
+      <CardHeader className="space-y-1 pb-xs">
+        <CardTitle className="text-sm font-semibold text-foreground sm:text-base">{title}</CardTitle>
+        {description ? <p className="text-xs text-neutral-600">{description}</p> : null}
+      </CardHeader>
+      <CardContent>
+        {empty ? (
+          <p className="rounded-lg border border-dashed border-neutral-300 p-md text-center text-xs text-neutral-500 sm:text-sm">
+            אין נתונים בטווח שנבחר.
+          </p>
+        ) : (
+          <div className="h-64 w-full" dir="ltr">
+            {children}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useMemo } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Legend,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { REPORT_CHART_COLORS, describeService, formatMonthLabel } from '@/features/reports/utils/report-format.js';
+import { ReportChartCard, ReportStat } from './ReportCards.jsx';
+
+/**
+ * Documented sessions per month, instructor and service.
+ */
+export default function SessionsReport({ data }) {
+  const months = useMemo(
+    () => (data?.by_month || []).map((entry) => ({ ...entry, label: formatMonthLabel(entry.month, { short: true }) })),
+    [data],
+  );
+  const instructors = data?.by_instructor || [];
+  const services = useMemo(
+    () => (data?.by_service || []).map((entry) => ({ ...entry, label: describeService(entry.service) })),
+    [data],
+  );
+  const total = data?.total ?? 0;
+  const monthlyAverage = months.length ? Math.round((total / months.length) * 10) / 10 : 0;
+
+  return (
+    <div className="space-y-md">
+      <div className="grid grid-cols-2 gap-sm sm:grid-cols-3">
+        <ReportStat label="מפגשים בטווח" value={total} />
+        <ReportStat label="ממוצע לחודש" value={monthlyAverage} />
+        <ReportStat label="שירותים" value={services.length} />
+      </div>
+
+      <ReportChartCard title="מפגשים לפי חודש" empty={!total}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={months} margin={{ top: 8, right: 16, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+            <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+            <Tooltip formatter={(value) => [value, 'מפגשים']} />
+            <Bar dataKey="count" fill={REPORT_CHART_COLORS[0]} radius={[4, 4, 0, 0]} isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+      </ReportChartCard>
+
+      <div className="grid gap-md lg:grid-cols-2">
+        <ReportChartCard title="מפגשים לפי מדריך" empty={!instructors.length}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={instructors} layout="vertical" margin={{ top: 8, right: 16, bottom: 0, left: 16 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis type="number" allowDecimals={false} tick={{ fontSize: 11 }} />
+              <YAxis type="category" dataKey="name" width={110} tick={{ fontSize: 11 }} />
+              <Tooltip formatter={(value) => [value, 'מפגשים']} />
+              <Bar dataKey="count" fill={REPORT_CHART_COLORS[1]} radius={[0, 4, 4, 0]} isAnimationActive={false} />
+            </BarChart>
+          </ResponsiveContainer>
+        </ReportChartCard>
+
+        <ReportChartCard title="מפגשים לפי שירות" empty={!services.length}>
+          <ResponsiveContainer width="100%" height="100%">
+            <PieChart>
+              <Pie data={services} dataKey="count" nameKey="label" outerRadius="75%" isAnimationActive={false}>
+                {services.map((entry, index) => (
+                  <Cell key={entry.label} fill={REPORT_CHART_COLORS[index % REPORT_CHART_COLORS.length]} />
+                ))}
+              </Pie>
+              <Tooltip formatter={(value, name) => [value, name]} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+            </PieChart>
+          </ResponsiveContainer>
+        </ReportChartCard>
+      </div>
+    </div>
+  );
+}
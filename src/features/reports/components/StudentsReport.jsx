@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Legend,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { REPORT_CHART_COLORS } from '@/features/reports/utils/report-format.js';
+import { ReportChartCard, ReportStat } from './ReportCards.jsx';
+
+const STATUS_COLORS = [REPORT_CHART_COLORS[3], REPORT_CHART_COLORS[2], REPORT_CHART_COLORS[6]];
+
+/**
+ * Active vs inactive students, and which active students actually had sessions in the range.
+ */
+export default function StudentsReport({ data }) {
+  const totals = data?.totals || { active: 0, inactive: 0, active_with_sessions: 0, active_without_sessions: 0 };
+  const statusSlices = [
+    { label: 'פעילים עם מפגשים', value: totals.active_with_sessions },
+    { label: 'פעילים ללא מפגשים', value: totals.active_without_sessions },
+    { label: 'לא פעילים', value: totals.inactive },
+  ];
+  const instructors = useMemo(
+    () => (data?.by_instructor || []).map((entry) => ({
+      ...entry,
+      active_without_sessions: entry.active - entry.active_with_sessions,
+    })),
+    [data],
+  );
+  const hasStudents = totals.active + totals.inactive > 0;
+
+  return (
+    <div className="space-y-md">
+      <div className="grid grid-cols-2 gap-sm sm:grid-cols-4">
+        <ReportStat label="תלמידים פעילים" value={totals.active} />
+        <ReportStat label="תלמידים לא פעילים" value={totals.inactive} />
+        <ReportStat label="פעילים עם מפגשים" value={totals.active_with_sessions} hint="לפחות מפגש אחד בטווח" />
+        <ReportStat label="פעילים ללא מפגשים" value={totals.active_without_sessions} />
+      </div>
+
+      <div className="grid gap-md lg:grid-cols-2">
+        <ReportChartCard title="סטטוס תלמידים" empty={!hasStudents}>
+          <ResponsiveContainer width="100%" height="100%">
+            <PieChart>
+              <Pie data={statusSlices} dataKey="value" nameKey="label" outerRadius="75%" isAnimationActive={false}>
+                {statusSlices.map((entry, index) => (
+                  <Cell key={entry.label} fill={STATUS_COLORS[index]} />
+                ))}
+              </Pie>
+              <Tooltip formatter={(value, name) => [value, name]} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+            </PieChart>
+          </ResponsiveContainer>
+        </ReportChartCard>
+
+        <ReportChartCard title="תלמידים לפי מדריך משויך" empty={!instructors.length}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={instructors} layout="vertical" margin={{ top: 8, right: 16, bottom: 0, left: 16 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis type="number" allowDecimals={false} tick={{ fontSize: 11 }} />
+              <YAxis type="category" dataKey="name" width={110} tick={{ fontSize: 11 }} />
+              <Tooltip />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              <Bar dataKey="active_with_sessions" name="פעילים עם מפגשים" stackId="students" fill={STATUS_COLORS[0]} isAnimationActive={false} />
+              <Bar dataKey="active_without_sessions" name="פעילים ללא מפגשים" stackId="students" fill={STATUS_COLORS[1]} isAnimationActive={false} />
+              <Bar dataKey="inactive" name="לא פעילים" stackId="students" fill={STATUS_COLORS[2]} isAnimationActive={false} />
+            </BarChart>
+          </ResponsiveContainer>
+        </ReportChartCard>
+      </div>
+    </div>
+  );
+}
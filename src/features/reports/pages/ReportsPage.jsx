@@ -0,0 +1,225 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import PageLayout from '@/components/ui/PageLayout.jsx';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { useAuth } from '@/auth/AuthContext.jsx';
+import { useOrg } from '@/org/OrgContext.jsx';
+import { useInstructors } from '@/hooks/useOrgData.js';
+import { normalizeMembershipRole, isAdminRole } from '@/features/students/utils/endpoints.js';
+import { downloadReportCsv, fetchReport } from '@/api/reports.js';
+import { buildDefaultReportRange } from '@/features/reports/utils/report-format.js';
+import SessionsReport from '../components/SessionsReport.jsx';
+import DocumentationReport from '../components/DocumentationReport.jsx';
+import StudentsReport from '../components/StudentsReport.jsx';
+import IntakeFunnelReport from '../components/IntakeFunnelReport.jsx';
+import PayrollReport from '../components/PayrollReport.jsx';
+import BillingReport from '../components/BillingReport.jsx';
+
+const ALL_INSTRUCTORS = 'all';
+
+const REPORTS = [
+  { value: 'sessions', label: 'מפגשים', component: SessionsReport },
+  { value: 'documentation', label: 'שיעור תיעוד', component: DocumentationReport },
+  { value: 'students', label: 'תלמידים פעילים', component: StudentsReport },
+  { value: 'intake', label: 'משפך קליטה', component: IntakeFunnelReport, adminOnly: true },
+  // Monthly, with its own month picker, exports and approvals instead of the shared filters
+  { value: 'payroll', label: 'שעות ושכר', component: PayrollReport, adminOnly: true, standalone: true },
+  { value: 'billing', label: 'חיוב', component: BillingReport, adminOnly: true, standalone: true },
+];
+
+const ERROR_MESSAGES = {
+  invalid_date: 'אחד התאריכים אינו תקין.',
+  invalid_date_range: 'תאריך ההתחלה חייב להיות לפני תאריך הסיום.',
+  date_range_too_long: 'ניתן להציג דוח לטווח של עד שנה.',
+  forbidden: 'אין לך הרשאה לצפות בדוח זה.',
+};
+
+function describeError(error, fallback) {
+  return ERROR_MESSAGES[error?.message] || fallback;
+}
+
+/**
+ * "דוחות": server-side aggregated reports with date-range and instructor filters and CSV export.
+ * Instructors see only their own sessions and students; the intake funnel is for admins.
+ */
+export default function ReportsPage() {
+  const { session } = useAuth();
+  const { activeOrg, activeOrgId, activeOrgHasConnection, tenantClientReady } = useOrg();
+  const [report, setReport] = useState(REPORTS[0].value);
+  const [range, setRange] = useState(() => buildDefaultReportRange());
+  const [instructorId, setInstructorId] = useState(ALL_INSTRUCTORS);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  const membershipRole = activeOrg?.membership?.role;
+  const normalizedRole = useMemo(() => normalizeMembershipRole(membershipRole), [membershipRole]);
+  const isAdmin = isAdminRole(normalizedRole);
+
+  const canFetch = Boolean(session && activeOrgId && tenantClientReady && activeOrgHasConnection);
+
+  const { instructors } = useInstructors({
+    enabled: canFetch && isAdmin,
+    orgId: activeOrgId,
+    includeInactive: true,
+  });
+
+  const availableReports = useMemo(() => REPORTS.filter((entry) => isAdmin || !entry.adminOnly), [isAdmin]);
+  const activeReport = availableReports.find((entry) => entry.value === report) || availableReports[0];
+  const filters = useMemo(() => ({
+    orgId: activeOrgId,
+    from: range.from,
+    to: range.to,
+    instructorId: isAdmin && instructorId !== ALL_INSTRUCTORS ? instructorId : null,
+  }), [activeOrgId, range, isAdmin, instructorId]);
+  const rangeIsValid = Boolean(range.from && range.to && range.from <= range.to);
+  const isStandalone = Boolean(activeReport.standalone);
+
+  useEffect(() => {
+    if (!canFetch || !rangeIsValid || isStandalone) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+    fetchReport(activeReport.value, { ...filters, signal: controller.signal })
+      .then((payload) => {
+        setResult(payload);
+        setLoading(false);
+      })
+      .catch((loadError) => {
+        if (loadError?.name === 'AbortError') {
+          return;
+        }
+        console.error('Failed to load report', loadError);
+        setResult(null);
+        setError(describeError(loadError, 'טעינת הדוח נכשלה. נסו שוב מאוחר יותר.'));
+        setLoading(false);
+      });
+    return () => controller.abort();
+  }, [canFetch, rangeIsValid, isStandalone, activeReport.value, filters]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await downloadReportCsv(activeReport.value, filters);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `report-${activeReport.value}-${filters.from}-${filters.to}.csv`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (exportError) {
+      console.error('Report export failed', exportError);
+      toast.error(describeError(exportError, 'ייצוא הדוח נכשל.'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const updateRange = (key) => (event) => {
+    const value = event.target.value;
+    setRange((previous) => ({ ...previous, [key]: value }));
+  };
+
+  const ReportComponent = activeReport.component;
+  const showsCurrentReport = result?.report === activeReport.value;
+
+  return (
+    <PageLayout
+      title="דוחות"
+      description={isAdmin ? 'נתוני פעילות הארגון לפי טווח תאריכים ומדריך.' : 'נתוני הפעילות שלך לפי טווח תאריכים.'}
+      fullHeight={false}
+    >
+      {!canFetch ? (
+        <div className="rounded-xl bg-neutral-50 p-lg text-center text-neutral-600" role="status">
+          יש לבחור ארגון בעל חיבור פעיל כדי להציג דוחות.
+        </div>
+      ) : (
+        <div className="space-y-md" dir="rtl">
+          <Tabs value={activeReport.value} onValueChange={setReport} dir="rtl">
+            <TabsList className="flex h-auto flex-wrap justify-start">
+              {availableReports.map((entry) => (
+                <TabsTrigger key={entry.value} value={entry.value}>{entry.label}</TabsTrigger>
+              ))}
+            </TabsList>
+          </Tabs>
+
+          {isStandalone ? (
+            <ReportComponent orgId={activeOrgId} />
+          ) : (
+            <>
+              <div className="flex flex-wrap items-end gap-sm rounded-xl border border-neutral-200 bg-white p-sm sm:p-md">
+                <div className="space-y-xs">
+                  <Label htmlFor="report-from" className="block text-right text-xs">מתאריך</Label>
+                  <Input id="report-from" type="date" value={range.from} max={range.to || undefined} onChange={updateRange('from')} />
+                </div>
+                <div className="space-y-xs">
+                  <Label htmlFor="report-to" className="block text-right text-xs">עד תאריך</Label>
+                  <Input id="report-to" type="date" value={range.to} min={range.from || undefined} onChange={updateRange('to')} />
+                </div>
+                {isAdmin ? (
+                  <div className="min-w-[180px] space-y-xs">
+                    <Label htmlFor="report-instructor" className="block text-right text-xs">מדריך</Label>
+                    <Select value={instructorId} onValueChange={setInstructorId}>
+                      <SelectTrigger id="report-instructor">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={ALL_INSTRUCTORS}>כל המדריכים</SelectItem>
+                        {(Array.isArray(instructors) ? instructors : []).map((instructor) => (
+                          <SelectItem key={instructor.id} value={instructor.id}>
+                            {instructor.name || instructor.email || instructor.id}
+                            {instructor.is_active === false ? ' (לא פעיל)' : ''}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ) : null}
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleExport}
+                  disabled={exporting || !rangeIsValid}
+                  className="gap-xs sm:ms-auto"
+                >
+                  {exporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+                  ייצוא ל-CSV
+                </Button>
+              </div>
+
+              {!rangeIsValid ? (
+                <div className="rounded-lg bg-amber-50 p-sm text-sm text-amber-800" role="alert">
+                  {ERROR_MESSAGES.invalid_date_range}
+                </div>
+              ) : error ? (
+                <div className="rounded-lg bg-red-50 p-sm text-sm text-red-700" role="alert">{error}</div>
+              ) : loading || !showsCurrentReport ? (
+                <div className="flex items-center justify-center gap-sm rounded-xl bg-neutral-50 p-lg text-neutral-600" role="status">
+                  <Loader2 className="h-5 w-5 animate-spin" aria-hidden="true" />
+                  <span>טוען דוח...</span>
+                </div>
+              ) : (
+                <>
+                  {result.truncated ? (
+                    <div className="rounded-lg bg-amber-50 p-sm text-xs text-amber-800 sm:text-sm" role="status">
+                      הטווח שנבחר כולל יותר נתונים ממה שניתן לעבד בבקשה אחת, והדוח חלקי. צמצמו את טווח התאריכים.
+                    </div>
+                  ) : null}
+                  <ReportComponent data={result.data} />
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </PageLayout>
+  );
+}
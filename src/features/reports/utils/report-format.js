@@ -0,0 +1,105 @@
+// Display helpers for the reports page. Kept free of imports so node tests can load them.
+
+const HEBREW_MONTHS = [
+  'ינואר',
+  'פברואר',
+  'מרץ',
+  'אפריל',
+  'מאי',
+  'יוני',
+  'יולי',
+  'אוגוסט',
+  'ספטמבר',
+  'אוקטובר',
+  'נובמבר',
+  'דצמבר',
+];
+
+export const REPORT_CHART_COLORS = [
+  'hsl(var(--primary))',
+  '#0ea5e9',
+  '#f59e0b',
+  '#10b981',
+  '#8b5cf6',
+  '#ef4444',
+  '#64748b',
+];
+
+export const NO_SERVICE_LABEL = 'ללא שירות';
+
+function formatIsoDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * The range the server uses when none is sent: the current month and the five before it.
+ */
+export function buildDefaultReportRange(today = new Date()) {
+  const start = new Date(today.getFullYear(), today.getMonth() - 5, 1);
+  return { from: formatIsoDate(start), to: formatIsoDate(today) };
+}
+
+/**
+ * "2026-03" -> "מרץ 2026"
+ */
+export function formatMonthLabel(monthKey, { short = false } = {}) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(monthKey || ''));
+  if (!match) {
+    return String(monthKey || '');
+  }
+  const name = HEBREW_MONTHS[Number(match[2]) - 1] || match[2];
+  return short ? `${name} ${match[1].slice(2)}` : `${name} ${match[1]}`;
+}
+
+/**
+ * "2026-03-08" -> "08/03"
+ */
+export function formatShortDate(isoDate) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(isoDate || ''));
+  return match ? `${match[3]}/${match[2]}` : String(isoDate || '');
+}
+
+export function formatRate(rate) {
+  return rate === null || rate === undefined ? '—' : `${rate}%`;
+}
+
+export function describeService(service) {
+  return service || NO_SERVICE_LABEL;
+}
+
+/**
+ * The payroll month picked by default: the last one that has already ended.
+ */
+export function previousMonthKey(today = new Date()) {
+  const start = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+  return formatIsoDate(start).slice(0, 7);
+}
+
+/**
+ * Whether a YYYY-MM month is over, so its payroll can be approved.
+ */
+export function isMonthEnded(monthKey, today = new Date()) {
+  return String(monthKey || '') < formatIsoDate(today).slice(0, 7);
+}
+
+/**
+ * 7.5 -> "7.5 ש׳"
+ */
+export function formatHours(hours) {
+  const value = Number(hours) || 0;
+  return `${Number.isInteger(value) ? value : value.toFixed(2).replace(/0$/, '')} ש׳`;
+}
+
+/**
+ * 250 -> "‏250.00 ₪" (mirrors formatMoney in api/_shared/billing.js)
+ */
+export function formatMoney(amount, currency = 'ILS') {
+  try {
+    return new Intl.NumberFormat('he-IL', { style: 'currency', currency }).format(Number(amount) || 0);
+  } catch {
+    return `${(Number(amount) || 0).toFixed(2)} ${currency}`;
+  }
+}
@@ -0,0 +1,40 @@
+import { authenticatedFetch } from '@/lib/api-client.js';
+
+// Stored as a student document, so the file also shows up in the student's documents tab
+export async function uploadSessionAttachment({ orgId, studentId, file, date, signal } = {}) {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('entity_type', 'student');
+  formData.append('entity_id', studentId);
+  formData.append('org_id', orgId);
+  if (date) {
+    formData.append('relevant_date', date);
+  }
+
+  const result = await authenticatedFetch('documents', {
+    method: 'POST',
+    body: formData,
+    signal,
+  });
+
+  const uploaded = Array.isArray(result?.files) ? result.files[0] : null;
+  if (!uploaded?.id) {
+    const error = new Error(result?.errors?.[0]?.error || 'upload_failed');
+    error.code = result?.errors?.[0]?.error || 'upload_failed';
+    throw error;
+  }
+
+  return {
+    document_id: uploaded.id,
+    name: uploaded.original_name || uploaded.name || file.name,
+    type: uploaded.type || file.type || '',
+  };
+}
+
+export async function fetchSessionAttachmentUrl({ orgId, documentId, signal } = {}) {
+  const result = await authenticatedFetch('documents-download', {
+    params: { document_id: documentId, org_id: orgId, preview: true },
+    signal,
+  });
+  return result?.url || '';
+}
@@ -0,0 +1,33 @@
+import { authenticatedFetch } from '@/lib/api-client.js';
+
+// Fired after a draft is saved or removed so draft lists can refresh
+export const SESSION_DRAFTS_CHANGED_EVENT = 'session-drafts-changed';
+
+export async function fetchSessionDrafts({ orgId, studentId, date, signal } = {}) {
+  return authenticatedFetch('session-drafts', {
+    params: { org_id: orgId, student_id: studentId, date },
+    signal,
+  });
+}
+
+// Saving again for the same student + date replaces the previous draft and extends its expiry
+export async function saveSessionDraftToServer({ orgId, studentId, date, content, signal } = {}) {
+  return authenticatedFetch('session-drafts', {
+    method: 'PUT',
+    body: {
+      org_id: orgId,
+      student_id: studentId || null,
+      date: date || null,
+      content,
+    },
+    signal,
+  });
+}
+
+export async function deleteSessionDraftFromServer({ draftId, orgId, signal } = {}) {
+  return authenticatedFetch(`session-drafts/${draftId}`, {
+    method: 'DELETE',
+    body: { org_id: orgId },
+    signal,
+  });
+}
@@ -0,0 +1,29 @@
+import { authenticatedFetch } from '@/lib/api-client.js';
+
+export async function updateSessionRecord({ sessionId, orgId, date, serviceContext, answers, signal } = {}) {
+  const body = {
+    org_id: orgId,
+    ...(date !== undefined ? { date } : {}),
+    ...(serviceContext !== undefined ? { service_context: serviceContext } : {}),
+    ...(answers !== undefined ? { content: answers } : {}),
+  };
+
+  return authenticatedFetch(`sessions/${sessionId}`, {
+    method: 'PUT',
+    body,
+    signal,
+  });
+}
+
+export async function deleteSessionRecord({ sessionId, orgId, reason, signal } = {}) {
+  const body = {
+    org_id: orgId,
+    ...(reason ? { reason } : {}),
+  };
+
+  return authenticatedFetch(`sessions/${sessionId}`, {
+    method: 'DELETE',
+    body,
+    signal,
+  });
+}
@@ -0,0 +1,212 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Loader2, Pencil } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ComboBoxField } from '@/components/ui/forms-ui';
+import SessionQuestionField from './SessionQuestionField.jsx';
+import { updateSessionRecord } from '@/features/sessions/api/sessions.js';
+import { applyQuestionRules, evaluateQuestionRules } from '@/features/sessions/utils/form-rules.js';
+
+function parseSessionContent(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'string') {
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' ? parsed : { notes: raw };
+    } catch {
+      return { notes: raw };
+    }
+  }
+  if (typeof raw === 'object') return raw;
+  return {};
+}
+
+function buildInitialAnswers(content, questions) {
+  const parsed = parseSessionContent(content);
+  const answers = { ...parsed };
+  for (const question of questions) {
+    if (answers[question.key] === undefined && question.id && parsed[question.id] !== undefined) {
+      answers[question.key] = parsed[question.id];
+      delete answers[question.id];
+    }
+  }
+  return answers;
+}
+
+function describeUpdateError(error) {
+  const code = error?.data?.message || error?.message || '';
+  switch (code) {
+    case 'student_not_assigned_to_user':
+      return 'אין לך הרשאה לערוך מפגש של תלמיד שאינו משויך אליך.';
+    case 'session_not_found':
+      return 'המפגש לא נמצא. ייתכן שנמחק.';
+    case 'session_deleted':
+      return 'לא ניתן לערוך מפגש שנמחק.';
+    case 'invalid date':
+      return 'תאריך המפגש אינו תקין.';
+    case 'missing session content':
+    case 'invalid content':
+      return 'תוכן המפגש אינו תקין.';
+    case 'missing_required_answers':
+      return 'יש להשלים את כל שאלות החובה.';
+    case 'payroll_month_locked':
+      return 'השעות של חודש המפגש כבר אושרו ונעולו. יש לפתוח את החודש מחדש בדוח השעות לפני העריכה.';
+    case 'session_billed':
+      return 'המפגש כבר חויב בדף חיוב שהופק, ולכן לא ניתן לשנות את התאריך או השירות שלו.';
+    default:
+      return 'עדכון המפגש נכשל.';
+  }
+}
+
+export default function EditSessionRecordDialog({
+  open,
+  onClose,
+  record,
+  questions = [],
+  services = [],
+  orgId,
+  onSaved,
+}) {
+  const [date, setDate] = useState('');
+  const [serviceContext, setServiceContext] = useState('');
+  const [answers, setAnswers] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || !record) return;
+    setDate(record.date || '');
+    setServiceContext(record.service_context || '');
+    setAnswers(buildInitialAnswers(record.content, questions));
+    setError('');
+  }, [open, record, questions]);
+
+  const questionRules = useMemo(() => evaluateQuestionRules(questions, answers), [questions, answers]);
+
+  const updateAnswer = (key, value) => {
+    setAnswers((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!record?.id) return;
+
+    if (!date) {
+      setError('נא לבחור תאריך מפגש.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const updated = await updateSessionRecord({
+        sessionId: record.id,
+        orgId,
+        date,
+        serviceContext: serviceContext.trim() || null,
+        answers: applyQuestionRules(questions, answers).content,
+      });
+      toast.success('המפגש עודכן בהצלחה.');
+      onSaved?.(updated);
+      onClose?.();
+    } catch (submitError) {
+      console.error('Failed to update session record', submitError);
+      setError(describeUpdateError(submitError));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen && !isSubmitting) {
+      onClose?.();
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto" dir="rtl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-right">
+            <Pencil className="h-5 w-5" />
+            עריכת מפגש
+          </DialogTitle>
+          <DialogDescription className="text-right">
+            הגרסה הקודמת תישמר בהיסטוריית השינויים של המפגש.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-md">
+          <div className="grid gap-md sm:grid-cols-2">
+            <div className="space-y-xs">
+              <Label htmlFor="edit-session-date" className="block text-right">תאריך המפגש *</Label>
+              <Input
+                id="edit-session-date"
+                type="date"
+                value={date}
+                onChange={(event) => setDate(event.target.value)}
+                disabled={isSubmitting}
+                required
+              />
+            </div>
+            <ComboBoxField
+              id="edit-session-service"
+              name="service"
+              label="שירות"
+              value={serviceContext}
+              onChange={setServiceContext}
+              options={services}
+              placeholder="בחרו מהרשימה או הקלידו שירות"
+              disabled={isSubmitting}
+              dir="rtl"
+              emptyMessage="לא נמצאו שירותים תואמים"
+            />
+          </div>
+
+          {questions.length ? (
+            <div className="space-y-md border-t pt-md">
+              <h3 className="text-base font-semibold text-foreground text-right">שאלות המפגש</h3>
+              {questions.filter((question) => questionRules.visible.has(question.key)).map((question) => (
+                <SessionQuestionField
+                  key={question.key}
+                  question={{ ...question, required: questionRules.required.has(question.key) }}
+                  value={answers[question.key]}
+                  onChange={(value) => updateAnswer(question.key, value)}
+                  disabled={isSubmitting}
+                  attachmentStudentId={record?.student_id || null}
+                  attachmentDate={date}
+                  attachmentUnavailableMessage="לא ניתן לצרף קבצים לדיווח שאינו משויך לתלמיד."
+                />
+              ))}
+            </div>
+          ) : null}
+
+          {error ? (
+            <p className="text-sm text-red-600 text-right" role="alert">{error}</p>
+          ) : null}
+
+          <DialogFooter className="gap-2 sm:justify-start">
+            <Button type="submit" disabled={isSubmitting} className="gap-2">
+              {isSubmitting ? <Loader2 className="h-4 w-4 animate-spin" /> : null}
+              שמירת שינויים
+            </Button>
+            <Button type="button" variant="outline" onClick={onClose} disabled={isSubmitting}>
+              ביטול
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,169 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Calendar, Clock, FilePen, Loader2, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useOrg } from '@/org/OrgContext.jsx';
+import { useSessionModal } from '@/features/sessions/context/SessionModalContext.jsx';
+import {
+  SESSION_DRAFTS_CHANGED_EVENT,
+  deleteSessionDraftFromServer,
+  fetchSessionDrafts,
+} from '@/features/sessions/api/session-drafts.js';
+
+function formatDate(dateStr) {
+  if (!dateStr) return '';
+  const [year, month, day] = dateStr.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+function formatTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function describeDraftSubject(draft) {
+  const content = draft?.content || {};
+  if (draft?.student_name) return draft.student_name;
+  if (content.mode === 'group') return `מפגש קבוצתי (${(content.studentIds || []).length} תלמידים)`;
+  if (content.mode === 'loose' && content.unassignedName) return `${content.unassignedName} (לא משויך)`;
+  return 'ללא תלמיד';
+}
+
+/**
+ * Session reports the current user started and did not submit yet, saved on the server
+ * from any device. Drafts are not documentation and expire after the org's retention period.
+ */
+export default function MyDraftReportsCard({ onOpenDraft }) {
+  const { activeOrg, activeOrgHasConnection, tenantClientReady } = useOrg();
+  const { openSessionModal } = useSessionModal();
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+
+  const activeOrgId = activeOrg?.id || null;
+  const canFetch = Boolean(activeOrgId && activeOrgHasConnection && tenantClientReady);
+
+  const loadDrafts = useCallback(async () => {
+    if (!canFetch) return;
+    setLoading(true);
+    try {
+      const data = await fetchSessionDrafts({ orgId: activeOrgId });
+      setDrafts(Array.isArray(data) ? data : []);
+    } catch (error) {
+      // Drafts are a convenience; if they cannot be loaded the card just stays empty
+      console.warn('Failed to load session drafts', error);
+      setDrafts([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [activeOrgId, canFetch]);
+
+  useEffect(() => {
+    void loadDrafts();
+    const handleChange = () => void loadDrafts();
+    window.addEventListener(SESSION_DRAFTS_CHANGED_EVENT, handleChange);
+    window.addEventListener('session-created', handleChange);
+    return () => {
+      window.removeEventListener(SESSION_DRAFTS_CHANGED_EVENT, handleChange);
+      window.removeEventListener('session-created', handleChange);
+    };
+  }, [loadDrafts]);
+
+  const handleContinue = (draft) => {
+    onOpenDraft?.(draft);
+    openSessionModal({
+      studentId: draft.content?.mode === 'single' ? draft.student_id || '' : '',
+      draft: draft.content,
+      draftId: draft.id,
+    });
+  };
+
+  const handleDelete = async (draft) => {
+    setDeletingId(draft.id);
+    try {
+      await deleteSessionDraftFromServer({ draftId: draft.id, orgId: activeOrgId });
+      setDrafts((previous) => previous.filter((entry) => entry.id !== draft.id));
+      toast.success('הטיוטה נמחקה.');
+    } catch (error) {
+      console.error('Failed to delete session draft', error);
+      toast.error('מחיקת הטיוטה נכשלה.');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  if (!canFetch || (!loading && drafts.length === 0)) {
+    return null;
+  }
+
+  return (
+    <Card dir="rtl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-right">
+          טיוטות דיווח
+          {drafts.length > 0 && (
+            <Badge variant="secondary" className="bg-sky-100 text-sky-800">
+              {drafts.length}
+            </Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="text-sm text-muted-foreground text-right">
+          דיווחים שהתחלת ולא שלחת, מכל מכשיר. טיוטות אינן נחשבות כתיעוד ונמחקות אוטומטית בתום תקופת השמירה.
+        </div>
+        {loading && drafts.length === 0 ? (
+          <div className="flex items-center justify-center gap-2 py-6 text-neutral-600">
+            <Loader2 className="h-5 w-5 animate-spin" />
+            <span>טוען טיוטות...</span>
+          </div>
+        ) : (
+          drafts.map((draft) => (
+            <Card key={draft.id} className="border-2 border-sky-200 bg-sky-50/30">
+              <CardContent className="p-4">
+                <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                  <div className="space-y-1">
+                    <h4 className="text-base font-semibold text-foreground">{describeDraftSubject(draft)}</h4>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-neutral-600">
+                      {draft.date && (
+                        <span className="flex items-center gap-1">
+                          <Calendar className="h-4 w-4 shrink-0" />
+                          תאריך: {formatDate(draft.date)}
+                        </span>
+                      )}
+                      <span className="flex items-center gap-1">
+                        <Clock className="h-4 w-4 shrink-0" />
+                        עודכנה: {formatTimestamp(draft.updated_at)}
+                      </span>
+                    </div>
+                    <p className="text-xs text-neutral-500">תימחק ב-{formatTimestamp(draft.expires_at)}</p>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button type="button" size="sm" className="gap-1" onClick={() => handleContinue(draft)}>
+                      <FilePen className="h-4 w-4" />
+                      המשך תיעוד
+                    </Button>
+                    <Button
+                      type="button"
+                      size="sm"
+                      variant="outline"
+                      className="gap-1 text-red-700"
+                      onClick={() => void handleDelete(draft)}
+                      disabled={deletingId === draft.id}
+                    >
+                      {deletingId === draft.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+                      מחיקה
+                    </Button>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,9 +1,9 @@
 import React, { useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
-import { Loader2, ListChecks, RotateCcw, ChevronDown, UserCheck } from 'lucide-react';
+import { Loader2, RotateCcw, ChevronDown, UserCheck, Users } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
 import { ComboBoxField, TimeField } from '@/components/ui/forms-ui';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { describeSchedule, dayMatches, includesDayQuery } from '@/features/students/utils/schedule.js';
@@ -11,7 +11,15 @@ import { sortStudentsBySchedule } from '@/features/students/utils/sorting.js';
 import { cn } from '@/lib/utils.js';
 import DayOfWeekSelect from '@/components/ui/DayOfWeekSelect.jsx';
 import PreanswersPickerDialog from './PreanswersPickerDialog.jsx';
+import SessionQuestionField from './SessionQuestionField.jsx';
+import SessionGoalRatingsField from './SessionGoalRatingsField.jsx';
 import { useLooseReportNameSuggestions } from '@/features/sessions/hooks/useLooseReportNameSuggestions.js';
+import { MAX_GROUP_SESSION_SIZE, compactGroupOverrides } from '@/features/sessions/utils/session-groups.js';
+import { applyQuestionRules, evaluateQuestionRules } from '@/features/sessions/utils/form-rules.js';
+import { buildGoalProgressPayload } from '@/features/students/utils/goals.js';
+
+// Mirrors MIN/MAX_SESSION_DURATION_MINUTES in api/_shared/validation.js
+const SESSION_DURATION_LIMITS = { min: 5, max: 480 };
 
 export default function NewSessionForm({
   students = [],
@@ -46,6 +54,9 @@ export default function NewSessionForm({
   successState, // Success state from parent { studentId, studentName, date }
   showAdvancedFilters: externalShowAdvancedFilters, // Controlled from parent
   onShowAdvancedFiltersChange, // Callback to update parent state
+  onDraftChange, // Receives a snapshot of the form on every change (autosaved offline by the parent)
+  draftToRestore = null, // Draft snapshot to load into the form (restored or reopened from the offline queue)
+  onServiceContextChange, // Receives the chosen service so the parent can switch to its questionnaire
 }) {
   const [selectedStudentId, setSelectedStudentId] = useState(initialStudentId || '');
   const [studentQuery, setStudentQuery] = useState('');
@@ -54,11 +65,20 @@ export default function NewSessionForm({
   const [serviceContext, setServiceContext] = useState('');
   const [serviceTouched, setServiceTouched] = useState(false);
   const [sessionTime, setSessionTime] = useState('');
+  const [durationMinutes, setDurationMinutes] = useState('');
   const [looseMode, setLooseMode] = useState(false);
   const [unassignedName, setUnassignedName] = useState('');
   const [unassignedReason, setUnassignedReason] = useState('');
   const [unassignedReasonOther, setUnassignedReasonOther] = useState('');
   const [looseInstructorId, setLooseInstructorId] = useState(''); // For admin selecting which instructor submits loose report
+  // Group mode: one report for several students, saved as one record per student
+  const [groupMode, setGroupMode] = useState(false);
+  const [groupStudentIds, setGroupStudentIds] = useState([]);
+  const [groupOverrides, setGroupOverrides] = useState({}); // { [studentId]: { [questionKey]: value } }
+  const [overrideStudentId, setOverrideStudentId] = useState(null);
+  // Progress ratings on the selected student's active goals: { [goalId]: rating }
+  const [goalRatings, setGoalRatings] = useState({});
+  const [shownGoalIds, setShownGoalIds] = useState([]);
   const [preanswersDialogOpen, setPreanswersDialogOpen] = useState(false);
   const [activeQuestionKey, setActiveQuestionKey] = useState(null);
   const [isFormValid, setIsFormValid] = useState(false);
@@ -113,6 +133,13 @@ export default function NewSessionForm({
     });
   }, [questions]);
 
+  // Conditional questions: which ones are shown and which are required for the current answers
+  const questionRules = useMemo(() => evaluateQuestionRules(questions, answers), [questions, answers]);
+  const visibleQuestions = useMemo(
+    () => questions.filter((question) => questionRules.visible.has(question.key)),
+    [questions, questionRules],
+  );
+
   useEffect(() => {
     if (!initialStudentId) {
       return;
@@ -121,6 +148,62 @@ export default function NewSessionForm({
     onSelectedStudentChange?.(initialStudentId);
   }, [initialStudentId, onSelectedStudentChange]);
 
+  // Load a saved draft (same shape as the snapshot passed to onDraftChange)
+  useEffect(() => {
+    if (!draftToRestore) {
+      return;
+    }
+    const mode = draftToRestore.mode || 'single';
+    setLooseMode(mode === 'loose');
+    setGroupMode(mode === 'group');
+    setSelectedStudentId(mode === 'single' ? draftToRestore.studentId || '' : '');
+    onSelectedStudentChange?.(mode === 'single' ? draftToRestore.studentId || '' : '');
+    setGroupStudentIds(mode === 'group' ? draftToRestore.studentIds || [] : []);
+    setGroupOverrides(mode === 'group' ? draftToRestore.overrides || {} : {});
+    setSessionDate(draftToRestore.date || '');
+    setSessionTime(draftToRestore.time || '');
+    setDurationMinutes(draftToRestore.durationMinutes || '');
+    setServiceContext(draftToRestore.serviceContext || '');
+    setServiceTouched(true);
+    setUnassignedName(draftToRestore.unassignedName || '');
+    setUnassignedReason(draftToRestore.unassignedReason || '');
+    setUnassignedReasonOther(draftToRestore.unassignedReasonOther || '');
+    setLooseInstructorId(draftToRestore.looseInstructorId || '');
+    setGoalRatings(mode === 'single' && draftToRestore.goalRatings ? draftToRestore.goalRatings : {});
+    setAnswers((previous) => {
+      const next = { ...previous };
+      for (const [key, value] of Object.entries(draftToRestore.answers || {})) {
+        if (Object.prototype.hasOwnProperty.call(next, key)) {
+          next[key] = value === null || typeof value === 'undefined' ? '' : value;
+        }
+      }
+      return next;
+    });
+  }, [draftToRestore, onSelectedStudentChange]);
+
+  useEffect(() => {
+    onDraftChange?.({
+      mode: groupMode ? 'group' : looseMode ? 'loose' : 'single',
+      studentId: selectedStudentId,
+      studentIds: groupStudentIds,
+      overrides: groupOverrides,
+      date: sessionDate,
+      time: sessionTime,
+      durationMinutes,
+      serviceContext,
+      answers,
+      goalRatings,
+      unassignedName,
+      unassignedReason,
+      unassignedReasonOther,
+      looseInstructorId,
+    });
+  }, [onDraftChange, groupMode, looseMode, selectedStudentId, groupStudentIds, groupOverrides, sessionDate, sessionTime, durationMinutes, serviceContext, answers, goalRatings, unassignedName, unassignedReason, unassignedReasonOther, looseInstructorId]);
+
+  useEffect(() => {
+    onServiceContextChange?.(serviceContext.trim() || null);
+  }, [serviceContext, onServiceContextChange]);
+
   const selectedStudent = useMemo(() => {
     return students.find((student) => student?.id === selectedStudentId) || null;
   }, [students, selectedStudentId]);
@@ -210,6 +293,7 @@ export default function NewSessionForm({
     setLooseMode(false);
     onSelectedStudentChange?.(value); // Notify parent
     setServiceTouched(false);
+    setGoalRatings({});
     const nextStudent = students.find((student) => student?.id === value);
     if (nextStudent?.default_service) {
       setServiceContext(nextStudent.default_service);
@@ -238,10 +322,46 @@ export default function NewSessionForm({
     }));
   }, []);
 
-  const handleAnswerChange = useCallback((questionKey, event) => {
-    const value = event.target.value;
-    updateAnswer(questionKey, value);
-  }, [updateAnswer]);
+  const toggleGroupStudent = useCallback((studentId, checked) => {
+    setGroupStudentIds((previous) => {
+      if (checked) {
+        if (previous.includes(studentId) || previous.length >= MAX_GROUP_SESSION_SIZE) {
+          return previous;
+        }
+        return [...previous, studentId];
+      }
+      return previous.filter((id) => id !== studentId);
+    });
+    if (!checked) {
+      setOverrideStudentId((current) => (current === studentId ? null : current));
+    }
+  }, []);
+
+  const updateOverride = useCallback((studentId, questionKey, value) => {
+    setGroupOverrides((previous) => ({
+      ...previous,
+      [studentId]: { ...(previous[studentId] || {}), [questionKey]: value },
+    }));
+  }, []);
+
+  const handleGroupModeToggle = () => {
+    setGroupMode((prev) => {
+      const next = !prev;
+      if (next) {
+        setLooseMode(false);
+        setSelectedStudentId('');
+        onSelectedStudentChange?.('');
+        setServiceContext('');
+        setServiceTouched(true);
+      } else {
+        setGroupStudentIds([]);
+        setGroupOverrides({});
+        setOverrideStudentId(null);
+        setServiceTouched(false);
+      }
+      return next;
+    });
+  };
 
   // Handler to switch from loose mode to regular mode when selecting an existing student
   const handleSelectExistingStudent = useCallback((student) => {
@@ -265,7 +385,7 @@ export default function NewSessionForm({
       return;
     }
 
-    if (!selectedStudentId && !looseMode) {
+    if (groupMode ? groupStudentIds.length < 2 : !selectedStudentId && !looseMode) {
       return;
     }
 
@@ -278,7 +398,9 @@ export default function NewSessionForm({
     }
 
     const trimmedService = serviceContext.trim();
-    const answerEntries = Object.entries(answers)
+    const parsedDuration = durationMinutes.trim() ? Number(durationMinutes) : null;
+    // Answers to questions hidden by their rules are not saved
+    const answerEntries = Object.entries(applyQuestionRules(questions, answers).content)
       .map(([key, value]) => {
         if (typeof value === 'string') {
           return [key, value.trim()];
@@ -289,15 +411,35 @@ export default function NewSessionForm({
         if (typeof value === 'string') {
           return value !== '';
         }
+        if (Array.isArray(value)) {
+          return value.length > 0;
+        }
         return value !== null && typeof value !== 'undefined';
       });
 
+    if (groupMode) {
+      onSubmit?.({
+        studentId: null,
+        studentIds: groupStudentIds,
+        overrides: compactGroupOverrides(groupOverrides, groupStudentIds),
+        date: sessionDate,
+        time: null,
+        durationMinutes: parsedDuration,
+        serviceContext: trimmedService || null,
+        answers: Object.fromEntries(answerEntries),
+        unassignedDetails: null,
+      });
+      return;
+    }
+
     const payload = {
       studentId: looseMode ? null : selectedStudentId,
       date: sessionDate,
       time: looseMode ? sessionTime : sessionTime || null,
+      durationMinutes: parsedDuration,
       serviceContext: trimmedService || null,
       answers: Object.fromEntries(answerEntries),
+      goalProgress: looseMode ? [] : buildGoalProgressPayload(goalRatings, shownGoalIds),
       instructorId: looseMode && looseInstructorId ? looseInstructorId : undefined,
       unassignedDetails: looseMode
         ? {
@@ -344,6 +486,7 @@ export default function NewSessionForm({
       setSessionDate('');
     }
     setSessionTime('');
+    setDurationMinutes('');
     
     // Preserve loose report metadata if provided (for follow-up reports of same loose report)
     if (looseName) {
@@ -370,6 +513,11 @@ export default function NewSessionForm({
     }
     
     setLooseInstructorId('');
+    setGroupMode(false);
+    setGroupStudentIds([]);
+    setGroupOverrides({});
+    setOverrideStudentId(null);
+    setGoalRatings({});
     setStudentQuery('');
     setStudentDayFilter(null);
     // Keep advanced filters state when creating additional reports (don't reset showAdvancedFilters)
@@ -389,12 +537,12 @@ export default function NewSessionForm({
     if (!form) {
       return;
     }
-    const nextIsValid = form.checkValidity();
+    const nextIsValid = form.checkValidity() && (!groupMode || groupStudentIds.length >= 2);
     if (isFormValid !== nextIsValid) {
       setIsFormValid(nextIsValid);
     }
     onFormValidityChange?.(nextIsValid);
-  }, [selectedStudentId, sessionDate, sessionTime, serviceContext, looseMode, unassignedName, unassignedReason, unassignedReasonOther, looseInstructorId, answers, questions, onFormValidityChange, isFormValid]);
+  }, [selectedStudentId, sessionDate, sessionTime, durationMinutes, serviceContext, looseMode, unassignedName, unassignedReason, unassignedReasonOther, looseInstructorId, groupMode, groupStudentIds, answers, questions, onFormValidityChange, isFormValid]);
 
   return (
     <form
@@ -407,8 +555,15 @@ export default function NewSessionForm({
       {successState && (
         <div className="rounded-lg bg-success-50 border-2 border-success-200 p-md text-center animate-in fade-in duration-300">
           <p className="text-base font-semibold text-success-700">
-            ✓ מפגש עבור {successState.studentName} נשמר בהצלחה!
+            {successState.queued
+              ? `✓ המפגש עבור ${successState.studentName} נשמר במכשיר`
+              : `✓ מפגש עבור ${successState.studentName} נשמר בהצלחה!`}
           </p>
+          {successState.queued ? (
+            <p className="text-sm text-success-600 mt-1">
+              אין חיבור לרשת כרגע. הדיווח יישלח אוטומטית כשהחיבור יחזור.
+            </p>
+          ) : null}
           <p className="text-sm text-success-600 mt-1">
             בחרו פעולה מהתפריט מטה
           </p>
@@ -419,9 +574,23 @@ export default function NewSessionForm({
       <div className="space-y-sm">
         <div className="flex items-center justify-between gap-2">
           <div>
-            <Label htmlFor="session-student" className="block text-right text-base font-semibold">בחרו תלמיד *</Label>
+            <Label htmlFor="session-student" className="block text-right text-base font-semibold">
+              {groupMode ? 'בחרו תלמידים למפגש הקבוצתי *' : 'בחרו תלמיד *'}
+            </Label>
             <p className="text-xs text-neutral-500 text-right mb-3">השתמשו במסננים למטה כדי לצמצם את הרשימה</p>
           </div>
+          <div className="flex flex-wrap justify-end gap-2">
+          <Button
+            type="button"
+            variant={groupMode ? 'default' : 'outline'}
+            size="sm"
+            onClick={handleGroupModeToggle}
+            disabled={isSubmitting}
+            className="gap-1 whitespace-nowrap"
+          >
+            <Users className="h-4 w-4" aria-hidden="true" />
+            מפגש קבוצתי
+          </Button>
           <Button
             type="button"
             variant={looseMode ? 'default' : 'outline'}
@@ -430,6 +599,10 @@ export default function NewSessionForm({
               setLooseMode((prev) => {
                 const next = !prev;
                 if (next) {
+                  setGroupMode(false);
+                  setGroupStudentIds([]);
+                  setGroupOverrides({});
+                  setOverrideStudentId(null);
                   setSelectedStudentId('');
                   onSelectedStudentChange?.('');
                   setServiceContext('');
@@ -445,6 +618,7 @@ export default function NewSessionForm({
           >
             תלמיד לא ברשימה?
           </Button>
+          </div>
         </div>
         
         {/* Search Box with Collapsible Advanced Filters */}
@@ -563,6 +737,45 @@ export default function NewSessionForm({
           )}
         </div>
         
+        {groupMode ? (
+        <div className="pt-2 space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-primary">✓ בחירת תלמידים</p>
+            <p className="text-xs text-neutral-500">
+              נבחרו {groupStudentIds.length} מתוך {MAX_GROUP_SESSION_SIZE} לכל היותר
+            </p>
+          </div>
+          <div
+            id="session-student"
+            className="max-h-[240px] space-y-1 overflow-y-auto rounded-lg border-2 border-primary/30 bg-white p-2 shadow-sm"
+            role="group"
+            aria-label="תלמידי המפגש הקבוצתי"
+          >
+            {filteredStudents.map((student) => {
+              const checked = groupStudentIds.includes(student.id);
+              const schedule = describeSchedule(student?.default_day_of_week, student?.default_session_time);
+              return (
+                <label
+                  key={student.id}
+                  htmlFor={`group-student-${student.id}`}
+                  className="flex cursor-pointer items-center gap-2 rounded-md px-2 py-1.5 text-sm hover:bg-muted"
+                >
+                  <Checkbox
+                    id={`group-student-${student.id}`}
+                    checked={checked}
+                    onCheckedChange={(value) => toggleGroupStudent(student.id, value === true)}
+                    disabled={isSubmitting || (!checked && groupStudentIds.length >= MAX_GROUP_SESSION_SIZE)}
+                  />
+                  <span>{student.name || 'ללא שם'} — {schedule}</span>
+                </label>
+              );
+            })}
+          </div>
+          {groupStudentIds.length === 1 ? (
+            <p className="text-xs text-amber-700 text-right">יש לבחור לפחות שני תלמידים למפגש קבוצתי.</p>
+          ) : null}
+        </div>
+        ) : (
         <div className="pt-2">
           <Label htmlFor="session-student-select" className="block text-right text-sm font-medium text-primary mb-2">
             ✓ בחירת תלמיד
@@ -589,6 +802,7 @@ export default function NewSessionForm({
             </SelectContent>
           </Select>
         </div>
+        )}
         {looseMode ? (
           <div className="space-y-2 rounded-md border border-amber-200 bg-amber-50 p-3 text-right text-sm text-amber-800">
             <p className="font-semibold">דיווח לא משויך</p>
@@ -759,33 +973,37 @@ export default function NewSessionForm({
           disabled={isSubmitting}
           dir="rtl"
           emptyMessage="לא נמצאו שירותים תואמים"
-          description={looseMode ? 'חובה לבחור שירות לדיווח לא משויך.' : 'הערך מוצע לפי ברירת המחדל של התלמיד אך ניתן לעריכה.'}
+          description={
+            looseMode
+              ? 'חובה לבחור שירות לדיווח לא משויך.'
+              : groupMode
+                ? 'ללא בחירה, כל תלמיד יקבל את שירות ברירת המחדל שלו.'
+                : 'הערך מוצע לפי ברירת המחדל של התלמיד אך ניתן לעריכה.'
+          }
           required={looseMode}
         />
+        <div className="space-y-sm">
+          <Label htmlFor="session-duration" className="block text-right">משך המפגש (דקות)</Label>
+          <Input
+            id="session-duration"
+            type="number"
+            inputMode="numeric"
+            min={SESSION_DURATION_LIMITS.min}
+            max={SESSION_DURATION_LIMITS.max}
+            step={1}
+            value={durationMinutes}
+            onChange={(event) => setDurationMinutes(event.target.value)}
+            placeholder="ברירת המחדל של השירות"
+            disabled={isSubmitting}
+          />
+        </div>
       </div>
 
       {questions.length ? (
         <div className="space-y-md">
           <h3 className="text-base font-semibold text-foreground text-right">שאלות המפגש</h3>
           <div className="space-y-md">
-            {questions.map((question) => {
-              const questionId = `question-${question.key}`;
-              const questionOptions = Array.isArray(question.options)
-                ? question.options
-                  .map((option) => {
-                    const value = typeof option?.value === 'string' ? option.value.trim() : '';
-                    const label = typeof option?.label === 'string' ? option.label.trim() : value;
-                    if (!value || !label) {
-                      return null;
-                    }
-                    return { value, label };
-                  })
-                  .filter(Boolean)
-                : [];
-              const required = Boolean(question.required);
-              const placeholder = typeof question.placeholder === 'string' ? question.placeholder : '';
-              const answerValue = answers[question.key];
-
+            {visibleQuestions.map((question) => {
               const orgPreanswers = (() => {
                 const byKey = Array.isArray(suggestions?.[question.key]) ? suggestions[question.key] : [];
                 const byId = Array.isArray(suggestions?.[question.id]) ? suggestions[question.id] : [];
@@ -795,282 +1013,102 @@ export default function NewSessionForm({
               const showButton = canEditPersonalPreanswers || orgPreanswers.length > 0;
               const showHelpMessage = !canEditPersonalPreanswers && orgPreanswers.length === 0;
 
-              if (question.type === 'textarea') {
-                
-                return (
-                  <div key={question.key} className="space-y-xs">
-                    <Label htmlFor={questionId} className="block text-right">
-                      {question.label}
-                      {required ? ' *' : ''}
-                    </Label>
-                    <div className="relative">
-                      <Textarea
-                        id={questionId}
-                        rows={4}
-                        value={answerValue ?? ''}
-                        onChange={(e) => handleAnswerChange(question.key, e)}
-                        disabled={isSubmitting}
-                        placeholder={placeholder}
-                        required={required}
-                        className={showButton ? 'pl-12' : ''}
-                      />
-                      {showButton && (
-                        <Button
-                          type="button"
-                          variant="ghost"
-                          size="sm"
-                          className="absolute left-1 top-1 h-8 px-2"
-                          onClick={() => {
-                            setActiveQuestionKey(question.key);
-                            setPreanswersDialogOpen(true);
-                          }}
-                          disabled={isSubmitting}
-                          title="בחר תשובה מוכנה"
-                        >
-                          <ListChecks className="h-4 w-4" />
-                        </Button>
-                      )}
-                    </div>
-                    {showHelpMessage && (
-                      <p className="text-xs text-neutral-500 text-right">
-                        אין תשובות מוכנות לשאלה זו. בקשו ממנהלי המערכת להגדיר תשובות מוכנות.
-                      </p>
-                    )}
-                  </div>
-                );
-              }
-
-              if (question.type === 'text') {
-                return (
-                  <div key={question.key} className="space-y-xs">
-                    <Label htmlFor={questionId} className="block text-right">
-                      {question.label}
-                      {required ? ' *' : ''}
-                    </Label>
-                    <div className="relative">
-                      <Input
-                        id={questionId}
-                        value={answerValue ?? ''}
-                        onChange={(e) => handleAnswerChange(question.key, e)}
-                        disabled={isSubmitting}
-                        placeholder={placeholder}
-                        required={required}
-                        className={showButton ? 'pl-12' : ''}
-                      />
-                      {showButton && (
-                        <Button
-                          type="button"
-                          variant="ghost"
-                          size="sm"
-                          className="absolute left-1 top-1/2 -translate-y-1/2 h-8 px-2"
-                          onClick={() => {
-                            setActiveQuestionKey(question.key);
-                            setPreanswersDialogOpen(true);
-                          }}
-                          disabled={isSubmitting}
-                          title="בחר תשובה מוכנה"
-                        >
-                          <ListChecks className="h-4 w-4" />
-                        </Button>
-                      )}
-                    </div>
-                    {showHelpMessage && (
-                      <p className="text-xs text-neutral-500 text-right">
-                        אין תשובות מוכנות לשאלה זו. בקשו ממנהלי המערכת להגדיר תשובות מוכנות.
-                      </p>
-                    )}
-                  </div>
-                );
-              }
-
-              if (question.type === 'number') {
-                return (
-                  <div key={question.key} className="space-y-xs">
-                    <Label htmlFor={questionId} className="block text-right">
-                      {question.label}
-                      {required ? ' *' : ''}
-                    </Label>
-                    <Input
-                      id={questionId}
-                      type="number"
-                      value={answerValue ?? ''}
-                      onChange={(e) => handleAnswerChange(question.key, e)}
-                      disabled={isSubmitting}
-                      placeholder={placeholder}
-                      required={required}
-                    />
-                  </div>
-                );
-              }
-
-              if (question.type === 'date') {
-                return (
-                  <div key={question.key} className="space-y-xs">
-                    <Label htmlFor={questionId} className="block text-right">
-                      {question.label}
-                      {required ? ' *' : ''}
-                    </Label>
-                    <Input
-                      id={questionId}
-                      type="date"
-                      value={answerValue ?? ''}
-                      onChange={(e) => handleAnswerChange(question.key, e)}
-                      disabled={isSubmitting}
-                      required={required}
-                    />
-                  </div>
-                );
-              }
-
-              if (question.type === 'select') {
-                return (
-                  <div key={question.key} className="space-y-xs">
-                    <Label htmlFor={questionId} className="block text-right">
-                      {question.label}
-                      {required ? ' *' : ''}
-                    </Label>
-                    <Select
-                      value={answerValue ?? ''}
-                      onValueChange={(value) => updateAnswer(question.key, value)}
-                      onOpenChange={onSelectOpenChange}
-                      disabled={isSubmitting || questionOptions.length === 0}
-                      required={required}
-                    >
-                      <SelectTrigger id={questionId} className="w-full">
-                        <SelectValue placeholder="בחרו אפשרות" />
-                      </SelectTrigger>
-                      <SelectContent className="max-h-[300px]">
-                        {questionOptions.map((option) => (
-                          <SelectItem key={option.value} value={option.value}>
-                            {option.label}
-                          </SelectItem>
-                        ))}
-                      </SelectContent>
-                    </Select>
-                    {questionOptions.length === 0 ? (
-                      <p className="text-xs text-neutral-500">אין אפשרויות זמינות לשאלה זו.</p>
-                    ) : null}
-                  </div>
-                );
-              }
-
-              if (question.type === 'radio' || question.type === 'buttons') {
-                const isButtonStyle = question.type === 'buttons';
-                return (
-                  <div key={question.key} className="space-y-xs">
-                    <Label>
-                      {question.label}
-                      {required ? ' *' : ''}
-                    </Label>
-                    <div 
-                      className={cn(
-                        'gap-2',
-                        isButtonStyle ? 'flex flex-wrap' : 'space-y-2'
-                      )} 
-                      role="radiogroup" 
-                      aria-required={required}
-                    >
-                      {questionOptions.length === 0 ? (
-                        <p className="text-xs text-neutral-500">אין אפשרויות זמינות לשאלה זו.</p>
-                      ) : null}
-                      {questionOptions.map((option, optionIndex) => {
-                        const checked = answerValue === option.value;
-                        const labelClass = cn(
-                          'flex items-center gap-xs text-sm transition-all',
-                          isButtonStyle
-                            ? cn(
-                                // Button style: hide radio, make whole area clickable
-                                'cursor-pointer rounded-lg border-2 px-md py-sm font-medium shadow-sm hover:shadow-md',
-                                checked
-                                  ? 'border-primary bg-primary text-white shadow-md'
-                                  : 'border-neutral-300 bg-white text-foreground hover:border-primary/50 hover:bg-primary/5'
-                              )
-                            : cn(
-                                // Traditional radio style: visible radio button
-                                'cursor-pointer rounded-lg border px-sm py-xs',
-                                checked
-                                  ? 'border-primary bg-primary/10 text-primary'
-                                  : 'border-border bg-white text-foreground hover:bg-neutral-50'
-                              )
-                        );
-                        return (
-                          <label key={option.value} className={labelClass}>
-                            <input
-                              type="radio"
-                              name={question.key}
-                              value={option.value}
-                              checked={checked}
-                              onChange={() => updateAnswer(question.key, option.value)}
-                              required={required && optionIndex === 0}
-                              disabled={isSubmitting}
-                              className={cn(
-                                'h-4 w-4',
-                                isButtonStyle && 'sr-only' // Hide radio button for button style
-                              )}
-                            />
-                            <span>{option.label}</span>
-                          </label>
-                        );
-                      })}
-                    </div>
-                  </div>
-                );
-              }
-
-              if (question.type === 'scale') {
-                const min = typeof question?.range?.min === 'number' ? question.range.min : 0;
-                const max = typeof question?.range?.max === 'number' ? question.range.max : 5;
-                const step = typeof question?.range?.step === 'number' && question.range.step > 0 ? question.range.step : 1;
-                const sliderValue = answerValue !== undefined && answerValue !== ''
-                  ? Number(answerValue)
-                  : min;
-                return (
-                  <div key={question.key} className="space-y-2">
-                    <Label htmlFor={questionId} className="block text-right">
-                      {question.label}
-                      {required ? ' *' : ''}
-                    </Label>
-                    <div className="flex items-center gap-sm">
-                      <span className="text-xs text-neutral-500">{min}</span>
-                      <input
-                        id={questionId}
-                        type="range"
-                        min={min}
-                        max={max}
-                        step={step}
-                        value={sliderValue}
-                        onChange={(event) => updateAnswer(question.key, event.target.value)}
-                        disabled={isSubmitting}
-                        className="flex-1"
-                      />
-                      <span className="text-xs text-neutral-500">{max}</span>
-                    </div>
-                    <div className="text-xs text-neutral-600">ערך שנבחר: {sliderValue}</div>
-                  </div>
-                );
-              }
-
               return (
-                <div key={question.key} className="space-y-xs">
-                  <Label htmlFor={questionId} className="block text-right">
-                    {question.label}
-                    {required ? ' *' : ''}
-                  </Label>
-                  <Input
-                    id={questionId}
-                    value={answerValue ?? ''}
-                    onChange={(e) => handleAnswerChange(question.key, e)}
-                    disabled={isSubmitting}
-                    placeholder={placeholder}
-                    required={required}
-                  />
-                </div>
+                <SessionQuestionField
+                  key={question.key}
+                  question={{
+                    ...question,
+                    // Group attachments belong to one student each, so they are checked per student on save
+                    required: questionRules.required.has(question.key) && !(groupMode && question.type === 'file'),
+                  }}
+                  value={answers[question.key]}
+                  onChange={(value) => updateAnswer(question.key, value)}
+                  disabled={isSubmitting}
+                  onSelectOpenChange={onSelectOpenChange}
+                  attachmentStudentId={groupMode || looseMode ? null : selectedStudentId}
+                  attachmentDate={sessionDate}
+                  attachmentUnavailableMessage={
+                    groupMode
+                      ? 'במפגש קבוצתי מצרפים קבצים בהתאמות האישיות של כל תלמיד.'
+                      : looseMode
+                        ? 'לא ניתן לצרף קבצים לדיווח שאינו משויך לתלמיד.'
+                        : 'יש לבחור תלמיד כדי לצרף קבצים.'
+                  }
+                  showPreanswersButton={showButton}
+                  showPreanswersHelp={showHelpMessage}
+                  onOpenPreanswers={(questionKey) => {
+                    setActiveQuestionKey(questionKey);
+                    setPreanswersDialogOpen(true);
+                  }}
+                />
               );
             })}
           </div>
         </div>
       ) : null}
 
+      {!groupMode && !looseMode && selectedStudentId ? (
+        <SessionGoalRatingsField
+          studentId={selectedStudentId}
+          value={goalRatings}
+          onChange={setGoalRatings}
+          onGoalsChange={setShownGoalIds}
+          disabled={isSubmitting}
+        />
+      ) : null}
+
+      {groupMode && questions.length && groupStudentIds.length ? (
+        <div className="space-y-sm rounded-lg border border-neutral-200 bg-neutral-50 p-3">
+          <div className="text-right">
+            <h3 className="text-sm font-semibold text-foreground">התאמות אישיות (רשות)</h3>
+            <p className="text-xs text-neutral-500">שדות שיישארו ריקים יקבלו את התשובה המשותפת.</p>
+          </div>
+          {groupStudentIds.map((studentId) => {
+            const student = students.find((entry) => entry?.id === studentId);
+            const isOpen = overrideStudentId === studentId;
+            const studentOverrides = compactGroupOverrides(groupOverrides, [studentId])[studentId] || {};
+            const overrideCount = Object.keys(studentOverrides).length;
+            // A student's own answers can show or hide follow-up questions for that student
+            const overrideRules = isOpen ? evaluateQuestionRules(questions, { ...answers, ...studentOverrides }) : null;
+            return (
+              <div key={studentId} className="rounded-md border border-neutral-200 bg-white">
+                <button
+                  type="button"
+                  className="flex w-full items-center justify-between px-3 py-2 text-right text-sm"
+                  onClick={() => setOverrideStudentId(isOpen ? null : studentId)}
+                  aria-expanded={isOpen}
+                  disabled={isSubmitting}
+                >
+                  <span className="font-medium">
+                    {student?.name || 'ללא שם'}
+                    {overrideCount ? <span className="mr-2 text-xs text-primary">{overrideCount} שינויים</span> : null}
+                  </span>
+                  <ChevronDown className={cn('h-4 w-4 transition-transform duration-200', isOpen && 'rotate-180')} />
+                </button>
+                {isOpen ? (
+                  <div className="space-y-md border-t border-neutral-200 p-3">
+                    {questions
+                      .filter((question) => overrideRules.visible.has(question.key))
+                      .map((question) => (
+                        <SessionQuestionField
+                          key={`${studentId}-${question.key}`}
+                          question={{ ...question, key: `override-${studentId}-${question.key}`, required: false }}
+                          value={groupOverrides[studentId]?.[question.key]}
+                          onChange={(value) => updateOverride(studentId, question.key, value)}
+                          disabled={isSubmitting}
+                          onSelectOpenChange={onSelectOpenChange}
+                          attachmentStudentId={studentId}
+                          attachmentDate={sessionDate}
+                        />
+                      ))}
+                  </div>
+                ) : null}
+              </div>
+            );
+          })}
+        </div>
+      ) : null}
+
       {error ? (
         <div className="rounded-lg bg-red-50 p-md text-sm text-red-700 text-right" role="alert">
           {error}
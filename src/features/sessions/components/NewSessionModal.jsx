@@ -8,7 +8,25 @@ import { useOrg } from '@/org/OrgContext.jsx';
 import { useSupabase } from '@/context/SupabaseContext.jsx';
 import { authenticatedFetch } from '@/lib/api-client.js';
 import NewSessionForm, { NewSessionFormFooter } from './NewSessionForm.jsx';
-import { ensureSessionFormFallback, parseSessionFormConfig } from '@/features/sessions/utils/form-config.js';
+import { ensureSessionFormFallback, extractSessionFormVersion, parseSessionFormConfig } from '@/features/sessions/utils/form-config.js';
+import { resolveServiceFormConfig } from '@/features/sessions/utils/version-lookup.js';
+import { isDraftEmpty, isNetworkFailure } from '@/features/sessions/utils/offline-sync.js';
+import {
+  cacheSessionReference,
+  clearSessionDraft,
+  createClientSubmissionId,
+  enqueueSessionReport,
+  loadSessionDraft,
+  readSessionReference,
+  removeSessionOutboxItem,
+  saveSessionDraft,
+} from '@/features/sessions/offline/session-outbox.js';
+import {
+  SESSION_DRAFTS_CHANGED_EVENT,
+  deleteSessionDraftFromServer,
+  fetchSessionDrafts,
+  saveSessionDraftToServer,
+} from '@/features/sessions/api/session-drafts.js';
 import { normalizeMembershipRole, isAdminRole } from '@/features/students/utils/endpoints.js';
 import { useInstructors, useServices } from '@/hooks/useOrgData.js';
 
@@ -18,6 +36,10 @@ const REQUEST_STATE = Object.freeze({
   error: 'error',
 });
 
+const DRAFT_SAVE_DELAY_MS = 800;
+const SERVER_DRAFT_SAVE_DELAY_MS = 5000;
+const OFFLINE_QUEUED_MESSAGE = 'אין חיבור לרשת. הדיווח נשמר במכשיר ויישלח אוטומטית כשהחיבור יחזור.';
+
 
 /**
  * Format date as DD/MM/YYYY for display
@@ -184,6 +206,12 @@ function DateChoiceFooter({ lastReportDate, studentName, onClose, onNewReport, o
   );
 }
 
+function formatDraftTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' });
+}
+
 function SuccessFooter({ studentName, onClose, onNewReport, onNewReportSameStudent }) {
   return (
     <div className="flex flex-col gap-sm items-center">
@@ -217,6 +245,9 @@ export default function NewSessionModal({
   initialStudentId = '',
   initialStudentStatus = 'active',
   initialDate = '', // YYYY-MM-DD format
+  initialDraft = null, // Draft to load into the form (a queued report or a saved draft reopened for editing)
+  outboxItemId = null, // Queued report being edited; removed from the device queue once sent
+  initialDraftId = null, // Server draft being continued; the server deletes it once the report is saved
   onCreated,
 }) {
   const { loading: supabaseLoading } = useSupabase();
@@ -227,7 +258,8 @@ export default function NewSessionModal({
   const [students, setStudents] = useState([]);
   const [questionsState, setQuestionsState] = useState(REQUEST_STATE.idle);
   const [questionError, setQuestionError] = useState('');
-  const [questions, setQuestions] = useState([]);
+  const [formConfig, setFormConfig] = useState(null); // { value } once loaded; value is the raw session_form_config
+  const [formService, setFormService] = useState(null); // Service picked in the form; selects its questionnaire
   const [suggestions, setSuggestions] = useState({});
   const [submitState, setSubmitState] = useState(REQUEST_STATE.idle);
   const [submitError, setSubmitError] = useState('');
@@ -241,6 +273,14 @@ export default function NewSessionModal({
   const formResetRef = useRef(null); // Will hold the form's reset function
   const [showAdvancedFilters, setShowAdvancedFilters] = useState(false); // Track advanced filter visibility
   const personalFetchAbortRef = useRef(null);
+  const [draftToRestore, setDraftToRestore] = useState(null);
+  const [storedDraft, setStoredDraft] = useState(null); // Autosaved draft waiting for restore / discard
+  const draftBaselineRef = useRef(null);
+  const draftTimerRef = useRef(null);
+  const latestDraftRef = useRef(null);
+  const serverDraftIdRef = useRef(null);
+  const serverDraftTimerRef = useRef(null);
+  const latestServerDraftRef = useRef(null);
 
   // Fix for mobile: prevent Dialog close when Select is open/closing
   const openSelectCountRef = useRef(0);
@@ -250,6 +290,7 @@ export default function NewSessionModal({
   const membershipRole = normalizeMembershipRole(activeOrg?.membership?.role);
   const canAdmin = isAdminRole(membershipRole);
   const userId = user?.id || null;
+  const offlineScope = useMemo(() => ({ orgId: activeOrgId, userId }), [activeOrgId, userId]);
   
   const canFetchStudents = useMemo(() => {
     return (
@@ -385,8 +426,78 @@ export default function NewSessionModal({
     };
   }, [open, membershipRole, activeOrgId, activeOrgHasConnection, tenantClientReady, statusFilter, canAdmin]);
 
+  // Autosave: keep the latest snapshot on the device, written after a short pause in typing
+  const flushDraftSave = useCallback(() => {
+    if (draftTimerRef.current) {
+      clearTimeout(draftTimerRef.current);
+      draftTimerRef.current = null;
+    }
+    const draft = latestDraftRef.current;
+    latestDraftRef.current = null;
+    if (draft) {
+      saveSessionDraft(offlineScope, draft).catch((error) => {
+        console.warn('Failed to save session draft', error);
+      });
+    }
+  }, [offlineScope]);
+
+  // The server copy lets the report be finished on another device; it is saved less often than the local one
+  const flushServerDraftSave = useCallback(() => {
+    if (serverDraftTimerRef.current) {
+      clearTimeout(serverDraftTimerRef.current);
+      serverDraftTimerRef.current = null;
+    }
+    const draft = latestServerDraftRef.current;
+    latestServerDraftRef.current = null;
+    if (!draft || !activeOrgId) {
+      return;
+    }
+    const previousId = serverDraftIdRef.current;
+    saveSessionDraftToServer({
+      orgId: activeOrgId,
+      studentId: draft.mode === 'single' ? draft.studentId : '',
+      date: draft.date,
+      content: draft,
+    })
+      .then((saved) => {
+        serverDraftIdRef.current = saved?.id || previousId;
+        // A different id means the student or date changed, so the old slot is stale
+        if (previousId && saved?.id && saved.id !== previousId) {
+          return deleteSessionDraftFromServer({ draftId: previousId, orgId: activeOrgId });
+        }
+        return null;
+      })
+      .then(() => {
+        window.dispatchEvent(new CustomEvent(SESSION_DRAFTS_CHANGED_EVENT));
+      })
+      .catch((error) => {
+        console.warn('Failed to save session draft to the server', error);
+      });
+  }, [activeOrgId]);
+
+  const discardDraft = useCallback(() => {
+    if (draftTimerRef.current) {
+      clearTimeout(draftTimerRef.current);
+      draftTimerRef.current = null;
+    }
+    if (serverDraftTimerRef.current) {
+      clearTimeout(serverDraftTimerRef.current);
+      serverDraftTimerRef.current = null;
+    }
+    latestDraftRef.current = null;
+    latestServerDraftRef.current = null;
+    draftBaselineRef.current = null;
+    clearSessionDraft(offlineScope).catch((error) => {
+      console.warn('Failed to clear session draft', error);
+    });
+  }, [offlineScope]);
+
   useEffect(() => {
     if (!open) {
+      flushDraftSave();
+      flushServerDraftSave();
+      draftBaselineRef.current = null;
+      serverDraftIdRef.current = null;
       setSubmitState(REQUEST_STATE.idle);
       setSubmitError('');
       setSuccessState(null);
@@ -397,7 +508,7 @@ export default function NewSessionModal({
         personalFetchAbortRef.current = null;
       }
     }
-  }, [open]);
+  }, [open, flushDraftSave, flushServerDraftSave]);
 
   const loadStudents = useCallback(async (options = {}) => {
     if (!canFetchStudents) {
@@ -423,7 +534,18 @@ export default function NewSessionModal({
       }
       
       const endpoint = searchParams.toString() ? `students-list?${searchParams}` : 'students-list';
-      const payload = await authenticatedFetch(endpoint);
+      let payload;
+      try {
+        payload = await authenticatedFetch(endpoint);
+        void cacheSessionReference(offlineScope, endpoint, payload);
+      } catch (error) {
+        // Offline: fall back to the list this device loaded last time
+        const cached = isNetworkFailure(error) ? await readSessionReference(offlineScope, endpoint) : null;
+        if (!cached) {
+          throw error;
+        }
+        payload = cached;
+      }
       setStudents(Array.isArray(payload) ? payload : []);
       setStudentsState(REQUEST_STATE.idle);
     } catch (error) {
@@ -432,7 +554,7 @@ export default function NewSessionModal({
       setStudentsState(REQUEST_STATE.error);
       setStudentsError(error?.message || 'טעינת רשימת התלמידים נכשלה.');
     }
-  }, [activeOrgId, canFetchStudents, studentScope, statusFilter, canViewInactive, canAdmin]);
+  }, [activeOrgId, canFetchStudents, studentScope, statusFilter, canViewInactive, canAdmin, offlineScope]);
 
   const loadQuestions = useCallback(async () => {
     if (!open || !canFetchStudents) {
@@ -447,24 +569,33 @@ export default function NewSessionModal({
       if (activeOrgId) {
         searchParams.set('org_id', activeOrgId);
       }
-      const payload = await authenticatedFetch(`settings?${searchParams.toString()}`);
-      const entry = payload?.settings?.session_form_config ?? null;
+      let entry;
+      try {
+        const payload = await authenticatedFetch(`settings?${searchParams.toString()}`);
+        entry = payload?.settings?.session_form_config ?? null;
+        void cacheSessionReference(offlineScope, 'session_form_config', entry);
+      } catch (error) {
+        const cached = isNetworkFailure(error) ? await readSessionReference(offlineScope, 'session_form_config') : null;
+        if (!cached) {
+          throw error;
+        }
+        entry = cached;
+      }
       const settingsValue = entry && typeof entry === 'object' && Object.prototype.hasOwnProperty.call(entry, 'value') ? entry.value : entry;
-      const normalized = ensureSessionFormFallback(parseSessionFormConfig(settingsValue));
       const metadata = entry && typeof entry === 'object' && Object.prototype.hasOwnProperty.call(entry, 'metadata') ? entry.metadata : null;
       const preanswers = metadata && typeof metadata === 'object' && metadata.preconfigured_answers && typeof metadata.preconfigured_answers === 'object'
         ? metadata.preconfigured_answers
         : {};
-      setQuestions(normalized);
+      setFormConfig({ value: settingsValue });
       setSuggestions(preanswers);
       setQuestionsState(REQUEST_STATE.idle);
     } catch (error) {
       console.error('Failed to load session form configuration', error);
-      setQuestions(ensureSessionFormFallback([]));
+      setFormConfig({ value: null });
       setQuestionsState(REQUEST_STATE.error);
       setQuestionError(error?.message || 'טעינת שאלות המפגש נכשלה.');
     }
-  }, [open, canFetchStudents, activeOrgId]);
+  }, [open, canFetchStudents, activeOrgId, offlineScope]);
 
   useEffect(() => {
     if (open) {
@@ -476,12 +607,22 @@ export default function NewSessionModal({
       setInitialStatusApplied(false);
       setQuestionsState(REQUEST_STATE.idle);
       setQuestionError('');
-      setQuestions([]);
+      setFormConfig(null);
+      setFormService(null);
       setSuggestions({});
       setStudentScope('all');
     }
   }, [open, loadQuestions]);
 
+  // Services with their own questionnaire replace the default one while they are selected
+  const questions = useMemo(() => {
+    if (!formConfig) {
+      return [];
+    }
+    const { config } = resolveServiceFormConfig(formConfig.value, formService);
+    return ensureSessionFormFallback(parseSessionFormConfig(config));
+  }, [formConfig, formService]);
+
   useEffect(() => {
     if (!open || !canFetchStudents || !userId || !activeOrgId) {
       return;
@@ -591,45 +732,117 @@ export default function NewSessionModal({
     }
   }, []);
 
-  const handleSubmit = async ({ studentId, date, time, serviceContext, answers, unassignedDetails, instructorId }) => {
+  // The first snapshot after the form loads holds only defaults and becomes the baseline;
+  // snapshots that differ from it are worth keeping
+  const handleDraftChange = useCallback((snapshot) => {
+    if (successState || storedDraft) {
+      return;
+    }
+    const serialized = JSON.stringify(snapshot);
+    if (draftBaselineRef.current === null) {
+      draftBaselineRef.current = serialized;
+      return;
+    }
+    if (serialized === draftBaselineRef.current || isDraftEmpty(snapshot)) {
+      return;
+    }
+    latestDraftRef.current = snapshot;
+    latestServerDraftRef.current = snapshot;
+    if (draftTimerRef.current) {
+      clearTimeout(draftTimerRef.current);
+    }
+    if (serverDraftTimerRef.current) {
+      clearTimeout(serverDraftTimerRef.current);
+    }
+    draftTimerRef.current = setTimeout(flushDraftSave, DRAFT_SAVE_DELAY_MS);
+    serverDraftTimerRef.current = setTimeout(flushServerDraftSave, SERVER_DRAFT_SAVE_DELAY_MS);
+  }, [successState, storedDraft, flushDraftSave, flushServerDraftSave]);
+
+  // The draft's service is applied first so its answers are matched against that service's questionnaire
+  const restoreDraft = useCallback((draft) => {
+    if (draft) {
+      setFormService(draft.serviceContext?.trim() || null);
+    }
+    setDraftToRestore(draft);
+  }, []);
+
+  const handleRestoreDraft = useCallback(() => {
+    if (storedDraft?.serverId) {
+      serverDraftIdRef.current = storedDraft.serverId;
+    }
+    restoreDraft(storedDraft?.draft || null);
+    setStoredDraft(null);
+  }, [storedDraft, restoreDraft]);
+
+  // A device draft is deleted; a server draft stays in the drafts list until it is used or expires
+  const handleDiscardStoredDraft = useCallback(() => {
+    const source = storedDraft?.source;
+    setStoredDraft(null);
+    if (source !== 'server') {
+      discardDraft();
+    }
+  }, [storedDraft, discardDraft]);
+
+  // Called once a report was sent or queued: the autosaved draft and the queue entry it was reopened from are done.
+  // The server draft is removed by /api/sessions itself (draft_id), which also covers reports sent later from the queue.
+  const finishDraft = useCallback(() => {
+    discardDraft();
+    serverDraftIdRef.current = null;
+    window.dispatchEvent(new CustomEvent(SESSION_DRAFTS_CHANGED_EVENT));
+    if (outboxItemId) {
+      removeSessionOutboxItem(outboxItemId).catch((error) => {
+        console.warn('Failed to remove queued session report', error);
+      });
+    }
+  }, [discardDraft, outboxItemId]);
+
+  // No connection: keep the report on the device; useSessionOutbox sends it when the connection returns
+  const queueReport = async (body, label) => {
+    await enqueueSessionReport({
+      orgId: activeOrgId,
+      userId,
+      label,
+      body: {
+        ...body,
+        // Versions are counted per questionnaire, so the check uses the one the report's service was filled with
+        expected_form_version: extractSessionFormVersion(
+          resolveServiceFormConfig(formConfig?.value ?? null, body.service_context ?? null).config,
+        ),
+        queued_at: new Date().toISOString(),
+      },
+    });
+    finishDraft();
+    toast.info(OFFLINE_QUEUED_MESSAGE, { duration: 5000, position: 'top-center' });
+  };
+
+  const handleSubmit = async ({ studentId, studentIds, overrides, date, time, durationMinutes, serviceContext, answers, goalProgress, unassignedDetails, instructorId }) => {
     setSubmitState(REQUEST_STATE.loading);
     setSubmitError('');
 
+    if (Array.isArray(studentIds)) {
+      await handleGroupSubmit({ studentIds, overrides, date, durationMinutes, serviceContext, answers });
+      return;
+    }
+
     try {
       const body = {
         student_id: studentId,
         date,
         time,
+        ...(durationMinutes ? { duration_minutes: durationMinutes } : {}),
         service_context: serviceContext,
         content: answers,
         org_id: activeOrgId,
+        ...(goalProgress?.length ? { goal_progress: goalProgress } : {}),
         ...(unassignedDetails ? { unassigned_details: unassignedDetails } : {}),
         ...(instructorId ? { instructor_id: instructorId } : {}),
+        client_submission_id: createClientSubmissionId(),
+        ...(serverDraftIdRef.current ? { draft_id: serverDraftIdRef.current } : {}),
       };
-      const record = await authenticatedFetch('sessions', {
-        method: 'POST',
-        body,
-      });
-      
-      // Enhanced toast with longer duration for mobile visibility
-      toast.success('המפגש נשמר בהצלחה.', { 
-        duration: 2500,
-        position: 'top-center',
-      });
-      
-      // Wait for the onCreated callback to complete
-      // This ensures any data refresh in the parent component completes
-      await Promise.resolve(onCreated?.(record));
-      
-      // Dispatch global event for pages that need to refetch data
-      window.dispatchEvent(new CustomEvent('session-created', { detail: { record } }));
-      
       const isLoose = !studentId;
       const student = students.find(s => s.id === studentId);
       const studentName = isLoose ? (unassignedDetails?.name || 'תלמיד/ה') : (student?.name || 'תלמיד');
-      
-      // Show success state instead of closing, preserving loose report metadata for additional reports
-      setSuccessState({
+      const nextSuccessState = {
         studentId,
         studentName,
         date,
@@ -641,7 +854,40 @@ export default function NewSessionModal({
           looseReasonOther: unassignedDetails?.reason_other,
           looseService: serviceContext,
         }),
+      };
+
+      let record;
+      try {
+        record = await authenticatedFetch('sessions', {
+          method: 'POST',
+          body,
+        });
+      } catch (error) {
+        if (!isNetworkFailure(error) || !activeOrgId || !userId) {
+          throw error;
+        }
+        await queueReport(body, `${studentName} · ${formatDateForDisplay(date)}`);
+        setSuccessState({ ...nextSuccessState, queued: true });
+        setSubmitState(REQUEST_STATE.idle);
+        return;
+      }
+      finishDraft();
+      
+      // Enhanced toast with longer duration for mobile visibility
+      toast.success('המפגש נשמר בהצלחה.', { 
+        duration: 2500,
+        position: 'top-center',
       });
+      
+      // Wait for the onCreated callback to complete
+      // This ensures any data refresh in the parent component completes
+      await Promise.resolve(onCreated?.(record));
+      
+      // Dispatch global event for pages that need to refetch data
+      window.dispatchEvent(new CustomEvent('session-created', { detail: { record } }));
+      
+      // Show success state instead of closing, preserving loose report metadata for additional reports
+      setSuccessState(nextSuccessState);
       setSubmitState(REQUEST_STATE.idle);
     } catch (error) {
       console.error('Failed to save session record', error);
@@ -661,6 +907,91 @@ export default function NewSessionModal({
         friendly = 'השלימו פירוט עבור סיבת "אחר".';
       } else if (serverMessage === 'missing_time') {
         friendly = 'יש להזין שעה עבור דיווח לא משויך.';
+      } else if (serverMessage === 'missing_required_answers') {
+        friendly = 'יש להשלים את כל שאלות החובה לפני השמירה.';
+      } else if (serverMessage === 'invalid_goal_progress') {
+        friendly = 'אחת המטרות שדורגו כבר אינה שייכת לתלמיד. רעננו את הטופס ונסו שוב.';
+      } else if (serverMessage === 'invalid_duration') {
+        friendly = 'משך המפגש חייב להיות מספר דקות שלם בין 5 ל-480.';
+      } else if (serverMessage === 'payroll_month_locked') {
+        friendly = 'השעות של החודש הזה כבר אושרו ונעולו. פנו למנהל כדי לפתוח את החודש מחדש.';
+      }
+      setSubmitError(friendly);
+    }
+  };
+
+  // Group sessions create one record per student; the server links them with a shared group id.
+  const handleGroupSubmit = async ({ studentIds, overrides, date, durationMinutes, serviceContext, answers }) => {
+    const groupSuccessState = {
+      studentId: null,
+      studentName: `קבוצה של ${studentIds.length} תלמידים`,
+      date,
+      allowSameStudent: false,
+      isGroup: true,
+    };
+
+    try {
+      const body = {
+        student_ids: studentIds,
+        date,
+        ...(durationMinutes ? { duration_minutes: durationMinutes } : {}),
+        // Without an explicit service each student keeps their default service
+        ...(serviceContext ? { service_context: serviceContext } : {}),
+        content: answers,
+        overrides,
+        org_id: activeOrgId,
+        client_submission_id: createClientSubmissionId(),
+        ...(serverDraftIdRef.current ? { draft_id: serverDraftIdRef.current } : {}),
+      };
+
+      let result;
+      try {
+        result = await authenticatedFetch('sessions', {
+          method: 'POST',
+          body,
+        });
+      } catch (error) {
+        if (!isNetworkFailure(error) || !activeOrgId || !userId) {
+          throw error;
+        }
+        await queueReport(body, `${groupSuccessState.studentName} · ${formatDateForDisplay(date)}`);
+        setSuccessState({ ...groupSuccessState, queued: true });
+        setSubmitState(REQUEST_STATE.idle);
+        return;
+      }
+      finishDraft();
+
+      toast.success(`המפגש הקבוצתי נשמר עבור ${studentIds.length} תלמידים.`, {
+        duration: 2500,
+        position: 'top-center',
+      });
+
+      // Listeners only refresh their data, so one notification covers the whole group
+      const records = Array.isArray(result?.records) ? result.records : [];
+      await Promise.resolve(onCreated?.(records[0] || null));
+      window.dispatchEvent(new CustomEvent('session-created', { detail: { record: records[0] || null, records } }));
+
+      setSuccessState(groupSuccessState);
+      setSubmitState(REQUEST_STATE.idle);
+    } catch (error) {
+      console.error('Failed to save group session', error);
+      setSubmitState(REQUEST_STATE.error);
+      const serverMessage = error?.data?.message || error?.message || '';
+      let friendly = 'שמירת המפגש הקבוצתי נכשלה.';
+      if (serverMessage === 'student_not_assigned_to_user') {
+        friendly = 'לא ניתן לתעד: חלק מהתלמידים שנבחרו אינם משויכים אליך.';
+      } else if (serverMessage === 'student_missing_instructor') {
+        friendly = 'לא ניתן לתעד: לאחד התלמידים לא משויך מדריך פעיל.';
+      } else if (serverMessage === 'group_too_small') {
+        friendly = 'יש לבחור לפחות שני תלמידים למפגש קבוצתי.';
+      } else if (serverMessage === 'group_too_large') {
+        friendly = 'נבחרו יותר מדי תלמידים למפגש קבוצתי אחד.';
+      } else if (serverMessage === 'missing_required_answers') {
+        friendly = 'יש להשלים את כל שאלות החובה עבור כל תלמידי הקבוצה.';
+      } else if (serverMessage === 'invalid_duration') {
+        friendly = 'משך המפגש חייב להיות מספר דקות שלם בין 5 ל-480.';
+      } else if (serverMessage === 'payroll_month_locked') {
+        friendly = 'השעות של החודש הזה כבר אושרו ונעולו. פנו למנהל כדי לפתוח את החודש מחדש.';
       }
       setSubmitError(friendly);
     }
@@ -752,10 +1083,54 @@ export default function NewSessionModal({
   const isLoadingStudents = studentsState === REQUEST_STATE.loading;
   const isLoadingQuestions = questionsState === REQUEST_STATE.loading;
   const showLoading = isLoadingStudents || isLoadingQuestions;
+  const formReady = canFetchStudents && !showLoading && studentsState !== REQUEST_STATE.error;
+
+  // Once the form is on screen: load the queued report handed in, or offer the autosaved draft
+  const draftCheckedRef = useRef(false);
+  useEffect(() => {
+    if (!open) {
+      draftCheckedRef.current = false;
+      setDraftToRestore(null);
+      setStoredDraft(null);
+      return;
+    }
+    if (!formReady || draftCheckedRef.current) {
+      return;
+    }
+    draftCheckedRef.current = true;
+    if (initialDraft) {
+      serverDraftIdRef.current = initialDraftId;
+      restoreDraft(initialDraft);
+      return;
+    }
+
+    // This device's draft first; otherwise the latest one saved from any device
+    const findStoredDraft = async () => {
+      const local = await loadSessionDraft(offlineScope).catch(() => null);
+      if (local && !isDraftEmpty(local.draft)) {
+        return { ...local, source: 'device' };
+      }
+      const remote = await fetchSessionDrafts({ orgId: activeOrgId, studentId: initialStudentId || undefined });
+      const latest = Array.isArray(remote) ? remote.find((entry) => !isDraftEmpty(entry?.content)) : null;
+      return latest
+        ? { draft: latest.content, savedAt: latest.updated_at, source: 'server', serverId: latest.id }
+        : null;
+    };
+
+    findStoredDraft()
+      .then((record) => {
+        if (record) {
+          setStoredDraft(record);
+        }
+      })
+      .catch((error) => {
+        console.warn('Failed to load session draft', error);
+      });
+  }, [open, formReady, initialDraft, initialDraftId, restoreDraft, initialStudentId, activeOrgId, offlineScope]);
 
   const [isFormValid, setIsFormValid] = useState(false);
 
-  const footer = canFetchStudents && !showLoading && studentsState !== REQUEST_STATE.error ? (
+  const footer = formReady ? (
     successState ? (
       <DateChoiceFooter
         lastReportDate={successState.date}
@@ -763,6 +1138,7 @@ export default function NewSessionModal({
         onClose={handleCloseAfterSuccess}
         onNewReport={handleNewReport}
         onNewReportSameStudent={handleNewReportSameStudent}
+        allowSameStudent={!successState.isGroup}
       />
     ) : (
       <NewSessionFormFooter
@@ -802,39 +1178,60 @@ export default function NewSessionModal({
             {studentsError || 'טעינת רשימת התלמידים נכשלה.'}
           </div>
         ) : (
-          <NewSessionForm
-            students={students}
-            questions={questions}
-            suggestions={suggestions}
-            personalPreanswers={personalPreanswers}
-            onSavePersonalPreanswers={handleSavePersonalPreanswers}
-            canEditPersonalPreanswers={canEditPersonalPreanswers}
-            preanswersCapLimit={preanswersCapLimit}
-            services={services}
-            instructors={instructors}
-            canFilterByInstructor={isAdminRole(membershipRole)}
-            userIsInstructor={userIsInstructor}
-            studentScope={studentScope}
-            onScopeChange={(next) => setStudentScope(next)}
-            statusFilter={statusFilter}
-            onStatusFilterChange={setStatusFilter}
-            canViewInactive={canViewInactive}
-            visibilityLoaded={visibilityLoaded}
-            initialStudentId={initialStudentId}
-            initialDate={initialDate}
-            isLoadingStudents={isLoadingStudents}
-            onSubmit={handleSubmit}
-            onCancel={onClose}
-            isSubmitting={submitState === REQUEST_STATE.loading}
-            error={submitError || (questionsState === REQUEST_STATE.error ? questionError : '')}
-            renderFooterOutside={true}
-            onFormValidityChange={setIsFormValid}
-            onSelectOpenChange={handleSelectOpenChange}
-            formResetRef={formResetRef}
-            successState={successState}
-            showAdvancedFilters={showAdvancedFilters}
-            onShowAdvancedFiltersChange={setShowAdvancedFilters}
-          />
+          <>
+            {storedDraft ? (
+              <div className="mb-md flex flex-col gap-sm rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800 sm:flex-row sm:items-center sm:justify-between" role="status">
+                <span>
+                  {storedDraft.source === 'server' ? 'נמצאה טיוטת דיווח שמורה בחשבון שלך' : 'נמצאה טיוטת דיווח שלא נשלחה'}
+                  {formatDraftTimestamp(storedDraft.savedAt) ? ` (נשמרה ${formatDraftTimestamp(storedDraft.savedAt)})` : ''}.
+                </span>
+                <div className="flex gap-xs">
+                  <Button type="button" size="sm" onClick={handleRestoreDraft}>
+                    שחזור הטיוטה
+                  </Button>
+                  <Button type="button" size="sm" variant="outline" onClick={handleDiscardStoredDraft}>
+                    {storedDraft.source === 'server' ? 'התחלה מחדש' : 'מחיקה'}
+                  </Button>
+                </div>
+              </div>
+            ) : null}
+            <NewSessionForm
+              students={students}
+              questions={questions}
+              suggestions={suggestions}
+              personalPreanswers={personalPreanswers}
+              onSavePersonalPreanswers={handleSavePersonalPreanswers}
+              canEditPersonalPreanswers={canEditPersonalPreanswers}
+              preanswersCapLimit={preanswersCapLimit}
+              services={services}
+              instructors={instructors}
+              canFilterByInstructor={isAdminRole(membershipRole)}
+              userIsInstructor={userIsInstructor}
+              studentScope={studentScope}
+              onScopeChange={(next) => setStudentScope(next)}
+              statusFilter={statusFilter}
+              onStatusFilterChange={setStatusFilter}
+              canViewInactive={canViewInactive}
+              visibilityLoaded={visibilityLoaded}
+              initialStudentId={initialStudentId}
+              initialDate={initialDate}
+              isLoadingStudents={isLoadingStudents}
+              onSubmit={handleSubmit}
+              onCancel={onClose}
+              isSubmitting={submitState === REQUEST_STATE.loading}
+              error={submitError || (questionsState === REQUEST_STATE.error ? questionError : '')}
+              renderFooterOutside={true}
+              onFormValidityChange={setIsFormValid}
+              onSelectOpenChange={handleSelectOpenChange}
+              formResetRef={formResetRef}
+              successState={successState}
+              showAdvancedFilters={showAdvancedFilters}
+              onShowAdvancedFiltersChange={setShowAdvancedFilters}
+              onDraftChange={handleDraftChange}
+              draftToRestore={draftToRestore}
+              onServiceContextChange={setFormService}
+            />
+          </>
         )}
       </DialogContent>
     </Dialog>
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { CloudOff, AlertTriangle, RefreshCw, Loader2 } from 'lucide-react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { useSessionModal } from '@/features/sessions/context/SessionModalContext.jsx';
+import { useSessionOutbox } from '@/features/sessions/hooks/useSessionOutbox.js';
+import { OUTBOX_STATUS, draftFromSessionBody } from '@/features/sessions/utils/offline-sync.js';
+
+function formatQueuedAt(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Shows session reports that are saved on this device and not yet sent,
+ * and lets the instructor resolve the ones the server rejected.
+ */
+export default function OfflineQueueBanner() {
+  const { items, pendingCount, conflictCount, syncing, syncNow, removeItem, retryItem } = useSessionOutbox();
+  const { openSessionModal } = useSessionModal();
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  if (!items.length) {
+    return null;
+  }
+
+  const hasConflicts = conflictCount > 0;
+  const summary = [
+    pendingCount ? `${pendingCount} דיווחים ממתינים לשליחה` : null,
+    conflictCount ? `${conflictCount} דיווחים דורשים טיפול` : null,
+  ].filter(Boolean).join(' · ');
+
+  const handleEdit = (item) => {
+    setDialogOpen(false);
+    openSessionModal({ draft: draftFromSessionBody(item.body), outboxItemId: item.id });
+  };
+
+  return (
+    <>
+      <div
+        className={`mt-4 mr-6 ml-6 flex flex-wrap items-center gap-3 rounded-2xl border px-4 py-2 text-sm ${hasConflicts ? 'border-red-200 bg-red-50 text-red-800' : 'border-amber-200 bg-amber-50 text-amber-800'}`}
+        role="status"
+      >
+        {hasConflicts
+          ? <AlertTriangle className="h-4 w-4" aria-hidden="true" />
+          : <CloudOff className="h-4 w-4" aria-hidden="true" />}
+        <p className="font-medium">{summary}</p>
+        <div className="mr-auto flex gap-xs">
+          <Button type="button" size="sm" variant="outline" onClick={() => void syncNow()} disabled={syncing}>
+            {syncing ? <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" /> : <RefreshCw className="h-4 w-4" aria-hidden="true" />}
+            שליחה עכשיו
+          </Button>
+          <Button type="button" size="sm" variant="outline" onClick={() => setDialogOpen(true)}>
+            פרטים
+          </Button>
+        </div>
+      </div>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="sm:max-w-lg">
+          <DialogHeader>
+            <DialogTitle>דיווחים שנשמרו במכשיר</DialogTitle>
+            <DialogDescription>
+              דיווחים אלה נשמרו בזמן שלא היה חיבור לרשת ויישלחו אוטומטית כשהחיבור יחזור.
+            </DialogDescription>
+          </DialogHeader>
+          <ul className="space-y-sm" dir="rtl">
+            {items.map((item) => {
+              const isConflict = item.status === OUTBOX_STATUS.conflict;
+              return (
+                <li key={item.id} className="rounded-lg border border-border p-3 text-sm">
+                  <div className="flex flex-wrap items-center justify-between gap-xs">
+                    <span className="font-semibold text-foreground">{item.label || 'דיווח מפגש'}</span>
+                    <span className="text-xs text-neutral-500">נשמר {formatQueuedAt(item.createdAt)}</span>
+                  </div>
+                  {isConflict ? (
+                    <p className="mt-xs text-red-700">{item.conflict?.message}</p>
+                  ) : (
+                    <p className="mt-xs text-neutral-600">ממתין לשליחה</p>
+                  )}
+                  {isConflict ? (
+                    <div className="mt-sm flex flex-wrap gap-xs">
+                      {item.conflict?.code === 'form_version_changed' ? (
+                        <Button type="button" size="sm" onClick={() => void retryItem(item.id, { acceptCurrentFormVersion: true })}>
+                          שליחה עם השאלון הנוכחי
+                        </Button>
+                      ) : (
+                        <Button type="button" size="sm" onClick={() => void retryItem(item.id)}>
+                          נסו שוב
+                        </Button>
+                      )}
+                      <Button type="button" size="sm" variant="outline" onClick={() => handleEdit(item)}>
+                        פתיחה לעריכה
+                      </Button>
+                      <Button type="button" size="sm" variant="ghost" className="text-red-700" onClick={() => void removeItem(item.id)}>
+                        מחיקה
+                      </Button>
+                    </div>
+                  ) : null}
+                </li>
+              );
+            })}
+          </ul>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -2,6 +2,7 @@ import React from 'react';
 import { Label } from '@/components/ui/label';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
+import { Eraser, Paperclip } from 'lucide-react';
 import { cn } from '@/lib/utils.js';
 
 /**
@@ -167,6 +168,85 @@ export default function QuestionFieldPreview({
     );
   }
 
+  if (type === 'checkbox') {
+    const selected = new Set(options.slice(0, 2).map((option) => option.value)); // show sample selections
+    return (
+      <div className="space-y-xs" dir="rtl">
+        <Label className="block text-right">
+          {label}
+          {required ? ' *' : ''}
+        </Label>
+        <div className="space-y-2" role="group" aria-required={required}>
+          {options.map((option) => {
+            const checked = selected.has(option.value);
+            return (
+              <label
+                key={option.value}
+                className={cn(
+                  'flex cursor-not-allowed items-center gap-xs rounded-lg border px-sm py-xs text-sm transition-all',
+                  checked
+                    ? 'border-primary bg-primary/10 text-primary'
+                    : 'border-border bg-white text-foreground'
+                )}
+                aria-disabled="true"
+              >
+                <input type="checkbox" value={option.value} defaultChecked={checked} disabled className="h-4 w-4" />
+                <span>{option.label}</span>
+              </label>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  if (type === 'time') {
+    return (
+      <div className="space-y-xs" dir="rtl">
+        <Label htmlFor={id} className="block text-right">
+          {label}
+          {required ? ' *' : ''}
+        </Label>
+        <Input id={id} type="time" disabled className="w-40" />
+      </div>
+    );
+  }
+
+  if (type === 'file') {
+    return (
+      <div className="space-y-xs" dir="rtl">
+        <Label className="block text-right">
+          {label}
+          {required ? ' *' : ''}
+        </Label>
+        <span className="inline-flex cursor-not-allowed items-center gap-xs rounded-lg border border-border bg-white px-sm py-xs text-sm text-neutral-500">
+          <Paperclip className="h-4 w-4" aria-hidden="true" />
+          צרף קובץ
+        </span>
+        <p className="text-xs text-neutral-500">הקבצים נשמרים גם במסמכי התלמיד.</p>
+      </div>
+    );
+  }
+
+  if (type === 'signature') {
+    return (
+      <div className="space-y-xs" dir="rtl">
+        <Label className="block text-right">
+          {label}
+          {required ? ' *' : ''}
+        </Label>
+        <div className="h-24 w-full cursor-not-allowed rounded-lg border-2 border-dashed border-neutral-300 bg-white" />
+        <div className="flex items-center justify-between text-xs text-neutral-500">
+          <span>חתמו בתוך המסגרת בעזרת האצבע או העכבר.</span>
+          <span className="inline-flex items-center gap-1">
+            <Eraser className="h-3 w-3" aria-hidden="true" />
+            נקה חתימה
+          </span>
+        </div>
+      </div>
+    );
+  }
+
   // Fallback: text
   return (
     <div className="space-y-xs" dir="rtl">
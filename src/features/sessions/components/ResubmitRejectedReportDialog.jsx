@@ -18,6 +18,7 @@ import { useAuth } from '@/auth/AuthContext.jsx';
 import { authenticatedFetch } from '@/lib/api-client.js';
 import { fetchSettingsValue } from '@/features/settings/api/settings.js';
 import { parseSessionFormConfig } from '@/features/sessions/utils/form-config.js';
+import { resolveServiceFormConfig } from '@/features/sessions/utils/version-lookup.js';
 
 const REASON_OPTIONS = [
   { value: 'substitute', label: 'מחליף זמני' },
@@ -103,7 +104,7 @@ export default function ResubmitRejectedReportDialog({
   const { activeOrg } = useOrg();
   const { session } = useAuth();
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [questions, setQuestions] = useState([]);
+  const [formConfig, setFormConfig] = useState(null);
   const [loadingQuestions, setLoadingQuestions] = useState(false);
   
   const unassignedDetails = useMemo(() => report?.metadata?.unassigned_details || {}, [report]);
@@ -128,6 +129,12 @@ export default function ResubmitRejectedReportDialog({
   
   const [answers, setAnswers] = useState({});
 
+  // The resubmitted report is filled with the questionnaire of the service it is sent with
+  const questions = useMemo(() => {
+    const { config } = resolveServiceFormConfig(formConfig, formData.service);
+    return parseSessionFormConfig(config) || [];
+  }, [formConfig, formData.service]);
+
   // Load questions from settings
   useEffect(() => {
     if (!isOpen || !activeOrg?.id) return;
@@ -137,11 +144,10 @@ export default function ResubmitRejectedReportDialog({
       try {
         const result = await fetchSettingsValue({ key: 'session_form_config', orgId: activeOrg.id, session });
         const config = result?.value || result; // Handle both wrapped and unwrapped responses
-        const parsed = parseSessionFormConfig(config);
-        setQuestions(parsed || []);
+        setFormConfig(config ?? null);
       } catch (error) {
         console.error('Failed to load questions', error);
-        setQuestions([]);
+        setFormConfig(null);
       } finally {
         setLoadingQuestions(false);
       }
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2, Paperclip } from 'lucide-react';
+import { useOrg } from '@/org/OrgContext.jsx';
+import { fetchSessionAttachmentUrl } from '../api/session-attachments.js';
+import { formatAnswerText, isSignatureAnswer, readAttachmentAnswers } from '../utils/answer-format.js';
+
+function AttachmentLink({ attachment }) {
+  const { activeOrgId } = useOrg();
+  const [isOpening, setIsOpening] = useState(false);
+
+  const handleOpen = async () => {
+    if (!activeOrgId || isOpening) {
+      return;
+    }
+    // Opened synchronously so popup blockers accept it, then pointed at the signed URL
+    const preview = window.open('', '_blank');
+    setIsOpening(true);
+    try {
+      const url = await fetchSessionAttachmentUrl({ orgId: activeOrgId, documentId: attachment.document_id });
+      if (!url) {
+        throw new Error('missing_url');
+      }
+      if (preview) {
+        preview.location.href = url;
+      } else {
+        window.location.assign(url);
+      }
+    } catch (error) {
+      console.error('Failed to open session attachment', error);
+      preview?.close();
+      toast.error('פתיחת הקובץ נכשלה. ייתכן שהמסמך נמחק ממסמכי התלמיד.');
+    } finally {
+      setIsOpening(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleOpen}
+      className="inline-flex items-center gap-1 text-primary underline-offset-2 hover:underline"
+    >
+      {isOpening ? (
+        <Loader2 className="h-3 w-3 animate-spin" aria-hidden="true" />
+      ) : (
+        <Paperclip className="h-3 w-3" aria-hidden="true" />
+      )}
+      {attachment.name}
+    </button>
+  );
+}
+
+/**
+ * Read-only rendering of one saved answer: signatures as images, attachments as links
+ * to the student's documents and multi-select answers by their option labels.
+ */
+export default function SessionAnswerValue({ question = null, value }) {
+  if (isSignatureAnswer(value)) {
+    return (
+      <img
+        src={value}
+        alt="חתימה"
+        className="h-20 w-auto max-w-full rounded border border-neutral-200 bg-white"
+      />
+    );
+  }
+
+  const attachments = readAttachmentAnswers(value);
+  if (attachments.length) {
+    return (
+      <span className="flex flex-wrap gap-x-md gap-y-1">
+        {attachments.map((attachment) => (
+          <AttachmentLink key={attachment.document_id} attachment={attachment} />
+        ))}
+      </span>
+    );
+  }
+
+  return formatAnswerText(question, value);
+}
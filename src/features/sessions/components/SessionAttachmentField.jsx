@@ -0,0 +1,130 @@
+import React, { useRef, useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2, Paperclip, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useOrg } from '@/org/OrgContext.jsx';
+import { uploadSessionAttachment } from '../api/session-attachments.js';
+import { readAttachmentAnswers } from '../utils/answer-format.js';
+
+const ACCEPTED_FILE_TYPES = 'image/*,application/pdf,.doc,.docx,.xls,.xlsx';
+
+const UPLOAD_ERROR_MESSAGES = {
+  file_too_large: 'הקובץ גדול מדי. הגודל המרבי הוא 10MB.',
+  unsupported_file_type: 'סוג הקובץ אינו נתמך. ניתן לצרף תמונות, PDF וקבצי Office.',
+  storage_not_configured: 'לא הוגדר אחסון קבצים לארגון. פנו למנהל המערכת.',
+  storage_disconnected: 'האחסון של הארגון מנותק. פנו למנהל המערכת.',
+};
+
+/**
+ * File question: each file is uploaded right away as a document of the student,
+ * and the answer keeps `{ document_id, name, type }` links to those documents.
+ */
+export default function SessionAttachmentField({
+  id,
+  value,
+  onChange,
+  disabled = false,
+  studentId,
+  date,
+  unavailableMessage = '',
+}) {
+  const { activeOrgId } = useOrg();
+  const inputRef = useRef(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const attachments = readAttachmentAnswers(value);
+  const canUpload = Boolean(studentId && activeOrgId);
+
+  const handleFilesSelected = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (!files.length || !canUpload) {
+      return;
+    }
+
+    setIsUploading(true);
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        try {
+          uploaded.push(await uploadSessionAttachment({ orgId: activeOrgId, studentId, file, date }));
+        } catch (error) {
+          console.error('Failed to upload session attachment', error);
+          toast.error(UPLOAD_ERROR_MESSAGES[error?.code] || `העלאת הקובץ ${file.name} נכשלה.`);
+        }
+      }
+    } finally {
+      setIsUploading(false);
+    }
+
+    if (uploaded.length) {
+      onChange?.([...attachments, ...uploaded]);
+    }
+  };
+
+  const handleRemove = (documentId) => {
+    const remaining = attachments.filter((attachment) => attachment.document_id !== documentId);
+    onChange?.(remaining);
+  };
+
+  if (!canUpload) {
+    return (
+      <p className="rounded-lg border border-dashed border-neutral-300 bg-neutral-50 p-sm text-xs text-neutral-600">
+        {unavailableMessage || 'יש לבחור תלמיד כדי לצרף קבצים.'}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-xs">
+      <input
+        id={id}
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={ACCEPTED_FILE_TYPES}
+        className="sr-only"
+        onChange={handleFilesSelected}
+        disabled={disabled || isUploading}
+      />
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled || isUploading}
+        className="gap-xs"
+      >
+        {isUploading ? (
+          <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />
+        ) : (
+          <Paperclip className="h-4 w-4" aria-hidden="true" />
+        )}
+        {isUploading ? 'מעלה...' : 'צרף קובץ'}
+      </Button>
+      {attachments.length ? (
+        <ul className="space-y-1">
+          {attachments.map((attachment) => (
+            <li
+              key={attachment.document_id}
+              className="flex items-center justify-between gap-sm rounded-lg border border-neutral-200 bg-white px-sm py-1 text-sm"
+            >
+              <span className="truncate">{attachment.name}</span>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => handleRemove(attachment.document_id)}
+                disabled={disabled}
+                className="h-7 w-7 text-red-600 hover:bg-red-50"
+                aria-label={`הסר את ${attachment.name}`}
+              >
+                <X className="h-4 w-4" aria-hidden="true" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      <p className="text-xs text-neutral-500">הקבצים נשמרים גם במסמכי התלמיד. הסרה מהדיווח אינה מוחקת את המסמך.</p>
+    </div>
+  );
+}
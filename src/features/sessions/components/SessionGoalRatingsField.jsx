@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2, Target } from 'lucide-react';
+import { useOrg } from '@/org/OrgContext.jsx';
+import { cn } from '@/lib/utils.js';
+import { listStudentGoals } from '@/api/student-goals.js';
+import { GOAL_RATING_MAX, GOAL_RATING_MIN, GOAL_RATING_VALUES, isGoalActive } from '@/features/students/utils/goals.js';
+
+/**
+ * Progress ratings on the student's active goals. Rating is optional per goal;
+ * clicking the selected rating again clears it.
+ * `onGoalsChange` receives the ids of the goals shown, so stale ratings are never sent.
+ */
+export default function SessionGoalRatingsField({ studentId, value = {}, onChange, onGoalsChange, disabled = false }) {
+  const { activeOrgId } = useOrg();
+  const [goals, setGoals] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  useEffect(() => {
+    if (!studentId || !activeOrgId) {
+      setGoals([]);
+      setLoadFailed(false);
+      onGoalsChange?.([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    setLoadFailed(false);
+    listStudentGoals({ orgId: activeOrgId, studentId, signal: controller.signal })
+      .then((rows) => {
+        const activeGoals = (Array.isArray(rows) ? rows : []).filter(isGoalActive);
+        setGoals(activeGoals);
+        onGoalsChange?.(activeGoals.map((goal) => goal.id));
+      })
+      .catch((error) => {
+        if (error?.name === 'AbortError') {
+          return;
+        }
+        // Offline or unavailable: the report is still saved, just without goal ratings
+        console.warn('Failed to load student goals', error);
+        setGoals([]);
+        setLoadFailed(true);
+        onGoalsChange?.([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [studentId, activeOrgId, onGoalsChange]);
+
+  if (!studentId) {
+    return null;
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center gap-xs text-xs text-neutral-500" role="status">
+        <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />
+        טוען מטרות...
+      </div>
+    );
+  }
+
+  if (loadFailed) {
+    return <p className="text-xs text-neutral-500">לא ניתן לטעון כעת את מטרות התלמיד. הדיווח יישמר ללא דירוג התקדמות.</p>;
+  }
+
+  if (!goals.length) {
+    return null;
+  }
+
+  const handleSelect = (goalId, rating) => {
+    const next = { ...value };
+    if (Number(next[goalId]) === rating) {
+      delete next[goalId];
+    } else {
+      next[goalId] = rating;
+    }
+    onChange?.(next);
+  };
+
+  return (
+    <div className="space-y-sm">
+      <div className="text-right">
+        <h3 className="text-base font-semibold text-foreground">התקדמות במטרות</h3>
+        <p className="text-xs text-neutral-500">
+          דרגו רק מטרות שעבדתם עליהן במפגש ({GOAL_RATING_MIN} = רחוק מהיעד, {GOAL_RATING_MAX} = היעד הושג).
+        </p>
+      </div>
+      <div className="space-y-sm">
+        {goals.map((goal) => (
+          <div key={goal.id} className="space-y-xs rounded-lg border border-neutral-200 bg-white p-sm">
+            <div className="flex items-start gap-xs text-sm">
+              <Target className="mt-0.5 h-4 w-4 shrink-0 text-primary" aria-hidden="true" />
+              <div>
+                <div className="font-medium text-foreground">{goal.title}</div>
+                {goal.target_metric ? <div className="text-xs text-neutral-500">יעד: {goal.target_metric}</div> : null}
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2" role="radiogroup" aria-label={`דירוג התקדמות: ${goal.title}`}>
+              {GOAL_RATING_VALUES.map((rating) => {
+                const checked = Number(value?.[goal.id]) === rating;
+                return (
+                  <button
+                    key={rating}
+                    type="button"
+                    role="radio"
+                    aria-checked={checked}
+                    onClick={() => handleSelect(goal.id, rating)}
+                    disabled={disabled}
+                    className={cn(
+                      'h-9 w-9 rounded-lg border-2 text-sm font-medium shadow-sm transition-all',
+                      checked
+                        ? 'border-primary bg-primary text-white shadow-md'
+                        : 'border-neutral-300 bg-white text-foreground hover:border-primary/50 hover:bg-primary/5',
+                    )}
+                  >
+                    {rating}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
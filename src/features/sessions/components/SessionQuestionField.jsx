@@ -0,0 +1,433 @@
+import React from 'react';
+import { ListChecks } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { cn } from '@/lib/utils.js';
+import SessionAttachmentField from './SessionAttachmentField.jsx';
+import SignaturePadField from './SignaturePadField.jsx';
+import { isSignatureAnswer, readAttachmentAnswers } from '../utils/answer-format.js';
+
+// Checkbox, file and signature answers have no native input to carry `required`,
+// so this hidden input blocks form submission until the answer is filled.
+function RequiredAnswerInput({ required, answered }) {
+  if (!required) {
+    return null;
+  }
+  return (
+    <input
+      tabIndex={-1}
+      aria-hidden="true"
+      className="sr-only"
+      required
+      value={answered ? 'answered' : ''}
+      onChange={() => {}}
+    />
+  );
+}
+
+/**
+ * Interactive renderer for a single session form question.
+ * Shared by the new-session form and the edit dialog so both stay visually identical.
+ */
+export default function SessionQuestionField({
+  question,
+  value,
+  onChange,
+  disabled = false,
+  onSelectOpenChange,
+  showPreanswersButton = false,
+  showPreanswersHelp = false,
+  onOpenPreanswers,
+  attachmentStudentId = null,
+  attachmentDate = null,
+  attachmentUnavailableMessage = '',
+}) {
+  const questionId = `question-${question.key}`;
+  const questionOptions = Array.isArray(question.options)
+    ? question.options
+      .map((option) => {
+        const value = typeof option?.value === 'string' ? option.value.trim() : '';
+        const label = typeof option?.label === 'string' ? option.label.trim() : value;
+        if (!value || !label) {
+          return null;
+        }
+        return { value, label };
+      })
+      .filter(Boolean)
+    : [];
+  const required = Boolean(question.required);
+  const placeholder = typeof question.placeholder === 'string' ? question.placeholder : '';
+  const answerValue = value;
+
+  if (question.type === 'textarea') {
+    return (
+      <div className="space-y-xs">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <div className="relative">
+          <Textarea
+            id={questionId}
+            rows={4}
+            value={answerValue ?? ''}
+            onChange={(e) => onChange?.(e.target.value)}
+            disabled={disabled}
+            placeholder={placeholder}
+            required={required}
+            className={showPreanswersButton ? 'pl-12' : ''}
+          />
+          {showPreanswersButton && (
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              className="absolute left-1 top-1 h-8 px-2"
+              onClick={() => onOpenPreanswers?.(question.key)}
+              disabled={disabled}
+              title="בחר תשובה מוכנה"
+            >
+              <ListChecks className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+        {showPreanswersHelp && (
+          <p className="text-xs text-neutral-500 text-right">
+            אין תשובות מוכנות לשאלה זו. בקשו ממנהלי המערכת להגדיר תשובות מוכנות.
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  if (question.type === 'text') {
+    return (
+      <div className="space-y-xs">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <div className="relative">
+          <Input
+            id={questionId}
+            value={answerValue ?? ''}
+            onChange={(e) => onChange?.(e.target.value)}
+            disabled={disabled}
+            placeholder={placeholder}
+            required={required}
+            className={showPreanswersButton ? 'pl-12' : ''}
+          />
+          {showPreanswersButton && (
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              className="absolute left-1 top-1/2 -translate-y-1/2 h-8 px-2"
+              onClick={() => onOpenPreanswers?.(question.key)}
+              disabled={disabled}
+              title="בחר תשובה מוכנה"
+            >
+              <ListChecks className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+        {showPreanswersHelp && (
+          <p className="text-xs text-neutral-500 text-right">
+            אין תשובות מוכנות לשאלה זו. בקשו ממנהלי המערכת להגדיר תשובות מוכנות.
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  if (question.type === 'number') {
+    return (
+      <div className="space-y-xs">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <Input
+          id={questionId}
+          type="number"
+          value={answerValue ?? ''}
+          onChange={(e) => onChange?.(e.target.value)}
+          disabled={disabled}
+          placeholder={placeholder}
+          required={required}
+        />
+      </div>
+    );
+  }
+
+  if (question.type === 'date') {
+    return (
+      <div className="space-y-xs">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <Input
+          id={questionId}
+          type="date"
+          value={answerValue ?? ''}
+          onChange={(e) => onChange?.(e.target.value)}
+          disabled={disabled}
+          required={required}
+        />
+      </div>
+    );
+  }
+
+  if (question.type === 'select') {
+    return (
+      <div className="space-y-xs">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <Select
+          value={answerValue ?? ''}
+          onValueChange={(nextValue) => onChange?.(nextValue)}
+          onOpenChange={onSelectOpenChange}
+          disabled={disabled || questionOptions.length === 0}
+          required={required}
+        >
+          <SelectTrigger id={questionId} className="w-full">
+            <SelectValue placeholder="בחרו אפשרות" />
+          </SelectTrigger>
+          <SelectContent className="max-h-[300px]">
+            {questionOptions.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {questionOptions.length === 0 ? (
+          <p className="text-xs text-neutral-500">אין אפשרויות זמינות לשאלה זו.</p>
+        ) : null}
+      </div>
+    );
+  }
+
+  if (question.type === 'radio' || question.type === 'buttons') {
+    const isButtonStyle = question.type === 'buttons';
+    return (
+      <div className="space-y-xs">
+        <Label>
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <div 
+          className={cn(
+            'gap-2',
+            isButtonStyle ? 'flex flex-wrap' : 'space-y-2'
+          )} 
+          role="radiogroup" 
+          aria-required={required}
+        >
+          {questionOptions.length === 0 ? (
+            <p className="text-xs text-neutral-500">אין אפשרויות זמינות לשאלה זו.</p>
+          ) : null}
+          {questionOptions.map((option, optionIndex) => {
+            const checked = answerValue === option.value;
+            const labelClass = cn(
+              'flex items-center gap-xs text-sm transition-all',
+              isButtonStyle
+                ? cn(
+                    // Button style: hide radio, make whole area clickable
+                    'cursor-pointer rounded-lg border-2 px-md py-sm font-medium shadow-sm hover:shadow-md',
+                    checked
+                      ? 'border-primary bg-primary text-white shadow-md'
+                      : 'border-neutral-300 bg-white text-foreground hover:border-primary/50 hover:bg-primary/5'
+                  )
+                : cn(
+                    // Traditional radio style: visible radio button
+                    'cursor-pointer rounded-lg border px-sm py-xs',
+                    checked
+                      ? 'border-primary bg-primary/10 text-primary'
+                      : 'border-border bg-white text-foreground hover:bg-neutral-50'
+                  )
+            );
+            return (
+              <label key={option.value} className={labelClass}>
+                <input
+                  type="radio"
+                  name={question.key}
+                  value={option.value}
+                  checked={checked}
+                  onChange={() => onChange?.(option.value)}
+                  required={required && optionIndex === 0}
+                  disabled={disabled}
+                  className={cn(
+                    'h-4 w-4',
+                    isButtonStyle && 'sr-only' // Hide radio button for button style
+                  )}
+                />
+                <span>{option.label}</span>
+              </label>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  if (question.type === 'scale') {
+    const min = typeof question?.range?.min === 'number' ? question.range.min : 0;
+    const max = typeof question?.range?.max === 'number' ? question.range.max : 5;
+    const step = typeof question?.range?.step === 'number' && question.range.step > 0 ? question.range.step : 1;
+    const sliderValue = answerValue !== undefined && answerValue !== ''
+      ? Number(answerValue)
+      : min;
+    return (
+      <div className="space-y-2">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <div className="flex items-center gap-sm">
+          <span className="text-xs text-neutral-500">{min}</span>
+          <input
+            id={questionId}
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={sliderValue}
+            onChange={(event) => onChange?.(event.target.value)}
+            disabled={disabled}
+            className="flex-1"
+          />
+          <span className="text-xs text-neutral-500">{max}</span>
+        </div>
+        <div className="text-xs text-neutral-600">ערך שנבחר: {sliderValue}</div>
+      </div>
+    );
+  }
+
+  if (question.type === 'checkbox') {
+    const selectedValues = Array.isArray(answerValue) ? answerValue : [];
+    const toggleOption = (optionValue, checked) => {
+      const nextValues = checked
+        ? [...selectedValues.filter((entry) => entry !== optionValue), optionValue]
+        : selectedValues.filter((entry) => entry !== optionValue);
+      // Keep questionnaire order regardless of click order
+      onChange?.(questionOptions.map((option) => option.value).filter((entry) => nextValues.includes(entry)));
+    };
+    return (
+      <div className="space-y-xs">
+        <Label>
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <div className="space-y-2" role="group" aria-required={required}>
+          {questionOptions.length === 0 ? (
+            <p className="text-xs text-neutral-500">אין אפשרויות זמינות לשאלה זו.</p>
+          ) : null}
+          {questionOptions.map((option) => {
+            const checked = selectedValues.includes(option.value);
+            return (
+              <label
+                key={option.value}
+                className={cn(
+                  'flex cursor-pointer items-center gap-xs rounded-lg border px-sm py-xs text-sm transition-all',
+                  checked
+                    ? 'border-primary bg-primary/10 text-primary'
+                    : 'border-border bg-white text-foreground hover:bg-neutral-50'
+                )}
+              >
+                <input
+                  type="checkbox"
+                  name={question.key}
+                  value={option.value}
+                  checked={checked}
+                  onChange={(event) => toggleOption(option.value, event.target.checked)}
+                  disabled={disabled}
+                  className="h-4 w-4"
+                />
+                <span>{option.label}</span>
+              </label>
+            );
+          })}
+        </div>
+        <RequiredAnswerInput required={required} answered={selectedValues.length > 0} />
+      </div>
+    );
+  }
+
+  if (question.type === 'time') {
+    return (
+      <div className="space-y-xs">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <Input
+          id={questionId}
+          type="time"
+          value={answerValue ?? ''}
+          onChange={(e) => onChange?.(e.target.value)}
+          disabled={disabled}
+          required={required}
+          className="w-40"
+        />
+      </div>
+    );
+  }
+
+  if (question.type === 'file') {
+    return (
+      <div className="space-y-xs">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <SessionAttachmentField
+          id={questionId}
+          value={answerValue}
+          onChange={onChange}
+          disabled={disabled}
+          studentId={attachmentStudentId}
+          date={attachmentDate}
+          unavailableMessage={attachmentUnavailableMessage}
+        />
+        <RequiredAnswerInput required={required} answered={readAttachmentAnswers(answerValue).length > 0} />
+      </div>
+    );
+  }
+
+  if (question.type === 'signature') {
+    return (
+      <div className="space-y-xs">
+        <Label htmlFor={questionId} className="block text-right">
+          {question.label}
+          {required ? ' *' : ''}
+        </Label>
+        <SignaturePadField id={questionId} value={answerValue} onChange={onChange} disabled={disabled} />
+        <RequiredAnswerInput required={required} answered={isSignatureAnswer(answerValue)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-xs">
+      <Label htmlFor={questionId} className="block text-right">
+        {question.label}
+        {required ? ' *' : ''}
+      </Label>
+      <Input
+        id={questionId}
+        value={answerValue ?? ''}
+        onChange={(e) => onChange?.(e.target.value)}
+        disabled={disabled}
+        placeholder={placeholder}
+        required={required}
+      />
+    </div>
+  );
+}
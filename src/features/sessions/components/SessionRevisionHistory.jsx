@@ -0,0 +1,106 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronDown, ChevronUp, History } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { he } from 'date-fns/locale';
+import { Button } from '@/components/ui/button';
+import { buildRevisionHistory, resolveEditorName } from '@/features/sessions/utils/revision-diff.js';
+
+const CHANGE_LABELS = Object.freeze({
+  added: 'נוסף',
+  removed: 'הוסר',
+  modified: 'שונה',
+});
+
+function formatTimestamp(value) {
+  if (!value) return '';
+  try {
+    const parsed = parseISO(value);
+    if (!Number.isNaN(parsed.getTime())) {
+      return format(parsed, 'dd/MM/yyyy HH:mm', { locale: he });
+    }
+  } catch {
+    // ignore parsing failures
+  }
+  return value;
+}
+
+function formatDate(value) {
+  if (!value) return '—';
+  try {
+    const parsed = parseISO(value);
+    if (!Number.isNaN(parsed.getTime())) {
+      return format(parsed, 'dd/MM/yyyy', { locale: he });
+    }
+  } catch {
+    // ignore parsing failures
+  }
+  return value;
+}
+
+/**
+ * Collapsible list of prior versions for a session record, showing who edited it
+ * and which answers changed in each edit.
+ */
+export default function SessionRevisionHistory({ record, questions = [], instructors = [] }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const history = useMemo(() => buildRevisionHistory(record, questions), [record, questions]);
+
+  if (!history.length) return null;
+
+  return (
+    <div className="space-y-xs rounded-lg border border-neutral-200 bg-neutral-50 p-sm">
+      <Button
+        type="button"
+        variant="ghost"
+        size="sm"
+        className="flex w-full items-center justify-between gap-xs px-0 text-xs text-neutral-700 sm:text-sm"
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+      >
+        <span className="flex items-center gap-xs">
+          <History className="h-4 w-4" aria-hidden="true" />
+          היסטוריית שינויים ({history.length})
+        </span>
+        {isOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+      </Button>
+      {isOpen ? (
+        <ol className="space-y-sm">
+          {history.map((entry) => (
+            <li key={entry.revision} className="space-y-xs rounded-md bg-white p-sm text-xs sm:text-sm">
+              <p className="font-medium text-neutral-700">
+                נערך על ידי {resolveEditorName(entry, instructors)} בתאריך {formatTimestamp(entry.editedAt)}
+              </p>
+              {entry.dateChange ? (
+                <p className="text-neutral-600">
+                  תאריך: <span className="line-through">{formatDate(entry.dateChange.before)}</span> ← {formatDate(entry.dateChange.after)}
+                </p>
+              ) : null}
+              {entry.serviceChange ? (
+                <p className="text-neutral-600">
+                  שירות: <span className="line-through">{entry.serviceChange.before || '—'}</span> ← {entry.serviceChange.after || '—'}
+                </p>
+              ) : null}
+              {entry.answers.length ? (
+                <dl className="space-y-xs">
+                  {entry.answers.map((answer) => (
+                    <div key={answer.key} className="space-y-1">
+                      <dt className="text-neutral-600">
+                        {answer.label} <span className="text-neutral-400">({CHANGE_LABELS[answer.change]})</span>
+                      </dt>
+                      {answer.before ? (
+                        <dd className="whitespace-pre-wrap break-words rounded bg-red-50 px-xs text-red-800 line-through">{answer.before}</dd>
+                      ) : null}
+                      {answer.after ? (
+                        <dd className="whitespace-pre-wrap break-words rounded bg-green-50 px-xs text-green-800">{answer.after}</dd>
+                      ) : null}
+                    </div>
+                  ))}
+                </dl>
+              ) : null}
+            </li>
+          ))}
+        </ol>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useCallback, useEffect, useRef } from 'react';
+import { Eraser } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { cn } from '@/lib/utils.js';
+import { isSignatureAnswer } from '../utils/answer-format.js';
+
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 160;
+
+/**
+ * Drawing pad for signature questions. The answer is the drawing as a PNG data URL,
+ * stored inline in the report so it survives offline queueing like any other answer.
+ */
+export default function SignaturePadField({ id, value, onChange, disabled = false }) {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const lastValueRef = useRef('');
+
+  // Redraw only when the value changes from outside (loading a record or a draft, clearing)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const nextValue = isSignatureAnswer(value) ? value : '';
+    if (!canvas || nextValue === lastValueRef.current) {
+      return;
+    }
+    lastValueRef.current = nextValue;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (nextValue) {
+      const image = new Image();
+      image.onload = () => context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      image.src = nextValue;
+    }
+  }, [value]);
+
+  const readPoint = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * canvas.width,
+      y: ((event.clientY - rect.top) / rect.height) * canvas.height,
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (disabled) {
+      return;
+    }
+    event.preventDefault();
+    const context = canvasRef.current.getContext('2d');
+    const point = readPoint(event);
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#0f172a';
+    context.beginPath();
+    context.moveTo(point.x, point.y);
+    drawingRef.current = true;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) {
+      return;
+    }
+    const context = canvasRef.current.getContext('2d');
+    const point = readPoint(event);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+  };
+
+  const finishStroke = useCallback(() => {
+    if (!drawingRef.current) {
+      return;
+    }
+    drawingRef.current = false;
+    const dataUrl = canvasRef.current.toDataURL('image/png');
+    lastValueRef.current = dataUrl;
+    onChange?.(dataUrl);
+  }, [onChange]);
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    lastValueRef.current = '';
+    onChange?.('');
+  };
+
+  const hasSignature = isSignatureAnswer(value);
+
+  return (
+    <div className="space-y-xs">
+      <canvas
+        id={id}
+        ref={canvasRef}
+        width={CANVAS_WIDTH}
+        height={CANVAS_HEIGHT}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={finishStroke}
+        onPointerLeave={finishStroke}
+        onPointerCancel={finishStroke}
+        className={cn(
+          'block h-40 w-full touch-none rounded-lg border-2 border-dashed bg-white',
+          disabled ? 'cursor-not-allowed opacity-60' : 'cursor-crosshair border-neutral-300',
+        )}
+        role="img"
+        aria-label={hasSignature ? 'חתימה' : 'אזור חתימה ריק'}
+      />
+      <div className="flex items-center justify-between gap-sm">
+        <p className="text-xs text-neutral-500">
+          {hasSignature ? 'החתימה נשמרה.' : 'חתמו בתוך המסגרת בעזרת האצבע או העכבר.'}
+        </p>
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={handleClear}
+          disabled={disabled || !hasSignature}
+          className="gap-xs"
+        >
+          <Eraser className="h-4 w-4" aria-hidden="true" />
+          נקה חתימה
+        </Button>
+      </div>
+    </div>
+  );
+}
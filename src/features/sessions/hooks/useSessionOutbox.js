@@ -0,0 +1,111 @@
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { useAuth } from '@/auth/AuthContext';
+import { useOrg } from '@/org/OrgContext';
+import { OUTBOX_STATUS } from '@/features/sessions/utils/offline-sync.js';
+import {
+  SESSION_OUTBOX_CHANGED_EVENT,
+  listSessionOutbox,
+  removeSessionOutboxItem,
+  requeueSessionOutboxItem,
+  syncSessionOutbox,
+} from '@/features/sessions/offline/session-outbox.js';
+
+/**
+ * Session reports queued on this device for the active org and user.
+ * Sends them when the app loads, when the browser reports it is back online
+ * and when the tab becomes visible again.
+ */
+export function useSessionOutbox() {
+  const { user } = useAuth();
+  const { activeOrgId } = useOrg();
+  const userId = user?.id || null;
+  const [items, setItems] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  const reload = useCallback(async () => {
+    try {
+      setItems(await listSessionOutbox({ orgId: activeOrgId, userId }));
+    } catch (error) {
+      console.warn('Failed to read queued session reports', error);
+      setItems([]);
+    }
+  }, [activeOrgId, userId]);
+
+  const syncNow = useCallback(async () => {
+    if (!activeOrgId || !userId) {
+      return;
+    }
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return;
+    }
+
+    setSyncing(true);
+    try {
+      const { sent, conflicts } = await syncSessionOutbox({ orgId: activeOrgId, userId });
+      if (sent.length) {
+        toast.success(sent.length === 1
+          ? 'דיווח שנשמר במכשיר נשלח בהצלחה.'
+          : `${sent.length} דיווחים שנשמרו במכשיר נשלחו בהצלחה.`);
+        // Listeners only refresh their data, so one notification covers the batch
+        const last = sent[sent.length - 1].result;
+        const record = Array.isArray(last?.records) ? last.records[0] || null : last;
+        window.dispatchEvent(new CustomEvent('session-created', { detail: { record } }));
+      }
+      if (conflicts.length) {
+        toast.error(conflicts.length === 1
+          ? 'דיווח שנשמר במכשיר לא נשלח ודורש טיפול.'
+          : `${conflicts.length} דיווחים שנשמרו במכשיר לא נשלחו ודורשים טיפול.`);
+      }
+    } catch (error) {
+      console.warn('Failed to sync queued session reports', error);
+    } finally {
+      setSyncing(false);
+      await reload();
+    }
+  }, [activeOrgId, userId, reload]);
+
+  useEffect(() => {
+    void reload();
+    window.addEventListener(SESSION_OUTBOX_CHANGED_EVENT, reload);
+    return () => {
+      window.removeEventListener(SESSION_OUTBOX_CHANGED_EVENT, reload);
+    };
+  }, [reload]);
+
+  useEffect(() => {
+    void syncNow();
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        void syncNow();
+      }
+    };
+
+    window.addEventListener('online', syncNow);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('online', syncNow);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [syncNow]);
+
+  const removeItem = useCallback(async (id) => {
+    await removeSessionOutboxItem(id);
+  }, []);
+
+  const retryItem = useCallback(async (id, options) => {
+    await requeueSessionOutboxItem(id, options);
+    await syncNow();
+  }, [syncNow]);
+
+  return {
+    items,
+    pendingCount: items.filter((item) => item.status === OUTBOX_STATUS.pending).length,
+    conflictCount: items.filter((item) => item.status === OUTBOX_STATUS.conflict).length,
+    syncing,
+    syncNow,
+    removeItem,
+    retryItem,
+  };
+}
@@ -0,0 +1,204 @@
+import { authenticatedFetch } from '@/lib/api-client.js';
+import {
+  OFFLINE_STORES,
+  deleteOfflineRecord,
+  getOfflineRecord,
+  isOfflineStoreAvailable,
+  listOfflineRecords,
+  putOfflineRecord,
+} from '@/lib/offline-store.js';
+import { OUTBOX_STATUS, classifySyncError, isNetworkFailure } from '@/features/sessions/utils/offline-sync.js';
+
+/**
+ * Device-side queue for session reports that could not be sent, the autosaved new-session
+ * draft and the last loaded students/questionnaire. All live in IndexedDB, scoped to org + user.
+ *
+ * Queued bodies carry `client_submission_id` (the server returns the saved record instead
+ * of inserting twice) and `expected_form_version` (the server answers 409 when the
+ * questionnaire changed meanwhile).
+ */
+
+export const SESSION_OUTBOX_CHANGED_EVENT = 'session-outbox-changed';
+
+function notifyOutboxChanged() {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(SESSION_OUTBOX_CHANGED_EVENT));
+  }
+}
+
+function draftKey(orgId, userId) {
+  return `${orgId}:${userId}:new-session`;
+}
+
+export function createClientSubmissionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  // RFC 4122 v4 shape so the server accepts it
+  return 'xxxxxxxx-xxxx-4xxx-8xxx-xxxxxxxxxxxx'.replace(/x/g, () => Math.floor(Math.random() * 16).toString(16));
+}
+
+export async function enqueueSessionReport({ orgId, userId, body, label }) {
+  const id = body?.client_submission_id || createClientSubmissionId();
+  const item = {
+    id,
+    orgId,
+    userId,
+    label: label || '',
+    body: { ...body, client_submission_id: id },
+    status: OUTBOX_STATUS.pending,
+    conflict: null,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    lastAttemptAt: null,
+  };
+  await putOfflineRecord(OFFLINE_STORES.sessionOutbox, item);
+  notifyOutboxChanged();
+  return item;
+}
+
+export async function listSessionOutbox({ orgId, userId }) {
+  if (!isOfflineStoreAvailable() || !orgId || !userId) {
+    return [];
+  }
+  const items = await listOfflineRecords(OFFLINE_STORES.sessionOutbox);
+  return items
+    .filter((item) => item.orgId === orgId && item.userId === userId)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+export async function removeSessionOutboxItem(id) {
+  await deleteOfflineRecord(OFFLINE_STORES.sessionOutbox, id);
+  notifyOutboxChanged();
+}
+
+/**
+ * Puts a conflicting report back in line. With `acceptCurrentFormVersion` the questionnaire-version
+ * check is dropped, so the answers are saved against the current questionnaire.
+ */
+export async function requeueSessionOutboxItem(id, { acceptCurrentFormVersion = false } = {}) {
+  const item = await getOfflineRecord(OFFLINE_STORES.sessionOutbox, id);
+  if (!item) {
+    return null;
+  }
+  const body = { ...item.body };
+  if (acceptCurrentFormVersion) {
+    delete body.expected_form_version;
+  }
+  const next = { ...item, body, status: OUTBOX_STATUS.pending, conflict: null };
+  await putOfflineRecord(OFFLINE_STORES.sessionOutbox, next);
+  notifyOutboxChanged();
+  return next;
+}
+
+let syncInFlight = null;
+
+/**
+ * Sends pending reports in the order they were saved. Stops at the first network failure,
+ * marks server rejections as conflicts and leaves server errors for the next attempt.
+ * @returns {Promise<{ sent: Array<{ item: object, result: object }>, conflicts: object[], offline: boolean }>}
+ */
+export function syncSessionOutbox({ orgId, userId }) {
+  if (syncInFlight) {
+    return syncInFlight;
+  }
+
+  syncInFlight = (async () => {
+    const summary = { sent: [], conflicts: [], offline: false };
+    const items = await listSessionOutbox({ orgId, userId });
+
+    for (const item of items) {
+      if (item.status !== OUTBOX_STATUS.pending) {
+        continue;
+      }
+
+      try {
+        const result = await authenticatedFetch('sessions', { method: 'POST', body: item.body });
+        await deleteOfflineRecord(OFFLINE_STORES.sessionOutbox, item.id);
+        summary.sent.push({ item, result });
+      } catch (error) {
+        if (isNetworkFailure(error)) {
+          summary.offline = true;
+          break;
+        }
+        const conflict = classifySyncError(error);
+        const next = {
+          ...item,
+          attempts: (item.attempts || 0) + 1,
+          lastAttemptAt: new Date().toISOString(),
+          ...(conflict ? { status: OUTBOX_STATUS.conflict, conflict } : {}),
+        };
+        await putOfflineRecord(OFFLINE_STORES.sessionOutbox, next);
+        if (conflict) {
+          summary.conflicts.push(next);
+        }
+      }
+    }
+
+    if (summary.sent.length || summary.conflicts.length) {
+      notifyOutboxChanged();
+    }
+    return summary;
+  })().finally(() => {
+    syncInFlight = null;
+  });
+
+  return syncInFlight;
+}
+
+export async function loadSessionDraft({ orgId, userId }) {
+  if (!isOfflineStoreAvailable() || !orgId || !userId) {
+    return null;
+  }
+  const record = await getOfflineRecord(OFFLINE_STORES.sessionDrafts, draftKey(orgId, userId));
+  return record?.draft ? record : null;
+}
+
+export async function saveSessionDraft({ orgId, userId }, draft) {
+  if (!isOfflineStoreAvailable() || !orgId || !userId) {
+    return;
+  }
+  await putOfflineRecord(OFFLINE_STORES.sessionDrafts, {
+    id: draftKey(orgId, userId),
+    draft,
+    savedAt: new Date().toISOString(),
+  });
+}
+
+export async function clearSessionDraft({ orgId, userId }) {
+  if (!isOfflineStoreAvailable() || !orgId || !userId) {
+    return;
+  }
+  await deleteOfflineRecord(OFFLINE_STORES.sessionDrafts, draftKey(orgId, userId));
+}
+
+/**
+ * Remembers the last successful students / questionnaire response so the new-session
+ * modal can still be filled after a reload without connection.
+ */
+export async function cacheSessionReference({ orgId, userId }, name, value) {
+  if (!isOfflineStoreAvailable() || !orgId || !userId) {
+    return;
+  }
+  try {
+    await putOfflineRecord(OFFLINE_STORES.sessionReference, {
+      id: `${orgId}:${userId}:${name}`,
+      value,
+      savedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.warn('Failed to cache session reference data', error);
+  }
+}
+
+export async function readSessionReference({ orgId, userId }, name) {
+  if (!isOfflineStoreAvailable() || !orgId || !userId) {
+    return null;
+  }
+  try {
+    const record = await getOfflineRecord(OFFLINE_STORES.sessionReference, `${orgId}:${userId}:${name}`);
+    return record ? record.value : null;
+  } catch {
+    return null;
+  }
+}
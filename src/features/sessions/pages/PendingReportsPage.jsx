@@ -23,11 +23,14 @@ import { fetchLooseSessions, rejectLooseSession } from '@/features/sessions/api/
 import { Checkbox } from '@/components/ui/checkbox';
 import ResolvePendingReportDialog from '../components/ResolvePendingReportDialog.jsx';
 import BulkResolvePendingReportsDialog from '../components/BulkResolvePendingReportsDialog.jsx';
+import MyDraftReportsCard from '../components/MyDraftReportsCard.jsx';
 import { RejectReportDialog } from '../components/RejectReportDialog.jsx';
+import SessionAnswerValue from '../components/SessionAnswerValue.jsx';
 import { normalizeMembershipRole, isAdminRole } from '@/features/students/utils/endpoints.js';
 import { mapLooseSessionError } from '@/lib/error-mapping.js';
 import { authenticatedFetch } from '@/lib/api-client.js';
 import { parseSessionFormConfig, ensureSessionFormFallback } from '@/features/sessions/utils/form-config.js';
+import { getQuestionsForVersion, getSessionFormService, getSessionFormVersion } from '@/features/sessions/utils/version-helpers.js';
 
 const REQUEST_STATE = Object.freeze({
   idle: 'idle',
@@ -99,21 +102,21 @@ function buildAnswerList(content, questions) {
       const qKey = typeof question.key === 'string' ? question.key : '';
 
       if (qLabel) {
-        questionMap.set(qLabel, qLabel);
-        questionMap.set(toKey(qLabel), qLabel);
+        questionMap.set(qLabel, { label: qLabel, question });
+        questionMap.set(toKey(qLabel), { label: qLabel, question });
       }
       if (qId) {
-        questionMap.set(qId, qLabel || qId);
-        questionMap.set(toKey(qId), qLabel || qId);
+        questionMap.set(qId, { label: qLabel || qId, question });
+        questionMap.set(toKey(qId), { label: qLabel || qId, question });
       }
       if (qKey) {
-        questionMap.set(qKey, qLabel || qKey);
-        questionMap.set(toKey(qKey), qLabel || qKey);
+        questionMap.set(qKey, { label: qLabel || qKey, question });
+        questionMap.set(toKey(qKey), { label: qLabel || qKey, question });
       }
     }
 
     for (const [answerKey, answerValue] of Object.entries(answers)) {
-      if (answerValue === undefined || answerValue === null || answerValue === '') {
+      if (answerValue === undefined || answerValue === null || answerValue === '' || (Array.isArray(answerValue) && !answerValue.length)) {
         continue;
       }
       const rawKey = String(answerKey);
@@ -121,8 +124,8 @@ function buildAnswerList(content, questions) {
         continue;
       }
 
-      const label = questionMap.get(rawKey) || questionMap.get(toKey(rawKey)) || rawKey;
-      entries.push({ label, value: String(answerValue) });
+      const match = questionMap.get(rawKey) || questionMap.get(toKey(rawKey)) || null;
+      entries.push({ label: match?.label || rawKey, question: match?.question || null, value: answerValue });
       seenKeys.add(rawKey);
     }
   } else if (typeof answers === 'string' && answers.trim()) {
@@ -153,6 +156,7 @@ export default function PendingReportsPage() {
   const [showFilters, setShowFilters] = useState(false);
   const [reportViewOpen, setReportViewOpen] = useState(false);
   const [reportToView, setReportToView] = useState(null);
+  const [formConfig, setFormConfig] = useState(null);
   const [questions, setQuestions] = useState([]);
 
   const activeOrgId = activeOrg?.id || null;
@@ -175,9 +179,11 @@ export default function PendingReportsPage() {
       const payload = await authenticatedFetch(`settings?${searchParams.toString()}`);
       const settingsValue = payload?.settings?.session_form_config ?? null;
       const normalized = ensureSessionFormFallback(parseSessionFormConfig(settingsValue));
+      setFormConfig(settingsValue);
       setQuestions(normalized);
     } catch (error) {
       console.error('Failed to load session form configuration', error);
+      setFormConfig(null);
       setQuestions(ensureSessionFormFallback([]));
     }
   }, [canFetch, activeOrgId]);
@@ -208,6 +214,7 @@ export default function PendingReportsPage() {
       setState(REQUEST_STATE.idle);
       setError('');
       setReports([]);
+      setFormConfig(null);
       setQuestions([]);
       return;
     }
@@ -463,7 +470,8 @@ export default function PendingReportsPage() {
   }
 
   return (
-    <div className="container mx-auto p-4 sm:p-6 max-w-7xl" dir="rtl">
+    <div className="container mx-auto p-4 sm:p-6 max-w-7xl space-y-4" dir="rtl">
+      <MyDraftReportsCard />
       <Card>
         <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
           <div>
@@ -888,7 +896,11 @@ export default function PendingReportsPage() {
               <div className="space-y-3">
                 <h3 className="text-sm font-semibold text-neutral-900 pb-2 border-b border-neutral-200">תוכן המפגש</h3>
                 {(() => {
-                  const answers = buildAnswerList(reportToView?.content, questions);
+                  // Each report is shown with the questionnaire (service and version) it was filled with
+                  const reportQuestions = formConfig
+                    ? getQuestionsForVersion(formConfig, getSessionFormVersion(reportToView), getSessionFormService(reportToView))
+                    : [];
+                  const answers = buildAnswerList(reportToView?.content, reportQuestions.length ? reportQuestions : questions);
                   if (answers.length === 0) {
                     return (
                       <div className="rounded-lg border border-neutral-200 bg-neutral-50/50 p-4 text-center text-sm text-neutral-500">
@@ -902,7 +914,7 @@ export default function PendingReportsPage() {
                         {answers.map((entry, index) => (
                           <div key={`${reportToView.id}-${entry.label}-${index}`} className="p-4 space-y-2">
                             <dt className="text-xs font-semibold text-neutral-600">{entry.label}</dt>
-                            <dd className="text-sm leading-relaxed text-neutral-900 whitespace-pre-wrap break-words">{entry.value}</dd>
+                            <dd className="text-sm leading-relaxed text-neutral-900 whitespace-pre-wrap break-words"><SessionAnswerValue question={entry.question} value={entry.value} /></dd>
                           </div>
                         ))}
                       </dl>
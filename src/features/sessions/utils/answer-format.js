@@ -0,0 +1,72 @@
+/**
+ * Display helpers for checkbox, file and signature answers.
+ * Mirrors api/_shared/session-answers.js, which the PDF export uses; keep both in sync.
+ */
+
+export const SIGNATURE_DATA_URL_PATTERN = /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/;
+export const MAX_SIGNATURE_LENGTH = 200 * 1024;
+
+export function isSignatureAnswer(value) {
+  return typeof value === 'string'
+    && value.length <= MAX_SIGNATURE_LENGTH
+    && SIGNATURE_DATA_URL_PATTERN.test(value);
+}
+
+export function readAttachmentAnswers(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter((entry) => entry && typeof entry === 'object' && typeof entry.document_id === 'string' && entry.document_id.trim())
+    .map((entry) => ({
+      document_id: entry.document_id.trim(),
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : 'קובץ',
+      type: typeof entry.type === 'string' ? entry.type : '',
+    }));
+}
+
+function buildOptionLabels(question) {
+  const labels = new Map();
+  const options = Array.isArray(question?.options) ? question.options : [];
+  for (const option of options) {
+    if (typeof option === 'string' && option.trim()) {
+      labels.set(option.trim(), option.trim());
+      continue;
+    }
+    const value = typeof option?.value === 'string' ? option.value.trim() : '';
+    const label = typeof option?.label === 'string' ? option.label.trim() : '';
+    if (value) {
+      labels.set(value, label || value);
+    }
+  }
+  return labels;
+}
+
+/**
+ * Plain-text form of an answer, with checkbox values replaced by their option labels.
+ * @param {object|null} question questionnaire entry the answer belongs to, when known
+ */
+export function formatAnswerText(question, value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (isSignatureAnswer(value)) {
+    return 'נחתם';
+  }
+  const attachments = readAttachmentAnswers(value);
+  if (attachments.length) {
+    return attachments.map((attachment) => attachment.name).join(', ');
+  }
+  if (Array.isArray(value)) {
+    const labels = buildOptionLabels(question);
+    return value
+      .map((item) => String(item ?? '').trim())
+      .filter(Boolean)
+      .map((item) => labels.get(item) || item)
+      .join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
@@ -1,4 +1,6 @@
-const OPTION_TYPES = new Set(['select', 'radio', 'buttons']);
+import { normalizeQuestionRules } from './form-rules.js';
+
+const OPTION_TYPES = new Set(['select', 'radio', 'buttons', 'checkbox']);
 const RANGE_TYPES = new Set(['scale']);
 
 export function parseSessionFormConfig(settingsValue) {
@@ -43,6 +45,28 @@ export function parseSessionFormConfig(settingsValue) {
   return [];
 }
 
+// Mirrors the server's extractSessionFormVersion so queued reports can record the version they were filled against
+export function extractSessionFormVersion(settingsValue) {
+  let payload = settingsValue;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload.trim());
+    } catch {
+      return null;
+    }
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return null;
+  }
+
+  const candidate = payload.current && typeof payload.current === 'object' && payload.current.version !== undefined
+    ? payload.current.version
+    : payload.version;
+  const version = typeof candidate === 'number' ? candidate : Number.parseInt(String(candidate ?? '').trim(), 10);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+}
+
 export function ensureSessionFormFallback(questions) {
   if (Array.isArray(questions) && questions.length) {
     return questions;
@@ -113,6 +137,7 @@ function normalizeQuestion(entry, index) {
     ? normalizeOptions(entry.options)
     : [];
   const range = RANGE_TYPES.has(type) ? normalizeRange(entry.range ?? entry.scale) : null;
+  const rules = normalizeQuestionRules(entry.rules);
 
   const question = {
     key,
@@ -132,6 +157,10 @@ function normalizeQuestion(entry, index) {
     question.range = range;
   }
 
+  if (rules.length) {
+    question.rules = rules;
+  }
+
   return question;
 }
 
@@ -256,3 +285,62 @@ function createQuestionKey(label, index) {
     .replace(/^_|_$/g, '');
   return normalized || `question_${index + 1}`;
 }
+
+/**
+ * Every question of the default and the per-service questionnaires, in current and past versions,
+ * once per id or key (the current label wins). Exports filter answers by these ids.
+ */
+export function listFormQuestions(settingsValue) {
+  let payload = settingsValue;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload.trim());
+    } catch {
+      return [];
+    }
+  }
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+
+  const configs = [payload];
+  if (!Array.isArray(payload) && payload.services && typeof payload.services === 'object' && !Array.isArray(payload.services)) {
+    configs.push(...Object.values(payload.services).filter((entry) => entry && typeof entry === 'object'));
+  }
+
+  const versions = [];
+  for (const config of configs) {
+    if (Array.isArray(config)) {
+      versions.push(config);
+      continue;
+    }
+    const current = Array.isArray(config.current?.questions)
+      ? config.current.questions
+      : Array.isArray(config.current) ? config.current : config.questions;
+    versions.push(current);
+    if (Array.isArray(config.history)) {
+      versions.push(...config.history.map((entry) => entry?.questions));
+    }
+  }
+
+  const seen = new Set();
+  const questions = [];
+  for (const entries of versions) {
+    if (!Array.isArray(entries)) {
+      continue;
+    }
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') {
+        return;
+      }
+      const idSource = typeof entry.id === 'string' && entry.id.trim() ? entry.id : entry.key;
+      const id = typeof idSource === 'string' ? idSource.trim() : '';
+      if (!id || seen.has(id)) {
+        return;
+      }
+      seen.add(id);
+      questions.push({ id, label: extractLabel(entry, index), type: normalizeType(entry.type) });
+    });
+  }
+  return questions;
+}
@@ -0,0 +1,185 @@
+/**
+ * Conditional show/require rules on session form questions.
+ * Mirrors api/_shared/session-form-rules.js, which validates saved reports with the same logic; keep both in sync.
+ */
+
+export const FORM_RULE_ACTIONS = Object.freeze(['show', 'require']);
+export const FORM_RULE_OPERATORS = Object.freeze(['equals', 'not_equals', 'lt', 'lte', 'gt', 'gte', 'empty', 'not_empty']);
+
+const VALUELESS_OPERATORS = new Set(['empty', 'not_empty']);
+const NUMERIC_OPERATORS = new Set(['lt', 'lte', 'gt', 'gte']);
+
+// Same key derivation as parseSessionFormConfig, so rule references match answer keys
+function createQuestionKey(label, index) {
+  const normalized = String(label ?? '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9א-ת]+/gi, '_')
+    .replace(/_{2,}/g, '_')
+    .replace(/^_|_$/g, '');
+  return normalized || `question_${index + 1}`;
+}
+
+export function formRuleNeedsValue(operator) {
+  return !VALUELESS_OPERATORS.has(operator);
+}
+
+export function isNumericFormRuleOperator(operator) {
+  return NUMERIC_OPERATORS.has(operator);
+}
+
+function readText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Keeps well-formed rules only, as stored in the questionnaire (the question reference is the question id).
+ */
+export function sanitizeQuestionRules(rawRules) {
+  if (!Array.isArray(rawRules)) {
+    return [];
+  }
+
+  const rules = [];
+  for (const entry of rawRules) {
+    if (!entry || typeof entry !== 'object') {
+      continue;
+    }
+    const action = readText(entry.action);
+    const operator = readText(entry.operator);
+    const question = readText(entry.question);
+    if (!FORM_RULE_ACTIONS.includes(action) || !FORM_RULE_OPERATORS.includes(operator) || !question) {
+      continue;
+    }
+    const rule = { action, question, operator };
+    if (!VALUELESS_OPERATORS.has(operator)) {
+      rule.value = typeof entry.value === 'number' ? String(entry.value) : readText(entry.value);
+    }
+    rules.push(rule);
+  }
+  return rules;
+}
+
+/**
+ * Well-formed rules with their question reference resolved to an answer key.
+ */
+export function normalizeQuestionRules(rawRules) {
+  return sanitizeQuestionRules(rawRules).map((rule) => ({
+    ...rule,
+    question: createQuestionKey(rule.question, 0),
+    value: rule.value ?? null,
+  }));
+}
+
+function isEmptyAnswer(answer) {
+  if (answer === null || answer === undefined) {
+    return true;
+  }
+  if (typeof answer === 'string') {
+    return answer.trim() === '';
+  }
+  if (Array.isArray(answer)) {
+    return answer.length === 0;
+  }
+  return false;
+}
+
+function toFiniteNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const text = readText(value);
+  if (!text) {
+    return null;
+  }
+  const parsed = Number(text);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+export function ruleMatches(rule, answer) {
+  if (rule.operator === 'empty') {
+    return isEmptyAnswer(answer);
+  }
+  if (rule.operator === 'not_empty') {
+    return !isEmptyAnswer(answer);
+  }
+  if (NUMERIC_OPERATORS.has(rule.operator)) {
+    const left = toFiniteNumber(answer);
+    const right = toFiniteNumber(rule.value);
+    if (left === null || right === null) {
+      return false;
+    }
+    switch (rule.operator) {
+      case 'lt':
+        return left < right;
+      case 'lte':
+        return left <= right;
+      case 'gt':
+        return left > right;
+      default:
+        return left >= right;
+    }
+  }
+
+  const expected = readText(rule.value);
+  const values = Array.isArray(answer)
+    ? answer.map((item) => String(item ?? '').trim())
+    : [isEmptyAnswer(answer) ? '' : String(answer).trim()];
+  const matched = values.includes(expected);
+  return rule.operator === 'equals' ? matched : !matched;
+}
+
+/**
+ * @returns {{ visible: Set<string>, required: Set<string> }} answer keys of the shown and of the required questions
+ */
+export function evaluateQuestionRules(questions, answers) {
+  const visible = new Set();
+  const required = new Set();
+  const visibleAnswers = {};
+  const source = answers && typeof answers === 'object' ? answers : {};
+
+  for (const question of Array.isArray(questions) ? questions : []) {
+    if (!question?.key) {
+      continue;
+    }
+    const rules = Array.isArray(question.rules) ? question.rules : [];
+    const matchesAll = (action) => rules
+      .filter((rule) => rule.action === action)
+      .every((rule) => ruleMatches(rule, visibleAnswers[rule.question]));
+    const requireRules = rules.filter((rule) => rule.action === 'require');
+
+    if (!matchesAll('show')) {
+      continue;
+    }
+    visible.add(question.key);
+    visibleAnswers[question.key] = source[question.key];
+    if (question.required || (requireRules.length && matchesAll('require'))) {
+      required.add(question.key);
+    }
+  }
+
+  return { visible, required };
+}
+
+/**
+ * Drops answers to hidden questions and lists required questions left unanswered.
+ * Answers to keys outside the questionnaire are kept untouched.
+ * @returns {{ content: object, missing: string[] }}
+ */
+export function applyQuestionRules(questions, content) {
+  const source = content && typeof content === 'object' ? content : {};
+  const list = Array.isArray(questions) ? questions : [];
+  if (!list.length) {
+    return { content: source, missing: [] };
+  }
+
+  const { visible, required } = evaluateQuestionRules(list, source);
+  const pruned = { ...source };
+  for (const question of list) {
+    if (!visible.has(question.key)) {
+      delete pruned[question.key];
+    }
+  }
+  const missing = Array.from(required).filter((key) => isEmptyAnswer(pruned[key]));
+  return { content: pruned, missing };
+}
@@ -0,0 +1,109 @@
+/**
+ * Rules for session reports that are saved on the device while offline and sent later.
+ * Kept free of browser APIs so they can be unit tested.
+ */
+
+export const OUTBOX_STATUS = Object.freeze({
+  pending: 'pending',
+  conflict: 'conflict',
+});
+
+export const OUTBOX_CONFLICT_LABELS = Object.freeze({
+  student_reassigned: 'התלמיד כבר אינו משויך אליך. בחרו תלמיד אחר או שלחו כדיווח לא משויך.',
+  student_missing: 'התלמיד לא נמצא במערכת. בחרו תלמיד אחר או שלחו כדיווח לא משויך.',
+  form_version_changed: 'שאלון המפגש עודכן מאז שהדיווח נשמר. בדקו את התשובות לפני השליחה.',
+  missing_required_answers: 'חסרות תשובות לשאלות חובה. פתחו את הדיווח והשלימו אותן.',
+  rejected: 'השרת דחה את הדיווח.',
+});
+
+/**
+ * A failure that means "no connection" rather than "the server said no".
+ * fetch() rejects with a TypeError when the request never reaches the server.
+ */
+export function isNetworkFailure(error, { online } = {}) {
+  if (error?.status) {
+    return false;
+  }
+  if (error?.name === 'TypeError') {
+    return true;
+  }
+  const isOnline = typeof online === 'boolean'
+    ? online
+    : typeof navigator === 'undefined' || navigator.onLine !== false;
+  return !isOnline;
+}
+
+/**
+ * Decides what to do with a queued report the server did not accept.
+ * @returns {{ code: string, message: string } | null} A conflict for the instructor to resolve,
+ *   or null when the report should simply be retried later (offline, server error).
+ */
+export function classifySyncError(error, options) {
+  if (isNetworkFailure(error, options)) {
+    return null;
+  }
+
+  const status = Number(error?.status) || 0;
+  const serverMessage = error?.data?.message || error?.message || '';
+
+  if (!status || status >= 500 || status === 401 || status === 408 || status === 429) {
+    return null;
+  }
+
+  if (serverMessage === 'form_version_changed') {
+    return { code: 'form_version_changed', message: OUTBOX_CONFLICT_LABELS.form_version_changed };
+  }
+  if (serverMessage === 'student_not_assigned_to_user') {
+    return { code: 'student_reassigned', message: OUTBOX_CONFLICT_LABELS.student_reassigned };
+  }
+  if (serverMessage === 'student_not_found') {
+    return { code: 'student_missing', message: OUTBOX_CONFLICT_LABELS.student_missing };
+  }
+  if (serverMessage === 'missing_required_answers') {
+    return { code: 'missing_required_answers', message: OUTBOX_CONFLICT_LABELS.missing_required_answers };
+  }
+
+  return {
+    code: 'rejected',
+    message: serverMessage ? `${OUTBOX_CONFLICT_LABELS.rejected} (${serverMessage})` : OUTBOX_CONFLICT_LABELS.rejected,
+  };
+}
+
+/**
+ * Converts a queued POST /api/sessions body back into the new-session form's draft shape
+ * so a conflicting report can be reopened and fixed.
+ */
+export function draftFromSessionBody(body) {
+  const source = body && typeof body === 'object' ? body : {};
+  const details = source.unassigned_details && typeof source.unassigned_details === 'object'
+    ? source.unassigned_details
+    : null;
+  const mode = Array.isArray(source.student_ids) ? 'group' : source.student_id ? 'single' : 'loose';
+
+  return {
+    mode,
+    studentId: mode === 'single' ? source.student_id : '',
+    studentIds: mode === 'group' ? source.student_ids : [],
+    overrides: mode === 'group' && source.overrides && typeof source.overrides === 'object' ? source.overrides : {},
+    date: source.date || '',
+    time: source.time || '',
+    durationMinutes: source.duration_minutes ? String(source.duration_minutes) : '',
+    serviceContext: source.service_context || '',
+    answers: source.content && typeof source.content === 'object' ? source.content : {},
+    unassignedName: details?.name || '',
+    unassignedReason: details?.reason || '',
+    unassignedReasonOther: details?.reason_other || '',
+    looseInstructorId: mode === 'loose' ? source.instructor_id || '' : '',
+  };
+}
+
+// A draft worth keeping has at least a student, a date or one answer.
+export function isDraftEmpty(draft) {
+  if (!draft || typeof draft !== 'object') {
+    return true;
+  }
+  const hasAnswer = Object.values(draft.answers || {}).some((value) => (
+    typeof value === 'string' ? value.trim() !== '' : value !== null && typeof value !== 'undefined'
+  ));
+  return !draft.studentId && !(draft.studentIds || []).length && !draft.date && !draft.unassignedName && !hasAnswer;
+}
@@ -0,0 +1,128 @@
+function parseContent(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'string') {
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { notes: raw };
+    } catch {
+      return { notes: raw };
+    }
+  }
+  if (typeof raw === 'object' && !Array.isArray(raw)) return raw;
+  return {};
+}
+
+function stringifyAnswer(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map((entry) => stringifyAnswer(entry)).filter(Boolean).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+}
+
+function buildLabelLookup(questions) {
+  const lookup = new Map();
+  if (!Array.isArray(questions)) return lookup;
+  for (const question of questions) {
+    if (!question || typeof question !== 'object') continue;
+    const label = typeof question.label === 'string' && question.label.trim() ? question.label.trim() : '';
+    for (const candidate of [question.key, question.id]) {
+      if (typeof candidate === 'string' && candidate) {
+        lookup.set(candidate, label || candidate);
+      }
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Compares two session content payloads and returns only the answers that changed.
+ * Each entry is { key, label, before, after, change } where change is 'added', 'removed' or 'modified'.
+ */
+export function diffSessionAnswers(previousContent, nextContent, questions = []) {
+  const before = parseContent(previousContent);
+  const after = parseContent(nextContent);
+  const labels = buildLabelLookup(questions);
+  const orderedKeys = [];
+  const seen = new Set();
+
+  for (const question of Array.isArray(questions) ? questions : []) {
+    const key = question?.key || question?.id;
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      orderedKeys.push(key);
+    }
+  }
+  for (const key of [...Object.keys(before), ...Object.keys(after)]) {
+    if (!seen.has(key)) {
+      seen.add(key);
+      orderedKeys.push(key);
+    }
+  }
+
+  const entries = [];
+  for (const key of orderedKeys) {
+    const beforeValue = stringifyAnswer(before[key]);
+    const afterValue = stringifyAnswer(after[key]);
+    if (beforeValue === afterValue) continue;
+
+    let change = 'modified';
+    if (!beforeValue) change = 'added';
+    else if (!afterValue) change = 'removed';
+
+    entries.push({
+      key,
+      label: labels.get(key) || key,
+      before: beforeValue,
+      after: afterValue,
+      change,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Expands metadata.revisions into display-ready entries, newest first.
+ * Each revision stores the snapshot from *before* the edit, so the "after" side is
+ * the next revision's snapshot or, for the latest edit, the current record.
+ */
+export function buildRevisionHistory(record, questions = []) {
+  const revisions = Array.isArray(record?.metadata?.revisions) ? record.metadata.revisions : [];
+  if (!revisions.length) return [];
+
+  const history = revisions.map((revision, index) => {
+    const previous = revision?.previous || {};
+    const nextSnapshot = index < revisions.length - 1
+      ? revisions[index + 1]?.previous || {}
+      : { date: record?.date ?? null, service_context: record?.service_context ?? null, content: record?.content ?? null };
+
+    return {
+      revision: revision?.revision ?? index + 1,
+      editedAt: revision?.edited_at || null,
+      editedBy: revision?.edited_by || null,
+      editedByEmail: revision?.edited_by_email || null,
+      changedFields: Array.isArray(revision?.changed_fields) ? revision.changed_fields : [],
+      dateChange: previous.date !== nextSnapshot.date ? { before: previous.date || '', after: nextSnapshot.date || '' } : null,
+      serviceChange: (previous.service_context || '') !== (nextSnapshot.service_context || '')
+        ? { before: previous.service_context || '', after: nextSnapshot.service_context || '' }
+        : null,
+      answers: diffSessionAnswers(previous.content, nextSnapshot.content, questions),
+    };
+  });
+
+  return history.reverse();
+}
+
+export function getLatestRevision(record) {
+  const revisions = Array.isArray(record?.metadata?.revisions) ? record.metadata.revisions : [];
+  return revisions.length ? revisions[revisions.length - 1] : null;
+}
+
+export function resolveEditorName(revision, instructors = []) {
+  const editorId = revision?.editedBy || revision?.edited_by || '';
+  if (editorId && Array.isArray(instructors)) {
+    const match = instructors.find((instructor) => instructor?.id === editorId);
+    if (match?.name) return match.name;
+  }
+  return revision?.editedByEmail || revision?.edited_by_email || 'משתמש לא ידוע';
+}
@@ -0,0 +1,52 @@
+/**
+ * Helpers for group sessions: several students documented in one report.
+ * Each student's record carries `metadata.group` ({ id, size, students: [{ id, name }] }).
+ */
+
+export const MAX_GROUP_SESSION_SIZE = 12;
+
+/**
+ * Names of the other students in the record's group.
+ *
+ * @param {object} record - Session record with metadata
+ * @param {string} studentId - The student whose history is being viewed
+ * @returns {{ groupId: string, peers: string[] } | null}
+ */
+export function describeSessionGroup(record, studentId) {
+  const group = record?.metadata?.group;
+  if (!group?.id) {
+    return null;
+  }
+  const students = Array.isArray(group.students) ? group.students : [];
+  const peers = students
+    .filter((student) => student?.id && student.id !== studentId)
+    .map((student) => (typeof student.name === 'string' ? student.name.trim() : ''))
+    .filter(Boolean);
+  return { groupId: group.id, peers };
+}
+
+/**
+ * Drops empty override answers so the shared answer is used for them.
+ *
+ * @param {Record<string, Record<string, unknown>>} overrides - Answers keyed by student id, then question key
+ * @param {string[]} studentIds - Students currently in the group
+ * @returns {Record<string, Record<string, unknown>>}
+ */
+export function compactGroupOverrides(overrides, studentIds) {
+  const result = {};
+  for (const studentId of studentIds) {
+    const answers = overrides?.[studentId];
+    if (!answers || typeof answers !== 'object') {
+      continue;
+    }
+    const filled = Object.entries(answers)
+      .map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value])
+      // An emptied multi-select or attachment list falls back to the shared answer too
+      .filter(([, value]) => value !== '' && value !== null && typeof value !== 'undefined'
+        && !(Array.isArray(value) && value.length === 0));
+    if (filled.length) {
+      result[studentId] = Object.fromEntries(filled);
+    }
+  }
+  return result;
+}
@@ -8,11 +8,12 @@ import { extractQuestionsForVersion } from './version-lookup.js';
  * 
  * @param {*} formConfig - The session form configuration (from Settings)
  * @param {number|null} version - The form version to retrieve (null/undefined = use current)
+ * @param {string|null} service - The service questionnaire the session was filled against (null = default)
  * @returns {Array} Array of normalized question objects
  */
-export function getQuestionsForVersion(formConfig, version) {
+export function getQuestionsForVersion(formConfig, version, service = null) {
   // Use shared lookup logic to extract raw questions
-  const rawQuestions = extractQuestionsForVersion(formConfig, version);
+  const rawQuestions = extractQuestionsForVersion(formConfig, version, service);
   
   // Normalize the questions for frontend use (adds key field, etc.)
   return parseSessionFormConfig(rawQuestions);
@@ -27,3 +28,13 @@ export function getQuestionsForVersion(formConfig, version) {
 export function getSessionFormVersion(session) {
   return session?.metadata?.form_version ?? null;
 }
+
+/**
+ * Extract the service whose questionnaire the session was filled against
+ *
+ * @param {Object} session - Session record object
+ * @returns {string|null} The service name, or null when the default questionnaire was used
+ */
+export function getSessionFormService(session) {
+  return session?.metadata?.form_service ?? null;
+}
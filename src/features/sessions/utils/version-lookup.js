@@ -4,27 +4,82 @@
  * Can be used by both frontend and backend
  */
 
+function parseFormConfig(formConfig) {
+  if (!formConfig) {
+    return null;
+  }
+  if (typeof formConfig === 'string') {
+    try {
+      return JSON.parse(formConfig);
+    } catch {
+      return null;
+    }
+  }
+  return formConfig;
+}
+
+function readServiceEntry(config, service) {
+  const name = typeof service === 'string' ? service.trim() : '';
+  if (!name || !config || typeof config !== 'object' || Array.isArray(config)) {
+    return null;
+  }
+  const services = config.services;
+  if (!services || typeof services !== 'object' || Array.isArray(services)) {
+    return null;
+  }
+  const entry = services[name];
+  return entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : null;
+}
+
+function hasActiveQuestionnaire(entry) {
+  return Boolean(entry?.current && typeof entry.current === 'object' && Array.isArray(entry.current.questions));
+}
+
+/**
+ * Picks the questionnaire a new report of the given service is filled against: the service's own
+ * (`config.services[service]`, shaped like the default `{ current, history }`) while it has a current
+ * version, otherwise the org default.
+ *
+ * @param {*} formConfig - The session form configuration (from Settings)
+ * @param {string|null} service - The report's service
+ * @returns {{ service: string|null, config: * }} `service` is null when the default applies
+ */
+export function resolveServiceFormConfig(formConfig, service) {
+  const config = parseFormConfig(formConfig);
+  const entry = readServiceEntry(config, service);
+  if (hasActiveQuestionnaire(entry)) {
+    return { service: service.trim(), config: entry };
+  }
+  return { service: null, config };
+}
+
 /**
  * Extract raw questions array for a specific form version
  * Returns the raw questions array without normalization
  * 
  * @param {*} formConfig - The session form configuration (from Settings)
  * @param {number|null} version - The form version to retrieve (null/undefined = use current)
+ * @param {string|null} service - The service questionnaire the record was filled against
+ *   (`metadata.form_service`); versions are numbered per service, null = the default questionnaire
  * @returns {Array} Raw array of question objects from the database
  */
-export function extractQuestionsForVersion(formConfig, version) {
-  if (!formConfig) {
-    return [];
+export function extractQuestionsForVersion(formConfig, version, service = null) {
+  const config = parseFormConfig(formConfig);
+  const entry = readServiceEntry(config, service);
+  if (entry) {
+    const questions = lookupQuestions(entry, version);
+    if (questions.length) {
+      return questions;
+    }
+    // The service questionnaire was removed and the version is not in its history
+    return lookupQuestions(config, null);
   }
+  return lookupQuestions(config, version);
+}
 
-  // Parse if string
-  let config = formConfig;
-  if (typeof formConfig === 'string') {
-    try {
-      config = JSON.parse(formConfig);
-    } catch {
-      return [];
-    }
+function lookupQuestions(config, version) {
+  if (!config) {
+    return [];
   }
 
   // Legacy format: array of questions (no versioning)
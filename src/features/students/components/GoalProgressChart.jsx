@@ -0,0 +1,73 @@
+import React from 'react';
+import { CartesianGrid, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { format, parseISO } from 'date-fns';
+import { GOAL_RATING_MAX, GOAL_RATING_MIN, GOAL_RATING_VALUES } from '@/features/students/utils/goals.js';
+
+function formatPointDate(value, pattern) {
+  try {
+    return format(parseISO(value), pattern);
+  } catch {
+    return value;
+  }
+}
+
+function ProgressTooltip({ active, payload }) {
+  const point = active && Array.isArray(payload) ? payload[0]?.payload : null;
+  if (!point) {
+    return null;
+  }
+  return (
+    <div className="rounded-md border border-neutral-200 bg-white px-sm py-xs text-xs shadow-sm" dir="rtl">
+      <div className="font-medium text-foreground">{formatPointDate(point.date, 'dd/MM/yyyy')}</div>
+      <div className="text-neutral-600">דירוג: {point.rating}</div>
+      {point.note ? <div className="max-w-[200px] text-neutral-500">{point.note}</div> : null}
+    </div>
+  );
+}
+
+/**
+ * Progress ratings of one goal across the student's sessions, with the goal's target
+ * rating drawn as a dashed line when it has one.
+ */
+export default function GoalProgressChart({ series, targetRating = null }) {
+  if (!series.length) {
+    return (
+      <p className="rounded-lg border border-dashed border-neutral-300 p-sm text-center text-xs text-neutral-500">
+        עדיין לא דורגה התקדמות במטרה זו.
+      </p>
+    );
+  }
+
+  return (
+    <div className="h-48 w-full" dir="ltr">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={series} margin={{ top: 8, right: 16, bottom: 0, left: -16 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis
+            dataKey="date"
+            tickFormatter={(value) => formatPointDate(value, 'dd/MM')}
+            tick={{ fontSize: 11 }}
+          />
+          <YAxis
+            domain={[GOAL_RATING_MIN, GOAL_RATING_MAX]}
+            ticks={GOAL_RATING_VALUES}
+            allowDecimals={false}
+            tick={{ fontSize: 11 }}
+          />
+          <Tooltip content={<ProgressTooltip />} />
+          {targetRating ? (
+            <ReferenceLine y={targetRating} stroke="#16a34a" strokeDasharray="4 4" label={{ value: 'יעד', position: 'insideTopLeft', fontSize: 11 }} />
+          ) : null}
+          <Line
+            type="monotone"
+            dataKey="rating"
+            stroke="hsl(var(--primary))"
+            strokeWidth={2}
+            dot={{ r: 3 }}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2, Target } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { createStudentGoal, updateStudentGoal } from '@/api/student-goals.js';
+import { GOAL_RATING_VALUES, GOAL_STATUS_OPTIONS } from '@/features/students/utils/goals.js';
+
+const NO_TARGET_RATING = 'none';
+
+const SAVE_ERROR_MESSAGES = {
+  invalid_title: 'יש להזין כותרת למטרה (עד 200 תווים).',
+  invalid_date_range: 'תאריך היעד חייב להיות אחרי תאריך ההתחלה.',
+  student_not_assigned_to_user: 'אין לך הרשאה לעדכן את מטרות התלמיד.',
+  goal_not_found: 'המטרה לא נמצאה. ייתכן שנמחקה.',
+};
+
+function buildInitialForm(goal) {
+  return {
+    title: goal?.title || '',
+    description: goal?.description || '',
+    target_metric: goal?.target_metric || '',
+    target_rating: goal?.target_rating ? String(goal.target_rating) : NO_TARGET_RATING,
+    start_date: goal?.start_date || new Date().toISOString().slice(0, 10),
+    target_date: goal?.target_date || '',
+    status: goal?.status || 'active',
+  };
+}
+
+/**
+ * Add or edit one goal of the student's treatment plan.
+ */
+export default function StudentGoalDialog({ open, onClose, goal = null, studentId, orgId, onSaved }) {
+  const [form, setForm] = useState(() => buildInitialForm(goal));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const isEdit = Boolean(goal?.id);
+
+  useEffect(() => {
+    if (open) {
+      setForm(buildInitialForm(goal));
+      setError('');
+    }
+  }, [open, goal]);
+
+  const updateField = (key, value) => {
+    setForm((previous) => ({ ...previous, [key]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!form.title.trim()) {
+      setError(SAVE_ERROR_MESSAGES.invalid_title);
+      return;
+    }
+    if (form.start_date && form.target_date && form.start_date > form.target_date) {
+      setError(SAVE_ERROR_MESSAGES.invalid_date_range);
+      return;
+    }
+
+    const fields = {
+      ...form,
+      title: form.title.trim(),
+      target_rating: form.target_rating === NO_TARGET_RATING ? null : Number(form.target_rating),
+    };
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const saved = isEdit
+        ? await updateStudentGoal(goal.id, { orgId, ...fields })
+        : await createStudentGoal({ orgId, studentId, ...fields });
+      toast.success(isEdit ? 'המטרה עודכנה.' : 'המטרה נוספה לתוכנית הטיפול.');
+      onSaved?.(saved);
+      onClose?.();
+    } catch (submitError) {
+      console.error('Failed to save student goal', submitError);
+      const code = submitError?.data?.message || submitError?.message;
+      setError(SAVE_ERROR_MESSAGES[code] || 'שמירת המטרה נכשלה.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleOpenChange = (nextOpen) => {
+    if (!nextOpen && !isSubmitting) {
+      onClose?.();
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-xl max-h-[90vh] overflow-y-auto" dir="rtl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-right">
+            <Target className="h-5 w-5" />
+            {isEdit ? 'עריכת מטרה' : 'מטרה חדשה'}
+          </DialogTitle>
+          <DialogDescription className="text-right">
+            המדריכים מדרגים את ההתקדמות במטרות פעילות בכל דיווח מפגש.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-md">
+          <div className="space-y-xs">
+            <Label htmlFor="goal-title" className="block text-right">כותרת *</Label>
+            <Input
+              id="goal-title"
+              value={form.title}
+              onChange={(event) => updateField('title', event.target.value)}
+              placeholder="לדוגמה: שיפור מוטוריקה עדינה"
+              maxLength={200}
+              disabled={isSubmitting}
+              required
+            />
+          </div>
+          <div className="space-y-xs">
+            <Label htmlFor="goal-description" className="block text-right">תיאור</Label>
+            <Textarea
+              id="goal-description"
+              value={form.description}
+              onChange={(event) => updateField('description', event.target.value)}
+              rows={3}
+              maxLength={2000}
+              disabled={isSubmitting}
+            />
+          </div>
+          <div className="grid gap-md sm:grid-cols-2">
+            <div className="space-y-xs">
+              <Label htmlFor="goal-metric" className="block text-right">מדד יעד</Label>
+              <Input
+                id="goal-metric"
+                value={form.target_metric}
+                onChange={(event) => updateField('target_metric', event.target.value)}
+                placeholder="לדוגמה: 4 מתוך 5 עד יוני"
+                maxLength={200}
+                disabled={isSubmitting}
+              />
+            </div>
+            <div className="space-y-xs">
+              <Label htmlFor="goal-target-rating" className="block text-right">דירוג יעד</Label>
+              <Select
+                value={form.target_rating}
+                onValueChange={(value) => updateField('target_rating', value)}
+                disabled={isSubmitting}
+              >
+                <SelectTrigger id="goal-target-rating">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_TARGET_RATING}>ללא</SelectItem>
+                  {GOAL_RATING_VALUES.map((rating) => (
+                    <SelectItem key={rating} value={String(rating)}>{rating}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-xs">
+              <Label htmlFor="goal-start-date" className="block text-right">תאריך התחלה</Label>
+              <Input
+                id="goal-start-date"
+                type="date"
+                value={form.start_date}
+                onChange={(event) => updateField('start_date', event.target.value)}
+                disabled={isSubmitting}
+              />
+            </div>
+            <div className="space-y-xs">
+              <Label htmlFor="goal-target-date" className="block text-right">תאריך יעד</Label>
+              <Input
+                id="goal-target-date"
+                type="date"
+                value={form.target_date}
+                onChange={(event) => updateField('target_date', event.target.value)}
+                disabled={isSubmitting}
+              />
+            </div>
+          </div>
+          <div className="space-y-xs">
+            <Label htmlFor="goal-status" className="block text-right">סטטוס</Label>
+            <Select value={form.status} onValueChange={(value) => updateField('status', value)} disabled={isSubmitting}>
+              <SelectTrigger id="goal-status">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {GOAL_STATUS_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-neutral-500">רק מטרות פעילות מופיעות בטופס דיווח המפגש.</p>
+          </div>
+
+          {error ? (
+            <p className="text-sm text-red-600 text-right" role="alert">{error}</p>
+          ) : null}
+
+          <DialogFooter className="gap-2 sm:justify-start">
+            <Button type="submit" disabled={isSubmitting} className="gap-2">
+              {isSubmitting ? <Loader2 className="h-4 w-4 animate-spin" /> : null}
+              {isEdit ? 'שמירת שינויים' : 'הוספת מטרה'}
+            </Button>
+            <Button type="button" variant="outline" onClick={onClose} disabled={isSubmitting}>
+              ביטול
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
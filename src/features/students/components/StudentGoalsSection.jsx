@@ -0,0 +1,217 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Loader2, Pencil, Plus, Target, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import ConfirmDialog from '@/components/ui/ConfirmDialog.jsx';
+import { deleteStudentGoal, listStudentGoals } from '@/api/student-goals.js';
+import { buildGoalProgressSeries, describeGoalStatus, isGoalActive } from '@/features/students/utils/goals.js';
+import GoalProgressChart from './GoalProgressChart.jsx';
+import StudentGoalDialog from './StudentGoalDialog.jsx';
+
+const REQUEST_STATE = Object.freeze({
+  idle: 'idle',
+  loading: 'loading',
+  error: 'error',
+});
+
+const STATUS_BADGE_CLASSES = {
+  active: 'bg-blue-100 text-blue-800',
+  achieved: 'bg-green-100 text-green-800',
+  paused: 'bg-amber-100 text-amber-800',
+  discontinued: 'bg-neutral-200 text-neutral-700',
+};
+
+function formatGoalDate(value) {
+  if (!value) {
+    return '';
+  }
+  try {
+    return format(parseISO(value), 'dd/MM/yyyy');
+  } catch {
+    return value;
+  }
+}
+
+function describeGoalDates(goal) {
+  const start = formatGoalDate(goal.start_date);
+  const target = formatGoalDate(goal.target_date);
+  if (start && target) {
+    return `${start} – ${target}`;
+  }
+  if (target) {
+    return `עד ${target}`;
+  }
+  return start ? `מ-${start}` : '';
+}
+
+/**
+ * The student's treatment-plan goals with a progress chart per goal, built from the
+ * ratings saved with the session reports already loaded on the page.
+ */
+export default function StudentGoalsSection({ studentId, orgId, sessions = [], canFetch = true }) {
+  const [goals, setGoals] = useState([]);
+  const [state, setState] = useState(REQUEST_STATE.idle);
+  const [error, setError] = useState('');
+  const [goalForEdit, setGoalForEdit] = useState(null); // { goal } — goal is null when adding
+  const [goalForDelete, setGoalForDelete] = useState(null);
+
+  const loadGoals = useCallback(async () => {
+    if (!canFetch || !orgId || !studentId) {
+      return;
+    }
+    setState(REQUEST_STATE.loading);
+    setError('');
+    try {
+      const rows = await listStudentGoals({ orgId, studentId });
+      setGoals(Array.isArray(rows) ? rows : []);
+      setState(REQUEST_STATE.idle);
+    } catch (loadError) {
+      console.error('Failed to load student goals', loadError);
+      setGoals([]);
+      setState(REQUEST_STATE.error);
+      setError('טעינת המטרות נכשלה.');
+    }
+  }, [canFetch, orgId, studentId]);
+
+  useEffect(() => {
+    void loadGoals();
+  }, [loadGoals]);
+
+  // Active goals first, then by creation order
+  const orderedGoals = useMemo(
+    () => [...goals].sort((a, b) => Number(isGoalActive(b)) - Number(isGoalActive(a))),
+    [goals],
+  );
+
+  const handleSaved = (saved) => {
+    if (!saved?.id) {
+      void loadGoals();
+      return;
+    }
+    setGoals((previous) => (
+      previous.some((goal) => goal.id === saved.id)
+        ? previous.map((goal) => (goal.id === saved.id ? saved : goal))
+        : [...previous, saved]
+    ));
+  };
+
+  const handleConfirmDelete = async () => {
+    const goal = goalForDelete;
+    setGoalForDelete(null);
+    if (!goal) {
+      return;
+    }
+    try {
+      await deleteStudentGoal(goal.id, { orgId });
+      setGoals((previous) => previous.filter((entry) => entry.id !== goal.id));
+      toast.success('המטרה נמחקה.');
+    } catch (deleteError) {
+      console.error('Failed to delete student goal', deleteError);
+      toast.error('מחיקת המטרה נכשלה.');
+    }
+  };
+
+  return (
+    <div className="space-y-sm md:space-y-md">
+      <div className="flex items-center justify-between gap-sm">
+        <p className="text-xs text-neutral-600 sm:text-sm">
+          דירוגי ההתקדמות נשמרים בכל דיווח מפגש ומוצגים כאן לאורך זמן.
+        </p>
+        <Button type="button" size="sm" onClick={() => setGoalForEdit({ goal: null })} className="gap-xs">
+          <Plus className="h-4 w-4" aria-hidden="true" />
+          מטרה חדשה
+        </Button>
+      </div>
+
+      {state === REQUEST_STATE.loading ? (
+        <div className="flex items-center gap-sm text-xs text-neutral-600 sm:text-sm" role="status">
+          <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />
+          <span>טוען מטרות...</span>
+        </div>
+      ) : state === REQUEST_STATE.error ? (
+        <div className="rounded-lg bg-red-50 p-sm text-xs text-red-700 sm:p-md sm:text-sm" role="alert">
+          {error}
+        </div>
+      ) : !orderedGoals.length ? (
+        <div className="rounded-xl border border-dashed border-neutral-300 p-md text-center text-xs text-neutral-600 sm:p-lg sm:text-sm">
+          טרם הוגדרו מטרות לתלמיד זה.
+        </div>
+      ) : (
+        orderedGoals.map((goal) => {
+          const series = buildGoalProgressSeries(sessions, goal.id);
+          const latest = series[series.length - 1] || null;
+          const dates = describeGoalDates(goal);
+          return (
+            <Card key={goal.id}>
+              <CardHeader className="space-y-xs">
+                <div className="flex flex-wrap items-start justify-between gap-sm">
+                  <div className="space-y-1">
+                    <CardTitle className="flex items-center gap-xs text-sm font-semibold text-foreground sm:text-base">
+                      <Target className="h-4 w-4 text-primary" aria-hidden="true" />
+                      {goal.title}
+                    </CardTitle>
+                    <div className="flex flex-wrap items-center gap-xs text-xs text-neutral-600">
+                      <Badge variant="secondary" className={STATUS_BADGE_CLASSES[goal.status] || ''}>
+                        {describeGoalStatus(goal.status)}
+                      </Badge>
+                      {goal.target_metric ? <span>יעד: {goal.target_metric}</span> : null}
+                      {dates ? <span>{dates}</span> : null}
+                      {latest ? <span>דירוג אחרון: {latest.rating}</span> : null}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setGoalForEdit({ goal })}
+                      className="h-8 w-8"
+                      aria-label={`עריכת המטרה ${goal.title}`}
+                    >
+                      <Pencil className="h-4 w-4" aria-hidden="true" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setGoalForDelete(goal)}
+                      className="h-8 w-8 text-red-600 hover:bg-red-50"
+                      aria-label={`מחיקת המטרה ${goal.title}`}
+                    >
+                      <Trash2 className="h-4 w-4" aria-hidden="true" />
+                    </Button>
+                  </div>
+                </div>
+                {goal.description ? (
+                  <p className="whitespace-pre-wrap text-xs text-neutral-700 sm:text-sm">{goal.description}</p>
+                ) : null}
+              </CardHeader>
+              <CardContent>
+                <GoalProgressChart series={series} targetRating={goal.target_rating} />
+              </CardContent>
+            </Card>
+          );
+        })
+      )}
+
+      <StudentGoalDialog
+        open={Boolean(goalForEdit)}
+        onClose={() => setGoalForEdit(null)}
+        goal={goalForEdit?.goal || null}
+        studentId={studentId}
+        orgId={orgId}
+        onSaved={handleSaved}
+      />
+      <ConfirmDialog
+        open={Boolean(goalForDelete)}
+        onOpenChange={(open) => { if (!open) setGoalForDelete(null); }}
+        onConfirm={handleConfirmDelete}
+        title="מחיקת מטרה"
+        description={`המטרה "${goalForDelete?.title || ''}" תימחק מתוכנית הטיפול, והדירוגים שלה לא יוצגו עוד. כדי לשמור את ההיסטוריה אפשר לשנות את הסטטוס ל"הופסקה" במקום.`}
+      />
+    </div>
+  );
+}
@@ -1,30 +1,39 @@
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { Loader2, ArrowRight, ChevronDown, ChevronUp, Pencil, Download, FileUp } from 'lucide-react';
+import { Loader2, ArrowRight, ChevronDown, ChevronUp, Pencil, Download, FileUp, Trash2, Users } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Separator } from '@/components/ui/separator';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
 import { useSupabase } from '@/context/SupabaseContext.jsx';
 import { useOrg } from '@/org/OrgContext.jsx';
 import { authenticatedFetch } from '@/lib/api-client.js';
 import { fetchSettings } from '@/features/settings/api/settings.js';
 import { useInstructors, useServices } from '@/hooks/useOrgData.js';
-import { describeSchedule, formatDefaultTime } from '@/features/students/utils/schedule.js';
+import { describeSchedule, describeScheduleSlot, formatDefaultTime } from '@/features/students/utils/schedule.js';
 import { ensureSessionFormFallback, parseSessionFormConfig } from '@/features/sessions/utils/form-config.js';
 import { normalizeMembershipRole, isAdminRole } from '@/features/students/utils/endpoints.js';
 import { useSessionModal } from '@/features/sessions/context/SessionModalContext.jsx';
-import { getQuestionsForVersion } from '@/features/sessions/utils/version-helpers.js';
+import { getQuestionsForVersion, getSessionFormService } from '@/features/sessions/utils/version-helpers.js';
 import { format, parseISO } from 'date-fns';
 import { he } from 'date-fns/locale';
 import { toast } from 'sonner';
 import EditStudentModal from '@/features/admin/components/EditStudentModal.jsx';
 import { normalizeTagIdsForWrite, normalizeTagCatalog, buildTagDisplayList } from '@/features/students/utils/tags.js';
-import { exportStudentPdf, downloadPdfBlob } from '@/api/students-export.js';
+import { FilteredExportDialog } from '@/features/admin/components/FilteredExportDialog.jsx';
 import LegacyImportModal from '@/features/students/components/LegacyImportModal.jsx';
 import StudentDocumentsSection from '@/features/students/components/StudentDocumentsSection.jsx';
 import StudentIntakeCard from '@/features/students/components/StudentIntakeCard.jsx';
+import StudentGoalsSection from '@/features/students/components/StudentGoalsSection.jsx';
+import EditSessionRecordDialog from '@/features/sessions/components/EditSessionRecordDialog.jsx';
+import SessionRevisionHistory from '@/features/sessions/components/SessionRevisionHistory.jsx';
+import SessionAnswerValue from '@/features/sessions/components/SessionAnswerValue.jsx';
+import ConfirmDialog from '@/components/ui/ConfirmDialog.jsx';
+import { deleteSessionRecord } from '@/features/sessions/api/sessions.js';
+import { getLatestRevision, resolveEditorName } from '@/features/sessions/utils/revision-diff.js';
+import { describeSessionGroup } from '@/features/sessions/utils/session-groups.js';
 
 const REQUEST_STATE = Object.freeze({
   idle: 'idle',
@@ -125,21 +134,21 @@ function buildAnswerList(content, questions, { isLegacy = false } = {}) {
       const qKey = typeof question.key === 'string' ? question.key : '';
 
       if (qLabel) {
-        questionMap.set(qLabel, qLabel);
-        questionMap.set(toKey(qLabel), qLabel);
+        questionMap.set(qLabel, { label: qLabel, question });
+        questionMap.set(toKey(qLabel), { label: qLabel, question });
       }
       if (qId) {
-        questionMap.set(qId, qLabel || qId);
-        questionMap.set(toKey(qId), qLabel || qId);
+        questionMap.set(qId, { label: qLabel || qId, question });
+        questionMap.set(toKey(qId), { label: qLabel || qId, question });
       }
       if (qKey) {
-        questionMap.set(qKey, qLabel || qKey);
-        questionMap.set(toKey(qKey), qLabel || qKey);
+        questionMap.set(qKey, { label: qLabel || qKey, question });
+        questionMap.set(toKey(qKey), { label: qLabel || qKey, question });
       }
     }
 
     for (const [answerKey, answerValue] of Object.entries(answers)) {
-      if (answerValue === undefined || answerValue === null || answerValue === '') {
+      if (answerValue === undefined || answerValue === null || answerValue === '' || (Array.isArray(answerValue) && !answerValue.length)) {
         continue;
       }
       const rawKey = String(answerKey);
@@ -147,8 +156,8 @@ function buildAnswerList(content, questions, { isLegacy = false } = {}) {
         continue;
       }
 
-      const label = questionMap.get(rawKey) || questionMap.get(toKey(rawKey)) || rawKey;
-      entries.push({ label, value: String(answerValue) });
+      const match = questionMap.get(rawKey) || questionMap.get(toKey(rawKey)) || null;
+      entries.push({ label: match?.label || rawKey, question: match?.question || null, value: answerValue });
       seenKeys.add(rawKey);
     }
   } else if (typeof answers === 'string' && answers.trim()) {
@@ -193,7 +202,11 @@ export default function StudentDetailPage() {
   const [updateError, setUpdateError] = useState('');
 
   // Export state
-  const [isExporting, setIsExporting] = useState(false);
+  const [isPdfDialogOpen, setIsPdfDialogOpen] = useState(false);
+
+  // Session edit/delete state
+  const [sessionForEdit, setSessionForEdit] = useState(null);
+  const [sessionForDelete, setSessionForDelete] = useState(null);
 
   const activeOrgId = activeOrg?.id || null;
   const membershipRole = normalizeMembershipRole(activeOrg?.membership?.role);
@@ -464,6 +477,43 @@ export default function StudentDetailPage() {
     return sessions.some((record) => record?.is_legacy === true);
   }, [sessions]);
 
+  // Members may correct reports for their own students; the API enforces the same assignment rule.
+  const currentUserId = session?.user?.id || '';
+  const canModifySessions =
+    canEdit || (Boolean(currentUserId) && student?.assigned_instructor_id === currentUserId);
+
+  const handleSessionSaved = useCallback(async () => {
+    await loadSessions();
+  }, [loadSessions]);
+
+  const handleConfirmDeleteSession = useCallback(async () => {
+    const target = sessionForDelete;
+    setSessionForDelete(null);
+    if (!target?.id) {
+      return;
+    }
+    try {
+      await deleteSessionRecord({ sessionId: target.id, orgId: activeOrgId });
+      toast.success('המפגש נמחק.');
+      await loadSessions();
+    } catch (error) {
+      console.error('Failed to delete session record', error);
+      const code = error?.data?.message || error?.message || '';
+      if (code === 'student_not_assigned_to_user') {
+        toast.error('אין לך הרשאה למחוק מפגש של תלמיד שאינו משויך אליך.');
+      } else if (code === 'session_not_found' || code === 'session_deleted') {
+        toast.error('המפגש כבר נמחק.');
+        await loadSessions();
+      } else if (code === 'payroll_month_locked') {
+        toast.error('השעות של חודש המפגש כבר אושרו ונעולו, ולכן לא ניתן למחוק אותו.');
+      } else if (code === 'session_billed') {
+        toast.error('המפגש כבר חויב בדף חיוב שהופק, ולכן לא ניתן למחוק אותו.');
+      } else {
+        toast.error('מחיקת המפגש נכשלה.');
+      }
+    }
+  }, [sessionForDelete, activeOrgId, loadSessions]);
+
   const legacyImportDisabled =
     (!canReuploadLegacy && hasLegacyImport) ||
     studentLoadError ||
@@ -605,6 +655,12 @@ export default function StudentDetailPage() {
         case 'no_rows_to_import':
           message = 'לא נמצאו שורות לייבוא לאחר המיפוי. ודאו שהעמודות כוללות נתונים.';
           break;
+        case 'payroll_month_locked':
+          message = 'הייבוא משנה דוחות בחודש שהשעות שלו כבר אושרו ונעולו. יש לפתוח את החודש מחדש בדוח השעות.';
+          break;
+        case 'session_billed':
+          message = 'חלק מהדוחות ההיסטוריים כבר נכללו בחשבון שהונפק, ולכן לא ניתן להחליף אותם.';
+          break;
         case 'failed_to_clear_legacy_records':
           message = 'מחיקת הדוחות ההיסטוריים הישנים נכשלה. נסו שוב.';
           break;
@@ -656,6 +712,7 @@ export default function StudentDetailPage() {
         default_service: payload.defaultService,
         default_day_of_week: payload.defaultDayOfWeek,
         default_session_time: payload.defaultSessionTime,
+        schedule_slots: payload.scheduleSlots,
         notes: payload.notes,
         tags: normalizedTags,
         is_active: payload.isActive,
@@ -672,32 +729,13 @@ export default function StudentDetailPage() {
     }
   };
 
-  const handleExportPdf = async () => {
+  const handleExportPdf = () => {
     if (!studentId || !activeOrgId || !student) {
       toast.error('לא ניתן לייצא PDF ללא מזהה תלמיד או ארגון.');
       return;
     }
-
-    setIsExporting(true);
-    try {
-      const blob = await exportStudentPdf(studentId, activeOrgId);
-      // Generate filename with date (sanitization happens in backend)
-      const safeName = student.name
-        .replace(/[^א-תa-zA-Z0-9\s-]/g, '')
-        .trim()
-        .replace(/\s+/g, '_');
-      const dateStr = format(new Date(), 'yyyy-MM-dd');
-      const filename = `${safeName}_Records_${dateStr}.pdf`;
-      
-      downloadPdfBlob(blob, filename);
-      toast.success('הקובץ הורד בהצלחה');
-    } catch (error) {
-      console.error('Failed to export PDF', error);
-      const message = error?.message || 'ייצוא PDF נכשל. נסה שוב.';
-      toast.error(message);
-    } finally {
-      setIsExporting(false);
-    }
+    // Date range, services, questions and the summary page are chosen in the dialog
+    setIsPdfDialogOpen(true);
   };
 
   if (!studentId) {
@@ -764,6 +802,7 @@ export default function StudentDetailPage() {
   
   const assignedInstructor = instructors.find((inst) => inst?.id === student?.assigned_instructor_id);
   const instructorName = assignedInstructor?.name || (student?.assigned_instructor_id ? 'מדריך לא זמין' : 'לא הוקצה מדריך');
+  const scheduleSlots = Array.isArray(student?.schedule_slots) ? student.schedule_slots : [];
 
   return (
     <>
@@ -819,15 +858,11 @@ export default function StudentDetailPage() {
                   className="self-start text-sm"
                   size="sm"
                   onClick={handleExportPdf}
-                  disabled={studentLoadError || isStudentLoading || !student || isExporting || questionsState === REQUEST_STATE.loading}
+                  disabled={studentLoadError || isStudentLoading || !student || questionsState === REQUEST_STATE.loading}
                   variant="outline"
                 >
-                  {isExporting ? (
-                    <Loader2 className="h-4 w-4 animate-spin" />
-                  ) : (
-                    <Download className="h-4 w-4" />
-                  )}
-                  <span className="ml-1">{isExporting ? 'מייצא...' : 'ייצוא ל-PDF'}</span>
+                  <Download className="h-4 w-4" />
+                  <span className="ml-1">ייצוא ל-PDF</span>
                 </Button>
               ) : (
                 <TooltipProvider>
@@ -922,10 +957,28 @@ export default function StudentDetailPage() {
                 <dt className="text-xs font-medium text-neutral-500 sm:text-sm">שירות ברירת מחדל</dt>
                 <dd className="text-foreground">{defaultService}</dd>
               </div>
-              <div className="space-y-1">
-                <dt className="text-xs font-medium text-neutral-500 sm:text-sm">יום ושעה</dt>
-                <dd className="text-foreground">{scheduleDescription}</dd>
-              </div>
+              {scheduleSlots.length > 1 ? (
+                <div className="col-span-2 space-y-1">
+                  <dt className="text-xs font-medium text-neutral-500 sm:text-sm">מפגשים קבועים</dt>
+                  <dd className="text-foreground">
+                    <ul className="space-y-0.5">
+                      {scheduleSlots.map((slot) => (
+                        <li key={slot.id}>
+                          {describeScheduleSlot(
+                            slot,
+                            slot.instructor_id ? instructors.find((inst) => inst?.id === slot.instructor_id)?.name : '',
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </dd>
+                </div>
+              ) : (
+                <div className="space-y-1">
+                  <dt className="text-xs font-medium text-neutral-500 sm:text-sm">יום ושעה</dt>
+                  <dd className="text-foreground">{scheduleDescription}</dd>
+                </div>
+              )}
               {student?.default_session_time ? (
                 <div className="space-y-1">
                   <dt className="text-xs font-medium text-neutral-500 sm:text-sm">שעה</dt>
@@ -1009,109 +1062,169 @@ export default function StudentDetailPage() {
         onRefresh={loadStudentDetails}
       />
 
-      <div className="space-y-sm md:space-y-md">
-        <div className="flex items-center justify-between gap-sm">
-          <h2 className="text-base font-semibold text-foreground sm:text-lg">היסטוריית מפגשים</h2>
-          <div className="flex items-center gap-xs">
-            {sessions.length > 1 ? (
-              <div className="hidden gap-xs sm:flex">
-                <Button type="button" variant="outline" size="sm" onClick={expandAll}>
-                  פתח הכל
-                </Button>
-                <Button type="button" variant="outline" size="sm" onClick={collapseAll}>
-                  כווץ הכל
-                </Button>
+      <Tabs defaultValue="sessions" dir="rtl" className="space-y-sm">
+        <TabsList>
+          <TabsTrigger value="sessions">מפגשים</TabsTrigger>
+          <TabsTrigger value="goals">מטרות ותוכנית טיפול</TabsTrigger>
+        </TabsList>
+        <TabsContent value="sessions">
+          <div className="space-y-sm md:space-y-md">
+            <div className="flex items-center justify-between gap-sm">
+              <h2 className="text-base font-semibold text-foreground sm:text-lg">היסטוריית מפגשים</h2>
+              <div className="flex items-center gap-xs">
+                {sessions.length > 1 ? (
+                  <div className="hidden gap-xs sm:flex">
+                    <Button type="button" variant="outline" size="sm" onClick={expandAll}>
+                      פתח הכל
+                    </Button>
+                    <Button type="button" variant="outline" size="sm" onClick={collapseAll}>
+                      כווץ הכל
+                    </Button>
+                  </div>
+                ) : null}
+                <Link to={backDestination} className="inline-flex items-center gap-xs text-xs text-primary hover:underline sm:text-sm">
+                  חזרה לרשימת התלמידים
+                  <ArrowRight className="h-4 w-4" aria-hidden="true" />
+                </Link>
+              </div>
+            </div>
+            {questionsState === REQUEST_STATE.error ? (
+              <div className="rounded-lg bg-amber-50 p-sm text-xs text-amber-800 sm:p-md sm:text-sm" role="status">
+                {questionsError}
               </div>
             ) : null}
-            <Link to={backDestination} className="inline-flex items-center gap-xs text-xs text-primary hover:underline sm:text-sm">
-              חזרה לרשימת התלמידים
-              <ArrowRight className="h-4 w-4" aria-hidden="true" />
-            </Link>
-          </div>
-        </div>
-        {questionsState === REQUEST_STATE.error ? (
-          <div className="rounded-lg bg-amber-50 p-sm text-xs text-amber-800 sm:p-md sm:text-sm" role="status">
-            {questionsError}
-          </div>
-        ) : null}
-        {isSessionsLoading ? (
-          <div className="flex items-center gap-sm text-xs text-neutral-600 sm:text-sm" role="status">
-            <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />
-            <span>טוען היסטוריית מפגשים...</span>
-          </div>
-        ) : sessionsLoadError ? (
-          <div className="rounded-lg bg-red-50 p-sm text-xs text-red-700 sm:p-md sm:text-sm" role="alert">
-            {sessionError}
-          </div>
-        ) : noSessions ? (
-          <div className="rounded-xl border border-dashed border-neutral-300 p-md text-center text-xs text-neutral-600 sm:p-lg sm:text-sm">
-            טרם תועדו מפגשים עבור תלמיד זה.
-          </div>
-        ) : (
-          <div className="space-y-sm md:space-y-md">
-            {sessions.map((record) => {
-              // Extract form version from session metadata (null if not set)
-              const formVersion = record?.metadata?.form_version ?? null;
-              
-              // Get questions for this session's version (falls back to current if version not found/null)
-              let versionedQuestions = questions; // Default to current parsed questions
-              
-              if (formConfig) {
-                const extracted = getQuestionsForVersion(formConfig, formVersion);
-                // Only use extracted questions if we actually got results
-                if (extracted.length > 0) {
-                  versionedQuestions = extracted;
-                }
-              }
-              
-              const answers = buildAnswerList(record.content, versionedQuestions, {
-                isLegacy: Boolean(record?.is_legacy),
-              });
-              const key = record.id || record.date;
-              const isOpen = Boolean(expandedById[key]);
-              return (
-                <Card key={key}>
-                  <CardHeader className="space-y-xs">
-                    <button
-                      type="button"
-                      className="flex w-full items-center justify-between gap-sm text-right"
-                      onClick={() => toggleOne(key)}
-                      aria-expanded={isOpen}
-                      aria-controls={`session-${key}`}
-                    >
-                      <div className="space-y-1 text-right">
-                        <CardTitle className="text-sm font-semibold text-foreground sm:text-base">
-                          {formatSessionDate(record.date)}
-                        </CardTitle>
-                        <p className="text-xs text-neutral-500 sm:text-sm">
-                          {record.service_context ? `שירות: ${record.service_context}` : 'ללא שירות מוגדר'}
-                          {record.Instructors?.name && ` • ${record.Instructors.name}`}
-                        </p>
-                      </div>
-                      {isOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
-                    </button>
-                  </CardHeader>
-                  <CardContent id={`session-${key}`} hidden={!isOpen} className="space-y-xs sm:space-y-sm">
-                    {answers.length ? (
-                      <dl className="space-y-xs sm:space-y-sm">
-                        {answers.map((entry, index) => (
-                          <div key={`${record.id}-${entry.label}`} className="space-y-xs">
-                            <dt className="text-xs font-medium text-neutral-600 sm:text-sm">{entry.label}</dt>
-                            <dd className="whitespace-pre-wrap break-words text-xs text-neutral-800 sm:text-sm">{entry.value}</dd>
-                            {index < answers.length - 1 ? <Separator /> : null}
-                          </div>
-                        ))}
-                      </dl>
-                    ) : (
-                      <p className="text-xs text-neutral-500 sm:text-sm">לא תועדו תשובות עבור מפגש זה.</p>
-                    )}
-                  </CardContent>
-                </Card>
-              );
-            })}
+            {isSessionsLoading ? (
+              <div className="flex items-center gap-sm text-xs text-neutral-600 sm:text-sm" role="status">
+                <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />
+                <span>טוען היסטוריית מפגשים...</span>
+              </div>
+            ) : sessionsLoadError ? (
+              <div className="rounded-lg bg-red-50 p-sm text-xs text-red-700 sm:p-md sm:text-sm" role="alert">
+                {sessionError}
+              </div>
+            ) : noSessions ? (
+              <div className="rounded-xl border border-dashed border-neutral-300 p-md text-center text-xs text-neutral-600 sm:p-lg sm:text-sm">
+                טרם תועדו מפגשים עבור תלמיד זה.
+              </div>
+            ) : (
+              <div className="space-y-sm md:space-y-md">
+                {sessions.map((record) => {
+                  // Extract form version from session metadata (null if not set)
+                  const formVersion = record?.metadata?.form_version ?? null;
+                  
+                  // Get questions for this session's questionnaire and version (falls back to current if version not found/null)
+                  let versionedQuestions = questions; // Default to current parsed questions
+                  
+                  if (formConfig) {
+                    const extracted = getQuestionsForVersion(formConfig, formVersion, getSessionFormService(record));
+                    // Only use extracted questions if we actually got results
+                    if (extracted.length > 0) {
+                      versionedQuestions = extracted;
+                    }
+                  }
+                  
+                  const answers = buildAnswerList(record.content, versionedQuestions, {
+                    isLegacy: Boolean(record?.is_legacy),
+                  });
+                  const key = record.id || record.date;
+                  const isOpen = Boolean(expandedById[key]);
+                  const latestRevision = getLatestRevision(record);
+                  const sessionGroup = describeSessionGroup(record, studentId);
+                  const canModifyRecord = canModifySessions && Boolean(record.id);
+                  return (
+                    <Card key={key}>
+                      <CardHeader className="space-y-xs">
+                        <div className="flex items-start gap-xs">
+                          <button
+                            type="button"
+                            className="flex w-full items-center justify-between gap-sm text-right"
+                            onClick={() => toggleOne(key)}
+                            aria-expanded={isOpen}
+                            aria-controls={`session-${key}`}
+                          >
+                            <div className="space-y-1 text-right">
+                              <CardTitle className="flex items-center gap-xs text-sm font-semibold text-foreground sm:text-base">
+                                {formatSessionDate(record.date)}
+                                {latestRevision ? (
+                                  <Badge variant="outline" className="text-[10px] font-normal sm:text-xs">נערך</Badge>
+                                ) : null}
+                              </CardTitle>
+                              <p className="text-xs text-neutral-500 sm:text-sm">
+                                {record.service_context ? `שירות: ${record.service_context}` : 'ללא שירות מוגדר'}
+                                {record.Instructors?.name && ` • ${record.Instructors.name}`}
+                              </p>
+                              {sessionGroup ? (
+                                <p className="flex flex-wrap items-center gap-xs text-xs text-neutral-500 sm:text-sm">
+                                  <Badge variant="secondary" className="gap-1 text-[10px] font-normal sm:text-xs">
+                                    <Users className="h-3 w-3" aria-hidden="true" />
+                                    מפגש קבוצתי
+                                  </Badge>
+                                  {sessionGroup.peers.length ? `עם ${sessionGroup.peers.join(', ')}` : null}
+                                </p>
+                              ) : null}
+                              {latestRevision ? (
+                                <p className="text-xs text-neutral-400">
+                                  נערך על ידי {resolveEditorName(latestRevision, instructors)} בתאריך {formatSessionDate(latestRevision.edited_at)}
+                                </p>
+                              ) : null}
+                            </div>
+                            {isOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                          </button>
+                          {canModifyRecord ? (
+                            <div className="flex shrink-0 items-center gap-1">
+                              {!record.is_legacy ? (
+                                <Button
+                                  type="button"
+                                  variant="ghost"
+                                  size="icon"
+                                  className="h-8 w-8"
+                                  onClick={() => setSessionForEdit({ record, questions: versionedQuestions })}
+                                  aria-label="עריכת מפגש"
+                                >
+                                  <Pencil className="h-4 w-4" aria-hidden="true" />
+                                </Button>
+                              ) : null}
+                              <Button
+                                type="button"
+                                variant="ghost"
+                                size="icon"
+                                className="h-8 w-8 text-red-600 hover:text-red-700"
+                                onClick={() => setSessionForDelete(record)}
+                                aria-label="מחיקת מפגש"
+                              >
+                                <Trash2 className="h-4 w-4" aria-hidden="true" />
+                              </Button>
+                            </div>
+                          ) : null}
+                        </div>
+                      </CardHeader>
+                      <CardContent id={`session-${key}`} hidden={!isOpen} className="space-y-xs sm:space-y-sm">
+                        {answers.length ? (
+                          <dl className="space-y-xs sm:space-y-sm">
+                            {answers.map((entry, index) => (
+                              <div key={`${record.id}-${entry.label}`} className="space-y-xs">
+                                <dt className="text-xs font-medium text-neutral-600 sm:text-sm">{entry.label}</dt>
+                                <dd className="whitespace-pre-wrap break-words text-xs text-neutral-800 sm:text-sm"><SessionAnswerValue question={entry.question} value={entry.value} /></dd>
+                                {index < answers.length - 1 ? <Separator /> : null}
+                              </div>
+                            ))}
+                          </dl>
+                        ) : (
+                          <p className="text-xs text-neutral-500 sm:text-sm">לא תועדו תשובות עבור מפגש זה.</p>
+                        )}
+                        <SessionRevisionHistory record={record} questions={versionedQuestions} instructors={instructors} />
+                      </CardContent>
+                    </Card>
+                  );
+                })}
+              </div>
+            )}
           </div>
-        )}
-      </div>
+        </TabsContent>
+        <TabsContent value="goals">
+          <StudentGoalsSection studentId={studentId} orgId={activeOrgId} sessions={sessions} canFetch={canFetch} />
+        </TabsContent>
+      </Tabs>
     </div>
     <EditStudentModal
       open={Boolean(studentForEdit)}
@@ -1121,6 +1234,27 @@ export default function StudentDetailPage() {
       isSubmitting={isUpdatingStudent}
       error={updateError}
     />
+    <EditSessionRecordDialog
+      open={Boolean(sessionForEdit)}
+      onClose={() => setSessionForEdit(null)}
+      record={sessionForEdit?.record}
+      questions={sessionForEdit?.questions}
+      services={services}
+      orgId={activeOrgId}
+      onSaved={handleSessionSaved}
+    />
+    <ConfirmDialog
+      open={Boolean(sessionForDelete)}
+      onOpenChange={(open) => { if (!open) setSessionForDelete(null); }}
+      onConfirm={handleConfirmDeleteSession}
+      title="מחיקת מפגש"
+      description={`המפגש מתאריך ${formatSessionDate(sessionForDelete?.date)} יוסר מהיסטוריית התלמיד. הרשומה נשמרת במערכת לצורכי תיעוד.`}
+    />
+    <FilteredExportDialog
+      open={isPdfDialogOpen}
+      onClose={() => setIsPdfDialogOpen(false)}
+      student={student ? { id: studentId, name: student.name } : null}
+    />
     <LegacyImportModal
       open={isLegacyModalOpen}
       onClose={handleCloseLegacyModal}
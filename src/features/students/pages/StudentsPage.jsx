@@ -13,22 +13,23 @@ import { toast } from 'sonner';
 import { useOrg } from '@/org/OrgContext.jsx';
 import { useSupabase } from '@/context/SupabaseContext.jsx';
 import { authenticatedFetch } from '@/lib/api-client.js';
-import { useInstructors, useStudents } from '@/hooks/useOrgData.js';
+import { useInstructors, usePaginatedStudents } from '@/hooks/useOrgData.js';
 import AddStudentForm, { AddStudentFormFooter } from '@/features/admin/components/AddStudentForm.jsx';
 import EditStudentModal from '@/features/admin/components/EditStudentModal.jsx';
 import DataMaintenanceModal from '@/features/admin/components/DataMaintenanceModal.jsx';
 import { DataMaintenanceMenu } from '@/features/admin/components/DataMaintenanceMenu.jsx';
 import { StudentFilterSection } from '@/features/students/components/StudentFilterSection.jsx';
 import PageLayout from '@/components/ui/PageLayout.jsx';
-import { DAY_NAMES, formatDefaultTime, dayMatches } from '@/features/students/utils/schedule.js';
+import { DAY_NAMES, formatDefaultTime } from '@/features/students/utils/schedule.js';
 import DayOfWeekSelect from '@/components/ui/DayOfWeekSelect.jsx';
 import { normalizeTagIdsForWrite } from '@/features/students/utils/tags.js';
 import { useStudentTags } from '@/features/students/hooks/useStudentTags.js';
-import { getStudentComparator, STUDENT_SORT_OPTIONS } from '@/features/students/utils/sorting.js';
+import { STUDENT_SORT_OPTIONS } from '@/features/students/utils/sorting.js';
 import { saveFilterState, loadFilterState } from '@/features/students/utils/filter-state.js';
 import { normalizeMembershipRole, isAdminRole } from '@/features/students/utils/endpoints.js';
 import { fetchLooseSessions } from '@/features/sessions/api/loose-sessions.js';
 import MyPendingReportsCard from '@/features/sessions/components/MyPendingReportsCard.jsx';
+import MyDraftReportsCard from '@/features/sessions/components/MyDraftReportsCard.jsx';
 
 export default function StudentsPage() {
   const { activeOrg, activeOrgId, activeOrgHasConnection, tenantClientReady } = useOrg();
@@ -53,7 +54,7 @@ export default function StudentsPage() {
   const [tagFilter, setTagFilter] = useState('');
   const [sortBy, setSortBy] = useState(STUDENT_SORT_OPTIONS.SCHEDULE); // Default sort by schedule
   const [statusFilter, setStatusFilter] = useState('active'); // 'active' | 'inactive' | 'all'
-  const [filteredStudents, setFilteredStudents] = useState([]); // Local client-side filtered list
+  const [debouncedSearch, setDebouncedSearch] = useState(''); // Search text sent to the server after typing pauses
   const [filtersRestored, setFiltersRestored] = useState(false); // Track when filters have been restored from sessionStorage
   const [pendingReportsCount, setPendingReportsCount] = useState(0); // Count of loose reports awaiting assignment
   const [pendingReportsDialogOpen, setPendingReportsDialogOpen] = useState(false); // For instructor's pending reports dialog
@@ -62,6 +63,7 @@ export default function StudentsPage() {
   // Mobile fix: prevent Dialog close when Select is open/closing
   const openSelectCountRef = useRef(0);
   const isClosingSelectRef = useRef(false);
+  const loadMoreSentinelRef = useRef(null);
 
   // Determine user role
   const membershipRole = activeOrg?.membership?.role;
@@ -100,8 +102,29 @@ export default function StudentsPage() {
     ? (statusFilter === 'all' ? 'all' : statusFilter)
     : (canViewInactive ? statusFilter : 'active');
 
-  const { students, loadingStudents, studentsError: hookStudentsError, refetchStudents } = useStudents({
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Filtering, sorting and paging happen server-side; only the first page is fetched up front.
+  const {
+    students,
+    totalStudents,
+    hasMoreStudents,
+    loadingStudents,
+    loadingMoreStudents,
+    studentsLoaded,
+    studentsError: hookStudentsError,
+    loadMoreStudents,
+    refetchStudents,
+  } = usePaginatedStudents({
     status: effectiveStatus,
+    search: debouncedSearch,
+    day: dayFilter,
+    tagId: tagFilter,
+    instructorId: isAdmin ? instructorFilterId : '',
+    sort: sortBy === STUDENT_SORT_OPTIONS.NAME ? 'name' : 'schedule',
     enabled: canFetch && filtersRestored,
     orgId: activeOrgId,
     session,
@@ -174,7 +197,10 @@ export default function StudentsPage() {
     
     const savedFilters = loadFilterState(activeOrgId, filterMode);
     if (savedFilters) {
-      if (savedFilters.searchQuery !== undefined) setSearchQuery(savedFilters.searchQuery);
+      if (savedFilters.searchQuery !== undefined) {
+        setSearchQuery(savedFilters.searchQuery);
+        setDebouncedSearch(String(savedFilters.searchQuery || '').trim());
+      }
       if (savedFilters.dayFilter !== undefined) setDayFilter(savedFilters.dayFilter);
       if (savedFilters.tagFilter !== undefined) setTagFilter(savedFilters.tagFilter);
       if (savedFilters.sortBy !== undefined) setSortBy(savedFilters.sortBy);
@@ -314,58 +340,22 @@ export default function StudentsPage() {
     }
   }, [activeOrgId, filterMode, isAdmin, searchQuery, dayFilter, instructorFilterId, tagFilter, sortBy, statusFilter]);
 
-  // Client-side filtering and sorting - applied to all fetched students
+  // Infinite scroll: request the next page when the sentinel below the table becomes visible
   useEffect(() => {
-    let result = [...students]; // Always copy to prevent mutation
-
-    // Filter by status
-    if (isAdmin && statusFilter !== 'all') {
-      result = result.filter((s) => {
-        const isActive = s.is_active !== false;
-        return statusFilter === 'active' ? isActive : !isActive;
-      });
-    } else if (!isAdmin && canViewInactive && statusFilter !== 'all') {
-      result = result.filter((s) => {
-        const isActive = s.is_active !== false;
-        return statusFilter === 'active' ? isActive : !isActive;
-      });
-    }
-
-    // Filter by search query
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      result = result.filter((s) => {
-        const name = (s.name || '').toLowerCase();
-        const phone = (s.contact_phone || '').toLowerCase();
-        const nationalId = (s.national_id || '').toLowerCase();
-        return name.includes(query) || phone.includes(query) || nationalId.includes(query);
-      });
-    }
-
-    // Filter by day of week
-    if (dayFilter !== null) {
-      result = result.filter((s) => dayMatches(s.default_day_of_week, dayFilter));
+    const node = loadMoreSentinelRef.current;
+    if (!node || !hasMoreStudents || typeof IntersectionObserver === 'undefined') {
+      return undefined;
     }
 
-    // Filter by instructor (admin only)
-    if (isAdmin && instructorFilterId) {
-      result = result.filter((s) => s.assigned_instructor_id === instructorFilterId);
-    }
-
-    // Filter by tag
-    if (tagFilter) {
-      result = result.filter((s) => {
-        const studentTags = s.tags || [];
-        return studentTags.includes(tagFilter);
-      });
-    }
-
-    // Sort
-    const comparator = getStudentComparator(sortBy);
-    result.sort(comparator);
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        void loadMoreStudents();
+      }
+    }, { rootMargin: '200px' });
 
-    setFilteredStudents(result);
-  }, [students, isAdmin, statusFilter, searchQuery, dayFilter, instructorFilterId, tagFilter, sortBy, canViewInactive]);
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMoreStudents, loadMoreStudents, students.length]);
 
   const handleResetFilters = () => {
     setSearchQuery('');
@@ -429,6 +419,7 @@ export default function StudentsPage() {
       default_service: formData.default_service ?? formData.defaultService ?? '',
       default_day_of_week: formData.default_day_of_week ?? formData.defaultDayOfWeek,
       default_session_time: formData.default_session_time ?? formData.defaultSessionTime ?? '',
+      schedule_slots: formData.schedule_slots ?? formData.scheduleSlots,
       national_id: (formData.national_id ?? formData.nationalId ?? '').trim(),
       contact_name: (formData.contact_name ?? formData.contactName ?? '').trim(),
       contact_phone: (formData.contact_phone ?? formData.contactPhone ?? '').trim(),
@@ -498,6 +489,7 @@ export default function StudentsPage() {
       default_service: formData.defaultService ?? '',
       default_day_of_week: formData.defaultDayOfWeek,
       default_session_time: formData.defaultSessionTime ?? '',
+      schedule_slots: formData.scheduleSlots,
       national_id: (formData.nationalId ?? '').trim(),
       contact_name: (formData.contactName ?? '').trim(),
       contact_phone: (formData.contactPhone ?? '').trim(),
@@ -538,11 +530,12 @@ export default function StudentsPage() {
     }
   };
 
-  const isLoading = loadingStudents && canFetch && filtersRestored;
-  const isError = Boolean(studentsError);
+  // Only the first load replaces the page with a spinner; later filter changes keep the filters mounted.
+  const isLoading = !studentsLoaded && canFetch && filtersRestored;
+  const isError = Boolean(studentsError) && students.length === 0;
   const isSuccess = !isLoading && !isError && canFetch && filtersRestored;
   const errorMessage = studentsError || 'טעינת רשימת התלמידים נכשלה.';
-  const hasNoResults = isSuccess && filteredStudents.length === 0;
+  const hasNoResults = isSuccess && !loadingStudents && students.length === 0;
 
   // Page title and description based on role
   const pageTitle = isAdmin ? 'ניהול תלמידים' : 'התלמידים שלי';
@@ -658,6 +651,12 @@ export default function StudentsPage() {
           </CardHeader>
 
           <CardContent className="p-0">
+            {loadingStudents ? (
+              <div className="flex items-center justify-center gap-sm p-sm text-xs text-neutral-500" role="status">
+                <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />
+                <span>מעדכן את הרשימה...</span>
+              </div>
+            ) : null}
             {hasNoResults ? (
               <div className="p-lg text-center text-neutral-600">
                 לא נמצאו תלמידים התואמים את הסינון.
@@ -676,7 +675,7 @@ export default function StudentsPage() {
                     </TableRow>
                   </TableHeader>
                   <TableBody>
-                    {filteredStudents.map((student) => {
+                    {students.map((student) => {
                       const instructor = isAdmin ? instructorMap.get(student.assigned_instructor_id) : null;
                       const isInactive = student.is_active === false;
                       const missingNationalId = !student.national_id?.trim();
@@ -761,6 +760,19 @@ export default function StudentsPage() {
                     })}
                   </TableBody>
                 </Table>
+                <div ref={loadMoreSentinelRef} className="flex flex-col items-center gap-xs p-sm text-xs text-neutral-500">
+                  {loadingMoreStudents ? (
+                    <span className="flex items-center gap-xs" role="status">
+                      <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />
+                      טוען תלמידים נוספים...
+                    </span>
+                  ) : hasMoreStudents ? (
+                    <Button type="button" variant="ghost" size="sm" onClick={() => void loadMoreStudents()}>
+                      טעינת תלמידים נוספים
+                    </Button>
+                  ) : null}
+                  <span>מציג {students.length} מתוך {totalStudents} תלמידים</span>
+                </div>
               </div>
             )}
           </CardContent>
@@ -844,7 +856,10 @@ export default function StudentsPage() {
             <DialogHeader>
               <DialogTitle>דיווחים ממתינים</DialogTitle>
             </DialogHeader>
-            <MyPendingReportsCard onResolve={() => void fetchPendingReportsCount()} />
+            <div className="space-y-4">
+              <MyDraftReportsCard onOpenDraft={() => setPendingReportsDialogOpen(false)} />
+              <MyPendingReportsCard onResolve={() => void fetchPendingReportsCount()} />
+            </div>
           </DialogContent>
         </Dialog>
       )}
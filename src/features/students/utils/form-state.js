@@ -51,6 +51,7 @@ function normalizeTimeValue(time) {
  * @returns {Object} Complete form state with all required fields
  */
 export function createStudentFormState(student) {
+  const storedSlots = Array.isArray(student?.schedule_slots) ? student.schedule_slots : [];
   return {
     name: student?.name || '',
     nationalId: student?.national_id || '',
@@ -60,8 +61,51 @@ export function createStudentFormState(student) {
     defaultService: student?.default_service || '',
     defaultDayOfWeek: student?.default_day_of_week || null,
     defaultSessionTime: normalizeTimeValue(student?.default_session_time),
+    // The first stored slot is edited through defaultDayOfWeek/defaultSessionTime
+    primarySlot: storedSlots[0] || null,
+    scheduleSlots: storedSlots.slice(1).map((slot) => ({ ...slot, time: normalizeTimeValue(slot.time) })),
     notes: student?.notes || '',
     tagId: Array.isArray(student?.tags) && student.tags.length > 0 ? student.tags[0] : '',
     isActive: student?.is_active !== false,
   };
 }
+
+export function createEmptyScheduleSlot() {
+  return {
+    id: null,
+    day_of_week: null,
+    time: null,
+    duration_minutes: null,
+    service: null,
+    instructor_id: null,
+    effective_from: null,
+    effective_to: null,
+  };
+}
+
+export function isScheduleSlotComplete(slot) {
+  return Boolean(slot?.day_of_week && slot?.time);
+}
+
+/**
+ * Builds the schedule_slots payload from form values: the main day/time become the
+ * first slot, followed by the additional slots. Returns undefined for students that
+ * only use the single default schedule, so the legacy fields stay the source of truth.
+ *
+ * @param {Object} values - Form state from createStudentFormState
+ * @returns {Array|undefined}
+ */
+export function buildScheduleSlotsPayload(values) {
+  const additional = Array.isArray(values?.scheduleSlots) ? values.scheduleSlots : [];
+  if (!values?.primarySlot && additional.length === 0) {
+    return undefined;
+  }
+  return [
+    {
+      ...(values.primarySlot || {}),
+      day_of_week: values.defaultDayOfWeek,
+      time: values.defaultSessionTime,
+    },
+    ...additional,
+  ];
+}
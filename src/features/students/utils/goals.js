@@ -0,0 +1,82 @@
+// Goal statuses and rating scale match api/_shared/student-goals.js
+export const GOAL_STATUS_OPTIONS = Object.freeze([
+  { value: 'active', label: 'פעילה' },
+  { value: 'achieved', label: 'הושגה' },
+  { value: 'paused', label: 'מושהית' },
+  { value: 'discontinued', label: 'הופסקה' },
+]);
+
+export const GOAL_RATING_MIN = 1;
+export const GOAL_RATING_MAX = 5;
+
+export const GOAL_RATING_VALUES = Object.freeze(
+  Array.from({ length: GOAL_RATING_MAX - GOAL_RATING_MIN + 1 }, (_, index) => GOAL_RATING_MIN + index),
+);
+
+export function describeGoalStatus(status) {
+  return GOAL_STATUS_OPTIONS.find((option) => option.value === status)?.label || 'פעילה';
+}
+
+export function isGoalActive(goal) {
+  return (goal?.status || 'active') === 'active';
+}
+
+function toRating(value) {
+  const numeric = typeof value === 'number' ? value : Number(String(value ?? '').trim());
+  return Number.isInteger(numeric) && numeric >= GOAL_RATING_MIN && numeric <= GOAL_RATING_MAX ? numeric : null;
+}
+
+/**
+ * Progress ratings saved with a session report (`metadata.goal_progress`).
+ * @returns {Array<{ goal_id: string, rating: number, note: string }>}
+ */
+export function readSessionGoalProgress(session) {
+  const entries = session?.metadata?.goal_progress;
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+  return entries
+    .map((entry) => ({
+      goal_id: typeof entry?.goal_id === 'string' ? entry.goal_id : '',
+      rating: toRating(entry?.rating),
+      note: typeof entry?.note === 'string' ? entry.note : '',
+    }))
+    .filter((entry) => entry.goal_id && entry.rating !== null);
+}
+
+/**
+ * One point per rated session for a goal, oldest first, ready for a chart.
+ * Deleted sessions are left out.
+ * @returns {Array<{ date: string, rating: number, note: string, sessionId: string|null }>}
+ */
+export function buildGoalProgressSeries(sessions, goalId) {
+  if (!goalId || !Array.isArray(sessions)) {
+    return [];
+  }
+  const points = [];
+  for (const session of sessions) {
+    if (!session?.date || session.deleted) {
+      continue;
+    }
+    const entry = readSessionGoalProgress(session).find((item) => item.goal_id === goalId);
+    if (entry) {
+      points.push({ date: session.date, rating: entry.rating, note: entry.note, sessionId: session.id || null });
+    }
+  }
+  return points.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * Turns the form's `{ [goalId]: rating }` selections into the `goal_progress` sent with a report.
+ * Goals left unrated are not sent.
+ */
+export function buildGoalProgressPayload(ratings, goalIds = null) {
+  if (!ratings || typeof ratings !== 'object') {
+    return [];
+  }
+  const allowed = Array.isArray(goalIds) ? new Set(goalIds) : null;
+  return Object.entries(ratings)
+    .filter(([goalId]) => !allowed || allowed.has(goalId))
+    .map(([goalId, value]) => ({ goal_id: goalId, rating: toRating(value) }))
+    .filter((entry) => entry.rating !== null);
+}
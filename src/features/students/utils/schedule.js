@@ -94,3 +94,24 @@ export function describeSchedule(dayOfWeek, timeValue) {
   }
   return dayLabel;
 }
+
+/**
+ * One recurring slot from Students.schedule_slots, e.g. "יום שני • 16:00 • 45 דק׳ • ריפוי בעיסוק".
+ */
+export function describeScheduleSlot(slot, instructorName = '') {
+  const parts = [describeSchedule(slot?.day_of_week, slot?.time)];
+  if (slot?.duration_minutes) {
+    parts.push(`${slot.duration_minutes} דק׳`);
+  }
+  if (slot?.service) {
+    parts.push(slot.service);
+  }
+  if (instructorName) {
+    parts.push(instructorName);
+  }
+  let description = parts.join(' • ');
+  if (slot?.effective_from || slot?.effective_to) {
+    description += ` (${slot?.effective_from || '…'} – ${slot?.effective_to || '…'})`;
+  }
+  return description;
+}
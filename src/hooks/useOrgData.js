@@ -254,3 +254,127 @@ export function useStudents(options = {}) {
     refetchStudents: refetch,
   };
 }
+
+/**
+ * Infinite-scroll variant of useStudents backed by the paginated students-list API.
+ * Filters are applied server-side; changing any of them resets to the first page.
+ */
+export function usePaginatedStudents(options = {}) {
+  const {
+    status = 'active',
+    search = '',
+    day = null,
+    tagId = '',
+    instructorId = '',
+    sort = 'name',
+    pageSize = 50,
+    enabled = true,
+    orgId: orgIdOverride,
+    session: sessionOverride,
+  } = options;
+
+  const { session: contextSession } = useAuth();
+  const { activeOrgId } = useOrg();
+  const { orgId, session } = resolveOrgAndSession({ orgId: orgIdOverride, session: sessionOverride }, activeOrgId, contextSession);
+
+  const [students, setStudents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextOffset, setNextOffset] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState('');
+
+  // Responses from superseded filter sets are ignored so fast typing cannot reorder pages.
+  const requestIdRef = useRef(0);
+
+  const baseQuery = useMemo(() => buildSearchParamsString({
+    status,
+    q: search?.trim(),
+    day,
+    tag: tagId,
+    assigned_instructor_id: instructorId,
+    sort,
+    limit: pageSize,
+  }, orgId), [status, search, day, tagId, instructorId, sort, pageSize, orgId]);
+
+  const fetchPage = useCallback(async (offset) => {
+    const url = `students-list?${baseQuery}&offset=${offset}`;
+    return authenticatedFetch(url, { session });
+  }, [baseQuery, session]);
+
+  const refetch = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+
+    if (!enabled || !shouldInclude(orgId)) {
+      setStudents([]);
+      setTotal(0);
+      setNextOffset(null);
+      setError('');
+      setLoading(false);
+      setLoaded(false);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const payload = await fetchPage(0);
+      if (requestId !== requestIdRef.current) return;
+      setStudents(Array.isArray(payload?.students) ? payload.students : []);
+      setTotal(typeof payload?.total === 'number' ? payload.total : 0);
+      setNextOffset(typeof payload?.next_offset === 'number' ? payload.next_offset : null);
+    } catch (err) {
+      if (err?.name === 'AbortError' || requestId !== requestIdRef.current) return;
+      setError(err?.message || 'Failed to load data');
+      setStudents([]);
+      setTotal(0);
+      setNextOffset(null);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoaded(true);
+      }
+    }
+  }, [enabled, orgId, fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (loading || loadingMore || nextOffset === null) return;
+    const requestId = requestIdRef.current;
+
+    setLoadingMore(true);
+    try {
+      const payload = await fetchPage(nextOffset);
+      if (requestId !== requestIdRef.current) return;
+      const page = Array.isArray(payload?.students) ? payload.students : [];
+      setStudents((prev) => {
+        const seen = new Set(prev.map((student) => student?.id));
+        return [...prev, ...page.filter((student) => !seen.has(student?.id))];
+      });
+      setTotal(typeof payload?.total === 'number' ? payload.total : 0);
+      setNextOffset(typeof payload?.next_offset === 'number' ? payload.next_offset : null);
+    } catch (err) {
+      if (err?.name === 'AbortError' || requestId !== requestIdRef.current) return;
+      setError(err?.message || 'Failed to load data');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loading, loadingMore, nextOffset, fetchPage]);
+
+  useEffect(() => {
+    void refetch();
+  }, [refetch]);
+
+  return {
+    students,
+    totalStudents: total,
+    hasMoreStudents: nextOffset !== null,
+    loadingStudents: loading,
+    loadingMoreStudents: loadingMore,
+    studentsLoaded: loaded,
+    studentsError: error,
+    loadMoreStudents: loadMore,
+    refetchStudents: refetch,
+  };
+}
@@ -53,10 +53,12 @@ export async function authenticatedFetch(path, { session: _session, accessToken:
   const bearer = `Bearer ${token}`;
 
   const { headers: customHeaders = {}, body, params, ...rest } = options;
-  const headers = createAuthorizationHeaders(customHeaders, bearer, { includeJsonContentType: true });
+  const isFormData = typeof FormData !== 'undefined' && body instanceof FormData;
+  // Multipart bodies need the browser-generated boundary header
+  const headers = createAuthorizationHeaders(customHeaders, bearer, { includeJsonContentType: !isFormData });
 
   let requestBody = body;
-  if (requestBody && typeof requestBody === 'object' && !(requestBody instanceof FormData)) {
+  if (requestBody && typeof requestBody === 'object' && !isFormData) {
     requestBody = JSON.stringify(requestBody);
   }
 
@@ -7,6 +7,7 @@ export const errorCatalog = {
       failed_to_load_session: 'טעינת הדיווח נכשלה. אנא נסו שוב.',
       failed_to_load_student: 'טעינת התלמיד נכשלה. אנא נסו שוב.',
       failed_to_assign_session: 'שיוך הדיווח נכשל. אנא נסו שוב.',
+      payroll_month_locked: 'השעות של החודש הזה כבר אושרו ונעולו. יש לפתוח את החודש מחדש בדוח השעות.',
     },
     create: {
       missing_student_name: 'נא להזין שם תלמיד.',
@@ -19,12 +20,14 @@ export const errorCatalog = {
       failed_to_check_national_id: 'בדיקת מספר הזהות נכשלה. אנא נסו שוב.',
       failed_to_create_student: 'יצירת התלמיד נכשלה. אנא נסו שוב.',
       failed_to_assign_session: 'שיוך הדיווח נכשל. אנא נסו שוב.',
+      payroll_month_locked: 'השעות של החודש הזה כבר אושרו ונעולו. יש לפתוח את החודש מחדש בדוח השעות.',
     },
     reject: {
       missing_reject_reason: 'נא להזין סיבה לדחיית הדיווח.',
       session_not_found: 'הדיווח לא נמצא במערכת.',
       session_already_assigned: 'לא ניתן לדחות דיווח שכבר שויך לתלמיד.',
       failed_to_reject_session: 'דחיית הדיווח נכשלה. אנא נסו שוב.',
+      payroll_month_locked: 'השעות של החודש הזה כבר אושרו ונעולו. יש לפתוח את החודש מחדש בדוח השעות.',
     },
   },
 };
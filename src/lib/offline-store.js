@@ -0,0 +1,85 @@
+/**
+ * Minimal promise wrapper around the app's IndexedDB database.
+ * Holds data that must survive a reload while the device is offline
+ * (session drafts, reports waiting to be sent and the data needed to fill a report).
+ * Every store uses `id` as its key.
+ */
+
+const DB_NAME = 'tuttiud-offline';
+const DB_VERSION = 1;
+
+export const OFFLINE_STORES = Object.freeze({
+  sessionDrafts: 'session-drafts',
+  sessionOutbox: 'session-outbox',
+  sessionReference: 'session-reference',
+});
+
+let dbPromise = null;
+
+export function isOfflineStoreAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!isOfflineStoreAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available.'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const storeName of Object.values(OFFLINE_STORES)) {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: 'id' });
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const result = await requestToPromise(callback(transaction.objectStore(storeName)));
+  // Writes only count once the transaction commits
+  await completed;
+  return result;
+}
+
+export function getOfflineRecord(storeName, id) {
+  return withStore(storeName, 'readonly', (store) => store.get(id));
+}
+
+export function listOfflineRecords(storeName) {
+  return withStore(storeName, 'readonly', (store) => store.getAll());
+}
+
+export function putOfflineRecord(storeName, value) {
+  return withStore(storeName, 'readwrite', (store) => store.put(value));
+}
+
+export function deleteOfflineRecord(storeName, id) {
+  return withStore(storeName, 'readwrite', (store) => store.delete(id));
+}
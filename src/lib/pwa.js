@@ -0,0 +1,15 @@
+/**
+ * Registers the app-shell service worker (public/sw.js) so the app can be installed and
+ * reopened without a connection. Skipped in development to keep Vite's HMR untouched.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.warn('Service worker registration failed', error);
+    });
+  });
+}
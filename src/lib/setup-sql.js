@@ -135,7 +135,8 @@ ALTER TABLE tuttiud."Students"
   ADD COLUMN IF NOT EXISTS "default_service" text,
   ADD COLUMN IF NOT EXISTS "is_active" boolean NOT NULL DEFAULT true,
   ADD COLUMN IF NOT EXISTS "intake_responses" jsonb,
-  ADD COLUMN IF NOT EXISTS "needs_intake_approval" boolean DEFAULT false;
+  ADD COLUMN IF NOT EXISTS "needs_intake_approval" boolean DEFAULT false,
+  ADD COLUMN IF NOT EXISTS "schedule_slots" jsonb NOT NULL DEFAULT '[]'::jsonb;
 
 UPDATE tuttiud."Students"
 SET "is_active" = true
@@ -208,7 +209,8 @@ ALTER TABLE tuttiud."SessionRecords"
   ADD COLUMN IF NOT EXISTS "content" jsonb,
   ADD COLUMN IF NOT EXISTS "deleted" boolean NOT NULL DEFAULT false,
   ADD COLUMN IF NOT EXISTS "deleted_at" timestamptz,
-  ADD COLUMN IF NOT EXISTS "is_legacy" boolean NOT NULL DEFAULT false;
+  ADD COLUMN IF NOT EXISTS "is_legacy" boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS "group_id" uuid;
 DO $$
 DECLARE
   column_type text;
@@ -249,6 +251,117 @@ BEGIN
   END IF;
 END;
 $$;
+-- Cancelled/absent scheduled sessions, optionally with a make-up date (one row per student + date + slot)
+CREATE TABLE IF NOT EXISTS tuttiud."SessionExceptions" (
+  "id" uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  "student_id" uuid NOT NULL REFERENCES tuttiud."Students"("id") ON DELETE CASCADE,
+  "date" date NOT NULL,
+  "slot_id" text NOT NULL DEFAULT 'default',
+  "status" text NOT NULL CHECK ("status" IN ('cancelled', 'absent')),
+  "reason" text,
+  "makeup_date" date,
+  "makeup_time" text,
+  "instructor_id" uuid REFERENCES tuttiud."Instructors"("id"),
+  "created_by" uuid,
+  "created_at" timestamptz NOT NULL DEFAULT now(),
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  "metadata" jsonb
+);
+-- Unsent session reports autosaved from the new-session form (one row per user + student + date); never counted as documentation
+CREATE TABLE IF NOT EXISTS tuttiud."SessionDrafts" (
+  "id" uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  "user_id" uuid NOT NULL,
+  "student_id" uuid REFERENCES tuttiud."Students"("id") ON DELETE CASCADE,
+  "date" date,
+  "draft_key" text NOT NULL,
+  "content" jsonb NOT NULL,
+  "created_at" timestamptz NOT NULL DEFAULT now(),
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  "expires_at" timestamptz NOT NULL
+);
+-- Treatment-plan goals per student; sessions rate progress on them in SessionRecords.metadata.goal_progress
+CREATE TABLE IF NOT EXISTS tuttiud."StudentGoals" (
+  "id" uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  "student_id" uuid NOT NULL REFERENCES tuttiud."Students"("id") ON DELETE CASCADE,
+  "title" text NOT NULL,
+  "description" text,
+  "target_metric" text,
+  "target_rating" smallint CHECK ("target_rating" BETWEEN 1 AND 5),
+  "start_date" date,
+  "target_date" date,
+  "status" text NOT NULL DEFAULT 'active' CHECK ("status" IN ('active', 'achieved', 'paused', 'discontinued')),
+  "created_by" uuid,
+  "created_at" timestamptz NOT NULL DEFAULT now(),
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  "metadata" jsonb
+);
+-- Approved (locked) payroll months per instructor; summary is the hours snapshot taken at approval
+CREATE TABLE IF NOT EXISTS tuttiud."PayrollApprovals" (
+  "id" uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  "instructor_id" uuid NOT NULL REFERENCES tuttiud."Instructors"("id") ON DELETE CASCADE,
+  "month" text NOT NULL CHECK ("month" ~ '^[0-9]{4}-(0[1-9]|1[0-2])$'),
+  "status" text NOT NULL DEFAULT 'approved' CHECK ("status" IN ('approved', 'reopened')),
+  "summary" jsonb NOT NULL DEFAULT '{}'::jsonb,
+  "approved_by" uuid,
+  "approved_by_email" text,
+  "approved_at" timestamptz,
+  "reopened_by" uuid,
+  "reopened_at" timestamptz,
+  "reopen_reason" text,
+  "created_at" timestamptz NOT NULL DEFAULT now(),
+  "updated_at" timestamptz NOT NULL DEFAULT now()
+);
+-- Monthly billing statements per student and payer; line items are the billed SessionRecords.
+-- Statements outlive a deleted student (student_name is kept on the statement).
+CREATE TABLE IF NOT EXISTS tuttiud."BillingStatements" (
+  "id" uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  "student_id" uuid REFERENCES tuttiud."Students"("id") ON DELETE SET NULL,
+  "month" text NOT NULL CHECK ("month" ~ '^[0-9]{4}-(0[1-9]|1[0-2])$'),
+  "status" text NOT NULL DEFAULT 'draft' CHECK ("status" IN ('draft', 'issued', 'paid')),
+  "payer_type" text NOT NULL DEFAULT 'parent' CHECK ("payer_type" IN ('parent', 'funding_body')),
+  "payer_name" text,
+  "student_name" text NOT NULL,
+  "currency" text NOT NULL DEFAULT 'ILS',
+  "total_amount" numeric(12, 2) NOT NULL DEFAULT 0,
+  "created_by" uuid,
+  "issued_by" uuid,
+  "issued_at" timestamptz,
+  "paid_by" uuid,
+  "paid_at" timestamptz,
+  "created_at" timestamptz NOT NULL DEFAULT now(),
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  "metadata" jsonb
+);
+CREATE TABLE IF NOT EXISTS tuttiud."BillingLineItems" (
+  "id" uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  "statement_id" uuid NOT NULL REFERENCES tuttiud."BillingStatements"("id") ON DELETE CASCADE,
+  "session_id" uuid REFERENCES tuttiud."SessionRecords"("id") ON DELETE SET NULL,
+  "date" date NOT NULL,
+  "service" text,
+  "description" text,
+  "quantity" integer NOT NULL DEFAULT 1 CHECK ("quantity" > 0),
+  "unit_price" numeric(10, 2) NOT NULL,
+  "amount" numeric(12, 2) NOT NULL,
+  "price_source" text NOT NULL CHECK ("price_source" IN ('service', 'student')),
+  "created_at" timestamptz NOT NULL DEFAULT now()
+);
+-- Background export jobs (batch student PDFs); items track each student, files live in the org's storage until expires_at
+CREATE TABLE IF NOT EXISTS tuttiud."ExportJobs" (
+  "id" uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  "kind" text NOT NULL CHECK ("kind" IN ('student_pdf_batch')),
+  "status" text NOT NULL DEFAULT 'queued' CHECK ("status" IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  "params" jsonb NOT NULL DEFAULT '{}'::jsonb,
+  "items" jsonb NOT NULL DEFAULT '[]'::jsonb,
+  "result_path" text,
+  "result_size" bigint,
+  "error" text,
+  "lease_until" timestamptz,
+  "created_by" uuid,
+  "created_at" timestamptz NOT NULL DEFAULT now(),
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  "completed_at" timestamptz,
+  "expires_at" timestamptz
+);
 CREATE TABLE IF NOT EXISTS tuttiud."Settings" (
   "id" uuid NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
   "key" text NOT NULL UNIQUE,
@@ -345,6 +458,25 @@ CREATE POLICY "Documents_delete_policy" ON tuttiud."Documents"
 
 CREATE INDEX IF NOT EXISTS "SessionRecords_student_date_idx" ON tuttiud."SessionRecords" ("student_id", "date");
 CREATE INDEX IF NOT EXISTS "SessionRecords_instructor_idx" ON tuttiud."SessionRecords" ("instructor_id");
+CREATE INDEX IF NOT EXISTS "SessionRecords_group_idx" ON tuttiud."SessionRecords" ("group_id") WHERE "group_id" IS NOT NULL;
+CREATE INDEX IF NOT EXISTS "Students_name_idx" ON tuttiud."Students" ("name");
+CREATE INDEX IF NOT EXISTS "Students_instructor_idx" ON tuttiud."Students" ("assigned_instructor_id");
+CREATE INDEX IF NOT EXISTS "Students_schedule_idx" ON tuttiud."Students" ("default_day_of_week", "default_session_time");
+CREATE INDEX IF NOT EXISTS "Students_tags_idx" ON tuttiud."Students" USING GIN ("tags");
+CREATE INDEX IF NOT EXISTS "Students_schedule_slots_idx" ON tuttiud."Students" USING GIN ("schedule_slots" jsonb_path_ops);
+CREATE UNIQUE INDEX IF NOT EXISTS "SessionExceptions_occurrence_idx" ON tuttiud."SessionExceptions" ("student_id", "date", "slot_id");
+CREATE INDEX IF NOT EXISTS "SessionExceptions_date_idx" ON tuttiud."SessionExceptions" ("date");
+CREATE INDEX IF NOT EXISTS "SessionExceptions_makeup_date_idx" ON tuttiud."SessionExceptions" ("makeup_date") WHERE "makeup_date" IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS "SessionDrafts_owner_key_idx" ON tuttiud."SessionDrafts" ("user_id", "draft_key");
+CREATE INDEX IF NOT EXISTS "SessionDrafts_expires_idx" ON tuttiud."SessionDrafts" ("expires_at");
+CREATE INDEX IF NOT EXISTS "StudentGoals_student_idx" ON tuttiud."StudentGoals" ("student_id", "status");
+CREATE UNIQUE INDEX IF NOT EXISTS "PayrollApprovals_instructor_month_idx" ON tuttiud."PayrollApprovals" ("instructor_id", "month");
+CREATE INDEX IF NOT EXISTS "BillingStatements_student_month_idx" ON tuttiud."BillingStatements" ("student_id", "month");
+CREATE INDEX IF NOT EXISTS "BillingStatements_month_idx" ON tuttiud."BillingStatements" ("month", "status");
+CREATE INDEX IF NOT EXISTS "BillingLineItems_statement_idx" ON tuttiud."BillingLineItems" ("statement_id");
+-- A documented session is billed at most once
+CREATE UNIQUE INDEX IF NOT EXISTS "BillingLineItems_session_idx" ON tuttiud."BillingLineItems" ("session_id") WHERE "session_id" IS NOT NULL;
+CREATE INDEX IF NOT EXISTS "ExportJobs_status_idx" ON tuttiud."ExportJobs" ("status", "created_at");
 
 -- Part 3: Row Level Security (RLS) Setup - NOW IDEMPOTENT
 
@@ -353,6 +485,13 @@ ALTER TABLE tuttiud."Instructors" ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tuttiud."Students" ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tuttiud."SessionRecords" ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tuttiud."Settings" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tuttiud."SessionExceptions" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tuttiud."SessionDrafts" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tuttiud."StudentGoals" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tuttiud."PayrollApprovals" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tuttiud."BillingStatements" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tuttiud."BillingLineItems" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tuttiud."ExportJobs" ENABLE ROW LEVEL SECURITY;
 
 -- Policies for "Instructors"
 DROP POLICY IF EXISTS "Allow full access to authenticated users on Instructors" ON tuttiud."Instructors";
@@ -370,6 +509,34 @@ CREATE POLICY "Allow full access to authenticated users on SessionRecords" ON tu
 DROP POLICY IF EXISTS "Allow full access to authenticated users on Settings" ON tuttiud."Settings";
 CREATE POLICY "Allow full access to authenticated users on Settings" ON tuttiud."Settings" FOR ALL TO authenticated, app_user USING (true) WITH CHECK (true);
 
+-- Policies for "SessionExceptions"
+DROP POLICY IF EXISTS "Allow full access to authenticated users on SessionExceptions" ON tuttiud."SessionExceptions";
+CREATE POLICY "Allow full access to authenticated users on SessionExceptions" ON tuttiud."SessionExceptions" FOR ALL TO authenticated, app_user USING (true) WITH CHECK (true);
+
+-- Policies for "SessionDrafts"
+DROP POLICY IF EXISTS "Allow full access to authenticated users on SessionDrafts" ON tuttiud."SessionDrafts";
+CREATE POLICY "Allow full access to authenticated users on SessionDrafts" ON tuttiud."SessionDrafts" FOR ALL TO authenticated, app_user USING (true) WITH CHECK (true);
+
+-- Policies for "StudentGoals"
+DROP POLICY IF EXISTS "Allow full access to authenticated users on StudentGoals" ON tuttiud."StudentGoals";
+CREATE POLICY "Allow full access to authenticated users on StudentGoals" ON tuttiud."StudentGoals" FOR ALL TO authenticated, app_user USING (true) WITH CHECK (true);
+
+-- Policies for "PayrollApprovals"
+DROP POLICY IF EXISTS "Allow full access to authenticated users on PayrollApprovals" ON tuttiud."PayrollApprovals";
+CREATE POLICY "Allow full access to authenticated users on PayrollApprovals" ON tuttiud."PayrollApprovals" FOR ALL TO authenticated, app_user USING (true) WITH CHECK (true);
+
+-- Policies for "BillingStatements"
+DROP POLICY IF EXISTS "Allow full access to authenticated users on BillingStatements" ON tuttiud."BillingStatements";
+CREATE POLICY "Allow full access to authenticated users on BillingStatements" ON tuttiud."BillingStatements" FOR ALL TO authenticated, app_user USING (true) WITH CHECK (true);
+
+-- Policies for "BillingLineItems"
+DROP POLICY IF EXISTS "Allow full access to authenticated users on BillingLineItems" ON tuttiud."BillingLineItems";
+CREATE POLICY "Allow full access to authenticated users on BillingLineItems" ON tuttiud."BillingLineItems" FOR ALL TO authenticated, app_user USING (true) WITH CHECK (true);
+
+-- Policies for "ExportJobs"
+DROP POLICY IF EXISTS "Allow full access to authenticated users on ExportJobs" ON tuttiud."ExportJobs";
+CREATE POLICY "Allow full access to authenticated users on ExportJobs" ON tuttiud."ExportJobs" FOR ALL TO authenticated, app_user USING (true) WITH CHECK (true);
+
 
 -- Part 4: Application Role and Permissions (No Changes)
 DO $$
@@ -5,7 +5,7 @@ import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { EnhancedDialogHeader } from '@/components/ui/DialogHeader';
-import { PlugZap, Sparkles, Users, ListChecks, ClipboardList, ShieldCheck, Tag, EyeOff, HardDrive, FileText, Briefcase, Inbox } from 'lucide-react';
+import { PlugZap, Sparkles, Users, ListChecks, ClipboardList, ShieldCheck, Tag, EyeOff, HardDrive, FileText, Briefcase, Inbox, History, CalendarOff, FilePen, Clock, Receipt } from 'lucide-react';
 import SetupAssistant from '@/components/settings/SetupAssistant.jsx';
 import OrgMembersCard from '@/components/settings/OrgMembersCard.jsx';
 import SessionFormManager from '@/components/settings/SessionFormManager.jsx';
@@ -20,6 +20,12 @@ import IntakeSettingsCard from '@/components/settings/IntakeSettingsCard.jsx';
 import DocumentRulesManager from '@/components/settings/DocumentRulesManager.jsx';
 import MyInstructorDocuments from '@/components/settings/MyInstructorDocuments.jsx';
 import OrgDocumentsManager from '@/components/settings/OrgDocumentsManager.jsx';
+import AuditLogViewer from '@/components/settings/AuditLogViewer.jsx';
+import ClosureCalendarSettings from '@/components/settings/ClosureCalendarSettings.jsx';
+import SessionDraftSettings from '@/components/settings/SessionDraftSettings.jsx';
+import EmploymentScopeSettings from '@/components/settings/EmploymentScopeSettings.jsx';
+import PayrollDurationSettings from '@/components/settings/PayrollDurationSettings.jsx';
+import BillingSettings from '@/components/settings/BillingSettings.jsx';
 import { fetchSettingsValue } from '@/features/settings/api/settings.js';
 import { upsertSetting } from '@/features/settings/api/settings.js';
 import { OnboardingCard } from '@/features/onboarding/components/OnboardingCard.jsx';
@@ -34,7 +40,7 @@ export default function Settings() {
   const normalizedRole = typeof membershipRole === 'string' ? membershipRole.trim().toLowerCase() : '';
   const canManageSessionForm = normalizedRole === 'admin' || normalizedRole === 'owner';
   const setupDialogAutoOpenRef = useRef(!activeOrgHasConnection);
-  const [selectedModule, setSelectedModule] = useState(null); // 'setup' | 'orgMembers' | 'sessionForm' | 'services' | 'instructors' | 'backup' | 'logo' | 'tags' | 'studentVisibility' | 'storage' | 'documents' | 'orgDocuments' | 'myDocuments' | 'intake'
+  const [selectedModule, setSelectedModule] = useState(null); // 'setup' | 'orgMembers' | 'sessionForm' | 'services' | 'instructors' | 'backup' | 'logo' | 'tags' | 'studentVisibility' | 'storage' | 'documents' | 'orgDocuments' | 'myDocuments' | 'intake' | 'auditLog' | 'closures' | 'sessionDrafts' | 'payroll' | 'billing'
   const [backupEnabled, setBackupEnabled] = useState(false);
   const [logoEnabled, setLogoEnabled] = useState(false);
   const [storageEnabled, setStorageEnabled] = useState(false);
@@ -581,6 +587,118 @@ export default function Settings() {
             </CardContent>
           </Card>
 
+          {/* Closure Calendar Card */}
+          <Card className="group relative w-full overflow-hidden border-0 bg-white/80 shadow-md transition-all duration-200 hover:shadow-xl hover:scale-[1.02] flex flex-col">
+            <CardHeader className="space-y-2 pb-3 flex-1">
+              <div className="flex items-start gap-2">
+                <div className="rounded-lg bg-rose-100 p-2 text-rose-600 transition-colors group-hover:bg-rose-600 group-hover:text-white">
+                  <CalendarOff className="h-5 w-5" aria-hidden="true" />
+                </div>
+                <CardTitle className="text-lg font-bold text-slate-900">
+                  ימי חופש וסגירה
+                </CardTitle>
+              </div>
+              <p className="text-sm text-slate-600 leading-relaxed min-h-[2.5rem]">
+                חגים, חופשות וימי סגירה שבהם לא נדרש תיעוד מפגשים.
+              </p>
+            </CardHeader>
+            <CardContent className="pt-0 mt-auto">
+              <Button
+                size="sm"
+                className="w-full gap-2"
+                onClick={() => setSelectedModule('closures')}
+                disabled={!canManageSessionForm || !activeOrgHasConnection || !tenantClientReady}
+                variant={(!canManageSessionForm || !activeOrgHasConnection || !tenantClientReady) ? 'secondary' : 'default'}
+              >
+                <CalendarOff className="h-4 w-4" /> ניהול לוח חופשות
+              </Button>
+            </CardContent>
+          </Card>
+
+          {/* Session Drafts Card */}
+          <Card className="group relative w-full overflow-hidden border-0 bg-white/80 shadow-md transition-all duration-200 hover:shadow-xl hover:scale-[1.02] flex flex-col">
+            <CardHeader className="space-y-2 pb-3 flex-1">
+              <div className="flex items-start gap-2">
+                <div className="rounded-lg bg-teal-100 p-2 text-teal-600 transition-colors group-hover:bg-teal-600 group-hover:text-white">
+                  <FilePen className="h-5 w-5" aria-hidden="true" />
+                </div>
+                <CardTitle className="text-lg font-bold text-slate-900">
+                  טיוטות דיווח
+                </CardTitle>
+              </div>
+              <p className="text-sm text-slate-600 leading-relaxed min-h-[2.5rem]">
+                כמה זמן נשמרות טיוטות של דיווחי מפגש שלא נשלחו.
+              </p>
+            </CardHeader>
+            <CardContent className="pt-0 mt-auto">
+              <Button
+                size="sm"
+                className="w-full gap-2"
+                onClick={() => setSelectedModule('sessionDrafts')}
+                disabled={!canManageSessionForm || !activeOrgHasConnection || !tenantClientReady}
+                variant={(!canManageSessionForm || !activeOrgHasConnection || !tenantClientReady) ? 'secondary' : 'default'}
+              >
+                <FilePen className="h-4 w-4" /> ניהול טיוטות
+              </Button>
+            </CardContent>
+          </Card>
+
+          {/* Payroll Hours Card */}
+          <Card className="group relative w-full overflow-hidden border-0 bg-white/80 shadow-md transition-all duration-200 hover:shadow-xl hover:scale-[1.02] flex flex-col">
+            <CardHeader className="space-y-2 pb-3 flex-1">
+              <div className="flex items-start gap-2">
+                <div className="rounded-lg bg-indigo-100 p-2 text-indigo-600 transition-colors group-hover:bg-indigo-600 group-hover:text-white">
+                  <Clock className="h-5 w-5" aria-hidden="true" />
+                </div>
+                <CardTitle className="text-lg font-bold text-slate-900">
+                  שעות ושכר
+                </CardTitle>
+              </div>
+              <p className="text-sm text-slate-600 leading-relaxed min-h-[2.5rem]">
+                היקפי משרה ומשך מפגש ברירת מחדל לדוח השעות החודשי.
+              </p>
+            </CardHeader>
+            <CardContent className="pt-0 mt-auto">
+              <Button
+                size="sm"
+                className="w-full gap-2"
+                onClick={() => setSelectedModule('payroll')}
+                disabled={!canManageSessionForm || !activeOrgHasConnection || !tenantClientReady}
+                variant={(!canManageSessionForm || !activeOrgHasConnection || !tenantClientReady) ? 'secondary' : 'default'}
+              >
+                <Clock className="h-4 w-4" /> ניהול שעות ושכר
+              </Button>
+            </CardContent>
+          </Card>
+
+          {/* Billing Card */}
+          <Card className="group relative w-full overflow-hidden border-0 bg-white/80 shadow-md transition-all duration-200 hover:shadow-xl hover:scale-[1.02] flex flex-col">
+            <CardHeader className="space-y-2 pb-3 flex-1">
+              <div className="flex items-start gap-2">
+                <div className="rounded-lg bg-emerald-100 p-2 text-emerald-600 transition-colors group-hover:bg-emerald-600 group-hover:text-white">
+                  <Receipt className="h-5 w-5" aria-hidden="true" />
+                </div>
+                <CardTitle className="text-lg font-bold text-slate-900">
+                  חיוב
+                </CardTitle>
+              </div>
+              <p className="text-sm text-slate-600 leading-relaxed min-h-[2.5rem]">
+                מחירון לפי שירות, מחירים ומשלמים לתלמידים לדפי החיוב החודשיים.
+              </p>
+            </CardHeader>
+            <CardContent className="pt-0 mt-auto">
+              <Button
+                size="sm"
+                className="w-full gap-2"
+                onClick={() => setSelectedModule('billing')}
+                disabled={!canManageSessionForm || !activeOrgHasConnection || !tenantClientReady}
+                variant={(!canManageSessionForm || !activeOrgHasConnection || !tenantClientReady) ? 'secondary' : 'default'}
+              >
+                <Receipt className="h-4 w-4" /> ניהול מחירון
+              </Button>
+            </CardContent>
+          </Card>
+
           {/* Backup & Restore Card */}
           <Card className={`group relative w-full overflow-hidden border-0 shadow-md transition-all duration-200 flex flex-col ${
             backupEnabled ? 'bg-white/80 hover:shadow-xl hover:scale-[1.02]' : 'bg-slate-50 opacity-75'
@@ -776,6 +894,34 @@ export default function Settings() {
             </CardContent>
           </Card>
 
+          {/* Audit Log Card */}
+          <Card className="group relative w-full overflow-hidden border-0 bg-white/80 shadow-md transition-all duration-200 hover:shadow-xl hover:scale-[1.02] flex flex-col">
+            <CardHeader className="space-y-2 pb-3 flex-1">
+              <div className="flex items-start gap-2">
+                <div className="rounded-lg bg-amber-100 p-2 text-amber-600 transition-colors group-hover:bg-amber-600 group-hover:text-white">
+                  <History className="h-5 w-5" aria-hidden="true" />
+                </div>
+                <CardTitle className="text-lg font-bold text-slate-900">
+                  יומן פעולות
+                </CardTitle>
+              </div>
+              <p className="text-sm text-slate-600 leading-relaxed min-h-[2.5rem]">
+                מי עשה מה ומתי: שינויים בתלמידים, מפגשים, הגדרות, גיבויים ואחסון
+              </p>
+            </CardHeader>
+            <CardContent className="pt-0 mt-auto">
+              <Button
+                size="sm"
+                className="w-full gap-2"
+                onClick={() => setSelectedModule('auditLog')}
+                disabled={!canManageSessionForm}
+                variant={!canManageSessionForm ? 'secondary' : 'default'}
+              >
+                <History className="h-4 w-4" /> צפייה ביומן
+              </Button>
+            </CardContent>
+          </Card>
+
           {/* Organization Documents Card - Show to admins always, or to members if visibility enabled */}
           {(storageEnabled && orgDocsVisibility) && (
           <Card className="group relative w-full overflow-hidden border-0 bg-white/80 shadow-md transition-all duration-200 hover:shadow-xl hover:scale-[1.02] flex flex-col">
@@ -866,6 +1012,11 @@ export default function Settings() {
                 selectedModule === 'orgDocuments' ? <Briefcase /> :
                 selectedModule === 'myDocuments' ? <FileText /> :
                 selectedModule === 'intake' ? <Inbox /> :
+                selectedModule === 'auditLog' ? <History /> :
+                selectedModule === 'closures' ? <CalendarOff /> :
+                selectedModule === 'sessionDrafts' ? <FilePen /> :
+                selectedModule === 'payroll' ? <Clock /> :
+                selectedModule === 'billing' ? <Receipt /> :
                 null
               }
               title={
@@ -883,6 +1034,11 @@ export default function Settings() {
                 selectedModule === 'orgDocuments' ? 'מסמכי הארגון' :
                 selectedModule === 'myDocuments' ? 'המסמכים שלי' :
                 selectedModule === 'intake' ? 'קליטת תלמידים' :
+                selectedModule === 'auditLog' ? 'יומן פעולות' :
+                selectedModule === 'closures' ? 'ימי חופש וסגירה' :
+                selectedModule === 'sessionDrafts' ? 'טיוטות דיווח' :
+                selectedModule === 'payroll' ? 'שעות ושכר' :
+                selectedModule === 'billing' ? 'חיוב' :
                 ''
               }
               onClose={() => setSelectedModule(null)}
@@ -961,6 +1117,46 @@ export default function Settings() {
                     activeOrgHasConnection={activeOrgHasConnection}
                   />
                 )}
+                {selectedModule === 'auditLog' && (
+                  <AuditLogViewer orgId={activeOrgId} />
+                )}
+                {selectedModule === 'closures' && (
+                  <ClosureCalendarSettings
+                    session={session}
+                    orgId={activeOrgId}
+                    activeOrgHasConnection={activeOrgHasConnection}
+                  />
+                )}
+                {selectedModule === 'sessionDrafts' && (
+                  <SessionDraftSettings
+                    session={session}
+                    orgId={activeOrgId}
+                    activeOrgHasConnection={activeOrgHasConnection}
+                  />
+                )}
+                {selectedModule === 'payroll' && (
+                  <div className="space-y-md">
+                    <EmploymentScopeSettings
+                      session={session}
+                      orgId={activeOrgId}
+                      activeOrgHasConnection={activeOrgHasConnection}
+                    />
+                    <PayrollDurationSettings
+                      session={session}
+                      orgId={activeOrgId}
+                      activeOrgHasConnection={activeOrgHasConnection}
+                      tenantClientReady={tenantClientReady}
+                    />
+                  </div>
+                )}
+                {selectedModule === 'billing' && (
+                  <BillingSettings
+                    session={session}
+                    orgId={activeOrgId}
+                    activeOrgHasConnection={activeOrgHasConnection}
+                    tenantClientReady={tenantClientReady}
+                  />
+                )}
               </div>
             </div>
           </DialogContent>
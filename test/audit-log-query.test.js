@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AUDIT_LOG_EXPORT_LIMIT,
+  AUDIT_LOG_MAX_LIMIT,
+  applyAuditLogFilters,
+  buildAuditCsvRows,
+  describeAuditEntry,
+  parseAuditLogQuery,
+} from '../api/_shared/audit-log-query.js';
+
+function createRecorder() {
+  const calls = [];
+  const builder = new Proxy({}, {
+    get(_target, method) {
+      return (...args) => {
+        calls.push([method, ...args]);
+        return builder;
+      };
+    },
+  });
+  return { builder, calls };
+}
+
+describe('audit-log query parsing', () => {
+  it('defaults to the first JSON page and clamps the page size', () => {
+    assert.deepEqual(parseAuditLogQuery({}).pagination, { limit: 50, offset: 0 });
+    assert.deepEqual(parseAuditLogQuery({ limit: '1000', offset: '100' }).pagination, { limit: AUDIT_LOG_MAX_LIMIT, offset: 100 });
+  });
+
+  it('ignores paging for CSV exports', () => {
+    const parsed = parseAuditLogQuery({ format: 'CSV', offset: '50' });
+    assert.equal(parsed.format, 'csv');
+    assert.deepEqual(parsed.pagination, { limit: AUDIT_LOG_EXPORT_LIMIT, offset: 0 });
+  });
+
+  it('rejects invalid values', () => {
+    assert.equal(parseAuditLogQuery({ format: 'xml' }).error, 'invalid_format');
+    assert.equal(parseAuditLogQuery({ limit: '0' }).error, 'invalid_limit');
+    assert.equal(parseAuditLogQuery({ category: 'storage;drop' }).error, 'invalid_category');
+    assert.equal(parseAuditLogQuery({ from: 'yesterday' }).error, 'invalid_date');
+    assert.equal(parseAuditLogQuery({ from: '2026-02-01T00:00:00Z', to: '2026-01-01T00:00:00Z' }).error, 'invalid_date_range');
+  });
+
+  it('treats a UUID actor as a user id and anything else as an email search', () => {
+    const byId = parseAuditLogQuery({ actor: '1E2D3C4B-0000-4000-8000-000000000001' });
+    assert.equal(byId.actorId, '1e2d3c4b-0000-4000-8000-000000000001');
+    assert.equal(byId.actorSearch, '');
+    assert.equal(parseAuditLogQuery({ actor: ' dana@(example).com ' }).actorSearch, 'dana@ example .com');
+  });
+});
+
+describe('audit-log filters', () => {
+  it('maps every filter onto the query builder', () => {
+    const { builder, calls } = createRecorder();
+    applyAuditLogFilters(builder, parseAuditLogQuery({
+      category: 'students',
+      action: 'student.updated',
+      resource_type: 'student',
+      resource_id: 'abc',
+      actor: 'dana',
+      from: '2026-01-01T00:00:00Z',
+      to: '2026-01-02T00:00:00Z',
+    }));
+
+    assert.deepEqual(calls, [
+      ['eq', 'action_category', 'students'],
+      ['eq', 'action_type', 'student.updated'],
+      ['eq', 'resource_type', 'student'],
+      ['eq', 'resource_id', 'abc'],
+      ['ilike', 'user_email', '%dana%'],
+      ['gte', 'performed_at', '2026-01-01T00:00:00.000Z'],
+      ['lt', 'performed_at', '2026-01-02T00:00:00.000Z'],
+    ]);
+  });
+
+  it('adds no filters when none are sent', () => {
+    const { builder, calls } = createRecorder();
+    applyAuditLogFilters(builder, parseAuditLogQuery({}));
+    assert.deepEqual(calls, []);
+  });
+});
+
+describe('audit-log descriptions', () => {
+  it('describes known actions in Hebrew with the affected record', () => {
+    const entry = describeAuditEntry({
+      user_email: 'dana@example.com',
+      user_role: 'admin',
+      action_type: 'student.updated',
+      action_category: 'students',
+      details: { student_name: 'נועה לוי' },
+    });
+
+    assert.equal(entry.description, 'dana@example.com עדכון תלמיד – נועה לוי');
+    assert.equal(entry.category_label, 'תלמידים');
+    assert.equal(entry.role_label, 'מנהל');
+  });
+
+  it('credits system jobs to the system and keeps unknown action types readable', () => {
+    const entry = describeAuditEntry({
+      user_email: 'system@tuttiud.com',
+      user_role: 'system_admin',
+      action_type: 'future.action',
+      action_category: 'future',
+    });
+
+    assert.equal(entry.description, 'המערכת future.action');
+    assert.equal(entry.category_label, 'future');
+  });
+
+  it('builds CSV rows with Hebrew headers and serialized details', () => {
+    const [row] = buildAuditCsvRows([describeAuditEntry({
+      performed_at: '2026-01-01T10:00:00Z',
+      user_email: 'dana@example.com',
+      user_role: 'owner',
+      action_type: 'backup.created',
+      action_category: 'backup',
+      details: { trigger: 'manual' },
+    })]);
+
+    assert.equal(row['פעולה'], 'יצירת גיבוי');
+    assert.equal(row['פרטים'], '{"trigger":"manual"}');
+    assert.equal(row['מזהה רשומה'], '');
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Azure Blob Storage adapter tests
+ *
+ * Runs the real @azure/storage-blob client against a minimal in-process stand-in
+ * for the Blob REST API (path-style URLs like Azurite), so no network or emulator is needed.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { Buffer } from 'node:buffer';
+import { createAzureDriver } from '../api/cross-platform/storage-drivers/azure-adapter.js';
+import { getStorageDriver } from '../api/cross-platform/storage-drivers/index.js';
+
+// Well-known Azurite development credentials (public, not a secret)
+const ACCOUNT_NAME = 'devstoreaccount1';
+const ACCOUNT_KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+const CONTAINER = 'documents';
+const LIST_PAGE_SIZE = 2;
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function createBlobStandIn() {
+  const blobs = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const [, container, ...rest] = segments;
+    const blobName = rest.join('/');
+    const key = `${container}/${blobName}`;
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    const baseHeaders = {
+      'x-ms-request-id': `req-${requests.length}`,
+      'x-ms-version': '2021-12-02',
+      date: new Date().toUTCString(),
+    };
+
+    const notFound = () => {
+      res.writeHead(404, { ...baseHeaders, 'x-ms-error-code': 'BlobNotFound', 'content-type': 'application/xml' });
+      res.end('<?xml version="1.0" encoding="utf-8"?><Error><Code>BlobNotFound</Code><Message>The specified blob does not exist.</Message></Error>');
+    };
+
+    if (req.method === 'GET' && url.searchParams.get('comp') === 'list') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const marker = url.searchParams.get('marker') || '';
+      const names = [...blobs.keys()]
+        .filter((name) => name.startsWith(`${container}/${prefix}`))
+        .map((name) => name.slice(container.length + 1))
+        .sort();
+      const start = marker ? names.indexOf(marker) : 0;
+      const page = names.slice(start, start + LIST_PAGE_SIZE);
+      const nextMarker = names[start + LIST_PAGE_SIZE] || '';
+      const items = page.map((name) => {
+        const blob = blobs.get(`${container}/${name}`);
+        return `<Blob><Name>${escapeXml(name)}</Name><Properties><Last-Modified>${blob.lastModified}</Last-Modified><Etag>${blob.etag}</Etag><Content-Length>${blob.body.length}</Content-Length><Content-Type>${escapeXml(blob.contentType)}</Content-Type><BlobType>BlockBlob</BlobType></Properties></Blob>`;
+      }).join('');
+      res.writeHead(200, { ...baseHeaders, 'content-type': 'application/xml' });
+      res.end(`<?xml version="1.0" encoding="utf-8"?><EnumerationResults ServiceEndpoint="http://localhost/${ACCOUNT_NAME}" ContainerName="${container}"><Prefix>${escapeXml(prefix)}</Prefix><Blobs>${items}</Blobs><NextMarker>${escapeXml(nextMarker)}</NextMarker></EnumerationResults>`);
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        const etag = `"0x${Date.now().toString(16)}"`;
+        blobs.set(key, {
+          body: Buffer.concat(chunks),
+          contentType: req.headers['x-ms-blob-content-type'] || 'application/octet-stream',
+          etag,
+          lastModified: new Date().toUTCString(),
+        });
+        res.writeHead(201, { ...baseHeaders, etag, 'last-modified': new Date().toUTCString() });
+        res.end();
+      });
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const blob = blobs.get(key);
+      if (!blob) {
+        notFound();
+        return;
+      }
+      const headers = {
+        ...baseHeaders,
+        'content-length': blob.body.length,
+        'content-type': blob.contentType,
+        etag: blob.etag,
+        'last-modified': blob.lastModified,
+        'x-ms-blob-type': 'BlockBlob',
+        'accept-ranges': 'bytes',
+      };
+      // Like Azure, honour the SAS response-header override
+      if (url.searchParams.get('rscd')) {
+        headers['content-disposition'] = url.searchParams.get('rscd');
+      }
+      res.writeHead(200, headers);
+      res.end(req.method === 'HEAD' ? undefined : blob.body);
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      if (!blobs.delete(key)) {
+        notFound();
+        return;
+      }
+      res.writeHead(202, baseHeaders);
+      res.end();
+      return;
+    }
+
+    res.writeHead(405, baseHeaders);
+    res.end();
+  });
+
+  return { server, blobs, requests };
+}
+
+describe('azure storage driver', () => {
+  let standIn;
+  let endpoint;
+  let driver;
+
+  before(async () => {
+    standIn = createBlobStandIn();
+    await new Promise((resolve) => standIn.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${standIn.server.address().port}/${ACCOUNT_NAME}`;
+    driver = createAzureDriver({ accountName: ACCOUNT_NAME, accountKey: ACCOUNT_KEY, container: CONTAINER, endpoint });
+  });
+
+  after(async () => {
+    await new Promise((resolve) => standIn.server.close(resolve));
+  });
+
+  it('uploads and reads back a file as a buffer', async () => {
+    const payload = Buffer.from('שלום עולם');
+    const { url } = await driver.upload('org-1/students/a.txt', payload, 'text/plain');
+
+    assert.ok(url.startsWith(`${endpoint}/${CONTAINER}/org-1/students/a.txt`));
+    const roundTrip = await driver.getFile('org-1/students/a.txt');
+    assert.equal(roundTrip.toString('utf8'), 'שלום עולם');
+  });
+
+  it('streams a file without buffering it in the adapter', async () => {
+    await driver.upload('org-1/big.bin', Buffer.alloc(64 * 1024, 7), 'application/octet-stream');
+    const stream = await driver.getFileStream('org-1/big.bin');
+
+    let total = 0;
+    for await (const chunk of stream) {
+      total += chunk.length;
+    }
+    assert.equal(total, 64 * 1024);
+  });
+
+  it('signs read-only SAS download URLs with an RFC 5987 content-disposition', async () => {
+    await driver.upload('org-1/report.pdf', Buffer.from('%PDF'), 'application/pdf');
+    const signed = await driver.getDownloadUrl('org-1/report.pdf', 600, 'דוח.pdf');
+    const parsed = new URL(signed);
+
+    assert.equal(parsed.searchParams.get('sp'), 'r');
+    assert.ok(parsed.searchParams.get('sig'));
+    assert.ok(parsed.searchParams.get('se'));
+    assert.equal(
+      parsed.searchParams.get('rscd'),
+      `attachment; filename="document"; filename*=UTF-8''${encodeURIComponent('דוח.pdf')}`,
+    );
+
+    const expiresAt = new Date(parsed.searchParams.get('se')).getTime();
+    assert.ok(expiresAt - Date.now() <= 600 * 1000 + 1000);
+
+    const response = await fetch(signed);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /^attachment;/);
+  });
+
+  it('uses inline disposition for previews', async () => {
+    const signed = await driver.getDownloadUrl('org-1/report.pdf', 600, null, 'inline');
+    assert.equal(new URL(signed).searchParams.get('rscd'), 'inline');
+  });
+
+  it('deletes every blob under a prefix across list pages', async () => {
+    for (const name of ['a', 'b', 'c', 'd', 'e']) {
+      await driver.upload(`cleanup/org-2/${name}.txt`, Buffer.from(name), 'text/plain');
+    }
+    await driver.upload('cleanup/org-3/keep.txt', Buffer.from('keep'), 'text/plain');
+
+    const deleted = await driver.deletePrefix('cleanup/org-2/');
+
+    assert.equal(deleted, 5);
+    assert.ok(standIn.requests.filter((r) => r.query.comp === 'list').length >= 3);
+    assert.ok(standIn.blobs.has(`${CONTAINER}/cleanup/org-3/keep.txt`));
+    assert.ok(![...standIn.blobs.keys()].some((key) => key.includes('cleanup/org-2/')));
+  });
+
+  it('treats deleting a missing blob as a no-op', async () => {
+    await driver.delete('missing/file.txt');
+    assert.equal(await driver.deletePrefix('missing/'), 0);
+  });
+
+  it('maps generic BYOS credential fields onto the azure driver', async () => {
+    const byosDriver = getStorageDriver('byos', {
+      provider: 'azure',
+      endpoint,
+      bucket: CONTAINER,
+      access_key_id: ACCOUNT_NAME,
+      secret_access_key: ACCOUNT_KEY,
+    });
+
+    assert.equal(byosDriver.getType(), 'azure');
+    const roundTrip = await byosDriver.getFile('org-1/students/a.txt');
+    assert.equal(roundTrip.toString('utf8'), 'שלום עולם');
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import {
+  decryptBackupDestination,
+  encryptBackupDestination,
+  toPublicDestination,
+  uploadBackupToDestinations,
+  validateBackupDestination,
+} from '../api/_shared/backup-destinations.js';
+import { createWebdavDestination } from '../api/cross-platform/backup-destinations/webdav-adapter.js';
+import { createS3Destination } from '../api/cross-platform/backup-destinations/s3-adapter.js';
+import { getBackupDestination } from '../api/cross-platform/backup-destinations/index.js';
+
+const ENV = { APP_ORG_CREDENTIALS_ENCRYPTION_KEY: 'backup-destinations-test-secret' };
+
+const webdavInput = {
+  type: 'webdav',
+  name: 'NAS',
+  config: { url: 'https://nas.example.com/dav/backups/', username: 'office', password: 'hunter2' },
+};
+
+function saveDestination(input, existing = null) {
+  const { destination, secrets, errors } = validateBackupDestination(input, existing);
+  assert.equal(errors, undefined);
+  return encryptBackupDestination(destination, secrets, ENV, existing);
+}
+
+describe('backup destination config', () => {
+  it('requires type-specific fields', () => {
+    assert.deepEqual(validateBackupDestination({ type: 'ftp' }).errors, ['Unsupported destination type']);
+    assert.ok(validateBackupDestination({ type: 'webdav', config: { url: 'nas', username: 'a', password: 'b' } }).errors
+      .includes('A valid HTTPS WebDAV URL is required'));
+    assert.ok(validateBackupDestination({ type: 'webdav', config: { url: 'http://10.0.0.5/dav', username: 'a', password: 'b' } }).errors
+      .includes('A valid HTTPS WebDAV URL is required'));
+    assert.ok(validateBackupDestination({ type: 's3', config: { bucket: 'b', endpoint: 'http://minio.local:9000', access_key_id: 'a', secret_access_key: 'b' } }).errors
+      .includes('Endpoint must be a valid HTTPS URL'));
+    assert.deepEqual(validateBackupDestination({ type: 's3', config: { bucket: 'b' } }).errors, [
+      'access_key_id is required',
+      'secret_access_key is required',
+    ]);
+  });
+
+  it('encrypts secrets and never exposes them publicly', () => {
+    const stored = saveDestination(webdavInput);
+
+    assert.equal(stored.config.password, undefined);
+    assert.ok(stored._credentials.startsWith('v1:gcm:'));
+    assert.ok(!JSON.stringify(stored).includes('hunter2'));
+    assert.deepEqual(toPublicDestination(stored).config, { url: 'https://nas.example.com/dav/backups/', username: 'office' });
+    assert.equal(toPublicDestination(stored).has_credentials, true);
+    assert.equal(decryptBackupDestination(stored, ENV).config.password, 'hunter2');
+  });
+
+  it('keeps stored secrets when an update leaves them blank', () => {
+    const stored = saveDestination(webdavInput);
+    const updated = saveDestination({ ...webdavInput, id: stored.id, name: 'Office NAS', enabled: false, config: { ...webdavInput.config, password: '' } }, stored);
+
+    assert.equal(updated.id, stored.id);
+    assert.equal(updated.enabled, false);
+    assert.equal(decryptBackupDestination(updated, ENV).config.password, 'hunter2');
+  });
+
+  it('asks for the secrets again when the target changes', () => {
+    const stored = saveDestination(webdavInput);
+    const moved = { ...webdavInput, id: stored.id, config: { ...webdavInput.config, url: 'https://attacker.example.com/dav/', password: '' } };
+    assert.deepEqual(validateBackupDestination(moved, stored).errors, ['password is required']);
+
+    const renamedUser = { ...webdavInput, config: { ...webdavInput.config, username: 'other', password: '' } };
+    assert.deepEqual(validateBackupDestination(renamedUser, stored).errors, ['password is required']);
+
+    const s3 = saveDestination({ type: 's3', config: { bucket: 'backups', access_key_id: 'AK', secret_access_key: 'SK' } });
+    const otherBucket = { type: 's3', config: { bucket: 'elsewhere', prefix: 'new' } };
+    assert.deepEqual(validateBackupDestination(otherBucket, s3).errors, ['access_key_id is required', 'secret_access_key is required']);
+    assert.equal(validateBackupDestination({ type: 's3', config: { bucket: 'backups', prefix: 'new' } }, s3).errors, undefined);
+  });
+});
+
+describe('backup destination uploads', () => {
+  it('uploads to enabled destinations and reports failures without throwing', async () => {
+    const ok = saveDestination(webdavInput);
+    const broken = { ...saveDestination({ ...webdavInput, name: 'Broken' }), id: 'broken' };
+    const off = { ...saveDestination({ ...webdavInput, name: 'Off' }), enabled: false };
+    const received = [];
+
+    const results = await uploadBackupToDestinations([ok, broken, off], {
+      filename: 'backup.enc',
+      buffer: Buffer.from('data'),
+      env: ENV,
+      createDestination: (destination) => ({
+        async upload(filename) {
+          if (destination.id === 'broken') throw new Error('unreachable');
+          received.push([destination.config.password, filename]);
+          return { location: `remote/${filename}` };
+        },
+      }),
+    });
+
+    assert.deepEqual(received, [['hunter2', 'backup.enc']]);
+    assert.deepEqual(results.map(({ name, status }) => [name, status]), [['NAS', 'uploaded'], ['Broken', 'failed']]);
+    assert.equal(results[1].error, 'unreachable');
+  });
+
+  it('writes WebDAV files with basic auth after creating the folder', async () => {
+    const calls = [];
+    const destination = createWebdavDestination({
+      url: 'https://nas.example.com/dav/backups/',
+      username: 'office',
+      password: 'hunter2',
+      fetchImpl: async (url, options) => {
+        calls.push([options.method, url, options.headers.Authorization]);
+        return { ok: options.method !== 'MKCOL', status: options.method === 'MKCOL' ? 405 : 201 };
+      },
+    });
+
+    const result = await destination.upload('tuttiud backup.enc', Buffer.from('x'));
+
+    const auth = `Basic ${Buffer.from('office:hunter2').toString('base64')}`;
+    assert.deepEqual(calls, [
+      ['MKCOL', 'https://nas.example.com/dav/backups/', auth],
+      ['PUT', 'https://nas.example.com/dav/backups/tuttiud%20backup.enc', auth],
+    ]);
+    assert.equal(result.location, 'https://nas.example.com/dav/backups/tuttiud%20backup.enc');
+  });
+
+  it('surfaces WebDAV authentication failures', async () => {
+    const destination = createWebdavDestination({
+      url: 'https://nas.example.com/dav',
+      username: 'u',
+      password: 'p',
+      fetchImpl: async () => ({ ok: false, status: 401 }),
+    });
+    await assert.rejects(() => destination.upload('a.enc', Buffer.from('x')), /authentication failed/);
+    assert.throws(() => createWebdavDestination({ url: 'http://nas.local/dav', username: 'u', password: 'p' }), /HTTPS/);
+    assert.throws(() => createS3Destination({ endpoint: 'http://minio.local:9000', bucket: 'b' }), /HTTPS/);
+  });
+
+  it('prefixes S3 keys and rejects unknown destination types', async () => {
+    const uploads = [];
+    const destination = createS3Destination({
+      prefix: '/tuttiud-backups/',
+      driver: { async upload(key) { uploads.push(key); }, async delete() {} },
+    });
+
+    await destination.upload('a.enc', Buffer.from('x'));
+
+    assert.deepEqual(uploads, ['tuttiud-backups/a.enc']);
+    assert.throws(() => getBackupDestination({ type: 'dropbox' }), /Unsupported backup destination/);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyBackupRetention,
+  buildScheduledBackupPath,
+  decryptBackupPassword,
+  encryptBackupPassword,
+  isScheduledBackupDue,
+  normalizeBackupSchedule,
+  performScheduledBackup,
+  selectExpiredBackups,
+} from '../api/_shared/backup-schedule.js';
+import { decryptBackup } from '../api/_shared/backup-utils.js';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const ENV = { APP_ORG_CREDENTIALS_ENCRYPTION_KEY: 'scheduled-backup-test-secret' };
+
+// 2026-03-01 is a Sunday; Israel is UTC+2 in early March
+const SUNDAY_0330_LOCAL = new Date('2026-03-01T01:30:00Z');
+const SUNDAY_0130_LOCAL = new Date('2026-02-28T23:30:00Z');
+
+const weekly = { enabled: true, frequency: 'weekly', weekday: 0, hour: 2, retention_count: 2, files_mode: 'reference' };
+
+function scheduledEntry(id, timestamp, extra = {}) {
+  return {
+    type: 'backup',
+    status: 'completed',
+    trigger: 'scheduled',
+    backup_id: id,
+    timestamp,
+    storage_path: `backups/${ORG}/${id}.enc`,
+    password_encrypted: 'x',
+    ...extra,
+  };
+}
+
+describe('backup schedule validation', () => {
+  it('fills omitted fields and rejects out-of-range values', () => {
+    assert.deepEqual(normalizeBackupSchedule({ enabled: true, frequency: 'DAILY', hour: '4' }).schedule, {
+      enabled: true,
+      frequency: 'daily',
+      weekday: 0,
+      hour: 4,
+      retention_count: 4,
+      files_mode: 'reference',
+    });
+    assert.equal(normalizeBackupSchedule({ hour: 3 }, { retention_count: 9 }).schedule.retention_count, 9);
+    assert.equal(normalizeBackupSchedule({ hour: 24 }).error, 'invalid_hour');
+    assert.equal(normalizeBackupSchedule({ retention_count: 0 }).error, 'invalid_retention_count');
+    assert.equal(normalizeBackupSchedule({ frequency: 'hourly' }).error, 'invalid_frequency');
+    assert.equal(normalizeBackupSchedule(null).error, 'invalid_schedule');
+  });
+});
+
+describe('scheduled backup timing', () => {
+  it('is due after the local hour on the scheduled weekday', () => {
+    assert.equal(isScheduledBackupDue(weekly, [], SUNDAY_0330_LOCAL), true);
+    assert.equal(isScheduledBackupDue(weekly, [], SUNDAY_0130_LOCAL), false);
+    assert.equal(isScheduledBackupDue({ ...weekly, weekday: 1 }, [], SUNDAY_0330_LOCAL), false);
+    assert.equal(isScheduledBackupDue({ ...weekly, enabled: false }, [], SUNDAY_0330_LOCAL), false);
+  });
+
+  it('runs once per local day, including after a failed attempt', () => {
+    const failedToday = [{ type: 'backup', status: 'failed', trigger: 'scheduled', timestamp: '2026-03-01T00:10:00Z' }];
+    const manualToday = [{ type: 'backup', status: 'completed', trigger: 'manual', timestamp: '2026-03-01T00:10:00Z' }];
+    const yesterday = [scheduledEntry('b1', '2026-02-28T21:00:00Z')];
+
+    assert.equal(isScheduledBackupDue(weekly, failedToday, SUNDAY_0330_LOCAL), false);
+    assert.equal(isScheduledBackupDue(weekly, manualToday, SUNDAY_0330_LOCAL), true);
+    assert.equal(isScheduledBackupDue({ ...weekly, frequency: 'daily' }, yesterday, SUNDAY_0330_LOCAL), true);
+  });
+});
+
+describe('scheduled backup retention', () => {
+  const history = [
+    scheduledEntry('old', '2026-02-01T00:00:00Z'),
+    { type: 'restore', status: 'completed', timestamp: '2026-02-02T00:00:00Z' },
+    scheduledEntry('mid', '2026-02-08T00:00:00Z'),
+    scheduledEntry('new', '2026-02-15T00:00:00Z'),
+  ];
+
+  it('keeps the most recent backups', () => {
+    const { keep, expired } = selectExpiredBackups(history, 2);
+    assert.deepEqual(keep.map((entry) => entry.backup_id), ['new', 'mid']);
+    assert.deepEqual(expired.map((entry) => entry.backup_id), ['old']);
+  });
+
+  it('deletes expired files and strips their path and password', async () => {
+    const deleted = [];
+    const driver = { async delete(path) { deleted.push(path); } };
+
+    const result = await applyBackupRetention(driver, history, 2, new Date('2026-02-16T00:00:00Z'));
+
+    assert.deepEqual(deleted, [`backups/${ORG}/old.enc`]);
+    assert.equal(result.deleted, 1);
+    const expired = result.history.find((entry) => entry.backup_id === 'old');
+    assert.equal(expired.expired_at, '2026-02-16T00:00:00.000Z');
+    assert.equal(expired.storage_path, undefined);
+    assert.equal(expired.password_encrypted, undefined);
+    assert.equal(result.history.length, history.length);
+  });
+
+  it('keeps entries whose file could not be deleted', async () => {
+    const driver = { async delete() { throw new Error('network down'); } };
+    const result = await applyBackupRetention(driver, history, 1);
+    assert.equal(result.deleted, 0);
+    assert.equal(result.errors.length, 2);
+    assert.equal(selectExpiredBackups(result.history, 1).expired.length, 2);
+  });
+});
+
+describe('scheduled backup run', () => {
+  it('uploads an encrypted backup whose password can be recovered', async () => {
+    const uploads = new Map();
+    const driver = { async upload(path, buffer) { uploads.set(path, buffer); } };
+    const tenant = {
+      from: (table) => ({ select: async () => ({ data: table === 'Students' ? [{ id: 's1' }] : [], error: null }) }),
+    };
+
+    const entry = await performScheduledBackup(tenant, driver, { orgId: ORG, storageMode: 'managed', env: ENV });
+
+    assert.ok(entry.storage_path.startsWith(`managed/${ORG}/backups/`));
+    assert.equal(entry.trigger, 'scheduled');
+    const password = decryptBackupPassword(entry.password_encrypted, ENV);
+    const manifest = await decryptBackup(uploads.get(entry.storage_path), password);
+    assert.deepEqual(manifest.tables.Students, [{ id: 's1' }]);
+    assert.equal(entry.size_bytes, uploads.get(entry.storage_path).length);
+  });
+
+  it('encrypts passwords with the app key', () => {
+    const payload = encryptBackupPassword('ABCD-EF12', ENV);
+    assert.ok(payload.startsWith('v1:gcm:'));
+    assert.equal(decryptBackupPassword(payload, ENV), 'ABCD-EF12');
+    assert.throws(() => decryptBackupPassword(payload, { APP_ORG_CREDENTIALS_ENCRYPTION_KEY: 'other' }));
+    assert.throws(() => encryptBackupPassword('x', {}), /not configured/);
+  });
+
+  it('stores BYOS backups under the backups prefix', () => {
+    const path = buildScheduledBackupPath(ORG, 'byos', 'id-1', new Date('2026-03-01T01:30:00Z'));
+    assert.equal(path, `backups/${ORG}/tuttiud-backup-${ORG}-2026-03-01T01-30-00-000Z-id-1.enc`);
+  });
+});
@@ -0,0 +1,319 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import {
+  BACKUP_FILES_MODES,
+  decryptBackup,
+  encryptBackup,
+  exportTenantData,
+  listBackupStudents,
+  parseRestoreScope,
+  previewTenantRestore,
+  remapDocumentPath,
+  resolveBackupManifestSecret,
+  restoreTenantData,
+  scopeManifest,
+} from '../api/_shared/backup-utils.js';
+
+const SOURCE_ORG = '11111111-1111-4111-8111-111111111111';
+const TARGET_ORG = '22222222-2222-4222-8222-222222222222';
+const SECRET = 'backup-signing-secret-for-tests';
+
+function createTenantStub(tables) {
+  const operations = [];
+  return {
+    operations,
+    from(table) {
+      return {
+        select: () => Object.assign(Promise.resolve({ data: structuredClone(tables[table] || []), error: null }), {
+          in: async (column, values) => ({
+            data: (tables[table] || []).filter((row) => values.includes(row[column])),
+            error: null,
+          }),
+          order: () => ({
+            range: async (from, to) => ({ data: structuredClone((tables[table] || []).slice(from, to + 1)), error: null }),
+          }),
+        }),
+        upsert: async (rows) => {
+          operations.push(['upsert', table, rows]);
+          return { error: null };
+        },
+        delete: () => ({
+          neq: async () => {
+            operations.push(['clear', table]);
+            return { error: null };
+          },
+        }),
+      };
+    },
+  };
+}
+
+function createMemoryDriver(files = {}) {
+  const store = new Map(Object.entries(files));
+  return {
+    store,
+    async getFile(path) {
+      if (!store.has(path)) throw new Error(`missing ${path}`);
+      return store.get(path);
+    },
+    async upload(path, buffer) {
+      store.set(path, buffer);
+      return { url: path };
+    },
+  };
+}
+
+const documentRow = (id, path, size) => ({ id, entity_type: 'student', entity_id: 'student-1', name: id, original_name: `${id}.pdf`, path, size });
+
+const sourceTables = {
+  Settings: [{ id: 's1', key: 'k' }],
+  Instructors: [{ id: 'i1' }],
+  Students: [{ id: 'student-1', name: 'new name' }],
+  SessionRecords: [{ id: 'r1' }],
+  Documents: [
+    documentRow('doc-a', `managed/${SOURCE_ORG}/students/student-1/a.pdf`, 4),
+    documentRow('doc-b', `students/${SOURCE_ORG}/student-1/b.pdf`, 3),
+  ],
+};
+
+describe('tenant backup export', () => {
+  it('includes Documents rows and signed file references by default', async () => {
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, { signingSecret: SECRET });
+
+    assert.equal(manifest.tables.Documents.length, 2);
+    assert.equal(manifest.metadata.total_records, 6);
+    assert.equal(manifest.files.mode, BACKUP_FILES_MODES.REFERENCE);
+    assert.equal(manifest.files.entries.length, 2);
+    assert.ok(manifest.files.signature);
+    assert.ok(manifest.files.entries.every((entry) => entry.bundled === false && entry.data === undefined));
+  });
+
+  it('bundles file bytes and survives an encrypt/decrypt round trip', async () => {
+    const driver = createMemoryDriver({
+      [`managed/${SOURCE_ORG}/students/student-1/a.pdf`]: Buffer.from('%PDF'),
+      [`students/${SOURCE_ORG}/student-1/b.pdf`]: Buffer.from('doc'),
+    });
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, {
+      filesMode: BACKUP_FILES_MODES.BUNDLE,
+      storageDriver: driver,
+      signingSecret: SECRET,
+    });
+    const decrypted = await decryptBackup(await encryptBackup(manifest, 'pw'), 'pw');
+
+    assert.equal(decrypted.metadata.bundled_files, 2);
+    assert.equal(Buffer.from(decrypted.files.entries[0].data, 'base64').toString(), '%PDF');
+  });
+
+  it('keeps unreadable files as references', async () => {
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, {
+      filesMode: BACKUP_FILES_MODES.BUNDLE,
+      storageDriver: createMemoryDriver(),
+      signingSecret: SECRET,
+    });
+
+    assert.equal(manifest.metadata.bundled_files, 0);
+    assert.ok(manifest.files.entries.every((entry) => entry.skipped_reason === 'read_failed'));
+    assert.ok(manifest.metadata.files_error);
+  });
+});
+
+describe('tenant backup restore', () => {
+  it('restores tables in dependency order with Documents last', async () => {
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, { signingSecret: SECRET });
+    const tenant = createTenantStub({});
+
+    const result = await restoreTenantData(tenant, manifest, { targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+
+    assert.deepEqual(tenant.operations.map(([, table]) => table), ['Settings', 'Instructors', 'Students', 'SessionRecords', 'Documents']);
+    assert.equal(result.files.referenced, 2);
+    assert.equal(result.restored, 6);
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('uploads bundled files into the target org before inserting their rows', async () => {
+    const source = createMemoryDriver({
+      [`managed/${SOURCE_ORG}/students/student-1/a.pdf`]: Buffer.from('%PDF'),
+      [`students/${SOURCE_ORG}/student-1/b.pdf`]: Buffer.from('doc'),
+    });
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, {
+      filesMode: BACKUP_FILES_MODES.BUNDLE,
+      storageDriver: source,
+      signingSecret: SECRET,
+    });
+    const target = createMemoryDriver();
+    const tenant = createTenantStub({});
+
+    const result = await restoreTenantData(tenant, manifest, { targetOrgId: TARGET_ORG, storageDriver: target, signingSecret: SECRET });
+
+    assert.equal(result.files.uploaded, 2);
+    assert.equal(target.store.get(`managed/${TARGET_ORG}/students/student-1/a.pdf`).toString(), '%PDF');
+    const documentRows = tenant.operations.find(([, table]) => table === 'Documents')[2];
+    assert.ok(documentRows.every((row) => row.path.includes(TARGET_ORG)));
+  });
+
+  it('rejects unsigned or tampered file references', async () => {
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, { signingSecret: SECRET });
+    manifest.tables.Documents[0].path = `managed/${SOURCE_ORG}/../other-org/secret.pdf`;
+    manifest.files.entries[1].path = 'students/other/b.pdf';
+    const tenant = createTenantStub({ Documents: [] });
+
+    const result = await restoreTenantData(tenant, manifest, { targetOrgId: SOURCE_ORG, clearExisting: true, signingSecret: SECRET });
+
+    assert.equal(result.files.skipped, 2);
+    assert.ok(result.errors.some((error) => error.message === 'unverified_file_reference'));
+    assert.ok(!tenant.operations.some(([, table]) => table === 'Documents'), 'existing Documents are left untouched');
+  });
+
+  it('does not trust references when restoring into another org', async () => {
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, { signingSecret: SECRET });
+    const result = await restoreTenantData(createTenantStub({}), manifest, { targetOrgId: TARGET_ORG, signingSecret: SECRET });
+    assert.equal(result.files.referenced, 0);
+    assert.equal(result.files.skipped, 2);
+  });
+
+  it('signs references with a key derived from, not equal to, the encryption secret', async () => {
+    const env = { APP_ORG_CREDENTIALS_ENCRYPTION_KEY: SECRET };
+    const manifestSecret = resolveBackupManifestSecret(env);
+    assert.notEqual(manifestSecret, SECRET);
+    assert.equal(manifestSecret, resolveBackupManifestSecret(env));
+    assert.equal(resolveBackupManifestSecret({}), '');
+
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, { signingSecret: manifestSecret });
+    const rawKey = await restoreTenantData(createTenantStub({}), manifest, { targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+    assert.equal(rawKey.files.skipped, 2);
+    const derived = await restoreTenantData(createTenantStub({}), manifest, { targetOrgId: SOURCE_ORG, signingSecret: manifestSecret });
+    assert.equal(derived.files.referenced, 2);
+  });
+
+  it('leaves Documents alone for backups made before they were included', async () => {
+    const tenant = createTenantStub({});
+    const legacy = { version: '1.0', schema_version: 'tuttiud_v1', org_id: SOURCE_ORG, tables: { Students: [{ id: 'student-1' }] } };
+    const result = await restoreTenantData(tenant, legacy, { clearExisting: true });
+    assert.deepEqual(tenant.operations.map(([op, table]) => `${op}:${table}`), ['clear:Students', 'upsert:Students']);
+    assert.equal(result.files.uploaded, 0);
+  });
+});
+
+describe('tenant restore preview', () => {
+  it('counts inserts, updates and deletes per table without writing', async () => {
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, { signingSecret: SECRET });
+    const tenant = createTenantStub({
+      Students: [{ id: 'student-1', name: 'old name' }, { id: 'student-2', name: 'extra' }],
+      Instructors: [{ id: 'i1' }],
+    });
+
+    const preview = await previewTenantRestore(tenant, manifest, { clearExisting: true, targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+
+    assert.deepEqual(tenant.operations, [], 'dry run never writes');
+    assert.deepEqual(
+      { insert: preview.tables.Students.insert, update: preview.tables.Students.update, delete: preview.tables.Students.delete },
+      { insert: 0, update: 1, delete: 1 },
+    );
+    assert.deepEqual(preview.tables.Students.conflicts, [{ id: 'student-1', label: 'old name', changed_fields: ['name'] }]);
+    assert.equal(preview.tables.Instructors.unchanged, 1);
+    assert.equal(preview.tables.Documents.insert, 2);
+    assert.deepEqual(preview.files, { bundled: 0, referenced: 2, rejected: 0 });
+  });
+
+  it('only reports deletes when clearing existing data', async () => {
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, { signingSecret: SECRET });
+    const tenant = createTenantStub({ Students: [{ id: 'student-2' }] });
+    const preview = await previewTenantRestore(tenant, manifest, { targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+    assert.equal(preview.tables.Students.delete, 0);
+    assert.equal(preview.totals.delete, 0);
+  });
+
+  it('compares against every existing row, not just the first page', async () => {
+    const manifest = await exportTenantData(createTenantStub(sourceTables), SOURCE_ORG, { signingSecret: SECRET });
+    const existing = Array.from({ length: 1500 }, (_, index) => ({ id: `existing-${index}` }));
+    const tenant = createTenantStub({ Students: existing });
+    const preview = await previewTenantRestore(tenant, manifest, { clearExisting: true, targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+    assert.equal(preview.tables.Students.existing, 1500);
+    assert.equal(preview.tables.Students.delete, 1500);
+  });
+});
+
+const multiStudentTables = {
+  Instructors: [{ id: 'i1', name: 'Dana' }, { id: 'i2', name: 'Ron' }],
+  Students: [
+    { id: 'student-1', name: 'בני', assigned_instructor_id: 'i1' },
+    { id: 'student-2', name: 'אבי', assigned_instructor_id: 'i2' },
+  ],
+  SessionRecords: [
+    { id: 'r1', student_id: 'student-1', instructor_id: 'i1' },
+    { id: 'r2', student_id: 'student-2', instructor_id: 'i2' },
+    { id: 'r3', student_id: 'student-2', instructor_id: 'i2', deleted: true },
+  ],
+  Documents: [
+    documentRow('doc-a', `managed/${SOURCE_ORG}/students/student-1/a.pdf`, 4),
+    { ...documentRow('doc-b', `managed/${SOURCE_ORG}/instructors/i1/b.pdf`, 3), entity_type: 'instructor', entity_id: 'i1' },
+  ],
+};
+
+describe('selective restore', () => {
+  it('validates the requested scope', () => {
+    assert.deepEqual(parseRestoreScope(undefined), { scope: { type: 'full' } });
+    assert.deepEqual(parseRestoreScope({ type: 'student', student_id: ' student-1 ' }), { scope: { type: 'student', student_id: 'student-1' } });
+    assert.deepEqual(parseRestoreScope({ type: 'table', table: 'Students' }), { scope: { type: 'table', table: 'Students' } });
+    assert.equal(parseRestoreScope({ type: 'student' }).error, 'missing_student_id');
+    assert.equal(parseRestoreScope({ type: 'table', table: 'auth.users' }).error, 'invalid_restore_table');
+    assert.equal(parseRestoreScope('everything').error, 'invalid_restore_scope');
+  });
+
+  it('lists backup students with session and document counts', async () => {
+    const manifest = await exportTenantData(createTenantStub(multiStudentTables), SOURCE_ORG, { signingSecret: SECRET });
+    assert.deepEqual(
+      listBackupStudents(manifest).map(({ id, sessions_count, documents_count }) => [id, sessions_count, documents_count]),
+      [['student-2', 1, 0], ['student-1', 1, 1]],
+    );
+  });
+
+  it('restores one student with their sessions and documents without touching others', async () => {
+    const manifest = await exportTenantData(createTenantStub(multiStudentTables), SOURCE_ORG, { signingSecret: SECRET });
+    const { manifest: scoped } = scopeManifest(manifest, { type: 'student', student_id: 'student-1' });
+    const tenant = createTenantStub({ Instructors: [{ id: 'i1', name: 'Dana (renamed)' }] });
+
+    const result = await restoreTenantData(tenant, scoped, { targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+
+    assert.deepEqual(tenant.operations.map(([op, table]) => `${op}:${table}`), ['upsert:Students', 'upsert:SessionRecords', 'upsert:Documents']);
+    assert.deepEqual(tenant.operations[1][2].map((row) => row.id), ['r1']);
+    assert.deepEqual(tenant.operations[2][2].map((row) => row.id), ['doc-a']);
+    assert.equal(result.files.referenced, 1);
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('inserts a missing instructor for a restored student and previews it as new', async () => {
+    const manifest = await exportTenantData(createTenantStub(multiStudentTables), SOURCE_ORG, { signingSecret: SECRET });
+    const { manifest: scoped } = scopeManifest(manifest, { type: 'student', student_id: 'student-2' });
+    const tenant = createTenantStub({ Instructors: [{ id: 'i1' }] });
+
+    const preview = await previewTenantRestore(tenant, scoped, { targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+    assert.equal(preview.scope.type, 'student');
+    assert.equal(preview.tables.Instructors.insert, 1);
+    assert.equal(preview.tables.SessionRecords.incoming, 2);
+
+    await restoreTenantData(tenant, scoped, { targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+    assert.deepEqual(tenant.operations[0], ['upsert', 'Instructors', [{ id: 'i2', name: 'Ron' }]]);
+  });
+
+  it('restores a single table and reports missing scope targets', async () => {
+    const manifest = await exportTenantData(createTenantStub(multiStudentTables), SOURCE_ORG, { signingSecret: SECRET });
+    const { manifest: scoped } = scopeManifest(manifest, { type: 'table', table: 'Instructors' });
+    const tenant = createTenantStub({});
+
+    await restoreTenantData(tenant, scoped, { clearExisting: true, targetOrgId: SOURCE_ORG, signingSecret: SECRET });
+
+    assert.deepEqual(tenant.operations.map(([op, table]) => `${op}:${table}`), ['clear:Instructors', 'upsert:Instructors']);
+    assert.equal(scopeManifest(manifest, { type: 'student', student_id: 'nobody' }).error, 'student_not_in_backup');
+    assert.equal(scopeManifest({ tables: {} }, { type: 'table', table: 'Documents' }).error, 'table_not_in_backup');
+  });
+});
+
+describe('document path remapping', () => {
+  it('swaps the org segment and refuses foreign or traversing paths', () => {
+    assert.equal(remapDocumentPath(`managed/${SOURCE_ORG}/x.pdf`, SOURCE_ORG, TARGET_ORG), `managed/${TARGET_ORG}/x.pdf`);
+    assert.equal(remapDocumentPath('managed/someone-else/x.pdf', SOURCE_ORG, TARGET_ORG), null);
+    assert.equal(remapDocumentPath(`managed/${TARGET_ORG}/../x.pdf`, SOURCE_ORG, TARGET_ORG), null);
+  });
+});
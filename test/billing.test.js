@@ -0,0 +1,218 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildBillingRun,
+  buildStatementFilename,
+  findBilledSession,
+  findBilledSessions,
+  generateStatementHtml,
+  hasBillingPrices,
+  normalizeBillingSettings,
+  parseBillingQuery,
+  parseBillingRun,
+  parseStatusChange,
+  resolveSessionPrice,
+} from '../api/_shared/billing.js';
+
+const DANA = '11111111-1111-4111-8111-111111111111';
+const YOSSI = '22222222-2222-4222-8222-222222222222';
+const TODAY = new Date('2026-10-19T12:00:00Z');
+
+const settings = normalizeBillingSettings({
+  price_list: [
+    { service: 'ריפוי בעיסוק', price: 250, effective_from: '2026-01-01' },
+    { service: 'ריפוי בעיסוק', price: '280.5', effective_from: '2026-09-15' },
+    { service: 'רכיבה', price: -5 },
+    { service: '', price: 100 },
+  ],
+  student_overrides: [
+    {
+      student_id: DANA,
+      payer_type: 'funding_body',
+      payer_name: 'משרד הרווחה',
+      prices: [{ service: null, price: 120 }],
+    },
+    { student_id: DANA, prices: [{ service: 'רכיבה', price: 1 }] },
+    { student_id: 'not-a-uuid', prices: [] },
+  ],
+});
+
+describe('billing settings', () => {
+  it('drops invalid prices and duplicate students', () => {
+    assert.equal(settings.currency, 'ILS');
+    assert.deepEqual(settings.price_list.map((entry) => [entry.price, entry.effective_from]), [[250, '2026-01-01'], [280.5, '2026-09-15']]);
+    assert.equal(settings.student_overrides.length, 1);
+    assert.deepEqual(settings.student_overrides[0].prices, [{ service: '*', price: 120, effective_from: '0000-01-01' }]);
+    assert.equal(hasBillingPrices(settings), true);
+    assert.equal(hasBillingPrices(normalizeBillingSettings(null)), false);
+  });
+
+  it('prices a session from the student override, then the price in effect on its date', () => {
+    const override = settings.student_overrides[0];
+    assert.deepEqual(resolveSessionPrice({ date: '2026-09-20', service_context: 'ריפוי בעיסוק' }, { settings, override }), { price: 120, source: 'student' });
+    assert.deepEqual(resolveSessionPrice({ date: '2026-09-14', service_context: 'ריפוי בעיסוק' }, { settings }), { price: 250, source: 'service' });
+    assert.deepEqual(resolveSessionPrice({ date: '2026-09-15', service_context: 'ריפוי בעיסוק' }, { settings }), { price: 280.5, source: 'service' });
+    assert.equal(resolveSessionPrice({ date: '2025-12-31', service_context: 'ריפוי בעיסוק' }, { settings }), null);
+    assert.equal(resolveSessionPrice({ date: '2026-09-15', service_context: null }, { settings }), null);
+  });
+});
+
+describe('billing requests', () => {
+  it('parses the month and only runs started months', () => {
+    assert.deepEqual(parseBillingQuery({}, TODAY).value, { month: '2026-10', from: '2026-10-01', to: '2026-10-31' });
+    assert.equal(parseBillingQuery({ month: '2026-1' }, TODAY).error, 'invalid_month');
+    assert.equal(parseBillingRun({ action: 'run', month: '2026-10' }, TODAY).value.to, '2026-10-31');
+    assert.equal(parseBillingRun({ action: 'run', month: '2026-11' }, TODAY).error, 'month_in_future');
+    assert.equal(parseBillingRun({ action: 'issue', month: '2026-09' }, TODAY).error, 'invalid_action');
+  });
+
+  it('only moves statements from draft to issued to paid', () => {
+    assert.equal(parseStatusChange({ status: 'issued' }, 'draft').value, 'issued');
+    assert.equal(parseStatusChange({ status: 'PAID' }, 'issued').value, 'paid');
+    assert.equal(parseStatusChange({ status: 'paid' }, 'draft').error, 'invalid_status_transition');
+    assert.equal(parseStatusChange({ status: 'draft' }, 'issued').error, 'invalid_status_transition');
+    assert.equal(parseStatusChange({ status: 'void' }, 'draft').error, 'invalid_status');
+  });
+});
+
+describe('billing run', () => {
+  const students = [
+    { id: DANA, name: 'דנה', contact_name: 'אמא של דנה', default_service: 'ריפוי בעיסוק' },
+    { id: YOSSI, name: 'יוסי', contact_name: 'אבא של יוסי', default_service: null },
+  ];
+
+  it('builds one statement per student and reports what it skipped', () => {
+    const records = [
+      { id: 's1', date: '2026-09-20', student_id: YOSSI, service_context: 'ריפוי בעיסוק' },
+      { id: 's2', date: '2026-09-03', student_id: YOSSI, service_context: null },
+      { id: 's3', date: '2026-09-01', student_id: YOSSI, service_context: 'ריפוי בעיסוק' },
+      { id: 's4', date: '2026-09-08', student_id: YOSSI, service_context: 'ריפוי בעיסוק' },
+      { id: 's5', date: '2026-09-10', student_id: YOSSI, service_context: 'ריפוי בעיסוק' },
+      { id: 's6', date: '2026-09-02', student_id: DANA, service_context: null },
+      { id: 's7', date: '2026-09-02', student_id: 'deleted-student', service_context: 'ריפוי בעיסוק' },
+    ];
+    const run = buildBillingRun(records, {
+      students,
+      settings,
+      cancellations: [{ student_id: YOSSI, date: '2026-09-08', slot_id: 'default' }],
+      billedSessionIds: new Set(['s5']),
+    });
+
+    assert.deepEqual(run.skipped, { cancelled: 1, already_billed: 1 });
+    assert.deepEqual(run.unpriced.map((entry) => entry.session_id), ['s2']);
+    assert.deepEqual(run.statements.map((statement) => statement.student_name), ['דנה', 'יוסי']);
+
+    const [dana, yossi] = run.statements;
+    assert.deepEqual([dana.payer_type, dana.payer_name, dana.total_amount], ['funding_body', 'משרד הרווחה', 120]);
+    assert.deepEqual(dana.lines[0], {
+      session_id: 's6',
+      date: '2026-09-02',
+      service: 'ריפוי בעיסוק',
+      description: 'מפגש ריפוי בעיסוק',
+      quantity: 1,
+      unit_price: 120,
+      amount: 120,
+      price_source: 'student',
+    });
+
+    assert.deepEqual([yossi.payer_type, yossi.payer_name], ['parent', 'אבא של יוסי']);
+    assert.deepEqual(yossi.lines.map((line) => [line.session_id, line.amount]), [['s3', 250], ['s1', 280.5]]);
+    assert.equal(yossi.total_amount, 530.5);
+  });
+
+  it('skips only the cancelled slot when a student has two slots that day', () => {
+    const twiceOnTuesday = {
+      ...students[0],
+      schedule_slots: [
+        { id: 'slot-morning', day_of_week: 3, time: '10:00:00', duration_minutes: 45 },
+        { id: 'slot-afternoon', day_of_week: 3, time: '15:00:00', duration_minutes: 45 },
+      ],
+    };
+    const cancellations = [{ student_id: DANA, date: '2026-09-15', slot_id: 'slot-morning' }];
+
+    const both = buildBillingRun([
+      { id: 's1', date: '2026-09-15', student_id: DANA, service_context: null },
+      { id: 's2', date: '2026-09-15', student_id: DANA, service_context: null },
+    ], { students: [twiceOnTuesday], settings, cancellations });
+    assert.equal(both.skipped.cancelled, 1);
+    assert.deepEqual(both.statements[0].lines.map((line) => line.session_id), ['s1']);
+
+    const heldOnly = buildBillingRun([
+      { id: 's3', date: '2026-09-15', student_id: DANA, service_context: null },
+    ], { students: [twiceOnTuesday], settings, cancellations });
+    assert.equal(heldOnly.skipped.cancelled, 0);
+    assert.deepEqual(heldOnly.statements[0].lines.map((line) => line.session_id), ['s3']);
+  });
+
+  it('renders an escaped statement and a safe file name', () => {
+    const statement = {
+      month: '2026-09',
+      status: 'issued',
+      payer_type: 'parent',
+      payer_name: 'הורה <script>',
+      student_name: 'דנה כהן',
+      currency: 'ILS',
+      total_amount: 250,
+      issued_at: '2026-10-01T09:00:00Z',
+    };
+    const html = generateStatementHtml(
+      statement,
+      [{ date: '2026-09-02', description: 'מפגש ריפוי בעיסוק', quantity: 1, unit_price: 250, amount: 250 }],
+      { tuttiudLogoUrl: 'https://example.com/logo.png', customLogoUrl: null },
+      { generatedAt: TODAY },
+    );
+    assert.match(html, /הורה &lt;script&gt;/);
+    assert.match(html, /02\/09\/2026/);
+    assert.match(html, /1 מפגשים/);
+    assert.match(html, /class="logo-single"/);
+    assert.equal(buildStatementFilename(statement), 'דנה_כהן_Billing_2026-09.pdf');
+  });
+});
+
+describe('billed session lock', () => {
+  function stubClient({ lines, statements, error = null }) {
+    const from = (table) => {
+      const builder = {
+        select: () => builder,
+        in: () => (table === 'BillingLineItems' ? Promise.resolve({ data: lines, error }) : builder),
+        neq: () => Promise.resolve({ data: statements, error: null }),
+      };
+      return builder;
+    };
+    return { from };
+  }
+
+  it('locks sessions on issued statements only, and fails open without the tables', async () => {
+    assert.deepEqual(await findBilledSession(null, stubClient({ lines: [{ statement_id: 'a' }], statements: [{ id: 'a' }] }), 's1'), { billed: true });
+    assert.deepEqual(await findBilledSession(null, stubClient({ lines: [{ statement_id: 'a' }], statements: [] }), 's1'), { billed: false });
+    assert.deepEqual(await findBilledSession(null, stubClient({ lines: [], statements: [] }), 's1'), { billed: false });
+    assert.deepEqual(
+      await findBilledSession(null, stubClient({ lines: null, error: { message: 'relation "BillingLineItems" does not exist' } }), 's1'),
+      { billed: false },
+    );
+  });
+
+  it('checks many sessions in chunks and stops at the first billed one', async () => {
+    const lookups = [];
+    const client = {
+      from: (table) => {
+        const builder = {
+          select: () => builder,
+          in: (column, values) => {
+            if (table !== 'BillingLineItems') {
+              return builder;
+            }
+            lookups.push(values.length);
+            return Promise.resolve({ data: values.includes('s250') ? [{ statement_id: 'a' }] : [], error: null });
+          },
+          neq: () => Promise.resolve({ data: [{ id: 'a' }], error: null }),
+        };
+        return builder;
+      },
+    };
+    const ids = Array.from({ length: 450 }, (_, index) => `s${index}`);
+    assert.deepEqual(await findBilledSessions(null, client, ids), { billed: true });
+    assert.deepEqual(lookups, [200, 200]);
+    assert.deepEqual(await findBilledSessions(null, client, []), { billed: false });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import {
+  buildBatchZip,
+  buildExportJobPrefix,
+  buildZipEntryNames,
+  describeExportJob,
+  parseBatchExportRequest,
+  runBatchStep,
+  selectBatchStudents,
+} from '../api/_shared/export-jobs.js';
+import { parseRecordsDateRange } from '../api/_shared/student-pdf.js';
+
+const DANA_INSTRUCTOR = '11111111-1111-4111-8111-111111111111';
+const OTHER_INSTRUCTOR = '22222222-2222-4222-8222-222222222222';
+
+describe('batch export requests', () => {
+  it('validates the date range and filters', () => {
+    assert.deepEqual(parseRecordsDateRange('', null).value, { from: null, to: null });
+    assert.equal(parseRecordsDateRange('2026-02-30x', null).error, 'invalid_date');
+    assert.equal(parseRecordsDateRange('2026-09-01', '2026-08-31').error, 'invalid_date_range');
+
+    assert.deepEqual(parseBatchExportRequest({
+      from: '2026-09-01',
+      to: '2026-12-31',
+      instructor_ids: [DANA_INSTRUCTOR, DANA_INSTRUCTOR],
+      tag_ids: 'a, b,',
+      include_inactive: 'yes',
+      include_summary: true,
+    }).value, {
+      from: '2026-09-01',
+      to: '2026-12-31',
+      services: [],
+      questionIds: [],
+      includeSummary: true,
+      instructorIds: [DANA_INSTRUCTOR],
+      tagIds: ['a', 'b'],
+      includeInactive: false,
+    });
+    assert.equal(parseBatchExportRequest({ instructor_ids: ['nope'] }).error, 'invalid_instructor_id');
+  });
+
+  it('selects active students matching any instructor and any tag, by name', () => {
+    const students = [
+      { id: 's1', name: 'יוסי', is_active: true, assigned_instructor_id: DANA_INSTRUCTOR, tags: ['a'] },
+      { id: 's2', name: 'אורי', is_active: true, assigned_instructor_id: DANA_INSTRUCTOR, tags: ['b', 'c'] },
+      { id: 's3', name: 'בני', is_active: false, assigned_instructor_id: DANA_INSTRUCTOR, tags: ['a'] },
+      { id: 's4', name: 'גלי', is_active: true, assigned_instructor_id: OTHER_INSTRUCTOR, tags: null },
+    ];
+    const ids = (filters) => selectBatchStudents(students, filters).map((student) => student.id);
+
+    assert.deepEqual(ids({}), ['s2', 's4', 's1']);
+    assert.deepEqual(ids({ includeInactive: true }), ['s2', 's3', 's4', 's1']);
+    assert.deepEqual(ids({ instructorIds: [DANA_INSTRUCTOR], tagIds: ['a', 'x'] }), ['s1']);
+  });
+});
+
+describe('batch export steps', () => {
+  const pending = (id, name) => ({ student_id: id, name, status: 'pending', path: null, sessions: null, error: null });
+
+  it('stops at the step limit and fails only the student that threw', async () => {
+    const items = [pending('s1', 'אורי'), pending('s2', 'בני'), pending('s3', 'גלי')];
+    const first = await runBatchStep(items, async (item) => {
+      if (item.student_id === 's2') {
+        throw new Error('student_not_found');
+      }
+      return { status: 'done', path: `jobs/${item.student_id}.pdf`, sessions: 4 };
+    }, { limit: 2 });
+
+    assert.equal(first.processed, 2);
+    assert.deepEqual(first.items.map((item) => item.status), ['done', 'failed', 'pending']);
+    assert.equal(first.items[1].error, 'student_not_found');
+    assert.equal(items[0].status, 'pending');
+
+    const second = await runBatchStep(first.items, async () => ({ status: 'empty', sessions: 0 }));
+    assert.equal(second.processed, 1);
+
+    const job = describeExportJob({ id: 'j1', status: 'running', items: second.items });
+    assert.deepEqual(
+      [job.total, job.processed, job.exported, job.empty, job.failed],
+      [3, 3, 1, 1, 1],
+    );
+    assert.deepEqual(job.skipped.map((entry) => [entry.name, entry.status]), [['בני', 'failed'], ['גלי', 'empty']]);
+    assert.equal(Object.hasOwn(job, 'items'), false);
+  });
+
+  it('stops when the time budget runs out', async () => {
+    let clock = 0;
+    const step = await runBatchStep([pending('s1', 'א'), pending('s2', 'ב')], async () => {
+      clock += 15000;
+      return { status: 'empty' };
+    }, { budgetMs: 10000, now: () => clock });
+    assert.equal(step.processed, 1);
+  });
+
+  it('reports completed jobs past their retention as expired', () => {
+    const job = { id: 'j1', status: 'completed', items: [], expires_at: '2026-10-18T00:00:00Z' };
+    assert.equal(describeExportJob(job, new Date('2026-10-19T00:00:00Z')).status, 'expired');
+    assert.equal(describeExportJob(job, new Date('2026-10-17T00:00:00Z')).status, 'completed');
+  });
+});
+
+describe('batch export files', () => {
+  it('keeps managed and own-storage paths apart', () => {
+    assert.equal(buildExportJobPrefix('org', 'managed', 'job'), 'managed/org/exports/job');
+    assert.equal(buildExportJobPrefix('org', 'byos', 'job'), 'exports/org/job');
+  });
+
+  it('zips the rendered PDFs under unique student names', async () => {
+    const items = [
+      { student_id: 's1', name: 'דנה כהן', status: 'done', path: 'p/s1.pdf' },
+      { student_id: 's2', name: 'דנה כהן', status: 'done', path: 'p/s2.pdf' },
+      { student_id: 's3', name: 'יוסי', status: 'empty', path: null },
+    ];
+    assert.deepEqual(buildZipEntryNames(items.slice(0, 2)), ['דנה_כהן_Records.pdf', 'דנה_כהן_2_Records.pdf']);
+
+    const read = [];
+    const zip = await buildBatchZip(items, async (path) => {
+      read.push(path);
+      return Buffer.from(`%PDF ${path}`);
+    });
+    assert.deepEqual(read, ['p/s1.pdf', 'p/s2.pdf']);
+    assert.equal(zip.subarray(0, 2).toString(), 'PK');
+    assert.ok(zip.includes(Buffer.from('דנה_כהן_2_Records.pdf')));
+  });
+});
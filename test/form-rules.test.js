@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as serverRules from '../api/_shared/session-form-rules.js';
+import * as clientRules from '../src/features/sessions/utils/form-rules.js';
+import { normalizeSessionFormConfigValue } from '../api/_shared/settings-utils.js';
+
+const CONFIG = {
+  current: {
+    version: 3,
+    questions: [
+      { id: 'Had_Incident', label: 'היה אירוע חריג?', type: 'buttons', options: [{ value: 'כן', label: 'כן' }, { value: 'לא', label: 'לא' }] },
+      {
+        id: 'incident_details',
+        label: 'פירוט האירוע',
+        type: 'textarea',
+        rules: [{ action: 'show', question: 'Had_Incident', operator: 'equals', value: 'כן' }],
+      },
+      { id: 'mood', label: 'מצב רוח', type: 'scale', range: { min: 1, max: 5, step: 1 } },
+      {
+        id: 'mood_notes',
+        label: 'מה השפיע על מצב הרוח?',
+        type: 'text',
+        rules: [
+          { action: 'require', question: 'mood', operator: 'lt', value: 3 },
+          { action: 'bogus', question: 'mood', operator: 'lt', value: 3 },
+        ],
+      },
+      { id: 'summary', label: 'סיכום', type: 'textarea', required: true },
+    ],
+  },
+};
+
+describe('session form rules', () => {
+  const questions = serverRules.extractRuleQuestions(CONFIG);
+
+  it('resolves rule references to answer keys and drops malformed rules', () => {
+    assert.deepEqual(questions[1].rules, [
+      { action: 'show', question: 'had_incident', operator: 'equals', value: 'כן' },
+    ]);
+    assert.equal(questions[3].rules.length, 1);
+    assert.equal(questions[3].rules[0].value, '3');
+  });
+
+  it('shows follow-up questions and requires answers only when their rules match', () => {
+    const calm = serverRules.evaluateQuestionRules(questions, { had_incident: 'לא', mood: '4' });
+    assert.equal(calm.visible.has('incident_details'), false);
+    assert.equal(calm.required.has('mood_notes'), false);
+    assert.equal(calm.required.has('summary'), true);
+
+    const rough = serverRules.evaluateQuestionRules(questions, { had_incident: 'כן', mood: '2' });
+    assert.equal(rough.visible.has('incident_details'), true);
+    assert.equal(rough.required.has('mood_notes'), true);
+  });
+
+  it('drops hidden answers and reports missing required answers', () => {
+    const result = serverRules.applyQuestionRules(questions, {
+      had_incident: 'לא',
+      incident_details: 'נכתב לפני שהתשובה שונתה',
+      mood: '1',
+      extra_field: 'נשמר',
+    });
+
+    assert.equal('incident_details' in result.content, false);
+    assert.equal(result.content.extra_field, 'נשמר');
+    assert.deepEqual(result.missing, ['mood_notes', 'summary']);
+  });
+
+  it('hides questions that depend on a hidden question', () => {
+    const chained = [
+      { key: 'a', rules: [] },
+      { key: 'b', rules: [{ action: 'show', question: 'a', operator: 'not_empty', value: null }] },
+      { key: 'c', rules: [{ action: 'show', question: 'b', operator: 'equals', value: 'x' }] },
+    ];
+    const result = serverRules.evaluateQuestionRules(chained, { a: '', b: 'x' });
+    assert.deepEqual(Array.from(result.visible), ['a']);
+  });
+
+  it('keeps the client evaluator in step with the server', () => {
+    const clientQuestions = questions.map((question, index) => ({
+      ...question,
+      rules: clientRules.normalizeQuestionRules(CONFIG.current.questions[index].rules),
+    }));
+    const samples = [
+      {},
+      { had_incident: 'כן', mood: '2', summary: 'x' },
+      { had_incident: 'לא', incident_details: 'y', mood: '5', mood_notes: '' },
+    ];
+    for (const answers of samples) {
+      assert.deepEqual(
+        clientRules.applyQuestionRules(clientQuestions, answers),
+        serverRules.applyQuestionRules(questions, answers),
+      );
+    }
+  });
+
+  it('keeps rules when the questionnaire is saved', () => {
+    const normalized = normalizeSessionFormConfigValue(CONFIG.current);
+    assert.deepEqual(normalized.questions[1].rules, [
+      { action: 'show', question: 'Had_Incident', operator: 'equals', value: 'כן' },
+    ]);
+    assert.equal(normalized.questions[0].rules, undefined);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Local filesystem storage driver tests
+ *
+ * Exercises the driver and the signed download route against a temporary directory.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createLocalDriver,
+  createLocalDownloadToken,
+  verifyLocalDownloadToken,
+} from '../api/cross-platform/storage-drivers/local-adapter.js';
+import { getStorageDriver } from '../api/cross-platform/storage-drivers/index.js';
+import { validateByosCredentials, normalizeStorageProfile } from '../api/cross-platform/storage-config/index.js';
+import downloadHandler from '../api/storage-local-download/index.js';
+
+const SECRET = 'test-signing-secret';
+
+function tokenFromUrl(url) {
+  return new URL(url, 'http://localhost').searchParams.get('token');
+}
+
+async function callDownload(token, env = { LOCAL_STORAGE_SIGNING_SECRET: SECRET, LOCAL_STORAGE_ROOT: os.tmpdir() }) {
+  const context = { env, log: { error() {} } };
+  await downloadHandler(context, { method: 'GET', query: { token } });
+  return context.res;
+}
+
+describe('local storage driver', () => {
+  let basePath;
+  let driver;
+
+  before(async () => {
+    basePath = await mkdtemp(path.join(os.tmpdir(), 'tuttiud-local-storage-'));
+    driver = createLocalDriver({ basePath, signingSecret: SECRET });
+  });
+
+  after(async () => {
+    await rm(basePath, { recursive: true, force: true });
+  });
+
+  it('uploads and reads back a file', async () => {
+    await driver.upload('org-1/students/a.txt', Buffer.from('שלום עולם'), 'text/plain');
+    const roundTrip = await driver.getFile('org-1/students/a.txt');
+    assert.equal(roundTrip.toString('utf8'), 'שלום עולם');
+
+    let streamed = '';
+    for await (const chunk of await driver.getFileStream('org-1/students/a.txt')) {
+      streamed += chunk.toString('utf8');
+    }
+    assert.equal(streamed, 'שלום עולם');
+  });
+
+  it('rejects paths that escape the storage directory', async () => {
+    await assert.rejects(() => driver.upload('../outside.txt', Buffer.from('x')), /escapes/);
+    await assert.rejects(() => driver.getFile('org-1/../../etc/passwd'), /escapes/);
+  });
+
+  it('serves signed download links with the requested disposition', async () => {
+    await driver.upload('org-1/report.pdf', Buffer.from('%PDF'), 'application/pdf');
+    const url = await driver.getDownloadUrl('org-1/report.pdf', 600, 'דוח.pdf');
+    assert.ok(url.startsWith('/api/storage-local-download?token='));
+
+    const res = await callDownload(tokenFromUrl(url));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), '%PDF');
+    assert.equal(res.headers['Content-Type'], 'application/pdf');
+    assert.equal(
+      res.headers['Content-Disposition'],
+      `attachment; filename="document"; filename*=UTF-8''${encodeURIComponent('דוח.pdf')}`,
+    );
+
+    const preview = await driver.getDownloadUrl('org-1/report.pdf', 600, null, 'inline');
+    assert.equal((await callDownload(tokenFromUrl(preview))).headers['Content-Disposition'], 'inline');
+  });
+
+  it('refuses tampered, expired and out-of-root tokens', async () => {
+    const url = await driver.getDownloadUrl('org-1/report.pdf', 600);
+    const token = tokenFromUrl(url);
+    const [payload, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ b: '/', p: 'etc/passwd', e: Date.now() + 60000, d: 'inline' })).toString('base64url')}.${signature}`;
+
+    assert.equal((await callDownload(forged)).status, 403);
+    assert.equal((await callDownload(`${payload}.${signature}`, { LOCAL_STORAGE_SIGNING_SECRET: 'other', LOCAL_STORAGE_ROOT: os.tmpdir() })).status, 403);
+
+    const expired = createLocalDownloadToken({ basePath, path: 'org-1/report.pdf', expiresAt: Date.now() - 1, disposition: 'attachment' }, SECRET);
+    assert.equal(verifyLocalDownloadToken(expired, SECRET).error, 'link_expired');
+    assert.equal((await callDownload(expired)).status, 410);
+
+    const outside = await callDownload(token, { LOCAL_STORAGE_SIGNING_SECRET: SECRET, LOCAL_STORAGE_ROOT: '/nonexistent-root' });
+    assert.equal(outside.status, 403);
+    assert.equal((await callDownload(token, { LOCAL_STORAGE_SIGNING_SECRET: SECRET })).status, 500);
+  });
+
+  it('returns 404 for a signed link to a deleted file', async () => {
+    await driver.upload('org-1/gone.txt', Buffer.from('bye'));
+    const url = await driver.getDownloadUrl('org-1/gone.txt');
+    await driver.delete('org-1/gone.txt');
+    await driver.delete('org-1/gone.txt');
+
+    assert.equal((await callDownload(tokenFromUrl(url))).status, 404);
+  });
+
+  it('deletes every file under a prefix and keeps siblings', async () => {
+    for (const name of ['a', 'b', 'nested/c']) {
+      await driver.upload(`cleanup/org-2/${name}.txt`, Buffer.from(name));
+    }
+    await driver.upload('cleanup/org-3/keep.txt', Buffer.from('keep'));
+    await driver.upload('cleanup/org-20/keep.txt', Buffer.from('keep'));
+
+    assert.equal(await driver.deletePrefix('cleanup/org-2/'), 3);
+    assert.deepEqual((await readdir(path.join(basePath, 'cleanup'))).sort(), ['org-20', 'org-3']);
+    assert.equal(await driver.deletePrefix('missing/'), 0);
+  });
+
+  it('builds a driver from a BYOS profile and enforces LOCAL_STORAGE_ROOT', () => {
+    const env = { LOCAL_STORAGE_SIGNING_SECRET: SECRET, LOCAL_STORAGE_ROOT: os.tmpdir() };
+    const profile = { provider: 'local', base_path: basePath };
+    assert.equal(getStorageDriver('byos', profile, env).getType(), 'local');
+    assert.throws(
+      () => getStorageDriver('byos', profile, { ...env, LOCAL_STORAGE_ROOT: '/nonexistent-root' }),
+      /LOCAL_STORAGE_ROOT/,
+    );
+    assert.throws(() => getStorageDriver('byos', { provider: 'local', base_path: '/' }, { LOCAL_STORAGE_SIGNING_SECRET: SECRET }), /LOCAL_STORAGE_ROOT/);
+    assert.throws(() => getStorageDriver('byos', profile, { LOCAL_STORAGE_ROOT: os.tmpdir() }), /signing secret/);
+    assert.throws(
+      () => getStorageDriver('byos', profile, { LOCAL_STORAGE_ROOT: os.tmpdir(), APP_ORG_CREDENTIALS_ENCRYPTION_KEY: 'org-key' }),
+      /signing secret/,
+    );
+  });
+});
+
+describe('local storage profile validation', () => {
+  it('requires an absolute base path inside the server root', () => {
+    const options = { localStorageRoot: '/srv' };
+    assert.equal(validateByosCredentials({ provider: 'local', base_path: '/srv/files' }, options).valid, true);
+    assert.deepEqual(validateByosCredentials({ provider: 'local' }, options).errors, ['Base path is required for local storage']);
+    assert.equal(validateByosCredentials({ provider: 'local', base_path: 'files' }, options).valid, false);
+    assert.equal(validateByosCredentials({ provider: 'local', base_path: '/srv/../etc' }, options).valid, false);
+    assert.equal(validateByosCredentials({ provider: 'local', base_path: '/' }, options).valid, false);
+  });
+
+  it('refuses local storage when the server has no root configured', () => {
+    assert.deepEqual(
+      validateByosCredentials({ provider: 'local', base_path: '/srv/files' }).errors,
+      ['Local storage is not enabled on this server'],
+    );
+  });
+
+  it('keeps base_path when normalizing', () => {
+    const normalized = normalizeStorageProfile({ mode: 'byos', byos: { provider: 'LOCAL', base_path: ' /srv/files ' } });
+    assert.equal(normalized.byos.provider, 'local');
+    assert.equal(normalized.byos.base_path, '/srv/files');
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildOfflineSubmissionMetadata,
+  hasFormVersionConflict,
+  readOfflineSubmission,
+} from '../api/_shared/session-metadata.js';
+import {
+  classifySyncError,
+  draftFromSessionBody,
+  isDraftEmpty,
+  isNetworkFailure,
+} from '../src/features/sessions/utils/offline-sync.js';
+import { extractSessionFormVersion } from '../src/features/sessions/utils/form-config.js';
+
+const SUBMISSION_ID = '44444444-4444-4444-8444-444444444444';
+const STUDENT_A = '11111111-1111-4111-8111-111111111111';
+const STUDENT_B = '22222222-2222-4222-8222-222222222222';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.data = { message };
+  return error;
+}
+
+describe('offline submissions on the server', () => {
+  it('reads the client submission id and the expected questionnaire version', () => {
+    const submission = readOfflineSubmission({
+      client_submission_id: SUBMISSION_ID,
+      expected_form_version: '3',
+      queued_at: '2026-03-10T08:15:00.000Z',
+    });
+
+    assert.deepEqual(submission, {
+      clientSubmissionId: SUBMISSION_ID,
+      hasExpectedFormVersion: true,
+      expectedFormVersion: 3,
+      queuedAt: '2026-03-10T08:15:00.000Z',
+    });
+    assert.deepEqual(buildOfflineSubmissionMetadata(submission), {
+      client_submission_id: SUBMISSION_ID,
+      queued_at: '2026-03-10T08:15:00.000Z',
+    });
+  });
+
+  it('ignores malformed ids and only checks the version when one was sent', () => {
+    const online = readOfflineSubmission({ client_submission_id: 'not-a-uuid' });
+    assert.equal(online.clientSubmissionId, '');
+    assert.equal(hasFormVersionConflict(online, { form_version: 4 }), false);
+
+    const queuedWithoutVersion = readOfflineSubmission({ expected_form_version: null });
+    assert.equal(hasFormVersionConflict(queuedWithoutVersion, {}), false);
+    assert.equal(hasFormVersionConflict(queuedWithoutVersion, { form_version: 1 }), true);
+
+    const queued = readOfflineSubmission({ expected_form_version: 2 });
+    assert.equal(hasFormVersionConflict(queued, { form_version: 2 }), false);
+    assert.equal(hasFormVersionConflict(queued, { form_version: 3 }), true);
+  });
+});
+
+describe('offline sync classification', () => {
+  it('treats failed requests without a response as network failures', () => {
+    assert.equal(isNetworkFailure(new TypeError('Failed to fetch'), { online: true }), true);
+    assert.equal(isNetworkFailure(new Error('Authentication token not found.'), { online: false }), true);
+    assert.equal(isNetworkFailure(new Error('Authentication token not found.'), { online: true }), false);
+    assert.equal(isNetworkFailure(httpError(500, 'failed_to_create_session'), { online: false }), false);
+  });
+
+  it('retries server errors and maps rejections to conflicts', () => {
+    assert.equal(classifySyncError(new TypeError('Failed to fetch'), { online: true }), null);
+    assert.equal(classifySyncError(httpError(503, 'unavailable'), { online: true }), null);
+    assert.equal(classifySyncError(httpError(401, 'missing_bearer'), { online: true }), null);
+
+    assert.equal(classifySyncError(httpError(409, 'form_version_changed'), { online: true }).code, 'form_version_changed');
+    assert.equal(classifySyncError(httpError(403, 'student_not_assigned_to_user'), { online: true }).code, 'student_reassigned');
+    assert.equal(classifySyncError(httpError(404, 'student_not_found'), { online: true }).code, 'student_missing');
+
+    const rejected = classifySyncError(httpError(400, 'invalid_date'), { online: true });
+    assert.equal(rejected.code, 'rejected');
+    assert.match(rejected.message, /invalid_date/);
+  });
+});
+
+describe('offline drafts', () => {
+  it('turns queued bodies back into form drafts', () => {
+    assert.deepEqual(draftFromSessionBody({
+      student_id: STUDENT_A,
+      date: '2026-03-10',
+      service_context: 'רכיבה',
+      content: { notes: 'עבודה על איזון' },
+      client_submission_id: SUBMISSION_ID,
+    }), {
+      mode: 'single',
+      studentId: STUDENT_A,
+      studentIds: [],
+      overrides: {},
+      date: '2026-03-10',
+      time: '',
+      durationMinutes: '',
+      serviceContext: 'רכיבה',
+      answers: { notes: 'עבודה על איזון' },
+      unassignedName: '',
+      unassignedReason: '',
+      unassignedReasonOther: '',
+      looseInstructorId: '',
+    });
+
+    const group = draftFromSessionBody({
+      student_ids: [STUDENT_A, STUDENT_B],
+      overrides: { [STUDENT_B]: { notes: 'הגיע באיחור' } },
+      content: {},
+    });
+    assert.equal(group.mode, 'group');
+    assert.deepEqual(group.studentIds, [STUDENT_A, STUDENT_B]);
+    assert.deepEqual(group.overrides, { [STUDENT_B]: { notes: 'הגיע באיחור' } });
+
+    const loose = draftFromSessionBody({
+      time: '10:30',
+      duration_minutes: 45,
+      instructor_id: STUDENT_B,
+      unassigned_details: { name: 'דנה', reason: 'other', reason_other: 'ניסיון' },
+    });
+    assert.equal(loose.mode, 'loose');
+    assert.equal(loose.unassignedName, 'דנה');
+    assert.equal(loose.unassignedReasonOther, 'ניסיון');
+    assert.equal(loose.looseInstructorId, STUDENT_B);
+    assert.equal(loose.durationMinutes, '45');
+  });
+
+  it('only keeps drafts with a student, date, name or answer', () => {
+    assert.equal(isDraftEmpty(null), true);
+    assert.equal(isDraftEmpty({ answers: { notes: '  ' } }), true);
+    assert.equal(isDraftEmpty({ answers: { notes: 'x' } }), false);
+    assert.equal(isDraftEmpty({ studentIds: [STUDENT_A], answers: {} }), false);
+    assert.equal(isDraftEmpty({ date: '2026-03-10' }), false);
+  });
+
+  it('reads the questionnaire version the same way as the server', () => {
+    assert.equal(extractSessionFormVersion({ current: { version: 4, questions: [] } }), 4);
+    assert.equal(extractSessionFormVersion(JSON.stringify({ version: '2', questions: [] })), 2);
+    assert.equal(extractSessionFormVersion([{ key: 'notes' }]), null);
+    assert.equal(extractSessionFormVersion(null), null);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  closureEntryCovers,
+  getJewishHoliday,
+  normalizeClosureSettings,
+  resolveClosure,
+} from '../api/_shared/org-closures.js';
+
+describe('closure settings', () => {
+  it('drops invalid entries and defaults the rest', () => {
+    const settings = normalizeClosureSettings({
+      include_jewish_holidays: true,
+      entries: [
+        { id: 'a', label: 'חופשת קיץ', start_date: '2026-07-01', end_date: '2026-07-14' },
+        { label: 'bad', start_date: 'tomorrow' },
+        { label: '', start_date: '2026-03-01', end_date: '2026-02-01', recurrence: 'monthly' },
+      ],
+    });
+
+    assert.equal(settings.include_jewish_holidays, true);
+    assert.equal(settings.include_chol_hamoed, false);
+    assert.equal(settings.entries.length, 2);
+    assert.deepEqual(settings.entries[1], {
+      id: 'closure-3',
+      label: 'סגירה',
+      start_date: '2026-03-01',
+      end_date: null,
+      recurrence: 'none',
+    });
+    assert.deepEqual(normalizeClosureSettings('x'), { include_jewish_holidays: false, include_chol_hamoed: false, entries: [] });
+  });
+
+  it('matches single dates, ranges and recurrences', () => {
+    const range = { start_date: '2026-07-01', end_date: '2026-07-14', recurrence: 'none' };
+    assert.equal(closureEntryCovers(range, '2026-07-14'), true);
+    assert.equal(closureEntryCovers(range, '2026-07-15'), false);
+
+    const yearly = { start_date: '2025-12-30', end_date: '2026-01-02', recurrence: 'yearly' };
+    assert.equal(closureEntryCovers(yearly, '2027-12-31'), true);
+    assert.equal(closureEntryCovers(yearly, '2028-01-02'), true);
+    assert.equal(closureEntryCovers(yearly, '2028-01-03'), false);
+
+    // 2026-03-06 is a Friday
+    const weekly = { start_date: '2026-03-06', end_date: null, recurrence: 'weekly' };
+    assert.equal(closureEntryCovers(weekly, '2026-03-13'), true);
+    assert.equal(closureEntryCovers(weekly, '2026-02-27'), false);
+    assert.equal(closureEntryCovers(weekly, '2026-03-12'), false);
+  });
+});
+
+describe('jewish holidays', () => {
+  it('computes the main festivals for 5787', () => {
+    assert.equal(getJewishHoliday('2026-09-12')?.label, 'ראש השנה');
+    assert.equal(getJewishHoliday('2026-09-21')?.label, 'יום כיפור');
+    assert.equal(getJewishHoliday('2026-09-26')?.label, 'סוכות');
+    assert.equal(getJewishHoliday('2026-10-03')?.label, 'שמחת תורה');
+    assert.equal(getJewishHoliday('2026-09-28'), null);
+    assert.equal(getJewishHoliday('2026-09-28', { includeCholHamoed: true })?.label, 'חול המועד סוכות');
+  });
+
+  it('closes every day of chol hamoed sukkot through hoshana rabba', () => {
+    const settings = { include_jewish_holidays: true, include_chol_hamoed: true, entries: [] };
+    for (const isoDate of ['2026-09-27', '2026-09-28', '2026-09-29', '2026-09-30', '2026-10-01', '2026-10-02']) {
+      assert.deepEqual(resolveClosure(isoDate, settings), { label: 'חול המועד סוכות', source: 'holiday' }, isoDate);
+    }
+    assert.equal(resolveClosure('2026-10-02', { ...settings, include_chol_hamoed: false }), null);
+  });
+
+  it('shifts Yom HaAtzmaut away from the weekend and Mondays', () => {
+    assert.equal(getJewishHoliday('2026-04-22')?.label, 'יום העצמאות');
+    assert.equal(getJewishHoliday('2025-05-01')?.label, 'יום העצמאות');
+    assert.equal(getJewishHoliday('2025-05-03'), null);
+    assert.equal(getJewishHoliday('2024-05-14')?.label, 'יום העצמאות');
+    assert.equal(getJewishHoliday('2024-05-13'), null);
+  });
+
+  it('prefers org closures and only adds holidays when enabled', () => {
+    const settings = {
+      include_jewish_holidays: false,
+      entries: [{ id: 'x', label: 'סגירת מרכז', start_date: '2026-09-12' }],
+    };
+    assert.deepEqual(resolveClosure('2026-09-12', settings), { id: 'x', label: 'סגירת מרכז', source: 'org' });
+    assert.equal(resolveClosure('2026-09-21', settings), null);
+    assert.deepEqual(
+      resolveClosure('2026-09-21', { ...settings, include_jewish_holidays: true }),
+      { label: 'יום כיפור', source: 'holiday' },
+    );
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import {
+  buildApprovalSnapshot,
+  buildPayrollCsvRows,
+  buildPayrollSummary,
+  buildPayrollWorkbookSheets,
+  findPayrollLock,
+  normalizeEmploymentScopePolicy,
+  normalizePayrollSettings,
+  parsePayrollAction,
+  parsePayrollQuery,
+  resolveSessionMinutes,
+  respondIfPayrollLocked,
+} from '../api/_shared/payroll.js';
+import { buildSheetXml, buildXlsxBuffer, columnName } from '../api/_shared/xlsx.js';
+import { coerceSessionDuration, validateInstructorUpdate, validateSessionWrite } from '../api/_shared/validation.js';
+
+const DANA = '11111111-1111-4111-8111-111111111111';
+const YOSSI = '22222222-2222-4222-8222-222222222222';
+const TODAY = new Date('2026-10-19T12:00:00Z');
+
+describe('payroll requests', () => {
+  it('defaults to the current month and resolves its bounds', () => {
+    assert.deepEqual(parsePayrollQuery({}, TODAY).value, {
+      month: '2026-10',
+      from: '2026-10-01',
+      to: '2026-10-31',
+      format: 'json',
+      instructorId: null,
+    });
+    assert.equal(parsePayrollQuery({ month: '2028-02' }, TODAY).value.to, '2028-02-29');
+    assert.equal(parsePayrollQuery({ month: '2026-13' }, TODAY).error, 'invalid_month');
+    assert.equal(parsePayrollQuery({ format: 'pdf' }, TODAY).error, 'invalid_format');
+    assert.equal(parsePayrollQuery({ format: 'XLSX' }, TODAY).value.format, 'xlsx');
+  });
+
+  it('only approves ended months and needs a reason to reopen', () => {
+    assert.equal(parsePayrollAction({ action: 'approve', month: '2026-10', instructor_ids: [DANA] }, TODAY).error, 'month_not_ended');
+    assert.deepEqual(parsePayrollAction({ action: 'approve', month: '2026-09', instructor_ids: [DANA, DANA, YOSSI] }, TODAY).value, {
+      action: 'approve',
+      month: '2026-09',
+      instructorIds: [DANA, YOSSI],
+      reason: null,
+    });
+    assert.equal(parsePayrollAction({ action: 'reopen', month: '2026-09', instructor_id: DANA }, TODAY).error, 'missing_reopen_reason');
+    assert.equal(parsePayrollAction({ action: 'reopen', month: '2026-09', instructor_id: DANA, reason: 'תיקון' }, TODAY).value.reason, 'תיקון');
+    assert.equal(parsePayrollAction({ action: 'approve', month: '2026-09' }, TODAY).error, 'missing_instructor_ids');
+    assert.equal(parsePayrollAction({ action: 'approve', month: '2026-09', instructor_ids: ['x'] }, TODAY).error, 'invalid_instructor_id');
+    assert.equal(parsePayrollAction({ action: 'delete', month: '2026-09' }, TODAY).error, 'invalid_action');
+  });
+
+  it('validates session lengths and instructor employment scopes', () => {
+    assert.deepEqual(coerceSessionDuration(''), { value: null, valid: true });
+    assert.deepEqual(coerceSessionDuration('45'), { value: 45, valid: true });
+    assert.equal(coerceSessionDuration(2).valid, false);
+    assert.equal(coerceSessionDuration(30.5).valid, false);
+    const session = { student_id: DANA, date: '2026-09-01', content: { notes: 'x' } };
+    assert.equal(validateSessionWrite({ ...session, duration_minutes: '40' }).durationMinutes, 40);
+    assert.equal(validateSessionWrite({ ...session, duration_minutes: 600 }).error, 'invalid_duration');
+
+    assert.equal(validateInstructorUpdate({ instructor_id: DANA, employment_scope: 'hourly' }).updates.__metadata_employment_scope, 'hourly');
+    assert.equal(validateInstructorUpdate({ instructor_id: DANA, employment_scope: 'monthly' }).error, 'invalid_employment_scope');
+  });
+});
+
+describe('payroll hours', () => {
+  const settings = normalizePayrollSettings({
+    default_duration_minutes: 45,
+    service_durations: { 'ריפוי בעיסוק': 60, 'רכיבה': 1000 },
+  });
+
+  it('takes the reported length, then the service default, then the org default', () => {
+    assert.deepEqual(settings, { default_duration_minutes: 45, service_durations: { 'ריפוי בעיסוק': 60 } });
+    assert.deepEqual(normalizePayrollSettings(null), { default_duration_minutes: 30, service_durations: {} });
+    assert.deepEqual(resolveSessionMinutes({ metadata: { duration_minutes: 50 }, service_context: 'ריפוי בעיסוק' }, settings), { minutes: 50, source: 'session' });
+    assert.deepEqual(resolveSessionMinutes({ service_context: 'ריפוי בעיסוק' }, settings), { minutes: 60, source: 'service' });
+    assert.deepEqual(resolveSessionMinutes({ service_context: 'רכיבה' }, settings), { minutes: 45, source: 'default' });
+  });
+
+  it('always keeps the global scope in the policy', () => {
+    assert.deepEqual(normalizeEmploymentScopePolicy({ enabled_types: ['hourly', 'bogus'] }).enabled_types, ['global', 'hourly']);
+  });
+
+  it('sums hours per instructor and service, and reports approved months from their snapshot', () => {
+    const records = [
+      { instructor_id: DANA, service_context: 'ריפוי בעיסוק', metadata: {} },
+      { instructor_id: DANA, service_context: 'ריפוי בעיסוק', metadata: { duration_minutes: 30 } },
+      { instructor_id: DANA, service_context: null, metadata: null },
+      { instructor_id: YOSSI, service_context: 'רכיבה', metadata: {} },
+    ];
+    const snapshot = buildApprovalSnapshot(records.filter((record) => record.instructor_id === YOSSI), settings);
+    const summary = buildPayrollSummary(
+      // A session added after approval does not change the approved figures
+      [...records, { instructor_id: YOSSI, service_context: 'רכיבה', metadata: {} }],
+      {
+        instructors: [
+          { id: DANA, name: 'דנה', metadata: { employment_scope: 'hourly' } },
+          { id: YOSSI, name: 'יוסי', email: 'yossi@example.com', metadata: { employment_scope: 'hourly' } },
+        ],
+        approvals: [{ instructor_id: YOSSI, status: 'approved', summary: snapshot, approved_at: '2026-10-02T08:00:00Z', approved_by_email: 'admin@example.com' }],
+        settings,
+      },
+    );
+
+    const dana = summary.instructors[0];
+    assert.equal(dana.name, 'דנה');
+    assert.deepEqual([dana.sessions, dana.minutes, dana.hours, dana.defaulted_sessions, dana.status], [3, 135, 2.25, 2, 'open']);
+    assert.deepEqual(dana.by_service.map((entry) => [entry.service, entry.sessions, entry.minutes]), [['ריפוי בעיסוק', 2, 90], [null, 1, 45]]);
+
+    const yossi = summary.instructors[1];
+    assert.deepEqual([yossi.sessions, yossi.minutes, yossi.status], [1, 45, 'approved']);
+    assert.deepEqual(summary.services, ['ריפוי בעיסוק', 'רכיבה', null]);
+    assert.deepEqual(summary.totals, { instructors: 2, approved: 1, sessions: 4, minutes: 180, hours: 3 });
+
+    const csv = buildPayrollCsvRows('2026-09', summary);
+    assert.deepEqual(csv[1], {
+      'חודש': '2026-09',
+      'מדריך': 'יוסי',
+      'אימייל': 'yossi@example.com',
+      'היקף משרה': 'שעתי',
+      'מפגשים': 1,
+      'דקות': 45,
+      'שעות': 0.75,
+      'ריפוי בעיסוק - מפגשים': 0,
+      'ריפוי בעיסוק - שעות': 0,
+      'רכיבה - מפגשים': 1,
+      'רכיבה - שעות': 0.75,
+      'ללא שירות - מפגשים': 0,
+      'ללא שירות - שעות': 0,
+      'סטטוס': 'מאושר',
+      'אושר בתאריך': '2026-10-02',
+      'אושר על ידי': 'admin@example.com',
+    });
+
+    const [summarySheet, detailSheet] = buildPayrollWorkbookSheets('2026-09', summary, []);
+    assert.equal(summarySheet.rows.length, 3);
+    assert.deepEqual(summarySheet.rows[0], Object.keys(csv[0]));
+    assert.equal(detailSheet.rows.length, 1);
+  });
+});
+
+describe('payroll lock', () => {
+  function stubClient(rows, error = null) {
+    const calls = [];
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => {
+        calls.push(['eq', column, value]);
+        return builder;
+      },
+      in: (column, values) => {
+        calls.push(['in', column, values]);
+        return calls.filter(([kind]) => kind === 'in').length === 2 ? Promise.resolve({ data: rows, error }) : builder;
+      },
+    };
+    return { client: { from: () => builder }, calls };
+  }
+
+  it('reports the approved month a write touches', async () => {
+    const { client, calls } = stubClient([{ instructor_id: DANA, month: '2026-09' }]);
+    const result = await findPayrollLock(null, client, [
+      { instructorId: DANA, date: '2026-10-01' },
+      { instructorId: DANA, date: '2026-09-30' },
+    ]);
+    assert.deepEqual(result.locked, { instructor_id: DANA, month: '2026-09' });
+    assert.deepEqual(calls.find(([, column]) => column === 'month')[2], ['2026-10', '2026-09']);
+  });
+
+  it('skips the query without an instructor and fails open when it errors', async () => {
+    const { client, calls } = stubClient([]);
+    assert.deepEqual(await findPayrollLock(null, client, [{ instructorId: null, date: '2026-09-01' }]), { locked: null });
+    assert.equal(calls.length, 0);
+
+    const failing = stubClient(null, { message: 'relation "PayrollApprovals" does not exist' });
+    assert.deepEqual(await findPayrollLock(null, failing.client, [{ instructorId: DANA, date: '2026-09-01' }]), { locked: null });
+  });
+
+  it('answers 409 for a loose report in an approved month', async () => {
+    const looseReport = { student_id: null, instructor_id: DANA, date: '2026-09-14' };
+    const entries = [{ instructorId: looseReport.instructor_id, date: looseReport.date }];
+
+    const context = {};
+    const response = await respondIfPayrollLocked(context, stubClient([{ instructor_id: DANA, month: '2026-09' }]).client, entries);
+    assert.equal(response.status, 409);
+    assert.deepEqual(JSON.parse(context.res.body), { message: 'payroll_month_locked', month: '2026-09', instructor_id: DANA });
+
+    const open = {};
+    assert.equal(await respondIfPayrollLocked(open, stubClient([]).client, entries), null);
+    assert.equal(open.res, undefined);
+  });
+});
+
+describe('xlsx writer', () => {
+  it('names columns past Z and writes numbers and escaped strings', () => {
+    assert.deepEqual([0, 25, 26, 701, 702].map(columnName), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+    const xml = buildSheetXml([['שם', 'שעות'], ['A & B', 1.5, null]]);
+    assert.match(xml, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">A &amp; B<\/t><\/is><\/c><c r="B2"><v>1.5<\/v><\/c><\/row>/);
+    assert.match(xml, /rightToLeft="1"/);
+  });
+
+  it('packs the workbook as a zip', async () => {
+    const buffer = await buildXlsxBuffer([{ name: 'סיכום', rows: [['a', 1]] }]);
+    assert.equal(buffer.subarray(0, 2).toString('latin1'), 'PK');
+    assert.ok(buffer.includes(Buffer.from('xl/worksheets/sheet1.xml')));
+  });
+});
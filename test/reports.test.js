@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  REPORT_PAGE_SIZE,
+  aggregateDocumentation,
+  aggregateIntakeFunnel,
+  aggregateSessions,
+  buildReportCsvRows,
+  listMonthKeys,
+  loadAllRows,
+  parseReportQuery,
+  summarizeStudents,
+} from '../api/_shared/reports.js';
+import { buildDefaultReportRange, formatMonthLabel } from '../src/features/reports/utils/report-format.js';
+
+const INSTRUCTOR_ID = '11111111-1111-4111-8111-111111111111';
+const STUDENT_ID = '33333333-3333-4333-8333-333333333333';
+const SLOT_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('report query', () => {
+  it('defaults to the current month and the five before it', () => {
+    const { value } = parseReportQuery('sessions', {}, new Date('2026-10-19T12:00:00Z'));
+    assert.equal(value.from, '2026-05-01');
+    assert.equal(value.to, '2026-10-19');
+    assert.equal(value.format, 'json');
+    assert.equal(value.instructorId, null);
+  });
+
+  it('rejects unknown reports, bad ranges and instructor ids', () => {
+    assert.equal(parseReportQuery('payroll', {}).error, 'invalid_report');
+    assert.equal(parseReportQuery('sessions', { from: '2026-05-02', to: '2026-05-01' }).error, 'invalid_date_range');
+    assert.equal(parseReportQuery('sessions', { from: '2025-01-01', to: '2026-06-01' }).error, 'date_range_too_long');
+    assert.equal(parseReportQuery('sessions', { from: '01/05/2026' }).error, 'invalid_date');
+    assert.equal(parseReportQuery('sessions', { instructor_id: 'abc' }).error, 'invalid_instructor_id');
+    assert.equal(parseReportQuery('intake', { format: 'csv', from: '2026-01-01', to: '2026-01-31' }).value.format, 'csv');
+  });
+
+  it('lists every month of the range, across the new year', () => {
+    assert.deepEqual(listMonthKeys('2025-11-15', '2026-02-01'), ['2025-11', '2025-12', '2026-01', '2026-02']);
+  });
+});
+
+describe('report aggregation', () => {
+  it('counts sessions per month, instructor and service', () => {
+    const records = [
+      { date: '2026-03-02', instructor_id: INSTRUCTOR_ID, service_context: 'ריפוי בעיסוק' },
+      { date: '2026-03-09', instructor_id: INSTRUCTOR_ID, service_context: 'ריפוי בעיסוק' },
+      { date: '2026-04-01', instructor_id: null, service_context: '' },
+    ];
+    const data = aggregateSessions(records, {
+      from: '2026-02-01',
+      to: '2026-04-30',
+      instructorNames: new Map([[INSTRUCTOR_ID, 'דנה']]),
+    });
+    assert.equal(data.total, 3);
+    assert.deepEqual(data.by_month.map((entry) => entry.count), [0, 2, 1]);
+    assert.deepEqual(data.by_instructor.map((entry) => [entry.name, entry.count]), [['דנה', 2], ['לא משויך', 1]]);
+    assert.deepEqual(data.by_service.map((entry) => entry.service), ['ריפוי בעיסוק', null]);
+
+    const csv = buildReportCsvRows('sessions', data);
+    assert.equal(csv.length, 2);
+    assert.deepEqual(csv[1], { 'חודש': '2026-04', 'מדריך': 'לא משויך', 'שירות': 'ללא שירות', 'מפגשים': 1 });
+  });
+
+  it('computes the weekly documentation rate with excused sessions and future days left out', () => {
+    const students = [{
+      id: STUDENT_ID,
+      assigned_instructor_id: INSTRUCTOR_ID,
+      schedule_slots: [{ id: SLOT_ID, day_of_week: 2, time: '10:00:00', service: null, instructor_id: null }],
+    }];
+    const data = aggregateDocumentation(students, [{ id: 'r1', student_id: STUDENT_ID, date: '2026-03-02' }], {
+      from: '2026-03-01',
+      to: '2026-03-31',
+      today: '2026-03-17',
+      exceptions: [{ student_id: STUDENT_ID, date: '2026-03-09', slot_id: SLOT_ID, status: 'cancelled' }],
+    });
+    assert.deepEqual(data.weeks.map((week) => [week.week_start, week.expected, week.documented, week.excused, week.rate]), [
+      ['2026-03-01', 1, 1, 0, 100],
+      ['2026-03-08', 0, 0, 1, null],
+      ['2026-03-15', 1, 0, 0, 0],
+    ]);
+    assert.deepEqual(data.totals, { expected: 2, documented: 1, excused: 1, rate: 50 });
+  });
+
+  it('skips closure days when counting expected sessions', () => {
+    const students = [{ id: STUDENT_ID, schedule_slots: [{ id: SLOT_ID, day_of_week: 2, time: '10:00:00' }] }];
+    const data = aggregateDocumentation(students, [], {
+      from: '2026-03-01',
+      to: '2026-03-07',
+      today: '2026-03-31',
+      closureSettings: { entries: [{ id: 'c1', label: 'סגירה', start_date: '2026-03-02', recurrence: 'none' }] },
+    });
+    assert.deepEqual(data.totals, { expected: 0, documented: 0, excused: 0, rate: null });
+  });
+
+  it('splits active students by whether they had sessions in the range', () => {
+    const data = summarizeStudents([
+      { id: 'a', is_active: true, assigned_instructor_id: INSTRUCTOR_ID },
+      { id: 'b', is_active: true, assigned_instructor_id: INSTRUCTOR_ID },
+      { id: 'c', is_active: false, assigned_instructor_id: null },
+    ], new Set(['a']), { instructorNames: new Map([[INSTRUCTOR_ID, 'דנה']]) });
+    assert.deepEqual(data.totals, { active: 2, inactive: 1, active_with_sessions: 1, active_without_sessions: 1 });
+    assert.deepEqual(data.by_instructor[0], { instructor_id: INSTRUCTOR_ID, name: 'דנה', active: 2, inactive: 0, active_with_sessions: 1 });
+  });
+
+  it('builds the intake funnel from receipt, approval and dismissal times', () => {
+    const data = aggregateIntakeFunnel([
+      { intake_date: '2026-03-01T08:00:00Z', last_approval: { at: '2026-03-05T08:00:00Z' } },
+      { intake_date: '2026-03-10T08:00:00Z', needs_intake_approval: true },
+      { intake_date: '2026-04-02T08:00:00Z', intake_dismissal: { active: true, at: '2026-04-03T08:00:00Z' } },
+      { intake_dismissal: { active: false, at: '2026-04-04T08:00:00Z' } },
+      { intake_date: '2025-12-01T08:00:00Z', last_approval: { at: '2026-01-01T08:00:00Z' } },
+    ], { from: '2026-03-01', to: '2026-04-30' });
+    assert.deepEqual(data.stages, { received: 3, approved: 1, dismissed: 1 });
+    assert.equal(data.pending, 1);
+    assert.equal(data.median_days_to_approval, 4);
+    assert.equal(data.approval_rate, 33.3);
+    assert.deepEqual(data.by_month, [
+      { month: '2026-03', received: 2, approved: 1, dismissed: 0 },
+      { month: '2026-04', received: 1, approved: 0, dismissed: 1 },
+    ]);
+  });
+
+  it('pages through rows until a short page', async () => {
+    const offsets = [];
+    const result = await loadAllRows(() => ({
+      range: async (from) => {
+        offsets.push(from);
+        const size = from === 0 ? REPORT_PAGE_SIZE : 3;
+        return { data: Array.from({ length: size }, (_, index) => ({ id: from + index })), error: null };
+      },
+    }));
+    assert.deepEqual(offsets, [0, REPORT_PAGE_SIZE]);
+    assert.equal(result.data.length, REPORT_PAGE_SIZE + 3);
+    assert.equal(result.truncated, false);
+  });
+
+  it('stops at maxRows with a custom page size', async () => {
+    const offsets = [];
+    const result = await loadAllRows(() => ({
+      range: async (from, to) => {
+        offsets.push(from);
+        return { data: Array.from({ length: to - from + 1 }, (_, index) => ({ id: from + index })), error: null };
+      },
+    }), { pageSize: 2, maxRows: 5 });
+    assert.deepEqual(offsets, [0, 2, 4]);
+    assert.equal(result.data.length, 6);
+    assert.equal(result.truncated, true);
+  });
+});
+
+describe('report display helpers', () => {
+  it('matches the server default range and labels months in Hebrew', () => {
+    assert.deepEqual(buildDefaultReportRange(new Date(2026, 0, 15)), { from: '2025-08-01', to: '2026-01-15' });
+    assert.equal(formatMonthLabel('2026-03'), 'מרץ 2026');
+    assert.equal(formatMonthLabel('2026-03', { short: true }), 'מרץ 26');
+  });
+});
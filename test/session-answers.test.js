@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as serverAnswers from '../api/_shared/session-answers.js';
+import * as clientAnswers from '../src/features/sessions/utils/answer-format.js';
+import { parseSessionFormConfig } from '../src/features/sessions/utils/form-config.js';
+import { compactGroupOverrides } from '../src/features/sessions/utils/session-groups.js';
+
+const SIGNATURE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+const CHECKBOX_QUESTION = {
+  id: 'materials',
+  label: 'חומרים',
+  type: 'checkbox',
+  options: [{ value: 'clay', label: 'חימר' }, { value: 'paint', label: 'צבעים' }],
+};
+
+describe('session answer formatting', () => {
+  it('shows multi-select answers by their option labels', () => {
+    assert.equal(serverAnswers.formatAnswerText(CHECKBOX_QUESTION, ['clay', 'paint']), 'חימר, צבעים');
+    assert.equal(serverAnswers.formatAnswerText(null, ['clay']), 'clay');
+    assert.equal(serverAnswers.formatAnswerText(null, '09:30'), '09:30');
+  });
+
+  it('recognizes attachments and signatures by their shape', () => {
+    const attachments = [{ document_id: 'doc-1', name: 'ציור.jpg', type: 'image/jpeg' }, { name: 'no id' }];
+    assert.deepEqual(serverAnswers.readAttachmentAnswers(attachments), [
+      { document_id: 'doc-1', name: 'ציור.jpg', type: 'image/jpeg' },
+    ]);
+    assert.equal(serverAnswers.formatAnswerText(null, attachments), 'ציור.jpg');
+
+    assert.equal(serverAnswers.isSignatureAnswer(SIGNATURE), true);
+    assert.equal(serverAnswers.isSignatureAnswer('data:image/svg+xml;base64,PHN2Zz4='), false);
+    assert.equal(serverAnswers.isSignatureAnswer(`${SIGNATURE}" onerror="alert(1)`), false);
+    assert.equal(serverAnswers.formatAnswerText(null, SIGNATURE), 'נחתם');
+  });
+
+  it('keeps the client formatter in step with the server', () => {
+    const samples = [
+      [CHECKBOX_QUESTION, ['paint', 'other']],
+      [null, [{ document_id: 'doc-2', name: '' }]],
+      [null, SIGNATURE],
+      [null, { nested: true }],
+      [null, 4],
+    ];
+    for (const [question, value] of samples) {
+      assert.equal(clientAnswers.formatAnswerText(question, value), serverAnswers.formatAnswerText(question, value));
+    }
+  });
+});
+
+describe('new question types', () => {
+  it('keeps options for checkbox questions only', () => {
+    const [checkbox, time] = parseSessionFormConfig([
+      CHECKBOX_QUESTION,
+      { id: 'arrival', label: 'שעת הגעה', type: 'time', options: ['x'] },
+    ]);
+    assert.deepEqual(checkbox.options, [{ value: 'clay', label: 'חימר' }, { value: 'paint', label: 'צבעים' }]);
+    assert.deepEqual(time.options, []);
+  });
+
+  it('lets an emptied per-student selection fall back to the shared answer', () => {
+    const studentId = 'student-1';
+    assert.deepEqual(compactGroupOverrides({ [studentId]: { materials: [], notes: 'x' } }, [studentId]), {
+      [studentId]: { notes: 'x' },
+    });
+  });
+});
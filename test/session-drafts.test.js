@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SESSION_DRAFT_RETENTION_DAYS,
+  MAX_SESSION_DRAFT_RETENTION_DAYS,
+  buildSessionDraftKey,
+  computeDraftExpiry,
+  normalizeDraftRetentionDays,
+  parseSessionDraftPayload,
+} from '../api/_shared/session-drafts.js';
+
+const STUDENT_A = '11111111-1111-4111-8111-111111111111';
+
+describe('session draft payloads', () => {
+  it('keys drafts by student and date', () => {
+    const parsed = parseSessionDraftPayload({
+      student_id: STUDENT_A,
+      date: '2026-03-10',
+      content: { mode: 'single', answers: { notes: 'התחלנו בחימום' } },
+    });
+
+    assert.equal(parsed.error, undefined);
+    assert.equal(parsed.value.studentId, STUDENT_A);
+    assert.equal(parsed.value.date, '2026-03-10');
+    assert.equal(parsed.value.draftKey, `${STUDENT_A}|2026-03-10`);
+    assert.equal(buildSessionDraftKey('', ''), 'none|none');
+  });
+
+  it('rejects malformed fields', () => {
+    assert.equal(parseSessionDraftPayload({ student_id: 'abc', content: {} }).error, 'invalid_student_id');
+    assert.equal(parseSessionDraftPayload({ date: '2026-13-45', content: {} }).error, 'invalid_date');
+    assert.equal(parseSessionDraftPayload({ content: ['x'] }).error, 'invalid_draft_content');
+    assert.equal(
+      parseSessionDraftPayload({ content: { answers: { notes: 'x'.repeat(300 * 1024) } } }).error,
+      'draft_too_large',
+    );
+  });
+});
+
+describe('session draft expiry', () => {
+  it('falls back to the default retention and caps it', () => {
+    assert.equal(normalizeDraftRetentionDays(null), DEFAULT_SESSION_DRAFT_RETENTION_DAYS);
+    assert.equal(normalizeDraftRetentionDays('0'), DEFAULT_SESSION_DRAFT_RETENTION_DAYS);
+    assert.equal(normalizeDraftRetentionDays('30'), 30);
+    assert.equal(normalizeDraftRetentionDays({ days: 7 }), 7);
+    assert.equal(normalizeDraftRetentionDays(365), MAX_SESSION_DRAFT_RETENTION_DAYS);
+  });
+
+  it('sets the expiry from the last save', () => {
+    const now = new Date('2026-03-10T08:00:00.000Z');
+
+    assert.equal(computeDraftExpiry(7, now), '2026-03-17T08:00:00.000Z');
+    assert.equal(computeDraftExpiry(undefined, now), '2026-03-24T08:00:00.000Z');
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildExceptionRangeFilter,
+  describeOccurrenceException,
+  parseSessionExceptionPayload,
+  resolveDayOccurrences,
+  resolveExceptionInstructorId,
+} from '../api/_shared/session-exceptions.js';
+import { loadSessionExceptionsInRange } from '../api/_shared/session-exceptions-loader.js';
+
+const STUDENT_ID = '33333333-3333-4333-8333-333333333333';
+const INSTRUCTOR_A = '11111111-1111-4111-8111-111111111111';
+const INSTRUCTOR_B = '22222222-2222-4222-8222-222222222222';
+
+function buildStudent(overrides = {}) {
+  return {
+    id: STUDENT_ID,
+    assigned_instructor_id: INSTRUCTOR_A,
+    default_day_of_week: null,
+    default_session_time: null,
+    schedule_slots: [
+      { id: 'early', day_of_week: 2, time: '09:00', duration_minutes: 45 },
+      { id: 'late', day_of_week: 2, time: '16:00', instructor_id: INSTRUCTOR_B },
+    ],
+    ...overrides,
+  };
+}
+
+describe('session exception payloads', () => {
+  it('accepts a cancellation with a make-up date', () => {
+    const result = parseSessionExceptionPayload({
+      student_id: STUDENT_ID,
+      date: '2026-03-02',
+      slot_id: 'early',
+      status: 'cancelled',
+      reason: 'חג',
+      makeup_date: '2026-03-04',
+      makeup_time: '10:30',
+    });
+    assert.deepEqual(result.value, {
+      student_id: STUDENT_ID,
+      date: '2026-03-02',
+      slot_id: 'early',
+      status: 'cancelled',
+      reason: 'חג',
+      makeup_date: '2026-03-04',
+      makeup_time: '10:30',
+    });
+  });
+
+  it('rejects invalid fields', () => {
+    const base = { student_id: STUDENT_ID, date: '2026-03-02', slot_id: 'early', status: 'absent' };
+    assert.equal(parseSessionExceptionPayload({ ...base, student_id: 'x' }).error, 'invalid_student_id');
+    assert.equal(parseSessionExceptionPayload({ ...base, date: '02/03/2026' }).error, 'invalid_date');
+    assert.equal(parseSessionExceptionPayload({ ...base, slot_id: 'a b' }).error, 'invalid_slot_id');
+    assert.equal(parseSessionExceptionPayload({ ...base, status: 'late' }).error, 'invalid_status');
+    assert.equal(parseSessionExceptionPayload({ ...base, makeup_date: '2026-03-02' }).error, 'invalid_makeup_date');
+    assert.equal(parseSessionExceptionPayload({ ...base, reason: 'x'.repeat(501) }).error, 'invalid_reason');
+  });
+
+  it('allows partial updates and clearing the make-up', () => {
+    assert.deepEqual(parseSessionExceptionPayload({ reason: 'מחלה' }, { partial: true }).value, { reason: 'מחלה' });
+    assert.deepEqual(
+      parseSessionExceptionPayload({ makeup_date: null, makeup_time: '10:00' }, { partial: true }).value,
+      { makeup_date: null, makeup_time: null },
+    );
+  });
+});
+
+describe('day occurrences with exceptions', () => {
+  it('excuses the cancelled slot and lets the record document the next one', () => {
+    const exceptions = [{ id: 'ex-1', student_id: STUDENT_ID, date: '2026-03-02', slot_id: 'early', status: 'absent' }];
+    const entries = resolveDayOccurrences([buildStudent()], '2026-03-02', 2, {
+      exceptions,
+      recordIdsByKey: new Map([[`${STUDENT_ID}|2026-03-02`, ['record-1']]]),
+    });
+
+    assert.deepEqual(entries.map((entry) => entry.occurrence.slot.id), ['early', 'late']);
+    assert.equal(entries[0].exception.id, 'ex-1');
+    assert.equal(entries[0].recordId, null);
+    assert.equal(entries[1].recordId, 'record-1');
+  });
+
+  it('adds make-up sessions on their new date with the original slot details', () => {
+    const exceptions = [{
+      id: 'ex-2',
+      student_id: STUDENT_ID,
+      date: '2026-03-02',
+      slot_id: 'early',
+      status: 'cancelled',
+      makeup_date: '2026-03-04',
+      makeup_time: '12:00',
+      instructor_id: INSTRUCTOR_A,
+    }];
+
+    const entries = resolveDayOccurrences([buildStudent()], '2026-03-04', 4, { exceptions });
+    assert.equal(entries.length, 1);
+    const [{ occurrence, exception }] = entries;
+    assert.equal(occurrence.slot.id, 'makeup:ex-2');
+    assert.equal(occurrence.timeMinutes, 12 * 60);
+    assert.equal(occurrence.durationMinutes, 45);
+    assert.equal(exception, null);
+
+    assert.deepEqual(describeOccurrenceException(exception, occurrence.makeupFor), {
+      isMakeup: true,
+      makeupFor: { exceptionId: 'ex-2', date: '2026-03-02', slotId: 'early', status: 'cancelled' },
+    });
+    assert.equal(resolveDayOccurrences([buildStudent()], '2026-03-04', 4, { exceptions, instructorId: INSTRUCTOR_B }).length, 0);
+  });
+
+  it('builds the range filter for original and make-up dates', () => {
+    assert.equal(
+      buildExceptionRangeFilter('2026-03-01', '2026-03-07'),
+      'and(date.gte.2026-03-01,date.lte.2026-03-07),and(makeup_date.gte.2026-03-01,makeup_date.lte.2026-03-07)',
+    );
+  });
+});
+
+describe('exception write access', () => {
+  it('belongs to the slot instructor, not to every co-instructor of the student', () => {
+    const student = buildStudent();
+    const early = { slot_id: 'early', instructor_id: INSTRUCTOR_A };
+    const late = { slot_id: 'late', instructor_id: INSTRUCTOR_B };
+    assert.equal(resolveExceptionInstructorId(early, student), INSTRUCTOR_A);
+    assert.equal(resolveExceptionInstructorId(late, student), INSTRUCTOR_B);
+  });
+
+  it('falls back to the stored instructor once the slot is removed', () => {
+    const student = buildStudent({ schedule_slots: [] });
+    assert.equal(resolveExceptionInstructorId({ slot_id: 'late', instructor_id: INSTRUCTOR_B }, student), INSTRUCTOR_B);
+  });
+});
+
+describe('loading exceptions', () => {
+  function createExceptionsClient(rows, error = null) {
+    const calls = [];
+    const builder = {
+      select: () => builder,
+      or: (filter) => { calls.push(['or', filter]); return builder; },
+      in: (column, values) => { calls.push(['in', column, values]); return builder; },
+      order: () => builder,
+      range: async (from, to) => (error ? { data: null, error } : { data: rows.slice(from, to + 1), error: null }),
+    };
+    return { calls, client: { from: () => builder } };
+  }
+
+  it('reads every page for the requested students', async () => {
+    const rows = Array.from({ length: 1200 }, (_, index) => ({ id: `e${index}`, student_id: STUDENT_ID }));
+    const { calls, client } = createExceptionsClient(rows);
+    const result = await loadSessionExceptionsInRange({}, client, { from: '2026-09-01', to: '2026-09-30', studentIds: [STUDENT_ID], source: 'test' });
+    assert.equal(result.data.length, 1200);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(calls.find(([method]) => method === 'in'), ['in', 'student_id', [STUDENT_ID]]);
+  });
+
+  it('shows the plain schedule when the table cannot be read', async () => {
+    const warnings = [];
+    const context = { log: { warn: (message) => warnings.push(message) } };
+    const { client } = createExceptionsClient([], { message: 'relation "SessionExceptions" does not exist' });
+    const result = await loadSessionExceptionsInRange(context, client, { from: '2026-09-01', to: '2026-09-30', source: 'daily-compliance' });
+    assert.deepEqual(result, { data: [], truncated: false });
+    assert.deepEqual(warnings, ['daily-compliance failed to load session exceptions']);
+  });
+});
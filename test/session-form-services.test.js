@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as serverLookup from '../api/_shared/version-lookup.js';
+import * as clientLookup from '../src/features/sessions/utils/version-lookup.js';
+import { mergeSessionFormConfig, normalizeSessionFormConfigValue } from '../api/_shared/settings-utils.js';
+import { extractRuleQuestions } from '../api/_shared/session-form-rules.js';
+
+const SAVED_AT = '2026-01-01T00:00:00.000Z';
+const DEFAULT_QUESTIONS = [{ id: 'summary', label: 'סיכום', type: 'textarea' }];
+const RIDING_QUESTIONS = [{ id: 'horse', label: 'סוס', type: 'text' }];
+
+function save(existing, value) {
+  const normalized = normalizeSessionFormConfigValue(value);
+  assert.equal(normalized.error, undefined);
+  return mergeSessionFormConfig(existing, normalized, SAVED_AT);
+}
+
+describe('per-service questionnaire saves', () => {
+  it('versions each service separately and keeps the default untouched', () => {
+    const first = save(null, DEFAULT_QUESTIONS);
+    assert.equal(first.version, 1);
+
+    const riding = save(first.value, { service: 'רכיבה', questions: RIDING_QUESTIONS });
+    assert.equal(riding.version, 1);
+    assert.deepEqual(riding.value.current, first.value.current);
+    assert.equal(riding.value.services['רכיבה'].current.questions[0].id, 'horse');
+
+    const defaultAgain = save(riding.value, DEFAULT_QUESTIONS);
+    assert.equal(defaultAgain.version, 2);
+    assert.deepEqual(defaultAgain.value.services, riding.value.services);
+  });
+
+  it('keeps the history of a removed service questionnaire and never reuses its versions', () => {
+    let config = save(null, DEFAULT_QUESTIONS).value;
+    config = save(config, { service: 'רכיבה', questions: RIDING_QUESTIONS }).value;
+
+    const removed = save(config, { service: 'רכיבה', remove: true });
+    assert.equal(removed.version, null);
+    assert.equal(removed.value.services['רכיבה'].current, null);
+    assert.equal(removed.value.services['רכיבה'].history[0].version, 1);
+
+    const restored = save(removed.value, { service: 'רכיבה', questions: RIDING_QUESTIONS });
+    assert.equal(restored.version, 2);
+  });
+
+  it('rejects a blank service name', () => {
+    assert.equal(normalizeSessionFormConfigValue({ service: '  ', questions: [] }).error, 'invalid_session_form_config');
+  });
+});
+
+describe('per-service questionnaire lookup', () => {
+  let config = save(null, DEFAULT_QUESTIONS).value;
+  config = save(config, { service: 'רכיבה', questions: RIDING_QUESTIONS }).value;
+  const changedRiding = [...RIDING_QUESTIONS, { id: 'arena', label: 'מגרש', type: 'text' }];
+  config = save(config, { service: 'רכיבה', questions: changedRiding }).value;
+  config = save(config, { service: 'דיבור', questions: RIDING_QUESTIONS }).value;
+  config = save(config, { service: 'דיבור', remove: true }).value;
+
+  it('falls back to the default for services without an active questionnaire', () => {
+    assert.equal(serverLookup.resolveServiceFormConfig(config, ' רכיבה ').service, 'רכיבה');
+    assert.equal(serverLookup.resolveServiceFormConfig(config, 'דיבור').service, null);
+    assert.equal(serverLookup.resolveServiceFormConfig(config, 'אחר').config, config);
+    assert.equal(serverLookup.resolveServiceFormConfig(config, null).service, null);
+  });
+
+  it('renders historical records with the questions of their service and version', () => {
+    const ids = (version, service) => serverLookup.extractQuestionsForVersion(config, version, service).map((question) => question.id);
+    assert.deepEqual(ids(1, 'רכיבה'), ['horse']);
+    assert.deepEqual(ids(2, 'רכיבה'), ['horse', 'arena']);
+    assert.deepEqual(ids(1, 'דיבור'), ['horse']);
+    assert.deepEqual(ids(1, null), ['summary']);
+    assert.deepEqual(ids(1, 'אחר'), ['summary']);
+  });
+
+  it('validates rules against the questionnaire of the report', () => {
+    assert.deepEqual(extractRuleQuestions(config, { service: 'רכיבה' }).map((question) => question.key), ['horse', 'arena']);
+    assert.deepEqual(extractRuleQuestions(config).map((question) => question.key), ['summary']);
+  });
+
+  it('keeps the client lookup in step with the server', () => {
+    const cases = [[1, 'רכיבה'], [2, 'רכיבה'], [null, 'רכיבה'], [1, 'דיבור'], [1, null], [9, 'אחר']];
+    for (const [version, service] of cases) {
+      assert.deepEqual(
+        clientLookup.extractQuestionsForVersion(config, version, service),
+        serverLookup.extractQuestionsForVersion(config, version, service),
+      );
+    }
+    assert.deepEqual(clientLookup.resolveServiceFormConfig(config, 'רכיבה'), serverLookup.resolveServiceFormConfig(config, 'רכיבה'));
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGroupSessionWrite } from '../api/_shared/validation.js';
+import {
+  buildGroupContent,
+  buildGroupMetadata,
+  describeRecordGroup,
+  indexRecordGroups,
+  isMissingGroupIdColumn,
+} from '../api/_shared/session-groups.js';
+import { compactGroupOverrides, describeSessionGroup } from '../src/features/sessions/utils/session-groups.js';
+
+const STUDENT_A = '11111111-1111-4111-8111-111111111111';
+const STUDENT_B = '22222222-2222-4222-8222-222222222222';
+const STUDENT_C = '33333333-3333-4333-8333-333333333333';
+
+describe('group session validation', () => {
+  it('accepts shared answers with per-student overrides', () => {
+    const result = validateGroupSessionWrite({
+      student_ids: [STUDENT_A, STUDENT_B, STUDENT_A],
+      date: '2026-03-10',
+      content: { focus: 'קשב', notes: 'עבודה בזוגות' },
+      overrides: {
+        [STUDENT_B]: { notes: 'הגיע באיחור', focus: '' },
+        [STUDENT_C]: { notes: 'not in the group' },
+      },
+    });
+
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.studentIds, [STUDENT_A, STUDENT_B]);
+    assert.deepEqual(result.overrides, { [STUDENT_B]: { notes: 'הגיע באיחור' } });
+    assert.equal(result.hasExplicitService, false);
+  });
+
+  it('rejects groups that are too small or malformed', () => {
+    const base = { date: '2026-03-10', content: {} };
+    assert.equal(validateGroupSessionWrite({ ...base, student_ids: [STUDENT_A] }).error, 'group_too_small');
+    assert.equal(validateGroupSessionWrite({ ...base, student_ids: [STUDENT_A, 'nope'] }).error, 'invalid_student_id');
+    assert.equal(validateGroupSessionWrite({ ...base, student_ids: STUDENT_A }).error, 'invalid_student_ids');
+    assert.equal(
+      validateGroupSessionWrite({ ...base, student_ids: [STUDENT_A, STUDENT_B], overrides: ['x'] }).error,
+      'invalid_overrides',
+    );
+    assert.equal(validateGroupSessionWrite({ student_ids: [STUDENT_A, STUDENT_B], content: {} }).error, 'invalid_date');
+
+    const many = Array.from({ length: 13 }, (_, index) => `${String(index).padStart(8, '0')}-1111-4111-8111-111111111111`);
+    assert.equal(validateGroupSessionWrite({ ...base, student_ids: many }).error, 'group_too_large');
+  });
+});
+
+describe('group session records', () => {
+  const group = buildGroupMetadata('group-1', [
+    { id: STUDENT_A, name: 'דנה' },
+    { id: STUDENT_B, name: 'יואב' },
+    { id: STUDENT_C, name: 'מאיה' },
+  ]);
+
+  it('layers overrides over the shared answers', () => {
+    assert.deepEqual(buildGroupContent({ focus: 'קשב', notes: 'משותף' }, { notes: 'אישי' }), {
+      focus: 'קשב',
+      notes: 'אישי',
+    });
+    assert.deepEqual(buildGroupContent({ focus: 'קשב' }, null), { focus: 'קשב' });
+  });
+
+  it('names the other participants for compliance and history', () => {
+    assert.deepEqual(describeRecordGroup(group, STUDENT_B), {
+      groupId: 'group-1',
+      groupSize: 3,
+      groupPeers: ['דנה', 'מאיה'],
+    });
+    assert.deepEqual(describeRecordGroup(null, STUDENT_B), {});
+
+    const groups = indexRecordGroups([{ id: 'r1', group }, { id: 'r2', group: null }]);
+    assert.equal(groups.get('r1'), group);
+    assert.equal(groups.has('r2'), false);
+
+    assert.deepEqual(describeSessionGroup({ metadata: { group } }, STUDENT_A), {
+      groupId: 'group-1',
+      peers: ['יואב', 'מאיה'],
+    });
+    assert.equal(describeSessionGroup({ metadata: {} }, STUDENT_A), null);
+  });
+
+  it('recognizes inserts refused only for a missing group_id column', () => {
+    assert.equal(isMissingGroupIdColumn({ code: 'PGRST204', message: "Could not find the 'group_id' column of 'SessionRecords' in the schema cache" }), true);
+    assert.equal(isMissingGroupIdColumn({ code: '42703', message: 'column "group_id" does not exist' }), true);
+    assert.equal(isMissingGroupIdColumn({ code: 'PGRST204', message: "Could not find the 'metadata' column" }), false);
+    assert.equal(isMissingGroupIdColumn({ code: '23503', message: 'group_id' }), false);
+    assert.equal(isMissingGroupIdColumn(null), false);
+  });
+
+  it('drops empty client overrides and students that left the group', () => {
+    const overrides = {
+      [STUDENT_A]: { notes: '  ', focus: 'ויסות' },
+      [STUDENT_B]: { notes: '' },
+      [STUDENT_C]: { notes: 'הוסר' },
+    };
+    assert.deepEqual(compactGroupOverrides(overrides, [STUDENT_A, STUDENT_B]), {
+      [STUDENT_A]: { focus: 'ויסות' },
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendSessionRevision, listChangedSessionFields } from '../api/_shared/session-metadata.js';
+import { validateSessionUpdate } from '../api/_shared/validation.js';
+import { buildRevisionHistory, diffSessionAnswers } from '../src/features/sessions/utils/revision-diff.js';
+
+const existing = {
+  id: 'session-1',
+  date: '2025-01-05',
+  service_context: 'ריפוי בעיסוק',
+  content: { q1: 'before', q2: 'same' },
+  metadata: { form_version: 3 },
+};
+
+describe('session update validation', () => {
+  it('returns only the fields present on the body', () => {
+    const result = validateSessionUpdate({ date: '2025-01-06' });
+    assert.ok(!result.error);
+    assert.deepEqual(result.updates, { date: '2025-01-06' });
+  });
+
+  it('rejects an empty update', () => {
+    assert.equal(validateSessionUpdate({ org_id: 'x' }).error, 'missing_updates');
+  });
+
+  it('rejects malformed dates', () => {
+    assert.equal(validateSessionUpdate({ date: '06/01/2025' }).error, 'invalid_date');
+  });
+});
+
+describe('session revisions', () => {
+  it('detects only fields that actually changed', () => {
+    const changed = listChangedSessionFields(existing, {
+      date: '2025-01-05',
+      content: { q1: 'after', q2: 'same' },
+    });
+    assert.deepEqual(changed, ['content']);
+  });
+
+  it('appends a snapshot of the previous values and keeps existing metadata', () => {
+    const metadata = appendSessionRevision(existing.metadata, existing, {
+      changedFields: ['content'],
+      userId: 'user-1',
+      userEmail: 'editor@example.com',
+      role: 'Admin',
+      editedAt: '2025-01-07T10:00:00.000Z',
+    });
+
+    assert.equal(metadata.form_version, 3);
+    assert.equal(metadata.revisions.length, 1);
+    assert.deepEqual(metadata.revisions[0], {
+      revision: 1,
+      edited_at: '2025-01-07T10:00:00.000Z',
+      edited_by: 'user-1',
+      edited_by_email: 'editor@example.com',
+      edited_role: 'admin',
+      changed_fields: ['content'],
+      previous: {
+        date: '2025-01-05',
+        service_context: 'ריפוי בעיסוק',
+        content: { q1: 'before', q2: 'same' },
+      },
+    });
+    assert.equal(metadata.updated_by, 'user-1');
+  });
+
+  it('diffs answers against the following snapshot', () => {
+    const metadata = appendSessionRevision(existing.metadata, existing, {
+      changedFields: ['content'],
+      userId: 'user-1',
+      editedAt: '2025-01-07T10:00:00.000Z',
+    });
+    const record = { ...existing, content: { q1: 'after', q2: 'same', q3: 'new' }, metadata };
+    const history = buildRevisionHistory(record, [{ key: 'q1', label: 'שאלה 1' }]);
+
+    assert.equal(history.length, 1);
+    assert.equal(history[0].dateChange, null);
+    assert.deepEqual(history[0].answers, [
+      { key: 'q1', label: 'שאלה 1', before: 'before', after: 'after', change: 'modified' },
+      { key: 'q3', label: 'q3', before: '', after: 'new', change: 'added' },
+    ]);
+  });
+
+  it('reports removed answers', () => {
+    const diff = diffSessionAnswers({ q1: 'value' }, {}, []);
+    assert.deepEqual(diff, [{ key: 'q1', label: 'q1', before: 'value', after: '', change: 'removed' }]);
+  });
+});
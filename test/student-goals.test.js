@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGoalProgressInput, parseStudentGoalPayload, verifyGoalProgress } from '../api/_shared/student-goals.js';
+import { scopeManifest } from '../api/_shared/backup-utils.js';
+import {
+  buildGoalProgressPayload,
+  buildGoalProgressSeries,
+  readSessionGoalProgress,
+} from '../src/features/students/utils/goals.js';
+
+const STUDENT_ID = '33333333-3333-4333-8333-333333333333';
+const GOAL_A = '44444444-4444-4444-8444-444444444444';
+const GOAL_B = '55555555-5555-4555-8555-555555555555';
+
+function createGoalsStub(rows) {
+  return {
+    from: () => ({
+      select: () => ({
+        eq: (column, value) => ({
+          in: async (_, ids) => ({
+            data: rows.filter((row) => row[column] === value && ids.includes(row.id)),
+            error: null,
+          }),
+        }),
+      }),
+    }),
+  };
+}
+
+describe('student goal payloads', () => {
+  it('creates active goals and validates dates and target rating', () => {
+    const { value } = parseStudentGoalPayload({
+      student_id: STUDENT_ID,
+      title: '  מוטוריקה עדינה ',
+      target_metric: '4/5 עד יוני',
+      target_rating: '4',
+      start_date: '2026-01-01',
+      target_date: '2026-06-30',
+    });
+    assert.equal(value.title, 'מוטוריקה עדינה');
+    assert.equal(value.target_rating, 4);
+    assert.equal(value.status, 'active');
+
+    assert.equal(parseStudentGoalPayload({ student_id: STUDENT_ID, title: '' }).error, 'invalid_title');
+    assert.equal(parseStudentGoalPayload({ student_id: STUDENT_ID, title: 'x', target_rating: 6 }).error, 'invalid_target_rating');
+    assert.equal(
+      parseStudentGoalPayload({ student_id: STUDENT_ID, title: 'x', start_date: '2026-07-01', target_date: '2026-06-01' }).error,
+      'invalid_date_range',
+    );
+  });
+
+  it('only touches the fields sent on updates', () => {
+    assert.deepEqual(parseStudentGoalPayload({ status: 'achieved' }, { partial: true }).value, { status: 'achieved' });
+    assert.equal(parseStudentGoalPayload({ status: 'done' }, { partial: true }).error, 'invalid_status');
+  });
+});
+
+describe('session goal progress', () => {
+  it('keeps one rated entry per goal and drops unrated goals', () => {
+    const { value } = parseGoalProgressInput([
+      { goal_id: GOAL_A, rating: 2 },
+      { goal_id: GOAL_A, rating: '3', note: ' better grip ' },
+      { goal_id: GOAL_B, rating: null },
+    ]);
+    assert.deepEqual(value, [{ goal_id: GOAL_A, rating: 3, note: 'better grip' }]);
+    assert.equal(parseGoalProgressInput([{ goal_id: GOAL_A, rating: 7 }]).error, 'invalid_goal_progress');
+    assert.equal(parseGoalProgressInput({ goal_id: GOAL_A }).error, 'invalid_goal_progress');
+  });
+
+  it('rejects ratings of goals that belong to another student', async () => {
+    const stub = createGoalsStub([{ id: GOAL_A, student_id: STUDENT_ID }, { id: GOAL_B, student_id: 'other' }]);
+    const ok = await verifyGoalProgress({}, stub, STUDENT_ID, [{ goal_id: GOAL_A, rating: 3 }]);
+    assert.equal(ok.value.length, 1);
+    const rejected = await verifyGoalProgress({}, stub, STUDENT_ID, [{ goal_id: GOAL_B, rating: 3 }]);
+    assert.equal(rejected.error.message, 'invalid_goal_progress');
+  });
+
+  it('builds the form payload only for the goals shown', () => {
+    assert.deepEqual(buildGoalProgressPayload({ [GOAL_A]: 4, [GOAL_B]: '' }), [{ goal_id: GOAL_A, rating: 4 }]);
+    assert.deepEqual(buildGoalProgressPayload({ [GOAL_A]: 4 }, [GOAL_B]), []);
+  });
+
+  it('charts a goal across sessions in date order', () => {
+    const sessions = [
+      { id: 's2', date: '2026-02-10', metadata: { goal_progress: [{ goal_id: GOAL_A, rating: 4 }] } },
+      { id: 's1', date: '2026-01-10', metadata: { goal_progress: [{ goal_id: GOAL_A, rating: 2 }, { goal_id: GOAL_B, rating: 9 }] } },
+      { id: 's3', date: '2026-03-10', deleted: true, metadata: { goal_progress: [{ goal_id: GOAL_A, rating: 5 }] } },
+      { id: 's4', date: '2026-03-11', metadata: {} },
+    ];
+    assert.deepEqual(buildGoalProgressSeries(sessions, GOAL_A).map((point) => [point.date, point.rating]), [
+      ['2026-01-10', 2],
+      ['2026-02-10', 4],
+    ]);
+    assert.deepEqual(readSessionGoalProgress(sessions[1]).map((entry) => entry.goal_id), [GOAL_A]);
+  });
+});
+
+describe('goal backups', () => {
+  it('keeps only the restored student goals in a student scope', () => {
+    const manifest = {
+      version: '1.1',
+      org_id: 'org',
+      tables: {
+        Students: [{ id: STUDENT_ID }, { id: 'other' }],
+        SessionRecords: [],
+        StudentGoals: [{ id: GOAL_A, student_id: STUDENT_ID }, { id: GOAL_B, student_id: 'other' }],
+      },
+    };
+    const { manifest: scoped } = scopeManifest(manifest, { type: 'student', student_id: STUDENT_ID });
+    assert.deepEqual(scoped.tables.StudentGoals.map((row) => row.id), [GOAL_A]);
+  });
+});
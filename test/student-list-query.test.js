@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  STUDENT_LIST_MAX_LIMIT,
+  applyStudentListFilters,
+  applyStudentListSort,
+  parseStudentListQuery,
+  sanitizeSearchTerm,
+} from '../api/_shared/student-list-query.js';
+
+function createRecorder() {
+  const calls = [];
+  const builder = new Proxy({}, {
+    get(_target, method) {
+      return (...args) => {
+        calls.push([method, ...args]);
+        return builder;
+      };
+    },
+  });
+  return { builder, calls };
+}
+
+describe('students-list query parsing', () => {
+  it('keeps the legacy unpaginated response when no paging params are sent', () => {
+    const parsed = parseStudentListQuery({ status: 'active' });
+    assert.equal(parsed.pagination, null);
+    assert.equal(parsed.sort, 'name');
+  });
+
+  it('clamps the page size and defaults the offset', () => {
+    const parsed = parseStudentListQuery({ limit: '5000' });
+    assert.deepEqual(parsed.pagination, { limit: STUDENT_LIST_MAX_LIMIT, offset: 0 });
+  });
+
+  it('rejects invalid paging, day, tag and sort values', () => {
+    assert.equal(parseStudentListQuery({ limit: '0' }).error, 'invalid_limit');
+    assert.equal(parseStudentListQuery({ offset: '-1' }).error, 'invalid_offset');
+    assert.equal(parseStudentListQuery({ day: '9' }).error, 'invalid_day');
+    assert.equal(parseStudentListQuery({ tag: 'not-a-uuid' }).error, 'invalid_tag_id');
+    assert.equal(parseStudentListQuery({ sort: 'random' }).error, 'invalid_sort');
+  });
+
+  it('accepts Hebrew day names', () => {
+    assert.equal(parseStudentListQuery({ day: 'שלישי' }).day, 3);
+  });
+
+  it('strips PostgREST syntax from free text', () => {
+    assert.equal(sanitizeSearchTerm(' דני, (כהן)* '), 'דני כהן');
+  });
+});
+
+describe('students-list query builder', () => {
+  it('applies search, day and tag filters', () => {
+    const { builder, calls } = createRecorder();
+    applyStudentListFilters(builder, {
+      search: 'dan',
+      day: 2,
+      tagId: '11111111-1111-4111-8111-111111111111',
+    });
+    assert.deepEqual(calls, [
+      ['or', 'name.ilike.%dan%,contact_phone.ilike.%dan%,national_id.ilike.%dan%'],
+      ['or', 'default_day_of_week.eq.2,schedule_slots.cs.[{"day_of_week":2}]'],
+      ['contains', 'tags', ['11111111-1111-4111-8111-111111111111']],
+    ]);
+  });
+
+  it('matches the day against every schedule slot, not only the legacy day', () => {
+    const { builder, calls } = createRecorder();
+    applyStudentListFilters(builder, { day: 5 });
+    assert.deepEqual(calls, [['or', 'default_day_of_week.eq.5,schedule_slots.cs.[{"day_of_week":5}]']]);
+  });
+
+  it('orders schedule sorts by day, time and name with a stable tiebreaker', () => {
+    const { builder, calls } = createRecorder();
+    applyStudentListSort(builder, 'schedule');
+    assert.deepEqual(calls.map((call) => call[1]), ['default_day_of_week', 'default_session_time', 'name', 'id']);
+  });
+});
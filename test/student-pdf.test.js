@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRecordsSummary,
+  generatePdfHtml,
+  parseRecordsExportOptions,
+} from '../api/_shared/student-pdf.js';
+import { listFormQuestions } from '../src/features/sessions/utils/form-config.js';
+
+const formConfig = {
+  current: {
+    version: 2,
+    questions: [
+      { id: 'mood', label: 'מצב רוח', type: 'scale', range: { min: 1, max: 5, step: 1 } },
+      { id: 'notes', label: 'סיכום', type: 'textarea' },
+    ],
+  },
+  history: [
+    { version: 1, questions: [{ id: 'mood', label: 'מצב רוח (ישן)', type: 'scale' }, { id: 'old_goal', label: 'מטרה', type: 'text' }] },
+  ],
+  services: {
+    'רכיבה': { current: { version: 1, questions: [{ id: 'balance', label: 'שיווי משקל', type: 'scale' }] } },
+  },
+};
+
+// Newest first, as loadStudentPdfData returns them
+const sessions = [
+  { date: '2026-10-12', service_context: 'רכיבה', content: { balance: '4', mood: 5 }, metadata: { form_version: 1, form_service: 'רכיבה' } },
+  { date: '2026-10-05', service_context: 'ריפוי בעיסוק', content: { mood: 4, notes: 'עבודה על <כתיבה>' }, metadata: { form_version: 2 } },
+  { date: '2026-09-28', service_context: 'ריפוי בעיסוק', content: { mood: '3', old_goal: 'ישן' }, metadata: { form_version: 1 } },
+];
+
+describe('student PDF options', () => {
+  it('parses the date range, services, questions and summary flag', () => {
+    assert.deepEqual(parseRecordsExportOptions({
+      from: '2026-09-01',
+      services: ['רכיבה', ' רכיבה ', 7],
+      question_ids: ['mood'],
+      include_summary: true,
+    }).value, {
+      from: '2026-09-01',
+      to: null,
+      services: ['רכיבה'],
+      questionIds: ['mood'],
+      includeSummary: true,
+    });
+    assert.equal(parseRecordsExportOptions({ from: '2026-10-01', to: '2026-09-01' }).error, 'invalid_date_range');
+    assert.equal(parseRecordsExportOptions({ services: Array.from({ length: 201 }, (_, index) => `s${index}`) }).error, 'too_many_filters');
+  });
+
+  it('lists the questions of every questionnaire version once', () => {
+    assert.deepEqual(listFormQuestions(formConfig).map((question) => [question.id, question.label]), [
+      ['mood', 'מצב רוח'],
+      ['notes', 'סיכום'],
+      ['old_goal', 'מטרה'],
+      ['balance', 'שיווי משקל'],
+    ]);
+  });
+});
+
+describe('student PDF summary', () => {
+  it('counts sessions per service and averages scale answers per question', () => {
+    const summary = buildRecordsSummary(sessions, formConfig);
+    assert.equal(summary.total, 3);
+    assert.deepEqual([summary.first_date, summary.last_date], ['2026-09-28', '2026-10-12']);
+    assert.deepEqual(summary.services, [{ service: 'ריפוי בעיסוק', count: 2 }, { service: 'רכיבה', count: 1 }]);
+    assert.deepEqual(summary.scales.map((entry) => [entry.id, entry.average, entry.count]), [['balance', 4, 1], ['mood', 3.5, 2]]);
+  });
+
+  it('keeps only the selected questions', () => {
+    const summary = buildRecordsSummary(sessions, formConfig, { questionIds: ['mood'] });
+    assert.deepEqual(summary.scales.map((entry) => entry.id), ['mood']);
+
+    const logos = { tuttiudLogoUrl: 'https://example.com/logo.png', customLogoUrl: null };
+    const html = generatePdfHtml({ name: 'דנה' }, sessions.slice(1), formConfig, logos, {
+      from: '2026-09-01',
+      to: null,
+      services: ['ריפוי בעיסוק'],
+      questionIds: ['notes'],
+      includeSummary: true,
+    });
+    assert.match(html, /עבודה על &lt;כתיבה&gt;/);
+    assert.doesNotMatch(html, /old_goal|מטרה/);
+    assert.match(html, /לא תועדו תשובות לשאלות שנבחרו במפגש זה/);
+    assert.match(html, /class="summary-page"/);
+    assert.match(html, /טווח תאריכים: 01\/09\/2026 – היום/);
+    assert.match(html, /שירותים: ריפוי בעיסוק/);
+
+    const plain = generatePdfHtml({ name: 'דנה' }, sessions.slice(1), formConfig, logos);
+    assert.doesNotMatch(plain, /class="summary-page"/);
+    assert.match(plain, /מטרה/);
+  });
+});
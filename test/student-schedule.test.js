@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LEGACY_SLOT_ID,
+  applyLegacyScheduleUpdate,
+  areScheduleSlotsEqual,
+  buildInstructorStudentFilter,
+  buildLegacyScheduleFields,
+  coerceScheduleSlots,
+  formatScheduleSlotsCell,
+  isStudentTaughtBy,
+  listScheduledOccurrences,
+  matchRecordsToOccurrences,
+  parseScheduleSlotsCell,
+  resolveStudentScheduleSlots,
+} from '../api/_shared/student-schedule.js';
+
+const INSTRUCTOR_A = '11111111-1111-4111-8111-111111111111';
+const INSTRUCTOR_B = '22222222-2222-4222-8222-222222222222';
+
+function buildStudent(overrides = {}) {
+  return {
+    id: 'student-1',
+    assigned_instructor_id: INSTRUCTOR_A,
+    default_day_of_week: 2,
+    default_session_time: '16:00:00',
+    default_service: 'ריפוי בעיסוק',
+    schedule_slots: [],
+    ...overrides,
+  };
+}
+
+describe('schedule slot validation', () => {
+  it('normalizes slots and assigns ids', () => {
+    const result = coerceScheduleSlots([
+      { day_of_week: 'שני', time: '16:00', duration_minutes: '45', service: 'קלינאות', instructor_id: INSTRUCTOR_B },
+    ]);
+    assert.equal(result.valid, true);
+    assert.equal(result.value[0].day_of_week, 2);
+    assert.equal(result.value[0].duration_minutes, 45);
+    assert.equal(result.value[0].instructor_id, INSTRUCTOR_B);
+    assert.match(result.value[0].id, /^[0-9a-f-]{36}$/);
+  });
+
+  it('rejects bad days, durations and date ranges', () => {
+    assert.equal(coerceScheduleSlots([{ day_of_week: 9, time: '10:00' }]).error, 'invalid_slot_day');
+    assert.equal(coerceScheduleSlots([{ day_of_week: 1, time: '10:00', duration_minutes: 0 }]).error, 'invalid_slot_duration');
+    assert.equal(
+      coerceScheduleSlots([{ day_of_week: 1, time: '10:00', effective_from: '2026-05-01', effective_to: '2026-04-01' }]).error,
+      'invalid_slot_dates',
+    );
+    assert.equal(coerceScheduleSlots('nope').error, 'invalid_schedule_slots');
+  });
+
+  it('mirrors the first slot into the legacy fields and back', () => {
+    const { value } = coerceScheduleSlots([{ day_of_week: 3, time: '09:30' }, { day_of_week: 5, time: '12:00' }]);
+    assert.deepEqual(buildLegacyScheduleFields(value), { default_day_of_week: 3, default_session_time: '09:30' });
+
+    const synced = applyLegacyScheduleUpdate(value, { default_day_of_week: 4 });
+    assert.equal(synced[0].day_of_week, 4);
+    assert.equal(synced[1].day_of_week, 5);
+    assert.equal(applyLegacyScheduleUpdate(value, { notes: 'x' }), value);
+  });
+});
+
+describe('schedule resolution', () => {
+  it('falls back to the legacy single schedule', () => {
+    const [slot] = resolveStudentScheduleSlots(buildStudent());
+    assert.equal(slot.id, LEGACY_SLOT_ID);
+    assert.equal(slot.day_of_week, 2);
+    assert.equal(slot.service, 'ריפוי בעיסוק');
+    assert.deepEqual(resolveStudentScheduleSlots(buildStudent({ default_session_time: null })), []);
+  });
+
+  it('lists occurrences per day, honoring instructors and effective dates', () => {
+    const student = buildStudent({
+      schedule_slots: [
+        { id: 's1', day_of_week: 2, time: '16:00:00', duration_minutes: 45 },
+        { id: 's2', day_of_week: 2, time: '10:00:00', instructor_id: INSTRUCTOR_B, service: 'קלינאות' },
+        { id: 's3', day_of_week: 2, time: '12:00:00', effective_to: '2026-01-31' },
+      ],
+    });
+
+    const all = listScheduledOccurrences([student], '2026-03-02', 2);
+    assert.deepEqual(all.map((entry) => entry.slot.id), ['s2', 's1']);
+    assert.equal(all[0].service, 'קלינאות');
+    assert.equal(all[1].durationMinutes, 45);
+
+    const onlyA = listScheduledOccurrences([student], '2026-03-02', 2, { instructorId: INSTRUCTOR_A });
+    assert.deepEqual(onlyA.map((entry) => entry.slot.id), ['s1']);
+    assert.equal(listScheduledOccurrences([student], '2026-03-03', 3).length, 0);
+  });
+
+  it('matches records to same-day slots in time order', () => {
+    const student = buildStudent({
+      schedule_slots: [
+        { id: 'late', day_of_week: 2, time: '16:00:00' },
+        { id: 'early', day_of_week: 2, time: '09:00:00' },
+      ],
+    });
+    const occurrences = listScheduledOccurrences([student], '2026-03-02', 2);
+    const matches = matchRecordsToOccurrences(occurrences, new Map([['student-1|2026-03-02', ['record-1']]]), '2026-03-02');
+    assert.equal(matches.get(occurrences[0]), 'record-1');
+    assert.equal(occurrences[0].slot.id, 'early');
+    assert.equal(matches.get(occurrences[1]), null);
+  });
+
+  it('grants access to slot instructors', () => {
+    const student = buildStudent({ schedule_slots: [{ id: 's1', day_of_week: 1, time: '10:00', instructor_id: INSTRUCTOR_B }] });
+    assert.equal(isStudentTaughtBy(student, INSTRUCTOR_A), true);
+    assert.equal(isStudentTaughtBy(student, INSTRUCTOR_B), true);
+    assert.equal(isStudentTaughtBy(student, '33333333-3333-4333-8333-333333333333'), false);
+    assert.equal(
+      buildInstructorStudentFilter(INSTRUCTOR_B),
+      `assigned_instructor_id.eq.${INSTRUCTOR_B},schedule_slots.cs.[{"instructor_id":"${INSTRUCTOR_B}"}]`,
+    );
+  });
+});
+
+describe('schedule CSV cells', () => {
+  it('round-trips slots through the maintenance cell format', () => {
+    const { value } = coerceScheduleSlots([
+      { day_of_week: 2, time: '16:00', duration_minutes: 45, service: 'קלינאות', instructor_id: INSTRUCTOR_B },
+      { day_of_week: 5, time: '10:30' },
+    ]);
+    const names = new Map([[INSTRUCTOR_B, 'דנה']]);
+    const cell = formatScheduleSlotsCell(value, names);
+    assert.equal(cell, 'שני|16:00|45|קלינאות|דנה; חמישי|10:30');
+
+    const parsed = parseScheduleSlotsCell(cell, (name) => (name === 'דנה' ? INSTRUCTOR_B : null));
+    assert.equal(parsed.valid, true);
+    assert.equal(areScheduleSlotsEqual(parsed.value, value), true);
+  });
+
+  it('reports unknown instructors', () => {
+    assert.equal(parseScheduleSlotsCell('שני|16:00|||מישהו').error, 'unknown_slot_instructor');
+    assert.deepEqual(parseScheduleSlotsCell('  '), { value: [], valid: true });
+  });
+});